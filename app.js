@@ -1,12 +1,11 @@
 /**
  * Password Mint - Privacy-First Password Generator
  *
- * A deterministic password generator using WebCrypto PBKDF2.
+ * A deterministic password generator using PBKDF2 (WebCrypto), scrypt or Argon2id.
  * No data is stored or transmitted. Everything runs locally.
  *
- * Security Note: This implementation uses modulo mapping for character selection.
- * While this introduces minimal bias for typical character pool sizes (< 100 chars),
- * it's acceptable for password generation where the derived bytes have high entropy.
+ * This file is the UI layer only. The derivation pipeline lives in core/
+ * and is loaded from password-mint-core.js as window.PasswordMintCore.
  */
 
 (function() {
@@ -16,35 +15,30 @@
     // CONFIGURATION
     // =========================================================================
 
+    // Derivation pipeline (core/*.mjs, loaded as password-mint-core.js)
+    const Core = window.PasswordMintCore;
+
     const CONFIG = {
-        SALT_PREFIX: 'password-mint::v1::',
-        ITERATIONS: {
-            standard: 210000,
-            high: 400000
-        },
-        DERIVED_BYTES: 64,
-        AUTO_CLEAR_MS: 5 * 60 * 1000, // 5 minutes
-        HASH_ALGORITHM: 'SHA-256'
+        LOCK_TICK_MS: 1000, // Idle countdown refresh; background tabs may tick slower, so deadlines are checked on return
+        WORKER_URL: 'derive-worker.js',
+        PROGRESS_TICK_MS: 100,
+        CLIPBOARD_TICK_MS: 250, // Countdown refresh; the wipe itself is due at its deadline
+        PROFILES_STORAGE_KEY: 'password-mint.profiles',
+        CHECK_WORDS_STORAGE_KEY: 'password-mint.check-words',
+        IDENTITIES_STORAGE_KEY: 'password-mint.identities',
+        KDF_SPEED_STORAGE_KEY: 'password-mint.kdf-speed',
+        FINGERPRINT_DELAY_MS: 600,
+        STRENGTH_DELAY_MS: 150, // Strength estimate once typing pauses
+        DIALOG_BLUR_GRACE_MS: 500, // A confirm dialog's blur can arrive after it returns
+        STRENGTH_METER_MAX_LOG10: 12 // Crack time (log10 seconds) that fills the meter, ~30,000 years
     };
 
-    // Character sets
-    // Symbols chosen for maximum compatibility across major sites:
-    // Amazon, Apple, Google, Microsoft, Netflix, Facebook, Instagram, banking sites
-    // Avoided: ~ | \ " ' ` < > [ ] { } ; : , / & ^ (commonly restricted)
-    const CHAR_SETS = {
-        upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-        lower: 'abcdefghijklmnopqrstuvwxyz',
-        digits: '0123456789',
-        symbols: '!@#$%*-_=+.?'  // Safe symbols that work on 95%+ of sites
+    // Site field hint before anything is typed, per site normalization
+    const SITE_HINTS = {
+        v1: '"amazon", "Amazon.com", and "https://mail.amazon.com" all produce the same result',
+        v2: '"Amazon.com" and "https://mail.amazon.com" produce the same result; "amazon.co.uk" is another site'
     };
 
-    // Ambiguous characters to exclude
-    const AMBIGUOUS_CHARS = 'O0Il1';
-
-    // Policy-problem characters (often rejected by password policies)
-    // Note: Many of these are already excluded from symbols above
-    const PROBLEMATIC_CHARS = '"\' \\`~|<>[]{}:;,/&^()';
-
     // =========================================================================
     // DOM ELEMENTS
     // =========================================================================
@@ -53,19 +47,118 @@
         form: document.getElementById('passwordForm'),
         site: document.getElementById('site'),
         siteError: document.getElementById('siteError'),
+        account: document.getElementById('account'),
+        siteProfiles: document.getElementById('siteProfiles'),
+        siteHint: document.getElementById('siteHint'),
+        siteProfileHint: document.getElementById('siteProfileHint'),
         masterPhrase: document.getElementById('masterPhrase'),
         masterPhraseError: document.getElementById('masterPhraseError'),
+        phraseStrength: document.getElementById('phraseStrength'),
+        strengthMeterFill: document.getElementById('strengthMeterFill'),
+        phraseStrengthText: document.getElementById('phraseStrengthText'),
+        strengthThreshold: document.getElementById('strengthThreshold'),
+        blockWeakPhrase: document.getElementById('blockWeakPhrase'),
+        phraseFingerprint: document.getElementById('phraseFingerprint'),
+        fingerprintIcon: document.getElementById('fingerprintIcon'),
+        fingerprintWords: document.getElementById('fingerprintWords'),
+        pinFingerprintBtn: document.getElementById('pinFingerprintBtn'),
+        fingerprintStatus: document.getElementById('fingerprintStatus'),
+        identityGroup: document.getElementById('identityGroup'),
+        identity: document.getElementById('identity'),
+        identitySwatch: document.getElementById('identitySwatch'),
+        identityList: document.getElementById('identityList'),
+        identityName: document.getElementById('identityName'),
+        identityColor: document.getElementById('identityColor'),
+        addIdentityBtn: document.getElementById('addIdentityBtn'),
+        saveIdentityDefaultsBtn: document.getElementById('saveIdentityDefaultsBtn'),
+        identityStatus: document.getElementById('identityStatus'),
+        identityError: document.getElementById('identityError'),
+        identityBadge: document.getElementById('identityBadge'),
+        secondSecretStatus: document.getElementById('secondSecretStatus'),
+        secondSecretSource: document.getElementById('secondSecretSource'),
+        keyfileGroup: document.getElementById('keyfileGroup'),
+        chooseKeyfileBtn: document.getElementById('chooseKeyfileBtn'),
+        keyfileInput: document.getElementById('keyfileInput'),
+        recoveryCodeGroup: document.getElementById('recoveryCodeGroup'),
+        recoveryCode: document.getElementById('recoveryCode'),
+        newRecoveryCodeBtn: document.getElementById('newRecoveryCodeBtn'),
+        recoveryCodeWarning: document.getElementById('recoveryCodeWarning'),
+        secondSecretError: document.getElementById('secondSecretError'),
         version: document.getElementById('version'),
         versionError: document.getElementById('versionError'),
+        outputFormat: document.getElementById('outputFormat'),
+        outputFormatHint: document.getElementById('outputFormatHint'),
+        passphraseFields: document.getElementById('passphraseFields'),
+        passphraseSizeMode: document.getElementById('passphraseSizeMode'),
+        passphraseSizeLabel: document.getElementById('passphraseSizeLabel'),
+        passphraseSize: document.getElementById('passphraseSize'),
+        passphraseSeparator: document.getElementById('passphraseSeparator'),
+        passphraseCapitalize: document.getElementById('passphraseCapitalize'),
+        passphraseDigit: document.getElementById('passphraseDigit'),
+        passphraseSymbol: document.getElementById('passphraseSymbol'),
+        passphraseError: document.getElementById('passphraseError'),
+        passphraseEntropy: document.getElementById('passphraseEntropy'),
+        lengthGroup: document.getElementById('lengthGroup'),
+        charsetGroup: document.getElementById('charsetGroup'),
+        excludeGroup: document.getElementById('excludeGroup'),
+        policyGroup: document.getElementById('policyGroup'),
         length: document.getElementById('length'),
         lengthValue: document.getElementById('lengthValue'),
+        lengthMinLabel: document.getElementById('lengthMinLabel'),
+        lengthMaxLabel: document.getElementById('lengthMaxLabel'),
         useUpper: document.getElementById('useUpper'),
         useLower: document.getElementById('useLower'),
         useDigits: document.getElementById('useDigits'),
         useSymbols: document.getElementById('useSymbols'),
+        customSymbols: document.getElementById('customSymbols'),
+        minUpper: document.getElementById('minUpper'),
+        minLower: document.getElementById('minLower'),
+        minDigits: document.getElementById('minDigits'),
+        minSymbols: document.getElementById('minSymbols'),
+        charsetError: document.getElementById('charsetError'),
         excludeAmbiguous: document.getElementById('excludeAmbiguous'),
+        excludeChars: document.getElementById('excludeChars'),
+        excludeCharsError: document.getElementById('excludeCharsError'),
+        usePolicy: document.getElementById('usePolicy'),
+        policySummary: document.getElementById('policySummary'),
+        policyFields: document.getElementById('policyFields'),
+        policyMinLength: document.getElementById('policyMinLength'),
+        policyMaxLength: document.getElementById('policyMaxLength'),
+        policySymbols: document.getElementById('policySymbols'),
+        policyMaxDigits: document.getElementById('policyMaxDigits'),
+        policyNoLeadingDigit: document.getElementById('policyNoLeadingDigit'),
+        policyNoLeadingSymbol: document.getElementById('policyNoLeadingSymbol'),
+        policyError: document.getElementById('policyError'),
         securityLevel: document.getElementById('securityLevel'),
+        kdfCosts: document.getElementById('kdfCosts'),
+        kdfCostsHint: document.getElementById('kdfCostsHint'),
+        kdfMemory: document.getElementById('kdfMemory'),
+        kdfTime: document.getElementById('kdfTime'),
+        kdfTimeError: document.getElementById('kdfTimeError'),
+        algorithm: document.getElementById('algorithm'),
+        siteNames: document.getElementById('siteNames'),
+        deriveUsername: document.getElementById('deriveUsername'),
+        securityQuestions: document.getElementById('securityQuestions'),
+        extraFieldsError: document.getElementById('extraFieldsError'),
+        saveProfiles: document.getElementById('saveProfiles'),
+        profileManager: document.getElementById('profileManager'),
+        profileList: document.getElementById('profileList'),
+        saveProfileBtn: document.getElementById('saveProfileBtn'),
+        aliasList: document.getElementById('aliasList'),
+        aliasSite: document.getElementById('aliasSite'),
+        aliasTarget: document.getElementById('aliasTarget'),
+        addAliasBtn: document.getElementById('addAliasBtn'),
+        aliasError: document.getElementById('aliasError'),
+        profileStatus: document.getElementById('profileStatus'),
+        exportProfilesBtn: document.getElementById('exportProfilesBtn'),
+        importProfilesBtn: document.getElementById('importProfilesBtn'),
+        importProfilesFile: document.getElementById('importProfilesFile'),
+        importConflict: document.getElementById('importConflict'),
         generateBtn: document.getElementById('generateBtn'),
+        deriveProgress: document.getElementById('deriveProgress'),
+        deriveProgressTrack: document.getElementById('deriveProgressTrack'),
+        deriveProgressBar: document.getElementById('deriveProgressBar'),
+        deriveStatus: document.getElementById('deriveStatus'),
         outputSection: document.getElementById('outputSection'),
         generatedPassword: document.getElementById('generatedPassword'),
         toggleOutputVisibility: document.getElementById('toggleOutputVisibility'),
@@ -76,12 +169,27 @@
         clearAllBtn: document.getElementById('clearAllBtn'),
         normalizedDisplay: document.getElementById('normalizedDisplay'),
         normalizedSite: document.getElementById('normalizedSite'),
+        accountDisplay: document.getElementById('accountDisplay'),
+        extraFields: document.getElementById('extraFields'),
+        accountUsed: document.getElementById('accountUsed'),
+        algorithmUsed: document.getElementById('algorithmUsed'),
+        entropyDisplay: document.getElementById('entropyDisplay'),
+        entropyBits: document.getElementById('entropyBits'),
         toggleMasterVisibility: document.getElementById('toggleMasterVisibility'),
         eyeIcon: document.getElementById('eyeIcon'),
         rememberPhrase: document.getElementById('rememberPhrase'),
         rememberWarning: document.getElementById('rememberWarning'),
         forgetNow: document.getElementById('forgetNow'),
         autoClearNotice: document.getElementById('autoClearNotice'),
+        idleLock: document.getElementById('idleLock'),
+        hiddenLock: document.getElementById('hiddenLock'),
+        lockOnLeave: document.getElementById('lockOnLeave'),
+        lockOnBlur: document.getElementById('lockOnBlur'),
+        lockStatus: document.getElementById('lockStatus'),
+        clipboardClear: document.getElementById('clipboardClear'),
+        clipboardStatus: document.getElementById('clipboardStatus'),
+        clipboardStatusText: document.getElementById('clipboardStatusText'),
+        clearClipboardBtn: document.getElementById('clearClipboardBtn'),
         howItWorksHeader: document.getElementById('howItWorksHeader'),
         howItWorksContent: document.getElementById('howItWorksContent'),
         faqHeader: document.getElementById('faqHeader'),
@@ -89,6 +197,40 @@
         securityHeader: document.getElementById('securityHeader'),
         securityContent: document.getElementById('securityContent'),
         advancedOptions: document.getElementById('advancedOptions'),
+        selfTestBanner: document.getElementById('selfTestBanner'),
+        runSelfTestBtn: document.getElementById('runSelfTestBtn'),
+        selfTestStatus: document.getElementById('selfTestStatus'),
+        selfTestFailures: document.getElementById('selfTestFailures'),
+        calibrateStatus: document.getElementById('calibrateStatus'),
+        recalibrateBtn: document.getElementById('recalibrateBtn'),
+        kitThreshold: document.getElementById('kitThreshold'),
+        kitShareCount: document.getElementById('kitShareCount'),
+        createKitBtn: document.getElementById('createKitBtn'),
+        recoveryKitError: document.getElementById('recoveryKitError'),
+        recoveryKitStatus: document.getElementById('recoveryKitStatus'),
+        kitOutput: document.getElementById('kitOutput'),
+        printKitBtn: document.getElementById('printKitBtn'),
+        hideKitBtn: document.getElementById('hideKitBtn'),
+        kitShares: document.getElementById('kitShares'),
+        recoveryShares: document.getElementById('recoveryShares'),
+        recoverPhraseBtn: document.getElementById('recoverPhraseBtn'),
+        recoverError: document.getElementById('recoverError'),
+        recoveredGroup: document.getElementById('recoveredGroup'),
+        recoverStatus: document.getElementById('recoverStatus'),
+        recoveredPhrase: document.getElementById('recoveredPhrase'),
+        useRecoveredBtn: document.getElementById('useRecoveredBtn'),
+        showRecoveredBtn: document.getElementById('showRecoveredBtn'),
+        batchList: document.getElementById('batchList'),
+        chooseBatchFileBtn: document.getElementById('chooseBatchFileBtn'),
+        batchFile: document.getElementById('batchFile'),
+        batchListError: document.getElementById('batchListError'),
+        batchFormat: document.getElementById('batchFormat'),
+        batchExportBtn: document.getElementById('batchExportBtn'),
+        batchProgress: document.getElementById('batchProgress'),
+        batchProgressTrack: document.getElementById('batchProgressTrack'),
+        batchProgressBar: document.getElementById('batchProgressBar'),
+        batchStatus: document.getElementById('batchStatus'),
+        batchErrors: document.getElementById('batchErrors'),
         copyText: document.querySelector('.copy-text')
     };
 
@@ -96,8 +238,36 @@
     // STATE
     // =========================================================================
 
-    let autoClearTimeout = null;
-    let rememberedPhrase = null;
+    let autoClearDeadline = null; // When the idle lock clears the page, while it holds secrets
+    let autoClearTicker = null;
+    let hiddenSince = null;
+    let hiddenLockTimer = null;
+    let ownDialogOpen = false; // The page's own file picker or dialog has the focus
+    let dialogGraceTimer = null;
+    let clipboardWipe = null; // { text, deadline, timer } while a copied secret waits to be wiped
+    let rememberedKey = null; // Non-extractable key of the remembered phrase; the text itself is dropped
+    let fingerprintJob = null;
+    let fingerprintTimer = null;
+    let strengthTimer = null;
+    let fingerprintCache = null; // { tag, fingerprint } of the last phrase checked; never the phrase itself
+    let fingerprintTagKey = null; // Promise of the session key that makes those tags
+    let pinnedCheckWords = null; // Check words the user pinned, if any
+    let secondSecret = null; // { source, secret, name?, fingerprint } of the keyfile or recovery code in use
+    let identities = []; // Named identities, in the order created
+    let recoveredPhrase = null; // Phrase rebuilt from recovery kit shares, until it is used or cleared
+    let batchJob = null; // Batch derivation in progress; its results are dropped once exported
+    let selfTestPromise = Promise.resolve();
+    let selfTestFailed = false;
+    let currentJob = null;
+    let progressTimer = null;
+    let workerUnavailable = false;
+    let kdfSpeed = null;
+    let profiles = null; // null while site profiles are off
+    let siteAliases = Core.normalizeAliases(); // User aliases, stored with the profiles
+    let appliedProfileKey = null;
+    let settingsBeforeProfile = null;
+    let policyOverride; // undefined or null: no rules; object: rules turned on for the site
+    let policySite = null; // Site policyOverride belongs to
 
     // =========================================================================
     // FIELD ERROR HELPERS
@@ -137,508 +307,2834 @@
         clearFieldError(elements.site, elements.siteError);
         clearFieldError(elements.masterPhrase, elements.masterPhraseError);
         clearFieldError(elements.version, elements.versionError);
+        clearFieldError(elements.kdfTime, elements.kdfTimeError);
+        clearFieldError(elements.secondSecretSource, elements.secondSecretError);
     }
 
     // =========================================================================
-    // UTILITY FUNCTIONS
+    // FORM OPTIONS
     // =========================================================================
 
     /**
-     * Normalize a site/URL input to a consistent format.
-     * - Trims whitespace
-     * - Converts to lowercase
-     * - Removes protocol (http/https)
-     * - Removes common subdomains (www, mail, m, app, etc.)
-     * - Removes path, query, fragment, port
-     * - Extracts base domain name (strips common TLDs)
-     *
-     * Examples:
-     *   "Yahoo" → "yahoo"
-     *   "yahoo.com" → "yahoo"
-     *   "YAHOO.COM" → "yahoo"
-     *   "https://www.yahoo.com/mail" → "yahoo"
-     *   "mail.yahoo.com" → "yahoo" (common subdomain stripped)
-     *   "GitHub.com" → "github"
-     *   "github" → "github"
-     *   "m.facebook.com" → "facebook"
-     */
-    function normalizeSite(input) {
-        let site = input.trim().toLowerCase();
-
-        // Remove protocol
-        site = site.replace(/^https?:\/\//, '');
-
-        // Remove common subdomains (www, mail, m, app, etc.)
-        site = site.replace(/^(www|mail|m|app|mobile|login|signin|auth|account|accounts|my|portal|secure|api|cdn|static|assets|media|images|img|files|docs|help|support)\./, '');
-
-        // If it looks like a URL (has path, query, fragment, or port)
-        if (site.includes('/') || site.includes('?') || site.includes('#') || site.includes(':')) {
-            // Remove path, query, fragment
-            site = site.split('/')[0];
-            site = site.split('?')[0];
-            site = site.split('#')[0];
-            // Remove port if present
-            site = site.split(':')[0];
-        }
-
-        // Common TLDs to strip (single-level TLDs)
-        const commonTLDs = [
-            '.com', '.org', '.net', '.edu', '.gov', '.io', '.co', '.app',
-            '.dev', '.ai', '.me', '.tv', '.info', '.biz', '.xyz', '.online',
-            '.site', '.tech', '.store', '.shop', '.blog', '.cloud', '.pro',
-            '.to', '.ly', '.gg', '.fm', '.cc', '.ws', '.vc', '.la', '.link',
-            '.live', '.world', '.space', '.fun', '.one', '.network', '.social'
+     * Get the minimum count field of each character type.
+     * @returns {Array<[string, HTMLInputElement]>} - [type, input] pairs
+     */
+    function getMinCountFields() {
+        return [
+            ['upper', elements.minUpper],
+            ['lower', elements.minLower],
+            ['digits', elements.minDigits],
+            ['symbols', elements.minSymbols]
         ];
+    }
 
-        // Common country-code TLDs
-        const countryTLDs = [
-            '.uk', '.us', '.ca', '.au', '.de', '.fr', '.jp', '.cn', '.in',
-            '.br', '.ru', '.it', '.es', '.nl', '.se', '.no', '.dk', '.fi',
-            '.pl', '.be', '.at', '.ch', '.nz', '.ie', '.sg', '.hk', '.kr',
-            '.za', '.mx', '.ar', '.cl', '.pe', '.co', '.ve', '.my', '.ph',
-            '.id', '.th', '.vn', '.tw', '.tr', '.ae', '.sa', '.eg', '.il'
-        ];
+    /**
+     * Read the character set toggles from the form. Custom fields left
+     * blank are omitted, so the defaults give the original passwords.
+     *
+     * @returns {Object} - Toggles in the shape expected by Core.derivePassword()
+     */
+    function getCharsetOptions() {
+        const charsets = {
+            upper: elements.useUpper.checked,
+            lower: elements.useLower.checked,
+            digits: elements.useDigits.checked,
+            symbols: elements.useSymbols.checked,
+            excludeAmbiguous: elements.excludeAmbiguous.checked
+        };
+
+        if (elements.customSymbols.value) charsets.symbolChars = elements.customSymbols.value;
+        if (elements.excludeChars.value) charsets.excludeChars = elements.excludeChars.value;
+
+        getMinCountFields().forEach(([type, input]) => {
+            // An entry the browser can't parse as a number reads as '', so count it as invalid
+            if (input.value || input.validity.badInput) {
+                charsets.minCounts = charsets.minCounts || {};
+                charsets.minCounts[type] = input.value ? Number(input.value) : NaN;
+            }
+        });
 
-        // Common compound TLDs (country + type)
-        const compoundTLDs = [
-            '.co.uk', '.co.in', '.co.jp', '.co.nz', '.co.za', '.co.kr',
-            '.com.au', '.com.br', '.com.mx', '.com.sg', '.com.hk',
-            '.org.uk', '.net.au', '.ac.uk', '.gov.uk', '.edu.au'
-        ];
+        return charsets;
+    }
 
-        // First check compound TLDs (longer matches first)
-        for (const tld of compoundTLDs) {
-            if (site.endsWith(tld)) {
-                site = site.slice(0, -tld.length);
-                break;
+    /**
+     * Check the custom character fields. Every invalid field is marked;
+     * each error area shows the first message that applies to it.
+     *
+     * @returns {HTMLInputElement|null} - First invalid field, or null if all are valid
+     */
+    function checkCharsetFields() {
+        const charsets = getCharsetOptions();
+        const checks = [
+            [elements.customSymbols, elements.charsetError, { symbolChars: charsets.symbolChars }]
+        ];
+        getMinCountFields().forEach(([type, input]) => {
+            const minCounts = {};
+            if (charsets.minCounts && type in charsets.minCounts) minCounts[type] = charsets.minCounts[type];
+            checks.push([input, elements.charsetError, { minCounts: minCounts }]);
+        });
+        checks.push([elements.excludeChars, elements.excludeCharsError, { excludeChars: charsets.excludeChars }]);
+
+        checks.forEach(([input, errorElement]) => clearFieldError(input, errorElement));
+
+        let firstInvalid = null;
+        checks.forEach(([input, errorElement, fields]) => {
+            try {
+                Core.resolveCharsets(fields);
+            } catch (error) {
+                // Fields share an error message; keep the first one shown
+                showFieldError(input, errorElement.textContent ? null : errorElement, error.message);
+                firstInvalid = firstInvalid || input;
             }
-        }
+        });
+        return firstInvalid;
+    }
 
-        // Then check single TLDs if no compound was found
-        if (site.includes('.')) {
-            for (const tld of [...commonTLDs, ...countryTLDs]) {
-                if (site.endsWith(tld)) {
-                    site = site.slice(0, -tld.length);
-                    break;
-                }
-            }
+    /**
+     * Read the memory-hard KDF costs from the form.
+     *
+     * @returns {Object|undefined} - { memoryMiB, timeCost }, or undefined for PBKDF2 levels
+     */
+    function getKdfCosts() {
+        if (!Core.isMemoryHard(elements.securityLevel.value)) {
+            return undefined;
         }
+        return {
+            memoryMiB: parseInt(elements.kdfMemory.value, 10),
+            timeCost: parseInt(elements.kdfTime.value, 10)
+        };
+    }
 
-        // Safety: if normalization resulted in empty string, return original (trimmed, lowercased)
-        if (!site) {
-            site = input.trim().toLowerCase();
+    /**
+     * Show the cost fields for memory-hard levels, filled with the level's defaults.
+     */
+    function updateKdfCostFields() {
+        const levelId = elements.securityLevel.value;
+        const memoryHard = Core.isMemoryHard(levelId);
+
+        elements.kdfCosts.style.display = memoryHard ? 'flex' : 'none';
+        elements.kdfCostsHint.style.display = memoryHard ? 'block' : 'none';
+        clearFieldError(elements.kdfTime, elements.kdfTimeError);
+
+        if (memoryHard) {
+            const level = Core.SECURITY_LEVELS[levelId];
+            elements.kdfMemory.value = String(level.memoryMiB);
+            elements.kdfTime.value = String(level.timeCost);
         }
+    }
 
-        return site;
+    /**
+     * Read the passphrase options from the form.
+     *
+     * @returns {Object} - Options in the shape expected by Core.normalizePassphraseOptions()
+     */
+    function getPassphraseOptions() {
+        // An empty or unparsable size reads as 0, which validation rejects
+        const options = {
+            separator: elements.passphraseSeparator.value,
+            capitalize: elements.passphraseCapitalize.value,
+            digit: elements.passphraseDigit.checked,
+            symbol: elements.passphraseSymbol.checked
+        };
+        options[elements.passphraseSizeMode.value] = Number(elements.passphraseSize.value);
+        return options;
     }
 
     /**
-     * Build the character pool based on user selections.
+     * Read the extra fields from the form: the username if ticked, then an
+     * answer for each security question (one per line).
+     *
+     * @returns {Object[]} - Fields in the shape expected by Core.normalizeField()
      */
-    function buildCharacterPool() {
-        let pool = '';
+    function getExtraFields() {
+        const fields = elements.deriveUsername.checked ? [{ kind: 'username' }] : [];
+        elements.securityQuestions.value.split('\n')
+            .map(question => question.trim())
+            .filter(Boolean)
+            .forEach(question => fields.push({ kind: 'answer', question: question }));
+        return fields;
+    }
 
-        if (elements.useUpper.checked) pool += CHAR_SETS.upper;
-        if (elements.useLower.checked) pool += CHAR_SETS.lower;
-        if (elements.useDigits.checked) pool += CHAR_SETS.digits;
-        if (elements.useSymbols.checked) pool += CHAR_SETS.symbols;
+    /**
+     * Check the extra fields (questions too long to use).
+     *
+     * @returns {boolean} - True if every field is valid
+     */
+    function checkExtraFields() {
+        try {
+            getExtraFields().forEach(Core.normalizeField);
+        } catch (error) {
+            showFieldError(elements.securityQuestions, elements.extraFieldsError, error.message);
+            return false;
+        }
+        clearFieldError(elements.securityQuestions, elements.extraFieldsError);
+        return true;
+    }
 
-        // Remove ambiguous characters if selected
-        if (elements.excludeAmbiguous.checked) {
-            for (const char of AMBIGUOUS_CHARS) {
-                pool = pool.replace(new RegExp(char, 'g'), '');
-            }
+    /**
+     * Set the size field's label and range for words or characters.
+     */
+    function updatePassphraseSizeField() {
+        const limits = Core.PASSPHRASE_LIMITS[elements.passphraseSizeMode.value];
+        elements.passphraseSizeLabel.textContent = elements.passphraseSizeMode.value === 'length' ? 'Characters' : 'Words';
+        elements.passphraseSize.min = String(limits.min);
+        elements.passphraseSize.max = String(limits.max);
+    }
+
+    /**
+     * Check the passphrase options and show their estimated entropy.
+     *
+     * @returns {boolean} - True if the options are valid
+     */
+    function checkPassphraseOptions() {
+        let bits;
+        try {
+            bits = Core.estimatePassphraseEntropy(getPassphraseOptions());
+        } catch (error) {
+            showFieldError(elements.passphraseSize, elements.passphraseError, error.message);
+            elements.passphraseEntropy.textContent = '';
+            return false;
         }
 
-        return pool;
+        clearFieldError(elements.passphraseSize, elements.passphraseError);
+        elements.passphraseEntropy.textContent = (elements.passphraseSizeMode.value === 'length' ? 'About ' : '') +
+            Math.round(bits) + ' bits of entropy. Words from the EFF large word list, chosen from the same derived bytes as a password.';
+        return true;
     }
 
     /**
-     * Get individual character pools for each enabled type.
+     * Show the entropy of a PIN, key or pronounceable password at the chosen length.
      */
-    function getCharacterPools() {
-        const pools = [];
+    function updateFormatHint() {
+        const format = elements.outputFormat.value;
+        elements.outputFormatHint.textContent = Core.isCharacterFormat(format)
+            ? Math.round(Core.formatEntropy(format, parseInt(elements.length.value, 10))) +
+                ' bits of entropy. Unrelated to this site\'s password, even with the same settings.'
+            : '';
+    }
 
-        if (elements.useUpper.checked) {
-            let pool = CHAR_SETS.upper;
-            if (elements.excludeAmbiguous.checked) {
-                pool = pool.replace(/[OI]/g, '');
-            }
-            if (pool.length > 0) pools.push({ type: 'upper', chars: pool });
-        }
+    /**
+     * Show the options that apply to the chosen output format.
+     * @param {number} [length] - New length (defaults to the current one)
+     */
+    function updateOutputFormat(length) {
+        const format = elements.outputFormat.value;
+        const passphrase = format === 'passphrase';
+        const password = format === 'password';
+
+        elements.passphraseFields.style.display = passphrase ? 'grid' : 'none';
+        elements.passphraseEntropy.style.display = passphrase ? 'block' : 'none';
+        elements.lengthGroup.style.display = passphrase ? 'none' : '';
+        [elements.charsetGroup, elements.excludeGroup, elements.policyGroup].forEach(group => {
+            group.style.display = password ? '' : 'none';
+        });
 
-        if (elements.useLower.checked) {
-            let pool = CHAR_SETS.lower;
-            if (elements.excludeAmbiguous.checked) {
-                pool = pool.replace(/[l]/g, '');
-            }
-            if (pool.length > 0) pools.push({ type: 'lower', chars: pool });
+        if (passphrase) {
+            checkPassphraseOptions();
+        } else {
+            clearFieldError(elements.passphraseSize, elements.passphraseError);
         }
+        setLengthRange(getFormPolicy(), length);
+        updateFormatHint();
+    }
 
-        if (elements.useDigits.checked) {
-            let pool = CHAR_SETS.digits;
-            if (elements.excludeAmbiguous.checked) {
-                pool = pool.replace(/[01]/g, '');
-            }
-            if (pool.length > 0) pools.push({ type: 'digits', chars: pool });
-        }
+    /**
+     * Read the non-secret derivation settings from the form.
+     *
+     * @returns {Object} - { normalization, version, length, charsets, securityLevel, kdfCosts, algorithm, policy, format, passphrase, fields }
+     */
+    function getFormSettings() {
+        const format = elements.outputFormat.value;
+        return {
+            normalization: elements.siteNames.value,
+            version: elements.version.value || '1',
+            length: parseInt(elements.length.value, 10),
+            charsets: getCharsetOptions(),
+            securityLevel: elements.securityLevel.value,
+            kdfCosts: getKdfCosts(),
+            algorithm: elements.algorithm.value,
+            policy: policyOverride,
+            format: format,
+            passphrase: format === 'passphrase' ? getPassphraseOptions() : undefined,
+            fields: getExtraFields()
+        };
+    }
 
-        if (elements.useSymbols.checked) {
-            const pool = CHAR_SETS.symbols;
-            if (pool.length > 0) pools.push({ type: 'symbols', chars: pool });
+    /**
+     * Fill the form with settings from getFormSettings() or a site profile.
+     *
+     * @param {Object} settings - Settings to show
+     */
+    function applyFormSettings(settings) {
+        // Site names, format and rules first: the rules depend on the site,
+        // and they set the length range the length must fit in
+        elements.siteNames.value = settings.normalization || Core.DEFAULT_NORMALIZATION;
+        updateSitePreview();
+        elements.outputFormat.value = settings.format || 'password';
+        policyOverride = settings.policy;
+        policySite = getFormSite();
+        renderPolicy();
+
+        elements.version.value = settings.version;
+        elements.length.value = String(settings.length);
+        elements.lengthValue.textContent = elements.length.value;
+        elements.useUpper.checked = settings.charsets.upper;
+        elements.useLower.checked = settings.charsets.lower;
+        elements.useDigits.checked = settings.charsets.digits;
+        elements.useSymbols.checked = settings.charsets.symbols;
+        elements.excludeAmbiguous.checked = settings.charsets.excludeAmbiguous;
+        elements.customSymbols.value = settings.charsets.symbolChars || '';
+        elements.excludeChars.value = settings.charsets.excludeChars || '';
+        getMinCountFields().forEach(([type, input]) => {
+            const minCounts = settings.charsets.minCounts;
+            input.value = minCounts && minCounts[type] !== undefined ? String(minCounts[type]) : '';
+        });
+        checkCharsetFields();
+        elements.securityLevel.value = settings.securityLevel;
+        updateKdfCostFields();
+        if (settings.kdfCosts) {
+            elements.kdfMemory.value = String(settings.kdfCosts.memoryMiB);
+            elements.kdfTime.value = String(settings.kdfCosts.timeCost);
+        }
+        elements.algorithm.value = settings.algorithm;
+
+        const passphrase = settings.passphrase || Core.normalizePassphraseOptions({});
+        const separators = Array.from(elements.passphraseSeparator.options, option => option.value);
+        if (separators.indexOf(passphrase.separator) === -1) {
+            // A separator set outside the page (e.g. with the CLI)
+            const option = document.createElement('option');
+            option.value = passphrase.separator;
+            option.textContent = '"' + passphrase.separator + '"';
+            elements.passphraseSeparator.appendChild(option);
         }
+        elements.passphraseSizeMode.value = passphrase.length !== undefined ? 'length' : 'words';
+        elements.passphraseSize.value = String(passphrase.length !== undefined ? passphrase.length : passphrase.words);
+        elements.passphraseSeparator.value = passphrase.separator;
+        elements.passphraseCapitalize.value = passphrase.capitalize;
+        elements.passphraseDigit.checked = passphrase.digit;
+        elements.passphraseSymbol.checked = passphrase.symbol;
+        updatePassphraseSizeField();
+        updateOutputFormat();
+
+        const fields = settings.fields || [];
+        elements.deriveUsername.checked = fields.some(field => field.kind === 'username');
+        elements.securityQuestions.value = fields
+            .filter(field => field.kind === 'answer')
+            .map(field => field.question)
+            .join('\n');
+        clearFieldError(elements.securityQuestions, elements.extraFieldsError);
 
-        return pools;
+        clearFieldError(elements.version, elements.versionError);
+        updateLevelEstimates();
+        updatePhraseStrength();
     }
 
+    // =========================================================================
+    // SITE RULES
+    // =========================================================================
+
     /**
-     * Convert a string to a Uint8Array (UTF-8 encoding).
+     * Get the normalized site in the form.
+     * @returns {string} - Normalized site, or '' if none is entered
      */
-    function stringToBytes(str) {
-        return new TextEncoder().encode(str);
+    function getFormSite() {
+        const site = elements.site.value.trim();
+        return site ? resolveSite(site, elements.siteNames.value).site : '';
     }
 
     /**
-     * Harden a master phrase for enhanced security.
-     *
-     * This function normalizes user input and adds deterministic complexity,
-     * making the phrase more resistant to attacks while remaining user-friendly.
+     * Normalize a site and resolve its alias, as derivation does.
      *
-     * Transformations:
-     * 1. Trim leading/trailing whitespace
-     * 2. Convert to lowercase (normalization)
-     * 3. Collapse multiple spaces to single space
-     * 4. Deterministically capitalize 1-2 words based on phrase content
-     * 5. Add deterministic suffix (symbol + digit + symbol)
-     *
-     * Example:
-     *   Input:  "  My iPhone  purchase in INDIA  "
-     *   Output: "my IPHONE purchase in india ELEC!7@" (example transformation)
-     *
-     * The same input ALWAYS produces the same output (deterministic).
-     *
-     * @param {string} phrase - The user's raw master phrase
-     * @returns {string} - The hardened phrase ready for PBKDF2
+     * @param {string} site - Raw site or URL
+     * @param {string} normalization - Site normalization version
+     * @returns {{site: string, aliasOf: string|null}} - Canonical site, and the normalized site an alias replaced
      */
-    function hardenPhrase(phrase) {
-        // Step 1: Normalize - trim, lowercase, collapse spaces
-        let normalized = phrase
-            .trim()
-            .toLowerCase()
-            .replace(/\s+/g, ' ');
+    function resolveSite(site, normalization) {
+        return Core.resolveSiteAlias(Core.normalizeSite(site, normalization), normalization, siteAliases);
+    }
 
-        // If empty after normalization, return as-is (validation will catch it)
-        if (!normalized) {
-            return normalized;
+    /**
+     * Show how the site in the form will be read, so an address that means
+     * something other than intended is noticed before generating.
+     */
+    function updateSitePreview() {
+        const site = elements.site.value.trim();
+        if (!site) {
+            elements.siteHint.textContent = SITE_HINTS[elements.siteNames.value];
+            return;
         }
 
-        // Step 2: Generate a deterministic seed from the normalized phrase
-        // Using a simple but effective hash (djb2 variant)
-        let seed = 5381;
-        for (let i = 0; i < normalized.length; i++) {
-            seed = ((seed << 5) + seed) ^ normalized.charCodeAt(i);
-            seed = seed >>> 0; // Convert to unsigned 32-bit
+        const alias = resolveSite(site, elements.siteNames.value);
+        elements.siteHint.textContent = Core.describeSite(site, elements.siteNames.value) +
+            (alias.aliasOf ? ' Alias: shares the password of ' + alias.site + '.' : '');
+    }
+
+    /**
+     * Get the rules the form generates with. Known (bundled) rules only
+     * apply once turned on for the site, which copies them into the form.
+     *
+     * @returns {Object|null} - Complete policy, or null for none
+     */
+    function getFormPolicy() {
+        return policyOverride ? Core.normalizePolicy(policyOverride) : null;
+    }
+
+    /**
+     * Limit the length slider to what the rules, or the output format, allow.
+     * @param {Object|null} policy - Active rules
+     * @param {number} [requested] - Length to fit in the range (defaults to the current one)
+     */
+    function setLengthRange(policy, requested) {
+        const format = Core.getOutputFormat(elements.outputFormat.value);
+        const range = format.alphabets ? format.length : null;
+        const min = range ? range.min : policy ? policy.minLength : Core.LENGTH_RANGE.min;
+        const max = range ? range.max : policy ? policy.maxLength : Core.LENGTH_RANGE.max;
+        const length = requested === undefined ? parseInt(elements.length.value, 10) : requested;
+
+        elements.length.min = String(min);
+        elements.length.max = String(max);
+        elements.length.value = String(Math.min(Math.max(length, min), max));
+        elements.lengthValue.textContent = elements.length.value;
+        elements.lengthMinLabel.textContent = String(min);
+        elements.lengthMaxLabel.textContent = String(max);
+    }
+
+    /**
+     * Show whether rules apply and what they are (not the editable fields).
+     * @param {Object|null} policy - Active rules
+     */
+    function renderPolicyState(policy) {
+        const site = getFormSite();
+
+        elements.usePolicy.checked = policy !== null;
+        elements.policyFields.style.display = policy ? 'grid' : 'none';
+
+        const known = site ? Core.getSitePolicy(site, undefined, true) : null;
+        if (policy) {
+            elements.policySummary.textContent = 'Rules' + (site ? ' for ' + site : '') + ': ' + Core.describePolicy(policy) + '.';
+        } else if (known) {
+            elements.policySummary.textContent = 'Known rules for ' + site + ': ' + Core.describePolicy(known) +
+                '. Turn on to use them (this changes the password).';
+        } else if (site) {
+            elements.policySummary.textContent = 'No known rules for ' + site + '. Turn on to enter them.';
+        } else {
+            elements.policySummary.textContent = 'Enter a site to see its rules.';
         }
 
-        // Step 3: Deterministically capitalize words
-        const words = normalized.split(' ');
+        setLengthRange(policy);
+    }
 
-        if (words.length >= 2) {
-            // Capitalize 2 words at deterministic positions
-            const pos1 = seed % words.length;
-            const pos2 = Math.floor(seed / words.length) % words.length;
+    /**
+     * Show the active rules, including the editable fields.
+     */
+    function renderPolicy() {
+        const policy = getFormPolicy();
+
+        clearPolicyError();
+        if (policy) {
+            elements.policyMinLength.value = String(policy.minLength);
+            elements.policyMaxLength.value = String(policy.maxLength);
+            elements.policySymbols.value = policy.symbols;
+            elements.policyMaxDigits.value = policy.maxCounts.digits ? String(policy.maxCounts.digits) : '';
+            elements.policyNoLeadingDigit.checked = policy.rules.indexOf('no-leading-digit') !== -1;
+            elements.policyNoLeadingSymbol.checked = policy.rules.indexOf('no-leading-symbol') !== -1;
+        }
+        renderPolicyState(policy);
+    }
 
-            words[pos1] = words[pos1].toUpperCase();
-            if (pos2 !== pos1 && words.length > 2) {
-                words[pos2] = words[pos2].toUpperCase();
-            }
-        } else if (words.length === 1 && words[0].length > 0) {
-            // Single word: capitalize first letter
-            words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+    /**
+     * Clear the error state of the rule fields.
+     */
+    function clearPolicyError() {
+        [elements.policyMinLength, elements.policyMaxLength, elements.policySymbols, elements.policyMaxDigits]
+            .forEach(input => clearFieldError(input, elements.policyError));
+    }
+
+    /**
+     * Turn the rules off when the form moves to another site.
+     */
+    function updateSitePolicy() {
+        const site = getFormSite();
+        if (site !== policySite) {
+            policyOverride = undefined;
+            policySite = site;
+            renderPolicy();
         }
+    }
 
-        // Step 4: Generate deterministic suffix
-        // Using carefully chosen symbols that work across most password policies
-        const symbols = '!@#$%^&*';
-        const digits = '23456789'; // Excluding 0 and 1 (ambiguous)
+    /**
+     * Turn the rules on or off for the site in the form.
+     * @param {boolean} enabled - New state
+     */
+    function setPolicyEnabled(enabled) {
+        const site = getFormSite();
+        const known = site ? Core.getSitePolicy(site, undefined, true) : null;
+
+        // Known rules, or a starting point that changes nothing until edited
+        policyOverride = enabled ? known || Core.normalizePolicy({ minLength: Core.LENGTH_RANGE.min }) : undefined;
+        policySite = site;
+        renderPolicy();
+    }
 
-        const sym1 = symbols[seed % symbols.length];
-        const dig1 = digits[(seed >> 4) % digits.length];
-        const sym2 = symbols[(seed >> 8) % symbols.length];
+    /**
+     * Use the edited rule fields as the site's rules.
+     * @param {HTMLInputElement} input - Field that changed
+     */
+    function updatePolicyFromFields(input) {
+        const base = getFormPolicy() || Core.normalizePolicy({});
+        const maxCounts = Object.assign({}, base.maxCounts);
+        const rules = base.rules.filter(rule => rule !== 'no-leading-digit' && rule !== 'no-leading-symbol');
+
+        delete maxCounts.digits;
+        if (elements.policyMaxDigits.value) {
+            maxCounts.digits = parseInt(elements.policyMaxDigits.value, 10);
+        }
+        if (elements.policyNoLeadingDigit.checked) rules.push('no-leading-digit');
+        if (elements.policyNoLeadingSymbol.checked) rules.push('no-leading-symbol');
 
-        // Step 5: Combine: words + suffix
-        const hardened = words.join(' ') + sym1 + dig1 + sym2;
+        let policy;
+        try {
+            policy = Core.normalizePolicy({
+                minLength: parseInt(elements.policyMinLength.value, 10),
+                maxLength: parseInt(elements.policyMaxLength.value, 10),
+                symbols: elements.policySymbols.value,
+                required: base.required,
+                forbidden: base.forbidden,
+                maxCounts: maxCounts,
+                rules: rules
+            });
+        } catch (error) {
+            showFieldError(input, elements.policyError, error.message);
+            return;
+        }
 
-        return hardened;
+        clearPolicyError();
+        policyOverride = policy;
+        policySite = getFormSite();
+        renderPolicyState(policy);
     }
 
     // =========================================================================
-    // CRYPTO FUNCTIONS (WebCrypto PBKDF2)
+    // PHRASE STRENGTH
     // =========================================================================
 
     /**
-     * Derive bytes using PBKDF2 with WebCrypto API.
+     * Assess a phrase at the security level in the form.
      *
-     * @param {string} masterPhrase - The user's master phrase
-     * @param {string} salt - The salt string
-     * @param {number} iterations - Number of PBKDF2 iterations
-     * @returns {Promise<Uint8Array>} - Derived bytes
-     */
-    async function deriveBytes(masterPhrase, salt, iterations) {
-        // Import the master phrase as a key
-        const keyMaterial = await crypto.subtle.importKey(
-            'raw',
-            stringToBytes(masterPhrase),
-            'PBKDF2',
-            false,
-            ['deriveBits']
-        );
-
-        // Derive bits using PBKDF2
-        const derivedBits = await crypto.subtle.deriveBits(
-            {
-                name: 'PBKDF2',
-                salt: stringToBytes(salt),
-                iterations: iterations,
-                hash: CONFIG.HASH_ALGORITHM
-            },
-            keyMaterial,
-            CONFIG.DERIVED_BYTES * 8 // bits
-        );
-
-        return new Uint8Array(derivedBits);
+     * @param {string} phrase - Master phrase
+     * @returns {Object} - From Core.assessPhrase()
+     */
+    function assessMasterPhrase(phrase) {
+        const levelId = elements.securityLevel.value;
+        let level;
+        try {
+            level = Core.resolveSecurityLevel(levelId, getKdfCosts());
+        } catch (error) {
+            // Cost fields mid-edit: estimate with the level's defaults
+            level = Core.resolveSecurityLevel(levelId);
+        }
+        return Core.assessPhrase(phrase, level, elements.strengthThreshold.value);
     }
 
     /**
-     * Generate a password from derived bytes.
-     *
-     * Algorithm:
-     * 1. Determine which character pools are active
-     * 2. Ensure at least one character from each active pool (deterministically)
-     * 3. Fill remaining positions from combined pool
-     * 4. Shuffle positions deterministically based on derived bytes
-     *
-     * @param {Uint8Array} derivedBytes - Bytes from PBKDF2
-     * @param {number} length - Desired password length
-     * @returns {string} - Generated password
+     * Show the estimated crack time of the typed phrase.
      */
-    function generatePasswordFromBytes(derivedBytes, length) {
-        const pools = getCharacterPools();
-        const combinedPool = buildCharacterPool();
-
-        if (combinedPool.length === 0) {
-            throw new Error('No character types selected');
+    function updatePhraseStrength() {
+        clearTimeout(strengthTimer);
+        const phrase = elements.masterPhrase.value;
+        if (!phrase.trim()) {
+            elements.phraseStrength.style.display = 'none';
+            return;
         }
 
-        if (pools.length > length) {
-            throw new Error('Password length too short for selected character types');
+        const assessment = assessMasterPhrase(phrase);
+        const fill = Math.log10(Math.max(assessment.crackSeconds, 1)) / CONFIG.STRENGTH_METER_MAX_LOG10;
+
+        elements.phraseStrength.style.display = 'block';
+        elements.phraseStrength.classList.toggle('is-weak', assessment.weak);
+        elements.strengthMeterFill.style.width = Math.round(Math.min(fill, 1) * 100) + '%';
+
+        let text = 'Estimated time to crack: ' + assessment.crackTime + ' at this security level.';
+        if (assessment.weak) {
+            text += ' ' + [assessment.warning].concat(assessment.suggestions).filter(Boolean).join(' ');
         }
+        elements.phraseStrengthText.textContent = text;
+    }
+
+    /**
+     * Update the strength estimate once typing pauses.
+     */
+    function schedulePhraseStrength() {
+        clearTimeout(strengthTimer);
+        strengthTimer = setTimeout(updatePhraseStrength, CONFIG.STRENGTH_DELAY_MS);
+    }
 
-        // Track byte index for deterministic consumption
-        let byteIndex = 0;
+    // =========================================================================
+    // PHRASE FINGERPRINT
+    // =========================================================================
 
-        /**
-         * Get next byte value, wrapping around if needed.
-         */
-        function nextByte() {
-            const byte = derivedBytes[byteIndex % derivedBytes.length];
-            byteIndex++;
-            return byte;
+    /**
+     * Load the pinned check words from localStorage.
+     */
+    function loadPinnedCheckWords() {
+        try {
+            const stored = window.localStorage.getItem(CONFIG.CHECK_WORDS_STORAGE_KEY);
+            pinnedCheckWords = stored ? Core.normalizeCheckWords(stored) : null;
+        } catch (error) {
+            pinnedCheckWords = null; // Storage blocked: nothing pinned
         }
+    }
 
-        /**
-         * Get a 16-bit value from two bytes for better distribution.
-         */
-        function nextWord() {
-            const high = nextByte();
-            const low = nextByte();
-            return (high << 8) | low;
+    /**
+     * Tag a phrase for the fingerprint cache: an HMAC of the hardened phrase
+     * under a random, non-extractable key made once per page. Capitals and
+     * spacing give the same tag, and without the key a tag is no use for
+     * testing guesses, so the cache can outlive the typed phrase.
+     *
+     * @param {string} phrase - Master phrase
+     * @returns {Promise<string>} - Tag, in hex
+     */
+    async function getPhraseTag(phrase) {
+        if (!fingerprintTagKey) {
+            fingerprintTagKey = window.crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
         }
+        const mac = await window.crypto.subtle.sign('HMAC', await fingerprintTagKey,
+            Core.stringToBytes(Core.hardenPhrase(phrase)));
+        return Array.from(new Uint8Array(mac), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
 
-        // Array to hold the password characters
-        const passwordChars = new Array(length);
+    /**
+     * Get the fingerprint of a phrase, from the last check if it was the same phrase.
+     *
+     * @param {string} phrase - Master phrase
+     * @returns {Promise<Object>} - From Core.derivePhraseFingerprint(); rejects with a cancelled error if a newer check starts
+     */
+    async function getPhraseFingerprint(phrase) {
+        const tag = await getPhraseTag(phrase);
+        if (fingerprintCache && fingerprintCache.tag === tag) {
+            return fingerprintCache.fingerprint;
+        }
 
-        // Step 1: Determine positions for mandatory characters (one per pool)
-        // We'll use the first N positions for mandatory chars, then shuffle
-        const mandatoryCount = pools.length;
+        if (fingerprintJob) fingerprintJob.cancel();
+        const job = startCoreJob('fingerprint', { phrase: phrase });
+        fingerprintJob = job;
 
-        // Pick one character from each pool for mandatory positions
-        for (let i = 0; i < mandatoryCount; i++) {
-            const pool = pools[i].chars;
-            const charIndex = nextWord() % pool.length;
-            passwordChars[i] = pool[charIndex];
+        try {
+            const fingerprint = await job.promise;
+            fingerprintCache = { tag: tag, fingerprint: fingerprint };
+            return fingerprint;
+        } finally {
+            if (fingerprintJob === job) fingerprintJob = null;
         }
+    }
 
-        // Step 2: Fill remaining positions from combined pool
-        for (let i = mandatoryCount; i < length; i++) {
-            const charIndex = nextWord() % combinedPool.length;
-            passwordChars[i] = combinedPool[charIndex];
+    /**
+     * Forget the fingerprint shown for the typed phrase.
+     */
+    function clearFingerprint() {
+        clearTimeout(fingerprintTimer);
+        if (fingerprintJob) {
+            fingerprintJob.cancel();
+            fingerprintJob = null;
         }
+        fingerprintCache = null;
+        elements.phraseFingerprint.style.display = 'none';
+        elements.fingerprintStatus.textContent = '';
+    }
+
+    /**
+     * Show the fingerprint of the typed phrase, once typing pauses.
+     */
+    function scheduleFingerprint() {
+        const phrase = elements.masterPhrase.value;
+        clearTimeout(fingerprintTimer);
 
-        // Step 3: Shuffle array deterministically using Fisher-Yates
-        // This ensures mandatory characters aren't always at the start
-        for (let i = length - 1; i > 0; i--) {
-            const j = nextWord() % (i + 1);
-            [passwordChars[i], passwordChars[j]] = [passwordChars[j], passwordChars[i]];
+        if (!phrase.trim()) {
+            clearFingerprint();
+            return;
         }
 
-        return passwordChars.join('');
+        elements.phraseFingerprint.style.display = 'flex';
+        elements.phraseFingerprint.classList.add('is-pending');
+        elements.fingerprintStatus.textContent = 'Checking phrase…';
+
+        fingerprintTimer = setTimeout(async function() {
+            let fingerprint;
+            try {
+                fingerprint = await getPhraseFingerprint(phrase);
+            } catch (error) {
+                if (!error.cancelled) elements.fingerprintStatus.textContent = 'Could not check the phrase: ' + error.message;
+                return;
+            }
+            // Typing went on while this one was derived
+            if (elements.masterPhrase.value !== phrase) return;
+            renderFingerprint(fingerprint);
+        }, CONFIG.FINGERPRINT_DELAY_MS);
     }
 
-    // =========================================================================
-    // MAIN PASSWORD GENERATION
-    // =========================================================================
-
     /**
-     * Generate password based on current form inputs.
+     * Draw a fingerprint: the identicon, the check words, and whether they match the pinned ones.
+     * @param {Object} fingerprint - From Core.derivePhraseFingerprint()
      */
-    async function generatePassword() {
-        const site = elements.site.value.trim();
-        const masterPhrase = elements.rememberPhrase.checked && rememberedPhrase
-            ? rememberedPhrase
-            : elements.masterPhrase.value;
-        const version = elements.version.value || '1';
-        const length = parseInt(elements.length.value, 10);
-        const securityLevel = elements.securityLevel.value;
-
-        // Clear previous errors
-        clearAllFieldErrors();
+    function renderFingerprint(fingerprint) {
+        const size = Core.FINGERPRINT_GRID_SIZE;
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const icon = elements.fingerprintIcon;
+
+        icon.textContent = '';
+        icon.setAttribute('viewBox', '0 0 ' + size + ' ' + size);
+        fingerprint.cells.forEach((filled, index) => {
+            if (!filled) return;
+            const cell = document.createElementNS(svgNs, 'rect');
+            cell.setAttribute('x', String(index % size));
+            cell.setAttribute('y', String(Math.floor(index / size)));
+            cell.setAttribute('width', '1');
+            cell.setAttribute('height', '1');
+            cell.setAttribute('fill', 'hsl(' + fingerprint.hue + ', 65%, 45%)');
+            icon.appendChild(cell);
+        });
 
-        // Validation
-        let hasError = false;
+        const words = Core.normalizeCheckWords(fingerprint.words);
+        elements.phraseFingerprint.classList.remove('is-pending');
+        elements.fingerprintWords.textContent = words;
+        elements.pinFingerprintBtn.textContent = pinnedCheckWords ? 'Unpin' : 'Pin';
 
-        if (!site) {
-            showFieldError(elements.site, elements.siteError, 'Please enter a site or app name.');
-            if (!hasError) {
-                elements.site.focus();
-                hasError = true;
-            }
+        if (!pinnedCheckWords) {
+            elements.fingerprintStatus.textContent = 'Check words for this phrase. Same phrase, same words; pin them to be warned about typos.';
+        } else if (words === pinnedCheckWords) {
+            elements.fingerprintStatus.textContent = '✓ Matches your pinned check words.';
+        } else {
+            elements.fingerprintStatus.textContent = 'Does not match your pinned check words (' + pinnedCheckWords + '). Check for a typo.';
         }
+        elements.phraseFingerprint.classList.toggle('is-mismatch', Boolean(pinnedCheckWords) && words !== pinnedCheckWords);
+    }
 
-        if (!masterPhrase) {
-            showFieldError(elements.masterPhrase, elements.masterPhraseError, 'Please enter your master phrase.');
-            if (!hasError) {
-                elements.masterPhrase.focus();
-                hasError = true;
+    /**
+     * Pin the check words of the typed phrase, or unpin the pinned ones.
+     */
+    async function togglePinnedCheckWords() {
+        if (pinnedCheckWords) {
+            if (!confirmAction('Stop checking phrases against "' + pinnedCheckWords + '"?')) return;
+            pinnedCheckWords = null;
+        } else {
+            let fingerprint;
+            try {
+                fingerprint = await getPhraseFingerprint(elements.masterPhrase.value);
+            } catch (error) {
+                return; // Replaced by a newer check
             }
+            pinnedCheckWords = Core.normalizeCheckWords(fingerprint.words);
         }
 
-        // Validate version is a positive integer
-        const versionNum = parseInt(version, 10);
-        if (isNaN(versionNum) || versionNum < 1) {
-            showFieldError(elements.version, elements.versionError, 'Version must be 1 or greater.');
-            elements.version.value = '1';
-            if (!hasError) {
-                elements.version.focus();
-                hasError = true;
+        try {
+            if (pinnedCheckWords) {
+                window.localStorage.setItem(CONFIG.CHECK_WORDS_STORAGE_KEY, pinnedCheckWords);
+            } else {
+                window.localStorage.removeItem(CONFIG.CHECK_WORDS_STORAGE_KEY);
             }
+        } catch (error) {
+            // Storage blocked: the pin lasts for this session only
         }
-
-        if (hasError) {
-            return;
+        if (fingerprintCache) {
+            renderFingerprint(fingerprintCache.fingerprint);
         }
+    }
 
-        // Harden the master phrase (normalize + strengthen)
-        const hardenedPhrase = hardenPhrase(masterPhrase);
+    /**
+     * Check a phrase against the pinned check words before generating.
+     *
+     * @param {string} phrase - Phrase about to be used
+     * @returns {Promise<boolean>} - True if nothing is pinned or the words match
+     */
+    async function checkPinnedFingerprint(phrase) {
+        if (!pinnedCheckWords) return true;
 
-        // Normalize site
-        const normalizedSite = normalizeSite(site);
+        const words = Core.normalizeCheckWords((await getPhraseFingerprint(phrase)).words);
+        if (words === pinnedCheckWords) return true;
 
-        // Construct salt with domain separation
-        const salt = CONFIG.SALT_PREFIX + normalizedSite + '::' + version;
+        showFieldError(elements.masterPhrase, elements.masterPhraseError,
+            'This phrase gives the check words "' + words + '", not your pinned "' + pinnedCheckWords + '". Check for a typo, or unpin them.');
+        elements.masterPhrase.focus();
+        return false;
+    }
 
-        // Get iterations based on security level
-        const iterations = CONFIG.ITERATIONS[securityLevel] || CONFIG.ITERATIONS.standard;
+    // =========================================================================
+    // SECOND SECRET
+    // =========================================================================
 
-        // Show generating state
-        elements.generateBtn.disabled = true;
-        elements.generateBtn.classList.add('loading');
+    /**
+     * Show the input for the chosen source and which secret is active.
+     */
+    function renderSecondSecret() {
+        const source = elements.secondSecretSource.value;
+        elements.keyfileGroup.style.display = source === 'keyfile' ? '' : 'none';
+        elements.recoveryCodeGroup.style.display = source === 'code' ? '' : 'none';
+        elements.chooseKeyfileBtn.textContent = secondSecret && secondSecret.source === 'keyfile'
+            ? 'Choose another keyfile…'
+            : 'Choose keyfile…';
+
+        if (secondSecret) {
+            elements.secondSecretStatus.textContent = (secondSecret.source === 'keyfile'
+                ? 'Keyfile "' + secondSecret.name + '" active'
+                : 'Recovery code active') + ' · fingerprint ' + secondSecret.fingerprint;
+        } else if (source) {
+            elements.secondSecretStatus.textContent = source === 'keyfile'
+                ? 'No keyfile chosen: choose one under Advanced Options.'
+                : 'No recovery code entered: enter it under Advanced Options.';
+        } else {
+            elements.secondSecretStatus.textContent = '';
+        }
+    }
 
-        try {
-            // Derive bytes using PBKDF2 with hardened phrase
-            const derivedBytes = await deriveBytes(hardenedPhrase, salt, iterations);
+    /**
+     * Use a keyfile or recovery code from now on.
+     * @param {{source: string, secret: Uint8Array, name?: string, fingerprint: string}} entry - Secret and what to show for it
+     */
+    function setSecondSecret(entry) {
+        secondSecret = entry;
+        clearFieldError(elements.secondSecretSource, elements.secondSecretError);
+        clearFieldError(elements.recoveryCode, elements.secondSecretError);
+        renderSecondSecret();
+    }
 
-            // Generate password from derived bytes
-            const password = generatePasswordFromBytes(derivedBytes, length);
+    /**
+     * Forget the keyfile or recovery code. The chosen source stays, so the
+     * next password asks for it again instead of coming from the phrase alone.
+     */
+    function clearSecondSecret() {
+        secondSecret = null;
+        elements.keyfileInput.value = '';
+        elements.recoveryCode.value = '';
+        elements.recoveryCodeWarning.style.display = 'none';
+        renderSecondSecret();
+    }
 
-            // Display result
-            elements.generatedPassword.value = password;
-            elements.outputSection.style.display = 'block';
-            elements.normalizedSite.textContent = normalizedSite;
+    /**
+     * Read a keyfile chosen in the file picker.
+     * @param {File} file - The chosen file
+     */
+    async function loadKeyfile(file) {
+        clearSecondSecret();
+        clearFieldError(elements.secondSecretSource, elements.secondSecretError);
+
+        if (!file.size || file.size > Core.KEYFILE_MAX_BYTES) {
+            showFieldError(elements.secondSecretSource, elements.secondSecretError, file.size
+                ? 'Keyfiles can be up to ' + Math.round(Core.KEYFILE_MAX_BYTES / 1048576) + ' MiB; choose a smaller file.'
+                : 'This file is empty; choose another keyfile.');
+            return;
+        }
 
-            // Remember phrase if option is enabled
-            if (elements.rememberPhrase.checked) {
-                rememberedPhrase = masterPhrase;
-            }
+        try {
+            const secret = new Uint8Array(await file.arrayBuffer());
+            setSecondSecret({
+                source: 'keyfile',
+                secret: secret,
+                name: file.name,
+                fingerprint: await Core.secondSecretFingerprint(secret)
+            });
+        } catch (error) {
+            showFieldError(elements.secondSecretSource, elements.secondSecretError, 'Could not read the keyfile: ' + error.message);
+        }
+    }
 
-            // Clear master phrase input if not remembering
-            if (!elements.rememberPhrase.checked) {
-                elements.masterPhrase.value = '';
-            }
+    /**
+     * Decode the typed recovery code, if it is complete.
+     * @param {boolean} showErrors - Report a code that does not decode (when leaving the field)
+     */
+    async function readRecoveryCode(showErrors) {
+        const code = elements.recoveryCode.value;
+        secondSecret = null;
+        clearFieldError(elements.recoveryCode, elements.secondSecretError);
+        renderSecondSecret();
+        if (!code.trim()) return;
 
-            // Start auto-clear timer
+        try {
+            const secret = await Core.parseRecoveryCode(code);
+            const fingerprint = await Core.secondSecretFingerprint(secret);
+            if (elements.recoveryCode.value !== code) return; // Edited meanwhile
+            setSecondSecret({ source: 'code', secret: secret, fingerprint: fingerprint });
+        } catch (error) {
+            if (showErrors && elements.recoveryCode.value === code) {
+                showFieldError(elements.recoveryCode, elements.secondSecretError, error.message);
+            }
+        }
+    }
+
+    /**
+     * Fill in a new random recovery code for the user to write down.
+     */
+    async function newRecoveryCode() {
+        if (secondSecret && secondSecret.source === 'code' &&
+            !confirmAction('Replace this recovery code? Passwords made with it need it to be generated again.')) {
+            return;
+        }
+
+        const generated = await Core.generateRecoveryCode();
+        elements.recoveryCode.value = generated.code;
+        setSecondSecret({
+            source: 'code',
+            secret: generated.secret,
+            fingerprint: await Core.secondSecretFingerprint(generated.secret)
+        });
+        elements.recoveryCodeWarning.style.display = 'block';
+    }
+
+    /**
+     * Check that the chosen second secret is there before generating.
+     * @returns {boolean} - False after showing an error
+     */
+    function checkSecondSecret() {
+        const source = elements.secondSecretSource.value;
+        if (!source || secondSecret) return true;
+
+        showFieldError(elements.secondSecretSource, elements.secondSecretError, source === 'keyfile'
+            ? 'Choose your keyfile, or set Second secret to None.'
+            : 'Enter your recovery code, or set Second secret to None.');
+        return false;
+    }
+
+    // =========================================================================
+    // IDENTITIES
+    // =========================================================================
+
+    /**
+     * Load identities from localStorage. They are stored once the user adds one.
+     */
+    function loadIdentities() {
+        try {
+            identities = Core.parseIdentities(window.localStorage.getItem(CONFIG.IDENTITIES_STORAGE_KEY));
+        } catch (error) {
+            identities = []; // Storage blocked: none saved
+        }
+    }
+
+    /**
+     * Save identities, or remove the store when the last one is deleted.
+     * @returns {boolean} - False if the browser refused
+     */
+    function storeIdentities() {
+        try {
+            if (identities.length) {
+                window.localStorage.setItem(CONFIG.IDENTITIES_STORAGE_KEY, Core.serializeIdentities(identities));
+            } else {
+                window.localStorage.removeItem(CONFIG.IDENTITIES_STORAGE_KEY);
+            }
+            return true;
+        } catch (error) {
+            elements.identityStatus.textContent = 'This browser does not allow saving identities; they last for this session only.';
+            return false;
+        }
+    }
+
+    /**
+     * Get the identity selected in the form.
+     * @returns {Object|null} - The identity, or null for Default
+     */
+    function getSelectedIdentity() {
+        return Core.findIdentity(identities, elements.identity.value) || null;
+    }
+
+    /**
+     * Summarize an identity's default settings.
+     * @param {Object} defaults - From Core.normalizeIdentityDefaults()
+     * @returns {string} - e.g. "20 chars · High"
+     */
+    function describeIdentityDefaults(defaults) {
+        let size = defaults.length + ' chars';
+        if (defaults.format === 'passphrase') {
+            size = defaults.passphrase.length !== undefined
+                ? 'passphrase of ' + defaults.passphrase.length + '+ chars'
+                : defaults.passphrase.words + ' words';
+        } else if (defaults.format) {
+            size = Core.OUTPUT_FORMATS[defaults.format].label + ', ' + size;
+        }
+        return size + ' · ' + Core.SECURITY_LEVELS[defaults.securityLevel].label +
+            (defaults.normalization !== Core.DEFAULT_NORMALIZATION ? ' · site names ' + defaults.normalization : '');
+    }
+
+    /**
+     * Show an identity's color on an element (through --identity-color).
+     * @param {HTMLElement} element - Badge or swatch
+     * @param {Object|null} identity - Identity, or null for Default
+     */
+    function setIdentityColor(element, identity) {
+        if (identity) {
+            element.style.setProperty('--identity-color', Core.IDENTITY_COLORS[identity.color]);
+        } else {
+            element.style.removeProperty('--identity-color');
+        }
+    }
+
+    /**
+     * Render the identity picker and the list of identities.
+     * @param {string} [selectId] - Identity to select; by default the selection is kept if it still exists
+     */
+    function renderIdentities(selectId) {
+        const selectedId = selectId !== undefined ? selectId : elements.identity.value;
+
+        elements.identity.textContent = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default';
+        elements.identity.appendChild(defaultOption);
+        identities.forEach(identity => {
+            const option = document.createElement('option');
+            option.value = identity.id;
+            option.textContent = identity.name;
+            elements.identity.appendChild(option);
+        });
+        elements.identity.value = Core.findIdentity(identities, selectedId) ? selectedId : '';
+        const selected = getSelectedIdentity();
+
+        elements.identityGroup.style.display = identities.length ? 'block' : 'none';
+        elements.saveIdentityDefaultsBtn.style.display = selected ? 'inline-flex' : 'none';
+        setIdentityColor(elements.identitySwatch, selected);
+
+        elements.identityList.textContent = '';
+        identities.forEach(identity => {
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+
+            const info = document.createElement('div');
+            info.className = 'profile-info';
+            const name = document.createElement('span');
+            name.className = 'identity-badge';
+            name.textContent = identity.name;
+            setIdentityColor(name, identity);
+            const details = document.createElement('small');
+            details.className = 'hint';
+            details.textContent = identity.defaults
+                ? 'Defaults: ' + describeIdentityDefaults(identity.defaults)
+                : 'No defaults saved';
+            info.appendChild(name);
+            info.appendChild(details);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-small btn-ghost';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.setAttribute('aria-label', 'Delete identity ' + identity.name);
+            deleteBtn.addEventListener('click', function() {
+                deleteIdentity(identity);
+            });
+
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            elements.identityList.appendChild(item);
+        });
+    }
+
+    /**
+     * Fill the form with the selected identity's defaults. A site profile
+     * shown in the form stays; the defaults come back when it no longer
+     * applies. An identity without defaults leaves the form as it is.
+     */
+    function applyIdentityDefaults() {
+        const identity = getSelectedIdentity();
+        if (!identity || !identity.defaults) return;
+
+        const defaults = identity.defaults;
+        const settings = Object.assign(getFormSettings(), {
+            normalization: defaults.normalization,
+            length: defaults.length,
+            charsets: defaults.charsets,
+            securityLevel: defaults.securityLevel,
+            kdfCosts: defaults.kdfCosts,
+            algorithm: defaults.algorithm,
+            format: defaults.format || 'password',
+            passphrase: defaults.passphrase
+        });
+
+        if (appliedProfileKey !== null) {
+            settingsBeforeProfile = settings;
+        } else {
+            applyFormSettings(settings);
+        }
+    }
+
+    /**
+     * Add an identity from the name and color fields, and select it.
+     */
+    function addIdentity() {
+        clearFieldError(elements.identityName, elements.identityError);
+        elements.identityStatus.textContent = '';
+
+        let identity;
+        try {
+            identity = Core.createIdentity({ name: elements.identityName.value, color: elements.identityColor.value });
+        } catch (error) {
+            showFieldError(elements.identityName, elements.identityError, error.message);
+            elements.identityName.focus();
+            return;
+        }
+        if (Core.findIdentity(identities, identity.id)) {
+            showFieldError(elements.identityName, elements.identityError, 'There is already an identity named "' + identity.name + '".');
+            elements.identityName.focus();
+            return;
+        }
+
+        identities = identities.concat([identity]);
+        elements.identityName.value = '';
+        renderIdentities(identity.id);
+        cancelDerivation();
+        clearOutput();
+        if (storeIdentities()) {
+            elements.identityStatus.textContent = 'Added ' + identity.name + '. Save its defaults once the form shows the settings you want for it.';
+        }
+    }
+
+    /**
+     * Delete an identity. Adding one with the same name brings its passwords back.
+     * @param {Object} identity - Identity to delete
+     */
+    function deleteIdentity(identity) {
+        if (!confirmAction('Delete the identity "' + identity.name + '"?\n\n' +
+            'Its passwords come back if you add an identity with the same name.')) {
+            return;
+        }
+
+        const wasSelected = getSelectedIdentity() === identity;
+        identities = identities.filter(entry => entry !== identity);
+        renderIdentities();
+        if (wasSelected) {
+            cancelDerivation();
+            clearOutput();
+        }
+        if (storeIdentities()) {
+            elements.identityStatus.textContent = 'Deleted ' + identity.name + '.';
+        }
+    }
+
+    /**
+     * Save the form's settings as the selected identity's defaults.
+     */
+    function saveIdentityDefaults() {
+        const identity = getSelectedIdentity();
+        if (!identity) return;
+
+        clearFieldError(elements.identityName, elements.identityError);
+        let updated;
+        try {
+            updated = Core.createIdentity(Object.assign({}, identity, { defaults: getFormSettings() }));
+        } catch (error) {
+            elements.identityError.textContent = 'Not saved: ' + error.message;
+            return;
+        }
+
+        identities = identities.map(entry => entry === identity ? updated : entry);
+        renderIdentities();
+        if (storeIdentities()) {
+            elements.identityStatus.textContent = 'Saved defaults for ' + updated.name + ': ' + describeIdentityDefaults(updated.defaults) + '.';
+        }
+    }
+
+    /**
+     * Show which identity produced the output. Without any identities
+     * there is nothing to tell apart, so no badge is shown.
+     * @param {Object|null} identity - Identity used, or null for Default
+     */
+    function renderOutputIdentity(identity) {
+        elements.identityBadge.style.display = identities.length ? 'inline-block' : 'none';
+        elements.identityBadge.textContent = identity ? identity.name : 'Default';
+        setIdentityColor(elements.identityBadge, identity);
+        setIdentityColor(elements.outputSection, identity);
+        elements.outputSection.classList.toggle('has-identity', Boolean(identity));
+    }
+
+    // =========================================================================
+    // RECOVERY KIT
+    // =========================================================================
+
+    /**
+     * Draw a QR code as SVG, with its four-module quiet zone.
+     * @param {{size: number, modules: boolean[]}} code - From Core.encodeQrCode()
+     * @returns {SVGElement} - The code
+     */
+    function renderQrCode(code) {
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const width = code.size + 8;
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.setAttribute('class', 'kit-qr');
+        svg.setAttribute('viewBox', '0 0 ' + width + ' ' + width);
+        svg.setAttribute('shape-rendering', 'crispEdges');
+
+        const background = document.createElementNS(svgNs, 'rect');
+        background.setAttribute('width', String(width));
+        background.setAttribute('height', String(width));
+        background.setAttribute('fill', '#fff');
+        svg.appendChild(background);
+
+        let path = '';
+        code.modules.forEach((dark, index) => {
+            if (dark) path += 'M' + (index % code.size + 4) + ' ' + (Math.floor(index / code.size) + 4) + 'h1v1h-1z';
+        });
+        const modules = document.createElementNS(svgNs, 'path');
+        modules.setAttribute('d', path);
+        modules.setAttribute('fill', '#000');
+        svg.appendChild(modules);
+        return svg;
+    }
+
+    /**
+     * Show a new kit: each share with its words and QR code.
+     * @param {Object} kit - From Core.createRecoveryKit()
+     */
+    function renderRecoveryKit(kit) {
+        elements.kitShares.textContent = '';
+        kit.shares.forEach(share => {
+            const item = document.createElement('li');
+            item.className = 'kit-share';
+
+            const title = document.createElement('strong');
+            title.className = 'kit-share-title';
+            title.textContent = 'Password Mint recovery share ' + share.number + ' of ' + kit.shares.length;
+            const about = document.createElement('small');
+            about.className = 'hint';
+            about.textContent = 'Kit ' + kit.id + ' · any ' + kit.threshold + ' shares rebuild the master phrase · check words: ' + kit.checkWords;
+
+            const body = document.createElement('div');
+            body.className = 'kit-share-body';
+            try {
+                const qr = renderQrCode(Core.encodeQrCode(share.code));
+                qr.setAttribute('role', 'img');
+                qr.setAttribute('aria-label', 'QR code of share ' + share.number);
+                body.appendChild(qr);
+            } catch (error) {
+                about.textContent += ' · too long for a QR code, use the words';
+            }
+            const words = document.createElement('ol');
+            words.className = 'kit-words';
+            share.words.split(' ').forEach(word => {
+                const entry = document.createElement('li');
+                entry.textContent = word;
+                words.appendChild(entry);
+            });
+            body.appendChild(words);
+
+            item.append(title, about, body);
+            elements.kitShares.appendChild(item);
+        });
+        elements.kitOutput.style.display = 'block';
+    }
+
+    /**
+     * Split the typed phrase into a new kit, once its fingerprint is known
+     * (and matches the pinned check words, so a typo is never shared).
+     */
+    async function createKit() {
+        const phrase = elements.masterPhrase.value;
+        clearFieldError(elements.kitThreshold, elements.recoveryKitError);
+        clearFieldError(elements.kitShareCount, elements.recoveryKitError);
+
+        if (!phrase.trim()) {
+            showFieldError(elements.kitThreshold, elements.recoveryKitError, rememberedKey
+                ? 'The remembered phrase cannot be read back: type it above to make a kit.'
+                : 'Type your master phrase above first.');
+            return;
+        }
+
+        hideKit();
+        elements.createKitBtn.disabled = true;
+        elements.recoveryKitStatus.textContent = 'Checking phrase…';
+        try {
+            const fingerprint = await getPhraseFingerprint(phrase);
+            const words = Core.normalizeCheckWords(fingerprint.words);
+            if (pinnedCheckWords && words !== pinnedCheckWords) {
+                elements.recoveryKitStatus.textContent = '';
+                showFieldError(elements.kitThreshold, elements.recoveryKitError,
+                    'This phrase gives the check words "' + words + '", not your pinned "' + pinnedCheckWords + '". Fix the typo before making a kit.');
+                return;
+            }
+
+            const kit = await Core.createRecoveryKit(phrase, {
+                threshold: parseInt(elements.kitThreshold.value, 10),
+                shares: parseInt(elements.kitShareCount.value, 10),
+                checkWords: fingerprint.words
+            });
+            renderRecoveryKit(kit);
+            elements.recoveryKitStatus.textContent = 'Kit ' + kit.id + ': ' + kit.shares.length + ' shares, any ' + kit.threshold +
+                ' rebuild the phrase. Print or copy each share, then hide the kit.';
+            startAutoClearTimer();
+        } catch (error) {
+            elements.recoveryKitStatus.textContent = '';
+            if (!error.cancelled) {
+                showFieldError(elements.kitThreshold, elements.recoveryKitError, error.message);
+            }
+        } finally {
+            elements.createKitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Print only the kit's shares, one per page.
+     */
+    function printKit() {
+        document.body.classList.add('printing-kit');
+        window.addEventListener('afterprint', function() {
+            document.body.classList.remove('printing-kit');
+        }, { once: true });
+        window.print();
+    }
+
+    function hideKit() {
+        elements.kitShares.textContent = '';
+        elements.kitOutput.style.display = 'none';
+        elements.recoveryKitStatus.textContent = '';
+    }
+
+    /**
+     * Show or hide the rebuilt phrase.
+     * @param {string|null} phrase - Phrase rebuilt from shares, or null to forget it
+     */
+    function setRecoveredPhrase(phrase) {
+        recoveredPhrase = phrase;
+        elements.recoveredPhrase.textContent = '';
+        elements.recoveredPhrase.style.display = 'none';
+        elements.showRecoveredBtn.textContent = 'Show phrase';
+        elements.recoveredGroup.style.display = phrase ? 'block' : 'none';
+    }
+
+    /**
+     * Rebuild the phrase from the entered shares, and accept it only if its
+     * fingerprint gives the check words the shares carry.
+     */
+    async function rebuildPhrase() {
+        const text = elements.recoveryShares.value;
+        setRecoveredPhrase(null);
+        clearFieldError(elements.recoveryShares, elements.recoverError);
+
+        elements.recoverPhraseBtn.disabled = true;
+        try {
+            const recovered = await Core.combineRecoveryShares(Core.splitRecoveryShares(text));
+            elements.recoverPhraseBtn.textContent = 'Checking phrase…';
+            const words = Core.normalizeCheckWords((await getPhraseFingerprint(recovered.phrase)).words);
+            if (elements.recoveryShares.value !== text) return; // Edited meanwhile
+            if (words !== recovered.checkWords) {
+                showFieldError(elements.recoveryShares, elements.recoverError,
+                    'The rebuilt phrase gives the check words "' + words + '", not the kit\'s "' + recovered.checkWords + '". Do not use it; check the shares.');
+                return;
+            }
+
+            setRecoveredPhrase(recovered.phrase);
+            elements.recoverStatus.textContent = '✓ Rebuilt from kit ' + recovered.id + '; its check words "' + words + '" match.' +
+                (pinnedCheckWords && words !== pinnedCheckWords ? ' They are not your pinned check words (' + pinnedCheckWords + ').' : '');
+            startAutoClearTimer();
+        } catch (error) {
+            if (!error.cancelled) {
+                showFieldError(elements.recoveryShares, elements.recoverError, error.message);
+            }
+        } finally {
+            elements.recoverPhraseBtn.disabled = false;
+            elements.recoverPhraseBtn.textContent = 'Rebuild phrase';
+        }
+    }
+
+    /**
+     * Put the rebuilt phrase in the master phrase field, and forget the shares.
+     */
+    function useRecoveredPhrase() {
+        const phrase = recoveredPhrase;
+        elements.recoveryShares.value = '';
+        setRecoveredPhrase(null);
+        elements.masterPhrase.value = phrase;
+        clearFieldError(elements.masterPhrase, elements.masterPhraseError);
+        scheduleFingerprint();
+        updatePhraseStrength();
+        elements.masterPhrase.focus();
+    }
+
+    /**
+     * Forget the kit shown, the entered shares and any rebuilt phrase.
+     */
+    function clearRecoveryKit() {
+        hideKit();
+        clearFieldError(elements.kitThreshold, elements.recoveryKitError);
+        clearFieldError(elements.kitShareCount, elements.recoveryKitError);
+        elements.recoveryShares.value = '';
+        clearFieldError(elements.recoveryShares, elements.recoverError);
+        setRecoveredPhrase(null);
+    }
+
+    // =========================================================================
+    // BATCH EXPORT
+    // =========================================================================
+
+    /**
+     * Show how far a batch has got.
+     * @param {number} fraction - Done (0-1)
+     * @param {number} total - Sites in the list
+     */
+    function setBatchProgress(fraction, total) {
+        const percent = Math.round(fraction * 100);
+        elements.batchProgressBar.style.width = percent + '%';
+        elements.batchProgressTrack.setAttribute('aria-valuenow', String(percent));
+        elements.batchStatus.textContent = 'Deriving ' + Math.min(total, Math.floor(fraction * total) + 1) + ' of ' + total + '…';
+    }
+
+    /**
+     * List the sites a batch could not derive.
+     * @param {{line: number, site: string, message: string}[]} errors - From Core.deriveBatch()
+     */
+    function renderBatchErrors(errors) {
+        elements.batchErrors.textContent = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = 'Line ' + error.line + ' (' + error.site + '): ' + error.message;
+            elements.batchErrors.appendChild(item);
+        });
+    }
+
+    /**
+     * Save derived entries as a file, then wipe what a page can: the file's
+     * bytes are zeroed once the download has its copy, its URL is revoked and
+     * the entries are emptied. Strings cannot be overwritten from a script,
+     * so the passwords' text is left to garbage collection.
+     *
+     * @param {Object[]} entries - From Core.deriveBatch(); emptied here
+     * @param {Object} format - From Core.getExportFormat()
+     */
+    function downloadBatch(entries, format) {
+        let bytes;
+        try {
+            bytes = new TextEncoder().encode(Core.exportBatch(entries, format.id));
+        } finally {
+            entries.forEach(entry => { entry.password = ''; });
+            entries.length = 0;
+        }
+
+        const url = URL.createObjectURL(new Blob([bytes], { type: format.mimeType }));
+        bytes.fill(0);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'password-mint-' + format.id + '-' + new Date().toISOString().slice(0, 10) + '.' + format.extension;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Derive every listed site with the phrase and settings above, and save
+     * the passwords at once in a password manager's import format. Only a
+     * summary is shown; the passwords never reach the page.
+     */
+    async function exportBatchFile() {
+        // Never export while derivation is known (or not yet known) to be correct
+        await selfTestPromise;
+        if (selfTestFailed) {
+            return;
+        }
+
+        const masterPhrase = elements.rememberPhrase.checked && rememberedKey
+            ? rememberedKey
+            : elements.masterPhrase.value;
+        const typedPhrase = typeof masterPhrase === 'string';
+        const format = Core.getExportFormat(elements.batchFormat.value);
+
+        clearFieldError(elements.batchList, elements.batchListError);
+        clearFieldError(elements.masterPhrase, elements.masterPhraseError);
+        renderBatchErrors([]);
+        elements.batchStatus.textContent = '';
+
+        let entries;
+        try {
+            entries = Core.parseBatch(elements.batchList.value);
+        } catch (error) {
+            showFieldError(elements.batchList, elements.batchListError, error.message);
+            elements.batchList.focus();
+            return;
+        }
+
+        if (!masterPhrase) {
+            showFieldError(elements.masterPhrase, elements.masterPhraseError, 'Please enter your master phrase.');
+            elements.masterPhrase.focus();
+            return;
+        }
+
+        if (!checkSecondSecret()) {
+            elements.advancedOptions.open = true;
+            elements.secondSecretSource.focus();
+            return;
+        }
+
+        // The checks one password gets, before the phrase makes many
+        if (typedPhrase && elements.blockWeakPhrase.checked) {
+            const assessment = assessMasterPhrase(masterPhrase);
+            if (assessment.weak) {
+                showFieldError(elements.masterPhrase, elements.masterPhraseError,
+                    'This phrase could be cracked in ' + assessment.crackTime + ' at this security level. ' +
+                    'Choose a stronger one, or stop refusing weak phrases in Advanced Options.');
+                elements.masterPhrase.focus();
+                return;
+            }
+        }
+
+        try {
+            if (typedPhrase && !await checkPinnedFingerprint(masterPhrase)) return;
+        } catch (error) {
+            if (error.cancelled) return;
+            showFieldError(elements.masterPhrase, elements.masterPhraseError, 'Error: ' + error.message);
+            return;
+        }
+
+        if (!confirmAction('Derive ' + entries.length + ' password(s) and save them in plain text for ' + format.label + '?\n\n' +
+            'Anyone who gets the file has all these accounts. Import it right away, then delete it and empty the trash.')) {
+            return;
+        }
+
+        // The form gives the defaults; the version, rules and extra fields belong to its one site
+        const settings = getFormSettings();
+        const identity = getSelectedIdentity();
+        const job = startCoreJob('batch', {
+            phrase: masterPhrase,
+            secondSecret: secondSecret ? secondSecret.secret : undefined,
+            entries: entries,
+            defaults: {
+                normalization: settings.normalization,
+                aliases: siteAliases,
+                identity: identity ? identity.name : undefined,
+                length: settings.length,
+                charsets: settings.charsets,
+                securityLevel: settings.securityLevel,
+                kdfCosts: settings.kdfCosts,
+                algorithm: settings.algorithm,
+                format: settings.format,
+                passphrase: settings.passphrase
+            },
+            profiles: profiles || undefined
+        }, function(fraction) {
+            if (batchJob === job) setBatchProgress(fraction, entries.length);
+        });
+        batchJob = job;
+
+        elements.batchExportBtn.disabled = true;
+        elements.batchProgress.style.display = 'block';
+        setBatchProgress(0, entries.length);
+
+        try {
+            const result = await job.promise;
+            renderBatchErrors(result.errors);
+            if (!result.entries.length) {
+                elements.batchStatus.textContent = 'No site could be derived, so nothing was saved.';
+                return;
+            }
+
+            const count = result.entries.length;
+            downloadBatch(result.entries, format);
+
+            // The phrase has done its work, as after generating one password
+            if (typedPhrase && elements.rememberPhrase.checked) {
+                setRememberedKey(await Core.importMasterPhrase(masterPhrase));
+            }
+            if (typedPhrase) {
+                elements.masterPhrase.value = '';
+                clearFingerprint();
+                updatePhraseStrength();
+            }
+            elements.batchStatus.textContent = 'Saved ' + count + ' password(s) for ' + format.label +
+                (result.errors.length ? '; the ' + result.errors.length + ' site(s) below were left out' : '') +
+                '. Delete the file once it is imported.';
+        } catch (error) {
+            if (!error.cancelled) {
+                elements.batchStatus.textContent = 'Export failed: ' + error.message;
+            }
+        } finally {
+            if (batchJob === job) {
+                batchJob = null;
+                elements.batchExportBtn.disabled = false;
+                elements.batchProgress.style.display = 'none';
+            }
+        }
+    }
+
+    /**
+     * Stop a batch in progress; nothing it derived is saved.
+     */
+    function cancelBatch() {
+        if (!batchJob) return;
+
+        batchJob.cancel();
+        batchJob = null;
+        elements.batchExportBtn.disabled = false;
+        elements.batchProgress.style.display = 'none';
+        elements.batchStatus.textContent = 'Export stopped; nothing was saved.';
+    }
+
+    // =========================================================================
+    // SITE PROFILES
+    // =========================================================================
+
+    /**
+     * Load profiles from localStorage. Profiles are on when a store exists.
+     */
+    function loadProfiles() {
+        let stored = null;
+        try {
+            stored = window.localStorage.getItem(CONFIG.PROFILES_STORAGE_KEY);
+        } catch (error) {
+            // Storage blocked (e.g. by privacy settings): profiles stay off
+        }
+        profiles = stored === null ? null : Core.parseProfiles(stored);
+        siteAliases = Core.parseAliases(stored);
+    }
+
+    /**
+     * Write profiles to localStorage, or remove the store when profiles are off.
+     * @returns {boolean} - False if the browser refused
+     */
+    function storeProfiles() {
+        try {
+            if (profiles) {
+                window.localStorage.setItem(CONFIG.PROFILES_STORAGE_KEY, Core.serializeProfiles(profiles, siteAliases));
+            } else {
+                window.localStorage.removeItem(CONFIG.PROFILES_STORAGE_KEY);
+            }
+            return true;
+        } catch (error) {
+            elements.profileStatus.textContent = 'This browser does not allow saving profiles.';
+            return false;
+        }
+    }
+
+    /**
+     * Format a profile's rotation date for display.
+     * @param {Object} profile - Site profile
+     * @returns {string} - e.g. "Mar 1, 2026"
+     */
+    function formatRotatedAt(profile) {
+        return new Date(profile.rotatedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Summarize a profile's settings in one line.
+     * @param {Object} profile - Site profile
+     * @returns {string} - e.g. "v2 · 20 chars · Standard (210k iterations) · rotated Mar 1, 2026"
+     */
+    function describeProfile(profile) {
+        let size = profile.length + ' chars';
+        if (profile.format === 'passphrase') {
+            size = profile.passphrase.length !== undefined
+                ? 'passphrase of ' + profile.passphrase.length + '+ chars'
+                : profile.passphrase.words + ' words';
+        } else if (profile.format) {
+            size = Core.OUTPUT_FORMATS[profile.format].label + ', ' + size;
+        }
+        return 'v' + profile.version + ' · ' + size + ' · ' +
+            Core.SECURITY_LEVELS[profile.securityLevel].label + ' · ' +
+            (profile.normalization ? 'site names ' + profile.normalization + ' · ' : '') +
+            (profile.fields ? profile.fields.length + ' extra field(s) · ' : '') +
+            'rotated ' + formatRotatedAt(profile);
+    }
+
+    /**
+     * Name a profile for the list: its site, and the account and identity it is for.
+     *
+     * @param {Object} profile - Site profile
+     * @returns {string} - e.g. "github.com · me@work.com · work"
+     */
+    function describeProfileOwner(profile) {
+        return profile.site +
+            (profile.account ? ' · ' + profile.account : '') +
+            (profile.identity ? ' · ' + profile.identity : '');
+    }
+
+    /**
+     * Render the site suggestions and the profile list.
+     */
+    function renderProfiles() {
+        const keys = profiles ? Object.keys(profiles).sort() : [];
+        const sites = new Set(keys.map(key => profiles[key].site));
+
+        elements.saveProfiles.checked = profiles !== null;
+        elements.profileManager.style.display = profiles ? 'block' : 'none';
+        elements.siteProfiles.textContent = '';
+        elements.profileList.textContent = '';
+
+        sites.forEach(site => {
+            const option = document.createElement('option');
+            option.value = site;
+            elements.siteProfiles.appendChild(option);
+        });
+
+        keys.forEach(key => {
+            const profile = profiles[key];
+            const label = describeProfileOwner(profile);
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+
+            const info = document.createElement('div');
+            info.className = 'profile-info';
+            const name = document.createElement('span');
+            name.className = 'profile-site';
+            name.textContent = label;
+            const details = document.createElement('small');
+            details.className = 'hint';
+            details.textContent = describeProfile(profile);
+            info.appendChild(name);
+            info.appendChild(details);
+
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'btn btn-small btn-ghost';
+            editBtn.textContent = 'Edit';
+            editBtn.setAttribute('aria-label', 'Edit settings for ' + label);
+            editBtn.addEventListener('click', function() {
+                editProfile(profile);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-small btn-ghost';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.setAttribute('aria-label', 'Delete settings for ' + label);
+            deleteBtn.addEventListener('click', function() {
+                deleteProfile(key);
+            });
+
+            item.appendChild(info);
+            item.appendChild(editBtn);
+            item.appendChild(deleteBtn);
+            elements.profileList.appendChild(item);
+        });
+
+        if (profiles && !keys.length) {
+            const empty = document.createElement('li');
+            empty.className = 'hint';
+            empty.textContent = 'No saved sites yet. Settings are saved each time you generate.';
+            elements.profileList.appendChild(empty);
+        }
+    }
+
+    /**
+     * Get the account and identity in the form, which a profile is saved for.
+     * @returns {{account: string, identity: (string|undefined)}} - As typed and selected
+     */
+    function getProfileOwner() {
+        const identity = getSelectedIdentity();
+        return { account: elements.account.value, identity: identity ? identity.name : undefined };
+    }
+
+    /**
+     * Prefill the form from the profile of the site being typed, for the
+     * account and identity in the form. The previous settings come back
+     * when no profile matches, and the site's rules follow it either way.
+     */
+    function updateSiteProfile() {
+        const site = elements.site.value.trim();
+        const owner = getProfileOwner();
+        const profile = profiles && site
+            ? Core.findProfile(profiles, site, siteAliases, owner.account, owner.identity)
+            : undefined;
+
+        if (profile) {
+            const key = Core.profileKey(profile);
+            if (appliedProfileKey === null) {
+                settingsBeforeProfile = getFormSettings();
+            }
+            if (appliedProfileKey !== key) {
+                appliedProfileKey = key;
+                applyFormSettings(profile);
+            }
+            elements.siteProfileHint.textContent = 'Saved settings loaded: ' + describeProfile(profile) + '.';
+            elements.siteProfileHint.style.display = 'block';
+            updateSitePolicy();
+            return;
+        }
+
+        if (appliedProfileKey !== null && settingsBeforeProfile) {
+            applyFormSettings(settingsBeforeProfile);
+        }
+        appliedProfileKey = null;
+        settingsBeforeProfile = null;
+        elements.siteProfileHint.style.display = 'none';
+        updateSitePolicy();
+    }
+
+    /**
+     * Save the form's settings as the profile of a site, for the account
+     * and identity in the form.
+     *
+     * @param {string} site - Raw site as typed
+     * @param {Object} settings - From getFormSettings()
+     * @returns {boolean} - False if the settings were not saved
+     */
+    function saveSiteProfile(site, settings) {
+        if (!profiles) return false;
+
+        const profileSettings = Object.assign({ site: site, aliases: siteAliases }, getProfileOwner(), settings);
+        try {
+            profiles = Core.saveProfile(profiles, profileSettings);
+        } catch (error) {
+            elements.profileStatus.textContent = 'Not saved: ' + error.message;
+            return false;
+        }
+
+        // The form now shows this profile's own settings
+        appliedProfileKey = Core.profileKey(Core.createProfile(profileSettings));
+        renderProfiles();
+        updateSiteProfile();
+        return storeProfiles();
+    }
+
+    /**
+     * Load a saved site, with its account and identity, into the form so its
+     * settings can be changed.
+     * @param {Object} profile - Site profile
+     */
+    function editProfile(profile) {
+        cancelDerivation();
+        clearOutput();
+        elements.site.value = profile.site;
+        elements.account.value = profile.account || '';
+        renderIdentities(profile.identity || '');
+        clearFieldError(elements.site, elements.siteError);
+        updateSiteProfile();
+        updateSitePreview();
+        elements.profileStatus.textContent = 'Change the settings above, then save or generate.';
+        elements.version.focus();
+    }
+
+    /**
+     * Delete a saved site profile.
+     * @param {string} key - Profile key, from Core.profileKey()
+     */
+    function deleteProfile(key) {
+        const label = describeProfileOwner(profiles[key]);
+        delete profiles[key];
+        if (appliedProfileKey === key) {
+            // Keep the form as it is, just no longer tied to a profile
+            appliedProfileKey = null;
+            settingsBeforeProfile = null;
+            elements.siteProfileHint.style.display = 'none';
+        }
+        renderProfiles();
+        if (storeProfiles()) {
+            elements.profileStatus.textContent = 'Deleted ' + label + '.';
+        }
+    }
+
+    /**
+     * Render the user's site aliases.
+     */
+    function renderAliases() {
+        const sites = Object.keys(siteAliases);
+        elements.aliasList.textContent = '';
+
+        sites.forEach(site => {
+            const canonical = siteAliases[site];
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+
+            const info = document.createElement('div');
+            info.className = 'profile-info';
+            const name = document.createElement('span');
+            name.className = 'profile-site';
+            name.textContent = site;
+            const details = document.createElement('small');
+            details.className = 'hint';
+            details.textContent = canonical === null
+                ? 'Kept out of its built-in alias group'
+                : 'Same password as ' + canonical;
+            info.appendChild(name);
+            info.appendChild(details);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-small btn-ghost';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.setAttribute('aria-label', 'Delete alias for ' + site);
+            deleteBtn.addEventListener('click', function() {
+                deleteAlias(site);
+            });
+
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            elements.aliasList.appendChild(item);
+        });
+    }
+
+    /**
+     * Replace the user's aliases and show what they change in the form.
+     * @param {Object<string, string|null>} aliases - New aliases (validated)
+     * @returns {boolean} - False if the browser refused
+     */
+    function setAliases(aliases) {
+        siteAliases = aliases;
+        renderAliases();
+        updateSiteProfile();
+        updateSitePreview();
+        return storeProfiles();
+    }
+
+    /**
+     * Add an alias from the alias fields. Both sites are read with the
+     * current site names setting; an empty target keeps the site out of its
+     * built-in alias group.
+     */
+    function addAlias() {
+        const normalization = elements.siteNames.value;
+        const rawSite = elements.aliasSite.value.trim();
+        const rawTarget = elements.aliasTarget.value.trim();
+
+        if (!rawSite) {
+            showFieldError(elements.aliasSite, elements.aliasError, 'Enter the site that should share a password.');
+            elements.aliasSite.focus();
+            return;
+        }
+
+        const site = Core.normalizeSite(rawSite, normalization);
+        const target = rawTarget ? Core.normalizeSite(rawTarget, normalization) : null;
+        if (target === null && !Core.resolveSiteAlias(site, normalization).aliasOf) {
+            showFieldError(elements.aliasTarget, elements.aliasError, site + ' has no built-in alias. Enter the site whose password it shares.');
+            elements.aliasTarget.focus();
+            return;
+        }
+
+        let aliases;
+        try {
+            aliases = Core.normalizeAliases(Object.assign({}, siteAliases, { [site]: target }));
+        } catch (error) {
+            showFieldError(target === null ? elements.aliasSite : elements.aliasTarget, elements.aliasError, error.message);
+            return;
+        }
+
+        elements.aliasSite.value = '';
+        elements.aliasTarget.value = '';
+        if (setAliases(aliases)) {
+            elements.profileStatus.textContent = target === null
+                ? site + ' now has its own password.'
+                : site + ' now shares the password of ' + Core.resolveSiteAlias(site, normalization, aliases).site + '.';
+        }
+    }
+
+    /**
+     * Delete one of the user's aliases.
+     * @param {string} site - Normalized site the alias is for
+     */
+    function deleteAlias(site) {
+        const aliases = Object.assign({}, siteAliases);
+        delete aliases[site];
+        if (setAliases(Core.normalizeAliases(aliases))) {
+            elements.profileStatus.textContent = 'Deleted the alias for ' + site + '.';
+        }
+    }
+
+    /**
+     * Turn site profiles on or off. Turning them off deletes every profile
+     * and site alias.
+     * @param {boolean} enabled - New state
+     */
+    function setProfilesEnabled(enabled) {
+        const saved = profiles ? Object.keys(profiles).length : 0;
+        const aliasCount = Object.keys(siteAliases).length;
+        if (!enabled && (saved || aliasCount) &&
+            !confirmAction('Delete the settings saved for ' + saved + ' site(s)' +
+                (aliasCount ? ' and ' + aliasCount + ' alias(es)' : '') + ' from this device?')) {
+            elements.saveProfiles.checked = true;
+            return;
+        }
+
+        profiles = enabled ? Core.parseProfiles(null) : null;
+        siteAliases = Core.normalizeAliases();
+        elements.profileStatus.textContent = '';
+        if (!storeProfiles()) {
+            profiles = null;
+        }
+        renderProfiles();
+        renderAliases();
+        updateSiteProfile();
+        updateSitePreview();
+    }
+
+    /**
+     * Get the master phrase for encrypting or decrypting an export.
+     * @returns {string|CryptoKey|null} - The phrase or remembered key, or null after showing an error
+     */
+    function getTransferPhrase() {
+        const phrase = elements.rememberPhrase.checked && rememberedKey
+            ? rememberedKey
+            : elements.masterPhrase.value;
+
+        if (!phrase) {
+            showFieldError(elements.masterPhrase, elements.masterPhraseError, 'Enter your master phrase to encrypt or decrypt profiles.');
+            elements.masterPhrase.focus();
+            return null;
+        }
+        return phrase;
+    }
+
+    /**
+     * Download all profiles as a file encrypted with the master phrase.
+     */
+    async function exportProfiles() {
+        const phrase = getTransferPhrase();
+        if (!phrase) return;
+
+        elements.exportProfilesBtn.disabled = true;
+        elements.profileStatus.textContent = 'Encrypting…';
+
+        try {
+            const text = await Core.encryptProfiles(profiles, phrase, siteAliases);
+            const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'password-mint-profiles-' + new Date().toISOString().slice(0, 10) + '.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            elements.profileStatus.textContent = 'Exported ' + Object.keys(profiles).length + ' site(s).';
+        } catch (error) {
+            elements.profileStatus.textContent = 'Export failed: ' + error.message;
+        } finally {
+            elements.exportProfilesBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Ask whether an imported profile should replace the saved one.
+     * @param {Object} current - Profile on this device
+     * @param {Object} incoming - Profile from the file
+     * @returns {boolean} - True to use the file's profile
+     */
+    function askImportConflict(current, incoming) {
+        return confirmAction(current.site + '\n\n' +
+            'On this device: ' + describeProfile(current) + '\n' +
+            'In the file: ' + describeProfile(incoming) + '\n\n' +
+            'Use the settings from the file?');
+    }
+
+    /**
+     * Decrypt an export file and merge it into the saved profiles.
+     * @param {File} file - File chosen by the user
+     */
+    async function importProfiles(file) {
+        const phrase = getTransferPhrase();
+        if (!phrase) return;
+
+        elements.importProfilesBtn.disabled = true;
+        elements.profileStatus.textContent = 'Decrypting…';
+
+        try {
+            const incoming = await Core.decryptProfileStore(await file.text(), phrase);
+            const chooseIncoming = elements.importConflict.value === 'ask'
+                ? askImportConflict
+                : Core.preferHigherVersion;
+            const result = await Core.mergeProfiles(profiles, incoming.profiles, chooseIncoming);
+            const aliasResult = Core.mergeAliases(siteAliases, incoming.aliases);
+
+            profiles = result.profiles;
+            siteAliases = aliasResult.aliases;
+            renderProfiles();
+            renderAliases();
+            updateSitePreview();
+
+            // Show the imported settings if they replaced the site being edited
+            if (result.replaced.indexOf(appliedProfileKey) !== -1) {
+                applyFormSettings(profiles[appliedProfileKey]);
+            }
+            updateSiteProfile();
+
+            if (storeProfiles()) {
+                elements.profileStatus.textContent = 'Imported: ' + result.added.length + ' new, ' +
+                    result.replaced.length + ' updated, ' + result.kept.length + ' unchanged' +
+                    (aliasResult.added.length ? '; ' + aliasResult.added.length + ' new alias(es).' : '.');
+            }
+        } catch (error) {
+            elements.profileStatus.textContent = 'Import failed: ' + error.message;
+        } finally {
+            elements.importProfilesBtn.disabled = false;
+        }
+    }
+
+    // =========================================================================
+    // DERIVATION WORKER
+    // =========================================================================
+
+    /**
+     * Create the error a cancelled job rejects with.
+     * @returns {Error} - Error with `cancelled` set
+     */
+    function cancelledError() {
+        const error = new Error('Cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Start a core job in a fresh derivation worker, or on the main thread
+     * where workers cannot load (Chromium refuses them on file://).
+     *
+     * @param {string} type - "derive", "batch", "fingerprint" or "benchmark"
+     * @param {Object} [options] - Options for Core.derivePassword() or Core.deriveBatch(), or { phrase } for a fingerprint
+     * @param {function(number)} [onProgress] - Called with progress (0-1)
+     * @returns {{promise: Promise, cancel: function()}} - Job; cancel() rejects the promise with a cancelled error
+     */
+    function startCoreJob(type, options, onProgress) {
+        const job = { cancelled: false, worker: null };
+
+        job.promise = new Promise((resolve, reject) => {
+            job.reject = reject;
+
+            function runOnMainThread() {
+                let task;
+                if (type === 'derive') {
+                    task = Core.derivePassword(Object.assign({}, options, { onProgress: onProgress }));
+                } else if (type === 'batch') {
+                    task = Core.deriveBatch(Object.assign({}, options, { onProgress: onProgress }));
+                } else if (type === 'fingerprint') {
+                    task = Core.derivePhraseFingerprint(options.phrase, onProgress);
+                } else {
+                    task = Core.measureKdfSpeed();
+                }
+
+                // Main-thread work cannot be stopped; a cancelled job's result is dropped
+                task.then(
+                    result => { if (!job.cancelled) resolve(result); },
+                    error => { if (!job.cancelled) reject(error); }
+                );
+            }
+
+            if (workerUnavailable || typeof Worker === 'undefined') {
+                runOnMainThread();
+                return;
+            }
+
+            try {
+                job.worker = new Worker(CONFIG.WORKER_URL);
+            } catch (error) {
+                workerUnavailable = true;
+                runOnMainThread();
+                return;
+            }
+
+            let ready = false;
+
+            job.worker.onmessage = function(event) {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    ready = true;
+                } else if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.fraction);
+                } else {
+                    job.worker.terminate();
+                    job.worker = null;
+                    if (message.type === 'result') {
+                        resolve(message.result);
+                    } else {
+                        reject(new Error(message.message));
+                    }
+                }
+            };
+
+            job.worker.onerror = function(event) {
+                event.preventDefault();
+                job.worker.terminate();
+                job.worker = null;
+
+                if (ready) {
+                    reject(new Error('Derivation stopped unexpectedly. Try a lower memory cost.'));
+                    return;
+                }
+
+                // The worker script could not load here: use the main thread from now on
+                workerUnavailable = true;
+                runOnMainThread();
+            };
+
+            job.worker.postMessage({ type: type, options: options });
+        });
+
+        job.cancel = function() {
+            job.cancelled = true;
+            if (job.worker) {
+                job.worker.terminate();
+                job.worker = null;
+            }
+            job.reject(cancelledError());
+        };
+
+        return job;
+    }
+
+    /**
+     * Cancel the running derivation, if any, and reset the Generate button.
+     */
+    function cancelDerivation() {
+        if (!currentJob) return;
+
+        currentJob.cancel();
+        currentJob = null;
+        endDerivationUi();
+    }
+
+    // =========================================================================
+    // DERIVATION PROGRESS & CALIBRATION
+    // =========================================================================
+
+    /**
+     * Format an estimated duration for display.
+     * @param {number} ms - Milliseconds
+     * @returns {string} - e.g. "0.4 s" or "12 s"
+     */
+    function formatDuration(ms) {
+        const seconds = Math.max(ms, 100) / 1000;
+        return seconds < 10 ? seconds.toFixed(1) + ' s' : Math.round(seconds) + ' s';
+    }
+
+    /**
+     * Estimate a level's derivation time on this device, once calibrated.
+     * @param {string} securityLevel - Key of Core.SECURITY_LEVELS
+     * @param {Object} [kdfCosts] - Memory-hard costs
+     * @returns {number|null} - Milliseconds, or null if unknown
+     */
+    function estimateMs(securityLevel, kdfCosts) {
+        if (!kdfSpeed) return null;
+        try {
+            return Core.estimateDerivationMs(kdfSpeed, securityLevel, kdfCosts);
+        } catch (error) {
+            return null; // Invalid costs: no estimate
+        }
+    }
+
+    /**
+     * Label each #securityLevel option with its estimated time on this device.
+     * The selected memory-hard level uses the costs in the form.
+     */
+    function updateLevelEstimates() {
+        if (!kdfSpeed) return;
+
+        for (const option of elements.securityLevel.options) {
+            if (!option.dataset.label) {
+                option.dataset.label = option.textContent;
+            }
+            const ms = estimateMs(option.value, option.selected ? getKdfCosts() : undefined);
+            option.textContent = option.dataset.label + (ms === null ? '' : ' · ~' + formatDuration(ms));
+        }
+    }
+
+    /**
+     * Show when this device's KDF speed was measured.
+     * @param {string} [measuredAt] - ISO date of the measurement
+     */
+    function renderCalibration(measuredAt) {
+        elements.calibrateStatus.textContent = kdfSpeed
+            ? 'Times measured on this device' + (measuredAt ? ' on ' + new Date(measuredAt).toLocaleDateString() : '') + '.'
+            : 'Not measured on this device yet.';
+    }
+
+    /**
+     * Load the KDF speed measured on an earlier visit.
+     *
+     * @returns {Object|null} - { speed, measuredAt } from localStorage, or null if missing or invalid
+     */
+    function loadKdfSpeed() {
+        let stored;
+        try {
+            stored = JSON.parse(window.localStorage.getItem(CONFIG.KDF_SPEED_STORAGE_KEY));
+        } catch (error) {
+            return null; // Storage blocked or unreadable: measure again
+        }
+        const valid = stored && stored.speed && ['pbkdf2MsPerIteration', 'scryptMsPerMiB', 'argon2idMsPerMiB']
+            .every(key => Number.isFinite(stored.speed[key]) && stored.speed[key] > 0);
+        return valid ? stored : null;
+    }
+
+    /**
+     * Run the KDF benchmark in the background and keep its result, so it
+     * runs once per device; the user can ask for it again.
+     */
+    function calibrate() {
+        elements.recalibrateBtn.disabled = true;
+        elements.calibrateStatus.textContent = 'Timing this device…';
+
+        startCoreJob('benchmark').promise
+            .then(speed => {
+                const measuredAt = new Date().toISOString();
+                kdfSpeed = speed;
+                try {
+                    window.localStorage.setItem(CONFIG.KDF_SPEED_STORAGE_KEY, JSON.stringify({ speed: speed, measuredAt: measuredAt }));
+                } catch (error) {
+                    // Storage blocked: measured again on the next visit
+                }
+                updateLevelEstimates();
+                renderCalibration(measuredAt);
+            })
+            .catch(() => {
+                // Estimates are optional; leave the labels as they are
+                elements.calibrateStatus.textContent = 'Could not time this device.';
+            })
+            .then(() => {
+                elements.recalibrateBtn.disabled = false;
+            });
+    }
+
+    /**
+     * Show progress under the Generate button.
+     * @param {number|null} fraction - Done (0-1), or null when unknown
+     */
+    function setDeriveProgress(fraction) {
+        const known = typeof fraction === 'number';
+        const percent = known ? Math.round(fraction * 100) : 0;
+
+        elements.deriveProgressTrack.classList.toggle('is-indeterminate', !known);
+        elements.deriveProgressBar.style.width = known ? percent + '%' : '';
+        if (known) {
+            elements.deriveProgressTrack.setAttribute('aria-valuenow', String(percent));
+        } else {
+            elements.deriveProgressTrack.removeAttribute('aria-valuenow');
+        }
+        elements.deriveStatus.textContent = known ? 'Deriving key… ' + percent + '%' : 'Deriving key…';
+    }
+
+    /**
+     * Put the page in the deriving state. scrypt and Argon2id report real
+     * progress; PBKDF2 is one WebCrypto call, so its bar follows the
+     * calibrated estimate (or is indeterminate before calibration).
+     *
+     * @param {string} securityLevel - Level being derived
+     * @param {Object} [kdfCosts] - Memory-hard costs
+     * @param {number} [runs=1] - Key derivations in the job (the password and each extra field)
+     */
+    function beginDerivationUi(securityLevel, kdfCosts, runs = 1) {
+        elements.generateBtn.disabled = true;
+        elements.generateBtn.classList.add('loading');
+        elements.deriveProgress.style.display = 'block';
+
+        if (Core.isMemoryHard(securityLevel)) {
+            setDeriveProgress(0);
+            return;
+        }
+
+        const estimate = estimateMs(securityLevel, kdfCosts);
+        if (estimate === null) {
+            setDeriveProgress(null);
+            return;
+        }
+
+        const start = Date.now();
+        setDeriveProgress(0);
+        progressTimer = setInterval(function() {
+            setDeriveProgress(Math.min(0.95, (Date.now() - start) / (estimate * runs)));
+        }, CONFIG.PROGRESS_TICK_MS);
+    }
+
+    /**
+     * Leave the deriving state.
+     */
+    function endDerivationUi() {
+        if (progressTimer) {
+            clearInterval(progressTimer);
+            progressTimer = null;
+        }
+        elements.deriveProgress.style.display = 'none';
+        elements.generateBtn.disabled = selfTestFailed;
+        elements.generateBtn.classList.remove('loading');
+    }
+
+    // =========================================================================
+    // MAIN PASSWORD GENERATION
+    // =========================================================================
+
+    /**
+     * Generate password based on current form inputs.
+     */
+    async function generatePassword() {
+        // Never generate while derivation is known (or not yet known) to be correct
+        await selfTestPromise;
+        if (selfTestFailed) {
+            return;
+        }
+
+        const site = elements.site.value.trim();
+        const account = elements.account.value;
+        const identity = getSelectedIdentity();
+        const masterPhrase = elements.rememberPhrase.checked && rememberedKey
+            ? rememberedKey
+            : elements.masterPhrase.value;
+        const typedPhrase = typeof masterPhrase === 'string';
+        const version = elements.version.value || '1';
+        const length = parseInt(elements.length.value, 10);
+        const securityLevel = elements.securityLevel.value;
+        const kdfCosts = getKdfCosts();
+        const algorithm = elements.algorithm.value;
+        const normalization = elements.siteNames.value;
+        const charsets = getCharsetOptions();
+        const format = elements.outputFormat.value;
+        const passphrase = format === 'passphrase' ? getPassphraseOptions() : undefined;
+        const policy = format === 'password' ? getFormPolicy() : null;
+        const fields = getExtraFields();
+
+        // Clear previous errors
+        clearAllFieldErrors();
+
+        // Validation
+        let hasError = false;
+
+        if (!site) {
+            showFieldError(elements.site, elements.siteError, 'Please enter a site or app name.');
+            if (!hasError) {
+                elements.site.focus();
+                hasError = true;
+            }
+        }
+
+        if (!masterPhrase) {
+            showFieldError(elements.masterPhrase, elements.masterPhraseError, 'Please enter your master phrase.');
+            if (!hasError) {
+                elements.masterPhrase.focus();
+                hasError = true;
+            }
+        }
+
+        // Validate version is a positive integer
+        const versionNum = parseInt(version, 10);
+        if (isNaN(versionNum) || versionNum < 1) {
+            showFieldError(elements.version, elements.versionError, 'Version must be 1 or greater.');
+            elements.version.value = '1';
+            if (!hasError) {
+                elements.version.focus();
+                hasError = true;
+            }
+        }
+
+        // Validate time cost for memory-hard levels
+        if (kdfCosts) {
+            const limits = Core.KDF_COST_LIMITS.timeCost;
+            if (isNaN(kdfCosts.timeCost) || kdfCosts.timeCost < limits.min || kdfCosts.timeCost > limits.max) {
+                showFieldError(elements.kdfTime, elements.kdfTimeError, 'Time cost must be between ' + limits.min + ' and ' + limits.max + '.');
+                if (!hasError) {
+                    elements.kdfTime.focus();
+                    hasError = true;
+                }
+            }
+        }
+
+        // Custom character fields (passwords) or passphrase options
+        const invalidCharsetField = format === 'password' ? checkCharsetFields() : null;
+        if (invalidCharsetField) {
+            if (!hasError) {
+                elements.advancedOptions.open = true;
+                invalidCharsetField.focus();
+                hasError = true;
+            }
+        }
+
+        if (passphrase && !checkPassphraseOptions()) {
+            if (!hasError) {
+                elements.advancedOptions.open = true;
+                elements.passphraseSize.focus();
+                hasError = true;
+            }
+        }
+
+        if (!checkSecondSecret()) {
+            if (!hasError) {
+                elements.advancedOptions.open = true;
+                elements.secondSecretSource.focus();
+                hasError = true;
+            }
+        }
+
+        if (!checkExtraFields()) {
+            if (!hasError) {
+                elements.advancedOptions.open = true;
+                elements.securityQuestions.focus();
+                hasError = true;
+            }
+        }
+
+        // Rule fields that don't parse keep their error until fixed
+        if (policy && elements.policyError.textContent) {
+            if (!hasError) {
+                elements.advancedOptions.open = true;
+                elements.policyMinLength.focus();
+                hasError = true;
+            }
+        }
+
+        if (hasError) {
+            return;
+        }
+
+        // A remembered key already passed these checks when it was typed
+        if (typedPhrase && elements.blockWeakPhrase.checked) {
+            const assessment = assessMasterPhrase(masterPhrase);
+            if (assessment.weak) {
+                showFieldError(elements.masterPhrase, elements.masterPhraseError,
+                    'This phrase could be cracked in ' + assessment.crackTime + ' at this security level. ' +
+                    'Choose a stronger one, or stop refusing weak phrases in Advanced Options.');
+                elements.masterPhrase.focus();
+                return;
+            }
+        }
+
+        // A typo in the phrase would give a wrong password without any sign
+        try {
+            if (typedPhrase && !await checkPinnedFingerprint(masterPhrase)) return;
+        } catch (error) {
+            // Replaced by a newer check; that one decides
+            if (error.cancelled) return;
+            showFieldError(elements.masterPhrase, elements.masterPhraseError, 'Error: ' + error.message);
+            return;
+        }
+
+        // A new request replaces one still running
+        cancelDerivation();
+
+        const job = startCoreJob('derive', {
+            phrase: masterPhrase,
+            secondSecret: secondSecret ? secondSecret.secret : undefined,
+            site: site,
+            normalization: normalization,
+            aliases: siteAliases,
+            account: account,
+            identity: identity ? identity.name : undefined,
+            version: version,
+            length: length,
+            charsets: charsets,
+            securityLevel: securityLevel,
+            kdfCosts: kdfCosts,
+            algorithm: algorithm,
+            policy: policy || undefined,
+            format: format,
+            passphrase: passphrase,
+            fields: fields
+        }, function(fraction) {
+            if (currentJob === job) setDeriveProgress(fraction);
+        });
+        currentJob = job;
+
+        // Show generating state
+        beginDerivationUi(securityLevel, kdfCosts, 1 + fields.length);
+
+        try {
+            const result = await job.promise;
+
+            // Display result
+            elements.generatedPassword.value = result.password;
+            elements.outputSection.style.display = 'block';
+            elements.normalizedSite.textContent = result.aliasOf
+                ? result.normalizedSite + ' (alias of ' + result.aliasOf + ')'
+                : result.normalizedSite;
+            elements.accountDisplay.style.display = result.account ? 'inline' : 'none';
+            elements.accountUsed.textContent = result.account || '';
+            renderOutputIdentity(identity);
+            renderExtraFields(result.fields || []);
+            elements.algorithmUsed.textContent = result.algorithm;
+            elements.entropyDisplay.style.display = result.entropyBits !== undefined ? 'inline' : 'none';
+            elements.entropyBits.textContent = result.entropyBits !== undefined ? '~' + Math.round(result.entropyBits) + ' bits' : '';
+
+            // Remember this site's settings (never the phrase or password)
+            saveSiteProfile(site, {
+                normalization: normalization,
+                version: version,
+                length: length,
+                charsets: charsets,
+                securityLevel: securityLevel,
+                kdfCosts: kdfCosts,
+                algorithm: algorithm,
+                policy: policyOverride,
+                format: format,
+                passphrase: passphrase,
+                fields: fields
+            });
+
+            // Remember the phrase as a key if the option is enabled; the text is never kept
+            if (typedPhrase && elements.rememberPhrase.checked) {
+                setRememberedKey(await Core.importMasterPhrase(masterPhrase));
+            }
+
+            if (typedPhrase) {
+                elements.masterPhrase.value = '';
+                clearFingerprint();
+                updatePhraseStrength();
+            }
+
+            // Start auto-clear timer
             startAutoClearTimer();
 
             // Scroll to output
             elements.outputSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 
         } catch (error) {
+            // Cancelled by a site edit, Clear All or a newer request: nothing to show
+            if (error.cancelled) return;
+
             // Show error inline - most likely a character type issue
             showFieldError(elements.site, elements.siteError, 'Error: ' + error.message);
         } finally {
-            elements.generateBtn.disabled = false;
-            elements.generateBtn.classList.remove('loading');
+            if (currentJob === job) {
+                currentJob = null;
+                endDerivationUi();
+            }
+        }
+    }
+
+    // =========================================================================
+    // SELF-TEST
+    // =========================================================================
+
+    /**
+     * Run the known-answer self-test. Generation waits for it, and is
+     * blocked for the rest of the session if any vector fails.
+     *
+     * @param {boolean} quick - Only run the fast subset (used on load)
+     * @returns {Promise<void>}
+     */
+    function runSelfTest(quick) {
+        elements.runSelfTestBtn.disabled = true;
+        elements.selfTestStatus.textContent = quick ? 'Checking derivation…' : 'Running full self-test…';
+
+        selfTestPromise = Core.runSelfTest({ quick: quick })
+            .catch(error => ({
+                passed: false,
+                total: 1,
+                failures: [{ name: 'self-test', expected: 'no error', actual: 'Error: ' + error.message }]
+            }))
+            .then(result => {
+                showSelfTestResult(result, quick);
+                elements.runSelfTestBtn.disabled = false;
+            });
+
+        return selfTestPromise;
+    }
+
+    /**
+     * Show the self-test outcome, and lock generation on failure.
+     *
+     * @param {{passed: boolean, total: number, failures: Array}} result - Summary from Core.runSelfTest()
+     * @param {boolean} quick - Whether this was the quick subset
+     */
+    function showSelfTestResult(result, quick) {
+        if (result.passed) {
+            if (!selfTestFailed) {
+                elements.selfTestStatus.textContent = (quick ? 'Quick check passed' : 'All checks passed') +
+                    ' (' + result.total + ' known answers).';
+            }
+            return;
         }
+
+        selfTestFailed = true;
+
+        elements.selfTestStatus.textContent = result.failures.length + ' of ' + result.total + ' checks failed:';
+        elements.selfTestFailures.textContent = '';
+        result.failures.forEach(failure => {
+            const item = document.createElement('li');
+            item.textContent = failure.name + ': expected ' + JSON.stringify(failure.expected) + ', got ' + JSON.stringify(failure.actual);
+            elements.selfTestFailures.appendChild(item);
+        });
+        elements.selfTestBanner.textContent = 'Self-test failed: this browser does not reproduce the expected passwords (' +
+            result.failures[0].name + '). Password generation is disabled so you never set a wrong password. ' +
+            'Try an up-to-date browser or a fresh copy of Password Mint. The failing checks are listed under Advanced Options → Self-Test.';
+        elements.selfTestBanner.style.display = 'block';
+        elements.generateBtn.disabled = true;
+        elements.regenerateBtn.disabled = true;
+        clearOutput();
     }
 
     // =========================================================================
-    // AUTO-CLEAR FUNCTIONALITY
+    // AUTO-CLEAR AND IDLE LOCK
     // =========================================================================
 
+    /**
+     * Hold (or, with null, drop) the remembered phrase key. The key can derive
+     * but never be read back, so the page keeps no copy of the phrase.
+     * @param {CryptoKey|null} key - Key from Core.importMasterPhrase, or null to forget
+     */
+    function setRememberedKey(key) {
+        rememberedKey = key;
+        elements.masterPhrase.placeholder = key ? 'Remembered for this session' : 'Your secret phrase';
+    }
+
+    /**
+     * Whether the page holds anything the lock should clear.
+     * @returns {boolean} - Output shown, a master phrase typed or remembered, or a recovery kit in use
+     */
+    function hasSecrets() {
+        return elements.outputSection.style.display !== 'none' ||
+            Boolean(rememberedKey) || Boolean(elements.masterPhrase.value) || Boolean(secondSecret) ||
+            elements.kitOutput.style.display !== 'none' || Boolean(elements.recoveryShares.value) || Boolean(recoveredPhrase) ||
+            Boolean(batchJob);
+    }
+
+    /**
+     * Restart the idle countdown (on any input), if there is anything to clear.
+     */
     function startAutoClearTimer() {
-        clearAutoClearTimer();
-        autoClearTimeout = setTimeout(clearOutput, CONFIG.AUTO_CLEAR_MS);
+        if (!hasSecrets()) {
+            clearAutoClearTimer();
+            return;
+        }
+        autoClearDeadline = Date.now() + parseInt(elements.idleLock.value, 10) * 60 * 1000;
+        if (!autoClearTicker) {
+            autoClearTicker = setInterval(checkAutoClear, CONFIG.LOCK_TICK_MS);
+        }
         updateAutoClearNotice();
     }
 
     function clearAutoClearTimer() {
-        if (autoClearTimeout) {
-            clearTimeout(autoClearTimeout);
-            autoClearTimeout = null;
+        if (autoClearTicker) {
+            clearInterval(autoClearTicker);
+            autoClearTicker = null;
+        }
+        autoClearDeadline = null;
+        updateAutoClearNotice();
+    }
+
+    /**
+     * Lock once the idle deadline has passed; otherwise refresh the countdown.
+     */
+    function checkAutoClear() {
+        if (autoClearDeadline === null) return;
+        if (!hasSecrets()) {
+            clearAutoClearTimer();
+        } else if (Date.now() >= autoClearDeadline) {
+            lockSession('after ' + elements.idleLock.selectedOptions[0].textContent + ' without input');
+        } else {
+            updateAutoClearNotice();
         }
     }
 
     function updateAutoClearNotice() {
-        if (autoClearTimeout) {
+        if (autoClearDeadline !== null && elements.outputSection.style.display !== 'none') {
+            const seconds = Math.max(0, Math.ceil((autoClearDeadline - Date.now()) / 1000));
+            elements.autoClearNotice.textContent = 'Clears in ' + Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
             elements.autoClearNotice.style.display = 'block';
         } else {
             elements.autoClearNotice.style.display = 'none';
         }
     }
 
+    /**
+     * Clear the output and forget the master phrase, typed or remembered.
+     * The clipboard keeps its own countdown.
+     *
+     * @param {string} reason - Shown as "Cleared <reason>."
+     */
+    function lockSession(reason) {
+        const hadSecrets = hasSecrets();
+
+        cancelDerivation();
+        cancelBatch();
+        clearOutput();
+        setRememberedKey(null);
+        clearSecondSecret();
+        clearRecoveryKit();
+        elements.rememberPhrase.checked = false;
+        elements.rememberWarning.style.display = 'none';
+        elements.masterPhrase.value = '';
+        clearFingerprint();
+        updatePhraseStrength();
+        clearAutoClearTimer();
+
+        if (hadSecrets) {
+            elements.lockStatus.textContent = 'Cleared ' + reason + '.';
+        }
+    }
+
+    /**
+     * Keep the blur lock from firing while the page's own file picker or
+     * dialog has the focus. It applies again once the window has the focus
+     * back; dialogs that never take it resume after a short grace period.
+     *
+     * @param {boolean} [graceOnly] - Resume after the grace period (for confirm dialogs)
+     */
+    function pauseBlurLock(graceOnly) {
+        ownDialogOpen = true;
+        clearTimeout(dialogGraceTimer);
+        dialogGraceTimer = graceOnly ? setTimeout(function() {
+            ownDialogOpen = false;
+        }, CONFIG.DIALOG_BLUR_GRACE_MS) : null;
+    }
+
+    /**
+     * Ask for confirmation without the blur lock clearing the page for it.
+     *
+     * @param {string} message - Question to ask
+     * @returns {boolean} - True if confirmed
+     */
+    function confirmAction(message) {
+        pauseBlurLock();
+        try {
+            return window.confirm(message);
+        } finally {
+            pauseBlurLock(true);
+        }
+    }
+
+    /**
+     * Open a file picker without the blur lock clearing the page for it.
+     * @param {HTMLInputElement} input - Hidden file input
+     */
+    function openFilePicker(input) {
+        pauseBlurLock();
+        input.click();
+    }
+
+    /**
+     * Start or stop the hidden-tab countdown as the tab is hidden or shown.
+     */
+    function handleVisibilityChange() {
+        const seconds = elements.hiddenLock.value;
+
+        if (document.visibilityState === 'hidden') {
+            hiddenSince = Date.now();
+            if (seconds !== '') {
+                hiddenLockTimer = setTimeout(function() {
+                    lockSession('while the tab was hidden');
+                }, parseInt(seconds, 10) * 1000);
+            }
+            return;
+        }
+
+        clearTimeout(hiddenLockTimer);
+        hiddenLockTimer = null;
+        // Background timers may have been throttled past their deadlines
+        if (seconds !== '' && hiddenSince !== null && Date.now() - hiddenSince >= parseInt(seconds, 10) * 1000) {
+            lockSession('while the tab was hidden');
+        }
+        hiddenSince = null;
+        checkAutoClear();
+    }
+
     function clearOutput() {
         elements.generatedPassword.value = '';
         elements.generatedPassword.type = 'password'; // Reset to hidden
         elements.toggleOutputVisibility.setAttribute('aria-label', 'Show generated password');
         elements.outputEyeIcon.innerHTML = '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>';
         elements.outputSection.style.display = 'none';
-        clearAutoClearTimer();
+        renderExtraFields([]);
         updateAutoClearNotice();
     }
 
     function clearAll() {
-        // Clear inputs
+        // Stop any derivation or batch in progress
+        cancelDerivation();
+        cancelBatch();
+
+        // Clear inputs, and the settings a saved profile filled in
         elements.site.value = '';
+        updateSiteProfile();
+        updateSitePreview();
+        elements.account.value = '';
         elements.masterPhrase.value = '';
+        clearFingerprint();
+        updatePhraseStrength();
         elements.version.value = '1';
+        elements.batchList.value = '';
+        clearFieldError(elements.batchList, elements.batchListError);
+        renderBatchErrors([]);
 
-        // Clear output
+        // Clear output, and a secret still on the clipboard (asked for, so even an unreadable one)
         clearOutput();
+        wipeClipboard(true);
 
-        // Forget remembered phrase
-        if (rememberedPhrase) {
-            rememberedPhrase = null;
-        }
+        // Forget remembered phrase, the second secret and any recovery kit
+        setRememberedKey(null);
+        clearSecondSecret();
+        clearRecoveryKit();
 
         // Reset remember checkbox
         elements.rememberPhrase.checked = false;
@@ -652,46 +3148,264 @@
     // CLIPBOARD FUNCTIONALITY
     // =========================================================================
 
-    async function copyPassword() {
-        const password = elements.generatedPassword.value;
-        if (!password) return;
+    /**
+     * Copy text through a copy event, for browsers without the async
+     * Clipboard API (or when it refuses). Works for an empty string too.
+     *
+     * @param {string} text - Text to put on the clipboard
+     * @returns {boolean} - Whether the browser ran the copy
+     */
+    function legacyCopy(text) {
+        const onCopy = event => {
+            event.clipboardData.setData('text/plain', text);
+            event.preventDefault();
+        };
+        document.addEventListener('copy', onCopy);
+        try {
+            return document.execCommand('copy');
+        } catch (error) {
+            return false;
+        } finally {
+            document.removeEventListener('copy', onCopy);
+        }
+    }
 
+    /**
+     * Put text on the clipboard, with the legacy fallback.
+     *
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} - Whether it was copied
+     */
+    async function writeClipboard(text) {
         try {
-            await navigator.clipboard.writeText(password);
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            return legacyCopy(text);
+        }
+    }
 
-            // Visual feedback
-            elements.copyBtn.classList.add('copied');
-            if (elements.copyText) {
-                elements.copyText.textContent = 'Copied!';
-            }
-            elements.copyIcon.innerHTML = '<polyline points="20 6 9 17 4 12"/>';
+    /**
+     * Copy a secret and start the countdown to wipe it from the clipboard.
+     *
+     * @param {string} text - Password or extra field
+     * @returns {Promise<boolean>} - Whether it was copied
+     */
+    async function copySecret(text) {
+        const copied = await writeClipboard(text);
+        if (copied) {
+            scheduleClipboardWipe(text);
+        }
 
-            setTimeout(() => {
-                elements.copyBtn.classList.remove('copied');
-                if (elements.copyText) {
-                    elements.copyText.textContent = 'Copy to Clipboard';
-                }
-                elements.copyIcon.innerHTML = '<rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>';
-            }, 2000);
+        // Reset auto-clear timer on interaction
+        startAutoClearTimer();
+        return copied;
+    }
 
-            // Reset auto-clear timer on interaction
-            startAutoClearTimer();
+    /**
+     * Start (or restart) the clipboard countdown for text just copied.
+     * @param {string} text - What was copied
+     */
+    function scheduleClipboardWipe(text) {
+        cancelClipboardWipe();
+        const seconds = parseInt(elements.clipboardClear.value, 10);
+        if (!seconds) return;
+
+        clipboardWipe = {
+            text: text,
+            deadline: Date.now() + seconds * 1000,
+            timer: setInterval(updateClipboardCountdown, CONFIG.CLIPBOARD_TICK_MS)
+        };
+        updateClipboardCountdown();
+    }
+
+    /**
+     * Stop the countdown without touching the clipboard.
+     */
+    function cancelClipboardWipe() {
+        if (clipboardWipe) {
+            clearInterval(clipboardWipe.timer);
+            window.removeEventListener('focus', wipeClipboardOnFocus);
+            document.removeEventListener('pointerdown', wipeClipboardOnGesture);
+            document.removeEventListener('keydown', wipeClipboardOnGesture);
+            clipboardWipe = null;
+        }
+        elements.clearClipboardBtn.style.display = 'none';
+        elements.clipboardStatus.style.display = 'none';
+    }
+
+    /**
+     * Show the seconds left, and wipe when they run out.
+     */
+    function updateClipboardCountdown() {
+        if (!clipboardWipe) return;
+
+        const left = Math.ceil((clipboardWipe.deadline - Date.now()) / 1000);
+        if (left <= 0) {
+            wipeClipboard();
+            return;
+        }
+        setClipboardStatus('Clipboard clears in ' + left + 's', true);
+    }
+
+    /**
+     * Show the clipboard status line.
+     * @param {string} text - Message
+     * @param {boolean} pending - Whether a wipe is still to come (shows the clear button)
+     * @param {string} [action='Clear now'] - Label of the clear button
+     */
+    function setClipboardStatus(text, pending, action) {
+        elements.clipboardStatus.style.display = 'flex';
+        elements.clipboardStatusText.textContent = text;
+        elements.clearClipboardBtn.textContent = action || 'Clear now';
+        elements.clearClipboardBtn.style.display = pending ? 'inline-flex' : 'none';
+    }
+
+    /**
+     * Wipe the copied secret from the clipboard, if it is still there.
+     *
+     * Reading the clipboard needs permission. When it is denied or not
+     * supported, the countdown never wipes blindly, since that could erase
+     * something copied later; it asks instead, and the user's click wipes.
+     * Browsers only allow clipboard access from a focused page, so a wipe
+     * that comes due in the background waits for the page to get focus back.
+     *
+     * @param {boolean} [asked=false] - The user clicked to clear, so an unreadable clipboard is wiped too
+     */
+    async function wipeClipboard(asked) {
+        if (!clipboardWipe) return;
+        const wipe = clipboardWipe;
+        clearInterval(wipe.timer);
+
+        if (!document.hasFocus()) {
+            setClipboardStatus('Clipboard will be cleared when you return to this page', true);
+            window.addEventListener('focus', wipeClipboardOnFocus, { once: true });
+            return;
+        }
 
+        let current = null;
+        try {
+            current = await navigator.clipboard.readText();
         } catch (error) {
-            // Fallback for older browsers
+            // Permission denied or not supported: cannot check
+        }
+        if (clipboardWipe !== wipe) return; // Replaced by a newer copy meanwhile
+
+        if (current !== null && current !== wipe.text) {
+            cancelClipboardWipe();
+            setClipboardStatus('Clipboard left alone: it no longer holds the copied secret', false);
+            return;
+        }
+        if (current === null && asked !== true) {
+            setClipboardStatus('Could not check the clipboard, so it was left alone. It may still hold the copied secret.',
+                true, 'Clear clipboard now');
+            return;
+        }
+
+        if (!(await writeClipboard(''))) {
+            // The legacy copy only runs from a user action: wipe on the next one
+            setClipboardStatus('Clipboard will be cleared on your next click or key press', true);
+            document.addEventListener('pointerdown', wipeClipboardOnGesture);
+            document.addEventListener('keydown', wipeClipboardOnGesture);
+            return;
+        }
+        cancelClipboardWipe();
+        setClipboardStatus('Clipboard cleared', false);
+    }
+
+    /**
+     * Wipe that came due while the page was in the background.
+     */
+    function wipeClipboardOnFocus() {
+        wipeClipboard(false);
+    }
+
+    /**
+     * Finish a wipe the browser refused outside a user action.
+     */
+    function wipeClipboardOnGesture() {
+        if (!clipboardWipe || !legacyCopy('')) return;
+        cancelClipboardWipe();
+        setClipboardStatus('Clipboard cleared', false);
+    }
+
+    async function copyPassword() {
+        const password = elements.generatedPassword.value;
+        if (!password) return;
+
+        if (!(await copySecret(password))) {
+            // Nothing copied: leave the password selected for a manual copy
+            elements.generatedPassword.type = 'text';
             elements.generatedPassword.select();
-            document.execCommand('copy');
-            elements.copyBtn.classList.add('copied');
+            return;
+        }
+
+        // Visual feedback
+        elements.copyBtn.classList.add('copied');
+        if (elements.copyText) {
+            elements.copyText.textContent = 'Copied!';
+        }
+        elements.copyIcon.innerHTML = '<polyline points="20 6 9 17 4 12"/>';
+
+        setTimeout(() => {
+            elements.copyBtn.classList.remove('copied');
             if (elements.copyText) {
-                elements.copyText.textContent = 'Copied!';
+                elements.copyText.textContent = 'Copy to Clipboard';
             }
-            setTimeout(() => {
-                elements.copyBtn.classList.remove('copied');
-                if (elements.copyText) {
-                    elements.copyText.textContent = 'Copy to Clipboard';
-                }
-            }, 2000);
-        }
+            elements.copyIcon.innerHTML = '<rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>';
+        }, 2000);
+    }
+
+    /**
+     * Show the derived extra fields under the password, each with its own copy button.
+     * @param {Object[]} fields - From the derivation result, in the order requested
+     */
+    function renderExtraFields(fields) {
+        elements.extraFields.textContent = '';
+        elements.extraFields.style.display = fields.length ? 'block' : 'none';
+
+        fields.forEach(field => {
+            const label = field.kind === 'answer' ? 'Answer: ' + field.question : 'Username';
+
+            const item = document.createElement('li');
+            item.className = 'extra-field';
+
+            const info = document.createElement('div');
+            info.className = 'extra-field-info';
+            const name = document.createElement('span');
+            name.className = 'extra-field-label';
+            name.textContent = label;
+            const value = document.createElement('span');
+            value.className = 'extra-field-value';
+            value.textContent = field.value;
+            info.appendChild(name);
+            info.appendChild(value);
+
+            const copyBtn = document.createElement('button');
+            copyBtn.type = 'button';
+            copyBtn.className = 'btn btn-small btn-ghost';
+            copyBtn.textContent = 'Copy';
+            copyBtn.setAttribute('aria-label', 'Copy ' + label);
+            copyBtn.addEventListener('click', function() {
+                copyExtraField(field.value, copyBtn);
+            });
+
+            item.appendChild(info);
+            item.appendChild(copyBtn);
+            elements.extraFields.appendChild(item);
+        });
+    }
+
+    /**
+     * Copy one extra field.
+     * @param {string} value - Text to copy
+     * @param {HTMLButtonElement} button - Its copy button, for feedback
+     */
+    async function copyExtraField(value, button) {
+        button.textContent = (await copySecret(value)) ? 'Copied!' : 'Copy failed';
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 2000);
     }
 
     // =========================================================================
@@ -708,21 +3422,42 @@
         // Length slider
         elements.length.addEventListener('input', function() {
             elements.lengthValue.textContent = this.value;
+            updateFormatHint();
         });
 
         // Clear field errors on input (real-time feedback)
         elements.site.addEventListener('input', function() {
+            // The running derivation is for the old site
+            cancelDerivation();
+            updateSiteProfile();
+            updateSitePreview();
+
             if (this.value.trim()) {
                 clearFieldError(elements.site, elements.siteError);
             }
         });
 
+        // The running derivation is for the old account, which may have its own profile
+        elements.account.addEventListener('input', function() {
+            cancelDerivation();
+            updateSiteProfile();
+        });
+
+        elements.securityQuestions.addEventListener('input', checkExtraFields);
+
         elements.masterPhrase.addEventListener('input', function() {
             if (this.value) {
                 clearFieldError(elements.masterPhrase, elements.masterPhraseError);
             }
+            scheduleFingerprint();
+            schedulePhraseStrength();
+            elements.lockStatus.textContent = '';
         });
 
+        elements.strengthThreshold.addEventListener('change', updatePhraseStrength);
+
+        elements.pinFingerprintBtn.addEventListener('click', togglePinnedCheckWords);
+
         elements.version.addEventListener('input', function() {
             const val = parseInt(this.value, 10);
             if (!isNaN(val) && val >= 1) {
@@ -730,8 +3465,129 @@
             }
         });
 
+        // Custom character fields
+        [elements.customSymbols, elements.excludeChars].concat(getMinCountFields().map(([, input]) => input))
+            .forEach(input => {
+                input.addEventListener('input', checkCharsetFields);
+            });
+
+        // Output format and passphrase options
+        elements.outputFormat.addEventListener('change', function() {
+            // Start each format at its usual length
+            const format = Core.getOutputFormat(this.value);
+            updateOutputFormat(format.length ? format.length.default : Core.LENGTH_RANGE.default);
+        });
+
+        elements.passphraseSizeMode.addEventListener('change', function() {
+            updatePassphraseSizeField();
+            elements.passphraseSize.value = this.value === 'length' ? '32' : String(Core.PASSPHRASE_LIMITS.words.default);
+            checkPassphraseOptions();
+        });
+
+        elements.passphraseSize.addEventListener('input', checkPassphraseOptions);
+
+        [elements.passphraseSeparator, elements.passphraseCapitalize, elements.passphraseDigit, elements.passphraseSymbol]
+            .forEach(input => {
+                input.addEventListener('change', checkPassphraseOptions);
+            });
+
+        // Site rules
+        elements.usePolicy.addEventListener('change', function() {
+            setPolicyEnabled(this.checked);
+        });
+
+        [elements.policyMinLength, elements.policyMaxLength, elements.policySymbols, elements.policyMaxDigits]
+            .forEach(input => {
+                input.addEventListener('input', function() {
+                    updatePolicyFromFields(this);
+                });
+            });
+
+        [elements.policyNoLeadingDigit, elements.policyNoLeadingSymbol].forEach(checkbox => {
+            checkbox.addEventListener('change', function() {
+                updatePolicyFromFields(elements.policyMinLength);
+            });
+        });
+
+        // Security level: show and reset the memory-hard cost fields
+        elements.securityLevel.addEventListener('change', function() {
+            updateKdfCostFields();
+            updateLevelEstimates();
+            updatePhraseStrength();
+        });
+
+        elements.kdfMemory.addEventListener('change', function() {
+            updateLevelEstimates();
+            updatePhraseStrength();
+        });
+
+        elements.kdfTime.addEventListener('input', function() {
+            clearFieldError(elements.kdfTime, elements.kdfTimeError);
+            updateLevelEstimates();
+            updatePhraseStrength();
+        });
+
+        // Site names: the same input may now be another site, with other rules
+        elements.siteNames.addEventListener('change', function() {
+            updateSitePreview();
+            updateSitePolicy();
+        });
+
+        // Site profiles
+        elements.saveProfiles.addEventListener('change', function() {
+            setProfilesEnabled(this.checked);
+        });
+
+        elements.saveProfileBtn.addEventListener('click', function() {
+            const site = elements.site.value.trim();
+            if (!site) {
+                showFieldError(elements.site, elements.siteError, 'Please enter a site or app name.');
+                elements.site.focus();
+                return;
+            }
+            if (saveSiteProfile(site, getFormSettings())) {
+                elements.profileStatus.textContent = 'Saved settings for ' + describeProfileOwner(profiles[appliedProfileKey]) + '.';
+            }
+        });
+
+        elements.addAliasBtn.addEventListener('click', addAlias);
+
+        [elements.aliasSite, elements.aliasTarget].forEach(input => {
+            input.addEventListener('input', function() {
+                clearFieldError(this, elements.aliasError);
+            });
+            input.addEventListener('keydown', function(event) {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    addAlias();
+                }
+            });
+        });
+
+        elements.exportProfilesBtn.addEventListener('click', exportProfiles);
+
+        elements.importProfilesBtn.addEventListener('click', function() {
+            openFilePicker(elements.importProfilesFile);
+        });
+
+        elements.importProfilesFile.addEventListener('change', function() {
+            const file = this.files[0];
+            this.value = ''; // Choosing the same file again still imports it
+            if (file) {
+                importProfiles(file);
+            }
+        });
+
         // Copy button
         elements.copyBtn.addEventListener('click', copyPassword);
+        elements.clearClipboardBtn.addEventListener('click', function() {
+            wipeClipboard(true);
+        });
+
+        // A shorter delay applies to the next copy; Never stops the countdown
+        elements.clipboardClear.addEventListener('change', function() {
+            if (this.value === '0' && clipboardWipe) cancelClipboardWipe();
+        });
 
         // Regenerate button
         elements.regenerateBtn.addEventListener('click', generatePassword);
@@ -739,6 +3595,12 @@
         // Clear all button
         elements.clearAllBtn.addEventListener('click', clearAll);
 
+        // Full self-test
+        elements.runSelfTestBtn.addEventListener('click', function() {
+            runSelfTest(false);
+        });
+        elements.recalibrateBtn.addEventListener('click', calibrate);
+
         // Master phrase visibility toggle
         elements.toggleMasterVisibility.addEventListener('click', function() {
             const isPassword = elements.masterPhrase.type === 'password';
@@ -757,14 +3619,100 @@
         elements.rememberPhrase.addEventListener('change', function() {
             elements.rememberWarning.style.display = this.checked ? 'block' : 'none';
             if (!this.checked) {
-                rememberedPhrase = null;
+                setRememberedKey(null);
+            }
+        });
+
+        // Identities: the output and a running derivation belong to the old one
+        elements.identity.addEventListener('change', function() {
+            cancelDerivation();
+            clearOutput();
+            renderIdentities();
+            applyIdentityDefaults();
+            updateSiteProfile();
+        });
+
+        elements.addIdentityBtn.addEventListener('click', addIdentity);
+        elements.identityName.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                addIdentity();
+            }
+        });
+        elements.saveIdentityDefaultsBtn.addEventListener('click', saveIdentityDefaults);
+
+        // Second secret
+        elements.secondSecretSource.addEventListener('change', function() {
+            clearFieldError(elements.secondSecretSource, elements.secondSecretError);
+            clearFieldError(elements.recoveryCode, elements.secondSecretError);
+            clearSecondSecret();
+        });
+
+        elements.chooseKeyfileBtn.addEventListener('click', function() {
+            openFilePicker(elements.keyfileInput);
+        });
+
+        elements.keyfileInput.addEventListener('change', function() {
+            const file = this.files[0];
+            if (file) {
+                loadKeyfile(file);
             }
         });
 
+        elements.recoveryCode.addEventListener('input', function() {
+            elements.recoveryCodeWarning.style.display = 'none';
+            readRecoveryCode(false);
+        });
+        elements.recoveryCode.addEventListener('change', function() {
+            readRecoveryCode(true);
+        });
+
+        elements.newRecoveryCodeBtn.addEventListener('click', newRecoveryCode);
+
+        // Recovery kit
+        elements.createKitBtn.addEventListener('click', createKit);
+        elements.printKitBtn.addEventListener('click', printKit);
+        elements.hideKitBtn.addEventListener('click', hideKit);
+
+        elements.recoveryShares.addEventListener('input', function() {
+            clearFieldError(elements.recoveryShares, elements.recoverError);
+            setRecoveredPhrase(null);
+        });
+        elements.recoverPhraseBtn.addEventListener('click', rebuildPhrase);
+        elements.useRecoveredBtn.addEventListener('click', useRecoveredPhrase);
+        elements.showRecoveredBtn.addEventListener('click', function() {
+            const hidden = elements.recoveredPhrase.style.display === 'none';
+            elements.recoveredPhrase.textContent = hidden ? recoveredPhrase : '';
+            elements.recoveredPhrase.style.display = hidden ? 'block' : 'none';
+            this.textContent = hidden ? 'Hide phrase' : 'Show phrase';
+        });
+
+        // Batch export
+        elements.batchList.addEventListener('input', function() {
+            clearFieldError(elements.batchList, elements.batchListError);
+        });
+        elements.chooseBatchFileBtn.addEventListener('click', function() {
+            openFilePicker(elements.batchFile);
+        });
+        elements.batchFile.addEventListener('change', async function() {
+            const file = this.files[0];
+            this.value = ''; // Choosing the same file again still loads it
+            if (!file) return;
+            try {
+                elements.batchList.value = await file.text();
+                clearFieldError(elements.batchList, elements.batchListError);
+            } catch (error) {
+                showFieldError(elements.batchList, elements.batchListError, 'Cannot read ' + file.name + ': ' + error.message);
+            }
+        });
+        elements.batchExportBtn.addEventListener('click', exportBatchFile);
+
         // Forget now button
         elements.forgetNow.addEventListener('click', function() {
-            rememberedPhrase = null;
+            setRememberedKey(null);
             elements.masterPhrase.value = '';
+            clearFingerprint();
+            updatePhraseStrength();
             elements.rememberPhrase.checked = false;
             elements.rememberWarning.style.display = 'none';
         });
@@ -822,11 +3770,25 @@
             });
         });
 
-        // Reset auto-clear timer on output interaction
-        elements.generatedPassword.addEventListener('focus', function() {
-            if (elements.outputSection.style.display !== 'none') {
-                startAutoClearTimer();
-            }
+        // Any input restarts the idle countdown
+        ['pointerdown', 'keydown', 'input'].forEach(type => {
+            document.addEventListener(type, startAutoClearTimer, true);
+        });
+        elements.idleLock.addEventListener('change', startAutoClearTimer);
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        window.addEventListener('pagehide', function() {
+            if (elements.lockOnLeave.checked) lockSession('when the page was closed');
+        });
+
+        // Opt-in: the page's own pickers and dialogs take the focus too, so
+        // they pause it rather than clear what they were opened for
+        window.addEventListener('blur', function() {
+            if (elements.lockOnBlur.checked && !ownDialogOpen) lockSession('when the window lost focus');
+        });
+        window.addEventListener('focus', function() {
+            ownDialogOpen = false;
         });
 
         // Keyboard shortcut: Enter to generate (when not in textarea)
@@ -843,6 +3805,13 @@
     // =========================================================================
 
     function init() {
+        // Check that the core pipeline loaded
+        if (!Core) {
+            alert('Failed to load password-mint-core.js. Keep it next to index.html.');
+            elements.generateBtn.disabled = true;
+            return;
+        }
+
         // Check for WebCrypto support
         if (!window.crypto || !window.crypto.subtle) {
             alert('Your browser does not support the Web Crypto API. Please use a modern browser.');
@@ -853,6 +3822,59 @@
         // Setup event listeners
         setupEventListeners();
 
+        // Match the cost fields to a security level the browser may have restored
+        updateKdfCostFields();
+        updatePassphraseSizeField();
+        updateOutputFormat();
+        updatePhraseStrength();
+
+        // A second secret source the browser restored needs its secret again
+        clearSecondSecret();
+
+        // Saved site profiles and aliases (only if the user turned them on)
+        loadProfiles();
+        renderProfiles();
+        renderAliases();
+        updateSitePreview();
+        renderPolicy();
+
+        // Check words to compare typed phrases with
+        loadPinnedCheckWords();
+
+        // Identities, and the badge colors to choose from
+        Object.keys(Core.IDENTITY_COLORS).forEach(color => {
+            const option = document.createElement('option');
+            option.value = color;
+            option.textContent = color.charAt(0).toUpperCase() + color.slice(1);
+            elements.identityColor.appendChild(option);
+        });
+        loadIdentities();
+        renderIdentities();
+
+        // Password managers a batch can be exported for
+        Object.values(Core.EXPORT_FORMATS).forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.id;
+            option.textContent = format.label;
+            elements.batchFormat.appendChild(option);
+        });
+
+        // Estimates next to each security level, from this device's stored timing
+        const calibration = loadKdfSpeed();
+        if (calibration) {
+            kdfSpeed = calibration.speed;
+            updateLevelEstimates();
+        }
+        renderCalibration(calibration ? calibration.measuredAt : undefined);
+
+        // Verify derivation against known answers before anything is generated,
+        // then time the KDFs if this device has not been timed yet
+        runSelfTest(true).then(function() {
+            if (!selfTestFailed && !calibration) {
+                calibrate();
+            }
+        });
+
         // Focus site input
         elements.site.focus();
     }
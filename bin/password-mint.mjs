@@ -0,0 +1,1150 @@
+#!/usr/bin/env node
+/**
+ * Password Mint - Command-line interface
+ *
+ * Derives the same password as the web page, using the shared core module.
+ * The master phrase is read from a hidden TTY prompt, or from stdin when
+ * stdin is not a terminal. It is never accepted as an argument, because
+ * arguments end up in shell history and process listings.
+ *
+ * Output: the normalized site goes to stderr (like "Site:" on the page) and
+ * the password to stdout, so `pw=$(password-mint github)` captures only the
+ * password.
+ *
+ * A recovery code (the second secret) is a secret too: it is prompted for
+ * after the phrase, or read from the last line of stdin.
+ *
+ * --recovery-kit splits the phrase into shares and prints them; --recover
+ * reads shares from stdin and prints the phrase they rebuild, once its
+ * check words match the ones the shares carry.
+ *
+ * --batch derives every site in a CSV file and writes them, in plain text,
+ * in a password manager's import format (--export), for seeding a vault.
+ */
+
+import { webcrypto } from 'node:crypto';
+import { spawn } from 'node:child_process';
+import { readFileSync, writeFileSync } from 'node:fs';
+import {
+    derivePassword, runSelfTest, normalizeSite, describeSite, NORMALIZATIONS, DEFAULT_NORMALIZATION,
+    normalizeAliases, resolveSiteAlias, normalizeField, normalizeIdentity, derivePhraseFingerprint, normalizeCheckWords,
+    assessPhrase, STRENGTH_THRESHOLDS, DEFAULT_STRENGTH_THRESHOLD,
+    KEYFILE_MAX_BYTES, secondSecretFingerprint, generateRecoveryCode, parseRecoveryCode,
+    RECOVERY_KIT_LIMITS, createRecoveryKit, splitRecoveryShares, recoverPhrase,
+    BATCH_COLUMNS, parseBatch, deriveBatch, EXPORT_FORMATS, getExportFormat, exportBatch,
+    LENGTH_RANGE, ALGORITHMS, DEFAULT_ALGORITHM,
+    SECURITY_LEVELS, isMemoryHard, resolveSecurityLevel, resolveCharsets, getSitePolicy, describePolicy,
+    PASSPHRASE_LIMITS, PASSPHRASE_CAPITALIZATION, normalizePassphraseOptions, OUTPUT_FORMATS
+} from '../core/index.mjs';
+
+// Node 16-18 do not expose WebCrypto as a global
+if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+}
+
+const USAGE = `Usage: password-mint <site> [options]
+       password-mint --batch <file> --export <format> [options]
+       password-mint --recovery-kit <m>-of-<n> | --recover
+       password-mint --self-test
+
+Derive the Password Mint password for <site>. The master phrase is read
+from a hidden prompt, or from stdin when stdin is not a terminal.
+
+Options:
+  --account <name>     Username or email, for several accounts on one site
+                       (default: none, the same password as before accounts)
+  --identity <name>    Identity, e.g. work or personal: its own passwords for every site
+                       (default: none, the same passwords as before identities)
+  --version <n>        Rotation version (default: 1)
+  --length <n>         Password length, ${LENGTH_RANGE.min}-${LENGTH_RANGE.max} or as the site policy allows
+                       (default: ${LENGTH_RANGE.default}, kept within the site policy); for other formats,
+                       ${formatLengths()}
+  --level <level>      Security level: ${Object.keys(SECURITY_LEVELS).join(', ')} (default: standard)
+  --memory <MiB>       Memory cost for scrypt/argon2id, a power of two (default: ${SECURITY_LEVELS.argon2id.memoryMiB})
+  --time-cost <n>      Time cost for scrypt/argon2id (default: scrypt ${SECURITY_LEVELS.scrypt.timeCost}, argon2id ${SECURITY_LEVELS.argon2id.timeCost})
+  --algorithm <id>     Algorithm version: ${Object.keys(ALGORITHMS).join(', ')} (default: ${DEFAULT_ALGORITHM})
+  --site-names <id>    Site normalization: ${Object.keys(NORMALIZATIONS).join(', ')} (default: ${DEFAULT_NORMALIZATION}); v2 keeps
+                       the registrable domain (bbc.co.uk, foo.github.io) and applies the
+                       built-in aliases (live.com and outlook.com are microsoft.com)
+  --alias <a>=<b>      Site a shares the password of site b (repeatable); an empty b keeps
+                       a out of its built-in alias group
+  --no-upper           Exclude A-Z
+  --no-lower           Exclude a-z
+  --no-digits          Exclude 0-9
+  --no-symbols         Exclude symbols
+  --include-ambiguous  Keep similar characters (O/0, l/1)
+  --symbols <chars>    Symbols to use instead of the default set (e.g. '!@#%^~')
+  --exclude <chars>    Characters never to use (e.g. '$')
+  --min-upper <n>      At least n uppercase letters (also --min-lower, --min-digits,
+                       --min-symbols; default 1 of each enabled type)
+  --policy-file <path> JSON of site policies that override the bundled ones
+                       ({"mybank": {"maxLength": 12, "symbols": "!@#"}}; null turns one off)
+  --known-policy       Follow the bundled policy of the site, if it has one (this changes
+                       the password; off by default)
+  --no-policy          Ignore site password policies
+  --format <format>    Output: ${Object.keys(OUTPUT_FORMATS).join(', ')} (default: password)
+  --passphrase         Same as --format passphrase (EFF words)
+  --words <n>          Passphrase words, ${PASSPHRASE_LIMITS.words.min}-${PASSPHRASE_LIMITS.words.max} (default: ${PASSPHRASE_LIMITS.words.default})
+  --min-chars <n>      Add passphrase words until it is at least n characters
+                       (${PASSPHRASE_LIMITS.length.min}-${PASSPHRASE_LIMITS.length.max}; instead of --words)
+  --separator <s>      Text between passphrase words (default: -)
+  --capitalize <mode>  Passphrase capitalization: ${Object.keys(PASSPHRASE_CAPITALIZATION).join(', ')} (default: lower)
+  --add-digit          Add a digit to one passphrase word
+  --add-symbol         Add a symbol to one passphrase word
+  --username           Also derive a username for the site (words and digits)
+  --question <text>    Also derive an answer to this security question (repeatable)
+  --fingerprint        Also show the check words of the master phrase (a typo changes them)
+  --check-words <w>    Stop unless the master phrase has these check words (e.g. "abacus zoom")
+  --strength-threshold <t>
+                       Warn about phrases crackable within: ${Object.keys(STRENGTH_THRESHOLDS).join(', ')} (default: ${DEFAULT_STRENGTH_THRESHOLD}),
+                       at the security level used
+  --refuse-weak        Stop instead of warning when the phrase is weak
+  --keyfile <path>     Mix this file into the master phrase (a second secret)
+  --recovery-code      Mix in a recovery code, prompted for after the phrase (or the
+                       last line of stdin)
+  --new-recovery-code  Print a new random recovery code and exit
+  --recovery-kit <m>-of-<n>
+                       Split the master phrase into n shares, any m of which rebuild it
+                       (n up to ${RECOVERY_KIT_LIMITS.maxShares}), print them and exit
+  --recover            Read recovery kit shares from stdin (a blank line between shares),
+                       print the phrase they rebuild and exit (lines starting with # are skipped)
+  --batch <file>       Derive every site listed in this CSV file: one site per line, optionally
+                       with its version and account, or a header row naming any columns of:
+                       ${Object.keys(BATCH_COLUMNS).join(', ')}
+                       (empty cells take the other options)
+  --export <format>    With --batch, the import format to write: ${Object.keys(EXPORT_FORMATS).join(', ')}
+  --output <path>      With --batch, write a new file only you can read, instead of stdout
+  --copy               Copy the password to the clipboard instead of printing it
+  --json               Print the result as JSON on stdout
+  --self-test          Run the full known-answer self-test and exit
+  -h, --help           Show this help
+
+Examples:
+  password-mint github --version 2 --length 20 --no-symbols --level high
+  password-mint github --level argon2id --memory 128 --time-cost 3
+  password-mint github --account me@work.example
+  password-mint github --identity work
+  password-mint https://news.bbc.co.uk --site-names v2
+  password-mint my.work.example --site-names v2 --alias work.example=microsoft.com
+  password-mint example.org --symbols '!@#%^~' --exclude '$' --min-digits 2 --min-symbols 2
+  password-mint mybank.com --policy-file ~/.password-mint-policies.json
+  password-mint laptop-disk --passphrase --words 7 --capitalize title --add-digit
+  password-mint mybank-app --format pin --length 4
+  password-mint mybank.com --username --question "Mother's maiden name"
+  password-mint github --check-words "abacus zoom"
+  password-mint github --keyfile ~/keys/password-mint.key
+  password-mint --batch sites.csv --export bitwarden-csv --output vault.csv
+  password-mint --recovery-kit 3-of-5 --check-words "abacus zoom"
+  password-mint --recover < shares.txt`;
+
+const EXIT_USAGE = 2;
+
+/**
+ * Describe the length range and default of each character format.
+ *
+ * @returns {string} - e.g. "pin 4-8 (6), hex 16-128 (64)"
+ */
+function formatLengths() {
+    return Object.values(OUTPUT_FORMATS)
+        .filter(format => format.alphabets)
+        .map(format => format.id + ' ' + format.length.min + '-' + format.length.max + ' (' + format.length.default + ')')
+        .join(', ');
+}
+
+/**
+ * Error caused by invalid command-line usage (exit code 2).
+ */
+class UsageError extends Error {}
+
+// =========================================================================
+// ARGUMENT PARSING
+// =========================================================================
+
+/**
+ * Parse command-line arguments into derivation options.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        site: null,
+        account: '',
+        identity: '',
+        version: '1',
+        length: null,
+        securityLevel: 'standard',
+        kdfCosts: {},
+        algorithm: DEFAULT_ALGORITHM,
+        normalization: DEFAULT_NORMALIZATION,
+        aliasArgs: [],
+        aliases: undefined,
+        charsets: { upper: true, lower: true, digits: true, symbols: true, excludeAmbiguous: true },
+        policyFile: null,
+        knownPolicy: false,
+        usePolicy: true,
+        policy: null,
+        format: 'password',
+        passphrase: {},
+        fields: [],
+        fingerprint: false,
+        checkWords: null,
+        strengthThreshold: DEFAULT_STRENGTH_THRESHOLD,
+        refuseWeak: false,
+        keyfile: null,
+        recoveryCode: false,
+        newRecoveryCode: false,
+        secondSecret: undefined,
+        recoveryKit: null,
+        recover: false,
+        batch: null,
+        batchEntries: null,
+        exportFormat: null,
+        output: null,
+        policyOverrides: undefined,
+        copy: false,
+        json: false,
+        selfTest: false,
+        help: false
+    };
+
+    const toggles = {
+        '--no-upper': ['upper', false],
+        '--no-lower': ['lower', false],
+        '--no-digits': ['digits', false],
+        '--no-symbols': ['symbols', false],
+        '--include-ambiguous': ['excludeAmbiguous', false]
+    };
+
+    const minimums = {
+        '--min-upper': 'upper',
+        '--min-lower': 'lower',
+        '--min-digits': 'digits',
+        '--min-symbols': 'symbols'
+    };
+
+    const args = argv.slice();
+    while (args.length > 0) {
+        const arg = args.shift();
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        const takeValue = () => {
+            const value = inlineValue !== undefined ? inlineValue : args.shift();
+            if (value === undefined) {
+                throw new UsageError(flag + ' requires a value');
+            }
+            return value;
+        };
+
+        if (flag === '-h' || flag === '--help') {
+            options.help = true;
+        } else if (flag === '--account') {
+            options.account = takeValue();
+        } else if (flag === '--identity') {
+            options.identity = takeValue();
+        } else if (flag === '--version') {
+            options.version = takeValue();
+        } else if (flag === '--length') {
+            options.length = Number(takeValue());
+        } else if (flag === '--level') {
+            options.securityLevel = takeValue();
+        } else if (flag === '--memory') {
+            options.kdfCosts.memoryMiB = Number(takeValue());
+        } else if (flag === '--time-cost') {
+            options.kdfCosts.timeCost = Number(takeValue());
+        } else if (flag === '--algorithm') {
+            options.algorithm = takeValue();
+        } else if (flag === '--site-names') {
+            options.normalization = takeValue();
+        } else if (flag === '--alias') {
+            options.aliasArgs.push(takeValue());
+        } else if (flag === '--symbols') {
+            options.charsets.symbolChars = takeValue();
+        } else if (flag === '--exclude') {
+            options.charsets.excludeChars = takeValue();
+        } else if (Object.prototype.hasOwnProperty.call(minimums, flag)) {
+            options.charsets.minCounts = Object.assign({}, options.charsets.minCounts);
+            options.charsets.minCounts[minimums[flag]] = Number(takeValue());
+        } else if (flag === '--policy-file') {
+            options.policyFile = takeValue();
+        } else if (flag === '--known-policy') {
+            options.knownPolicy = true;
+        } else if (flag === '--no-policy') {
+            options.usePolicy = false;
+        } else if (flag === '--format') {
+            options.format = takeValue();
+        } else if (flag === '--passphrase') {
+            options.format = 'passphrase';
+        } else if (flag === '--words') {
+            options.passphrase.words = Number(takeValue());
+        } else if (flag === '--min-chars') {
+            options.passphrase.length = Number(takeValue());
+        } else if (flag === '--separator') {
+            options.passphrase.separator = takeValue();
+        } else if (flag === '--capitalize') {
+            options.passphrase.capitalize = takeValue();
+        } else if (flag === '--add-digit') {
+            options.passphrase.digit = true;
+        } else if (flag === '--add-symbol') {
+            options.passphrase.symbol = true;
+        } else if (flag === '--username') {
+            options.fields.push({ kind: 'username' });
+        } else if (flag === '--question') {
+            options.fields.push({ kind: 'answer', question: takeValue() });
+        } else if (flag === '--fingerprint') {
+            options.fingerprint = true;
+        } else if (flag === '--check-words') {
+            options.checkWords = normalizeCheckWords(takeValue());
+        } else if (flag === '--strength-threshold') {
+            options.strengthThreshold = takeValue();
+        } else if (flag === '--refuse-weak') {
+            options.refuseWeak = true;
+        } else if (flag === '--keyfile') {
+            options.keyfile = takeValue();
+        } else if (flag === '--recovery-code') {
+            options.recoveryCode = true;
+        } else if (flag === '--new-recovery-code') {
+            options.newRecoveryCode = true;
+        } else if (flag === '--recovery-kit') {
+            options.recoveryKit = takeValue();
+        } else if (flag === '--recover') {
+            options.recover = true;
+        } else if (flag === '--batch') {
+            options.batch = takeValue();
+        } else if (flag === '--export') {
+            options.exportFormat = takeValue();
+        } else if (flag === '--output') {
+            options.output = takeValue();
+        } else if (flag === '--copy') {
+            options.copy = true;
+        } else if (flag === '--json') {
+            options.json = true;
+        } else if (flag === '--self-test') {
+            options.selfTest = true;
+        } else if (Object.prototype.hasOwnProperty.call(toggles, flag)) {
+            const [key, value] = toggles[flag];
+            options.charsets[key] = value;
+        } else if (flag.startsWith('-') && flag !== '-') {
+            throw new UsageError('Unknown option: ' + flag);
+        } else if (options.site === null) {
+            options.site = arg;
+        } else {
+            throw new UsageError('Unexpected argument: ' + arg);
+        }
+    }
+
+    if (options.help || options.selfTest || options.newRecoveryCode) {
+        return options;
+    }
+
+    if (options.recoveryKit !== null || options.recover) {
+        return parseRecoveryKitArgs(options);
+    }
+
+    if (options.batch !== null) {
+        parseBatchArgs(options);
+    } else if (options.exportFormat !== null || options.output !== null) {
+        throw new UsageError('--export and --output need --batch.');
+    } else if (!options.site || !options.site.trim()) {
+        throw new UsageError('Please enter a site or app name.');
+    }
+
+    const versionNum = parseInt(options.version, 10);
+    if (!/^\d+$/.test(options.version) || versionNum < 1) {
+        throw new UsageError('Version must be 1 or greater.');
+    }
+
+    try {
+        normalizeIdentity(options.identity);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(NORMALIZATIONS, options.normalization)) {
+        throw new UsageError('Site names must be one of: ' + Object.keys(NORMALIZATIONS).join(', '));
+    }
+
+    options.aliases = parseAliasArgs(options.aliasArgs, options.normalization);
+
+    for (const field of options.fields) {
+        try {
+            normalizeField(field);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(STRENGTH_THRESHOLDS, options.strengthThreshold)) {
+        throw new UsageError('Strength threshold must be one of: ' + Object.keys(STRENGTH_THRESHOLDS).join(', '));
+    }
+
+    if (options.checkWords !== null && options.checkWords.split(' ').length !== 2) {
+        throw new UsageError('--check-words must be the two check words, e.g. "abacus zoom"');
+    }
+
+    if (options.keyfile !== null && options.recoveryCode) {
+        throw new UsageError('--keyfile and --recovery-code cannot be used together.');
+    }
+    if (options.keyfile !== null) {
+        options.secondSecret = loadKeyfile(options.keyfile);
+    }
+
+    if ((options.policyFile !== null || options.knownPolicy) && !options.usePolicy) {
+        throw new UsageError('--policy-file and --known-policy cannot be used with --no-policy.');
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, options.format)) {
+        throw new UsageError('Format must be one of: ' + Object.keys(OUTPUT_FORMATS).join(', '));
+    }
+
+    if (options.batch !== null) {
+        // Each listed site's policy applies as it is derived
+        options.policyOverrides = options.usePolicy ? readPolicyFile(options.policyFile) : false;
+    }
+
+    if (options.format === 'passphrase') {
+        parsePassphraseOptions(options);
+    } else {
+        if (Object.keys(options.passphrase).length > 0) {
+            throw new UsageError('--words, --min-chars, --separator, --capitalize, --add-digit and --add-symbol need --passphrase.');
+        }
+        options.passphrase = undefined;
+
+        if (options.batch !== null) {
+            // Without --length, each site gets the length its policy and format allow
+            if (options.length === null) {
+                options.length = undefined;
+            } else if (!Number.isInteger(options.length) || options.length < 1) {
+                throw new UsageError('Length must be a positive whole number.');
+            }
+        } else {
+            parseSiteLength(options);
+        }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(SECURITY_LEVELS, options.securityLevel)) {
+        throw new UsageError('Security level must be one of: ' + Object.keys(SECURITY_LEVELS).join(', '));
+    }
+
+    if (isMemoryHard(options.securityLevel)) {
+        try {
+            const level = resolveSecurityLevel(options.securityLevel, options.kdfCosts);
+            options.kdfCosts = { memoryMiB: level.memoryMiB, timeCost: level.timeCost };
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    } else if (Object.keys(options.kdfCosts).length > 0) {
+        throw new UsageError('--memory and --time-cost only apply to memory-hard levels (scrypt, argon2id).');
+    } else {
+        options.kdfCosts = undefined;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, options.algorithm)) {
+        throw new UsageError('Algorithm must be one of: ' + Object.keys(ALGORITHMS).join(', '));
+    }
+
+    const { upper, lower, digits, symbols } = options.charsets;
+    if (!upper && !lower && !digits && !symbols) {
+        throw new UsageError('At least one character type must be selected.');
+    }
+
+    try {
+        resolveCharsets(options.charsets);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    return options;
+}
+
+/**
+ * Check the options of --recovery-kit and --recover, which need no site.
+ *
+ * @param {Object} options - Parsed options (recoveryKit becomes { threshold, shares })
+ * @returns {Object} - The options
+ */
+function parseRecoveryKitArgs(options) {
+    if (options.recoveryKit !== null && options.recover) {
+        throw new UsageError('--recovery-kit and --recover cannot be used together.');
+    }
+    if (options.site !== null) {
+        throw new UsageError('Unexpected argument: ' + options.site);
+    }
+    if (options.checkWords !== null && options.checkWords.split(' ').length !== 2) {
+        throw new UsageError('--check-words must be the two check words, e.g. "abacus zoom"');
+    }
+    if (options.recover) return options;
+
+    const match = /^(\d+)-of-(\d+)$/.exec(options.recoveryKit);
+    if (!match) {
+        throw new UsageError('--recovery-kit must be <m>-of-<n>, e.g. 3-of-5');
+    }
+    const threshold = Number(match[1]);
+    const shares = Number(match[2]);
+    if (shares < RECOVERY_KIT_LIMITS.minThreshold || shares > RECOVERY_KIT_LIMITS.maxShares) {
+        throw new UsageError('A recovery kit has ' + RECOVERY_KIT_LIMITS.minThreshold + ' to ' + RECOVERY_KIT_LIMITS.maxShares + ' shares.');
+    }
+    if (threshold < RECOVERY_KIT_LIMITS.minThreshold || threshold > shares) {
+        throw new UsageError('The shares needed must be between ' + RECOVERY_KIT_LIMITS.minThreshold + ' and ' + shares + '.');
+    }
+    options.recoveryKit = { threshold, shares };
+    return options;
+}
+
+/**
+ * Check the options of --batch and read its list of sites.
+ *
+ * @param {Object} options - Parsed options (batchEntries is set, exportFormat checked)
+ */
+function parseBatchArgs(options) {
+    if (options.site !== null) {
+        throw new UsageError('Unexpected argument: ' + options.site + ' (--batch reads its sites from the file)');
+    }
+    if (options.exportFormat === null) {
+        throw new UsageError('--batch needs --export <format>: ' + Object.keys(EXPORT_FORMATS).join(', '));
+    }
+    try {
+        getExportFormat(options.exportFormat);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if (options.fields.length) {
+        throw new UsageError('--username and --question do not apply to --batch.');
+    }
+    if (options.copy || options.json) {
+        throw new UsageError('--copy and --json do not apply to --batch; the export is the output.');
+    }
+
+    let text;
+    try {
+        text = readFileSync(options.batch, 'utf8');
+    } catch (error) {
+        throw new UsageError('Cannot read the list of sites: ' + error.message);
+    }
+    try {
+        options.batchEntries = parseBatch(text);
+    } catch (error) {
+        throw new UsageError(options.batch + ': ' + error.message);
+    }
+}
+
+/**
+ * Check the passphrase options, which replace length and site policies.
+ *
+ * @param {Object} options - Parsed options (passphrase is completed in place)
+ */
+function parsePassphraseOptions(options) {
+    if (options.length !== null || options.policyFile !== null || options.knownPolicy) {
+        throw new UsageError('--length, --policy-file and --known-policy do not apply to passphrases; use --words or --min-chars.');
+    }
+    if (options.passphrase.words !== undefined && options.passphrase.length !== undefined) {
+        throw new UsageError('--words and --min-chars cannot be used together.');
+    }
+
+    try {
+        options.passphrase = normalizePassphraseOptions(options.passphrase);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    options.length = undefined;
+}
+
+/**
+ * Look up the site's policy and check the length against it, or against
+ * the range of the output format.
+ *
+ * @param {Object} options - Parsed options (policy and length are set in place)
+ */
+function parseSiteLength(options) {
+    if (options.format !== 'password' && (options.policyFile !== null || options.knownPolicy)) {
+        throw new UsageError('--policy-file and --known-policy only apply to passwords.');
+    }
+    if (options.format === 'password' && options.usePolicy) {
+        const site = resolveSiteAlias(normalizeSite(options.site, options.normalization), options.normalization, options.aliases).site;
+        options.policy = loadSitePolicy(site, options.policyFile, options.knownPolicy);
+    }
+
+    // Like the page's length slider, the range follows the site policy or the format
+    const range = OUTPUT_FORMATS[options.format].length;
+    const minLength = options.policy ? options.policy.minLength : range.min;
+    const maxLength = options.policy ? options.policy.maxLength : range.max;
+    if (options.length === null) {
+        options.length = Math.min(Math.max(range.default, minLength), maxLength);
+    }
+    if (!Number.isInteger(options.length) || options.length < minLength || options.length > maxLength) {
+        throw new UsageError('Length must be between ' + minLength + ' and ' + maxLength +
+            (options.policy ? ' (site policy; --no-policy to ignore it).' : '.'));
+    }
+}
+
+/**
+ * Parse --alias values into site aliases, reading both sites with the
+ * chosen site normalization.
+ *
+ * @param {string[]} values - "site=canonical" pairs; an empty canonical turns off a built-in alias
+ * @param {string} normalization - Site normalization version
+ * @returns {Object<string, string|null>|undefined} - Validated aliases, or undefined for none
+ */
+function parseAliasArgs(values, normalization) {
+    if (!values.length) return undefined;
+
+    const aliases = {};
+    for (const value of values) {
+        const separator = value.indexOf('=');
+        if (separator < 1) {
+            throw new UsageError('--alias must be <site>=<site whose password it shares>, e.g. work.example=microsoft.com');
+        }
+        const site = normalizeSite(value.slice(0, separator), normalization);
+        const canonical = value.slice(separator + 1).trim();
+        aliases[site] = canonical ? normalizeSite(canonical, normalization) : null;
+    }
+
+    try {
+        return normalizeAliases(aliases);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * Read the site policies of a JSON file.
+ *
+ * @param {string|null} policyFile - Path to a JSON object of policies keyed by site
+ * @returns {Object<string, Object|null>|undefined} - Overrides, or undefined without a file
+ */
+function readPolicyFile(policyFile) {
+    if (policyFile === null) return undefined;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(readFileSync(policyFile, 'utf8'));
+    } catch (error) {
+        throw new UsageError('Cannot read policy file: ' + error.message);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new UsageError('Policy file must be a JSON object keyed by site.');
+    }
+    return overrides;
+}
+
+/**
+ * Look up the policy for a site, with overrides from a JSON file.
+ *
+ * @param {string} normalizedSite - Output of normalizeSite()
+ * @param {string|null} policyFile - Path to a JSON object of policies keyed by site
+ * @param {boolean} useKnown - Fall back to the bundled policy (--known-policy)
+ * @returns {Object|null} - Complete policy, or null
+ */
+function loadSitePolicy(normalizedSite, policyFile, useKnown) {
+    try {
+        return getSitePolicy(normalizedSite, readPolicyFile(policyFile), useKnown);
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        throw new UsageError('Policy for ' + normalizedSite + ': ' + error.message);
+    }
+}
+
+/**
+ * Read a keyfile, the whole of which is the second secret.
+ *
+ * @param {string} path - Keyfile path
+ * @returns {Uint8Array} - File contents
+ */
+function loadKeyfile(path) {
+    let bytes;
+    try {
+        bytes = readFileSync(path);
+    } catch (error) {
+        throw new UsageError('Cannot read keyfile: ' + error.message);
+    }
+    if (!bytes.length || bytes.length > KEYFILE_MAX_BYTES) {
+        throw new UsageError(bytes.length
+            ? 'Keyfiles can be up to ' + Math.round(KEYFILE_MAX_BYTES / 1048576) + ' MiB.'
+            : 'The keyfile is empty.');
+    }
+    return new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length);
+}
+
+// =========================================================================
+// PHRASE INPUT
+// =========================================================================
+
+/**
+ * Prompt for the master phrase on the terminal with echo turned off.
+ *
+ * @param {string} prompt - Prompt text (written to stderr)
+ * @returns {Promise<string>} - The phrase as typed
+ */
+function promptHidden(prompt) {
+    return new Promise((resolve, reject) => {
+        const input = process.stdin;
+        let phrase = '';
+
+        process.stderr.write(prompt);
+        input.setRawMode(true);
+        input.setEncoding('utf8');
+        input.resume();
+
+        function finish(error) {
+            input.setRawMode(false);
+            input.pause();
+            input.removeListener('data', onData);
+            process.stderr.write('\n');
+            if (error) {
+                reject(error);
+            } else {
+                resolve(phrase);
+            }
+        }
+
+        function onData(chunk) {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    finish();
+                    return;
+                } else if (char === '\u0003') {
+                    finish(new Error('Cancelled'));
+                    return;
+                } else if (char === '\u007f' || char === '\b') {
+                    phrase = Array.from(phrase).slice(0, -1).join('');
+                } else if (char === '\u0015') {
+                    phrase = '';
+                } else if (char >= ' ') {
+                    phrase += char;
+                }
+            }
+        }
+
+        input.on('data', onData);
+    });
+}
+
+/**
+ * Read the whole of stdin (for pipes and redirects).
+ * A single trailing newline is removed, like `echo` adds.
+ *
+ * @returns {Promise<string>} - The phrase
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Read the master phrase, and the recovery code after it if asked for.
+ * From stdin, the code is the last line and the phrase everything before it.
+ *
+ * @param {boolean} withCode - Also read a recovery code
+ * @returns {Promise<{phrase: string, code?: string}>} - What was read
+ */
+async function readPhrase(withCode) {
+    if (process.stdin.isTTY) {
+        const phrase = await promptHidden('Master phrase: ');
+        return withCode ? { phrase, code: await promptHidden('Recovery code: ') } : { phrase };
+    }
+
+    const text = await readStdin();
+    if (!withCode) return { phrase: text };
+
+    const lastLine = text.lastIndexOf('\n');
+    if (lastLine === -1) return { phrase: text, code: '' };
+    return { phrase: text.slice(0, lastLine).replace(/\r$/, ''), code: text.slice(lastLine + 1) };
+}
+
+// =========================================================================
+// CLIPBOARD
+// =========================================================================
+
+/**
+ * Get candidate clipboard commands for the current platform.
+ *
+ * @returns {Array<string[]>} - Commands with arguments, in order of preference
+ */
+function clipboardCommands() {
+    if (process.platform === 'darwin') {
+        return [['pbcopy']];
+    }
+    if (process.platform === 'win32') {
+        return [['clip']];
+    }
+    const commands = [['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']];
+    if (process.env.WAYLAND_DISPLAY) {
+        commands.unshift(['wl-copy']);
+    }
+    return commands;
+}
+
+function runWithInput(command, text) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command[0], command.slice(1), { stdio: ['pipe', 'ignore', 'ignore'] });
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(command[0] + ' exited with code ' + code));
+            }
+        });
+        child.stdin.end(text);
+    });
+}
+
+/**
+ * Copy text to the system clipboard.
+ *
+ * @param {string} text - Text to copy
+ */
+async function copyToClipboard(text) {
+    for (const command of clipboardCommands()) {
+        try {
+            await runWithInput(command, text);
+            return;
+        } catch (error) {
+            // Try the next command
+        }
+    }
+    throw new Error('No clipboard tool found (tried ' + clipboardCommands().map(c => c[0]).join(', ') + ')');
+}
+
+// =========================================================================
+// SELF-TEST
+// =========================================================================
+
+/**
+ * Run the full known-answer suite and report each failure.
+ *
+ * @param {boolean} json - Print the summary as JSON
+ * @returns {Promise<boolean>} - Whether all checks passed
+ */
+async function selfTest(json) {
+    const result = await runSelfTest();
+
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (result.passed) {
+        console.log('Self-test passed (' + result.total + ' known answers).');
+    } else {
+        for (const failure of result.failures) {
+            console.error('FAIL ' + failure.name);
+            console.error('  expected: ' + failure.expected);
+            console.error('  actual:   ' + failure.actual);
+        }
+        console.error(result.failures.length + ' of ' + result.total + ' checks failed.');
+    }
+
+    return result.passed;
+}
+
+// =========================================================================
+// RECOVERY KIT
+// =========================================================================
+
+/**
+ * Split the master phrase into a kit and print its shares: the words, then
+ * the code a QR code would hold.
+ *
+ * @param {Object} options - Parsed options
+ */
+async function makeRecoveryKit(options) {
+    const { phrase } = await readPhrase(false);
+    if (!phrase.trim()) {
+        throw new Error('Please enter your master phrase.');
+    }
+
+    // A kit of a mistyped phrase would rebuild the typo
+    const checkWords = normalizeCheckWords((await derivePhraseFingerprint(phrase)).words);
+    if (options.checkWords && checkWords !== options.checkWords) {
+        throw new Error('This master phrase has the check words "' + checkWords + '", not "' +
+            options.checkWords + '". Check for a typo.');
+    }
+
+    const kit = await createRecoveryKit(phrase, Object.assign({ checkWords }, options.recoveryKit));
+    if (options.json) {
+        console.log(JSON.stringify(kit, null, 2));
+        return;
+    }
+
+    console.error('Recovery kit ' + kit.id + ': any ' + kit.threshold + ' of these ' + kit.shares.length +
+        ' shares rebuild the master phrase (check words: ' + kit.checkWords + ').');
+    console.error('Give each share to a different person or place.');
+    for (const share of kit.shares) {
+        const words = share.words.split(' ');
+        console.log('# Share ' + share.number + ' of ' + kit.shares.length + ' (kit ' + kit.id + ', any ' + kit.threshold + ' rebuild the phrase)');
+        for (let i = 0; i < words.length; i += 8) {
+            console.log(words.slice(i, i + 8).join(' '));
+        }
+        console.log(share.code);
+        console.log('');
+    }
+}
+
+/**
+ * Rebuild the master phrase from shares on stdin and print it.
+ *
+ * @param {Object} options - Parsed options
+ */
+async function recover(options) {
+    if (process.stdin.isTTY) {
+        console.error('Enter the shares, with a blank line between shares, then Ctrl-D:');
+    }
+    const recovered = await recoverPhrase(splitRecoveryShares(await readStdin()));
+    if (options.checkWords && recovered.checkWords !== options.checkWords) {
+        throw new Error('The shares are for the check words "' + recovered.checkWords + '", not "' + options.checkWords + '".');
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(recovered, null, 2));
+        return;
+    }
+    console.error('Rebuilt from kit ' + recovered.id + '; the check words "' + recovered.checkWords + '" match.');
+    console.log(recovered.phrase);
+}
+
+// =========================================================================
+// BATCH EXPORT
+// =========================================================================
+
+/**
+ * Derive every site of the batch file and write them in the chosen import
+ * format, to --output or stdout. Sites that fail are reported and left out.
+ *
+ * @param {Object} options - Parsed options
+ * @param {string} phrase - Master phrase
+ */
+async function exportBatchFile(options, phrase) {
+    const format = getExportFormat(options.exportFormat);
+    const total = options.batchEntries.length;
+    const showProgress = Boolean(process.stderr.isTTY);
+
+    const result = await deriveBatch({
+        phrase: phrase,
+        secondSecret: options.secondSecret,
+        entries: options.batchEntries,
+        defaults: {
+            normalization: options.normalization,
+            aliases: options.aliases,
+            account: options.account,
+            identity: options.identity,
+            version: options.version,
+            length: options.length,
+            charsets: options.charsets,
+            securityLevel: options.securityLevel,
+            kdfCosts: options.kdfCosts,
+            algorithm: options.algorithm,
+            format: options.format,
+            passphrase: options.passphrase
+        },
+        policies: options.policyOverrides,
+        knownPolicies: options.knownPolicy,
+        onProgress: showProgress ? fraction => {
+            process.stderr.write('\rDeriving ' + Math.min(total, Math.floor(fraction * total) + 1) + ' of ' + total + '…');
+        } : undefined
+    });
+    if (showProgress) process.stderr.write('\r\x1b[K');
+
+    for (const error of result.errors) {
+        console.error('Line ' + error.line + ' (' + error.site + '): ' + error.message);
+    }
+    if (!result.entries.length) {
+        throw new Error('No site could be derived, so nothing was written.');
+    }
+
+    const text = exportBatch(result.entries, format.id);
+    if (options.output !== null) {
+        try {
+            // Never replaces a file, and only the owner can read the new one
+            writeFileSync(options.output, text, { mode: 0o600, flag: 'wx' });
+        } catch (error) {
+            throw new Error('Cannot write ' + options.output + ': ' + error.message);
+        }
+    } else {
+        process.stdout.write(text);
+    }
+
+    console.error('Wrote ' + result.entries.length + ' of ' + total + ' passwords for ' + format.label +
+        (options.output !== null ? ' to ' + options.output : '') + '.');
+    console.error('Warning: the export holds these passwords in plain text. Import it right away, then delete it.');
+    if (result.errors.length) {
+        process.exitCode = 1;
+    }
+}
+
+// =========================================================================
+// MAIN
+// =========================================================================
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error('password-mint: ' + error.message);
+            console.error('Try "password-mint --help".');
+            process.exitCode = EXIT_USAGE;
+            return;
+        }
+        throw error;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.selfTest) {
+        if (!(await selfTest(options.json))) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (options.newRecoveryCode) {
+        const generated = await generateRecoveryCode();
+        console.error('Write this code down and keep it apart from your master phrase.');
+        console.error('Fingerprint: ' + await secondSecretFingerprint(generated.secret));
+        console.log(generated.code);
+        return;
+    }
+
+    if (options.recover) {
+        await recover(options);
+        return;
+    }
+
+    if (options.recoveryKit) {
+        await makeRecoveryKit(options);
+        return;
+    }
+
+    const { phrase, code } = await readPhrase(options.recoveryCode);
+    if (!phrase) {
+        throw new Error('Please enter your master phrase.');
+    }
+    if (options.recoveryCode) {
+        if (!code.trim()) {
+            throw new Error('Please enter your recovery code (from stdin: on the line after the master phrase).');
+        }
+        options.secondSecret = await parseRecoveryCode(code);
+    }
+    const secretFingerprint = options.secondSecret ? await secondSecretFingerprint(options.secondSecret) : undefined;
+
+    // Weak phrases are reported before anything is derived
+    const strength = assessPhrase(phrase, resolveSecurityLevel(options.securityLevel, options.kdfCosts), options.strengthThreshold);
+    if (strength.weak) {
+        const message = 'This master phrase could be cracked in ' + strength.crackTime + ' at this security level. ' +
+            [strength.warning].concat(strength.suggestions).filter(Boolean).join(' ');
+        if (options.refuseWeak) {
+            throw new Error(message);
+        }
+        console.error('Warning: ' + message);
+    }
+
+    // Check the phrase before the slower derivation, so a typo fails fast
+    let checkWords;
+    if (options.fingerprint || options.checkWords) {
+        checkWords = normalizeCheckWords((await derivePhraseFingerprint(phrase)).words);
+        if (options.checkWords && checkWords !== options.checkWords) {
+            throw new Error('This master phrase has the check words "' + checkWords + '", not "' +
+                options.checkWords + '". Check for a typo.');
+        }
+    }
+
+    if (options.batch !== null) {
+        await exportBatchFile(options, phrase);
+        return;
+    }
+
+    const result = await derivePassword({
+        phrase: phrase,
+        secondSecret: options.secondSecret,
+        site: options.site,
+        normalization: options.normalization,
+        aliases: options.aliases,
+        account: options.account,
+        identity: options.identity,
+        version: options.version,
+        length: options.length,
+        charsets: options.charsets,
+        securityLevel: options.securityLevel,
+        kdfCosts: options.kdfCosts,
+        algorithm: options.algorithm,
+        policy: options.policy || undefined,
+        format: options.format,
+        passphrase: options.passphrase,
+        fields: options.fields
+    });
+
+    if (options.copy) {
+        await copyToClipboard(result.password);
+    }
+
+    if (options.json) {
+        const output = {
+            site: options.site,
+            normalizedSite: result.normalizedSite,
+            aliasOf: result.aliasOf,
+            account: result.account,
+            identity: result.identity,
+            normalization: options.normalization,
+            version: options.version,
+            length: options.length,
+            securityLevel: options.securityLevel,
+            kdfCosts: options.kdfCosts,
+            algorithm: result.algorithm,
+            charsets: options.charsets,
+            policy: options.policy,
+            format: options.format,
+            passphrase: options.passphrase,
+            entropyBits: result.entropyBits,
+            fields: result.fields,
+            checkWords: checkWords,
+            secondSecret: secretFingerprint && {
+                source: options.keyfile !== null ? 'keyfile' : 'recovery-code',
+                fingerprint: secretFingerprint
+            },
+            phraseStrength: { crackTime: strength.crackTime, weak: strength.weak },
+            copied: options.copy
+        };
+        if (!options.copy) {
+            output.password = result.password;
+        }
+        console.log(JSON.stringify(output, null, 2));
+        return;
+    }
+
+    if (options.normalization !== DEFAULT_NORMALIZATION) {
+        console.error(describeSite(options.site, options.normalization));
+    }
+    if (checkWords) {
+        console.error('Check words: ' + checkWords);
+    }
+    if (secretFingerprint) {
+        console.error((options.keyfile !== null ? 'Keyfile' : 'Recovery code') + ': ' + secretFingerprint);
+    }
+    console.error('Site: ' + result.normalizedSite + (result.aliasOf ? ' (alias of ' + result.aliasOf + ')' : '') +
+        (result.account ? ' · Account: ' + result.account : '') +
+        (result.identity ? ' · Identity: ' + result.identity : '') + ' · Algorithm: ' + result.algorithm +
+        (options.policy ? ' · Policy: ' + describePolicy(options.policy) : '') +
+        (result.entropyBits !== undefined ? ' · Entropy: ~' + Math.round(result.entropyBits) + ' bits' : ''));
+    if (options.copy) {
+        console.error('Password copied to clipboard.');
+    } else {
+        console.log(result.password);
+    }
+
+    // Extra fields after the password, one per line
+    for (const field of result.fields || []) {
+        console.log((field.kind === 'answer' ? 'Answer (' + field.question + ')' : 'Username') + ': ' + field.value);
+    }
+}
+
+main().catch(error => {
+    console.error('password-mint: ' + error.message);
+    process.exitCode = 1;
+});
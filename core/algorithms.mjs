@@ -0,0 +1,50 @@
+/**
+ * Password Mint Core - Algorithm Registry
+ *
+ * Each algorithm version fixes how derived bytes become a password, and has
+ * its own salt prefix so versions never share output. A version is frozen
+ * once released: fixes ship as a new version, never as a change to an old
+ * one, so existing passwords keep working. Every version needs known-answer
+ * vectors in selftest.mjs.
+ */
+
+import { CONFIG } from './config.mjs';
+import { createByteStream } from './bytestream.mjs';
+import { generatePasswordFromBytes, generatePasswordFromStream } from './generate.mjs';
+
+export const DEFAULT_ALGORITHM = 'v1';
+
+export const ALGORITHMS = Object.freeze({
+    v1: Object.freeze({
+        id: 'v1',
+        label: 'v1 — original',
+        description: 'Modulo character selection; wraps around the 64 derived bytes.',
+        saltPrefix: CONFIG.SALT_PREFIX,
+        async generate(derivedBytes, length, charsets) {
+            return generatePasswordFromBytes(derivedBytes, length, charsets);
+        }
+    }),
+    v2: Object.freeze({
+        id: 'v2',
+        label: 'v2 — unbiased',
+        description: 'Rejection sampling for every choice; extends the derived bytes with HKDF-SHA256.',
+        saltPrefix: 'password-mint::v2::',
+        async generate(derivedBytes, length, charsets) {
+            const stream = createByteStream(derivedBytes, 'password-mint::v2');
+            return generatePasswordFromStream(stream, length, charsets);
+        }
+    })
+});
+
+/**
+ * Look up an algorithm version.
+ *
+ * @param {string} id - Algorithm id, e.g. "v1"
+ * @returns {Object} - Registry entry
+ */
+export function getAlgorithm(id) {
+    if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, id)) {
+        throw new Error('Unknown algorithm version: ' + id);
+    }
+    return ALGORITHMS[id];
+}
@@ -0,0 +1,131 @@
+/**
+ * Password Mint Core - Site Aliases
+ *
+ * Some services sign in on several domains with one account (outlook.com
+ * and live.com, amazon.de and amazon.com). An alias maps a normalized site
+ * to the canonical site whose password it shares; the canonical site is what
+ * goes into the salt, and what profiles and policies are keyed by.
+ *
+ * The bundled groups are written as registrable domains, so they apply with
+ * site normalization v2 only, and v1 passwords never change unless the user
+ * adds an alias. Like the Public Suffix List snapshot, the groups are part
+ * of v2 and frozen. User aliases apply with either version and take
+ * precedence; a user alias of null keeps a site out of its bundled group.
+ */
+
+import { DEFAULT_NORMALIZATION, getNormalization } from './normalize.mjs';
+
+// Bundled groups: canonical site → the sites that share its password
+export const SITE_ALIASES = Object.freeze({
+    'amazon.com': Object.freeze([
+        'amazon.ca', 'amazon.co.uk', 'amazon.com.au', 'amazon.com.mx', 'amazon.de',
+        'amazon.es', 'amazon.fr', 'amazon.ie', 'amazon.in', 'amazon.it', 'amazon.nl'
+    ]),
+    'apple.com': Object.freeze(['icloud.com']),
+    'google.com': Object.freeze(['gmail.com', 'google.co.uk', 'google.de', 'youtube.com']),
+    'microsoft.com': Object.freeze(['hotmail.com', 'live.com', 'msn.com', 'outlook.com', 'xbox.com'])
+});
+
+let bundledLookup = null;
+
+/**
+ * Map each bundled alias to its canonical site.
+ *
+ * @returns {Object<string, string>} - Alias → canonical site
+ */
+function getBundledLookup() {
+    if (!bundledLookup) {
+        bundledLookup = Object.create(null);
+        for (const canonical of Object.keys(SITE_ALIASES)) {
+            for (const alias of SITE_ALIASES[canonical]) bundledLookup[alias] = canonical;
+        }
+    }
+    return bundledLookup;
+}
+
+/**
+ * Validate user aliases.
+ *
+ * @param {Object<string, string|null>} [aliases] - Normalized site → canonical site, or null to turn off its bundled alias
+ * @returns {Object<string, string|null>} - Validated copy (no prototype, sorted by site)
+ */
+export function normalizeAliases(aliases) {
+    const result = Object.create(null);
+    if (aliases === undefined || aliases === null) return result;
+    if (typeof aliases !== 'object' || Array.isArray(aliases)) {
+        throw new Error('Aliases must map sites to the site whose password they share.');
+    }
+
+    for (const site of Object.keys(aliases).sort()) {
+        const canonical = aliases[site];
+        if (!site.trim() || site !== site.trim()) {
+            throw new Error('Alias sites must be normalized site names.');
+        }
+        if (canonical !== null && (typeof canonical !== 'string' || !canonical.trim() || canonical === site)) {
+            throw new Error('The alias for ' + site + ' must be another site, or null.');
+        }
+        result[site] = canonical;
+    }
+
+    // One step only, so a site never depends on a chain of aliases
+    for (const site of Object.keys(result)) {
+        const canonical = result[site];
+        if (canonical !== null && typeof result[canonical] === 'string') {
+            throw new Error(canonical + ' is itself an alias of ' + result[canonical] + '; alias ' + site + ' to ' + result[canonical] + ' instead.');
+        }
+    }
+    return result;
+}
+
+/**
+ * Resolve a normalized site to the canonical site whose password it shares.
+ * A user alias is applied first, then (for normalization versions with
+ * bundled aliases) the bundled group of the result.
+ *
+ * @param {string} normalizedSite - Output of normalizeSite()
+ * @param {string} [normalization='v1'] - Normalization version it came from
+ * @param {Object<string, string|null>} [aliases] - User aliases (see normalizeAliases())
+ * @returns {{site: string, aliasOf: string|null}} - Canonical site, and the site it was reached from (null when no alias applied)
+ */
+export function resolveSiteAlias(normalizedSite, normalization = DEFAULT_NORMALIZATION, aliases) {
+    const user = aliases || {};
+    const hasUserAlias = Object.prototype.hasOwnProperty.call(user, normalizedSite);
+
+    let site = normalizedSite;
+    if (hasUserAlias && user[normalizedSite] === null) {
+        return { site, aliasOf: null };
+    }
+    if (hasUserAlias) {
+        site = user[normalizedSite];
+    }
+
+    const bundled = getBundledLookup();
+    if (getNormalization(normalization).bundledAliases && bundled[site]) {
+        site = bundled[site];
+    }
+    return { site, aliasOf: site === normalizedSite ? null : normalizedSite };
+}
+
+/**
+ * Add imported aliases for sites that have none on this device. Entries
+ * that would form a chain with the current ones are left out.
+ *
+ * @param {Object<string, string|null>} current - Aliases on this device
+ * @param {Object<string, string|null>} incoming - Aliases being imported
+ * @returns {{aliases: Object<string, string|null>, added: string[]}} - Merged aliases and the sites added
+ */
+export function mergeAliases(current, incoming) {
+    let aliases = normalizeAliases(current);
+    const added = [];
+
+    for (const site of Object.keys(incoming).sort()) {
+        if (Object.prototype.hasOwnProperty.call(aliases, site)) continue;
+        try {
+            aliases = normalizeAliases(Object.assign({}, aliases, { [site]: incoming[site] }));
+            added.push(site);
+        } catch (error) {
+            // Would chain through an alias on this device
+        }
+    }
+    return { aliases, added };
+}
@@ -0,0 +1,349 @@
+/**
+ * Password Mint Core - Argon2id (RFC 9106)
+ *
+ * Argon2 version 1.3, type id, in pure JavaScript. Lanes are filled one
+ * after another (there are no threads here), so parallelism changes the
+ * output but not the running time. 64-bit words are (low, high) pairs in
+ * a Uint32Array, as in blake2b.mjs.
+ */
+
+import { blake2b } from './blake2b.mjs';
+
+const ARGON2_VERSION = 0x13;
+const ARGON2_TYPE_ID = 2;
+const SYNC_POINTS = 4;
+const BLOCK_WORDS = 256; // 1024-byte block as 32-bit words
+const ADDRESSES_PER_BLOCK = 128;
+
+// Word offsets for the 16 64-bit registers of each row and column round
+const ROUND_OFFSETS = (() => {
+    const offsets = new Uint16Array(16 * 16);
+    for (let i = 0; i < 8; i++) {
+        for (let k = 0; k < 16; k++) {
+            // Rows: registers 16i .. 16i+15
+            offsets[i * 16 + k] = (16 * i + k) * 2;
+            // Columns: registers 2i, 2i+1, 2i+16, 2i+17, ... 2i+112, 2i+113
+            offsets[(8 + i) * 16 + k] = (2 * i + (k >> 1) * 16 + (k & 1)) * 2;
+        }
+    }
+    return offsets;
+})();
+
+// Scratch blocks for compress()
+const blockR = new Uint32Array(BLOCK_WORDS);
+const blockZ = new Uint32Array(BLOCK_WORDS);
+
+/**
+ * High 32 bits of a * b for unsigned 32-bit a and b.
+ */
+function mulHigh32(a, b) {
+    const aLow = a & 0xffff;
+    const aHigh = a >>> 16;
+    const bLow = b & 0xffff;
+    const bHigh = b >>> 16;
+    const t = aHigh * bLow + ((aLow * bLow) >>> 16);
+    const u = aLow * bHigh + (t & 0xffff);
+    return aHigh * bHigh + (t >>> 16) + (u >>> 16);
+}
+
+/**
+ * v[a] = v[a] + v[b] + 2 * low32(v[a]) * low32(v[b]) (mod 2^64).
+ */
+function blamka(v, a, b) {
+    const aLow = v[a];
+    const bLow = v[b];
+    const productLow = Math.imul(aLow, bLow) >>> 0;
+    const productHigh = mulHigh32(aLow, bLow);
+    const doubledLow = (productLow << 1) >>> 0;
+    const doubledHigh = ((productHigh << 1) | (productLow >>> 31)) >>> 0;
+    const low = aLow + bLow + doubledLow;
+    v[a] = low;
+    v[a + 1] = v[a + 1] + v[b + 1] + doubledHigh + Math.floor(low / 0x100000000);
+}
+
+/**
+ * v[d] = rotr64(v[d] ^ v[a], bits) for bits in {32, 24, 16, 63}.
+ */
+function xorRotate(v, d, a, bits) {
+    const lo = v[d] ^ v[a];
+    const hi = v[d + 1] ^ v[a + 1];
+    if (bits === 32) {
+        v[d] = hi;
+        v[d + 1] = lo;
+    } else if (bits === 63) {
+        v[d] = (hi >>> 31) | (lo << 1);
+        v[d + 1] = (lo >>> 31) | (hi << 1);
+    } else {
+        v[d] = (lo >>> bits) | (hi << (32 - bits));
+        v[d + 1] = (hi >>> bits) | (lo << (32 - bits));
+    }
+}
+
+function mix(v, a, b, c, d) {
+    blamka(v, a, b);
+    xorRotate(v, d, a, 32);
+    blamka(v, c, d);
+    xorRotate(v, b, c, 24);
+    blamka(v, a, b);
+    xorRotate(v, d, a, 16);
+    blamka(v, c, d);
+    xorRotate(v, b, c, 63);
+}
+
+/**
+ * Compression function G: out = P(x ^ y) ^ (x ^ y), optionally XORed into
+ * the previous contents of out (passes after the first, version 1.3).
+ */
+function compress(out, outOffset, x, xOffset, y, yOffset, xorWithOut) {
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+        blockR[i] = x[xOffset + i] ^ y[yOffset + i];
+    }
+    blockZ.set(blockR);
+
+    for (let round = 0; round < 16; round++) {
+        const o = round * 16;
+        const r = ROUND_OFFSETS;
+        mix(blockZ, r[o], r[o + 4], r[o + 8], r[o + 12]);
+        mix(blockZ, r[o + 1], r[o + 5], r[o + 9], r[o + 13]);
+        mix(blockZ, r[o + 2], r[o + 6], r[o + 10], r[o + 14]);
+        mix(blockZ, r[o + 3], r[o + 7], r[o + 11], r[o + 15]);
+        mix(blockZ, r[o], r[o + 5], r[o + 10], r[o + 15]);
+        mix(blockZ, r[o + 1], r[o + 6], r[o + 11], r[o + 12]);
+        mix(blockZ, r[o + 2], r[o + 7], r[o + 8], r[o + 13]);
+        mix(blockZ, r[o + 3], r[o + 4], r[o + 9], r[o + 14]);
+    }
+
+    if (xorWithOut) {
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            out[outOffset + i] ^= blockZ[i] ^ blockR[i];
+        }
+    } else {
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            out[outOffset + i] = blockZ[i] ^ blockR[i];
+        }
+    }
+}
+
+function le32(n) {
+    return new Uint8Array([n & 255, (n >>> 8) & 255, (n >>> 16) & 255, (n >>> 24) & 255]);
+}
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * Variable-length hash H' (RFC 9106 section 3.3).
+ */
+function hashLong(input, outputLength) {
+    const prefixed = concatBytes([le32(outputLength), input]);
+    if (outputLength <= 64) {
+        return blake2b(prefixed, outputLength);
+    }
+
+    const out = new Uint8Array(outputLength);
+    const rounds = Math.ceil(outputLength / 32) - 2;
+    let v = blake2b(prefixed, 64);
+    out.set(v.subarray(0, 32), 0);
+    for (let i = 1; i < rounds; i++) {
+        v = blake2b(v, 64);
+        out.set(v.subarray(0, 32), i * 32);
+    }
+    out.set(blake2b(v, outputLength - 32 * rounds), rounds * 32);
+    return out;
+}
+
+/**
+ * Compute an Argon2id tag.
+ *
+ * @param {Object} params - Argon2 inputs
+ * @param {Uint8Array} params.password - Password bytes (P)
+ * @param {Uint8Array} params.salt - Salt bytes (S), at least 8
+ * @param {number} params.memoryKiB - Memory size m in KiB, at least 8 * parallelism
+ * @param {number} params.passes - Number of passes t, at least 1
+ * @param {number} [params.parallelism=1] - Number of lanes p
+ * @param {number} [params.tagLength=32] - Tag length T in bytes, at least 4
+ * @param {Uint8Array} [params.secret] - Optional secret K
+ * @param {Uint8Array} [params.associatedData] - Optional associated data X
+ * @param {function(number)} [params.onProgress] - Called with the fraction done (0-1) after each segment
+ * @returns {Uint8Array} - Tag
+ */
+export function argon2id(params) {
+    const {
+        password,
+        salt,
+        memoryKiB,
+        passes,
+        parallelism = 1,
+        tagLength = 32,
+        secret = new Uint8Array(0),
+        associatedData = new Uint8Array(0),
+        onProgress
+    } = params;
+
+    if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > 0xffffff) {
+        throw new Error('Argon2 parallelism must be 1 or greater');
+    }
+    if (!Number.isInteger(memoryKiB) || memoryKiB < 8 * parallelism) {
+        throw new Error('Argon2 memory must be at least 8 KiB per lane');
+    }
+    if (!Number.isInteger(passes) || passes < 1) {
+        throw new Error('Argon2 passes must be 1 or greater');
+    }
+    if (!Number.isInteger(tagLength) || tagLength < 4) {
+        throw new Error('Argon2 tag length must be at least 4 bytes');
+    }
+    if (salt.length < 8) {
+        throw new Error('Argon2 salt must be at least 8 bytes');
+    }
+
+    const lanes = parallelism;
+    const blockCount = 4 * lanes * Math.floor(memoryKiB / (4 * lanes));
+    const laneLength = blockCount / lanes;
+    const segmentLength = laneLength / SYNC_POINTS;
+    const memory = new Uint32Array(blockCount * BLOCK_WORDS);
+
+    const h0 = blake2b(concatBytes([
+        le32(lanes), le32(tagLength), le32(memoryKiB), le32(passes),
+        le32(ARGON2_VERSION), le32(ARGON2_TYPE_ID),
+        le32(password.length), password,
+        le32(salt.length), salt,
+        le32(secret.length), secret,
+        le32(associatedData.length), associatedData
+    ]), 64);
+
+    // First two blocks of every lane
+    for (let lane = 0; lane < lanes; lane++) {
+        for (let column = 0; column < 2; column++) {
+            const bytes = hashLong(concatBytes([h0, le32(column), le32(lane)]), 1024);
+            const offset = (lane * laneLength + column) * BLOCK_WORDS;
+            for (let i = 0; i < BLOCK_WORDS; i++) {
+                const o = i * 4;
+                memory[offset + i] = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+            }
+        }
+    }
+
+    const zeroBlock = new Uint32Array(BLOCK_WORDS);
+    const inputBlock = new Uint32Array(BLOCK_WORDS);
+    const addressBlock = new Uint32Array(BLOCK_WORDS);
+
+    function nextAddresses() {
+        inputBlock[12]++;
+        compress(addressBlock, 0, zeroBlock, 0, inputBlock, 0, false);
+        compress(addressBlock, 0, zeroBlock, 0, addressBlock, 0, false);
+    }
+
+    function fillSegment(pass, lane, slice) {
+        // Argon2id: data-independent addressing for the first half of the first pass
+        const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+
+        if (dataIndependent) {
+            inputBlock.fill(0);
+            inputBlock[0] = pass;
+            inputBlock[2] = lane;
+            inputBlock[4] = slice;
+            inputBlock[6] = blockCount;
+            inputBlock[8] = passes;
+            inputBlock[10] = ARGON2_TYPE_ID;
+        }
+
+        let startIndex = 0;
+        if (pass === 0 && slice === 0) {
+            startIndex = 2;
+            if (dataIndependent) nextAddresses();
+        }
+
+        let current = lane * laneLength + slice * segmentLength + startIndex;
+        let previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+
+        for (let index = startIndex; index < segmentLength; index++, current++, previous++) {
+            if (current % laneLength === 1) {
+                previous = current - 1;
+            }
+
+            let j1;
+            let j2;
+            if (dataIndependent) {
+                if (index % ADDRESSES_PER_BLOCK === 0) nextAddresses();
+                const k = (index % ADDRESSES_PER_BLOCK) * 2;
+                j1 = addressBlock[k];
+                j2 = addressBlock[k + 1];
+            } else {
+                j1 = memory[previous * BLOCK_WORDS];
+                j2 = memory[previous * BLOCK_WORDS + 1];
+            }
+
+            const refLane = pass === 0 && slice === 0 ? lane : j2 % lanes;
+            const sameLane = refLane === lane;
+
+            // Size of the reference set (RFC 9106 section 3.4.1.2)
+            let areaSize;
+            if (pass === 0) {
+                if (slice === 0) {
+                    areaSize = index - 1;
+                } else if (sameLane) {
+                    areaSize = slice * segmentLength + index - 1;
+                } else {
+                    areaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+                }
+            } else if (sameLane) {
+                areaSize = laneLength - segmentLength + index - 1;
+            } else {
+                areaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+            }
+
+            const x = mulHigh32(j1, j1);
+            const relative = areaSize - 1 - mulHigh32(areaSize, x);
+            const start = pass !== 0 && slice !== SYNC_POINTS - 1 ? (slice + 1) * segmentLength : 0;
+            const refIndex = (start + relative) % laneLength;
+
+            compress(
+                memory, current * BLOCK_WORDS,
+                memory, previous * BLOCK_WORDS,
+                memory, (refLane * laneLength + refIndex) * BLOCK_WORDS,
+                pass !== 0
+            );
+        }
+    }
+
+    const segmentCount = passes * SYNC_POINTS * lanes;
+    let segmentsDone = 0;
+
+    for (let pass = 0; pass < passes; pass++) {
+        for (let slice = 0; slice < SYNC_POINTS; slice++) {
+            for (let lane = 0; lane < lanes; lane++) {
+                fillSegment(pass, lane, slice);
+                segmentsDone++;
+                if (onProgress) onProgress(segmentsDone / segmentCount);
+            }
+        }
+    }
+
+    // XOR the last block of every lane
+    const finalBlock = memory.slice((laneLength - 1) * BLOCK_WORDS, laneLength * BLOCK_WORDS);
+    for (let lane = 1; lane < lanes; lane++) {
+        const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            finalBlock[i] ^= memory[offset + i];
+        }
+    }
+    memory.fill(0);
+
+    const finalBytes = new Uint8Array(1024);
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+        const w = finalBlock[i];
+        finalBytes[i * 4] = w;
+        finalBytes[i * 4 + 1] = w >>> 8;
+        finalBytes[i * 4 + 2] = w >>> 16;
+        finalBytes[i * 4 + 3] = w >>> 24;
+    }
+    return hashLong(finalBytes, tagLength);
+}
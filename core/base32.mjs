@@ -0,0 +1,51 @@
+/**
+ * Password Mint Core - Base32
+ *
+ * RFC 4648 base32 without padding, shared by the recovery code and the
+ * recovery kit shares. Callers check the alphabet before decoding.
+ */
+
+export const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base32 text; the last character is padded with zero bits
+ */
+export function toBase32(bytes) {
+    let text = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            text += BASE32_ALPHABET[(buffer >> bits) & 31];
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    if (bits) {
+        text += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return text;
+}
+
+/**
+ * @param {string} text - Base32 text (uppercase, no padding)
+ * @returns {Uint8Array} - Decoded bytes; leftover padding bits are dropped
+ */
+export function fromBase32(text) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of text) {
+        buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((buffer >> bits) & 255);
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    return Uint8Array.from(bytes);
+}
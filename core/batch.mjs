@@ -0,0 +1,352 @@
+/**
+ * Password Mint Core - Batch Derivation
+ *
+ * Derives the passwords of many sites from one master phrase, for moving
+ * them into a password manager in one go (see vault-export.mjs). The list
+ * is CSV: one site per line, optionally followed by its version and
+ * account, or a header row naming any of BATCH_COLUMNS. Cells left empty
+ * take the site's saved profile, if there is one, else the batch defaults
+ * (the page's form or the CLI's options). Password entries follow the
+ * rules turned on for their site, as on the page; bundled rules apply only
+ * when asked for.
+ *
+ * The phrase is hardened, and the second secret mixed in, once for the
+ * whole list. A site that fails (a bad value, a password breaking its
+ * policy) is reported with its line and does not stop the others.
+ * Extra fields (usernames, security answers) are not derived.
+ */
+
+import { LENGTH_RANGE } from './config.mjs';
+import { DEFAULT_NORMALIZATION, normalizeSite } from './normalize.mjs';
+import { isPhraseKey, resolvePhraseKey } from './kdf.mjs';
+import { normalizeSecondSecret, mixSecondSecret } from './second-secret.mjs';
+import { resolveSecurityLevel } from './levels.mjs';
+import { DEFAULT_FORMAT, getOutputFormat } from './formats.mjs';
+import { getSitePolicy } from './policies.mjs';
+import { normalizeAliases, resolveSiteAlias } from './aliases.mjs';
+import { findProfile } from './profiles.mjs';
+import { derivePassword } from './derive.mjs';
+
+export const BATCH_COLUMNS = Object.freeze({
+    site: 'Site or URL (required)',
+    account: 'Username or email',
+    version: 'Rotation version',
+    length: 'Length',
+    format: 'Output format',
+    level: 'Security level',
+    memory: 'Memory cost in MiB (scrypt, argon2id)',
+    'time-cost': 'Time cost (scrypt, argon2id)',
+    algorithm: 'Algorithm version',
+    identity: 'Identity',
+    'site-names': 'Site normalization',
+    name: 'Title in the password manager (default: the site as written)',
+    url: 'Address in the password manager (default: the site, if it is a domain or URL)'
+});
+
+// Columns of a list without a header row
+const PLAIN_COLUMNS = ['site', 'version', 'account'];
+
+export const BATCH_MAX_ENTRIES = 1000;
+
+/**
+ * Split CSV text (RFC 4180: quoted values may hold commas, quotes as "" and
+ * line breaks) into records.
+ *
+ * @param {string} text - CSV text
+ * @returns {{line: number, cells: string[]}[]} - Records with the line each starts on
+ */
+function parseCsv(text) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let afterQuote = false;
+    let line = 1;
+    let start = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+                afterQuote = true;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+            afterQuote = false;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            records.push({ line: start, cells });
+            cells = [];
+            cell = '';
+            afterQuote = false;
+            start = ++line;
+        } else if (afterQuote) {
+            if (!/\s/.test(char)) {
+                throw new Error('Line ' + line + ': only a comma can follow a closing quote.');
+            }
+        } else if (char === '"' && !cell.trim()) {
+            quoted = true;
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Line ' + start + ': a quoted value is never closed.');
+    }
+    if (cell || cells.length || afterQuote) {
+        cells.push(cell);
+        records.push({ line: start, cells });
+    }
+    return records;
+}
+
+function columnName(cell) {
+    return cell.trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Read a list of sites. Blank lines and lines starting with # are skipped.
+ *
+ * @param {string} text - One site per line ("site[,version[,account]]"), or CSV with a header row naming a "site" column
+ * @returns {Object[]} - Entries: { line, site } plus the other non-empty cells, keyed by column name (see BATCH_COLUMNS)
+ */
+export function parseBatch(text) {
+    const records = parseCsv(String(text || ''))
+        .filter(record => record.cells.some(cell => cell.trim()) && !record.cells[0].trim().startsWith('#'));
+
+    let columns = PLAIN_COLUMNS;
+    let rows = records;
+    if (records.length && records[0].cells.some(cell => columnName(cell) === 'site')) {
+        columns = records[0].cells.map(columnName);
+        columns.forEach((column, index) => {
+            if (!Object.prototype.hasOwnProperty.call(BATCH_COLUMNS, column)) {
+                throw new Error('Line ' + records[0].line + ': unknown column "' + records[0].cells[index].trim() +
+                    '". Columns can be: ' + Object.keys(BATCH_COLUMNS).join(', ') + '.');
+            }
+            if (columns.indexOf(column) !== index) {
+                throw new Error('Line ' + records[0].line + ': the column "' + column + '" appears twice.');
+            }
+        });
+        rows = records.slice(1);
+    }
+
+    if (!rows.length) {
+        throw new Error('The list has no sites.');
+    }
+    if (rows.length > BATCH_MAX_ENTRIES) {
+        throw new Error('A list can have at most ' + BATCH_MAX_ENTRIES + ' sites.');
+    }
+
+    return rows.map(record => {
+        if (record.cells.length > columns.length) {
+            throw new Error('Line ' + record.line + ' has ' + record.cells.length + ' values, but there are only ' +
+                columns.length + ' columns (' + columns.join(', ') + ').');
+        }
+        const entry = { line: record.line };
+        columns.forEach((column, index) => {
+            const value = (record.cells[index] || '').trim();
+            if (value) entry[column] = value;
+        });
+        if (!entry.site) {
+            throw new Error('Line ' + record.line + ' has no site.');
+        }
+        return entry;
+    });
+}
+
+function parseWholeNumber(value, name) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(name + ' must be a whole number, not "' + value + '".');
+    }
+    return Number(value);
+}
+
+/**
+ * Address to store with an entry: a URL as written, or a domain with https://.
+ *
+ * @param {string} site - Site as written in the list
+ * @returns {string} - URL, or '' for plain names like "github"
+ */
+function siteUrl(site) {
+    if (/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(site)) return site;
+    if (/^[^\s/:@]+\.[^\s/:@]+(:\d+)?(\/\S*)?$/.test(site)) return 'https://' + site;
+    return '';
+}
+
+/**
+ * Settings a saved profile gives its site, in the shape of the batch defaults.
+ *
+ * @param {Object} profile - From findProfile()
+ * @returns {Object} - Settings
+ */
+function profileSettings(profile) {
+    return {
+        normalization: profile.normalization || DEFAULT_NORMALIZATION,
+        version: profile.version,
+        length: profile.length,
+        charsets: profile.charsets,
+        securityLevel: profile.securityLevel,
+        kdfCosts: profile.kdfCosts,
+        algorithm: profile.algorithm,
+        format: profile.format || DEFAULT_FORMAT,
+        passphrase: profile.passphrase
+    };
+}
+
+/**
+ * Turn one entry into derivePassword() options.
+ *
+ * @param {Object} entry - From parseBatch()
+ * @param {Object} defaults - Batch defaults
+ * @param {Object<string, string|null>} aliases - Normalized site aliases
+ * @param {Object<string, Object>} [profiles] - Saved site profiles
+ * @param {Object<string, Object|null>|false} [policies] - Policy overrides, or false to ignore policies
+ * @param {boolean} [knownPolicies] - Fall back to the bundled policies
+ * @returns {Object} - Options, without the phrase
+ */
+function resolveEntry(entry, defaults, aliases, profiles, policies, knownPolicies) {
+    const account = entry.account !== undefined ? entry.account : defaults.account;
+    const identity = entry.identity !== undefined ? entry.identity : defaults.identity;
+    const profile = profiles ? findProfile(profiles, entry.site, aliases, account, identity) : undefined;
+    const base = profile ? Object.assign({}, defaults, profileSettings(profile)) : defaults;
+    const baseFormat = base.format || DEFAULT_FORMAT;
+    const baseLevel = base.securityLevel || 'standard';
+
+    const format = getOutputFormat(entry.format || baseFormat).id;
+    const securityLevel = entry.level || baseLevel;
+    const normalization = entry['site-names'] || base.normalization || DEFAULT_NORMALIZATION;
+    const site = resolveSiteAlias(normalizeSite(entry.site, normalization), normalization, aliases).site;
+
+    const version = entry.version || String(base.version || 1);
+    if (parseWholeNumber(version, 'Version') < 1) {
+        throw new Error('Version must be 1 or greater.');
+    }
+
+    // Costs belong to the level they were chosen for
+    let kdfCosts = securityLevel === baseLevel ? base.kdfCosts : undefined;
+    if (entry.memory || entry['time-cost']) {
+        kdfCosts = Object.assign({}, kdfCosts);
+        if (entry.memory) kdfCosts.memoryMiB = parseWholeNumber(entry.memory, 'Memory cost');
+        if (entry['time-cost']) kdfCosts.timeCost = parseWholeNumber(entry['time-cost'], 'Time cost');
+    }
+
+    // A profile's own rules (or none) win over the others
+    let policy = null;
+    if (format === DEFAULT_FORMAT) {
+        if (profile && profile.policy !== undefined) {
+            policy = profile.policy;
+        } else if (policies !== false) {
+            policy = getSitePolicy(site, policies || undefined, knownPolicies);
+        }
+    }
+
+    // Like the page's slider, a length not written in the list fits the site's rules
+    let length = entry.length ? parseWholeNumber(entry.length, 'Length') : format === baseFormat ? base.length : undefined;
+    if (format === DEFAULT_FORMAT && !entry.length) {
+        const min = policy ? policy.minLength : LENGTH_RANGE.min;
+        const max = policy ? policy.maxLength : LENGTH_RANGE.max;
+        length = Math.min(Math.max(length === undefined ? LENGTH_RANGE.default : length, min), max);
+    }
+
+    return {
+        site: entry.site,
+        normalization,
+        account,
+        identity,
+        version,
+        length,
+        charsets: base.charsets,
+        securityLevel,
+        kdfCosts,
+        algorithm: entry.algorithm || base.algorithm,
+        policy: policy || undefined,
+        format,
+        passphrase: format === 'passphrase' && baseFormat === 'passphrase' ? base.passphrase : undefined
+    };
+}
+
+/**
+ * Derive the password of every entry in a list.
+ *
+ * @param {Object} options - Batch inputs
+ * @param {string|CryptoKey} options.phrase - Raw master phrase, or a key from importMasterPhrase()
+ * @param {Uint8Array} [options.secondSecret] - Keyfile bytes or a decoded recovery code (see mixSecondSecret())
+ * @param {Object[]} options.entries - From parseBatch()
+ * @param {Object} [options.defaults] - Settings for cells left empty, in the shape of the derivePassword() options (normalization, aliases, account, identity, version, length, charsets, securityLevel, kdfCosts, algorithm, format, passphrase)
+ * @param {Object<string, Object>} [options.profiles] - Saved site profiles; a listed site with one for its account and identity uses its settings instead of the defaults
+ * @param {Object<string, Object|null>|false} [options.policies] - Policy overrides keyed by normalized site (see getSitePolicy()), or false to ignore site policies
+ * @param {boolean} [options.knownPolicies=false] - Use the bundled policy of sites without an override or profile rules
+ * @param {function(number)} [options.onProgress] - Progress (0-1) over the whole list
+ * @returns {Promise<{entries: Object[], errors: {line: number, site: string, message: string}[]}>} - For each site derived, in list order:
+ *   { line, title, url, site, aliasOf?, account, identity?, version, format, securityLevel, kdfCosts?, algorithm, normalization, password }
+ */
+export async function deriveBatch(options) {
+    const {
+        phrase,
+        secondSecret,
+        entries,
+        defaults = {},
+        profiles,
+        policies,
+        knownPolicies = false,
+        onProgress
+    } = options || {};
+
+    if (!Array.isArray(entries) || !entries.length) {
+        throw new Error('The list has no sites.');
+    }
+    if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+        throw new Error('Please enter your master phrase.');
+    }
+
+    const aliases = normalizeAliases(defaults.aliases);
+    const phraseKey = await mixSecondSecret(await resolvePhraseKey(phrase), normalizeSecondSecret(secondSecret));
+
+    const results = [];
+    const errors = [];
+    for (const [index, entry] of entries.entries()) {
+        try {
+            const settings = resolveEntry(entry, defaults, aliases, profiles, policies, knownPolicies);
+            const derived = await derivePassword(Object.assign({}, settings, {
+                phrase: phraseKey,
+                aliases,
+                onProgress: onProgress ? fraction => onProgress((index + fraction) / entries.length) : undefined
+            }));
+
+            const result = {
+                line: entry.line,
+                title: entry.name || entry.site,
+                url: entry.url || siteUrl(entry.site),
+                site: derived.normalizedSite
+            };
+            if (derived.aliasOf) result.aliasOf = derived.aliasOf;
+            result.account = derived.account || '';
+            if (derived.identity) result.identity = derived.identity;
+            result.version = settings.version;
+            result.format = settings.format;
+            result.securityLevel = settings.securityLevel;
+            const level = resolveSecurityLevel(settings.securityLevel, settings.kdfCosts);
+            if (level.kdf !== 'pbkdf2') result.kdfCosts = { memoryMiB: level.memoryMiB, timeCost: level.timeCost };
+            result.algorithm = derived.algorithm;
+            result.normalization = settings.normalization;
+            result.password = derived.password;
+            results.push(result);
+        } catch (error) {
+            errors.push({ line: entry.line, site: entry.site, message: error.message });
+        }
+        if (onProgress) onProgress((index + 1) / entries.length);
+    }
+
+    return { entries: results, errors };
+}
@@ -0,0 +1,75 @@
+/**
+ * Password Mint Core - Device Calibration
+ *
+ * Times each KDF once on a small input and extrapolates to full security
+ * levels. Cost grows linearly with PBKDF2 iterations, and with memory × time
+ * cost for scrypt and Argon2id, so one sample per KDF gives a usable estimate.
+ */
+
+import { importPhraseKey, pbkdf2Bits } from './kdf.mjs';
+import { scrypt } from './scrypt.mjs';
+import { argon2id } from './argon2.mjs';
+import { stringToBytes } from './normalize.mjs';
+import { resolveSecurityLevel } from './levels.mjs';
+
+const SAMPLE_ITERATIONS = 50000;
+const SAMPLE_MEMORY_MIB = 2;
+
+function now() {
+    return globalThis.performance ? globalThis.performance.now() : Date.now();
+}
+
+async function timeMs(task) {
+    const start = now();
+    await task();
+    return now() - start;
+}
+
+/**
+ * Measure KDF speed on the current device (roughly 200 ms of work on a laptop).
+ *
+ * @returns {Promise<{pbkdf2MsPerIteration: number, scryptMsPerMiB: number, argon2idMsPerMiB: number}>} - Speeds for estimateDerivationMs()
+ */
+export async function measureKdfSpeed() {
+    const key = await importPhraseKey('password-mint::benchmark');
+    const salt = stringToBytes('password-mint::benchmark::salt');
+    const sampleKiB = SAMPLE_MEMORY_MIB * 1024;
+
+    // Warm up, so the samples don't include compiling the KDF code
+    await pbkdf2Bits(key, salt, 1000, 64);
+    await scrypt(key, salt, 1024, 8, 1, 64);
+    argon2id({ password: salt, salt, memoryKiB: 1024, passes: 1 });
+
+    const pbkdf2Ms = await timeMs(() => pbkdf2Bits(key, salt, SAMPLE_ITERATIONS, 64));
+    const scryptMs = await timeMs(() => scrypt(key, salt, sampleKiB, 8, 1, 64));
+    const argon2Ms = await timeMs(async () => argon2id({ password: salt, salt, memoryKiB: sampleKiB, passes: 1 }));
+
+    return {
+        pbkdf2MsPerIteration: pbkdf2Ms / SAMPLE_ITERATIONS,
+        scryptMsPerMiB: scryptMs / SAMPLE_MEMORY_MIB,
+        argon2idMsPerMiB: argon2Ms / SAMPLE_MEMORY_MIB
+    };
+}
+
+/**
+ * Estimate how long a security level takes on the measured device.
+ *
+ * @param {Object} speed - From measureKdfSpeed()
+ * @param {string} securityLevel - Key of SECURITY_LEVELS
+ * @param {{memoryMiB: number, timeCost: number}} [kdfCosts] - Overrides for memory-hard levels
+ * @returns {number} - Estimated milliseconds
+ */
+export function estimateDerivationMs(speed, securityLevel, kdfCosts) {
+    const level = resolveSecurityLevel(securityLevel, kdfCosts);
+
+    switch (level.kdf) {
+        case 'pbkdf2':
+            return level.iterations * speed.pbkdf2MsPerIteration;
+        case 'scrypt':
+            return level.memoryMiB * level.timeCost * speed.scryptMsPerMiB;
+        case 'argon2id':
+            return level.memoryMiB * level.timeCost * speed.argon2idMsPerMiB;
+        default:
+            throw new Error('Unknown KDF: ' + level.kdf);
+    }
+}
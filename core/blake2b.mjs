@@ -0,0 +1,157 @@
+/**
+ * Password Mint Core - BLAKE2b (RFC 7693)
+ *
+ * Unkeyed BLAKE2b with 1-64 byte output, needed by Argon2. 64-bit words are
+ * held as (low, high) pairs of 32-bit integers in a Uint32Array.
+ */
+
+const IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+    0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+    0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+// Message schedule; rounds 10 and 11 repeat rounds 0 and 1
+const SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3]
+];
+
+const BLOCK_BYTES = 128;
+
+/**
+ * v[a] += v[b] (64-bit, word indices are pair offsets).
+ */
+function add64(v, a, b) {
+    const lo = v[a] + v[b];
+    v[a] = lo;
+    v[a + 1] = v[a + 1] + v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+}
+
+/**
+ * v[a] += (hi:lo) (64-bit).
+ */
+function add64Word(v, a, lo, hi) {
+    const sum = v[a] + lo;
+    v[a] = sum;
+    v[a + 1] = v[a + 1] + hi + (sum >= 0x100000000 ? 1 : 0);
+}
+
+/**
+ * v[d] = rotr64(v[d] ^ v[a], bits) for bits in {32, 24, 16, 63}.
+ */
+function xorRotate(v, d, a, bits) {
+    const lo = v[d] ^ v[a];
+    const hi = v[d + 1] ^ v[a + 1];
+    if (bits === 32) {
+        v[d] = hi;
+        v[d + 1] = lo;
+    } else if (bits === 63) {
+        v[d] = (hi >>> 31) | (lo << 1);
+        v[d + 1] = (lo >>> 31) | (hi << 1);
+    } else {
+        v[d] = (lo >>> bits) | (hi << (32 - bits));
+        v[d + 1] = (hi >>> bits) | (lo << (32 - bits));
+    }
+}
+
+function mix(v, m, a, b, c, d, x, y) {
+    add64(v, a, b);
+    add64Word(v, a, m[x], m[x + 1]);
+    xorRotate(v, d, a, 32);
+    add64(v, c, d);
+    xorRotate(v, b, c, 24);
+    add64(v, a, b);
+    add64Word(v, a, m[y], m[y + 1]);
+    xorRotate(v, d, a, 16);
+    add64(v, c, d);
+    xorRotate(v, b, c, 63);
+}
+
+function compress(h, block, counter, isLast) {
+    const v = new Uint32Array(32);
+    const m = new Uint32Array(32);
+
+    for (let i = 0; i < 16; i++) {
+        v[i] = h[i];
+        v[i + 16] = IV[i];
+    }
+
+    // Byte counter (fits in 53 bits) into v[12]
+    v[24] ^= counter >>> 0;
+    v[25] ^= Math.floor(counter / 0x100000000);
+
+    if (isLast) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    }
+
+    for (let i = 0; i < 32; i++) {
+        const o = i * 4;
+        m[i] = block[o] | (block[o + 1] << 8) | (block[o + 2] << 16) | (block[o + 3] << 24);
+    }
+
+    for (let round = 0; round < 12; round++) {
+        const s = SIGMA[round];
+        mix(v, m, 0, 8, 16, 24, s[0] * 2, s[1] * 2);
+        mix(v, m, 2, 10, 18, 26, s[2] * 2, s[3] * 2);
+        mix(v, m, 4, 12, 20, 28, s[4] * 2, s[5] * 2);
+        mix(v, m, 6, 14, 22, 30, s[6] * 2, s[7] * 2);
+        mix(v, m, 0, 10, 20, 30, s[8] * 2, s[9] * 2);
+        mix(v, m, 2, 12, 22, 24, s[10] * 2, s[11] * 2);
+        mix(v, m, 4, 14, 16, 26, s[12] * 2, s[13] * 2);
+        mix(v, m, 6, 8, 18, 28, s[14] * 2, s[15] * 2);
+    }
+
+    for (let i = 0; i < 16; i++) {
+        h[i] ^= v[i] ^ v[i + 16];
+    }
+}
+
+/**
+ * Hash bytes with BLAKE2b.
+ *
+ * @param {Uint8Array} input - Message
+ * @param {number} [outputLength=64] - Digest length in bytes (1-64)
+ * @returns {Uint8Array} - Digest
+ */
+export function blake2b(input, outputLength = 64) {
+    if (!Number.isInteger(outputLength) || outputLength < 1 || outputLength > 64) {
+        throw new Error('BLAKE2b output length must be 1-64 bytes');
+    }
+
+    const h = new Uint32Array(IV);
+    // Parameter block: digest length, no key, fanout 1, depth 1
+    h[0] ^= 0x01010000 ^ outputLength;
+
+    const block = new Uint8Array(BLOCK_BYTES);
+    let offset = 0;
+
+    // All full blocks except the last one
+    while (input.length - offset > BLOCK_BYTES) {
+        block.set(input.subarray(offset, offset + BLOCK_BYTES));
+        offset += BLOCK_BYTES;
+        compress(h, block, offset, false);
+    }
+
+    block.fill(0);
+    block.set(input.subarray(offset));
+    compress(h, block, input.length, true);
+
+    const out = new Uint8Array(outputLength);
+    for (let i = 0; i < outputLength; i++) {
+        out[i] = h[i >> 2] >>> (8 * (i & 3));
+    }
+    return out;
+}
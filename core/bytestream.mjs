@@ -0,0 +1,87 @@
+/**
+ * Password Mint Core - Deterministic Byte Stream
+ *
+ * Serves derived bytes in order and, once they run out, extends them with
+ * HKDF-SHA256 (WebCrypto) instead of wrapping around. Used by algorithms
+ * from v2 on; v1 keeps its original wrap-around reader.
+ */
+
+import { getSubtle } from './kdf.mjs';
+import { stringToBytes } from './normalize.mjs';
+
+const HKDF_BLOCK_BYTES = 64;
+
+/**
+ * Create a byte stream over derived bytes.
+ *
+ * Block 0 is the derived bytes themselves. Block n (n >= 1) is
+ * HKDF-SHA256(ikm = derived bytes, salt = empty, info = label + '::expand::' + n).
+ *
+ * @param {Uint8Array} derivedBytes - Bytes from the KDF
+ * @param {string} label - Domain-separation label for the expansion
+ * @returns {{nextByte: function(): Promise<number>, nextWord: function(): Promise<number>, uniform: function(number): Promise<number>}} - Stream reader
+ */
+export function createByteStream(derivedBytes, label) {
+    let buffer = derivedBytes;
+    let index = 0;
+    let block = 0;
+    let hkdfKey = null;
+
+    async function refill() {
+        const subtle = getSubtle();
+        if (!hkdfKey) {
+            hkdfKey = await subtle.importKey('raw', derivedBytes, 'HKDF', false, ['deriveBits']);
+        }
+        block++;
+        const bits = await subtle.deriveBits(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new Uint8Array(0),
+                info: stringToBytes(label + '::expand::' + block)
+            },
+            hkdfKey,
+            HKDF_BLOCK_BYTES * 8
+        );
+        buffer = new Uint8Array(bits);
+        index = 0;
+    }
+
+    /**
+     * Get the next byte, extending the stream when the buffer is used up.
+     */
+    async function nextByte() {
+        if (index >= buffer.length) {
+            await refill();
+        }
+        return buffer[index++];
+    }
+
+    /**
+     * Get a 16-bit value from the next two bytes.
+     */
+    async function nextWord() {
+        const high = await nextByte();
+        const low = await nextByte();
+        return (high << 8) | low;
+    }
+
+    /**
+     * Get an unbiased integer in [0, n) by rejection sampling 16-bit words.
+     *
+     * @param {number} n - Exclusive upper bound (1 to 65536)
+     */
+    async function uniform(n) {
+        if (!Number.isInteger(n) || n < 1 || n > 65536) {
+            throw new Error('Range out of bounds: ' + n);
+        }
+        const limit = 65536 - (65536 % n);
+        let word;
+        do {
+            word = await nextWord();
+        } while (word >= limit);
+        return word % n;
+    }
+
+    return { nextByte, nextWord, uniform };
+}
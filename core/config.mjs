@@ -0,0 +1,52 @@
+/**
+ * Password Mint Core - Configuration
+ *
+ * Constants shared by every consumer of the derivation pipeline (web page,
+ * CLI, workers). Changing any value here changes generated passwords.
+ */
+
+export const CONFIG = Object.freeze({
+    SALT_PREFIX: 'password-mint::v1::',
+    ITERATIONS: Object.freeze({
+        standard: 210000,
+        high: 400000
+    }),
+    DERIVED_BYTES: 64,
+    HASH_ALGORITHM: 'SHA-256'
+});
+
+// Password length bounds offered by the web form; a site policy may allow
+// lengths down to policyMin for sites that cap passwords short
+export const LENGTH_RANGE = Object.freeze({
+    min: 12,
+    max: 64,
+    default: 16,
+    policyMin: 4
+});
+
+// Character sets
+// Symbols chosen for maximum compatibility across major sites:
+// Amazon, Apple, Google, Microsoft, Netflix, Facebook, Instagram, banking sites
+// Avoided: ~ | \ " ' ` < > [ ] { } ; : , / & ^ (commonly restricted)
+export const CHAR_SETS = Object.freeze({
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    digits: '0123456789',
+    symbols: '!@#$%*-_=+.?'  // Safe symbols that work on 95%+ of sites
+});
+
+// Ambiguous characters to exclude
+export const AMBIGUOUS_CHARS = 'O0Il1';
+
+// Policy-problem characters (often rejected by password policies)
+// Note: Many of these are already excluded from symbols above
+export const PROBLEMATIC_CHARS = '"\' \\`~|<>[]{}:;,/&^()';
+
+// Default character set toggles (mirrors the defaults of the web form)
+export const DEFAULT_CHARSETS = Object.freeze({
+    upper: true,
+    lower: true,
+    digits: true,
+    symbols: true,
+    excludeAmbiguous: true
+});
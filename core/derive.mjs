@@ -0,0 +1,244 @@
+/**
+ * Password Mint Core - Derivation
+ *
+ * The full pipeline, exactly as the web page runs it:
+ * normalizeSite → site alias → hardenPhrase (+ second secret) → salt → KDF → algorithm mapping
+ *
+ * An account (username or email) is an optional salt tag, so several
+ * accounts on one site get unrelated passwords and no account keeps the
+ * original salt. An identity (identities.mjs) is a salt tag too, so work
+ * and personal passwords never meet even with the same phrase. Extra
+ * fields (fields.mjs) each run the KDF again, with their own purpose tag
+ * and version.
+ *
+ * Other output formats (formats.mjs) take the same path up to the KDF, with
+ * a "format" salt tag so a site's passphrase, PIN and password never share
+ * bytes, then map the bytes onto words (passphrase.mjs) or their own
+ * alphabets instead of the character pools.
+ */
+
+import { DEFAULT_NORMALIZATION, getNormalization, normalizeAccount, normalizeIdentity } from './normalize.mjs';
+import { isPhraseKey, resolvePhraseKey } from './kdf.mjs';
+import { normalizeSecondSecret, mixSecondSecret } from './second-secret.mjs';
+import { SECURITY_LEVELS, resolveSecurityLevel, kdfSaltTag, deriveLevelBytes } from './levels.mjs';
+import { resolveCharsets } from './generate.mjs';
+import { applyPolicyToCharsets, checkPolicy } from './policies.mjs';
+import { normalizePassphraseOptions, generatePassphraseFromBytes, estimatePassphraseEntropy } from './passphrase.mjs';
+import { DEFAULT_FORMAT, getOutputFormat, generateFormatFromBytes, formatEntropy } from './formats.mjs';
+import { DEFAULT_ALGORITHM, getAlgorithm } from './algorithms.mjs';
+import { normalizeAliases, resolveSiteAlias } from './aliases.mjs';
+import { normalizeField, generateFieldFromBytes, fieldEntropy } from './fields.mjs';
+
+/**
+ * Construct the salt for a site/version pair (domain separation).
+ *
+ * Tags add "::name=value" components in name order; with no tags the salt
+ * is exactly the original one. Values are URI-encoded so they cannot
+ * introduce separators of their own.
+ *
+ * @param {string} normalizedSite - Output of normalizeSite()
+ * @param {string|number} version - Rotation counter, used exactly as given
+ * @param {string} [algorithm='v1'] - Algorithm version (selects the salt prefix)
+ * @param {Object<string, string>} [tags] - Extra components; empty values are skipped
+ * @returns {string} - Salt string
+ */
+export function buildSalt(normalizedSite, version, algorithm = DEFAULT_ALGORITHM, tags) {
+    let salt = getAlgorithm(algorithm).saltPrefix + normalizedSite + '::' + version;
+
+    for (const name of Object.keys(tags || {}).sort()) {
+        if (tags[name]) {
+            salt += '::' + name + '=' + encodeURIComponent(tags[name]);
+        }
+    }
+
+    return salt;
+}
+
+/**
+ * Get the PBKDF2 iteration count for a security level.
+ *
+ * @param {string} securityLevel - A PBKDF2 level: "standard" or "high"
+ * @returns {number} - Iteration count
+ */
+export function getIterations(securityLevel) {
+    const level = resolveSecurityLevel(securityLevel);
+    if (level.kdf !== 'pbkdf2') {
+        throw new Error('Security level does not use PBKDF2: ' + securityLevel);
+    }
+    return SECURITY_LEVELS[securityLevel].iterations;
+}
+
+/**
+ * Derive the password for a site, exactly as the web page does.
+ *
+ * @param {Object} options - Derivation inputs
+ * @param {string|CryptoKey} options.phrase - Raw master phrase (hardened internally), or a key from importMasterPhrase()
+ * @param {Uint8Array} [options.secondSecret] - Keyfile bytes or a decoded recovery code, mixed into the phrase key (see mixSecondSecret())
+ * @param {string} options.site - Raw site or URL (normalized internally)
+ * @param {string} [options.normalization='v1'] - Site normalization version from NORMALIZATIONS
+ * @param {Object<string, string|null>} [options.aliases] - User site aliases (see normalizeAliases()); bundled aliases apply with normalization v2
+ * @param {string} [options.account] - Username or email, for several accounts on one site (normalized with normalizeAccount())
+ * @param {string} [options.identity] - Identity name, e.g. "work" (normalized with normalizeIdentity()); none for the default identity
+ * @param {string|number} [options.version=1] - Rotation counter
+ * @param {number} [options.length] - Password length (default 16), or the length of a PIN, hex, base32 or pronounceable output (default per format)
+ * @param {Object} [options.charsets] - Toggles: upper, lower, digits, symbols, excludeAmbiguous; optional symbolChars, excludeChars, minCounts (see resolveCharsets())
+ * @param {string} [options.securityLevel='standard'] - Key of SECURITY_LEVELS
+ * @param {{memoryMiB: number, timeCost: number}} [options.kdfCosts] - Costs for scrypt/Argon2id levels
+ * @param {string} [options.algorithm='v1'] - Algorithm version from ALGORITHMS
+ * @param {Object} [options.policy] - Site policy from getSitePolicy(); reshapes the pools, and a password breaking it is an error
+ * @param {string} [options.format='password'] - Key of OUTPUT_FORMATS; charsets and policy apply to passwords only
+ * @param {Object} [options.passphrase] - Passphrase options (see normalizePassphraseOptions())
+ * @param {Object[]} [options.fields] - Extra fields to derive too, e.g. [{ kind: 'username' }, { kind: 'answer', question: 'First pet?' }] (see normalizeField())
+ * @param {function(number)} [options.onProgress] - Progress (0-1) of scrypt/Argon2id key derivation, over the password and every field
+ * @returns {Promise<{password: string, normalizedSite: string, aliasOf?: string, account?: string, identity?: string, algorithm: string, entropyBits?: number, fields?: Object[]}>} -
+ *   Password and what produced it; aliasOf is the site as normalized when an alias replaced it, account the normalized account if one was given, and other
+ *   formats include their (estimated) entropy; identity is the normalized identity, if one was given. fields lists { kind, question?, version, value, entropyBits } in the order requested
+ */
+export async function derivePassword(options) {
+    const {
+        phrase,
+        secondSecret,
+        site,
+        normalization = DEFAULT_NORMALIZATION,
+        aliases,
+        account,
+        identity,
+        version = 1,
+        length,
+        charsets,
+        securityLevel = 'standard',
+        kdfCosts,
+        algorithm = DEFAULT_ALGORITHM,
+        policy,
+        format = DEFAULT_FORMAT,
+        passphrase,
+        fields,
+        onProgress
+    } = options || {};
+
+    if (typeof site !== 'string' || !site.trim()) {
+        throw new Error('Please enter a site or app name.');
+    }
+
+    if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+        throw new Error('Please enter your master phrase.');
+    }
+
+    const secret = normalizeSecondSecret(secondSecret);
+
+    const versionNum = parseInt(version, 10);
+    if (isNaN(versionNum) || versionNum < 1) {
+        throw new Error('Version must be 1 or greater.');
+    }
+
+    const formatEntry = getOutputFormat(format);
+    if (format !== 'password' && policy) {
+        throw new Error('Site rules apply to passwords only.');
+    }
+
+    // Checked before the slow KDF runs
+    const passphraseOptions = format === 'passphrase' ? normalizePassphraseOptions(passphrase) : null;
+    const outputLength = length === undefined && formatEntry.length ? formatEntry.length.default : length;
+
+    if (format === 'password' && (!Number.isInteger(outputLength) || outputLength < 1)) {
+        throw new Error('Length must be a positive integer.');
+    }
+
+    if (formatEntry.alphabets && (!Number.isInteger(outputLength) ||
+        outputLength < formatEntry.length.min || outputLength > formatEntry.length.max)) {
+        throw new Error(formatEntry.label + ' length must be between ' + formatEntry.length.min + ' and ' + formatEntry.length.max + '.');
+    }
+
+    if (policy && (outputLength < policy.minLength || outputLength > policy.maxLength)) {
+        throw new Error('This site needs a length between ' + policy.minLength + ' and ' + policy.maxLength + '.');
+    }
+
+    const level = resolveSecurityLevel(securityLevel, kdfCosts);
+    const algorithmEntry = getAlgorithm(algorithm);
+    const normalizationEntry = getNormalization(normalization);
+    const siteAliases = normalizeAliases(aliases);
+    const normalizedAccount = normalizeAccount(account);
+    const normalizedIdentity = normalizeIdentity(identity);
+    const fieldList = (fields || []).map(normalizeField);
+
+    // Progress runs once over the password and its fields
+    const runs = 1 + fieldList.length;
+    const progressOf = run => onProgress ? fraction => onProgress((run + fraction) / runs) : undefined;
+
+    // Normalize site, then resolve its alias
+    const alias = resolveSiteAlias(normalizationEntry.normalize(site), normalizationEntry.id, siteAliases);
+    const normalizedSite = alias.site;
+
+    // Construct salt with domain separation
+    const salt = buildSalt(normalizedSite, version, algorithm, {
+        account: normalizedAccount,
+        identity: normalizedIdentity,
+        kdf: kdfSaltTag(level),
+        format: formatEntry.saltTag,
+        normalize: normalizationEntry.saltTag
+    });
+
+    // Derive bytes with the level's KDF from the hardened phrase (hardened on import)
+    const phraseKey = await mixSecondSecret(await resolvePhraseKey(phrase), secret);
+    const derivedBytes = await deriveLevelBytes(phraseKey, salt, level, progressOf(0));
+
+    let result;
+    if (passphraseOptions) {
+        const generated = await generatePassphraseFromBytes(derivedBytes, passphraseOptions);
+        result = {
+            password: generated.passphrase,
+            normalizedSite,
+            algorithm: algorithmEntry.id,
+            entropyBits: estimatePassphraseEntropy(passphraseOptions, generated.words)
+        };
+    } else if (formatEntry.alphabets) {
+        result = {
+            password: await generateFormatFromBytes(derivedBytes, format, outputLength),
+            normalizedSite,
+            algorithm: algorithmEntry.id,
+            entropyBits: formatEntropy(format, outputLength)
+        };
+    } else {
+        // Generate password from derived bytes
+        const poolOptions = policy ? applyPolicyToCharsets(charsets, policy) : resolveCharsets(charsets);
+        const password = await algorithmEntry.generate(derivedBytes, outputLength, poolOptions);
+
+        // Generation follows every rule; this catches character settings that
+        // leave a rule nothing to work with. Never hand out a password the site would reject
+        const violations = policy ? checkPolicy(password, policy) : [];
+        if (violations.length) {
+            throw new Error('Password breaks the site policy (' + violations.join('; ') +
+                '). Change the character options or the site rules.');
+        }
+
+        result = { password, normalizedSite, algorithm: algorithmEntry.id };
+    }
+
+    if (alias.aliasOf) result.aliasOf = alias.aliasOf;
+    if (normalizedAccount) result.account = normalizedAccount;
+    if (normalizedIdentity) result.identity = normalizedIdentity;
+
+    // Extra fields: the password's salt without its version, format and algorithm
+    if (fieldList.length) {
+        result.fields = [];
+        for (const [index, field] of fieldList.entries()) {
+            const fieldSalt = buildSalt(normalizedSite, field.version, DEFAULT_ALGORITHM, {
+                account: normalizedAccount,
+                identity: normalizedIdentity,
+                kdf: kdfSaltTag(level),
+                normalize: normalizationEntry.saltTag,
+                purpose: field.purpose
+            });
+            const fieldBytes = await deriveLevelBytes(phraseKey, fieldSalt, level, progressOf(index + 1));
+
+            const entry = { kind: field.kind };
+            if (field.question !== undefined) entry.question = field.question;
+            entry.version = field.version;
+            entry.value = await generateFieldFromBytes(fieldBytes, field.kind);
+            entry.entropyBits = fieldEntropy(field.kind);
+            result.fields.push(entry);
+        }
+    }
+
+    return result;
+}
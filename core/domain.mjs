@@ -0,0 +1,172 @@
+/**
+ * Password Mint Core - Registrable Domains
+ *
+ * Site normalization v2: reduces a site or URL to its registrable domain
+ * (the public suffix plus one label, like "bbc.co.uk" or "foo.github.io"),
+ * using the bundled Public Suffix List snapshot in psl.mjs. IP addresses
+ * are kept in canonical form, and anything that is not a host name (a
+ * single word like "github" or "localhost", or text with spaces) is used
+ * as a plain name.
+ */
+
+import { PUBLIC_SUFFIX_RULES } from './psl.mjs';
+import { domainToASCII } from './punycode.mjs';
+
+let rules = null;
+
+/**
+ * Parse the snapshot into a set of rules ("co.uk", "*.ck", "!www.ck").
+ *
+ * @returns {Set<string>} - Rules, in ASCII
+ */
+function getRules() {
+    if (rules) return rules;
+
+    rules = new Set();
+    let tld = '';
+    for (const entry of PUBLIC_SUFFIX_RULES.trim().split(/\s+/)) {
+        if (entry.endsWith(':')) {
+            // "uk:" starts the rules under a TLD
+            tld = entry.slice(0, -1);
+            rules.add(tld);
+        } else {
+            rules.add(entry + '.' + tld);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Find the public suffix of a host name with the Public Suffix List
+ * algorithm: an exception rule wins, otherwise the rule with the most
+ * labels, and an unlisted TLD is a suffix on its own.
+ *
+ * @param {string} host - ASCII host name, e.g. "news.bbc.co.uk"
+ * @returns {string} - Public suffix, e.g. "co.uk"
+ */
+export function getPublicSuffix(host) {
+    const list = getRules();
+    const labels = host.split('.');
+    let suffixLabels = 1;
+
+    for (let i = labels.length - 1; i >= 0; i--) {
+        const candidate = labels.slice(i).join('.');
+        if (list.has('!' + candidate)) {
+            suffixLabels = labels.length - i - 1;
+            break;
+        }
+        if (list.has(candidate) || (i < labels.length - 1 && list.has('*.' + labels.slice(i + 1).join('.')))) {
+            suffixLabels = labels.length - i;
+        }
+    }
+    return labels.slice(labels.length - suffixLabels).join('.');
+}
+
+/**
+ * Parse a dotted-decimal IPv4 address.
+ *
+ * @param {string} host - Candidate address
+ * @returns {string|null} - Canonical address, or null
+ */
+function parseIPv4(host) {
+    const parts = host.split('.');
+    if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+        return null;
+    }
+    return parts.map(Number).join('.');
+}
+
+/**
+ * Parse an IPv6 address and write it in its canonical form (RFC 5952):
+ * lowercase, no leading zeros, the longest run of zero groups as "::".
+ *
+ * @param {string} host - Candidate address, without brackets
+ * @returns {string|null} - Canonical address, or null
+ */
+function parseIPv6(host) {
+    const halves = host.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = text => {
+        if (!text) return [];
+        const parts = text.split(':');
+        const last = parts[parts.length - 1];
+        // An IPv4 tail ("::ffff:192.0.2.1") is two groups
+        if (last.includes('.')) {
+            const ipv4 = parseIPv4(last);
+            if (!ipv4) return null;
+            const bytes = ipv4.split('.').map(Number);
+            parts.splice(-1, 1, ((bytes[0] << 8) | bytes[1]).toString(16), ((bytes[2] << 8) | bytes[3]).toString(16));
+        }
+        return parts.every(part => /^[0-9a-f]{1,4}$/.test(part)) ? parts.map(part => parseInt(part, 16)) : null;
+    };
+
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+    const groups = head.concat(new Array(missing).fill(0), tail);
+
+    // Longest run of two or more zero groups (the first, on a tie)
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let end = i;
+        while (end < 8 && groups[end] === 0) end++;
+        if (end - i > bestLength) {
+            bestStart = i;
+            bestLength = end - i;
+        }
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) return hex.join(':');
+    return hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLength).join(':');
+}
+
+/**
+ * Work out what a site or URL refers to.
+ *
+ * @param {string} input - Raw site or URL as typed by the user
+ * @returns {{site: string, kind: string, host: string, suffix?: string}} - The
+ *   normalized site; kind "domain" (registrable domain), "suffix" (the host is
+ *   itself a public suffix, used whole), "ip" or "name"; the host it came from;
+ *   and the public suffix of domains
+ */
+export function interpretSite(input) {
+    const text = input.trim().normalize('NFC').toLowerCase();
+
+    // Scheme, then path, query and fragment, then user name
+    let host = text.replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[\/?#]/)[0];
+    host = host.slice(host.lastIndexOf('@') + 1);
+
+    // IPv6 in brackets (with an optional port) or bare; otherwise drop the port
+    const bracketed = /^\[([^\]]*)\](?::\d*)?$/.exec(host);
+    if (bracketed || (host.match(/:/g) || []).length > 1) {
+        const ipv6 = parseIPv6(bracketed ? bracketed[1] : host);
+        if (ipv6) return { site: '[' + ipv6 + ']', kind: 'ip', host: '[' + ipv6 + ']' };
+    } else {
+        host = host.replace(/:\d*$/, '');
+    }
+    host = host.replace(/[.。．｡]+$/, '');
+
+    const ipv4 = parseIPv4(host);
+    if (ipv4) return { site: ipv4, kind: 'ip', host: ipv4 };
+
+    const ascii = domainToASCII(host);
+    const labels = ascii.split('.');
+    if (labels.length < 2 || labels.some(label => !/^[a-z0-9_-]+$/.test(label))) {
+        // Not a host name: a single word keeps its spelling, other text is used as typed
+        const name = labels.length === 1 && host && /^[^\s:@\/?#\[\]]+$/.test(host) ? host : text.replace(/\s+/g, ' ');
+        return { site: name, kind: 'name', host: name };
+    }
+
+    const suffix = getPublicSuffix(ascii);
+    if (suffix === ascii) {
+        return { site: ascii, kind: 'suffix', host: ascii, suffix };
+    }
+    const suffixLabels = suffix.split('.').length;
+    return { site: labels.slice(-suffixLabels - 1).join('.'), kind: 'domain', host: ascii, suffix };
+}
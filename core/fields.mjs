@@ -0,0 +1,137 @@
+/**
+ * Password Mint Core - Extra Fields
+ *
+ * Values a site asks for besides the password: a username that does not
+ * link accounts across sites, and answers to security questions that
+ * cannot be looked up the way true answers can. Each field is derived on
+ * its own, with a `purpose` salt tag naming it ("username", or "answer:"
+ * and the normalized question), so no field shares bytes with the password
+ * or with another field. Fields have their own version, so rotating the
+ * password never changes an answer the site has on file.
+ *
+ * Values are made of EFF words, drawn with rejection sampling from a byte
+ * stream labelled with the kind. Like output formats, a kind is frozen once
+ * released.
+ */
+
+import { createByteStream } from './bytestream.mjs';
+import { EFF_LARGE_WORDLIST } from './wordlist.mjs';
+
+// Letters only, so values need no separators a site might reject
+const LETTER_WORDS = Object.freeze(EFF_LARGE_WORDLIST.filter(word => /^[a-z]+$/.test(word)));
+const SHORT_WORDS = Object.freeze(LETTER_WORDS.filter(word => word.length <= 6));
+
+export const FIELD_KINDS = Object.freeze({
+    username: Object.freeze({
+        id: 'username',
+        label: 'Username',
+        words: SHORT_WORDS,
+        wordCount: 2,
+        digits: 2,
+        separator: ''
+    }),
+    answer: Object.freeze({
+        id: 'answer',
+        label: 'Answer',
+        words: LETTER_WORDS,
+        wordCount: 4,
+        digits: 0,
+        separator: ' '
+    })
+});
+
+export const QUESTION_MAX_LENGTH = 200;
+
+/**
+ * Normalize a security question, so capitals, spacing and a trailing
+ * question mark never change its answer.
+ *
+ * @param {string} question - Question as typed
+ * @returns {string} - e.g. "mother's maiden name"
+ */
+export function normalizeQuestion(question) {
+    if (typeof question !== 'string') {
+        throw new Error('Question must be text.');
+    }
+    return question
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[‘’]/g, '\'')
+        .replace(/\s+/g, ' ')
+        .replace(/[\s?]+$/, '')
+        .trim();
+}
+
+/**
+ * Validate an extra field.
+ *
+ * @param {Object} field - Field to derive
+ * @param {string} field.kind - Key of FIELD_KINDS
+ * @param {string} [field.question] - The security question (answers only)
+ * @param {string|number} [field.version=1] - Rotation counter of this field alone
+ * @returns {{kind: string, question?: string, version: string, purpose: string}} - Field with its question normalized and its purpose salt tag
+ */
+export function normalizeField(field) {
+    const { kind, question, version = 1 } = field || {};
+    if (!Object.prototype.hasOwnProperty.call(FIELD_KINDS, kind)) {
+        throw new Error('Field must be one of: ' + Object.keys(FIELD_KINDS).join(', '));
+    }
+
+    const versionNum = parseInt(version, 10);
+    if (!/^\d+$/.test(String(version)) || versionNum < 1) {
+        throw new Error('Field version must be 1 or greater.');
+    }
+
+    if (kind !== 'answer') {
+        if (question !== undefined) {
+            throw new Error('Only answers have a question.');
+        }
+        return { kind, version: String(version), purpose: kind };
+    }
+
+    const normalized = normalizeQuestion(question || '');
+    if (!normalized) {
+        throw new Error('Enter the security question to answer.');
+    }
+    if (normalized.length > QUESTION_MAX_LENGTH) {
+        throw new Error('Questions can be at most ' + QUESTION_MAX_LENGTH + ' characters.');
+    }
+    return { kind, question: normalized, version: String(version), purpose: 'answer:' + normalized };
+}
+
+/**
+ * Generate a field's value from derived bytes.
+ *
+ * @param {Uint8Array} derivedBytes - Bytes from the KDF (salted with the field's purpose)
+ * @param {string} kind - Key of FIELD_KINDS
+ * @returns {Promise<string>} - e.g. "briskotter42" or "ample cactus ruby sparkle"
+ */
+export async function generateFieldFromBytes(derivedBytes, kind) {
+    if (!Object.prototype.hasOwnProperty.call(FIELD_KINDS, kind)) {
+        throw new Error('Field must be one of: ' + Object.keys(FIELD_KINDS).join(', '));
+    }
+    const entry = FIELD_KINDS[kind];
+    const stream = createByteStream(derivedBytes, 'password-mint::field::' + entry.id);
+
+    const words = [];
+    for (let i = 0; i < entry.wordCount; i++) {
+        words.push(entry.words[await stream.uniform(entry.words.length)]);
+    }
+
+    let digits = '';
+    for (let i = 0; i < entry.digits; i++) {
+        digits += await stream.uniform(10);
+    }
+    return words.join(entry.separator) + digits;
+}
+
+/**
+ * Entropy of a field's value, in bits.
+ *
+ * @param {string} kind - Key of FIELD_KINDS
+ * @returns {number} - Bits of entropy
+ */
+export function fieldEntropy(kind) {
+    const entry = FIELD_KINDS[kind];
+    return entry.wordCount * Math.log2(entry.words.length) + entry.digits * Math.log2(10);
+}
@@ -0,0 +1,96 @@
+/**
+ * Password Mint Core - Phrase Fingerprint
+ *
+ * A typo in the master phrase silently gives wrong passwords. The
+ * fingerprint lets the user recognize their phrase while typing: two check
+ * words and a small symmetric identicon, both from the hardened phrase, so
+ * capitals and spacing never change it.
+ *
+ * It comes from its own scrypt run (32 MiB) with a salt no site uses, so it
+ * shares nothing with any password, and testing a guess against a seen or
+ * pinned fingerprint costs as much as that scrypt run. It holds about 49
+ * bits: enough to catch a typo, far too few to identify a phrase.
+ * The mapping is frozen: a change would make every pinned fingerprint fail.
+ */
+
+import { stringToBytes } from './normalize.mjs';
+import { isPhraseKey, resolvePhraseKey } from './kdf.mjs';
+import { scrypt } from './scrypt.mjs';
+import { createByteStream } from './bytestream.mjs';
+import { EFF_LARGE_WORDLIST } from './wordlist.mjs';
+
+const FINGERPRINT_SALT = 'password-mint::fingerprint';
+
+export const FINGERPRINT_KDF = Object.freeze({ n: 32768, r: 8, p: 1, bytes: 32 });
+
+// Identicon: GRID_SIZE × GRID_SIZE cells, mirrored left to right
+export const FINGERPRINT_GRID_SIZE = 5;
+
+/**
+ * Map fingerprint bytes to check words and an identicon.
+ *
+ * Drawn in this fixed order from a labelled byte stream: the two words,
+ * the hue, then a 16-bit word whose low bits fill the left half and middle
+ * column, row by row.
+ *
+ * @param {Uint8Array} bytes - Output of the fingerprint KDF
+ * @returns {Promise<{words: string[], hue: number, cells: boolean[]}>} - Check words, hue (0-359), and the cells row by row (true = filled)
+ */
+export async function fingerprintFromBytes(bytes) {
+    const stream = createByteStream(bytes, FINGERPRINT_SALT);
+
+    const words = [];
+    for (let i = 0; i < 2; i++) {
+        words.push(EFF_LARGE_WORDLIST[await stream.uniform(EFF_LARGE_WORDLIST.length)]);
+    }
+    const hue = await stream.uniform(360);
+
+    const half = Math.ceil(FINGERPRINT_GRID_SIZE / 2);
+    const bits = await stream.nextWord();
+    const cells = new Array(FINGERPRINT_GRID_SIZE * FINGERPRINT_GRID_SIZE).fill(false);
+    for (let row = 0; row < FINGERPRINT_GRID_SIZE; row++) {
+        for (let column = 0; column < half; column++) {
+            const filled = ((bits >> (row * half + column)) & 1) === 1;
+            cells[row * FINGERPRINT_GRID_SIZE + column] = filled;
+            cells[row * FINGERPRINT_GRID_SIZE + FINGERPRINT_GRID_SIZE - 1 - column] = filled;
+        }
+    }
+
+    return { words, hue, cells };
+}
+
+/**
+ * Derive the fingerprint of a master phrase.
+ *
+ * @param {string|CryptoKey} phrase - Raw master phrase (hardened internally), or a key from importMasterPhrase()
+ * @param {function(number)} [onProgress] - Progress (0-1) of the scrypt run
+ * @returns {Promise<{words: string[], hue: number, cells: boolean[]}>} - See fingerprintFromBytes()
+ */
+export async function derivePhraseFingerprint(phrase, onProgress) {
+    if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase.trim())) {
+        throw new Error('Please enter your master phrase.');
+    }
+
+    const key = await resolvePhraseKey(phrase);
+    const bytes = await scrypt(
+        key,
+        stringToBytes(FINGERPRINT_SALT),
+        FINGERPRINT_KDF.n,
+        FINGERPRINT_KDF.r,
+        FINGERPRINT_KDF.p,
+        FINGERPRINT_KDF.bytes,
+        onProgress
+    );
+    return fingerprintFromBytes(bytes);
+}
+
+/**
+ * Normalize check words for comparison and pinning.
+ *
+ * @param {string|string[]} words - Check words, as a list or separated by spaces
+ * @returns {string} - e.g. "abacus zoom"
+ */
+export function normalizeCheckWords(words) {
+    const text = Array.isArray(words) ? words.join(' ') : String(words);
+    return text.trim().toLowerCase().split(/\s+/).filter(Boolean).join(' ');
+}
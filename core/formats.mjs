@@ -0,0 +1,130 @@
+/**
+ * Password Mint Core - Output Formats
+ *
+ * A format decides what derived bytes become: a password (the algorithm
+ * versions in algorithms.mjs), a passphrase (passphrase.mjs), or one of the
+ * character formats below. Every format except "password" adds a `format`
+ * salt tag, so a site's PIN, passphrase and password come from independent
+ * bytes, and the original passwords keep their original salt.
+ *
+ * Character formats draw each character with rejection sampling from a byte
+ * stream labelled with the format, cycling through the format's alphabets
+ * (one alphabet for PIN, hex and base32; consonant, vowel for pronounceable).
+ * Like algorithm versions, a format is frozen once released.
+ */
+
+import { LENGTH_RANGE } from './config.mjs';
+import { createByteStream } from './bytestream.mjs';
+
+// Letters that are hard to mishear or misread are left out: c (k/s), l, q, w, x, y
+const CONSONANTS = 'bdfghjkmnprstvz';
+const VOWELS = 'aeiou';
+
+export const DEFAULT_FORMAT = 'password';
+
+export const OUTPUT_FORMATS = Object.freeze({
+    password: Object.freeze({
+        id: 'password',
+        label: 'Password',
+        saltTag: '',
+        length: Object.freeze({ min: LENGTH_RANGE.min, max: LENGTH_RANGE.max, default: LENGTH_RANGE.default })
+    }),
+    passphrase: Object.freeze({
+        id: 'passphrase',
+        label: 'Passphrase (words)',
+        saltTag: 'passphrase'
+    }),
+    pin: Object.freeze({
+        id: 'pin',
+        label: 'PIN',
+        saltTag: 'pin',
+        length: Object.freeze({ min: 4, max: 8, default: 6 }),
+        alphabets: Object.freeze(['0123456789'])
+    }),
+    hex: Object.freeze({
+        id: 'hex',
+        label: 'Hex key',
+        saltTag: 'hex',
+        length: Object.freeze({ min: 16, max: 128, default: 64 }),
+        alphabets: Object.freeze(['0123456789abcdef'])
+    }),
+    base32: Object.freeze({
+        id: 'base32',
+        label: 'Base32 secret',
+        saltTag: 'base32',
+        length: Object.freeze({ min: 16, max: 128, default: 32 }),
+        alphabets: Object.freeze(['ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'])
+    }),
+    pronounceable: Object.freeze({
+        id: 'pronounceable',
+        label: 'Pronounceable',
+        saltTag: 'pronounceable',
+        length: Object.freeze({ min: 12, max: 40, default: 16 }),
+        alphabets: Object.freeze([CONSONANTS, VOWELS])
+    })
+});
+
+/**
+ * Look up an output format.
+ *
+ * @param {string} id - Format id, e.g. "pin"
+ * @returns {Object} - Registry entry
+ */
+export function getOutputFormat(id) {
+    if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, id)) {
+        throw new Error('Unknown output format: ' + id);
+    }
+    return OUTPUT_FORMATS[id];
+}
+
+/**
+ * Check whether a format maps bytes onto its own alphabets.
+ *
+ * @param {string} id - Format id
+ * @returns {boolean} - True for PIN, hex, base32 and pronounceable
+ */
+export function isCharacterFormat(id) {
+    return Boolean(getOutputFormat(id).alphabets);
+}
+
+/**
+ * Generate a character format from derived bytes, without modulo bias.
+ *
+ * @param {Uint8Array} derivedBytes - Bytes from the KDF
+ * @param {string} id - A character format (see isCharacterFormat())
+ * @param {number} length - Number of characters, within the format's range
+ * @returns {Promise<string>} - The output
+ */
+export async function generateFormatFromBytes(derivedBytes, id, length) {
+    const format = getOutputFormat(id);
+    if (!format.alphabets) {
+        throw new Error('Not a character format: ' + id);
+    }
+    if (!Number.isInteger(length) || length < format.length.min || length > format.length.max) {
+        throw new Error(format.label + ' length must be between ' + format.length.min + ' and ' + format.length.max + '.');
+    }
+
+    const stream = createByteStream(derivedBytes, 'password-mint::' + format.id);
+    let output = '';
+    for (let i = 0; i < length; i++) {
+        const alphabet = format.alphabets[i % format.alphabets.length];
+        output += alphabet[await stream.uniform(alphabet.length)];
+    }
+    return output;
+}
+
+/**
+ * Entropy of a character format output, in bits.
+ *
+ * @param {string} id - A character format
+ * @param {number} length - Number of characters
+ * @returns {number} - Bits of entropy
+ */
+export function formatEntropy(id, length) {
+    const alphabets = getOutputFormat(id).alphabets;
+    let bits = 0;
+    for (let i = 0; i < length; i++) {
+        bits += Math.log2(alphabets[i % alphabets.length].length);
+    }
+    return bits;
+}
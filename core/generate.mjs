@@ -0,0 +1,425 @@
+/**
+ * Password Mint Core - Password Generation
+ *
+ * Maps derived bytes onto the selected character pools.
+ *
+ * Security Note: generatePasswordFromBytes (algorithm v1) uses modulo mapping for
+ * character selection. While this introduces minimal bias for typical character pool
+ * sizes (< 100 chars), it's acceptable for password generation where the derived
+ * bytes have high entropy. It is frozen because existing passwords depend on it;
+ * generatePasswordFromStream (algorithm v2) uses rejection sampling instead.
+ *
+ * Optional charset fields customize the pools: `symbolChars` replaces
+ * CHAR_SETS.symbols, `excludeChars` removes characters from every pool,
+ * `minCounts` raises the one mandatory character per class to a minimum, and
+ * `maxCounts` (from site policies, policies.mjs) caps how often a class may
+ * appear, and `positionRules` (also from site policies) limit which
+ * characters may start or end the password. Without them both generators
+ * behave exactly as originally released.
+ */
+
+import { CHAR_SETS, AMBIGUOUS_CHARS, DEFAULT_CHARSETS, LENGTH_RANGE } from './config.mjs';
+
+const POOL_NAMES = Object.freeze({
+    upper: 'uppercase letters',
+    lower: 'lowercase letters',
+    digits: 'digits',
+    symbols: 'symbols'
+});
+
+/**
+ * Fill in missing character set toggles with the defaults, and check the
+ * optional custom fields.
+ *
+ * @param {Object} [charsets] - Partial toggles: upper, lower, digits, symbols, excludeAmbiguous
+ * @param {string} [charsets.symbolChars] - Symbols to use instead of CHAR_SETS.symbols
+ * @param {string} [charsets.excludeChars] - Characters to remove from every pool
+ * @param {Object<string, number>} [charsets.minCounts] - Fewest characters per class (default 1)
+ * @returns {Object} - Complete set of boolean toggles, plus the custom fields given
+ */
+export function resolveCharsets(charsets) {
+    const resolved = Object.assign({}, DEFAULT_CHARSETS, charsets || {});
+    for (const key of Object.keys(DEFAULT_CHARSETS)) {
+        resolved[key] = Boolean(resolved[key]);
+    }
+
+    const { symbolChars, excludeChars, minCounts } = resolved;
+    if (symbolChars !== undefined && (typeof symbolChars !== 'string' ||
+        !/^[!-\/:-@[-`{-~]*$/.test(symbolChars) || new Set(symbolChars).size !== symbolChars.length)) {
+        throw new Error('Symbols must be distinct printable ASCII symbols (no letters, digits or spaces).');
+    }
+    if (excludeChars !== undefined && (typeof excludeChars !== 'string' || !/^[!-~]*$/.test(excludeChars))) {
+        throw new Error('Excluded characters must be printable ASCII (no spaces).');
+    }
+    if (minCounts !== undefined) {
+        for (const type of Object.keys(minCounts || {})) {
+            const value = minCounts[type];
+            if (!Object.prototype.hasOwnProperty.call(POOL_NAMES, type) || !Number.isInteger(value) ||
+                value < 1 || value > LENGTH_RANGE.max) {
+                throw new Error('Minimum counts must be whole numbers from 1 to ' + LENGTH_RANGE.max + '.');
+            }
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Get the symbols to use: a policy's allowed subset, or CHAR_SETS.symbols.
+ *
+ * @param {Object} options - Resolved character set toggles
+ * @returns {string} - Symbol characters
+ */
+function getSymbolChars(options) {
+    return typeof options.symbolChars === 'string' ? options.symbolChars : CHAR_SETS.symbols;
+}
+
+/**
+ * Remove characters from a pool.
+ *
+ * @param {string} pool - Pool characters
+ * @param {string} [chars] - Characters to remove
+ * @returns {string} - Remaining characters, in order
+ */
+function removeChars(pool, chars) {
+    return chars ? pool.split('').filter(char => !chars.includes(char)).join('') : pool;
+}
+
+/**
+ * Build the combined character pool for the given toggles.
+ *
+ * @param {Object} [charsets] - Character set toggles
+ * @returns {string} - All allowed characters
+ */
+export function buildCharacterPool(charsets) {
+    const options = resolveCharsets(charsets);
+    let pool = '';
+
+    if (options.upper) pool += CHAR_SETS.upper;
+    if (options.lower) pool += CHAR_SETS.lower;
+    if (options.digits) pool += CHAR_SETS.digits;
+    if (options.symbols) pool += getSymbolChars(options);
+
+    // Remove ambiguous characters if selected
+    if (options.excludeAmbiguous) {
+        for (const char of AMBIGUOUS_CHARS) {
+            pool = pool.replace(new RegExp(char, 'g'), '');
+        }
+    }
+
+    return removeChars(pool, options.excludeChars);
+}
+
+/**
+ * Get individual character pools for each enabled type.
+ *
+ * @param {Object} [charsets] - Character set toggles
+ * @returns {Array<{type: string, chars: string, min?: number, max?: number}>} - Pools in fixed order; `min` and `max` from charsets.minCounts and charsets.maxCounts
+ */
+export function getCharacterPools(charsets) {
+    const options = resolveCharsets(charsets);
+    const pools = [];
+
+    if (options.upper) {
+        let pool = CHAR_SETS.upper;
+        if (options.excludeAmbiguous) {
+            pool = pool.replace(/[OI]/g, '');
+        }
+        pool = removeChars(pool, options.excludeChars);
+        if (pool.length > 0) pools.push({ type: 'upper', chars: pool });
+    }
+
+    if (options.lower) {
+        let pool = CHAR_SETS.lower;
+        if (options.excludeAmbiguous) {
+            pool = pool.replace(/[l]/g, '');
+        }
+        pool = removeChars(pool, options.excludeChars);
+        if (pool.length > 0) pools.push({ type: 'lower', chars: pool });
+    }
+
+    if (options.digits) {
+        let pool = CHAR_SETS.digits;
+        if (options.excludeAmbiguous) {
+            pool = pool.replace(/[01]/g, '');
+        }
+        pool = removeChars(pool, options.excludeChars);
+        if (pool.length > 0) pools.push({ type: 'digits', chars: pool });
+    }
+
+    if (options.symbols) {
+        const pool = removeChars(getSymbolChars(options), options.excludeChars);
+        if (pool.length > 0) pools.push({ type: 'symbols', chars: pool });
+    }
+
+    if (options.maxCounts) {
+        for (const pool of pools) {
+            if (options.maxCounts[pool.type] !== undefined) {
+                pool.max = options.maxCounts[pool.type];
+            }
+        }
+    }
+
+    if (options.minCounts) {
+        for (const type of Object.keys(options.minCounts)) {
+            const pool = pools.find(candidate => candidate.type === type);
+            if (!pool) {
+                throw new Error('A minimum is set for ' + POOL_NAMES[type] + ', but they are turned off or all excluded');
+            }
+            pool.min = options.minCounts[type];
+            if (pool.max !== undefined && pool.min > pool.max) {
+                throw new Error('At least ' + pool.min + ' ' + POOL_NAMES[type] + ' are required, but the site allows at most ' + pool.max);
+            }
+        }
+    }
+
+    return pools;
+}
+
+/**
+ * List the pool of each mandatory character: one per pool, or the pool's
+ * minimum count. Without minimum counts this is one entry per pool, in
+ * pool order, exactly as originally released.
+ *
+ * @param {Array<{type: string, chars: string, min?: number}>} pools - From getCharacterPools()
+ * @param {number} length - Desired password length
+ * @returns {string[]} - Pool characters for each mandatory position
+ */
+function getMandatoryPools(pools, length) {
+    if (pools.length > length) {
+        throw new Error('Password length too short for selected character types');
+    }
+
+    const mandatory = [];
+    for (const pool of pools) {
+        for (let n = 0; n < (pool.min || 1); n++) {
+            mandatory.push(pool.chars);
+        }
+    }
+
+    if (mandatory.length > length) {
+        throw new Error('Password length too short for the minimum counts');
+    }
+    return mandatory;
+}
+
+/**
+ * Track how many characters each capped pool has used, and build the pool
+ * for the next fill position from the classes still under their cap.
+ * Only used when a pool has a `max`, so uncapped passwords never touch it.
+ *
+ * @param {Array<{type: string, chars: string, max?: number}>} pools - From getCharacterPools()
+ * @returns {{add: function(string), pool: function(): string}} - Counter
+ */
+function createCappedPool(pools) {
+    const counts = pools.map(() => 0);
+
+    return {
+        add(char) {
+            counts[pools.findIndex(pool => pool.chars.includes(char))]++;
+        },
+        pool() {
+            const open = pools
+                .filter((pool, i) => pool.max === undefined || counts[i] < pool.max)
+                .map(pool => pool.chars)
+                .join('');
+            if (!open) {
+                throw new Error('Password length too long for the character limits');
+            }
+            return open;
+        }
+    };
+}
+
+/**
+ * List the positions that positional rules constrain, with their rules.
+ *
+ * @param {Array<{position: string}>} [rules] - From charsets.positionRules
+ * @param {number} length - Password length
+ * @returns {Array<{index: number, rules: Object[]}>} - The first position, then the last
+ */
+function getPositionChecks(rules, length) {
+    const indexes = length > 1 ? [0, length - 1] : [0];
+    return indexes
+        .map(index => ({
+            index,
+            rules: (rules || []).filter(rule => (rule.position === 'first' ? 0 : length - 1) === index)
+        }))
+        .filter(check => check.rules.length > 0);
+}
+
+/**
+ * Find the characters that could replace one breaking positional rules.
+ * Swapping keeps every class count, so the pools and caps still hold, and
+ * a password that already complies draws nothing and stays as it was.
+ *
+ * @param {string[]} passwordChars - Shuffled password characters
+ * @param {{index: number, rules: Object[]}} check - From getPositionChecks()
+ * @param {Array<{index: number}>} checks - Every check, whose positions are never swapped
+ * @returns {number[]|null} - Positions to draw from, or null if the character fits
+ */
+function getSwapCandidates(passwordChars, check, checks) {
+    const fits = char => check.rules.every(rule => rule.allows(char));
+    if (fits(passwordChars[check.index])) return null;
+
+    const fixed = checks.map(other => other.index);
+    const candidates = [];
+    passwordChars.forEach((char, i) => {
+        if (fixed.indexOf(i) === -1 && fits(char)) candidates.push(i);
+    });
+    if (!candidates.length) {
+        throw new Error('Password ' + check.rules.map(rule => rule.description).join(' and ') +
+            ', but no other character in it can go there');
+    }
+    return candidates;
+}
+
+/**
+ * Generate a password from derived bytes.
+ *
+ * Algorithm:
+ * 1. Determine which character pools are active
+ * 2. Ensure at least one character (or the minimum count) from each active pool
+ * 3. Fill remaining positions from combined pool
+ * 4. Shuffle positions deterministically based on derived bytes
+ * 5. With positional rules only: swap a character that breaks one with one
+ *    drawn from the characters that fit
+ *
+ * @param {Uint8Array} derivedBytes - Bytes from PBKDF2
+ * @param {number} length - Desired password length
+ * @param {Object} [charsets] - Character set toggles (defaults to all enabled)
+ * @returns {string} - Generated password
+ */
+export function generatePasswordFromBytes(derivedBytes, length, charsets) {
+    const pools = getCharacterPools(charsets);
+    const combinedPool = buildCharacterPool(charsets);
+
+    if (combinedPool.length === 0) {
+        throw new Error('No character types selected');
+    }
+
+    const mandatory = getMandatoryPools(pools, length);
+
+    // Track byte index for deterministic consumption
+    let byteIndex = 0;
+
+    /**
+     * Get next byte value, wrapping around if needed.
+     */
+    function nextByte() {
+        const byte = derivedBytes[byteIndex % derivedBytes.length];
+        byteIndex++;
+        return byte;
+    }
+
+    /**
+     * Get a 16-bit value from two bytes for better distribution.
+     */
+    function nextWord() {
+        const high = nextByte();
+        const low = nextByte();
+        return (high << 8) | low;
+    }
+
+    // Array to hold the password characters
+    const passwordChars = new Array(length);
+
+    // Step 1: Determine positions for mandatory characters (one per pool,
+    // or its minimum count). We'll use the first N positions, then shuffle
+    const mandatoryCount = mandatory.length;
+
+    // Pick the mandatory characters from their pools
+    for (let i = 0; i < mandatoryCount; i++) {
+        const pool = mandatory[i];
+        const charIndex = nextWord() % pool.length;
+        passwordChars[i] = pool[charIndex];
+    }
+
+    // Step 2: Fill remaining positions from combined pool
+    const capped = pools.some(pool => pool.max !== undefined) ? createCappedPool(pools) : null;
+    if (capped) passwordChars.slice(0, mandatoryCount).forEach(capped.add);
+
+    for (let i = mandatoryCount; i < length; i++) {
+        const pool = capped ? capped.pool() : combinedPool;
+        const charIndex = nextWord() % pool.length;
+        passwordChars[i] = pool[charIndex];
+        if (capped) capped.add(passwordChars[i]);
+    }
+
+    // Step 3: Shuffle array deterministically using Fisher-Yates
+    // This ensures mandatory characters aren't always at the start
+    for (let i = length - 1; i > 0; i--) {
+        const j = nextWord() % (i + 1);
+        [passwordChars[i], passwordChars[j]] = [passwordChars[j], passwordChars[i]];
+    }
+
+    // Step 4: Positional rules, drawing from the bytes that follow the shuffle
+    const checks = getPositionChecks(charsets && charsets.positionRules, length);
+    for (const check of checks) {
+        const candidates = getSwapCandidates(passwordChars, check, checks);
+        if (candidates) {
+            const j = candidates[nextWord() % candidates.length];
+            [passwordChars[check.index], passwordChars[j]] = [passwordChars[j], passwordChars[check.index]];
+        }
+    }
+
+    return passwordChars.join('');
+}
+
+/**
+ * Generate a password from a byte stream without modulo bias (algorithm v2).
+ *
+ * Same steps as generatePasswordFromBytes, but every index is drawn with
+ * stream.uniform(), which rejects out-of-range words, and the stream is
+ * extended with HKDF instead of wrapping around the derived bytes.
+ *
+ * @param {{uniform: function(number): Promise<number>}} stream - From createByteStream()
+ * @param {number} length - Desired password length
+ * @param {Object} [charsets] - Character set toggles (defaults to all enabled)
+ * @returns {Promise<string>} - Generated password
+ */
+export async function generatePasswordFromStream(stream, length, charsets) {
+    const pools = getCharacterPools(charsets);
+    const combinedPool = buildCharacterPool(charsets);
+
+    if (combinedPool.length === 0) {
+        throw new Error('No character types selected');
+    }
+
+    const mandatory = getMandatoryPools(pools, length);
+    const passwordChars = new Array(length);
+
+    // Step 1: Mandatory characters (one per pool, or its minimum count)
+    for (let i = 0; i < mandatory.length; i++) {
+        const pool = mandatory[i];
+        passwordChars[i] = pool[await stream.uniform(pool.length)];
+    }
+
+    // Step 2: Fill remaining positions from combined pool
+    const capped = pools.some(pool => pool.max !== undefined) ? createCappedPool(pools) : null;
+    if (capped) passwordChars.slice(0, mandatory.length).forEach(capped.add);
+
+    for (let i = mandatory.length; i < length; i++) {
+        const pool = capped ? capped.pool() : combinedPool;
+        passwordChars[i] = pool[await stream.uniform(pool.length)];
+        if (capped) capped.add(passwordChars[i]);
+    }
+
+    // Step 3: Unbiased Fisher-Yates shuffle
+    for (let i = length - 1; i > 0; i--) {
+        const j = await stream.uniform(i + 1);
+        [passwordChars[i], passwordChars[j]] = [passwordChars[j], passwordChars[i]];
+    }
+
+    // Step 4: Positional rules
+    const checks = getPositionChecks(charsets && charsets.positionRules, length);
+    for (const check of checks) {
+        const candidates = getSwapCandidates(passwordChars, check, checks);
+        if (candidates) {
+            const j = candidates[await stream.uniform(candidates.length)];
+            [passwordChars[check.index], passwordChars[j]] = [passwordChars[j], passwordChars[check.index]];
+        }
+    }
+
+    return passwordChars.join('');
+}
@@ -0,0 +1,159 @@
+/**
+ * Password Mint Core - Identities
+ *
+ * An identity (e.g. "work", "personal") is a namespace for derivation: its
+ * normalized name is added to the salt as an `identity` tag, so the same
+ * phrase, site and settings give unrelated passwords under two identities.
+ * The default identity has no name and adds no tag, so the passwords made
+ * before identities existed stay the same.
+ *
+ * Each identity also has a badge color and default settings that the page
+ * applies when it is selected (site profiles still win for their sites).
+ * Identities hold no secrets; the store keeps them in the order created.
+ */
+
+import { DEFAULT_NORMALIZATION, normalizeIdentity } from './normalize.mjs';
+import { createProfile } from './profiles.mjs';
+
+const STORE_FORMAT = 'password-mint-identities';
+const STORE_VERSION = 1;
+
+// Badge colors, chosen to stay readable with white text
+export const IDENTITY_COLORS = Object.freeze({
+    blue: '#2563eb',
+    green: '#15803d',
+    purple: '#7e22ce',
+    orange: '#c2410c',
+    red: '#b91c1c',
+    teal: '#0f766e',
+    pink: '#be185d',
+    gray: '#4b5563'
+});
+
+export const DEFAULT_IDENTITY_COLOR = 'blue';
+
+/**
+ * Check default settings for an identity. They are validated like a site
+ * profile's settings, without the parts that belong to one site (version,
+ * site rules, extra fields and account).
+ *
+ * @param {Object} [defaults] - Same shape as the derivePassword() options
+ * @returns {{normalization: string, length: number, charsets: Object, securityLevel: string, kdfCosts?: Object, algorithm: string, format?: string, passphrase?: Object}} - Defaults to store
+ */
+export function normalizeIdentityDefaults(defaults) {
+    const profile = createProfile(Object.assign({}, defaults, {
+        site: 'identity',
+        version: 1,
+        policy: undefined,
+        fields: undefined,
+        account: undefined,
+        identity: undefined
+    }));
+
+    const normalized = {
+        normalization: profile.normalization || DEFAULT_NORMALIZATION,
+        length: profile.length,
+        charsets: profile.charsets,
+        securityLevel: profile.securityLevel,
+        algorithm: profile.algorithm
+    };
+    if (profile.kdfCosts) normalized.kdfCosts = profile.kdfCosts;
+    if (profile.format) normalized.format = profile.format;
+    if (profile.passphrase) normalized.passphrase = profile.passphrase;
+    return normalized;
+}
+
+/**
+ * Build a validated identity.
+ *
+ * @param {Object} options - Identity fields
+ * @param {string} options.name - Name as shown; its normalized form is the salt tag
+ * @param {string} [options.color='blue'] - Key of IDENTITY_COLORS
+ * @param {Object} [options.defaults] - Settings to apply when it is selected (see normalizeIdentityDefaults()); none keeps the form as it is
+ * @returns {{name: string, id: string, color: string, defaults?: Object}} - The identity; id is the normalized name
+ */
+export function createIdentity(options) {
+    const { name, color = DEFAULT_IDENTITY_COLOR, defaults } = options || {};
+    const id = normalizeIdentity(name);
+    if (!id) {
+        throw new Error('Enter a name for the identity.');
+    }
+    if (!Object.prototype.hasOwnProperty.call(IDENTITY_COLORS, color)) {
+        throw new Error('Identity color must be one of: ' + Object.keys(IDENTITY_COLORS).join(', '));
+    }
+
+    const identity = { name: name.trim().replace(/\s+/g, ' '), id, color };
+    if (defaults) {
+        identity.defaults = normalizeIdentityDefaults(defaults);
+    }
+    return identity;
+}
+
+/**
+ * Parse stored identities. Entries that fail validation, or repeat an
+ * earlier identity, are dropped rather than breaking the page.
+ *
+ * @param {string|null} text - Output of serializeIdentities(), or null when nothing is stored
+ * @returns {Object[]} - Identities (see createIdentity()), in stored order
+ */
+export function parseIdentities(text) {
+    const identities = [];
+    if (!text) return identities;
+
+    let store;
+    try {
+        store = JSON.parse(text);
+    } catch (error) {
+        return identities;
+    }
+    if (!store || store.format !== STORE_FORMAT || !Array.isArray(store.identities)) {
+        return identities;
+    }
+
+    for (const entry of store.identities) {
+        try {
+            const identity = createIdentity(entry);
+            if (!findIdentity(identities, identity.id)) {
+                identities.push(identity);
+            }
+        } catch (error) {
+            // Skip entries a future or damaged store wrote
+        }
+    }
+    return identities;
+}
+
+/**
+ * Serialize identities for storage.
+ *
+ * @param {Object[]} identities - From createIdentity()
+ * @returns {string} - JSON text
+ */
+export function serializeIdentities(identities) {
+    return JSON.stringify({
+        format: STORE_FORMAT,
+        version: STORE_VERSION,
+        identities: identities.map(identity => {
+            const stored = { name: identity.name, color: identity.color };
+            if (identity.defaults) stored.defaults = identity.defaults;
+            return stored;
+        })
+    });
+}
+
+/**
+ * Find an identity by name.
+ *
+ * @param {Object[]} identities - From createIdentity()
+ * @param {string} name - Name as typed or normalized
+ * @returns {Object|undefined} - The identity, if there is one
+ */
+export function findIdentity(identities, name) {
+    let id;
+    try {
+        id = normalizeIdentity(name);
+    } catch (error) {
+        return undefined;
+    }
+    return identities.find(identity => identity.id === id);
+}
@@ -0,0 +1,44 @@
+/**
+ * Password Mint Core
+ *
+ * DOM-free derivation pipeline shared by the web page, the CLI and workers.
+ * Import this module directly (ES modules) or load the UMD build
+ * `password-mint-core.js`, which exposes the same API as `PasswordMintCore`.
+ *
+ * Pipeline: normalizeSite → hardenPhrase (+ second secret) → salt → KDF → algorithm mapping
+ * This file only defines the public surface; see the modules it re-exports.
+ */
+
+export { CONFIG, LENGTH_RANGE, CHAR_SETS, AMBIGUOUS_CHARS, PROBLEMATIC_CHARS, DEFAULT_CHARSETS } from './config.mjs';
+export { NORMALIZATIONS, DEFAULT_NORMALIZATION, getNormalization, normalizeSite, describeSite, normalizePhrase, hardenPhrase, normalizeAccount, IDENTITY_NAME_MAX_LENGTH, normalizeIdentity, stringToBytes } from './normalize.mjs';
+export { interpretSite, getPublicSuffix } from './domain.mjs';
+export { PUBLIC_SUFFIX_DATE } from './psl.mjs';
+export { domainToASCII, domainToUnicode } from './punycode.mjs';
+export { SITE_ALIASES, normalizeAliases, resolveSiteAlias, mergeAliases } from './aliases.mjs';
+export { deriveBytes, importPhraseKey, importMasterPhrase, isPhraseKey, resolvePhraseKey, pbkdf2Bits } from './kdf.mjs';
+export { RECOVERY_CODE_BYTES, KEYFILE_MAX_BYTES, normalizeSecondSecret, mixSecondSecret, secondSecretFingerprint, formatRecoveryCode, generateRecoveryCode, parseRecoveryCode } from './second-secret.mjs';
+export { RECOVERY_SHARE_PREFIX, RECOVERY_KIT_LIMITS, createRecoveryKit, parseRecoveryShare, splitRecoveryShares, combineRecoveryShares, recoverPhrase } from './recovery-kit.mjs';
+export { SHAMIR_MAX_SHARES, splitSecret, combineShares } from './shamir.mjs';
+export { QR_MAX_VERSION, encodeQrCode } from './qrcode.mjs';
+export { blake2b } from './blake2b.mjs';
+export { argon2id } from './argon2.mjs';
+export { scrypt } from './scrypt.mjs';
+export { SECURITY_LEVELS, KDF_COST_LIMITS, isMemoryHard, resolveSecurityLevel, kdfSaltTag, deriveLevelBytes } from './levels.mjs';
+export { measureKdfSpeed, estimateDerivationMs } from './benchmark.mjs';
+export { resolveCharsets, buildCharacterPool, getCharacterPools, generatePasswordFromBytes, generatePasswordFromStream } from './generate.mjs';
+export { createByteStream } from './bytestream.mjs';
+export { EFF_LARGE_WORDLIST } from './wordlist.mjs';
+export { OUTPUT_FORMATS, DEFAULT_FORMAT, getOutputFormat, isCharacterFormat, generateFormatFromBytes, formatEntropy } from './formats.mjs';
+export { FIELD_KINDS, QUESTION_MAX_LENGTH, normalizeQuestion, normalizeField, generateFieldFromBytes, fieldEntropy } from './fields.mjs';
+export { FINGERPRINT_KDF, FINGERPRINT_GRID_SIZE, fingerprintFromBytes, derivePhraseFingerprint, normalizeCheckWords } from './fingerprint.mjs';
+export { ATTACKER_RATES, STRENGTH_THRESHOLDS, DEFAULT_STRENGTH_THRESHOLD, estimatePhraseStrength, attackerGuessesPerSecond, formatCrackTime, assessPhrase } from './strength.mjs';
+export { PASSPHRASE_CAPITALIZATION, PASSPHRASE_LIMITS, normalizePassphraseOptions, generatePassphraseFromBytes, estimatePassphraseEntropy } from './passphrase.mjs';
+export { ALGORITHMS, DEFAULT_ALGORITHM, getAlgorithm } from './algorithms.mjs';
+export { POLICY_CLASSES, POLICY_RULES, SITE_POLICIES, normalizePolicy, getSitePolicy, applyPolicyToCharsets, checkPolicy, describePolicy } from './policies.mjs';
+export { buildSalt, getIterations, derivePassword } from './derive.mjs';
+export { BATCH_COLUMNS, BATCH_MAX_ENTRIES, parseBatch, deriveBatch } from './batch.mjs';
+export { EXPORT_FORMATS, getExportFormat, describeBatchEntry, exportBatch } from './vault-export.mjs';
+export { SELF_TEST_VECTORS, runSelfTest } from './selftest.mjs';
+export { profileKey, createProfile, findProfile, saveProfile, parseProfiles, parseAliases, serializeProfiles, preferHigherVersion, mergeProfiles } from './profiles.mjs';
+export { encryptProfiles, decryptProfiles, decryptProfileStore } from './profile-export.mjs';
+export { IDENTITY_COLORS, DEFAULT_IDENTITY_COLOR, normalizeIdentityDefaults, createIdentity, parseIdentities, serializeIdentities, findIdentity } from './identities.mjs';
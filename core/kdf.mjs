@@ -0,0 +1,116 @@
+/**
+ * Password Mint Core - Key Derivation (WebCrypto PBKDF2)
+ *
+ * Uses `globalThis.crypto.subtle`, which is available in browsers, Web
+ * Workers and Node.js 19+ (Node 16-18 can assign `require('crypto').webcrypto`).
+ */
+
+import { CONFIG } from './config.mjs';
+import { hardenPhrase, stringToBytes } from './normalize.mjs';
+
+/**
+ * Get the SubtleCrypto implementation of the current environment.
+ *
+ * @returns {SubtleCrypto} - The WebCrypto subtle interface
+ */
+export function getSubtle() {
+    const cryptoImpl = globalThis.crypto;
+    if (!cryptoImpl || !cryptoImpl.subtle) {
+        throw new Error('Web Crypto API (crypto.subtle) is not available');
+    }
+    return cryptoImpl.subtle;
+}
+
+/**
+ * Import a (hardened) master phrase as a non-extractable PBKDF2 key.
+ *
+ * @param {string} masterPhrase - The user's master phrase
+ * @returns {Promise<CryptoKey>} - Key usable with pbkdf2Bits()
+ */
+export async function importPhraseKey(masterPhrase) {
+    return getSubtle().importKey(
+        'raw',
+        stringToBytes(masterPhrase),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+}
+
+/**
+ * Import a raw master phrase, hardened, as a key to keep instead of the text.
+ *
+ * Every derivation accepts this key in place of the phrase, so a page that
+ * remembers the phrase can hold this handle, whose bytes script can never
+ * read back, and drop the text.
+ *
+ * @param {string} phrase - Raw master phrase
+ * @returns {Promise<CryptoKey>} - Non-extractable PBKDF2 key of the hardened phrase
+ */
+export async function importMasterPhrase(phrase) {
+    if (typeof phrase !== 'string' || !phrase) {
+        throw new Error('Please enter your master phrase.');
+    }
+    return importPhraseKey(hardenPhrase(phrase));
+}
+
+/**
+ * Check whether a value is a key from importMasterPhrase().
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a PBKDF2 key that can derive bits
+ */
+export function isPhraseKey(value) {
+    return Boolean(value) && typeof value === 'object' && Boolean(value.algorithm) &&
+        value.algorithm.name === 'PBKDF2' && Array.isArray(value.usages) && value.usages.includes('deriveBits');
+}
+
+/**
+ * Get the key for a master phrase given as text or as a key.
+ *
+ * @param {string|CryptoKey} phrase - Raw master phrase, or a key from importMasterPhrase()
+ * @returns {Promise<CryptoKey>} - Key usable with pbkdf2Bits() and the memory-hard KDFs
+ */
+export async function resolvePhraseKey(phrase) {
+    return isPhraseKey(phrase) ? phrase : importMasterPhrase(phrase);
+}
+
+/**
+ * Run PBKDF2-HMAC-SHA256 on an imported key.
+ *
+ * @param {CryptoKey} key - From importPhraseKey()
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - Number of PBKDF2 iterations
+ * @param {number} byteLength - Output length in bytes
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+export async function pbkdf2Bits(key, salt, iterations, byteLength) {
+    const derivedBits = await getSubtle().deriveBits(
+        {
+            name: 'PBKDF2',
+            salt: salt,
+            iterations: iterations,
+            hash: CONFIG.HASH_ALGORITHM
+        },
+        key,
+        byteLength * 8 // bits
+    );
+
+    return new Uint8Array(derivedBits);
+}
+
+/**
+ * Derive bytes using PBKDF2 with WebCrypto API.
+ *
+ * @param {string} masterPhrase - The user's master phrase
+ * @param {string} salt - The salt string
+ * @param {number} iterations - Number of PBKDF2 iterations
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+export async function deriveBytes(masterPhrase, salt, iterations) {
+    // Import the master phrase as a key
+    const keyMaterial = await importPhraseKey(masterPhrase);
+
+    // Derive bits using PBKDF2
+    return pbkdf2Bits(keyMaterial, stringToBytes(salt), iterations, CONFIG.DERIVED_BYTES);
+}
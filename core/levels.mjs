@@ -0,0 +1,167 @@
+/**
+ * Password Mint Core - Security Levels
+ *
+ * A security level names a KDF and its costs. "standard" and "high" are the
+ * original PBKDF2 levels and keep their original salts. The memory-hard
+ * levels add a `kdf` salt tag naming the KDF and its costs (see kdfSaltTag),
+ * so different KDFs or cost settings never share a salt.
+ *
+ * The phrase is imported into WebCrypto once and every KDF starts from that
+ * key: PBKDF2 and scrypt's PBKDF2 steps use it directly, and Argon2id gets
+ * PBKDF2-HMAC-SHA256(key, ARGON2_PASSWORD_LABEL, 1 iteration) as its password.
+ */
+
+import { CONFIG } from './config.mjs';
+import { pbkdf2Bits } from './kdf.mjs';
+import { scrypt } from './scrypt.mjs';
+import { argon2id } from './argon2.mjs';
+import { stringToBytes } from './normalize.mjs';
+
+const SCRYPT_BLOCK_SIZE = 8;
+const ARGON2_PASSWORD_LABEL = 'password-mint::argon2id::password';
+
+export const KDF_COST_LIMITS = Object.freeze({
+    memoryMiB: Object.freeze({ min: 8, max: 1024 }),
+    timeCost: Object.freeze({ min: 1, max: 10 })
+});
+
+export const SECURITY_LEVELS = Object.freeze({
+    standard: Object.freeze({
+        id: 'standard',
+        label: 'Standard (210k iterations)',
+        kdf: 'pbkdf2',
+        iterations: CONFIG.ITERATIONS.standard
+    }),
+    high: Object.freeze({
+        id: 'high',
+        label: 'High (400k iterations)',
+        kdf: 'pbkdf2',
+        iterations: CONFIG.ITERATIONS.high
+    }),
+    scrypt: Object.freeze({
+        id: 'scrypt',
+        label: 'scrypt (memory-hard)',
+        kdf: 'scrypt',
+        memoryMiB: 64,
+        timeCost: 1
+    }),
+    argon2id: Object.freeze({
+        id: 'argon2id',
+        label: 'Argon2id (memory-hard)',
+        kdf: 'argon2id',
+        memoryMiB: 64,
+        timeCost: 2
+    })
+});
+
+/**
+ * Check whether a security level uses a memory-hard KDF (and so takes costs).
+ *
+ * @param {string} securityLevel - Key of SECURITY_LEVELS
+ * @returns {boolean} - True for scrypt and Argon2id levels
+ */
+export function isMemoryHard(securityLevel) {
+    return Object.prototype.hasOwnProperty.call(SECURITY_LEVELS, securityLevel) &&
+        SECURITY_LEVELS[securityLevel].kdf !== 'pbkdf2';
+}
+
+/**
+ * Resolve a security level and optional cost overrides into KDF settings.
+ *
+ * For scrypt, memoryMiB sets N (N = memoryMiB * 1024 with r = 8) and
+ * timeCost sets p. For Argon2id, memoryMiB sets m and timeCost sets t (one lane).
+ *
+ * @param {string} securityLevel - Key of SECURITY_LEVELS
+ * @param {{memoryMiB: number, timeCost: number}} [kdfCosts] - Overrides for memory-hard levels
+ * @returns {Object} - { id, kdf, iterations } or { id, kdf, memoryMiB, timeCost }
+ */
+export function resolveSecurityLevel(securityLevel, kdfCosts) {
+    if (!Object.prototype.hasOwnProperty.call(SECURITY_LEVELS, securityLevel)) {
+        throw new Error('Unknown security level: ' + securityLevel);
+    }
+    const level = SECURITY_LEVELS[securityLevel];
+
+    if (level.kdf === 'pbkdf2') {
+        return { id: level.id, kdf: level.kdf, iterations: level.iterations };
+    }
+
+    const costs = Object.assign({ memoryMiB: level.memoryMiB, timeCost: level.timeCost }, kdfCosts || {});
+    const memoryMiB = Number(costs.memoryMiB);
+    const timeCost = Number(costs.timeCost);
+    const memoryLimits = KDF_COST_LIMITS.memoryMiB;
+    const timeLimits = KDF_COST_LIMITS.timeCost;
+
+    if (!Number.isInteger(memoryMiB) || memoryMiB < memoryLimits.min || memoryMiB > memoryLimits.max ||
+        (memoryMiB & (memoryMiB - 1)) !== 0) {
+        throw new Error('Memory cost must be a power of two between ' + memoryLimits.min + ' and ' + memoryLimits.max + ' MiB.');
+    }
+
+    if (!Number.isInteger(timeCost) || timeCost < timeLimits.min || timeCost > timeLimits.max) {
+        throw new Error('Time cost must be a whole number between ' + timeLimits.min + ' and ' + timeLimits.max + '.');
+    }
+
+    return { id: level.id, kdf: level.kdf, memoryMiB, timeCost };
+}
+
+/**
+ * Salt tag identifying the KDF and its costs, or '' for PBKDF2 levels.
+ *
+ * @param {Object} resolvedLevel - From resolveSecurityLevel()
+ * @returns {string} - e.g. "scrypt-n65536-r8-p1" or "argon2id-m65536-t2-p1"
+ */
+export function kdfSaltTag(resolvedLevel) {
+    switch (resolvedLevel.kdf) {
+        case 'pbkdf2':
+            return '';
+        case 'scrypt':
+            return 'scrypt-n' + (resolvedLevel.memoryMiB * 1024) + '-r' + SCRYPT_BLOCK_SIZE + '-p' + resolvedLevel.timeCost;
+        case 'argon2id':
+            return 'argon2id-m' + (resolvedLevel.memoryMiB * 1024) + '-t' + resolvedLevel.timeCost + '-p1';
+        default:
+            throw new Error('Unknown KDF: ' + resolvedLevel.kdf);
+    }
+}
+
+/**
+ * Derive CONFIG.DERIVED_BYTES bytes with the KDF of a resolved security level.
+ *
+ * @param {CryptoKey} phraseKey - Hardened phrase from importPhraseKey()
+ * @param {string} salt - The salt string
+ * @param {Object} resolvedLevel - From resolveSecurityLevel()
+ * @param {function(number)} [onProgress] - Progress (0-1) for scrypt and Argon2id; PBKDF2 runs in one WebCrypto call and reports none
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+export async function deriveLevelBytes(phraseKey, salt, resolvedLevel, onProgress) {
+    const saltBytes = stringToBytes(salt);
+
+    switch (resolvedLevel.kdf) {
+        case 'pbkdf2':
+            return pbkdf2Bits(phraseKey, saltBytes, resolvedLevel.iterations, CONFIG.DERIVED_BYTES);
+        case 'scrypt':
+            return scrypt(
+                phraseKey,
+                saltBytes,
+                resolvedLevel.memoryMiB * 1024,
+                SCRYPT_BLOCK_SIZE,
+                resolvedLevel.timeCost,
+                CONFIG.DERIVED_BYTES,
+                onProgress
+            );
+        case 'argon2id': {
+            const password = await pbkdf2Bits(phraseKey, stringToBytes(ARGON2_PASSWORD_LABEL), 1, 32);
+            const tag = argon2id({
+                password,
+                salt: saltBytes,
+                memoryKiB: resolvedLevel.memoryMiB * 1024,
+                passes: resolvedLevel.timeCost,
+                parallelism: 1,
+                tagLength: CONFIG.DERIVED_BYTES,
+                onProgress
+            });
+            password.fill(0);
+            return tag;
+        }
+        default:
+            throw new Error('Unknown KDF: ' + resolvedLevel.kdf);
+    }
+}
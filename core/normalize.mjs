@@ -0,0 +1,327 @@
+/**
+ * Password Mint Core - Input Normalization
+ *
+ * Site normalization and master phrase hardening. Both are part of the
+ * deterministic pipeline: any behavior change here changes passwords.
+ *
+ * Site normalization is versioned like the algorithms. v1 strips a fixed
+ * list of subdomains and endings; v2 keeps the registrable domain from the
+ * Public Suffix List (domain.mjs). Versions after v1 add a salt tag, so the
+ * same normalized text from two versions never gives the same password.
+ * Versions with bundledAliases resolve the bundled alias groups of
+ * aliases.mjs, which are written in their terms.
+ *
+ * Accounts and identity names are normalized here too, so the salt and
+ * the profile store read them the same way.
+ */
+
+import { interpretSite } from './domain.mjs';
+import { domainToUnicode } from './punycode.mjs';
+import { PUBLIC_SUFFIX_DATE } from './psl.mjs';
+
+export const DEFAULT_NORMALIZATION = 'v1';
+
+export const IDENTITY_NAME_MAX_LENGTH = 40;
+
+export const NORMALIZATIONS = Object.freeze({
+    v1: Object.freeze({
+        id: 'v1',
+        label: 'v1 — name only',
+        description: 'Drops common subdomains and a fixed list of endings, so bbc.com and bbc.co.uk are both "bbc".',
+        saltTag: '',
+        bundledAliases: false,
+        normalize: normalizeSiteV1
+    }),
+    v2: Object.freeze({
+        id: 'v2',
+        label: 'v2 — registrable domain',
+        description: 'Keeps the registrable domain from the Public Suffix List of ' + PUBLIC_SUFFIX_DATE +
+            ', like bbc.co.uk or foo.github.io; IP addresses and plain names are kept whole.',
+        saltTag: 'v2',
+        bundledAliases: true,
+        normalize: input => interpretSite(input).site
+    })
+});
+
+/**
+ * Look up a site normalization version.
+ *
+ * @param {string} id - Normalization id, e.g. "v2"
+ * @returns {Object} - Registry entry
+ */
+export function getNormalization(id) {
+    if (!Object.prototype.hasOwnProperty.call(NORMALIZATIONS, id)) {
+        throw new Error('Unknown site normalization: ' + id);
+    }
+    return NORMALIZATIONS[id];
+}
+
+/**
+ * Normalize a site/URL input to a consistent format.
+ *
+ * @param {string} input - Raw site or URL as typed by the user
+ * @param {string} [normalization='v1'] - Key of NORMALIZATIONS
+ * @returns {string} - Normalized site identifier used in the salt
+ */
+export function normalizeSite(input, normalization = DEFAULT_NORMALIZATION) {
+    return getNormalization(normalization).normalize(input);
+}
+
+/**
+ * Explain in one sentence how a site will be read, for a preview while typing.
+ *
+ * @param {string} input - Raw site or URL as typed by the user
+ * @param {string} [normalization='v1'] - Key of NORMALIZATIONS
+ * @returns {string} - e.g. "Uses the domain bbc.co.uk (news.bbc.co.uk is part of it)."
+ */
+export function describeSite(input, normalization = DEFAULT_NORMALIZATION) {
+    const site = normalizeSite(input, normalization);
+    const parsed = interpretSite(input);
+
+    if (normalization === 'v1') {
+        // v1 drops the ending v2 would keep, so other sites may share the name
+        return parsed.kind === 'domain' && parsed.site !== site
+            ? 'Uses "' + site + '": the ending of ' + parsed.site + ' is dropped, so sites with other endings share it.'
+            : 'Uses "' + site + '".';
+    }
+
+    const unicode = domainToUnicode(site);
+    const shown = unicode === site ? site : site + ' (' + unicode + ')';
+    if (parsed.kind === 'ip') {
+        return 'Uses the IP address ' + site + '.';
+    }
+    if (parsed.kind === 'name') {
+        return 'Uses "' + site + '" as a name, not a web address' +
+            (/^[a-z0-9-]+$/.test(site) && site !== 'localhost' ? ': ' + site + '.com would give a different password.' : '.');
+    }
+    if (parsed.kind === 'suffix') {
+        return shown + ' is shared by many sites, so it is used whole. Include the site\'s own part, like name.' + site + '.';
+    }
+    return 'Uses the domain ' + shown + (parsed.host !== site ? ' (' + domainToUnicode(parsed.host) + ' is part of it).' : '.');
+}
+
+/**
+ * Site normalization v1.
+ * - Trims whitespace
+ * - Converts to lowercase
+ * - Removes protocol (http/https)
+ * - Removes common subdomains (www, mail, m, app, etc.)
+ * - Removes path, query, fragment, port
+ * - Extracts base domain name (strips common TLDs)
+ *
+ * Examples:
+ *   "Yahoo" → "yahoo"
+ *   "yahoo.com" → "yahoo"
+ *   "YAHOO.COM" → "yahoo"
+ *   "https://www.yahoo.com/mail" → "yahoo"
+ *   "mail.yahoo.com" → "yahoo" (common subdomain stripped)
+ *   "GitHub.com" → "github"
+ *   "github" → "github"
+ *   "m.facebook.com" → "facebook"
+ *
+ * @param {string} input - Raw site or URL as typed by the user
+ * @returns {string} - Normalized site identifier used in the salt
+ */
+function normalizeSiteV1(input) {
+    let site = input.trim().toLowerCase();
+
+    // Remove protocol
+    site = site.replace(/^https?:\/\//, '');
+
+    // Remove common subdomains (www, mail, m, app, etc.)
+    site = site.replace(/^(www|mail|m|app|mobile|login|signin|auth|account|accounts|my|portal|secure|api|cdn|static|assets|media|images|img|files|docs|help|support)\./, '');
+
+    // If it looks like a URL (has path, query, fragment, or port)
+    if (site.includes('/') || site.includes('?') || site.includes('#') || site.includes(':')) {
+        // Remove path, query, fragment
+        site = site.split('/')[0];
+        site = site.split('?')[0];
+        site = site.split('#')[0];
+        // Remove port if present
+        site = site.split(':')[0];
+    }
+
+    // Common TLDs to strip (single-level TLDs)
+    const commonTLDs = [
+        '.com', '.org', '.net', '.edu', '.gov', '.io', '.co', '.app',
+        '.dev', '.ai', '.me', '.tv', '.info', '.biz', '.xyz', '.online',
+        '.site', '.tech', '.store', '.shop', '.blog', '.cloud', '.pro',
+        '.to', '.ly', '.gg', '.fm', '.cc', '.ws', '.vc', '.la', '.link',
+        '.live', '.world', '.space', '.fun', '.one', '.network', '.social'
+    ];
+
+    // Common country-code TLDs
+    const countryTLDs = [
+        '.uk', '.us', '.ca', '.au', '.de', '.fr', '.jp', '.cn', '.in',
+        '.br', '.ru', '.it', '.es', '.nl', '.se', '.no', '.dk', '.fi',
+        '.pl', '.be', '.at', '.ch', '.nz', '.ie', '.sg', '.hk', '.kr',
+        '.za', '.mx', '.ar', '.cl', '.pe', '.co', '.ve', '.my', '.ph',
+        '.id', '.th', '.vn', '.tw', '.tr', '.ae', '.sa', '.eg', '.il'
+    ];
+
+    // Common compound TLDs (country + type)
+    const compoundTLDs = [
+        '.co.uk', '.co.in', '.co.jp', '.co.nz', '.co.za', '.co.kr',
+        '.com.au', '.com.br', '.com.mx', '.com.sg', '.com.hk',
+        '.org.uk', '.net.au', '.ac.uk', '.gov.uk', '.edu.au'
+    ];
+
+    // First check compound TLDs (longer matches first)
+    for (const tld of compoundTLDs) {
+        if (site.endsWith(tld)) {
+            site = site.slice(0, -tld.length);
+            break;
+        }
+    }
+
+    // Then check single TLDs if no compound was found
+    if (site.includes('.')) {
+        for (const tld of [...commonTLDs, ...countryTLDs]) {
+            if (site.endsWith(tld)) {
+                site = site.slice(0, -tld.length);
+                break;
+            }
+        }
+    }
+
+    // Safety: if normalization resulted in empty string, return original (trimmed, lowercased)
+    if (!site) {
+        site = input.trim().toLowerCase();
+    }
+
+    return site;
+}
+
+/**
+ * Normalize an account (username or email) for the salt: trimmed, Unicode
+ * NFC and lowercase, so "Me@Work.com " and "me@work.com" are one account.
+ *
+ * @param {string} [account] - Account as typed, or empty for none
+ * @returns {string} - Normalized account ('' for none)
+ */
+export function normalizeAccount(account) {
+    if (account === undefined || account === null) return '';
+    if (typeof account !== 'string') {
+        throw new Error('Account must be text.');
+    }
+    return account.trim().normalize('NFC').toLowerCase();
+}
+
+/**
+ * Normalize an identity name for the salt: trimmed, Unicode NFC, lowercase,
+ * with runs of spaces collapsed, so "Work " and "work" are one identity.
+ *
+ * @param {string} [name] - Identity name as typed, or empty for the default identity
+ * @returns {string} - Normalized name ('' for the default identity)
+ */
+export function normalizeIdentity(name) {
+    if (name === undefined || name === null) return '';
+    if (typeof name !== 'string') {
+        throw new Error('Identity must be text.');
+    }
+
+    const normalized = name.trim().normalize('NFC').toLowerCase().replace(/\s+/g, ' ');
+    if (normalized.length > IDENTITY_NAME_MAX_LENGTH) {
+        throw new Error('Identity names can be at most ' + IDENTITY_NAME_MAX_LENGTH + ' characters.');
+    }
+    if (normalized === 'default') {
+        throw new Error('"Default" is the identity without a name; choose another name.');
+    }
+    return normalized;
+}
+
+/**
+ * Convert a string to a Uint8Array (UTF-8 encoding).
+ *
+ * @param {string} str - Text to encode
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+export function stringToBytes(str) {
+    return new TextEncoder().encode(str);
+}
+
+/**
+ * Normalize a master phrase the way hardenPhrase() does first: trimmed,
+ * lowercase, with runs of whitespace collapsed to one space. A normalized
+ * phrase hardens to the same value as the phrase it came from.
+ *
+ * @param {string} phrase - The user's raw master phrase
+ * @returns {string} - The normalized phrase
+ */
+export function normalizePhrase(phrase) {
+    return phrase
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Harden a master phrase for enhanced security.
+ *
+ * This function normalizes user input and adds deterministic complexity,
+ * making the phrase more resistant to attacks while remaining user-friendly.
+ *
+ * Transformations:
+ * 1. Trim leading/trailing whitespace
+ * 2. Convert to lowercase (normalization)
+ * 3. Collapse multiple spaces to single space
+ * 4. Deterministically capitalize 1-2 words based on phrase content
+ * 5. Add deterministic suffix (symbol + digit + symbol)
+ *
+ * Example:
+ *   Input:  "  My iPhone  purchase in INDIA  "
+ *   Output: "my IPHONE purchase in india ELEC!7@" (example transformation)
+ *
+ * The same input ALWAYS produces the same output (deterministic).
+ *
+ * @param {string} phrase - The user's raw master phrase
+ * @returns {string} - The hardened phrase ready for PBKDF2
+ */
+export function hardenPhrase(phrase) {
+    // Step 1: Normalize - trim, lowercase, collapse spaces
+    let normalized = normalizePhrase(phrase);
+
+    // If empty after normalization, return as-is (validation will catch it)
+    if (!normalized) {
+        return normalized;
+    }
+
+    // Step 2: Generate a deterministic seed from the normalized phrase
+    // Using a simple but effective hash (djb2 variant)
+    let seed = 5381;
+    for (let i = 0; i < normalized.length; i++) {
+        seed = ((seed << 5) + seed) ^ normalized.charCodeAt(i);
+        seed = seed >>> 0; // Convert to unsigned 32-bit
+    }
+
+    // Step 3: Deterministically capitalize words
+    const words = normalized.split(' ');
+
+    if (words.length >= 2) {
+        // Capitalize 2 words at deterministic positions
+        const pos1 = seed % words.length;
+        const pos2 = Math.floor(seed / words.length) % words.length;
+
+        words[pos1] = words[pos1].toUpperCase();
+        if (pos2 !== pos1 && words.length > 2) {
+            words[pos2] = words[pos2].toUpperCase();
+        }
+    } else if (words.length === 1 && words[0].length > 0) {
+        // Single word: capitalize first letter
+        words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+    }
+
+    // Step 4: Generate deterministic suffix
+    // Using carefully chosen symbols that work across most password policies
+    const symbols = '!@#$%^&*';
+    const digits = '23456789'; // Excluding 0 and 1 (ambiguous)
+
+    const sym1 = symbols[seed % symbols.length];
+    const dig1 = digits[(seed >> 4) % digits.length];
+    const sym2 = symbols[(seed >> 8) % symbols.length];
+
+    // Step 5: Combine: words + suffix
+    const hardened = words.join(' ') + sym1 + dig1 + sym2;
+
+    return hardened;
+}
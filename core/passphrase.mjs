@@ -0,0 +1,172 @@
+/**
+ * Password Mint Core - Passphrase Generation
+ *
+ * Maps derived bytes onto words from the EFF large word list. Every choice
+ * (each word, where a digit or symbol goes, and which one) is drawn with
+ * rejection sampling from a byte stream, in this fixed order:
+ *
+ * 1. Words, one at a time, until the word count (or character length) is met
+ * 2. Digit: the word it follows, then the digit
+ * 3. Symbol: the word it follows, then the symbol
+ *
+ * Capitalization and the separator only change how the words are written.
+ * The order above is part of every passphrase, so it is frozen.
+ */
+
+import { CHAR_SETS } from './config.mjs';
+import { createByteStream } from './bytestream.mjs';
+import { EFF_LARGE_WORDLIST } from './wordlist.mjs';
+
+const STREAM_LABEL = 'password-mint::passphrase';
+
+export const PASSPHRASE_CAPITALIZATION = Object.freeze({
+    lower: 'lowercase',
+    title: 'Title Case',
+    upper: 'UPPERCASE'
+});
+
+export const PASSPHRASE_LIMITS = Object.freeze({
+    words: Object.freeze({ min: 3, max: 20, default: 6 }),
+    length: Object.freeze({ min: 16, max: 128 }),
+    separatorMax: 3
+});
+
+/**
+ * Validate passphrase options and fill in defaults.
+ *
+ * @param {Object} [options] - Partial options
+ * @param {number} [options.words=6] - Number of words
+ * @param {number} [options.length] - Minimum characters instead of a word count
+ * @param {string} [options.separator='-'] - Text between words (up to 3 symbols or spaces)
+ * @param {string} [options.capitalize='lower'] - Key of PASSPHRASE_CAPITALIZATION
+ * @param {boolean} [options.digit=false] - Add one digit after a word
+ * @param {boolean} [options.symbol=false] - Add one symbol after a word
+ * @returns {Object} - Complete options; `words` is omitted when `length` is set
+ */
+export function normalizePassphraseOptions(options) {
+    const {
+        words = PASSPHRASE_LIMITS.words.default,
+        length,
+        separator = '-',
+        capitalize = 'lower',
+        digit = false,
+        symbol = false
+    } = options || {};
+
+    const result = {};
+    if (length !== undefined) {
+        const limits = PASSPHRASE_LIMITS.length;
+        if (!Number.isInteger(length) || length < limits.min || length > limits.max) {
+            throw new Error('Passphrase length must be between ' + limits.min + ' and ' + limits.max + ' characters.');
+        }
+        result.length = length;
+    } else {
+        const limits = PASSPHRASE_LIMITS.words;
+        if (!Number.isInteger(words) || words < limits.min || words > limits.max) {
+            throw new Error('Passphrases need between ' + limits.min + ' and ' + limits.max + ' words.');
+        }
+        result.words = words;
+    }
+
+    if (typeof separator !== 'string' || separator.length > PASSPHRASE_LIMITS.separatorMax ||
+        !/^[ !-\/:-@[-`{-~]*$/.test(separator)) {
+        throw new Error('Separator must be up to ' + PASSPHRASE_LIMITS.separatorMax + ' spaces or symbols.');
+    }
+    if (!Object.prototype.hasOwnProperty.call(PASSPHRASE_CAPITALIZATION, capitalize)) {
+        throw new Error('Capitalization must be one of: ' + Object.keys(PASSPHRASE_CAPITALIZATION).join(', '));
+    }
+
+    result.separator = separator;
+    result.capitalize = capitalize;
+    result.digit = Boolean(digit);
+    result.symbol = Boolean(symbol);
+    return result;
+}
+
+/**
+ * Count the characters of a passphrase before it is written out.
+ *
+ * @param {string[]} words - Chosen words
+ * @param {Object} options - From normalizePassphraseOptions()
+ * @returns {number} - Length including separators and added characters
+ */
+function passphraseLength(words, options) {
+    const letters = words.reduce((total, word) => total + word.length, 0);
+    return letters + options.separator.length * (words.length - 1) +
+        (options.digit ? 1 : 0) + (options.symbol ? 1 : 0);
+}
+
+/**
+ * Write a word in the chosen capitalization.
+ *
+ * @param {string} word - Word from the list (lowercase)
+ * @param {string} capitalize - Key of PASSPHRASE_CAPITALIZATION
+ * @returns {string} - Capitalized word
+ */
+function capitalizeWord(word, capitalize) {
+    if (capitalize === 'upper') return word.toUpperCase();
+    if (capitalize === 'title') return word.charAt(0).toUpperCase() + word.slice(1);
+    return word;
+}
+
+/**
+ * Generate a passphrase from derived bytes.
+ *
+ * @param {Uint8Array} derivedBytes - Bytes from the KDF
+ * @param {Object} [options] - As for normalizePassphraseOptions()
+ * @returns {Promise<{passphrase: string, words: number}>} - Passphrase and its word count
+ */
+export async function generatePassphraseFromBytes(derivedBytes, options) {
+    const settings = normalizePassphraseOptions(options);
+    const stream = createByteStream(derivedBytes, STREAM_LABEL);
+    const words = [];
+
+    // Step 1: Words, by count or until the passphrase is long enough
+    while (settings.length !== undefined
+        ? words.length < PASSPHRASE_LIMITS.words.min || passphraseLength(words, settings) < settings.length
+        : words.length < settings.words) {
+        words.push(EFF_LARGE_WORDLIST[await stream.uniform(EFF_LARGE_WORDLIST.length)]);
+    }
+
+    const written = words.map(word => capitalizeWord(word, settings.capitalize));
+
+    // Steps 2-3: A digit and a symbol, each after a chosen word
+    if (settings.digit) {
+        const index = await stream.uniform(written.length);
+        written[index] += CHAR_SETS.digits[await stream.uniform(CHAR_SETS.digits.length)];
+    }
+    if (settings.symbol) {
+        const index = await stream.uniform(written.length);
+        written[index] += CHAR_SETS.symbols[await stream.uniform(CHAR_SETS.symbols.length)];
+    }
+
+    return { passphrase: written.join(settings.separator), words: words.length };
+}
+
+/**
+ * Estimate the entropy of a passphrase, in bits. Capitalization and the
+ * separator add none, since they are fixed settings rather than chosen.
+ *
+ * @param {Object} [options] - As for normalizePassphraseOptions()
+ * @param {number} [wordCount] - Words actually chosen; by default the word
+ *   count, or for a length the words an average passphrase needs
+ * @returns {number} - Estimated bits of entropy
+ */
+export function estimatePassphraseEntropy(options, wordCount) {
+    const settings = normalizePassphraseOptions(options);
+    let words = wordCount;
+
+    if (words === undefined && settings.length !== undefined) {
+        const averageWord = EFF_LARGE_WORDLIST.reduce((total, word) => total + word.length, 0) / EFF_LARGE_WORDLIST.length;
+        const extra = (settings.digit ? 1 : 0) + (settings.symbol ? 1 : 0);
+        words = Math.max(PASSPHRASE_LIMITS.words.min,
+            Math.ceil((settings.length - extra + settings.separator.length) / (averageWord + settings.separator.length)));
+    } else if (words === undefined) {
+        words = settings.words;
+    }
+
+    let bits = words * Math.log2(EFF_LARGE_WORDLIST.length);
+    if (settings.digit) bits += Math.log2(words * CHAR_SETS.digits.length);
+    if (settings.symbol) bits += Math.log2(words * CHAR_SETS.symbols.length);
+    return bits;
+}
@@ -0,0 +1,287 @@
+/**
+ * Password Mint Core - Site Password Policies
+ *
+ * A policy describes what a site accepts: length bounds, which symbols it
+ * allows, which character classes it requires or forbids, per-class caps
+ * and positional rules. Applying a policy reshapes the character pools
+ * (see applyPolicyToCharsets), so it changes the password; it is therefore
+ * opt-in per derivation: a bundled entry applies only when the user turns
+ * it on for the site (or asks for it on the CLI), never by default. Bundled
+ * entries are frozen once released like algorithm versions, and users
+ * override or disable them by site.
+ */
+
+import { CHAR_SETS, LENGTH_RANGE } from './config.mjs';
+import { resolveCharsets } from './generate.mjs';
+
+export const POLICY_CLASSES = Object.freeze(['upper', 'lower', 'digits', 'symbols']);
+
+const CLASS_NAMES = Object.freeze({
+    upper: 'uppercase letter',
+    lower: 'lowercase letter',
+    digits: 'digit',
+    symbols: 'symbol'
+});
+
+/**
+ * Build a positional rule: which characters may stand at the first or the
+ * last position. Generation enforces it (see generate.mjs), and test()
+ * checks a finished password.
+ *
+ * @param {string} label - Short name for summaries
+ * @param {string} description - Violation message, e.g. "must not start with a digit"
+ * @param {string} position - 'first' or 'last'
+ * @param {function(string): boolean} allows - Whether a character may stand there
+ * @returns {Object} - Frozen rule
+ */
+function positionRule(label, description, position, allows) {
+    return Object.freeze({
+        label,
+        description,
+        position,
+        allows,
+        test: password => password.length === 0 || allows(password[position === 'first' ? 0 : password.length - 1])
+    });
+}
+
+export const POLICY_RULES = Object.freeze({
+    'no-leading-digit': positionRule('no leading digit', 'must not start with a digit', 'first', char => !/[0-9]/.test(char)),
+    'no-leading-symbol': positionRule('no leading symbol', 'must not start with a symbol', 'first', char => /[A-Za-z0-9]/.test(char)),
+    'no-trailing-symbol': positionRule('no trailing symbol', 'must not end with a symbol', 'last', char => /[A-Za-z0-9]/.test(char))
+});
+
+// Bundled policies, keyed by normalizeSite() output: the v1 name and the v2
+// registrable domain. Sites change their rules; when a generated password
+// is rejected, override the entry.
+const AMEX_POLICY = Object.freeze({ minLength: 8, maxLength: 20 });
+const BANK_OF_AMERICA_POLICY = Object.freeze({ minLength: 8, maxLength: 20, symbols: '@#*+=?.-_', required: ['digits'] });
+const CHASE_POLICY = Object.freeze({ minLength: 8, maxLength: 32, symbols: '!#$%+=@', required: ['digits'] });
+const PAYPAL_POLICY = Object.freeze({ minLength: 8, maxLength: 20 });
+
+export const SITE_POLICIES = Object.freeze({
+    americanexpress: AMEX_POLICY,
+    'americanexpress.com': AMEX_POLICY,
+    bankofamerica: BANK_OF_AMERICA_POLICY,
+    'bankofamerica.com': BANK_OF_AMERICA_POLICY,
+    chase: CHASE_POLICY,
+    'chase.com': CHASE_POLICY,
+    paypal: PAYPAL_POLICY,
+    'paypal.com': PAYPAL_POLICY
+});
+
+/**
+ * Get the character class of one password character.
+ *
+ * @param {string} char - A single character
+ * @returns {string} - One of POLICY_CLASSES
+ */
+function classOf(char) {
+    if (/[A-Z]/.test(char)) return 'upper';
+    if (/[a-z]/.test(char)) return 'lower';
+    if (/[0-9]/.test(char)) return 'digits';
+    return 'symbols';
+}
+
+function checkClassList(list, field) {
+    if (!Array.isArray(list) || list.some(type => POLICY_CLASSES.indexOf(type) === -1)) {
+        throw new Error('Policy ' + field + ' must list classes from: ' + POLICY_CLASSES.join(', '));
+    }
+    return POLICY_CLASSES.filter(type => list.indexOf(type) !== -1);
+}
+
+/**
+ * Validate a policy and fill in defaults.
+ *
+ * @param {Object} policy - Partial policy
+ * @param {number} [policy.minLength] - Shortest accepted password (default LENGTH_RANGE.policyMin)
+ * @param {number} [policy.maxLength] - Longest accepted password (default LENGTH_RANGE.max)
+ * @param {string} [policy.symbols] - Allowed symbols (default CHAR_SETS.symbols; '' allows none)
+ * @param {string[]} [policy.required] - Classes that must appear
+ * @param {string[]} [policy.forbidden] - Classes that must not appear
+ * @param {Object<string, number>} [policy.maxCounts] - Most characters allowed per class
+ * @param {string[]} [policy.rules] - Keys of POLICY_RULES
+ * @returns {Object} - Complete policy
+ */
+export function normalizePolicy(policy) {
+    const {
+        minLength = LENGTH_RANGE.policyMin,
+        maxLength = LENGTH_RANGE.max,
+        symbols = CHAR_SETS.symbols,
+        required = [],
+        forbidden = [],
+        maxCounts = {},
+        rules = []
+    } = policy || {};
+
+    for (const [name, value] of [['minLength', minLength], ['maxLength', maxLength]]) {
+        if (!Number.isInteger(value) || value < LENGTH_RANGE.policyMin || value > LENGTH_RANGE.max) {
+            throw new Error('Policy ' + name + ' must be between ' + LENGTH_RANGE.policyMin + ' and ' + LENGTH_RANGE.max + '.');
+        }
+    }
+    if (minLength > maxLength) {
+        throw new Error('Policy minLength is greater than maxLength.');
+    }
+
+    if (typeof symbols !== 'string' || !/^[!-\/:-@[-`{-~]*$/.test(symbols) ||
+        new Set(symbols).size !== symbols.length) {
+        throw new Error('Policy symbols must be distinct printable ASCII symbols.');
+    }
+
+    const requiredClasses = checkClassList(required, 'required');
+    const forbiddenClasses = checkClassList(forbidden, 'forbidden');
+    if (requiredClasses.some(type => forbiddenClasses.indexOf(type) !== -1)) {
+        throw new Error('Policy requires and forbids the same class.');
+    }
+    if (!symbols && requiredClasses.indexOf('symbols') !== -1) {
+        throw new Error('Policy requires symbols but allows none.');
+    }
+
+    const caps = {};
+    for (const type of Object.keys(maxCounts || {})) {
+        const value = maxCounts[type];
+        if (POLICY_CLASSES.indexOf(type) === -1 || !Number.isInteger(value) || value < 1 ||
+            forbiddenClasses.indexOf(type) !== -1) {
+            throw new Error('Policy maxCounts must map allowed classes to whole numbers of at least 1.');
+        }
+        caps[type] = value;
+    }
+
+    if (!Array.isArray(rules) || rules.some(rule => !Object.prototype.hasOwnProperty.call(POLICY_RULES, rule))) {
+        throw new Error('Policy rules must be from: ' + Object.keys(POLICY_RULES).join(', '));
+    }
+
+    return {
+        minLength,
+        maxLength,
+        symbols,
+        required: requiredClasses,
+        forbidden: forbiddenClasses,
+        maxCounts: caps,
+        rules: Object.keys(POLICY_RULES).filter(rule => rules.indexOf(rule) !== -1)
+    };
+}
+
+/**
+ * Look up the policy for a site. An override replaces the bundled entry;
+ * an override of null means "no policy" even where one is bundled. The
+ * bundled entry is only used when asked for, so a site's password never
+ * changes just because it gained one.
+ *
+ * @param {string} normalizedSite - Output of normalizeSite()
+ * @param {Object<string, Object|null>} [overrides] - User policies keyed by normalized site
+ * @param {boolean} [useKnown=false] - Fall back to the bundled entry
+ * @returns {Object|null} - Complete policy, or null
+ */
+export function getSitePolicy(normalizedSite, overrides, useKnown = false) {
+    if (overrides && Object.prototype.hasOwnProperty.call(overrides, normalizedSite)) {
+        const override = overrides[normalizedSite];
+        return override === null ? null : normalizePolicy(override);
+    }
+    if (useKnown && Object.prototype.hasOwnProperty.call(SITE_POLICIES, normalizedSite)) {
+        return normalizePolicy(SITE_POLICIES[normalizedSite]);
+    }
+    return null;
+}
+
+/**
+ * Turn a policy into the character set toggles getCharacterPools() uses:
+ * required classes on, forbidden classes off, symbols limited to the
+ * allowed ones (of the user's custom symbols, if any), per-class caps and
+ * the positional rules the generators enforce.
+ *
+ * @param {Object} [charsets] - Toggles chosen by the user
+ * @param {Object} policy - From normalizePolicy() or getSitePolicy()
+ * @returns {Object} - Toggles plus symbolChars and (if set) maxCounts and positionRules
+ */
+export function applyPolicyToCharsets(charsets, policy) {
+    const options = resolveCharsets(charsets);
+    const symbols = typeof options.symbolChars === 'string'
+        ? options.symbolChars.split('').filter(char => policy.symbols.includes(char)).join('')
+        : policy.symbols;
+
+    for (const type of policy.required) options[type] = true;
+    for (const type of policy.forbidden) options[type] = false;
+    if (!symbols) options.symbols = false;
+
+    options.symbolChars = symbols;
+    if (Object.keys(policy.maxCounts).length) {
+        options.maxCounts = Object.assign({}, policy.maxCounts);
+    }
+    if (policy.rules.length) {
+        options.positionRules = policy.rules.map(rule => POLICY_RULES[rule]);
+    }
+    return options;
+}
+
+/**
+ * List the ways a password breaks a policy.
+ *
+ * @param {string} password - Generated password
+ * @param {Object} policy - From normalizePolicy() or getSitePolicy()
+ * @returns {string[]} - Violations; empty if the password complies
+ */
+export function checkPolicy(password, policy) {
+    const violations = [];
+    const counts = { upper: 0, lower: 0, digits: 0, symbols: 0 };
+    let badSymbols = false;
+
+    for (const char of password) {
+        const type = classOf(char);
+        counts[type]++;
+        if (type === 'symbols' && policy.symbols.indexOf(char) === -1) badSymbols = true;
+    }
+
+    if (password.length < policy.minLength) {
+        violations.push('must be at least ' + policy.minLength + ' characters');
+    }
+    if (password.length > policy.maxLength) {
+        violations.push('must be at most ' + policy.maxLength + ' characters');
+    }
+    if (badSymbols) {
+        violations.push(policy.symbols ? 'may only use the symbols ' + policy.symbols : 'must not contain symbols');
+    }
+    for (const type of policy.required) {
+        if (!counts[type]) violations.push('needs at least one ' + CLASS_NAMES[type]);
+    }
+    for (const type of policy.forbidden) {
+        if (counts[type]) violations.push('must not contain any ' + CLASS_NAMES[type] + 's');
+    }
+    for (const type of Object.keys(policy.maxCounts)) {
+        const max = policy.maxCounts[type];
+        if (counts[type] > max) {
+            violations.push('allows at most ' + max + ' ' + CLASS_NAMES[type] + (max === 1 ? '' : 's'));
+        }
+    }
+    for (const rule of policy.rules) {
+        if (!POLICY_RULES[rule].test(password)) violations.push(POLICY_RULES[rule].description);
+    }
+
+    return violations;
+}
+
+/**
+ * Summarize a policy in one line.
+ *
+ * @param {Object} policy - From normalizePolicy() or getSitePolicy()
+ * @returns {string} - e.g. "8–12 characters · symbols !@# · at most 1 digit · no leading digit"
+ */
+export function describePolicy(policy) {
+    const parts = [policy.minLength + '–' + policy.maxLength + ' characters'];
+
+    if (policy.forbidden.indexOf('symbols') !== -1 || !policy.symbols) {
+        parts.push('no symbols');
+    } else if (policy.symbols !== CHAR_SETS.symbols) {
+        parts.push('symbols ' + policy.symbols);
+    }
+    for (const type of policy.required) parts.push('needs a ' + CLASS_NAMES[type]);
+    for (const type of policy.forbidden) {
+        if (type !== 'symbols') parts.push('no ' + CLASS_NAMES[type] + 's');
+    }
+    for (const type of Object.keys(policy.maxCounts)) {
+        const max = policy.maxCounts[type];
+        parts.push('at most ' + max + ' ' + CLASS_NAMES[type] + (max === 1 ? '' : 's'));
+    }
+    for (const rule of policy.rules) parts.push(POLICY_RULES[rule].label);
+
+    return parts.join(' · ');
+}
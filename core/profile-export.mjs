@@ -0,0 +1,189 @@
+/**
+ * Password Mint Core - Encrypted Profile Export
+ *
+ * Profiles are exported as one JSON file, encrypted with AES-256-GCM. The
+ * key comes from the hardened master phrase: PBKDF2-HMAC-SHA256 over a
+ * random salt gives 64 bytes, the first 32 are the AES key and the last 32
+ * are stored in the file as a verification tag. Import checks the tag
+ * first, so a wrong phrase is reported as such and a damaged file (which
+ * fails GCM authentication) is reported separately.
+ *
+ * {
+ *   "format": "password-mint-profiles-export",
+ *   "version": 1,
+ *   "kdf": { "name": "PBKDF2-SHA256", "iterations": 210000, "salt": "<base64>" },
+ *   "iv": "<base64>",
+ *   "verifier": "<base64>",
+ *   "ciphertext": "<base64>"
+ * }
+ */
+
+import { CONFIG } from './config.mjs';
+import { stringToBytes } from './normalize.mjs';
+import { getSubtle, isPhraseKey, resolvePhraseKey, pbkdf2Bits } from './kdf.mjs';
+import { parseProfiles, parseAliases, serializeProfiles } from './profiles.mjs';
+
+const EXPORT_FORMAT = 'password-mint-profiles-export';
+const EXPORT_VERSION = 1;
+const SALT_LABEL = 'password-mint::profiles-export::';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const MAX_ITERATIONS = 10000000;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function randomBytes(length) {
+    return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derive the AES key and verification tag for an export.
+ *
+ * @param {string|CryptoKey} phrase - Raw master phrase (hardened here), or a key from importMasterPhrase()
+ * @param {Uint8Array} salt - Random salt stored in the file
+ * @param {number} iterations - PBKDF2 iterations stored in the file
+ * @returns {Promise<{key: CryptoKey, verifier: Uint8Array}>} - AES-GCM key and tag
+ */
+async function deriveExportKey(phrase, salt, iterations) {
+    const phraseKey = await resolvePhraseKey(phrase);
+    const label = stringToBytes(SALT_LABEL);
+    const fullSalt = new Uint8Array(label.length + salt.length);
+    fullSalt.set(label);
+    fullSalt.set(salt, label.length);
+
+    const bits = await pbkdf2Bits(phraseKey, fullSalt, iterations, KEY_BYTES * 2);
+    const key = await getSubtle().importKey('raw', bits.subarray(0, KEY_BYTES), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const verifier = bits.slice(KEY_BYTES);
+    bits.fill(0);
+
+    return { key, verifier };
+}
+
+/**
+ * Encrypt profiles (and the user's site aliases) into an export file.
+ *
+ * @param {Object<string, Object>} profiles - Profiles keyed by normalized site
+ * @param {string|CryptoKey} phrase - Master phrase, or a key from importMasterPhrase()
+ * @param {Object<string, string|null>} [aliases] - User site aliases
+ * @returns {Promise<string>} - JSON text of the export file
+ */
+export async function encryptProfiles(profiles, phrase, aliases) {
+    if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+        throw new Error('Please enter your master phrase.');
+    }
+
+    const salt = randomBytes(SALT_BYTES);
+    const iv = randomBytes(IV_BYTES);
+    const iterations = CONFIG.ITERATIONS.standard;
+    const { key, verifier } = await deriveExportKey(phrase, salt, iterations);
+
+    const ciphertext = await getSubtle().encrypt(
+        { name: 'AES-GCM', iv: iv, additionalData: stringToBytes(EXPORT_FORMAT + '::' + EXPORT_VERSION) },
+        key,
+        stringToBytes(serializeProfiles(profiles, aliases))
+    );
+
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        kdf: { name: 'PBKDF2-SHA256', iterations: iterations, salt: bytesToBase64(salt) },
+        iv: bytesToBase64(iv),
+        verifier: bytesToBase64(verifier),
+        ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+    }, null, 2);
+}
+
+/**
+ * Decrypt an export file.
+ *
+ * @param {string} text - Contents of the export file
+ * @param {string|CryptoKey} phrase - Master phrase it was exported with, or a key from importMasterPhrase()
+ * @returns {Promise<{profiles: Object<string, Object>, aliases: Object<string, string|null>}>} - Profiles keyed by normalized site, and site aliases
+ */
+export async function decryptProfileStore(text, phrase) {
+    if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+        throw new Error('Please enter your master phrase.');
+    }
+
+    let file;
+    let salt;
+    let iv;
+    let verifier;
+    let ciphertext;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        file = null;
+    }
+    if (!file || file.format !== EXPORT_FORMAT) {
+        throw new Error('This is not a Password Mint profile export.');
+    }
+    if (file.version !== EXPORT_VERSION) {
+        throw new Error('Unsupported export version: ' + file.version + '. Update Password Mint to import it.');
+    }
+
+    const kdf = file.kdf || {};
+    try {
+        salt = base64ToBytes(kdf.salt);
+        iv = base64ToBytes(file.iv);
+        verifier = base64ToBytes(file.verifier);
+        ciphertext = base64ToBytes(file.ciphertext);
+    } catch (error) {
+        throw new Error('The file is damaged and could not be decrypted.');
+    }
+    if (kdf.name !== 'PBKDF2-SHA256' || !Number.isInteger(kdf.iterations) ||
+        kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS) {
+        throw new Error('The file is damaged and could not be decrypted.');
+    }
+
+    const derived = await deriveExportKey(phrase, salt, kdf.iterations);
+
+    let difference = derived.verifier.length ^ verifier.length;
+    for (let i = 0; i < derived.verifier.length; i++) {
+        difference |= derived.verifier[i] ^ (verifier[i] || 0);
+    }
+    if (difference !== 0) {
+        throw new Error('Wrong master phrase for this file.');
+    }
+
+    let plaintext;
+    try {
+        plaintext = await getSubtle().decrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: stringToBytes(EXPORT_FORMAT + '::' + EXPORT_VERSION) },
+            derived.key,
+            ciphertext
+        );
+    } catch (error) {
+        throw new Error('The file is damaged and could not be decrypted.');
+    }
+
+    const store = new TextDecoder().decode(plaintext);
+    return { profiles: parseProfiles(store), aliases: parseAliases(store) };
+}
+
+/**
+ * Decrypt the profiles of an export file.
+ *
+ * @param {string} text - Contents of the export file
+ * @param {string|CryptoKey} phrase - Master phrase it was exported with, or a key from importMasterPhrase()
+ * @returns {Promise<Object<string, Object>>} - Profiles keyed by normalized site
+ */
+export async function decryptProfiles(text, phrase) {
+    return (await decryptProfileStore(text, phrase)).profiles;
+}
@@ -0,0 +1,354 @@
+/**
+ * Password Mint Core - Site Profiles
+ *
+ * A profile remembers the non-secret settings of one site (version, length,
+ * character sets, security level, algorithm, policy override, output format,
+ * passphrase options, site normalization and the extra fields it uses, with
+ * their security questions), keyed by its normalized name
+ * under that normalization, after site aliases (aliases.mjs) are resolved.
+ * A profile for one account or identity (identities.mjs) adds them to the
+ * key, so each keeps its own version and settings on a shared site.
+ * The store also holds the user's own aliases, so they travel with the
+ * profiles in an export.
+ * Profiles are built from an explicit list of fields, so a master phrase or
+ * password passed in by mistake is never copied into one.
+ */
+
+import { LENGTH_RANGE, DEFAULT_CHARSETS } from './config.mjs';
+import { NORMALIZATIONS, DEFAULT_NORMALIZATION, getNormalization, normalizeSite, normalizeAccount, normalizeIdentity } from './normalize.mjs';
+import { resolveSecurityLevel } from './levels.mjs';
+import { DEFAULT_ALGORITHM, getAlgorithm } from './algorithms.mjs';
+import { resolveCharsets } from './generate.mjs';
+import { POLICY_CLASSES, normalizePolicy } from './policies.mjs';
+import { normalizePassphraseOptions } from './passphrase.mjs';
+import { DEFAULT_FORMAT, getOutputFormat } from './formats.mjs';
+import { normalizeAliases, resolveSiteAlias } from './aliases.mjs';
+import { normalizeField } from './fields.mjs';
+
+const STORE_FORMAT = 'password-mint-profiles';
+const STORE_VERSION = 1;
+
+/**
+ * Get the key a profile is stored under. A site without an account or
+ * identity keeps the plain site as its key, as profiles had before them;
+ * otherwise they are added like salt tags ("::name=value", URI-encoded).
+ *
+ * @param {Object} profile - Profile, or { site, account?, identity? } already normalized
+ * @returns {string} - Profile key
+ */
+export function profileKey(profile) {
+    let key = profile.site;
+    if (profile.account) key += '::account=' + encodeURIComponent(profile.account);
+    if (profile.identity) key += '::identity=' + encodeURIComponent(profile.identity);
+    return key;
+}
+
+/**
+ * Validate settings for an already-normalized site.
+ *
+ * @param {string} normalizedSite - Site the profile is for
+ * @param {Object} settings - As for createProfile()
+ * @param {Date|string|number} [rotatedAt] - When this version was first used (defaults to now)
+ * @returns {Object} - The profile
+ */
+function buildProfile(normalizedSite, settings, rotatedAt) {
+    const {
+        version = 1,
+        length,
+        charsets,
+        securityLevel = 'standard',
+        kdfCosts,
+        algorithm = DEFAULT_ALGORITHM,
+        policy,
+        format = DEFAULT_FORMAT,
+        passphrase,
+        normalization = DEFAULT_NORMALIZATION,
+        fields,
+        account,
+        identity
+    } = settings || {};
+    const formatEntry = getOutputFormat(format);
+    const normalizationEntry = getNormalization(normalization);
+
+    if (typeof normalizedSite !== 'string' || !normalizedSite) {
+        throw new Error('Profile needs a site name.');
+    }
+
+    const versionNum = parseInt(version, 10);
+    if (isNaN(versionNum) || versionNum < 1) {
+        throw new Error('Version must be 1 or greater.');
+    }
+
+    // Sites with a policy may need passwords shorter than the form's usual minimum;
+    // PINs, keys and pronounceable passwords have their own ranges
+    const range = formatEntry.alphabets ? formatEntry.length : { min: LENGTH_RANGE.policyMin, max: LENGTH_RANGE.max };
+    const profileLength = length === undefined ? (formatEntry.alphabets ? range.default : LENGTH_RANGE.default) : length;
+    if (!Number.isInteger(profileLength) || profileLength < range.min || profileLength > range.max) {
+        throw new Error('Length must be between ' + range.min + ' and ' + range.max + '.');
+    }
+
+    const profileCharsets = {};
+    for (const name of Object.keys(DEFAULT_CHARSETS)) {
+        profileCharsets[name] = charsets && typeof charsets[name] === 'boolean' ? charsets[name] : DEFAULT_CHARSETS[name];
+    }
+
+    // Custom symbols, exclusions and minimum counts only when set
+    const custom = resolveCharsets(charsets);
+    if (custom.symbolChars) profileCharsets.symbolChars = custom.symbolChars;
+    if (custom.excludeChars) profileCharsets.excludeChars = custom.excludeChars;
+    const minTypes = POLICY_CLASSES.filter(type => custom.minCounts && custom.minCounts[type] !== undefined);
+    if (minTypes.length) {
+        profileCharsets.minCounts = {};
+        minTypes.forEach(type => { profileCharsets.minCounts[type] = custom.minCounts[type]; });
+    }
+
+    const level = resolveSecurityLevel(securityLevel, kdfCosts);
+    const date = new Date(rotatedAt === undefined ? Date.now() : rotatedAt);
+    if (isNaN(date.getTime())) {
+        throw new Error('Invalid rotation date: ' + rotatedAt);
+    }
+
+    const profile = { site: normalizedSite };
+    const normalizedAccount = normalizeAccount(account);
+    const normalizedIdentity = normalizeIdentity(identity);
+    if (normalizedAccount) profile.account = normalizedAccount;
+    if (normalizedIdentity) profile.identity = normalizedIdentity;
+    Object.assign(profile, {
+        version: String(version),
+        length: profileLength,
+        charsets: profileCharsets,
+        securityLevel: level.id,
+        algorithm: getAlgorithm(algorithm).id,
+        rotatedAt: date.toISOString()
+    });
+    if (level.kdf !== 'pbkdf2') {
+        profile.kdfCosts = { memoryMiB: level.memoryMiB, timeCost: level.timeCost };
+    }
+    // Rules turned on for the site; null turns off any others (bundled rules never apply unasked)
+    if (policy !== undefined) {
+        profile.policy = policy === null ? null : normalizePolicy(policy);
+    }
+    // Passwords keep the original profile shape
+    if (formatEntry.id !== DEFAULT_FORMAT) {
+        profile.format = formatEntry.id;
+    }
+    if (formatEntry.id === 'passphrase') {
+        profile.passphrase = normalizePassphraseOptions(passphrase);
+    }
+    if (normalizationEntry.id !== DEFAULT_NORMALIZATION) {
+        profile.normalization = normalizationEntry.id;
+    }
+    if (fields !== undefined && !Array.isArray(fields)) {
+        throw new Error('Extra fields must be a list.');
+    }
+    if (fields && fields.length) {
+        profile.fields = fields.map(field => {
+            const normalized = normalizeField(field);
+            const stored = { kind: normalized.kind };
+            if (normalized.question !== undefined) stored.question = normalized.question;
+            if (normalized.version !== '1') stored.version = normalized.version;
+            return stored;
+        });
+    }
+    return profile;
+}
+
+/**
+ * Build a validated profile from derivation settings.
+ *
+ * @param {Object} settings - Same shape as the derivePassword() options; phrase is ignored
+ * @param {string} settings.site - Raw site or URL (normalized and alias-resolved here)
+ * @param {Object<string, string|null>} [settings.aliases] - User site aliases (see normalizeAliases())
+ * @param {string} [settings.account] - Username or email the profile is for; none for the whole site
+ * @param {string} [settings.identity] - Identity name the profile is for; none for the default identity
+ * @param {string|number} [settings.version=1] - Rotation counter, kept exactly as given
+ * @param {Date|string|number} [rotatedAt] - When this version was first used (defaults to now)
+ * @returns {Object} - { site, account?, identity?, version, length, charsets, securityLevel, kdfCosts?, algorithm, policy?, format?, passphrase?, normalization?, fields?, rotatedAt }
+ */
+export function createProfile(settings, rotatedAt) {
+    const site = settings && settings.site;
+    const normalization = (settings && settings.normalization) || DEFAULT_NORMALIZATION;
+    const normalizedSite = typeof site === 'string'
+        ? resolveSiteAlias(normalizeSite(site, normalization), normalization, settings.aliases).site
+        : '';
+    return buildProfile(normalizedSite, settings, rotatedAt);
+}
+
+/**
+ * Find the profile for a site as typed, under one account and identity.
+ * Each profile is keyed by the site under its own normalization, so every
+ * version is tried; the newest version that matches a profile wins.
+ *
+ * @param {Object<string, Object>} profiles - Profiles keyed by profileKey()
+ * @param {string} site - Raw site or URL
+ * @param {Object<string, string|null>} [aliases] - User site aliases
+ * @param {string} [account] - Username or email as typed; none for the whole site
+ * @param {string} [identity] - Identity name; none for the default identity
+ * @returns {Object|undefined} - The profile, if one matches
+ */
+export function findProfile(profiles, site, aliases, account, identity) {
+    if (!site.trim()) return undefined;
+
+    const owner = { account: normalizeAccount(account), identity: normalizeIdentity(identity) };
+    for (const id of Object.keys(NORMALIZATIONS).reverse()) {
+        const normalizedSite = resolveSiteAlias(normalizeSite(site, id), id, aliases).site;
+        const profile = profiles[profileKey(Object.assign({ site: normalizedSite }, owner))];
+        if (profile && (profile.normalization || DEFAULT_NORMALIZATION) === id) {
+            return profile;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Add or update the profile for a site (and account and identity). The
+ * rotation date moves only when the profile is new or its version changed.
+ *
+ * @param {Object<string, Object>} profiles - Profiles keyed by profileKey()
+ * @param {Object} settings - As for createProfile()
+ * @param {Date} [now] - Current time
+ * @returns {Object<string, Object>} - A new profiles object
+ */
+export function saveProfile(profiles, settings, now = new Date()) {
+    const profile = createProfile(settings, now);
+    const key = profileKey(profile);
+    const previous = profiles[key];
+
+    if (previous && previous.version === profile.version) {
+        profile.rotatedAt = previous.rotatedAt;
+    }
+
+    const updated = Object.assign(Object.create(null), profiles);
+    updated[key] = profile;
+    return updated;
+}
+
+/**
+ * Parse stored profiles. Entries that fail validation are dropped rather
+ * than breaking the page.
+ *
+ * @param {string|null} text - Output of serializeProfiles(), or null when nothing is stored
+ * @returns {Object<string, Object>} - Profiles keyed by profileKey()
+ */
+export function parseProfiles(text) {
+    // No prototype, so a site named "__proto__" is an ordinary key
+    const profiles = Object.create(null);
+    if (!text) return profiles;
+
+    let store;
+    try {
+        store = JSON.parse(text);
+    } catch (error) {
+        return profiles;
+    }
+    if (!store || store.format !== STORE_FORMAT || !Array.isArray(store.profiles)) {
+        return profiles;
+    }
+
+    for (const entry of store.profiles) {
+        try {
+            // Stored sites are already normalized; normalizing twice could change them
+            const profile = buildProfile(entry.site, entry, entry.rotatedAt);
+            profiles[profileKey(profile)] = profile;
+        } catch (error) {
+            // Skip entries a future or damaged store wrote
+        }
+    }
+    return profiles;
+}
+
+/**
+ * Parse the user's site aliases from stored profiles. Aliases that fail
+ * validation are dropped as a whole, since they only make sense together.
+ *
+ * @param {string|null} text - Output of serializeProfiles(), or null when nothing is stored
+ * @returns {Object<string, string|null>} - Site aliases (see normalizeAliases())
+ */
+export function parseAliases(text) {
+    try {
+        const store = JSON.parse(text);
+        if (store && store.format === STORE_FORMAT) {
+            return normalizeAliases(store.aliases);
+        }
+    } catch (error) {
+        // Nothing usable stored
+    }
+    return normalizeAliases();
+}
+
+/**
+ * Serialize profiles for storage, sorted by key.
+ *
+ * @param {Object<string, Object>} profiles - Profiles keyed by profileKey()
+ * @param {Object<string, string|null>} [aliases] - User site aliases, stored only when there are any
+ * @returns {string} - JSON text
+ */
+export function serializeProfiles(profiles, aliases) {
+    const keys = Object.keys(profiles).sort();
+    const store = {
+        format: STORE_FORMAT,
+        version: STORE_VERSION,
+        profiles: keys.map(key => profiles[key])
+    };
+    const validAliases = normalizeAliases(aliases);
+    if (Object.keys(validAliases).length) {
+        store.aliases = Object.assign({}, validAliases);
+    }
+    return JSON.stringify(store);
+}
+
+/**
+ * Check whether two profiles hold the same settings (ignoring rotation date).
+ *
+ * @param {Object} a - Site profile
+ * @param {Object} b - Site profile
+ * @returns {boolean} - True if generating with either gives the same password
+ */
+function sameSettings(a, b) {
+    return serializeProfiles({ x: Object.assign({}, a, { rotatedAt: '' }) }) ===
+        serializeProfiles({ x: Object.assign({}, b, { rotatedAt: '' }) });
+}
+
+/**
+ * Keep whichever profile has the higher version; on a tie, keep this device's.
+ *
+ * @param {Object} current - Profile on this device
+ * @param {Object} incoming - Profile being imported
+ * @returns {boolean} - True to take the incoming profile
+ */
+export function preferHigherVersion(current, incoming) {
+    return parseInt(incoming.version, 10) > parseInt(current.version, 10);
+}
+
+/**
+ * Merge imported profiles into the current ones. New profiles are added;
+ * for a key on both sides with different settings, `chooseIncoming`
+ * decides which profile is kept.
+ *
+ * @param {Object<string, Object>} current - Profiles on this device
+ * @param {Object<string, Object>} incoming - Profiles being imported
+ * @param {function(Object, Object): (boolean|Promise<boolean>)} [chooseIncoming=preferHigherVersion] - Conflict rule
+ * @returns {Promise<{profiles: Object<string, Object>, added: string[], replaced: string[], kept: string[]}>} - Merged profiles and what happened to each imported key
+ */
+export async function mergeProfiles(current, incoming, chooseIncoming = preferHigherVersion) {
+    const profiles = Object.assign(Object.create(null), current);
+    const summary = { profiles, added: [], replaced: [], kept: [] };
+
+    for (const site of Object.keys(incoming).sort()) {
+        const existing = profiles[site];
+
+        if (!existing) {
+            profiles[site] = incoming[site];
+            summary.added.push(site);
+        } else if (sameSettings(existing, incoming[site])) {
+            summary.kept.push(site);
+        } else if (await chooseIncoming(existing, incoming[site])) {
+            profiles[site] = incoming[site];
+            summary.replaced.push(site);
+        } else {
+            summary.kept.push(site);
+        }
+    }
+
+    return summary;
+}
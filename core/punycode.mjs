@@ -0,0 +1,155 @@
+/**
+ * Password Mint Core - Punycode (RFC 3492)
+ *
+ * Converts internationalized domain names between Unicode and their ASCII
+ * "xn--" form, so "bücher.de" and "xn--bcher-kva.de" normalize to the same
+ * site. Labels are lowercased and NFC-normalized first; no other IDNA
+ * mapping is applied, since browsers disagree on some of it and site
+ * normalization must give the same result everywhere.
+ */
+
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+const PREFIX = 'xn--';
+
+// Full stops some keyboards type instead of "."
+const DOTS_RE = /[。．｡]/g;
+
+function adaptBias(delta, numPoints, firstTime) {
+    let k = 0;
+    delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+        delta = Math.floor(delta / (BASE - T_MIN));
+        k += BASE;
+    }
+    return k + Math.floor((BASE - T_MIN + 1) * delta / (delta + SKEW));
+}
+
+function digitToChar(digit) {
+    return String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+}
+
+function charToDigit(code) {
+    if (code >= 48 && code <= 57) return code - 22;
+    if (code >= 97 && code <= 122) return code - 97;
+    if (code >= 65 && code <= 90) return code - 65;
+    return BASE;
+}
+
+/**
+ * Encode one label's code points as Punycode (without the "xn--" prefix).
+ *
+ * @param {string} label - Unicode label
+ * @returns {string} - Punycode
+ */
+function encodeLabel(label) {
+    const codePoints = Array.from(label, char => char.codePointAt(0));
+    let output = codePoints.filter(code => code < 0x80).map(code => String.fromCharCode(code)).join('');
+    const basicLength = output.length;
+    let handled = basicLength;
+    if (basicLength) output += '-';
+
+    let n = INITIAL_N;
+    let delta = 0;
+    let bias = INITIAL_BIAS;
+
+    while (handled < codePoints.length) {
+        const next = Math.min(...codePoints.filter(code => code >= n));
+        delta += (next - n) * (handled + 1);
+        n = next;
+
+        for (const code of codePoints) {
+            if (code < n) delta++;
+            if (code !== n) continue;
+
+            let q = delta;
+            for (let k = BASE; ; k += BASE) {
+                const t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+                if (q < t) break;
+                output += digitToChar(t + (q - t) % (BASE - t));
+                q = Math.floor((q - t) / (BASE - t));
+            }
+            output += digitToChar(q);
+            bias = adaptBias(delta, handled + 1, handled === basicLength);
+            delta = 0;
+            handled++;
+        }
+        delta++;
+        n++;
+    }
+    return output;
+}
+
+/**
+ * Decode one Punycode label (without the "xn--" prefix).
+ *
+ * @param {string} input - Punycode
+ * @returns {string} - Unicode label
+ */
+function decodeLabel(input) {
+    const separator = input.lastIndexOf('-');
+    const codePoints = [];
+    for (let j = 0; j < Math.max(separator, 0); j++) {
+        if (input.charCodeAt(j) >= 0x80) throw new Error('Invalid Punycode: ' + input);
+        codePoints.push(input.charCodeAt(j));
+    }
+
+    let n = INITIAL_N;
+    let i = 0;
+    let bias = INITIAL_BIAS;
+
+    for (let index = separator > 0 ? separator + 1 : 0; index < input.length;) {
+        const oldI = i;
+        for (let w = 1, k = BASE; ; k += BASE) {
+            if (index >= input.length) throw new Error('Invalid Punycode: ' + input);
+            const digit = charToDigit(input.charCodeAt(index++));
+            if (digit >= BASE) throw new Error('Invalid Punycode: ' + input);
+            i += digit * w;
+            const t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+            if (digit < t) break;
+            w *= BASE - t;
+        }
+        bias = adaptBias(i - oldI, codePoints.length + 1, oldI === 0);
+        n += Math.floor(i / (codePoints.length + 1));
+        i %= codePoints.length + 1;
+        if (n > 0x10ffff) throw new Error('Invalid Punycode: ' + input);
+        codePoints.splice(i++, 0, n);
+    }
+    return String.fromCodePoint(...codePoints);
+}
+
+/**
+ * Convert a domain name to its ASCII form. ASCII labels are only lowercased.
+ *
+ * @param {string} domain - e.g. "Bücher.de"
+ * @returns {string} - e.g. "xn--bcher-kva.de"
+ */
+export function domainToASCII(domain) {
+    return domain.normalize('NFC').toLowerCase().replace(DOTS_RE, '.').split('.')
+        .map(label => /[^\x00-\x7f]/.test(label) ? PREFIX + encodeLabel(label) : label)
+        .join('.');
+}
+
+/**
+ * Convert a domain name to Unicode for display. Labels that are not valid
+ * Punycode are left as they are.
+ *
+ * @param {string} domain - e.g. "xn--bcher-kva.de"
+ * @returns {string} - e.g. "bücher.de"
+ */
+export function domainToUnicode(domain) {
+    return domain.split('.').map(label => {
+        if (!label.toLowerCase().startsWith(PREFIX)) return label;
+        try {
+            return decodeLabel(label.slice(PREFIX.length).toLowerCase());
+        } catch (error) {
+            return label;
+        }
+    }).join('.');
+}
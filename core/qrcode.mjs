@@ -0,0 +1,354 @@
+/**
+ * Password Mint Core - QR Code Encoder
+ *
+ * A small QR code encoder (ISO/IEC 18004) for recovery kit shares, so a
+ * share can be printed and scanned without any network service or library.
+ * It covers what shares need: versions 1 to 10, error correction level M
+ * (about 15% of the symbol can be damaged), and alphanumeric or byte mode.
+ *
+ * Steps: encode the text as bits, split into blocks and add Reed-Solomon
+ * error correction, interleave, place in the zigzag around the function
+ * patterns, then keep the mask with the lowest penalty score.
+ */
+
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+export const QR_MAX_VERSION = 10;
+
+// Level M, by version: error correction codewords per block and the block sizes (data codewords)
+const BLOCKS = [
+    null,
+    { ec: 10, blocks: [16] },
+    { ec: 16, blocks: [28] },
+    { ec: 26, blocks: [44] },
+    { ec: 18, blocks: [32, 32] },
+    { ec: 24, blocks: [43, 43] },
+    { ec: 16, blocks: [27, 27, 27, 27] },
+    { ec: 18, blocks: [31, 31, 31, 31] },
+    { ec: 22, blocks: [38, 38, 39, 39] },
+    { ec: 22, blocks: [36, 36, 36, 37, 37] },
+    { ec: 26, blocks: [43, 43, 43, 43, 44] }
+];
+
+// Alignment pattern centers, by version
+const ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Format bits for level M are 00; both copies are xored with this mask
+const FORMAT_MASK = 0x5412;
+
+const MASKS = [
+    (row, column) => (row + column) % 2 === 0,
+    row => row % 2 === 0,
+    (row, column) => column % 3 === 0,
+    (row, column) => (row + column) % 3 === 0,
+    (row, column) => (Math.floor(row / 2) + Math.floor(column / 3)) % 2 === 0,
+    (row, column) => (row * column) % 2 + (row * column) % 3 === 0,
+    (row, column) => ((row * column) % 2 + (row * column) % 3) % 2 === 0,
+    (row, column) => ((row + column) % 2 + (row * column) % 3) % 2 === 0
+];
+
+// GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(a, b) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((b >>> i) & 1) * a;
+    }
+    return product;
+}
+
+function reedSolomonRemainder(data, degree) {
+    // Generator polynomial (x - 2^0)(x - 2^1)...(x - 2^(degree-1)), leading 1 dropped
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+        }
+        root = gfMultiply(root, 2);
+    }
+
+    const remainder = new Array(degree).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < degree; i++) {
+            remainder[i] ^= gfMultiply(divisor[i], factor);
+        }
+    }
+    return remainder;
+}
+
+function encodeSegment(text) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    if (Array.from(text).every(char => ALPHANUMERIC.includes(char))) {
+        for (let i = 0; i + 1 < text.length; i += 2) {
+            push(ALPHANUMERIC.indexOf(text[i]) * 45 + ALPHANUMERIC.indexOf(text[i + 1]), 11);
+        }
+        if (text.length % 2) push(ALPHANUMERIC.indexOf(text[text.length - 1]), 6);
+        return { mode: 0x2, count: text.length, countBits: version => (version < 10 ? 9 : 11), bits };
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    for (const byte of bytes) push(byte, 8);
+    return { mode: 0x4, count: bytes.length, countBits: version => (version < 10 ? 8 : 16), bits };
+}
+
+function buildCodewords(segment, version) {
+    const layout = BLOCKS[version];
+    const capacity = layout.blocks.reduce((sum, size) => sum + size, 0) * 8;
+
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(segment.mode, 4);
+    push(segment.count, segment.countBits(version));
+    bits.push(...segment.bits);
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        push(pad, 8);
+    }
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    // Split into blocks, add error correction, then interleave column by column
+    const blocks = [];
+    let offset = 0;
+    for (const size of layout.blocks) {
+        const block = data.slice(offset, offset + size);
+        blocks.push({ data: block, ec: reedSolomonRemainder(block, layout.ec) });
+        offset += size;
+    }
+
+    const codewords = [];
+    const longest = Math.max(...layout.blocks);
+    for (let i = 0; i < longest; i++) {
+        for (const block of blocks) {
+            if (i < block.data.length) codewords.push(block.data[i]);
+        }
+    }
+    for (let i = 0; i < layout.ec; i++) {
+        for (const block of blocks) codewords.push(block.ec[i]);
+    }
+    return codewords;
+}
+
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = new Array(size * size).fill(false);
+    const reserved = new Array(size * size).fill(false);
+    const set = (row, column, dark) => {
+        modules[row * size + column] = dark;
+        reserved[row * size + column] = true;
+    };
+
+    // Finder patterns with their separators
+    for (const [top, left] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+        for (let row = -1; row <= 7; row++) {
+            for (let column = -1; column <= 7; column++) {
+                const y = top + row;
+                const x = left + column;
+                if (y < 0 || y >= size || x < 0 || x >= size) continue;
+                const ring = Math.max(Math.abs(row - 3), Math.abs(column - 3));
+                set(y, x, ring !== 2 && ring !== 4);
+            }
+        }
+    }
+
+    // Timing patterns
+    for (let i = 8; i < size - 8; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Alignment patterns, except where they would cover a finder
+    const centers = ALIGNMENT[version];
+    for (const row of centers) {
+        for (const column of centers) {
+            if ((row === 6 && column === 6) || (row === 6 && column === centers[centers.length - 1]) ||
+                (row === centers[centers.length - 1] && column === 6)) {
+                continue;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(row + dy, column + dx, Math.max(Math.abs(dy), Math.abs(dx)) !== 1);
+                }
+            }
+        }
+    }
+
+    // Format information areas (filled in per mask) and the dark module
+    for (let i = 0; i < 9; i++) {
+        if (i === 6) continue; // Timing pattern
+        set(8, i, false);
+        set(i, 8, false);
+    }
+    for (let i = 0; i < 8; i++) {
+        set(8, size - 1 - i, false);
+        set(size - 1 - i, 8, false);
+    }
+    set(size - 8, 8, true);
+
+    // Version information, from version 7
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(b, a, dark);
+            set(a, b, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+function placeCodewords(matrix, codewords) {
+    const { size, modules, reserved } = matrix;
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const row = upward ? size - 1 - step : step;
+            for (let column = right; column >= right - 1; column--) {
+                if (reserved[row * size + column]) continue;
+                // Modules past the last codeword are the remainder bits (zero)
+                if (index < codewords.length * 8) {
+                    modules[row * size + column] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask(matrix, mask) {
+    const { size, reserved } = matrix;
+    const modules = matrix.modules.slice();
+    for (let row = 0; row < size; row++) {
+        for (let column = 0; column < size; column++) {
+            if (!reserved[row * size + column] && MASKS[mask](row, column)) {
+                modules[row * size + column] = !modules[row * size + column];
+            }
+        }
+    }
+
+    let remainder = mask;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((mask << 10) | remainder) ^ FORMAT_MASK;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // First copy around the top-left finder, second split between the others
+    for (let i = 0; i <= 5; i++) modules[i * size + 8] = bit(i);
+    modules[7 * size + 8] = bit(6);
+    modules[8 * size + 8] = bit(7);
+    modules[8 * size + 7] = bit(8);
+    for (let i = 9; i < 15; i++) modules[8 * size + 14 - i] = bit(i);
+    for (let i = 0; i < 8; i++) modules[8 * size + size - 1 - i] = bit(i);
+    for (let i = 8; i < 15; i++) modules[(size - 15 + i) * size + 8] = bit(i);
+
+    return modules;
+}
+
+function penalty(modules, size) {
+    let score = 0;
+    const at = (row, column) => modules[row * size + column];
+
+    for (let pass = 0; pass < 2; pass++) {
+        const get = pass === 0 ? at : (row, column) => at(column, row);
+        for (let row = 0; row < size; row++) {
+            // Runs of five or more in a line
+            let run = 1;
+            for (let column = 1; column <= size; column++) {
+                if (column < size && get(row, column) === get(row, column - 1)) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+            let line = '';
+            for (let column = 0; column < size; column++) line += get(row, column) ? '1' : '0';
+            for (const pattern of ['10111010000', '00001011101']) {
+                for (let from = line.indexOf(pattern); from !== -1; from = line.indexOf(pattern, from + 1)) {
+                    score += 40;
+                }
+            }
+        }
+    }
+
+    // 2×2 blocks of one color
+    let dark = 0;
+    for (let row = 0; row < size; row++) {
+        for (let column = 0; column < size; column++) {
+            if (at(row, column)) dark++;
+            if (row + 1 < size && column + 1 < size) {
+                const color = at(row, column);
+                if (at(row, column + 1) === color && at(row + 1, column) === color && at(row + 1, column + 1) === color) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    // Balance of dark and light
+    score += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+    return score;
+}
+
+/**
+ * Encode text as a QR code, at error correction level M.
+ *
+ * Text of digits, uppercase letters and " $%*+-./:" uses alphanumeric mode
+ * (about 60% of byte mode's size); anything else is encoded as UTF-8 bytes.
+ *
+ * @param {string} text - Text to encode
+ * @returns {{version: number, size: number, modules: boolean[]}} - Symbol version, width in modules, and the modules row by row (true = dark), without the quiet zone
+ */
+export function encodeQrCode(text) {
+    const segment = encodeSegment(String(text));
+
+    let version = 1;
+    for (; version <= QR_MAX_VERSION; version++) {
+        const capacity = BLOCKS[version].blocks.reduce((sum, size) => sum + size, 0) * 8;
+        const needed = 4 + segment.countBits(version) + segment.bits.length;
+        if (needed <= capacity && segment.count < 2 ** segment.countBits(version)) break;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error('This text is too long for a QR code.');
+    }
+
+    const matrix = createMatrix(version);
+    placeCodewords(matrix, buildCodewords(segment, version));
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const modules = applyMask(matrix, mask);
+        const score = penalty(modules, matrix.size);
+        if (!best || score < best.score) best = { modules, score };
+    }
+    return { version, size: matrix.size, modules: best.modules };
+}
@@ -0,0 +1,316 @@
+/**
+ * Password Mint Core - Recovery Kit
+ *
+ * A forgotten master phrase loses every password. A recovery kit splits the
+ * phrase into N shares, any M of which rebuild it (Shamir's scheme, see
+ * shamir.mjs), to hand to people or places that should not hold it alone.
+ * Fewer than M shares reveal nothing about the phrase beyond its rough length.
+ *
+ * What is shared is the normalized phrase (normalizePhrase(): the first step
+ * of hardenPhrase()), so the rebuilt phrase can be typed in as it is and
+ * gives the same passwords. It is stored as a 2-byte length, the UTF-8 text,
+ * and zero bytes up to a multiple of 12.
+ *
+ * Share layout (version 1), before the checksum:
+ *   version (1) | threshold M (1) | share number (1) | kit id (3) |
+ *   check words (4: two 13-bit word-list indices, then 6 zero bits) | share of the phrase
+ * then the first 2 bytes of SHA-256("password-mint::recovery-kit" || 0x00 || those bytes).
+ *
+ * The check words are the phrase fingerprint (fingerprint.mjs): a rebuilt
+ * phrase is only accepted once its own fingerprint matches them. The kit id
+ * is random and keeps shares of two kits from being mixed.
+ *
+ * A share is written as words, 12 bits each from the first 4096 words of the
+ * EFF list, or as "PM-SHARE:" and base32 (RFC 4648), which fits a QR code's
+ * alphanumeric mode. The layout is frozen: kits on paper must always combine.
+ */
+
+import { stringToBytes, normalizePhrase } from './normalize.mjs';
+import { getSubtle } from './kdf.mjs';
+import { derivePhraseFingerprint, normalizeCheckWords } from './fingerprint.mjs';
+import { EFF_LARGE_WORDLIST } from './wordlist.mjs';
+import { splitSecret, combineShares } from './shamir.mjs';
+import { toBase32, fromBase32 } from './base32.mjs';
+
+const KIT_LABEL = 'password-mint::recovery-kit';
+const KIT_VERSION = 1;
+const HEADER_BYTES = 10;
+const CHECKSUM_BYTES = 2;
+const SECRET_BLOCK = 12;
+const SHARE_WORDS = EFF_LARGE_WORDLIST.slice(0, 4096);
+const SHARE_WORD_INDEX = new Map(SHARE_WORDS.map((word, index) => [word, index]));
+
+export const RECOVERY_SHARE_PREFIX = 'PM-SHARE:';
+
+export const RECOVERY_KIT_LIMITS = Object.freeze({ minThreshold: 2, maxShares: 16 });
+
+function concatBytes(...parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+async function shareChecksum(bytes) {
+    const digest = await getSubtle().digest('SHA-256', concatBytes(stringToBytes(KIT_LABEL), new Uint8Array([0]), bytes));
+    return new Uint8Array(digest, 0, CHECKSUM_BYTES);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function packCheckWords(checkWords) {
+    const words = normalizeCheckWords(checkWords).split(' ');
+    const indexes = words.map(word => EFF_LARGE_WORDLIST.indexOf(word));
+    if (words.length !== 2 || indexes.includes(-1)) {
+        throw new Error('Check words must be the two words of the phrase fingerprint.');
+    }
+    const packed = new Uint8Array(4);
+    new DataView(packed.buffer).setUint32(0, ((indexes[0] << 19) | (indexes[1] << 6)) >>> 0);
+    return packed;
+}
+
+function unpackCheckWords(packed) {
+    const value = new DataView(packed.buffer, packed.byteOffset, 4).getUint32(0);
+    const indexes = [value >>> 19, (value >>> 6) & 0x1fff];
+    if ((value & 0x3f) || indexes.some(index => index >= EFF_LARGE_WORDLIST.length)) {
+        return null;
+    }
+    return indexes.map(index => EFF_LARGE_WORDLIST[index]).join(' ');
+}
+
+function toShareWords(bytes) {
+    const words = [];
+    for (let i = 0; i < bytes.length; i += 3) {
+        const value = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+        words.push(SHARE_WORDS[value >> 12], SHARE_WORDS[value & 0xfff]);
+    }
+    return words.join(' ');
+}
+
+function fromShareWords(words) {
+    if (words.length % 2) {
+        throw new Error('The share has ' + words.length + ' words, but shares always have an even number: a word is missing or extra.');
+    }
+    const bytes = new Uint8Array(words.length / 2 * 3);
+    for (let i = 0; i < words.length; i += 2) {
+        const pair = [words[i], words[i + 1]].map(word => {
+            const index = SHARE_WORD_INDEX.get(word);
+            if (index === undefined) {
+                throw new Error('"' + word + '" is not a recovery kit word; check its spelling.');
+            }
+            return index;
+        });
+        const value = (pair[0] << 12) | pair[1];
+        bytes.set([value >> 16, (value >> 8) & 255, value & 255], i / 2 * 3);
+    }
+    return bytes;
+}
+
+function encodeSecret(phrase) {
+    const text = stringToBytes(phrase);
+    if (text.length > 0xffff) {
+        throw new Error('This phrase is too long for a recovery kit.');
+    }
+    const secret = new Uint8Array(Math.ceil((text.length + 2) / SECRET_BLOCK) * SECRET_BLOCK);
+    secret[0] = text.length >> 8;
+    secret[1] = text.length & 255;
+    secret.set(text, 2);
+    return secret;
+}
+
+function decodeSecret(secret) {
+    const length = (secret[0] << 8) | secret[1];
+    if (length === 0 || length > secret.length - 2 || secret.subarray(length + 2).some(byte => byte !== 0)) {
+        return null;
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(secret.subarray(2, length + 2));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Make a recovery kit for a master phrase.
+ *
+ * @param {string} phrase - Raw master phrase (normalized before it is split)
+ * @param {Object} options - Kit settings
+ * @param {number} options.threshold - Shares needed to rebuild the phrase (M)
+ * @param {number} options.shares - Shares to make (N, up to RECOVERY_KIT_LIMITS.maxShares)
+ * @param {string|string[]} [options.checkWords] - The phrase fingerprint's check words, if already known; derived otherwise
+ * @param {function(number)} [options.onProgress] - Progress (0-1) while the check words are derived
+ * @param {function(number): Uint8Array} [options.random] - Random byte source (for tests); defaults to crypto.getRandomValues()
+ * @returns {Promise<{id: string, threshold: number, checkWords: string, shares: {number: number, words: string, code: string}[]}>} -
+ *   Kit id (6 hex digits), M, check words, and each share as words and as a code for a QR code
+ */
+export async function createRecoveryKit(phrase, options) {
+    const { threshold, shares: count, onProgress } = options || {};
+    if (typeof phrase !== 'string' || !phrase.trim()) {
+        throw new Error('Please enter your master phrase.');
+    }
+    if (!Number.isInteger(count) || count < RECOVERY_KIT_LIMITS.minThreshold || count > RECOVERY_KIT_LIMITS.maxShares) {
+        throw new Error('A recovery kit has ' + RECOVERY_KIT_LIMITS.minThreshold + ' to ' + RECOVERY_KIT_LIMITS.maxShares + ' shares.');
+    }
+    if (!Number.isInteger(threshold) || threshold < RECOVERY_KIT_LIMITS.minThreshold || threshold > count) {
+        throw new Error('The shares needed must be between ' + RECOVERY_KIT_LIMITS.minThreshold + ' and the number of shares (' + count + ').');
+    }
+
+    const normalized = normalizePhrase(phrase);
+    const checkWords = normalizeCheckWords(options.checkWords || (await derivePhraseFingerprint(normalized, onProgress)).words);
+    const random = options.random || (length => globalThis.crypto.getRandomValues(new Uint8Array(length)));
+
+    const id = random(3);
+    const header = concatBytes(new Uint8Array([KIT_VERSION, threshold, 0]), id, packCheckWords(checkWords));
+    const kit = { id: toHex(id), threshold, checkWords, shares: [] };
+
+    for (const share of splitSecret(encodeSecret(normalized), threshold, count, random)) {
+        header[2] = share.x;
+        const body = concatBytes(header, share.y);
+        const bytes = concatBytes(body, await shareChecksum(body));
+        kit.shares.push({ number: share.x, words: toShareWords(bytes), code: RECOVERY_SHARE_PREFIX + toBase32(bytes) });
+    }
+    return kit;
+}
+
+/**
+ * Read one share, written as words or as a code.
+ *
+ * Case and extra spaces are ignored, and so are numbers between words (as
+ * when words were copied from numbered lines).
+ *
+ * @param {string} text - The share as typed or scanned
+ * @returns {Promise<{id: string, threshold: number, number: number, checkWords: string, y: Uint8Array}>} - What the share says
+ */
+export async function parseRecoveryShare(text) {
+    const compact = String(text || '').replace(/\s+/g, '').toUpperCase();
+    let bytes;
+    if (compact.startsWith(RECOVERY_SHARE_PREFIX)) {
+        const code = compact.slice(RECOVERY_SHARE_PREFIX.length);
+        if (/[^A-Z2-7]/.test(code)) {
+            throw new Error('The share code has a character base32 does not use; check it was copied whole.');
+        }
+        bytes = fromBase32(code);
+    } else {
+        const words = String(text || '').toLowerCase().split(/\s+/).filter(word => word && !/^\d+[.):]?$/.test(word));
+        if (!words.length) {
+            throw new Error('The share is empty.');
+        }
+        bytes = fromShareWords(words);
+    }
+
+    const size = bytes.length - HEADER_BYTES - CHECKSUM_BYTES;
+    if (size < SECRET_BLOCK || size % SECRET_BLOCK) {
+        throw new Error('The share is too short or too long; check that no words are missing.');
+    }
+    const body = bytes.subarray(0, bytes.length - CHECKSUM_BYTES);
+    const checksum = await shareChecksum(body);
+    if (checksum.some((byte, i) => byte !== bytes[body.length + i])) {
+        throw new Error('The share has a typo: its checksum does not match.');
+    }
+    if (bytes[0] !== KIT_VERSION) {
+        throw new Error('The share was made by a newer version of Password Mint.');
+    }
+
+    const threshold = bytes[1];
+    const number = bytes[2];
+    const checkWords = unpackCheckWords(bytes.subarray(6, 10));
+    if (threshold < RECOVERY_KIT_LIMITS.minThreshold || threshold > RECOVERY_KIT_LIMITS.maxShares ||
+        number < 1 || number > RECOVERY_KIT_LIMITS.maxShares || !checkWords) {
+        throw new Error('This is not a valid share.');
+    }
+
+    return { id: toHex(bytes.subarray(3, 6)), threshold, number, checkWords, y: bytes.slice(HEADER_BYTES, body.length) };
+}
+
+/**
+ * Split pasted text into shares: blank lines separate shares written as
+ * words, every share code is a share of its own, and lines starting with
+ * "#" are notes (like the headings the CLI prints).
+ *
+ * @param {string} text - One or more shares
+ * @returns {string[]} - The text of each share
+ */
+export function splitRecoveryShares(text) {
+    const shares = [];
+    for (const block of String(text || '').split(/\n\s*\n/)) {
+        const words = [];
+        for (const line of block.split('\n')) {
+            if (line.trim().startsWith('#')) continue;
+            if (line.trim().toUpperCase().startsWith(RECOVERY_SHARE_PREFIX)) {
+                shares.push(line.trim());
+            } else if (line.trim()) {
+                words.push(line.trim());
+            }
+        }
+        if (words.length) shares.push(words.join(' '));
+    }
+    return shares;
+}
+
+/**
+ * Rebuild the phrase from shares of one kit. The result is not yet checked
+ * against the check words: see recoverPhrase().
+ *
+ * @param {string[]} texts - Shares as typed or scanned (see splitRecoveryShares())
+ * @returns {Promise<{phrase: string, id: string, threshold: number, checkWords: string}>} - The normalized phrase and the kit it came from
+ */
+export async function combineRecoveryShares(texts) {
+    const shares = [];
+    for (let i = 0; i < texts.length; i++) {
+        let share;
+        try {
+            share = await parseRecoveryShare(texts[i]);
+        } catch (error) {
+            throw new Error('Share ' + (i + 1) + ': ' + error.message);
+        }
+
+        const first = shares[0];
+        if (first && (share.id !== first.id || share.threshold !== first.threshold || share.checkWords !== first.checkWords)) {
+            throw new Error('Share ' + (i + 1) + ' is from another recovery kit (kit ' + share.id + ', not ' + first.id + ').');
+        }
+        const same = shares.find(other => other.number === share.number);
+        if (same) {
+            if (same.y.length !== share.y.length || same.y.some((byte, j) => byte !== share.y[j])) {
+                throw new Error('Share ' + (i + 1) + ' has the same number (' + share.number + ') as an earlier share but different words.');
+            }
+            continue; // The same share twice
+        }
+        shares.push(share);
+    }
+
+    if (!shares.length) {
+        throw new Error('Enter the shares to combine.');
+    }
+    const { id, threshold, checkWords } = shares[0];
+    if (shares.length < threshold) {
+        throw new Error('This kit needs ' + threshold + ' different shares to rebuild the phrase; ' + shares.length + ' given.');
+    }
+
+    const phrase = decodeSecret(combineShares(shares.slice(0, threshold).map(share => ({ x: share.number, y: share.y }))));
+    if (phrase === null) {
+        throw new Error('These shares do not rebuild a phrase; one of them may have been changed.');
+    }
+    return { phrase, id, threshold, checkWords };
+}
+
+/**
+ * Rebuild the phrase from shares and check it against the kit's check
+ * words, by deriving its fingerprint.
+ *
+ * @param {string[]} texts - Shares as typed or scanned (see splitRecoveryShares())
+ * @param {function(number)} [onProgress] - Progress (0-1) of the fingerprint
+ * @returns {Promise<{phrase: string, id: string, threshold: number, checkWords: string}>} - See combineRecoveryShares()
+ */
+export async function recoverPhrase(texts, onProgress) {
+    const recovered = await combineRecoveryShares(texts);
+    const fingerprint = await derivePhraseFingerprint(recovered.phrase, onProgress);
+    if (normalizeCheckWords(fingerprint.words) !== recovered.checkWords) {
+        throw new Error('The rebuilt phrase does not match the kit\'s check words (' + recovered.checkWords + '); do not use it.');
+    }
+    return recovered;
+}
@@ -0,0 +1,141 @@
+/**
+ * Password Mint Core - scrypt (RFC 7914)
+ *
+ * ROMix and Salsa20/8 in pure JavaScript. The two single-iteration
+ * PBKDF2-HMAC-SHA256 steps run through WebCrypto on an imported key, so the
+ * password never has to exist as raw bytes here.
+ */
+
+import { pbkdf2Bits } from './kdf.mjs';
+
+// Salsa20/8 working state
+const state = new Uint32Array(16);
+
+function rotl(value, bits) {
+    return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * Salsa20/8 core applied in place to 16 words of b starting at offset.
+ */
+function salsa208(b, offset) {
+    const x = state;
+    for (let i = 0; i < 16; i++) x[i] = b[offset + i];
+
+    for (let i = 0; i < 8; i += 2) {
+        // Column round
+        x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+        x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+        x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+        x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+        x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+        x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+        x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+        x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+        // Row round
+        x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+        x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+        x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+        x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+        x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+        x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+        x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+        x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+    }
+
+    for (let i = 0; i < 16; i++) b[offset + i] += x[i];
+}
+
+/**
+ * scryptBlockMix: reads the 2r blocks in b, writes the result to y.
+ */
+function blockMix(b, y, r) {
+    const x = new Uint32Array(16);
+    x.set(b.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+    for (let i = 0; i < 2 * r; i++) {
+        for (let k = 0; k < 16; k++) x[k] ^= b[i * 16 + k];
+        salsa208(x, 0);
+        // Even blocks go to the first half, odd blocks to the second
+        y.set(x, ((i & 1) * r + (i >> 1)) * 16);
+    }
+}
+
+/**
+ * scryptROMix applied in place to one 128 * r byte block.
+ * onStep, if given, is called with the fraction done (0-1) every n/16 steps.
+ */
+function roMix(b, n, r, onStep) {
+    const words = 32 * r;
+    const v = new Uint32Array(words * n);
+    const reportEvery = Math.max(1, n >> 4);
+    let x = b.slice();
+    let y = new Uint32Array(words);
+
+    for (let i = 0; i < n; i++) {
+        v.set(x, i * words);
+        blockMix(x, y, r);
+        [x, y] = [y, x];
+        if (onStep && (i + 1) % reportEvery === 0) onStep((i + 1) / (2 * n));
+    }
+
+    for (let i = 0; i < n; i++) {
+        // Integerify: first word of the last 64-byte block, mod n
+        const j = x[(2 * r - 1) * 16] & (n - 1);
+        for (let k = 0; k < words; k++) x[k] ^= v[j * words + k];
+        blockMix(x, y, r);
+        [x, y] = [y, x];
+        if (onStep && (i + 1) % reportEvery === 0) onStep((n + i + 1) / (2 * n));
+    }
+
+    b.set(x);
+    v.fill(0);
+}
+
+/**
+ * Derive bytes with scrypt.
+ *
+ * @param {CryptoKey} key - Password as a PBKDF2 key (see importPhraseKey)
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} n - CPU/memory cost, a power of two greater than 1
+ * @param {number} r - Block size
+ * @param {number} p - Parallelization (blocks are mixed one after another)
+ * @param {number} byteLength - Output length in bytes
+ * @param {function(number)} [onProgress] - Called with the fraction done (0-1) while mixing
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+export async function scrypt(key, salt, n, r, p, byteLength, onProgress) {
+    if (!Number.isInteger(n) || n < 2 || (n & (n - 1)) !== 0) {
+        throw new Error('scrypt N must be a power of two greater than 1');
+    }
+    if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+        throw new Error('scrypt r and p must be 1 or greater');
+    }
+
+    const blockBytes = 128 * r;
+    const bytes = await pbkdf2Bits(key, salt, 1, p * blockBytes);
+
+    const words = new Uint32Array(bytes.length / 4);
+    for (let i = 0; i < words.length; i++) {
+        const o = i * 4;
+        words[i] = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+    }
+
+    for (let i = 0; i < p; i++) {
+        const onStep = onProgress ? (fraction) => onProgress((i + fraction) / p) : null;
+        roMix(words.subarray(i * 32 * r, (i + 1) * 32 * r), n, r, onStep);
+    }
+
+    for (let i = 0; i < words.length; i++) {
+        const w = words[i];
+        bytes[i * 4] = w;
+        bytes[i * 4 + 1] = w >>> 8;
+        bytes[i * 4 + 2] = w >>> 16;
+        bytes[i * 4 + 3] = w >>> 24;
+    }
+    words.fill(0);
+
+    const derived = await pbkdf2Bits(key, bytes, 1, byteLength);
+    bytes.fill(0);
+    return derived;
+}
@@ -0,0 +1,159 @@
+/**
+ * Password Mint Core - Second Secret (Keyfile or Recovery Code)
+ *
+ * Anyone who learns the master phrase can regenerate every password. An
+ * optional second secret closes that gap: the bytes of a local keyfile, or
+ * a random secret shown once as a recovery code. With one set, the phrase
+ * alone no longer gives any password.
+ *
+ * It is mixed into the phrase key before any KDF runs:
+ *   digest = SHA-256("password-mint::second-secret" || 0x00 || secret)
+ *   key    = PBKDF2-HMAC-SHA256(phraseKey, "password-mint::second-secret" || 0x00 || digest, 1 iteration, 32 bytes)
+ * imported as a new non-extractable PBKDF2 key, which every security level
+ * then uses in place of the phrase key. With no second secret the phrase
+ * key is used unchanged, so existing passwords keep their values.
+ *
+ * The fingerprint shown for a secret comes from its own label, so it says
+ * which keyfile is active without revealing anything about the mixed key.
+ *
+ * Recovery code: 20 random bytes (160 bits) in RFC 4648 base32, then four
+ * check characters (the first 20 bits of SHA-256 over the label and the
+ * bytes), in groups of four: XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-CCCC.
+ */
+
+import { stringToBytes } from './normalize.mjs';
+import { getSubtle, pbkdf2Bits } from './kdf.mjs';
+import { toBase32, fromBase32 } from './base32.mjs';
+
+const SECOND_SECRET_LABEL = 'password-mint::second-secret';
+const FINGERPRINT_LABEL = 'password-mint::second-secret-fingerprint';
+const RECOVERY_CODE_LABEL = 'password-mint::recovery-code';
+
+// Digits that base32 leaves out read as the letters they resemble
+const BASE32_LOOKALIKES = { 0: 'O', 1: 'I', 8: 'B' };
+
+export const RECOVERY_CODE_BYTES = 20;
+
+// Largest keyfile the page reads; the whole file is hashed in memory
+export const KEYFILE_MAX_BYTES = 16 * 1024 * 1024;
+
+function concatBytes(...parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+async function labelledDigest(label, bytes) {
+    const digest = await getSubtle().digest('SHA-256', concatBytes(stringToBytes(label), new Uint8Array([0]), bytes));
+    return new Uint8Array(digest);
+}
+
+/**
+ * Check that a value can be a second secret.
+ *
+ * @param {*} secret - Value to check
+ * @returns {Uint8Array|null} - The secret, or null when none is set
+ */
+export function normalizeSecondSecret(secret) {
+    if (secret === undefined || secret === null) return null;
+    if (!(secret instanceof Uint8Array)) {
+        throw new Error('The second secret must be bytes (a keyfile or a recovery code).');
+    }
+    if (!secret.length) {
+        throw new Error('The keyfile is empty.');
+    }
+    return secret;
+}
+
+/**
+ * Mix a second secret into a phrase key.
+ *
+ * @param {CryptoKey} phraseKey - From importMasterPhrase() or resolvePhraseKey()
+ * @param {Uint8Array} [secret] - Keyfile bytes or a decoded recovery code
+ * @returns {Promise<CryptoKey>} - The phrase key itself without a secret, else a new non-extractable PBKDF2 key
+ */
+export async function mixSecondSecret(phraseKey, secret) {
+    const bytes = normalizeSecondSecret(secret);
+    if (!bytes) return phraseKey;
+
+    const digest = await labelledDigest(SECOND_SECRET_LABEL, bytes);
+    const salt = concatBytes(stringToBytes(SECOND_SECRET_LABEL), new Uint8Array([0]), digest);
+    const mixed = await pbkdf2Bits(phraseKey, salt, 1, 32);
+
+    return getSubtle().importKey('raw', mixed, 'PBKDF2', false, ['deriveBits']);
+}
+
+/**
+ * Short fingerprint of a second secret, to show which one is active.
+ *
+ * @param {Uint8Array} secret - Keyfile bytes or a decoded recovery code
+ * @returns {Promise<string>} - Eight hex digits in two groups, e.g. "3fa2-91c0"
+ */
+export async function secondSecretFingerprint(secret) {
+    const bytes = normalizeSecondSecret(secret);
+    if (!bytes) {
+        throw new Error('No second secret is set.');
+    }
+
+    const digest = await labelledDigest(FINGERPRINT_LABEL, bytes);
+    const hex = Array.from(digest.subarray(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+    return hex.slice(0, 4) + '-' + hex.slice(4);
+}
+
+async function recoveryCheck(bytes) {
+    return toBase32(await labelledDigest(RECOVERY_CODE_LABEL, bytes)).slice(0, 4);
+}
+
+/**
+ * Write a recovery code for secret bytes.
+ *
+ * @param {Uint8Array} bytes - RECOVERY_CODE_BYTES bytes
+ * @returns {Promise<string>} - Grouped code with its check characters
+ */
+export async function formatRecoveryCode(bytes) {
+    if (!(bytes instanceof Uint8Array) || bytes.length !== RECOVERY_CODE_BYTES) {
+        throw new Error('A recovery code holds ' + RECOVERY_CODE_BYTES + ' bytes.');
+    }
+    const text = toBase32(bytes) + await recoveryCheck(bytes);
+    return text.match(/.{4}/g).join('-');
+}
+
+/**
+ * Generate a new random recovery code.
+ *
+ * @returns {Promise<{code: string, secret: Uint8Array}>} - The code to write down and the secret it stands for
+ */
+export async function generateRecoveryCode() {
+    const secret = globalThis.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_BYTES));
+    return { code: await formatRecoveryCode(secret), secret };
+}
+
+/**
+ * Read a recovery code back into its secret.
+ *
+ * Case, spaces and dashes are ignored, and 0, 1 and 8 read as O, I and B.
+ *
+ * @param {string} code - Code as typed
+ * @returns {Promise<Uint8Array>} - The secret bytes
+ */
+export async function parseRecoveryCode(code) {
+    const text = String(code || '')
+        .toUpperCase()
+        .replace(/[\s-]+/g, '')
+        .replace(/[018]/g, char => BASE32_LOOKALIKES[char]);
+
+    const length = RECOVERY_CODE_BYTES * 8 / 5 + 4;
+    if (text.length !== length || /[^A-Z2-7]/.test(text)) {
+        throw new Error('A recovery code has ' + length + ' letters and digits, in groups of four.');
+    }
+
+    const secret = fromBase32(text.slice(0, -4));
+    if (await recoveryCheck(secret) !== text.slice(-4)) {
+        throw new Error('This recovery code has a typo: its check characters do not match.');
+    }
+    return secret;
+}
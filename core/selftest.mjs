@@ -0,0 +1,652 @@
+/**
+ * Password Mint Core - Known-Answer Self-Test
+ *
+ * Every password a user owns depends on normalizeSite, hardenPhrase and
+ * generatePasswordFromBytes never changing behavior. These vectors were
+ * recorded from the original web page and must never be edited to make a
+ * failing run pass: a failure means derivation drifted (a code change or a
+ * WebCrypto quirk), and generating in that state would hand out wrong passwords.
+ *
+ * Vectors without an `algorithm` exercise the default (v1). Each newer
+ * algorithm version has its own vectors, frozen when it was released, and
+ * so does each output format (and the passphrase word list), each extra
+ * field kind, the phrase fingerprint, the keyfile mixing and recovery code
+ * format, the recovery kit share format, and each site normalization version
+ * (and the Public Suffix List snapshot and bundled site aliases v2 uses).
+ * The full suite also checks that a batch export derives the same password.
+ * The memory-hard KDFs are checked against their RFC test vectors and, in
+ * the full suite, through derivePassword with small costs.
+ *
+ * Note: several hardened phrases below contain the text "undefined". That
+ * comes from a signed right shift in hardenPhrase's suffix step. It is part
+ * of the v1 behavior that existing passwords depend on, so it is frozen here.
+ */
+
+import { normalizeSite, hardenPhrase, stringToBytes } from './normalize.mjs';
+import { generatePasswordFromBytes } from './generate.mjs';
+import { ALGORITHMS } from './algorithms.mjs';
+import { EFF_LARGE_WORDLIST } from './wordlist.mjs';
+import { generatePassphraseFromBytes } from './passphrase.mjs';
+import { generateFormatFromBytes } from './formats.mjs';
+import { generateFieldFromBytes, normalizeQuestion } from './fields.mjs';
+import { fingerprintFromBytes, derivePhraseFingerprint } from './fingerprint.mjs';
+import { derivePassword } from './derive.mjs';
+import { resolveSiteAlias } from './aliases.mjs';
+import { normalizePolicy, getSitePolicy } from './policies.mjs';
+import { importPhraseKey, importMasterPhrase } from './kdf.mjs';
+import { secondSecretFingerprint, formatRecoveryCode, parseRecoveryCode } from './second-secret.mjs';
+import { createRecoveryKit, combineRecoveryShares } from './recovery-kit.mjs';
+import { parseBatch, deriveBatch } from './batch.mjs';
+import { blake2b } from './blake2b.mjs';
+import { argon2id } from './argon2.mjs';
+import { scrypt } from './scrypt.mjs';
+
+const ALL_SETS = { upper: true, lower: true, digits: true, symbols: true, excludeAmbiguous: true };
+
+// Custom symbols, exclusions and minimum counts, so every custom charset field is covered
+const CUSTOM_SETS = { upper: true, lower: true, digits: true, symbols: true, excludeAmbiguous: true, symbolChars: '!@#%^~', excludeChars: 'xyz', minCounts: { digits: 2, symbols: 3 } };
+
+// Policy with custom symbols and a per-class cap, so the capped pool path is covered
+const BANK_POLICY = normalizePolicy({ minLength: 8, maxLength: 12, symbols: '!@#', required: ['digits', 'symbols'], maxCounts: { digits: 1 }, rules: ['no-leading-digit'] });
+
+// Every positional rule, so the swap that enforces them is covered
+const POSITION_POLICY = normalizePolicy({ rules: ['no-leading-digit', 'no-leading-symbol', 'no-trailing-symbol'] });
+
+/**
+ * Full derivation vectors: derivePassword() inputs → expected output.
+ * Vectors marked `quick` run on every page load; the rest only in the full suite.
+ */
+export const SELF_TEST_VECTORS = Object.freeze([
+    {
+        name: 'default options',
+        quick: true,
+        input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'github', password: 'KXTMH6T=25Qw.t*y' }
+    },
+    {
+        name: 'URL input normalizes to the same site',
+        input: { phrase: 'purple elephant dances tuesday', site: 'https://www.GitHub.com/login', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'github', password: 'KXTMH6T=25Qw.t*y' }
+    },
+    {
+        name: 'phrase case/spacing and version 2',
+        input: { phrase: 'Purple  Elephant dances TUESDAY ', site: 'github.com', version: '2', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'github', password: '6G5zm6_2sUnF_%=q' }
+    },
+    {
+        name: 'compound TLD, length 20',
+        input: { phrase: 'correct horse battery staple', site: 'amazon.co.uk', version: '1', length: 20, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'amazon', password: 'pjGNVPF3CroKSen*bxG*' }
+    },
+    {
+        name: 'no symbols, length 12',
+        quick: true,
+        input: { phrase: 'correct horse battery staple', site: 'mail.yahoo.com', version: '1', length: 12, charsets: { upper: true, lower: true, digits: true, symbols: false, excludeAmbiguous: true }, securityLevel: 'standard' },
+        expected: { normalizedSite: 'yahoo', password: 'oR34q3H3tq5a' }
+    },
+    {
+        name: 'high level, length 64 (byte wrap-around)',
+        input: { phrase: 'single', site: 'bank', version: '1', length: 64, charsets: ALL_SETS, securityLevel: 'high' },
+        expected: { normalizedSite: 'bank', password: '7M*!o8e7!*xP=rr@pX@T!hzZ*PxUYz*TU!ceE#78HTEeX*pXP*fxMvhc#Xx.Z=PT' }
+    },
+    {
+        name: 'ambiguous characters allowed',
+        input: { phrase: 'my iphone purchase in india', site: 'netflix', version: '1', length: 32, charsets: { upper: true, lower: true, digits: true, symbols: true, excludeAmbiguous: false }, securityLevel: 'standard' },
+        expected: { normalizedSite: 'netflix', password: 'jAb2f#V=eHy7xoX6@ig@y%XUyWTqp0P#' }
+    },
+    {
+        name: 'digits only',
+        input: { phrase: 'coffee sunset mountain bicycle', site: 'example.com.tr', version: '1', length: 12, charsets: { upper: false, lower: false, digits: true, symbols: false, excludeAmbiguous: true }, securityLevel: 'standard' },
+        expected: { normalizedSite: 'example.com', password: '678432944636' }
+    },
+    {
+        name: 'no digits, version 9999',
+        input: { phrase: 'keyboard river thirteen clouds', site: 'foo.github.io', version: '9999', length: 16, charsets: { upper: true, lower: true, digits: false, symbols: true, excludeAmbiguous: true }, securityLevel: 'standard' },
+        expected: { normalizedSite: 'foo.github', password: '?Ce%AsX#XbxBsW#j' }
+    },
+    {
+        name: 'URL with port/query/fragment, no lowercase, high level',
+        input: { phrase: 'happy penguin eats tacos', site: 'm.facebook.com:8080/path?x#y', version: '1', length: 24, charsets: { upper: true, lower: false, digits: true, symbols: true, excludeAmbiguous: true }, securityLevel: 'high' },
+        expected: { normalizedSite: 'facebook', password: 'PXAZ6M3XQQV@82DYRDU6-GXX' }
+    },
+    {
+        name: 'non-ASCII phrase, length 40',
+        input: { phrase: 'ünïcödé phrase ✓ works', site: 'bbc.co.uk', version: '1', length: 40, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'bbc', password: 'cQXttL=b-.7W?qPMPqe_e6N5xddMc7qc#4YaP.5b' }
+    },
+    {
+        name: 'no uppercase, ambiguous allowed',
+        input: { phrase: 'two words', site: 'localhost', version: '1', length: 16, charsets: { upper: false, lower: true, digits: true, symbols: true, excludeAmbiguous: false }, securityLevel: 'standard' },
+        expected: { normalizedSite: 'localhost', password: 'e2-j__m#_hv3o_=8' }
+    },
+    {
+        name: 'algorithm v2, default options',
+        quick: true,
+        input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard', algorithm: 'v2' },
+        expected: { normalizedSite: 'github', password: '*KRAdcDz@SF2Ymyo' }
+    },
+    {
+        name: 'algorithm v2, no symbols, length 12',
+        input: { phrase: 'correct horse battery staple', site: 'mail.yahoo.com', version: '1', length: 12, charsets: { upper: true, lower: true, digits: true, symbols: false, excludeAmbiguous: true }, securityLevel: 'standard', algorithm: 'v2' },
+        expected: { normalizedSite: 'yahoo', password: 'B33KVmqSZmUZ' }
+    },
+    {
+        name: 'algorithm v2, high level, length 64 (HKDF extension)',
+        input: { phrase: 'single', site: 'bank', version: '1', length: 64, charsets: ALL_SETS, securityLevel: 'high', algorithm: 'v2' },
+        expected: { normalizedSite: 'bank', password: '8o$owK4egGjjcD37q@.CC6QEN=R8NfMJ9jy=-z5a8S#y7kVwUeMNmx%4np+-u!ai' }
+    },
+    {
+        name: 'scrypt level, 8 MiB',
+        input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'scrypt', kdfCosts: { memoryMiB: 8, timeCost: 1 } },
+        expected: { normalizedSite: 'github', password: '_HYGF3xegc6QY7th' }
+    },
+    {
+        name: 'argon2id level, 8 MiB',
+        input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'argon2id', kdfCosts: { memoryMiB: 8, timeCost: 1 } },
+        expected: { normalizedSite: 'github', password: 'wQaV?8.u!jdrp4hj' }
+    },
+    {
+        name: 'scrypt level, p = 2, algorithm v2',
+        input: { phrase: 'correct horse battery staple', site: 'amazon.co.uk', version: '3', length: 20, charsets: ALL_SETS, securityLevel: 'scrypt', kdfCosts: { memoryMiB: 8, timeCost: 2 }, algorithm: 'v2' },
+        expected: { normalizedSite: 'amazon', password: 'c5Z*X8MsA.b@@pFH6zM3' }
+    },
+    {
+        name: 'argon2id level, t = 2, algorithm v2',
+        input: { phrase: 'correct horse battery staple', site: 'amazon.co.uk', version: '3', length: 20, charsets: ALL_SETS, securityLevel: 'argon2id', kdfCosts: { memoryMiB: 8, timeCost: 2 }, algorithm: 'v2' },
+        expected: { normalizedSite: 'amazon', password: 'y6QMhp!G6ZQEs9.#CgLS' }
+    },
+    {
+        name: 'site policy: symbols !@#, at most 1 digit',
+        input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '1', length: 12, charsets: ALL_SETS, securityLevel: 'standard', policy: BANK_POLICY },
+        expected: { normalizedSite: 'mybank', password: '#tXHN7UHXezq' }
+    },
+    {
+        name: 'site policy: symbols !@#, at most 1 digit, algorithm v2',
+        input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '1', length: 12, charsets: ALL_SETS, securityLevel: 'standard', algorithm: 'v2', policy: BANK_POLICY },
+        expected: { normalizedSite: 'mybank', password: 'dAsbse#NLgP4' }
+    },
+    {
+        name: 'site policy: positional rules enforced by a swap',
+        input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '1', length: 12, charsets: ALL_SETS, securityLevel: 'standard', policy: POSITION_POLICY },
+        expected: { normalizedSite: 'mybank', password: 'TtXCX7o+=-#j' }
+    },
+    {
+        name: 'site policy: positional rules enforced by a swap, algorithm v2',
+        input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '2', length: 12, charsets: ALL_SETS, securityLevel: 'standard', algorithm: 'v2', policy: POSITION_POLICY },
+        expected: { normalizedSite: 'mybank', password: 'pM%VXU4o+#i4' }
+    },
+    {
+        // Bundled rules are opt-in: without them a site keeps its original password
+        name: 'site with bundled rules, not turned on',
+        input: { phrase: 'correct horse battery staple', site: 'chase.com', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard', policy: getSitePolicy('chase') || undefined },
+        expected: { normalizedSite: 'chase', password: '8yF3Ghk9G9uYRKA_' }
+    },
+    {
+        name: 'custom symbols, exclusions and minimum counts',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', length: 14, charsets: CUSTOM_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'example', password: 'WA98^crN@Z~8@q' }
+    },
+    {
+        name: 'custom symbols, exclusions and minimum counts, algorithm v2',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', length: 14, charsets: CUSTOM_SETS, securityLevel: 'standard', algorithm: 'v2' },
+        expected: { normalizedSite: 'example', password: 'j#F8PT~7^9D#b^' }
+    },
+    {
+        name: 'passphrase, default options',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', format: 'passphrase' },
+        expected: { normalizedSite: 'example', password: 'aloft-unbraided-dingy-snowman-regally-egomaniac' }
+    },
+    {
+        name: 'passphrase, 5 words, title case, digit and symbol, algorithm v2',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', algorithm: 'v2', format: 'passphrase', passphrase: { words: 5, separator: '.', capitalize: 'title', digit: true, symbol: true } },
+        expected: { normalizedSite: 'example', password: 'Tumble.Retold8.Overstep.Matador+.Twenty' }
+    },
+    {
+        name: 'passphrase, at least 24 characters, high level',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'high', format: 'passphrase', passphrase: { length: 24 } },
+        expected: { normalizedSite: 'example', password: 'borrowing-sincerity-twilight' }
+    },
+    {
+        name: 'PIN, 6 digits',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', format: 'pin' },
+        expected: { normalizedSite: 'example', password: '074624' }
+    },
+    {
+        name: 'hex key, 64 characters',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', format: 'hex' },
+        expected: { normalizedSite: 'example', password: 'c6838675ceed69be4563eea202f118dbf41ea5347ce6d5b979448946f3822a63' }
+    },
+    {
+        name: 'pronounceable, length 12',
+        input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', length: 12, securityLevel: 'standard', format: 'pronounceable' },
+        expected: { normalizedSite: 'example', password: 'goderoharadi' }
+    },
+    {
+        name: 'site normalization v2, length 40',
+        input: { phrase: 'ünïcödé phrase ✓ works', site: 'https://news.bbc.co.uk/sport', normalization: 'v2', version: '1', length: 40, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'bbc.co.uk', password: 'f5#*GG!.=5Da-Fg%fNHLaXDg@*yi=TTKRN?x%4%-' }
+    },
+    {
+        name: 'site normalization v2, same site text as v1',
+        input: { phrase: 'two words', site: 'localhost', normalization: 'v2', version: '1', length: 16, charsets: { upper: false, lower: true, digits: true, symbols: true, excludeAmbiguous: false }, securityLevel: 'standard' },
+        expected: { normalizedSite: 'localhost', password: 'y2t+8eik2edm*ps.' }
+    },
+    {
+        name: 'site normalization v2, bundled alias',
+        input: { phrase: 'correct horse battery staple', site: 'https://outlook.live.com/mail/', normalization: 'v2', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'microsoft.com', password: '9z2%SMTQsrEES-nK' }
+    },
+    {
+        name: 'empty account keeps the original salt',
+        input: { phrase: 'purple elephant dances tuesday', site: 'github', account: '  ', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'github', password: 'KXTMH6T=25Qw.t*y' }
+    },
+    {
+        name: 'account',
+        input: { phrase: 'purple elephant dances tuesday', site: 'github', account: ' Me@Work.example ', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'github', password: '-n_s-irDN9%Suj#%' }
+    },
+    {
+        name: 'identity',
+        input: { phrase: 'purple elephant dances tuesday', site: 'github', identity: ' Work ', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'github', password: 'bC-?7N%5@eD+YzCQ' }
+    },
+    {
+        name: 'extra fields',
+        input: {
+            phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard',
+            fields: [{ kind: 'username' }, { kind: 'answer', question: 'Mother\u2019s  maiden name?' }, { kind: 'answer', question: 'first pet', version: '2' }]
+        },
+        expected: {
+            normalizedSite: 'github',
+            password: 'KXTMH6T=25Qw.t*y',
+            fields: ['hulkrecord54', 'unlocking jailbird enquirer savanna', 'rural crispy ceramics gurgling']
+        }
+    },
+    {
+        name: 'keyfile',
+        quick: true,
+        input: { phrase: 'purple elephant dances tuesday', secondSecret: stringToBytes('keyfile contents'), site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+        expected: { normalizedSite: 'github', password: '@3qUQX5D++DUm*%N' }
+    }
+]);
+
+// Component vectors: cheap, so they always run (no key derivation involved)
+const HARDEN_PHRASE_VECTORS = [
+    ['purple elephant dances tuesday', 'PURPLE ELEPHANT dances tuesday@undefinedundefined'],
+    ['  My iPhone  purchase in INDIA  ', 'my iphone PURCHASE in INDIA$2undefined'],
+    ['single', 'Single*undefined!'],
+    ['correct horse battery staple', 'correct horse BATTERY staple#8&'],
+    ['ünïcödé phrase ✓ works', 'ÜNÏCÖDÉ phrase ✓ WORKS%undefinedundefined'],
+    ['a b c d e f g h', 'a B c d e F g h^2$']
+];
+
+const NORMALIZE_SITE_VECTORS = [
+    ['Yahoo', 'yahoo'],
+    ['https://www.yahoo.com/mail', 'yahoo'],
+    ['mail.yahoo.com', 'yahoo'],
+    ['m.facebook.com:8080/path?x#y', 'facebook'],
+    ['amazon.co.uk', 'amazon'],
+    ['foo.github.io', 'foo.github'],
+    ['example.com.tr', 'example.com'],
+    ['192.168.1.1', '192.168.1.1'],
+    ['.com', '.com'],
+    ['http://LOGIN.Example.ORG/', 'example']
+];
+
+// Normalization v2: registrable domains, Public Suffix List wildcards and
+// exceptions, private suffixes, IDN, IP addresses and plain names
+const NORMALIZE_SITE_V2_VECTORS = [
+    ['https://www.yahoo.com/mail', 'yahoo.com'],
+    ['news.bbc.co.uk', 'bbc.co.uk'],
+    ['foo.github.io', 'foo.github.io'],
+    ['github.io', 'github.io'],
+    ['example.com.tr', 'example.com.tr'],
+    ['a.b.ck', 'a.b.ck'],
+    ['www.ck', 'www.ck'],
+    ['x.city.kobe.jp', 'city.kobe.jp'],
+    ['user@mail.Bücher.de:8080', 'xn--bcher-kva.de'],
+    ['日本語。jp', 'xn--wgv71a119e.jp'],
+    ['http://192.168.001.1:8080/', '192.168.1.1'],
+    ['http://[2001:DB8:0:0:1:0:0:1]/', '[2001:db8::1:0:0:1]'],
+    ['localhost:3000', 'localhost'],
+    ['GitHub', 'github'],
+    ['My  Bank', 'my bank']
+];
+
+// Site aliases: bundled groups (v2 only), user aliases and overrides
+const SITE_ALIAS_VECTORS = [
+    ['https://outlook.live.com/mail/', 'v2', null, 'microsoft.com'],
+    ['amazon.co.uk', 'v2', null, 'amazon.com'],
+    ['mail.google.com', 'v2', null, 'google.com'],
+    ['icloud.com', 'v1', null, 'icloud'],
+    ['amazon.co.uk', 'v2', { 'amazon.co.uk': null }, 'amazon.co.uk'],
+    ['Gmail.com', 'v1', { gmail: 'google' }, 'google'],
+    ['my.work.example', 'v2', { 'work.example': 'hotmail.com' }, 'microsoft.com']
+];
+
+// Fixed input bytes: byte i = (i * 37 + 11) mod 256
+const PATTERN_BYTES = Uint8Array.from({ length: 64 }, (_, i) => (i * 37 + 11) & 255);
+
+const BYTE_MAPPING_VECTORS = [
+    [16, ALL_SETS, '4Ji#QGH@kjB!.6hJ'],
+    [64, { upper: true, lower: true, digits: true, symbols: false, excludeAmbiguous: false }, 'mWeO6Wqme4uqS06KauuiySWEiSO6iWGyK2qMKGCaqeem2AqSmuEyuiuaC4EqAKya'],
+    [12, { upper: false, lower: false, digits: true, symbols: false, excludeAmbiguous: true }, '686842442862'],
+    [16, CUSTOM_SETS, '!#vcJtY2^aEG86pJ']
+];
+
+// Algorithm v2 over the same bytes; length 64 needs the HKDF extension
+const V2_BYTE_MAPPING_VECTORS = [
+    [64, ALL_SETS, 'b#_7#9d#!hkj-L-Jg2oQ%p%HZh8zGogY#M-UU@%A=iv.f6JBNDP@9YNhLn*i!!4Q']
+];
+
+// Passphrases over the same bytes; 20 words needs the HKDF extension
+const PASSPHRASE_MAPPING_VECTORS = [
+    [{}, 'gigolo-steam-dubbed-relapsing-respect-citadel'],
+    [{ words: 20, separator: ' ', capitalize: 'title', digit: true, symbol: true }, 'Gigolo Steam Dubbed Relapsing Respect Citadel Pastel% Overtly Agreeably Kindling Tiger8 Try Flaky Small Sinless Defiance Reappear Brim Niece Water'],
+    [{ length: 40, separator: '', capitalize: 'upper', digit: true }, 'GIGOLO6STEAMDUBBEDRELAPSINGRESPECTCITADEL']
+];
+
+// Character formats over the same bytes; hex 128 needs the HKDF extension
+const FORMAT_MAPPING_VECTORS = [
+    ['pin', 6, '420242'],
+    ['hex', 128, '0a4e82c60a4e82c60a4e82c60a4e82c617521e53f8a828e80b4bd8922d5338fa96cd391ffaa44dba3c90fc75b2788e1b72969653353de2ab17392d9721236491'],
+    ['base32', 32, 'Q2EOYCMWAKU6IS4GQ2EOYCMWAKU6IS4G'],
+    ['pronounceable', 16, 'zirihibepihezine']
+];
+
+// Extra fields over the same bytes, and how questions are normalized
+const FIELD_MAPPING_VECTORS = [
+    ['username', 'affairrerun02'],
+    ['answer', 'gills stencil dupe remedy']
+];
+
+const NORMALIZE_QUESTION_VECTORS = [
+    [' Mother\u2019s  Maiden NAME ? ', 'mother\'s maiden name'],
+    ['City of birth', 'city of birth']
+];
+
+// Phrase fingerprints as "words hue cells": over the same bytes (always), and
+// from phrases through scrypt (full suite only), where spacing and case don't matter
+const FINGERPRINT_MAPPING = 'gigolo steam 220 0111010001001000010001110';
+const FINGERPRINT_VECTORS = [
+    [' Purple elephant DANCES tuesday', 'cubicle lecturer 53 0111001110011101101111011']
+];
+
+// Second secrets: the recovery code for the first 20 pattern bytes and the
+// fingerprints shown for a keyfile and that code
+const RECOVERY_CODE_MAPPING = 'BMYF-K6U7-YTUQ-4M2Y-PWRM-P3AR-GZNY-BJOK-BMPT';
+const SECOND_SECRET_FINGERPRINTS = [
+    ['keyfile contents', 'd321-2e48'],
+    [RECOVERY_CODE_MAPPING, 'cfc3-251f']
+];
+
+// Recovery kit: a 2-of-3 kit split with the pattern bytes as its "random"
+// bytes (share 1 as words, share 3 as a code), and the phrase those rebuild
+const RECOVERY_KIT_INPUT = { phrase: ' Purple elephant DANCES tuesday', threshold: 2, shares: 3, checkWords: 'cubicle lecturer' };
+const RECOVERY_KIT_SHARES = [
+    'absentee bash anaconda agent buffed gradually habitat footwork glazing haziness clapped cilantro easel botch disobey decade ' +
+        'landlady greyhound hypnosis agile cadillac animating guiding boneless collision constrain hypnotize avoid backhand mom emote absinthe',
+    'PM-SHARE:AEBAGCZQKUW3XEOAR2SCOVLAEWCOFXJXINLCVBP2TIYQUWBKRT6YMPZNJUY4NYUCBJ6S4QNMQBCEE'
+];
+const RECOVERY_KIT_PHRASE = 'purple elephant dances tuesday';
+
+function describeFingerprint(fingerprint) {
+    return fingerprint.words.join(' ') + ' ' + fingerprint.hue + ' ' + fingerprint.cells.map(cell => cell ? 1 : 0).join('');
+}
+
+// Dice rolls → EFF word; a changed list would change every passphrase
+const WORDLIST_VECTORS = [
+    ['11111', 'abacus'],
+    ['21111', 'coping'],
+    ['31111', 'flaccid'],
+    ['41111', 'mastiff'],
+    ['51111', 'reforest'],
+    ['61111', 'subduing'],
+    ['66666', 'zoom']
+];
+
+function diceIndex(rolls) {
+    return rolls.split('').reduce((index, roll) => index * 6 + Number(roll) - 1, 0);
+}
+
+function fill(length, value) {
+    return new Uint8Array(length).fill(value);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// KDF primitives against their published vectors; `quick` ones run on every page load
+const KDF_VECTORS = [
+    {
+        name: 'BLAKE2b-512 "abc" (RFC 7693)',
+        quick: true,
+        compute: async () => blake2b(new Uint8Array([0x61, 0x62, 0x63])),
+        expected: 'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+    },
+    {
+        name: 'Argon2id (RFC 9106 section 5.3)',
+        quick: true,
+        compute: async () => argon2id({
+            password: fill(32, 1),
+            salt: fill(16, 2),
+            secret: fill(8, 3),
+            associatedData: fill(12, 4),
+            memoryKiB: 32,
+            passes: 3,
+            parallelism: 4,
+            tagLength: 32
+        }),
+        expected: '0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659'
+    },
+    {
+        name: 'scrypt "password"/"NaCl" (RFC 7914 section 12)',
+        compute: async () => scrypt(await importPhraseKey('password'), new Uint8Array([0x4e, 0x61, 0x43, 0x6c]), 1024, 8, 16, 64),
+        expected: 'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+    }
+];
+
+/**
+ * Run the known-answer self-test.
+ *
+ * @param {Object} [options] - Test options
+ * @param {boolean} [options.quick=false] - Only run the derivation and KDF vectors marked `quick`
+ * @returns {Promise<{passed: boolean, total: number, failures: Array<{name: string, expected: string, actual: string}>}>} - Summary
+ */
+export async function runSelfTest(options) {
+    const quick = Boolean(options && options.quick);
+    const failures = [];
+    let total = 0;
+
+    function check(name, expected, compute) {
+        let actual;
+        try {
+            actual = compute();
+        } catch (error) {
+            actual = 'Error: ' + error.message;
+        }
+        total++;
+        if (expected !== actual) {
+            failures.push({ name, expected, actual });
+        }
+    }
+
+    for (const [input, expected] of HARDEN_PHRASE_VECTORS) {
+        check('hardenPhrase ' + JSON.stringify(input), expected, () => hardenPhrase(input));
+    }
+
+    for (const [input, expected] of NORMALIZE_SITE_VECTORS) {
+        check('normalizeSite ' + JSON.stringify(input), expected, () => normalizeSite(input));
+    }
+    for (const [input, expected] of NORMALIZE_SITE_V2_VECTORS) {
+        check('normalizeSite v2 ' + JSON.stringify(input), expected, () => normalizeSite(input, 'v2'));
+    }
+    for (const [input, normalization, aliases, expected] of SITE_ALIAS_VECTORS) {
+        check('resolveSiteAlias ' + normalization + ' ' + JSON.stringify(input) + (aliases ? ' ' + JSON.stringify(aliases) : ''), expected,
+            () => resolveSiteAlias(normalizeSite(input, normalization), normalization, aliases || undefined).site);
+    }
+
+    for (const [length, charsets, expected] of BYTE_MAPPING_VECTORS) {
+        check('generatePasswordFromBytes length ' + length, expected, () => generatePasswordFromBytes(PATTERN_BYTES, length, charsets));
+    }
+
+    for (const [length, charsets, expected] of V2_BYTE_MAPPING_VECTORS) {
+        let actual;
+        try {
+            actual = await ALGORITHMS.v2.generate(PATTERN_BYTES, length, charsets);
+        } catch (error) {
+            actual = 'Error: ' + error.message;
+        }
+        check('algorithm v2 byte mapping length ' + length, expected, () => actual);
+    }
+
+    check('EFF word list size', 7776, () => EFF_LARGE_WORDLIST.length);
+    for (const [rolls, expected] of WORDLIST_VECTORS) {
+        check('EFF word list ' + rolls, expected, () => EFF_LARGE_WORDLIST[diceIndex(rolls)]);
+    }
+
+    for (const [passphraseOptions, expected] of PASSPHRASE_MAPPING_VECTORS) {
+        let actual;
+        try {
+            actual = (await generatePassphraseFromBytes(PATTERN_BYTES, passphraseOptions)).passphrase;
+        } catch (error) {
+            actual = 'Error: ' + error.message;
+        }
+        check('passphrase byte mapping ' + JSON.stringify(passphraseOptions), expected, () => actual);
+    }
+
+    for (const [format, length, expected] of FORMAT_MAPPING_VECTORS) {
+        let actual;
+        try {
+            actual = await generateFormatFromBytes(PATTERN_BYTES, format, length);
+        } catch (error) {
+            actual = 'Error: ' + error.message;
+        }
+        check(format + ' byte mapping length ' + length, expected, () => actual);
+    }
+
+    for (const [kind, expected] of FIELD_MAPPING_VECTORS) {
+        let actual;
+        try {
+            actual = await generateFieldFromBytes(PATTERN_BYTES, kind);
+        } catch (error) {
+            actual = 'Error: ' + error.message;
+        }
+        check(kind + ' field byte mapping', expected, () => actual);
+    }
+    for (const [input, expected] of NORMALIZE_QUESTION_VECTORS) {
+        check('normalizeQuestion ' + JSON.stringify(input), expected, () => normalizeQuestion(input));
+    }
+
+    let fingerprint;
+    try {
+        fingerprint = describeFingerprint(await fingerprintFromBytes(PATTERN_BYTES));
+    } catch (error) {
+        fingerprint = 'Error: ' + error.message;
+    }
+    check('fingerprint byte mapping', FINGERPRINT_MAPPING, () => fingerprint);
+    for (const [phrase, expected] of quick ? [] : FINGERPRINT_VECTORS) {
+        try {
+            fingerprint = describeFingerprint(await derivePhraseFingerprint(phrase));
+        } catch (error) {
+            fingerprint = 'Error: ' + error.message;
+        }
+        check('derivePhraseFingerprint ' + JSON.stringify(phrase), expected, () => fingerprint);
+    }
+
+    let recoveryCode;
+    try {
+        recoveryCode = await formatRecoveryCode(PATTERN_BYTES.subarray(0, 20));
+    } catch (error) {
+        recoveryCode = 'Error: ' + error.message;
+    }
+    check('recovery code byte mapping', RECOVERY_CODE_MAPPING, () => recoveryCode);
+    for (const [input, expected] of SECOND_SECRET_FINGERPRINTS) {
+        let actual;
+        try {
+            const secret = input === RECOVERY_CODE_MAPPING ? await parseRecoveryCode(input) : stringToBytes(input);
+            actual = await secondSecretFingerprint(secret);
+        } catch (error) {
+            actual = 'Error: ' + error.message;
+        }
+        check('secondSecretFingerprint ' + JSON.stringify(input), expected, () => actual);
+    }
+
+    let kitShares;
+    try {
+        let offset = 0;
+        const random = length => PATTERN_BYTES.slice(offset, offset += length);
+        const kit = await createRecoveryKit(RECOVERY_KIT_INPUT.phrase, Object.assign({ random }, RECOVERY_KIT_INPUT));
+        kitShares = [kit.shares[0].words, kit.shares[2].code];
+    } catch (error) {
+        kitShares = ['Error: ' + error.message, 'Error: ' + error.message];
+    }
+    check('recovery kit share 1 words', RECOVERY_KIT_SHARES[0], () => kitShares[0]);
+    check('recovery kit share 3 code', RECOVERY_KIT_SHARES[1], () => kitShares[1]);
+    let rebuilt;
+    try {
+        rebuilt = (await combineRecoveryShares(RECOVERY_KIT_SHARES.slice().reverse())).phrase;
+    } catch (error) {
+        rebuilt = 'Error: ' + error.message;
+    }
+    check('combineRecoveryShares', RECOVERY_KIT_PHRASE, () => rebuilt);
+
+    for (const vector of KDF_VECTORS) {
+        if (quick && !vector.quick) continue;
+
+        let actual;
+        try {
+            actual = toHex(await vector.compute());
+        } catch (error) {
+            actual = 'Error: ' + error.message;
+        }
+        check(vector.name, vector.expected, () => actual);
+    }
+
+    for (const vector of SELF_TEST_VECTORS) {
+        if (quick && !vector.quick) continue;
+
+        let actual;
+        try {
+            actual = await derivePassword(vector.input);
+        } catch (error) {
+            actual = { normalizedSite: '', password: 'Error: ' + error.message };
+        }
+        check('derivePassword "' + vector.name + '" (site)', vector.expected.normalizedSite, () => actual.normalizedSite);
+        check('derivePassword "' + vector.name + '"', vector.expected.password, () => actual.password);
+        (vector.expected.fields || []).forEach((expected, index) => {
+            check('derivePassword "' + vector.name + '" (field ' + (index + 1) + ')', expected, () => actual.fields[index].value);
+        });
+    }
+
+    // A remembered phrase is kept as a key; it must derive the same password
+    const keyVector = SELF_TEST_VECTORS[0];
+    let fromKey;
+    try {
+        const phraseKey = await importMasterPhrase(keyVector.input.phrase);
+        fromKey = (await derivePassword(Object.assign({}, keyVector.input, { phrase: phraseKey }))).password;
+    } catch (error) {
+        fromKey = 'Error: ' + error.message;
+    }
+    check('derivePassword "' + keyVector.name + '" (from importMasterPhrase key)', keyVector.expected.password, () => fromKey);
+
+    // A batch export must hold the passwords the page gives one site at a time
+    if (!quick) {
+        let fromBatch;
+        try {
+            const batch = await deriveBatch({
+                phrase: keyVector.input.phrase,
+                entries: parseBatch('site,version\n' + keyVector.input.site + ',' + keyVector.input.version),
+                defaults: keyVector.input
+            });
+            fromBatch = batch.entries.length ? batch.entries[0].password : 'Error: ' + batch.errors[0].message;
+        } catch (error) {
+            fromBatch = 'Error: ' + error.message;
+        }
+        check('deriveBatch "' + keyVector.name + '"', keyVector.expected.password, () => fromBatch);
+    }
+
+    return { passed: failures.length === 0, total, failures };
+}
@@ -0,0 +1,123 @@
+/**
+ * Password Mint Core - Shamir Secret Sharing
+ *
+ * Splits bytes into N shares so that any M of them rebuild the bytes and
+ * fewer than M reveal nothing about them. Each byte is shared on its own:
+ * it is the constant term of a random polynomial of degree M - 1 over
+ * GF(2^8) (the AES field, x^8 + x^4 + x^3 + x + 1), and share x holds the
+ * polynomial's value at x for every byte. Rebuilding evaluates the
+ * Lagrange interpolation of M shares at zero.
+ *
+ * The field arithmetic is the one every Shamir implementation over bytes
+ * uses, so recovery kits depend on it never changing (see recovery-kit.mjs).
+ */
+
+export const SHAMIR_MAX_SHARES = 255;
+
+// Log and antilog tables for GF(2^8), generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+(function buildTables() {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        EXP[i] = value;
+        EXP[i + 255] = value;
+        LOG[value] = i;
+        // Multiply by 3 (x + 1), reducing by the field polynomial
+        value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+    }
+})();
+
+function multiply(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+    if (b === 0) throw new Error('Division by zero in GF(256).');
+    if (a === 0) return 0;
+    return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shares.
+ *
+ * @param {Uint8Array} secret - Bytes to share
+ * @param {number} threshold - Shares needed to rebuild the secret (M, at least 2)
+ * @param {number} count - Shares to make (N, from M to 255)
+ * @param {function(number): Uint8Array} [random] - Returns that many random bytes; defaults to crypto.getRandomValues()
+ * @returns {{x: number, y: Uint8Array}[]} - Shares 1 to N, each as long as the secret
+ */
+export function splitSecret(secret, threshold, count, random) {
+    if (!Number.isInteger(threshold) || threshold < 2) {
+        throw new Error('At least 2 shares must be needed to rebuild the secret.');
+    }
+    if (!Number.isInteger(count) || count < threshold || count > SHAMIR_MAX_SHARES) {
+        throw new Error('Make between ' + threshold + ' and ' + SHAMIR_MAX_SHARES + ' shares.');
+    }
+    const randomBytes = random || (length => globalThis.crypto.getRandomValues(new Uint8Array(length)));
+
+    const shares = [];
+    for (let x = 1; x <= count; x++) {
+        shares.push({ x, y: new Uint8Array(secret.length) });
+    }
+
+    // Coefficients 1 to M - 1 for every byte, drawn in one go
+    const coefficients = randomBytes(secret.length * (threshold - 1));
+    if (!(coefficients instanceof Uint8Array) || coefficients.length !== secret.length * (threshold - 1)) {
+        throw new Error('The random source returned the wrong number of bytes.');
+    }
+
+    for (let i = 0; i < secret.length; i++) {
+        const row = coefficients.subarray(i * (threshold - 1), (i + 1) * (threshold - 1));
+        for (const share of shares) {
+            // Horner's rule, highest coefficient first
+            let value = 0;
+            for (let j = row.length - 1; j >= 0; j--) {
+                value = multiply(value, share.x) ^ row[j];
+            }
+            share.y[i] = multiply(value, share.x) ^ secret[i];
+        }
+    }
+    return shares;
+}
+
+/**
+ * Rebuild a secret from shares. Given fewer shares than were needed, this
+ * returns unrelated bytes rather than failing, so callers check the result.
+ *
+ * @param {{x: number, y: Uint8Array}[]} shares - Distinct shares of one secret
+ * @returns {Uint8Array} - The secret
+ */
+export function combineShares(shares) {
+    if (!shares.length) {
+        throw new Error('No shares to combine.');
+    }
+    const length = shares[0].y.length;
+    const xs = shares.map(share => share.x);
+    if (new Set(xs).size !== xs.length || xs.some(x => !Number.isInteger(x) || x < 1 || x > SHAMIR_MAX_SHARES)) {
+        throw new Error('Shares must have distinct numbers from 1 to ' + SHAMIR_MAX_SHARES + '.');
+    }
+    if (shares.some(share => share.y.length !== length)) {
+        throw new Error('Shares of one secret all have the same length.');
+    }
+
+    // Lagrange basis at zero: prod x_j / (x_j - x_i), where minus is xor
+    const weights = xs.map((xi, i) => {
+        let weight = 1;
+        xs.forEach((xj, j) => {
+            if (j !== i) weight = multiply(weight, divide(xj, xj ^ xi));
+        });
+        return weight;
+    });
+
+    const secret = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        let value = 0;
+        shares.forEach((share, j) => {
+            value ^= multiply(share.y[i], weights[j]);
+        });
+        secret[i] = value;
+    }
+    return secret;
+}
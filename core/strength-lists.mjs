@@ -0,0 +1,227 @@
+/**
+ * Password Mint Core - Strength Estimator Lists
+ *
+ * What an attacker tries first, most likely first: common passwords, common
+ * English words, first names, and well-known phrases, quotes and lyrics.
+ * All lowercase, as hardenPhrase() makes every phrase; phrases are written
+ * without punctuation, words separated by single spaces.
+ *
+ * These only feed the strength estimate (strength.mjs) and never a
+ * password, so unlike the word list they can be extended freely.
+ */
+
+const list = text => Object.freeze(text.trim().split(/\s+/));
+
+export const COMMON_PASSWORDS = list(`
+123456 password 123456789 12345678 12345 qwerty 1234567 111111 1234567890 123123
+abc123 1234 password1 iloveyou 1q2w3e4r 000000 qwerty123 zaq12wsx dragon sunshine
+princess letmein 654321 monkey 27653 1qaz2wsx 123321 qwertyuiop superman asdfghjkl
+trustno1 football baseball welcome shadow master michael jordan 666666 121212
+passw0rd 1q2w3e 7777777 123qwe 1234qwer qazwsx hello charlie donald mustang
+access batman ninja starwars freedom whatever qwerty1 solo flower loveme
+hottie lovely 555555 admin 888888 987654321 1qazxsw2 password123 welcome1 login
+abc1234 aa123456 google 123abc 159753 killer pokemon ashley bailey passport
+michelle daniel jessica pepper thomas hunter buster soccer harley hockey
+ranger andrew tigger joshua robert matthew jennifer maggie cheese 112233
+computer corvette amanda summer secret love 11111111 asdfgh zxcvbnm biteme
+banana chocolate orange internet cookie yankees dallas austin thunder taylor
+matrix william chelsea purple diamond nicole 123654 samsung 1111 liverpool
+arsenal blink182 anthony 696969 money 131313 iloveu
+angel angels qwe123 q1w2e3r4 q1w2e3r4t5 asdf1234 zxcvbn 0987654321 99999999
+00000000 12341234 147258369 147258 789456 789456123 741852963 5201314
+princess1 sunshine1 football1 monkey1 charlie1 shadow1 dragon1 baseball1
+superman1 iloveyou1 letmein1 master1 abcdef abcd1234 test test123 testing
+guest root toor administrator changeme default pass pass123 secret123 admin123
+demo user user123 temp temp123 mypassword mypass letmein123 hello123 love123
+jesus christ blessed heaven lucky rockyou babygirl butterfly friends family
+forever soccer1 jordan23 michael1 ginger snoopy buddy tiger dolphin
+`);
+
+export const COMMON_WORDS = list(`
+the of and to a in is you that it he was for on are as with his they i
+at be this have from or one had by word but not what all were we when your can
+said there use an each which she do how their if will up other about out many
+then them these so some her would make like him into time has look two more
+write go see number no way could people my than first water been call who oil
+its now find long down day did get come made may part over new sound take only
+little work know place year live me back give most very after thing our just
+name good sentence man think say great where help through much before line
+right too mean old any same tell boy follow came want show also around form
+three small set put end does another well large must big even such because
+turn here why ask went men read need land different home us move try kind hand
+picture again change off play spell air away animal house point page letter
+mother answer found study still learn should america world high every near add
+food between own below country plant last school father keep tree never start
+city earth eye light thought head under story saw left few while along might
+close something seem next hard open example begin life always those both paper
+together got group often run important until children side feet car mile night
+walk white sea began grow took river four carry state once book hear stop
+without second later miss idea enough eat face watch far indian really almost
+let above girl sometimes mountain cut young talk soon list song being leave
+family body music color stand sun question fish area mark dog horse birds
+problem complete room knew since ever piece told usually friends easy heard
+order red door sure become top ship across today during short better best
+however low hours black products happened whole measure remember early waves
+reached listen wind rock space covered fast several hold himself toward five
+step morning passed vowel true hundred against pattern numeral table north slowly
+money map farm pulled draw voice seen cold cried plan notice south sing war
+ground fall king town unit figure certain field travel wood fire upon love
+happy sweet dream heart baby star moon blue green yellow pink summer winter
+spring autumn rain snow cat bird flower garden beach ocean sky cloud coffee
+tea pizza chocolate cake apple banana orange cherry lemon secret magic power
+dragon angel devil god jesus lord hope faith peace freedom forever always
+never nothing everything someone nobody password master admin login welcome
+hello goodbye yes okay please thank thanks sorry friend lover kiss
+`);
+
+export const COMMON_NAMES = list(`
+james mary john patricia robert jennifer michael linda william elizabeth david
+barbara richard susan joseph jessica thomas sarah charles karen christopher
+nancy daniel lisa matthew betty anthony margaret mark sandra donald ashley
+steven kimberly paul emily andrew donna joshua michelle kenneth dorothy kevin
+carol brian amanda george melissa edward deborah ronald stephanie timothy
+rebecca jason sharon jeffrey laura ryan cynthia jacob kathleen gary amy nicholas
+shirley eric angela jonathan helen stephen anna larry brenda justin pamela scott
+nicole brandon emma benjamin samantha samuel katherine gregory christine frank
+debra alexander rachel raymond catherine patrick carolyn jack janet dennis ruth
+jerry maria tyler heather aaron diane jose virginia adam julie henry joyce
+nathan victoria douglas olivia zachary kelly peter christina kyle lauren walter
+joan ethan evelyn jeremy judith harold megan keith cheryl christian andrea
+roger hannah noah martha gerald jacqueline carl frances terry gloria sean ann
+austin teresa arthur kathryn lawrence sara jesse janice dylan jean bryan alice
+joe madison jordan doris billy abigail bruce julia albert judy willie grace
+gabriel denise logan amber alan marilyn juan beverly wayne danielle roy theresa
+ralph sophia randy marie eugene diana vincent brittany russell natalie elijah
+isabella louis charlotte bobby rose philip alexis johnny kayla max charlie
+bella lucy molly daisy buddy rocky bailey luna oliver leo milo sam ben tom
+`);
+
+export const COMMON_PHRASES = Object.freeze(`
+correct horse battery staple
+to be or not to be
+the quick brown fox jumps over the lazy dog
+may the force be with you
+i love you
+hello world
+let it be
+all you need is love
+never gonna give you up
+never gonna let you down
+we will rock you
+we are the champions
+open sesame
+in god we trust
+live laugh love
+carpe diem
+just do it
+the cake is a lie
+winter is coming
+valar morghulis
+i am the walrus
+hey jude
+yellow submarine
+twinkle twinkle little star
+mary had a little lamb
+happy birthday to you
+once upon a time
+somewhere over the rainbow
+is this the real life is this just fantasy
+hakuna matata
+what is love baby dont hurt me
+dont stop believing
+dont stop believin
+stairway to heaven
+imagine all the people
+my heart will go on
+another brick in the wall
+smells like teen spirit
+sweet child o mine
+livin on a prayer
+eye of the tiger
+under pressure
+highway to hell
+hotel california
+purple rain
+i will always love you
+let it go
+shake it off
+baby shark doo doo doo
+the answer is 42
+life the universe and everything
+i think therefore i am
+knowledge is power
+veni vidi vici
+e pluribus unum
+god save the queen
+keep calm and carry on
+trust no one
+the truth is out there
+elementary my dear watson
+houston we have a problem
+one small step for man
+four score and seven years ago
+i have a dream
+luke i am your father
+no i am your father
+ill be back
+heres johnny
+theres no place like home
+you shall not pass
+my precious
+one ring to rule them all
+expecto patronum
+wingardium leviosa
+beam me up scotty
+live long and prosper
+to infinity and beyond
+hasta la vista baby
+show me the money
+you cant handle the truth
+why so serious
+i see dead people
+may the odds be ever in your favor
+all work and no play makes jack a dull boy
+the early bird catches the worm
+an apple a day keeps the doctor away
+better late than never
+actions speak louder than words
+practice makes perfect
+time is money
+love is love
+love conquers all
+all is well
+hakuna matata it means no worries
+god is good
+jesus loves me
+the lord is my shepherd
+for god so loved the world
+let there be light
+seize the day
+you only live once
+no pain no gain
+what doesnt kill you makes you stronger
+the sky is the limit
+follow your dreams
+dream big
+nothing else matters
+enter sandman
+here comes the sun
+good vibes only
+i want to break free
+the show must go on
+another one bites the dust
+we will we will rock you
+take on me
+wake me up before you go go
+sweet caroline
+country roads take me home
+born to be wild
+rolling in the deep
+hello from the other side
+call me maybe
+gangnam style
+all star
+somebody once told me
+i like big butts
+never gonna say goodbye
+`.trim().split('\n'));
@@ -0,0 +1,617 @@
+/**
+ * Password Mint Core - Master Phrase Strength
+ *
+ * hardenPhrase() makes typing forgiving but adds nothing an attacker has to
+ * guess, so a weak phrase stays weak. This estimates, fully offline, how
+ * many guesses a phrase would take, in the manner of zxcvbn: the phrase is
+ * covered by the cheapest sequence of patterns (words from the bundled
+ * lists, plain or l33t or reversed; keyboard walks; sequences; repeats,
+ * including words used more than once; years and dates; anything else
+ * guessed character by character), and the guesses of the patterns multiply.
+ *
+ * The estimate runs on the phrase as hardenPhrase() normalizes it, since
+ * capitals and extra spaces never change a password. It is deliberately
+ * pessimistic where it has to choose: the bundled lists are short, so any
+ * run of letters shaped like a word counts as one of an attacker's
+ * hundred thousand dictionary words, listed or not. Only the first
+ * MAX_ESTIMATE_LENGTH characters are estimated, so the cost stays flat
+ * however much is typed; the rest counts for nothing.
+ *
+ * Crack time is guesses divided by the rate of a well-funded offline
+ * attacker (about a hundred current GPUs) against one leaked password
+ * derived at the selected security level.
+ */
+
+import { EFF_LARGE_WORDLIST } from './wordlist.mjs';
+import { COMMON_PASSWORDS, COMMON_WORDS, COMMON_NAMES, COMMON_PHRASES } from './strength-lists.mjs';
+
+// Offline attacker: PBKDF2-HMAC-SHA256 iterations, and memory-hard
+// MiB × passes, per second
+export const ATTACKER_RATES = Object.freeze({
+    pbkdf2IterationsPerSecond: 1e12,
+    memoryHardMiBPerSecond: 4e6
+});
+
+// Crack times a phrase may fall under before it counts as weak
+export const STRENGTH_THRESHOLDS = Object.freeze({
+    day: Object.freeze({ id: 'day', label: '1 day', seconds: 86400 }),
+    year: Object.freeze({ id: 'year', label: '1 year', seconds: 31557600 }),
+    century: Object.freeze({ id: 'century', label: '100 years', seconds: 3155760000 })
+});
+
+export const DEFAULT_STRENGTH_THRESHOLD = 'year';
+
+// Years are guessed outward from here; fixed so estimates never drift
+const REFERENCE_YEAR = 2025;
+const MIN_YEAR_SPACE = 20;
+
+// Characters estimated; far beyond any threshold, and the search grows
+// quadratically with length
+const MAX_ESTIMATE_LENGTH = 128;
+
+// Past this many guesses, the patterns found are not worth a warning
+const WARN_BELOW_GUESSES = 1e12;
+
+// An attacker's full dictionary, for word-shaped letters missing from the lists
+const UNKNOWN_WORD_GUESSES = 100000;
+
+// Floors from zxcvbn: a single-character match is never cheaper than 10
+// guesses, a longer one never cheaper than 50
+const MIN_SINGLE_CHAR_GUESSES = 10;
+const MIN_MULTI_CHAR_GUESSES = 50;
+
+const WARNINGS = Object.freeze({
+    password: 'This is a common password.',
+    phrase: 'This is a well-known phrase, quote or lyric.',
+    keyboard: 'Keyboard patterns like qwerty or 1qaz are easy to guess.',
+    sequence: 'Sequences like abc or 6543 are easy to guess.',
+    repeat: 'Repeats like aaa, abcabc or a word used twice are easy to guess.',
+    date: 'Dates and years are easy to guess.',
+    word: 'A few common words are easy to guess.',
+    name: 'Names are easy to guess.'
+});
+
+const L33T_TABLE = Object.freeze({
+    '4': ['a'], '@': ['a'], '8': ['b'], '3': ['e'], '6': ['g'], '9': ['g'],
+    '1': ['i', 'l'], '!': ['i'], '0': ['o'], '5': ['s'], '$': ['s'], '7': ['t'], '+': ['t']
+});
+
+// Unshifted US QWERTY rows and their horizontal offsets (keys are staggered)
+const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./'];
+const KEYBOARD_OFFSETS = [0, 0.5, 0.75, 1.25];
+
+/**
+ * Build a ranked dictionary: each entry maps to the guesses to reach it
+ * and the list it came from. An entry keeps its best rank.
+ */
+function buildDictionary() {
+    const dictionary = new Map();
+    const add = (word, guesses, kind) => {
+        const existing = dictionary.get(word);
+        if (!existing || existing.guesses > guesses) {
+            dictionary.set(word, { guesses, kind });
+        }
+    };
+
+    COMMON_PASSWORDS.forEach((word, index) => add(word, index + 1, 'password'));
+    COMMON_WORDS.forEach((word, index) => add(word, index + 1, 'word'));
+    COMMON_NAMES.forEach((word, index) => add(word, index + 1, 'name'));
+    // A diceware attacker tries every word of the list alike
+    EFF_LARGE_WORDLIST.forEach(word => add(word, EFF_LARGE_WORDLIST.length, 'word'));
+    COMMON_PHRASES.forEach((phrase, index) => {
+        add(phrase, index + 1, 'phrase');
+        add(phrase.replace(/ /g, ''), index + 1, 'phrase');
+    });
+
+    return dictionary;
+}
+
+let dictionaryCache = null;
+let longestEntry = 0;
+
+function getDictionary() {
+    if (!dictionaryCache) {
+        dictionaryCache = buildDictionary();
+        for (const word of dictionaryCache.keys()) {
+            longestEntry = Math.max(longestEntry, word.length);
+        }
+    }
+    return dictionaryCache;
+}
+
+/**
+ * Build the keyboard adjacency map: two keys are neighbours on the same row
+ * one apart, or on adjacent rows less than one key width apart.
+ */
+function buildKeyboardGraph() {
+    const positions = new Map();
+    KEYBOARD_ROWS.forEach((row, rowIndex) => {
+        Array.from(row).forEach((key, column) => {
+            positions.set(key, { row: rowIndex, x: column + KEYBOARD_OFFSETS[rowIndex] });
+        });
+    });
+
+    const graph = new Map();
+    for (const [key, a] of positions) {
+        const neighbours = new Map();
+        for (const [other, b] of positions) {
+            if (other === key) continue;
+            const dx = b.x - a.x;
+            if ((b.row === a.row && Math.abs(dx) === 1) || (Math.abs(b.row - a.row) === 1 && Math.abs(dx) < 1)) {
+                // The direction of the step, for counting turns
+                neighbours.set(other, (b.row - a.row) + ':' + Math.sign(dx));
+            }
+        }
+        graph.set(key, neighbours);
+    }
+    return graph;
+}
+
+const KEYBOARD_GRAPH = buildKeyboardGraph();
+const KEYBOARD_STARTS = KEYBOARD_GRAPH.size;
+const KEYBOARD_DEGREE = Array.from(KEYBOARD_GRAPH.values())
+    .reduce((sum, neighbours) => sum + neighbours.size, 0) / KEYBOARD_GRAPH.size;
+
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return result;
+}
+
+/**
+ * Guesses to try one character by brute force.
+ */
+function charGuesses(char) {
+    if (char === ' ') return 1; // hardenPhrase() leaves single spaces only
+    if (/[a-z]/.test(char)) return 26;
+    if (/[0-9]/.test(char)) return 10;
+    if (/[\x21-\x7e]/.test(char)) return 33;
+    return 100;
+}
+
+function floorGuesses(guesses, token) {
+    return Math.max(guesses, token.length === 1 ? MIN_SINGLE_CHAR_GUESSES : MIN_MULTI_CHAR_GUESSES);
+}
+
+/**
+ * Undo l33t substitutions in every combination (1 may be i or l).
+ *
+ * @returns {{word: string, substitutions: number}[]} - Variants with at least one substitution
+ */
+function unl33t(token) {
+    let variants = [{ word: '', substitutions: 0 }];
+    for (const char of token) {
+        const replacements = L33T_TABLE[char];
+        const next = [];
+        for (const variant of variants) {
+            next.push({ word: variant.word + char, substitutions: variant.substitutions });
+            for (const replacement of replacements || []) {
+                next.push({ word: variant.word + replacement, substitutions: variant.substitutions + 1 });
+            }
+        }
+        // Long tokens full of digits would explode; the plain spelling always stays first
+        variants = next.slice(0, 16);
+    }
+    return variants.filter(variant => variant.substitutions > 0);
+}
+
+/**
+ * Find dictionary matches: plain, l33t and reversed.
+ */
+function dictionaryMatches(text) {
+    const dictionary = getDictionary();
+    const matches = [];
+
+    for (let i = 0; i < text.length; i++) {
+        for (let j = i + 1; j <= Math.min(text.length, i + longestEntry); j++) {
+            const token = text.slice(i, j);
+            if (token.trim() !== token) continue;
+
+            const entry = dictionary.get(token);
+            if (entry) {
+                matches.push({ pattern: entry.kind, i, j, guesses: entry.guesses });
+            }
+
+            const reversed = Array.from(token).reverse().join('');
+            const reversedEntry = reversed !== token && dictionary.get(reversed);
+            if (reversedEntry) {
+                matches.push({ pattern: reversedEntry.kind, i, j, guesses: reversedEntry.guesses * 2 });
+            }
+
+            if (/[^a-z ]/.test(token)) {
+                for (const variant of unl33t(token)) {
+                    const l33tEntry = dictionary.get(variant.word);
+                    if (l33tEntry) {
+                        matches.push({ pattern: l33tEntry.kind, i, j, guesses: l33tEntry.guesses * Math.pow(2, variant.substitutions) });
+                    }
+                }
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Find runs of letters shaped like a word (a vowel, no more than three
+ * consonants in a row), which a large dictionary would likely hold.
+ */
+function wordShapeMatches(text) {
+    const matches = [];
+    const runs = /[a-z]{3,}/g;
+    let run;
+    while ((run = runs.exec(text)) !== null) {
+        const token = run[0];
+        if (/[aeiouy]/.test(token) && !/[^aeiouy]{4}/.test(token)) {
+            matches.push({
+                pattern: 'word',
+                i: run.index,
+                j: run.index + token.length,
+                guesses: Math.min(Math.pow(26, token.length), UNKNOWN_WORD_GUESSES)
+            });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Find keyboard walks of three or more keys.
+ */
+function keyboardMatches(text) {
+    const matches = [];
+    for (let i = 0; i < text.length; i++) {
+        let turns = 0;
+        let direction = null;
+        let j = i + 1;
+        while (j < text.length) {
+            const neighbours = KEYBOARD_GRAPH.get(text[j - 1]);
+            const step = neighbours && neighbours.get(text[j]);
+            if (!step) break;
+            if (step !== direction) turns++;
+            direction = step;
+            j++;
+
+            const length = j - i;
+            if (length >= 3) {
+                // zxcvbn: every walk of up to this length and number of turns
+                let guesses = 0;
+                for (let l = 2; l <= length; l++) {
+                    for (let t = 1; t <= Math.min(turns, l - 1); t++) {
+                        guesses += binomial(l - 1, t - 1) * KEYBOARD_STARTS * Math.pow(KEYBOARD_DEGREE, t);
+                    }
+                }
+                matches.push({ pattern: 'keyboard', i, j, guesses });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Find runs like abc, 9876 or aceg (constant step of 1 or 2).
+ */
+function sequenceMatches(text) {
+    const matches = [];
+    for (let i = 0; i + 2 < text.length; i++) {
+        const delta = text.charCodeAt(i + 1) - text.charCodeAt(i);
+        if (delta === 0 || Math.abs(delta) > 2) continue;
+
+        const letters = /[a-z]/.test(text[i]);
+        const alphabet = letters ? /[a-z]/ : /[0-9]/.test(text[i]) ? /[0-9]/ : null;
+        if (!alphabet) continue;
+        // Obvious starting points are tried first
+        const base = 'az019'.includes(text[i]) ? 4 : letters ? 26 : 10;
+
+        let j = i + 1;
+        while (j < text.length && alphabet.test(text[j]) && text.charCodeAt(j) - text.charCodeAt(j - 1) === delta) {
+            j++;
+            if (j - i >= 3) {
+                matches.push({ pattern: 'sequence', i, j, guesses: base * (j - i) * (delta < 0 ? 2 : 1) * Math.abs(delta) });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Find a unit repeated two or more times (aaa, abcabc).
+ */
+function repeatMatches(text) {
+    const matches = [];
+    for (let i = 0; i < text.length; i++) {
+        for (let unit = 1; unit <= 8 && i + unit * 2 <= text.length; unit++) {
+            const base = text.slice(i, i + unit);
+            let count = 1;
+            while (text.slice(i + unit * count, i + unit * (count + 1)) === base) {
+                count++;
+            }
+            if (count < 2 || (unit === 1 && count < 3)) continue;
+            matches.push({ pattern: 'repeat', i, j: i + unit * count, guesses: estimateGuesses(base).guesses * count });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Find repeated words: a run of one or more words repeated back to back
+ * (correct correct correct, or correct horse correct horse), which costs
+ * the run once times the count, and any word used earlier in the phrase,
+ * which costs only the choice of which earlier word.
+ */
+function wordRepeatMatches(text) {
+    const words = [];
+    const wordPattern = /[^ ]+/g;
+    let word;
+    while ((word = wordPattern.exec(text)) !== null) {
+        words.push({ token: word[0], i: word.index, j: word.index + word[0].length });
+    }
+    const sameRun = (a, b, unit) => {
+        for (let k = 0; k < unit; k++) {
+            if (words[a + k].token !== words[b + k].token) return false;
+        }
+        return true;
+    };
+
+    const matches = [];
+    const seen = new Set();
+    for (let start = 0; start < words.length; start++) {
+        if (seen.has(words[start].token)) {
+            matches.push({ pattern: 'repeat', i: words[start].i, j: words[start].j, guesses: seen.size });
+        }
+        seen.add(words[start].token);
+
+        for (let unit = 1; start + unit * 2 <= words.length; unit++) {
+            // A unit that is itself a repeat is covered by its smaller unit
+            let periodic = false;
+            for (let part = 1; part < unit && !periodic; part++) {
+                periodic = unit % part === 0 && sameRun(start, start + part, unit - part);
+            }
+            if (periodic) continue;
+
+            let count = 1;
+            while (start + unit * (count + 1) <= words.length && sameRun(start, start + unit * count, unit)) {
+                count++;
+            }
+            if (count < 2) continue;
+            const first = text.slice(words[start].i, words[start + unit - 1].j);
+            matches.push({
+                pattern: 'repeat',
+                i: words[start].i,
+                j: words[start + unit * count - 1].j,
+                guesses: estimateGuesses(first).guesses * count
+            });
+        }
+    }
+    return matches;
+}
+
+function yearGuesses(year) {
+    return Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+}
+
+/**
+ * Find years (1900-2099) and all-digit dates (ddmmyy, ddmmyyyy, yyyymmdd...).
+ */
+function dateMatches(text) {
+    const matches = [];
+    const digitRuns = /\d+/g;
+    let run;
+    while ((run = digitRuns.exec(text)) !== null) {
+        const digits = run[0];
+        for (let i = 0; i < digits.length; i++) {
+            for (const length of [4, 6, 8]) {
+                const token = digits.slice(i, i + length);
+                if (token.length !== length) continue;
+                const start = run.index + i;
+
+                if (length === 4 && /^(19|20)\d\d$/.test(token)) {
+                    matches.push({ pattern: 'date', i: start, j: start + 4, guesses: yearGuesses(Number(token)) });
+                } else if (length > 4 && looksLikeDate(token)) {
+                    const year = length === 8 ? Number(/^(19|20)/.test(token) ? token.slice(0, 4) : token.slice(4)) : null;
+                    const years = year ? yearGuesses(year) : 100;
+                    matches.push({ pattern: 'date', i: start, j: start + length, guesses: 365 * years * 3 });
+                }
+            }
+        }
+    }
+    return matches;
+}
+
+function looksLikeDate(token) {
+    const pairs = token.length === 8 && /^(19|20)/.test(token)
+        ? [token.slice(4, 6), token.slice(6, 8)]
+        : [token.slice(0, 2), token.slice(2, 4)];
+    const [a, b] = pairs.map(Number);
+    return a >= 1 && b >= 1 && ((a <= 12 && b <= 31) || (a <= 31 && b <= 12));
+}
+
+/**
+ * Cover text with the cheapest sequence of matches; characters no match
+ * covers are guessed one by one.
+ *
+ * @returns {{guesses: number, matches: Object[]}}
+ */
+function minimumGuesses(text, matches) {
+    const n = text.length;
+    const best = new Array(n + 1).fill(null);
+    best[0] = { guesses: 1, previous: null, match: null };
+
+    const byEnd = new Map();
+    for (const match of matches) {
+        if (!byEnd.has(match.j)) byEnd.set(match.j, []);
+        byEnd.get(match.j).push(match);
+    }
+
+    for (let j = 1; j <= n; j++) {
+        const char = text[j - 1];
+        let choice = {
+            guesses: best[j - 1].guesses * charGuesses(char),
+            previous: j - 1,
+            match: { pattern: char === ' ' ? 'separator' : 'bruteforce', i: j - 1, j, guesses: charGuesses(char) }
+        };
+        for (const match of byEnd.get(j) || []) {
+            const guesses = best[match.i].guesses * floorGuesses(match.guesses, text.slice(match.i, match.j));
+            if (guesses < choice.guesses) {
+                choice = { guesses, previous: match.i, match };
+            }
+        }
+        best[j] = choice;
+    }
+
+    const sequence = [];
+    for (let j = n; j > 0; j = best[j].previous) {
+        sequence.unshift(best[j].match);
+    }
+    return { guesses: best[n].guesses, matches: sequence };
+}
+
+/**
+ * Find every pattern in text and cover it with the cheapest of them.
+ */
+function estimateGuesses(text) {
+    const found = [].concat(
+        dictionaryMatches(text),
+        wordShapeMatches(text),
+        keyboardMatches(text),
+        sequenceMatches(text),
+        repeatMatches(text),
+        wordRepeatMatches(text),
+        dateMatches(text)
+    );
+    return minimumGuesses(text, found);
+}
+
+/**
+ * Merge neighbouring single-character guesses into runs, for display.
+ */
+function mergeMatches(text, matches) {
+    const merged = [];
+    for (const match of matches) {
+        const last = merged[merged.length - 1];
+        if (match.pattern === 'bruteforce' && last && last.pattern === 'bruteforce' && last.j === match.i) {
+            last.j = match.j;
+            last.guesses *= match.guesses;
+        } else if (match.pattern !== 'separator') {
+            merged.push(Object.assign({}, match));
+        }
+    }
+    return merged.map(match => ({ pattern: match.pattern, token: text.slice(match.i, match.j), guesses: match.guesses }));
+}
+
+/**
+ * Normalize a phrase the way hardenPhrase() does before hardening it.
+ * Apostrophes are dropped too, so "I'll be back" meets its listed phrase.
+ */
+function normalizeForEstimate(phrase) {
+    return phrase.trim().toLowerCase().replace(/\s+/g, ' ').replace(/['’]/g, '');
+}
+
+/**
+ * Estimate how many guesses a master phrase would take.
+ *
+ * @param {string} phrase - Raw master phrase
+ * @returns {{guesses: number, guessesLog10: number, matches: Object[], warning: string, suggestions: string[]}} -
+ *   Estimated guesses, the patterns found ({ pattern, token, guesses }), and feedback to show
+ */
+export function estimatePhraseStrength(phrase) {
+    const text = normalizeForEstimate(typeof phrase === 'string' ? phrase : '').slice(0, MAX_ESTIMATE_LENGTH);
+    if (!text) {
+        return { guesses: 1, guessesLog10: 0, matches: [], warning: '', suggestions: ['Use 4 or more random words.'] };
+    }
+
+    const result = estimateGuesses(text);
+    const matches = mergeMatches(text, result.matches);
+
+    // Feedback: the pattern that gives away the most
+    let warning = '';
+    const weakest = result.guesses >= WARN_BELOW_GUESSES ? null : matches
+        .filter(match => match.pattern !== 'bruteforce')
+        .sort((a, b) => b.token.length - a.token.length)[0];
+    if (weakest) {
+        warning = WARNINGS[weakest.pattern] || '';
+    }
+
+    const suggestions = [];
+    // Distinct words: a repeated word adds next to nothing
+    const words = new Set(text.split(' ')).size;
+    if (words < 4) {
+        suggestions.push('Use 4 or more random words.');
+    } else {
+        suggestions.push('Add another word. Uncommon words are better.');
+    }
+    if (warning && matches.length === 1) {
+        suggestions.push('Avoid anything that can be found in a list: common passwords, quotes, lyrics, names.');
+    }
+
+    return {
+        guesses: result.guesses,
+        guessesLog10: Math.log10(result.guesses),
+        matches,
+        warning,
+        suggestions
+    };
+}
+
+/**
+ * Guesses per second of the offline attacker against a security level.
+ *
+ * @param {Object} resolvedLevel - From resolveSecurityLevel()
+ * @returns {number} - Phrase guesses per second
+ */
+export function attackerGuessesPerSecond(resolvedLevel) {
+    if (resolvedLevel.kdf === 'pbkdf2') {
+        return ATTACKER_RATES.pbkdf2IterationsPerSecond / resolvedLevel.iterations;
+    }
+    return ATTACKER_RATES.memoryHardMiBPerSecond / (resolvedLevel.memoryMiB * resolvedLevel.timeCost);
+}
+
+/**
+ * Describe a crack time in words.
+ *
+ * @param {number} seconds - Crack time
+ * @returns {string} - e.g. "less than a second", "3 hours", "centuries"
+ */
+export function formatCrackTime(seconds) {
+    const units = [
+        ['year', 31557600],
+        ['month', 2629800],
+        ['day', 86400],
+        ['hour', 3600],
+        ['minute', 60],
+        ['second', 1]
+    ];
+    if (seconds < 1) return 'less than a second';
+    if (seconds >= 100 * 31557600) return 'centuries';
+
+    for (const [name, size] of units) {
+        if (seconds >= size) {
+            const count = Math.round(seconds / size);
+            return count + ' ' + name + (count === 1 ? '' : 's');
+        }
+    }
+    return 'less than a second';
+}
+
+/**
+ * Assess a master phrase against a security level and a threshold.
+ *
+ * @param {string} phrase - Raw master phrase
+ * @param {Object} resolvedLevel - From resolveSecurityLevel()
+ * @param {string} [threshold='year'] - Key of STRENGTH_THRESHOLDS
+ * @returns {Object} - estimatePhraseStrength() plus crackSeconds, crackTime (in words) and weak
+ */
+export function assessPhrase(phrase, resolvedLevel, threshold = DEFAULT_STRENGTH_THRESHOLD) {
+    if (!Object.prototype.hasOwnProperty.call(STRENGTH_THRESHOLDS, threshold)) {
+        throw new Error('Strength threshold must be one of: ' + Object.keys(STRENGTH_THRESHOLDS).join(', '));
+    }
+
+    const estimate = estimatePhraseStrength(phrase);
+    const crackSeconds = estimate.guesses / attackerGuessesPerSecond(resolvedLevel);
+
+    return Object.assign(estimate, {
+        crackSeconds,
+        crackTime: formatCrackTime(crackSeconds),
+        weak: crackSeconds < STRENGTH_THRESHOLDS[threshold].seconds
+    });
+}
@@ -0,0 +1,204 @@
+/**
+ * Password Mint Core - Password Manager Export
+ *
+ * Writes the results of deriveBatch() in the import formats of password
+ * managers, so a vault can be seeded from Password Mint:
+ *   bitwarden-csv   Bitwarden CSV (login items)
+ *   bitwarden-json  Bitwarden unencrypted JSON export
+ *   keepass-xml     KeePass 2 XML, one group of entries
+ *   1password-csv   CSV with Title, Website, Username, Password and Notes
+ *
+ * Every file holds the passwords in plain text. Each entry's notes record
+ * what derived it (site, version, level and so on), so the password can be
+ * derived again after a rotation. CSV values are always quoted; the notes
+ * also get a quote mark if a spreadsheet would read them as a formula (see
+ * csvValue()).
+ */
+
+import { DEFAULT_FORMAT } from './formats.mjs';
+import { DEFAULT_NORMALIZATION } from './normalize.mjs';
+import { DEFAULT_ALGORITHM } from './algorithms.mjs';
+
+export const EXPORT_FORMATS = Object.freeze({
+    'bitwarden-csv': Object.freeze({
+        id: 'bitwarden-csv',
+        label: 'Bitwarden (CSV)',
+        extension: 'csv',
+        mimeType: 'text/csv'
+    }),
+    'bitwarden-json': Object.freeze({
+        id: 'bitwarden-json',
+        label: 'Bitwarden (JSON)',
+        extension: 'json',
+        mimeType: 'application/json'
+    }),
+    'keepass-xml': Object.freeze({
+        id: 'keepass-xml',
+        label: 'KeePass 2 (XML)',
+        extension: 'xml',
+        mimeType: 'application/xml'
+    }),
+    '1password-csv': Object.freeze({
+        id: '1password-csv',
+        label: '1Password (CSV)',
+        extension: 'csv',
+        mimeType: 'text/csv'
+    })
+});
+
+const GROUP_NAME = 'Password Mint';
+
+/**
+ * Look up an export format.
+ *
+ * @param {string} id - Format id, e.g. "keepass-xml"
+ * @returns {Object} - Registry entry
+ */
+export function getExportFormat(id) {
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, id)) {
+        throw new Error('Export format must be one of: ' + Object.keys(EXPORT_FORMATS).join(', '));
+    }
+    return EXPORT_FORMATS[id];
+}
+
+/**
+ * Describe how an entry was derived, for its notes.
+ *
+ * @param {Object} entry - From deriveBatch()
+ * @returns {string} - e.g. "Password Mint: github, version 2, security level standard"
+ */
+export function describeBatchEntry(entry) {
+    const parts = [entry.site + (entry.aliasOf ? ' (alias of ' + entry.aliasOf + ')' : ''), 'version ' + entry.version];
+    if (entry.account) parts.push('account ' + entry.account);
+    if (entry.identity) parts.push('identity ' + entry.identity);
+    if (entry.format !== DEFAULT_FORMAT) parts.push('format ' + entry.format);
+    parts.push('security level ' + entry.securityLevel +
+        (entry.kdfCosts ? ' (' + entry.kdfCosts.memoryMiB + ' MiB, time cost ' + entry.kdfCosts.timeCost + ')' : ''));
+    if (entry.algorithm !== DEFAULT_ALGORITHM) parts.push('algorithm ' + entry.algorithm);
+    if (entry.normalization !== DEFAULT_NORMALIZATION) parts.push('site names ' + entry.normalization);
+    return 'Password Mint: ' + parts.join(', ');
+}
+
+// Cells starting like this run as formulas when the file is opened in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// A leading ' keeps such a cell text. Only the notes are guarded: the
+// password manager imports the title, address, username and password as
+// they are, so the quote would end up in the vault entry.
+function csvValue(value, guard) {
+    let text = String(value);
+    if (guard && FORMULA_START.test(text)) {
+        text = "'" + text;
+    }
+    return '"' + text.replace(/"/g, '""') + '"';
+}
+
+function csv(rows, notesColumn) {
+    return rows.map(row => row.map((value, column) => csvValue(value, column === notesColumn)).join(',')).join('\r\n') + '\r\n';
+}
+
+// XML 1.0 cannot hold most control characters, even escaped
+function xmlText(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function bitwardenCsv(entries) {
+    const header = ['folder', 'favorite', 'type', 'name', 'notes', 'fields', 'reprompt', 'login_uri', 'login_username', 'login_password', 'login_totp'];
+    return csv([header].concat(entries.map(entry =>
+        ['', '', 'login', entry.title, describeBatchEntry(entry), '', '0', entry.url, entry.account, entry.password, ''])),
+    header.indexOf('notes'));
+}
+
+function bitwardenJson(entries) {
+    return JSON.stringify({
+        encrypted: false,
+        folders: [],
+        items: entries.map(entry => ({
+            type: 1,
+            name: entry.title,
+            notes: describeBatchEntry(entry),
+            favorite: false,
+            reprompt: 0,
+            login: {
+                uris: entry.url ? [{ match: null, uri: entry.url }] : [],
+                username: entry.account || null,
+                password: entry.password,
+                totp: null
+            }
+        }))
+    }, null, 2) + '\n';
+}
+
+function keepassXml(entries, random) {
+    const uuid = () => bytesToBase64(random(16));
+    const string = (key, value, protect) => '\t\t\t\t<String><Key>' + key + '</Key><Value' +
+        (protect ? ' ProtectInMemory="True"' : '') + '>' + xmlText(value) + '</Value></String>';
+
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8" standalone="yes"?>',
+        '<KeePassFile>',
+        '\t<Meta>',
+        '\t\t<Generator>' + GROUP_NAME + '</Generator>',
+        '\t</Meta>',
+        '\t<Root>',
+        '\t\t<Group>',
+        '\t\t\t<UUID>' + uuid() + '</UUID>',
+        '\t\t\t<Name>' + GROUP_NAME + '</Name>'
+    ];
+    for (const entry of entries) {
+        lines.push(
+            '\t\t\t<Entry>',
+            '\t\t\t\t<UUID>' + uuid() + '</UUID>',
+            string('Title', entry.title),
+            string('UserName', entry.account),
+            string('Password', entry.password, true),
+            string('URL', entry.url),
+            string('Notes', describeBatchEntry(entry)),
+            '\t\t\t</Entry>'
+        );
+    }
+    lines.push('\t\t</Group>', '\t</Root>', '</KeePassFile>');
+    return lines.join('\n') + '\n';
+}
+
+function onePasswordCsv(entries) {
+    const header = ['Title', 'Website', 'Username', 'Password', 'Notes'];
+    return csv([header].concat(entries.map(entry =>
+        [entry.title, entry.url, entry.account, entry.password, describeBatchEntry(entry)])),
+    header.indexOf('Notes'));
+}
+
+/**
+ * Write derived entries in a password manager's import format.
+ *
+ * @param {Object[]} entries - The entries of deriveBatch()
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {function(number): Uint8Array} [random] - Returns that many random bytes, for KeePass UUIDs; defaults to crypto.getRandomValues()
+ * @returns {string} - File contents
+ */
+export function exportBatch(entries, format, random) {
+    const id = getExportFormat(format).id;
+    if (!Array.isArray(entries) || !entries.length) {
+        throw new Error('There are no passwords to export.');
+    }
+
+    if (id === 'bitwarden-csv') return bitwardenCsv(entries);
+    if (id === 'bitwarden-json') return bitwardenJson(entries);
+    if (id === 'keepass-xml') {
+        return keepassXml(entries, random || (length => globalThis.crypto.getRandomValues(new Uint8Array(length))));
+    }
+    return onePasswordCsv(entries);
+}
@@ -0,0 +1,57 @@
+/**
+ * Password Mint - Derivation Worker
+ *
+ * Runs the core pipeline off the main thread, so slow security levels do not
+ * freeze the page. app.js starts one worker per job and cancels a job by
+ * terminating its worker: WebCrypto's deriveBits cannot be aborted, and
+ * terminating also frees the memory scrypt and Argon2id allocated.
+ *
+ * Messages in:  { type: 'derive', options } | { type: 'batch', options } | { type: 'fingerprint', options: { phrase } }
+ *               | { type: 'benchmark' }
+ * Messages out: { type: 'ready' }
+ *               { type: 'progress', fraction }
+ *               { type: 'result', result } | { type: 'error', message }
+ */
+
+importScripts('password-mint-core.js');
+
+(function() {
+    'use strict';
+
+    const Core = self.PasswordMintCore;
+
+    self.onmessage = async function(event) {
+        const { type, options } = event.data;
+
+        try {
+            let result;
+            if (type === 'derive') {
+                result = await Core.derivePassword(Object.assign({}, options, {
+                    onProgress: function(fraction) {
+                        self.postMessage({ type: 'progress', fraction: fraction });
+                    }
+                }));
+            } else if (type === 'batch') {
+                result = await Core.deriveBatch(Object.assign({}, options, {
+                    onProgress: function(fraction) {
+                        self.postMessage({ type: 'progress', fraction: fraction });
+                    }
+                }));
+            } else if (type === 'fingerprint') {
+                result = await Core.derivePhraseFingerprint(options.phrase, function(fraction) {
+                    self.postMessage({ type: 'progress', fraction: fraction });
+                });
+            } else if (type === 'benchmark') {
+                result = await Core.measureKdfSpeed();
+            } else {
+                throw new Error('Unknown request: ' + type);
+            }
+            self.postMessage({ type: 'result', result: result });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    };
+
+    // Tells app.js the core loaded; errors before this mean workers are unusable here
+    self.postMessage({ type: 'ready' });
+})();
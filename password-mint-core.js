@@ -0,0 +1,11378 @@
+/**
+ * password-mint-core.js - UMD build of core/index.mjs
+ *
+ * GENERATED by scripts/build-umd.mjs. Do not edit by hand: change
+ * the sources in core/ and run `node scripts/build-umd.mjs`.
+ */
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PasswordMintCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ---- core/config.mjs ----
+    const __core_config = (function () {
+        /**
+         * Password Mint Core - Configuration
+         *
+         * Constants shared by every consumer of the derivation pipeline (web page,
+         * CLI, workers). Changing any value here changes generated passwords.
+         */
+
+        const CONFIG = Object.freeze({
+            SALT_PREFIX: 'password-mint::v1::',
+            ITERATIONS: Object.freeze({
+                standard: 210000,
+                high: 400000
+            }),
+            DERIVED_BYTES: 64,
+            HASH_ALGORITHM: 'SHA-256'
+        });
+
+        // Password length bounds offered by the web form; a site policy may allow
+        // lengths down to policyMin for sites that cap passwords short
+        const LENGTH_RANGE = Object.freeze({
+            min: 12,
+            max: 64,
+            default: 16,
+            policyMin: 4
+        });
+
+        // Character sets
+        // Symbols chosen for maximum compatibility across major sites:
+        // Amazon, Apple, Google, Microsoft, Netflix, Facebook, Instagram, banking sites
+        // Avoided: ~ | \ " ' ` < > [ ] { } ; : , / & ^ (commonly restricted)
+        const CHAR_SETS = Object.freeze({
+            upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+            lower: 'abcdefghijklmnopqrstuvwxyz',
+            digits: '0123456789',
+            symbols: '!@#$%*-_=+.?'  // Safe symbols that work on 95%+ of sites
+        });
+
+        // Ambiguous characters to exclude
+        const AMBIGUOUS_CHARS = 'O0Il1';
+
+        // Policy-problem characters (often rejected by password policies)
+        // Note: Many of these are already excluded from symbols above
+        const PROBLEMATIC_CHARS = '"\' \\`~|<>[]{}:;,/&^()';
+
+        // Default character set toggles (mirrors the defaults of the web form)
+        const DEFAULT_CHARSETS = Object.freeze({
+            upper: true,
+            lower: true,
+            digits: true,
+            symbols: true,
+            excludeAmbiguous: true
+        });
+
+        return Object.freeze({
+            CONFIG,
+            LENGTH_RANGE,
+            CHAR_SETS,
+            AMBIGUOUS_CHARS,
+            PROBLEMATIC_CHARS,
+            DEFAULT_CHARSETS
+        });
+    })();
+
+    // ---- core/psl.mjs ----
+    const __core_psl = (function () {
+        /**
+         * Password Mint Core - Public Suffix List Snapshot
+         *
+         * The Public Suffix List (https://publicsuffix.org/) as of 2023-02-09, ICANN and
+         * private sections, in ASCII. Each group is a top-level domain and a colon,
+         * followed by the longer rules under it without the TLD ("co" after "uk:" is
+         * co.uk; "*" and "!" mark wildcard and exception rules). Generated by
+         * scripts/build-psl.mjs.
+         *
+         * Site normalization v2 depends on every rule here, so this file must never
+         * be edited or refreshed; a newer list would be a new normalization version.
+         *
+         * This Source Code Form is subject to the terms of the Mozilla Public
+         * License, v. 2.0. If a copy of the MPL was not distributed with this
+         * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+         */
+
+        const PUBLIC_SUFFIX_DATE = '2023-02-09';
+
+        const PUBLIC_SUFFIX_RULES = `
+        aaa:
+        aarp:
+        abarth:
+        abb:
+        abbott:
+        abbvie:
+        abc:
+        able:
+        abogado:
+        abudhabi:
+        ac: com drr edu gov mil net org
+        academy: official
+        accenture:
+        accountant:
+        accountants:
+        aco:
+        actor:
+        ad: nom
+        ads:
+        adult:
+        ae: ac blogspot co gov mil net org sch
+        aeg:
+        aero: accident-investigation accident-prevention aerobatic aeroclub aerodrome agents
+            air-surveillance air-traffic-control aircraft airline airport airtraffic ambulance amusement
+            association author ballooning broker caa cargo catering certification championship charter
+            civilaviation club conference consultant consulting control council crew design dgca educator
+            emergency engine engineer entertainment equipment exchange express federation flight fuel
+            gliding government groundhandling group hanggliding homebuilt insurance journal journalist
+            leasing logistics magazine maintenance media microlight modelling navigation parachuting
+            paragliding passenger-association pilot press production recreation repbody res research
+            rotorcraft safety scientist services show skydiving software student trader trading trainer
+            union workinggroup works
+        aetna:
+        af: com edu gov net org
+        afl:
+        africa:
+        ag: co com net nom org
+        agakhan:
+        agency:
+        ai: com net off org uwu
+        aig:
+        airbus:
+        airforce:
+        airtel:
+        akdn:
+        al: blogspot com edu gov mil net org
+        alfaromeo:
+        alibaba:
+        alipay:
+        allfinanz:
+        allstate:
+        ally:
+        alsace:
+        alstom:
+        am: blogspot co com commune neko net nyaa org radio
+        amazon:
+        americanexpress:
+        americanfamily:
+        amex:
+        amfam:
+        amica:
+        amsterdam:
+        analytics:
+        android:
+        anquan:
+        anz:
+        ao: co ed gv it og pb
+        aol:
+        apartments:
+        app: *.beget *.developer *.northflank a.run bookonline clerk clerkstage deta easypanel edgecompute
+            encr fireweb framer hasura loginline messerli netlify noop ondigitalocean onflashdrive platform0
+            privatelink.snowflake run snowflake streamlit telebit typedream vercel web wnext
+        apple:
+        aq:
+        aquarelle:
+        ar: bet blogspot.com com coop edu gob gov int mil musica mutual net org senasa tur
+        arab:
+        aramco:
+        archi:
+        army:
+        arpa: e164 in-addr ip6 iris uri urn
+        art:
+        arte:
+        as: gov
+        asda:
+        asia: cloudns
+        associates:
+        at: *.ex.futurecms *.ex.ortsinfo *.futurecms *.in.futurecms *.kunden.ortsinfo 123webseite 12hp 2ix
+            4lima ac biz blogspot.co co futurehosting futuremailing gv info lima-city myspreadshop or priv
+            sth.ac wien.funkfeuer
+        athleta:
+        attorney:
+        au: act act.edu asn blogspot.com catholic.edu com conf edu gov id info mel.cloudlets.com
+            myspreadshop.com net nsw nsw.edu nt nt.edu org oz qld qld.edu qld.gov sa sa.edu sa.gov
+            schools.nsw.edu tas tas.edu tas.gov vic vic.edu vic.gov wa wa.edu wa.gov
+        auction:
+        audi:
+        audible:
+        audio:
+        auspost:
+        author:
+        auto:
+        autos:
+        avianca:
+        aw: com
+        aws:
+        ax: be cat es eu gg mc us xy
+        axa:
+        az: biz com edu gov info int mil name net org pp pro
+        azure:
+        ba: blogspot com edu gov mil net org rs
+        baby:
+        baidu:
+        banamex:
+        bananarepublic:
+        band:
+        bank:
+        bar:
+        barcelona:
+        barclaycard:
+        barclays:
+        barefoot:
+        bargains:
+        baseball:
+        basketball: aus nz
+        bauhaus:
+        bayern:
+        bb: biz co com edu gov info net org store tv
+        bbc:
+        bbt:
+        bbva:
+        bcg:
+        bcn:
+        bd: *
+        be: *.transurl 123website ac blogspot cloud.interhostsolutions ezproxy.kuleuven myspreadshop
+            webhosting
+        beats:
+        beauty:
+        beer:
+        bentley:
+        berlin:
+        best:
+        bestbuy:
+        bet:
+        bf: gov
+        bg: 0 1 2 3 4 5 6 7 8 9 a b barsy blogspot c d e f g h i j k l m n o p q r s t u v w x y z
+        bh: com edu gov net org
+        bharti:
+        bi: co com edu or org
+        bible:
+        bid:
+        bike:
+        bing:
+        bingo:
+        bio:
+        biz: activetrail cloudns dscloud dyndns for-better for-more for-some for-the jozi mmafan myftp no-ip
+            orx selfip webhop
+        bj: africa agro architectes assur avocats blogspot co com eco econo edu info loisirs money net org
+            ote restaurant resto tourism univ
+        black:
+        blackfriday:
+        blockbuster:
+        blog:
+        bloomberg:
+        blue:
+        bm: com edu gov net org
+        bms:
+        bmw:
+        bn: co com edu gov net org
+        bnpparibas:
+        bo: academia agro arte blog bolivia ciencia com cooperativa democracia deporte ecologia economia edu
+            empresa gob indigena industria info int medicina mil movimiento musica natural net nombre
+            noticias org patria plurinacional politica profesional pueblo revista salud tecnologia tksat
+            transporte tv web wiki
+        boats:
+        boehringer:
+        bofa:
+        bom:
+        bond:
+        boo:
+        book:
+        booking:
+        bosch:
+        bostik:
+        boston:
+        bot:
+        boutique:
+        box:
+        br: *.nom 9guacu abc ac.gov ac.leg adm adv agr aju al.gov al.leg am am.gov am.leg anani ap.gov
+            ap.leg aparecida app arq art ato b ba.gov ba.leg barueri belem bhz bib bio blog blogspot.com bmd
+            boavista bsb campinagrande campinas caxias ce.gov ce.leg cim cng cnt com contagem coop coz cri
+            cuiaba curitiba def des det dev df.gov df.leg ecn eco edu emp enf eng es.gov es.leg esp etc eti
+            far feira flog floripa fm fnd fortal fot foz fst g12 geo ggf go.gov go.leg goiania gov gru imb
+            ind inf jab jampa jdf joinville jor jus leg lel log londrina ma.gov ma.leg macapa maceio manaus
+            maringa mat med mg.gov mg.leg mil morena mp ms.gov ms.leg mt.gov mt.leg mus natal net niteroi
+            not ntr odo ong org osasco pa.gov pa.leg palmas pb.gov pb.leg pe.gov pe.leg pi.gov pi.leg poa
+            ppg pr.gov pr.leg pro psc psi pvh qsl radio rec recife rep ribeirao rio riobranco riopreto
+            rj.gov rj.leg rn.gov rn.leg ro.gov ro.leg rr.gov rr.leg rs.gov rs.leg salvador sampa santamaria
+            santoandre saobernardo saogonca sc.gov sc.leg se.gov se.leg seg simplesite.com sjc slg slz
+            sorocaba sp.gov sp.leg srv taxi tc tec teo the tmp to.gov to.leg trd tur tv udi
+            users.scale.virtualcloud.com vet vix vlog wiki zlg
+        bradesco:
+        bridgestone:
+        broadway:
+        broker:
+        brother:
+        brussels:
+        bs: com edu gov net org we
+        bt: com edu gov net org
+        build:
+        builders: cloudsite
+        business: co
+        buy:
+        buzz:
+        bv:
+        bw: co org
+        by: blogspot.com com gov mediatech mil mycloud of
+        bz: com edu gov gsj net org za
+        bzh:
+        ca: *.awdev ab barsy bc blogspot co gc mb myspreadshop nb nf nl no-ip ns nt nu on pe qc sk yk
+        cab:
+        cafe:
+        cal:
+        call:
+        calvinklein:
+        cam:
+        camera:
+        camp:
+        canon:
+        capetown:
+        capital:
+        capitalone:
+        car:
+        caravan:
+        cards:
+        care:
+        career:
+        careers:
+        cars:
+        casa: ui.nabu
+        case:
+        cash:
+        casino:
+        cat:
+        catering:
+        catholic:
+        cba:
+        cbn:
+        cbre:
+        cbs:
+        cc: cloudns csx fantasyleague ftpaccess game-server instances.spawn myphotos scrapping twmail
+        cd: gov
+        center:
+        ceo:
+        cern:
+        cf: blogspot
+        cfa:
+        cfd:
+        cg:
+        ch: *.firenet *.svc.firenet 123website 12hp 2ix 4lima alp1.ae.flow appengine.flow blogspot dnsking
+            gotdns lima-city linkyard-cloud myspreadshop square7
+        chanel:
+        channel:
+        charity:
+        chase:
+        chat:
+        cheap:
+        chintai:
+        christmas:
+        chrome:
+        church:
+        ci: ac asso co com ed edu fin go gouv int md net nl or org presse xn--aroport-bya
+        cipriani:
+        circle:
+        cisco:
+        citadel:
+        citi:
+        citic:
+        city:
+        cityeats:
+        ck: !www *
+        cl: blogspot co gob gov mil
+        claims:
+        cleaning:
+        click:
+        clinic:
+        clinique:
+        clothing:
+        cloud: *.banzai *.magentosite *.on-rancher *.sensiosite *.statics ca.reclaim ch.trendhosting
+            cs.keliweb de.trendhosting diadem elementor es-1.axarnet eu.encoway fnc.fr-par.scw
+            fr-par-1.baremetal.scw fr-par-2.baremetal.scw functions.fnc.fr-par.scw it1.eur.aruba.jenv-aruba
+            it1.jenv-aruba jele jotelulu k8s.fr-par.scw k8s.nl-ams.scw k8s.pl-waw.scw k8s.scw keliweb
+            kuleuven linkyard nl-ams-1.baremetal.scw nodes.k8s.fr-par.scw nodes.k8s.nl-ams.scw
+            nodes.k8s.pl-waw.scw oxa perspecta primetel priv.instances.scw pub.instances.scw ravendb
+            s3-website.fr-par.scw s3-website.nl-ams.scw s3-website.pl-waw.scw s3.fr-par.scw s3.nl-ams.scw
+            s3.pl-waw.scw scalebook.scw smartlabeling.scw tn.oxa trafficplex uk.oxa uk.primetel uk.reclaim
+            urown us.reclaim vapor vip.jelastic voorloper whm.fr-par.scw whm.nl-ams.scw
+        club: barsy cloudns jele
+        clubmed:
+        cm: co com gov net
+        cn: *.compute.amazonaws.com *.elb.amazonaws.com ac ah bj canva-apps cn-north-1.eb.amazonaws.com
+            cn-northwest-1.eb.amazonaws.com com cq direct.quickconnect edu fj gd gov gs gx gz ha hb he hi hk
+            hl hn instantcloud jl js jx ln mil mo net nm nx org qh s3.cn-north-1.amazonaws.com sc sd sh sn
+            sx tj tw xj xn--55qx5d xn--io0a7i xn--od0alg xz yn zj
+        co: *.otap arts blogspot.com carrd com crd edu firewalledreplit firm gov id.firewalledreplit id.repl
+            info int leadpages lpages mil mypi n4t net nom org rec repl supabase web
+        coach:
+        codes: *.owo
+        coffee:
+        college:
+        cologne:
+        com: *.0emm *.builder.code *.cns.joyent *.compute-1.amazonaws *.compute.amazonaws *.customer-oci
+            *.dev-builder.code *.dev.adobeaemcloud *.devcdnaccesso *.digitaloceanspaces *.elb.amazonaws
+            *.linodeobjects *.nodebalancer.linode *.oci.customer-oci *.ocp.customer-oci *.ocs.customer-oci
+            *.paywhirl *.quipelements *.r.appspot *.stg-builder.code *.vultrobjects 001www 1kapp 3utilities
+            4u adobeaemcloud africa airkitapps airkitapps-au aivencloud alpha-myqnapcloud alpha.bounty-full
+            amscompute ap-northeast-1.elasticbeanstalk ap-northeast-2.elasticbeanstalk
+            ap-northeast-3.elasticbeanstalk ap-south-1.elasticbeanstalk ap-southeast-1.elasticbeanstalk
+            ap-southeast-2.elasticbeanstalk api.stdlib app.lmpm app.render appchizi applinzi apps.fbsbx
+            appspacehosted appspaceusercontent appspot ar authgear-staging authgearapps awsglobalaccelerator
+            awsmppl balena-devices barsycenter barsyonline beta.bounty-full betainabox blogdns blogspot
+            blogsyte bloxcms bounty-full boutir bplaced br builtwithdark ca-central-1.elasticbeanstalk cafjs
+            canva-apps caracal.mythic-beasts cechire cf-ipfs ciscofreak clicketcloud cloud.nospamproxy
+            cloudcontrolapp cloudcontrolled cloudflare-ipfs cn co codespot customer.mythic-beasts damnserver
+            dattolocal dattorelay dattoweb ddns5 ddnsfree ddnsgeek ddnsking ddnslive de demo.datadetect
+            demo.jelastic dev-myqnapcloud discordsays discordsez ditchyourip dnsalias dnsdojo dnsiskinky
+            doesntexist dontexist doomdns dopaas drayddns dreamhosters dsmynas dyn-o-saur dynalias
+            dyndns-at-home dyndns-at-work dyndns-blog dyndns-free dyndns-home dyndns-ip dyndns-mail
+            dyndns-office dyndns-pics dyndns-remote dyndns-server dyndns-web dyndns-wiki dyndns-work dynns
+            elasticbeanstalk encoreapi est-a-la-maison est-a-la-masion est-le-patron est-mon-blogueur eu
+            eu-1.evennode eu-2.evennode eu-3.evennode eu-4.evennode eu-central-1.elasticbeanstalk
+            eu-west-1.elasticbeanstalk eu-west-2.elasticbeanstalk eu-west-3.elasticbeanstalk eu.meteorapp
+            eu.pythonanywhere familyds fastly-edge fastly-terrarium fastvps-server fentiger.mythic-beasts
+            firebaseapp firewall-gateway fldrv forgeblocks framercanvas freebox-os freeboxos freemyip
+            from-ak from-al from-ar from-ca from-ct from-dc from-de from-fl from-ga from-hi from-ia from-id
+            from-il from-in from-ks from-ky from-ma from-md from-mi from-mn from-mo from-ms from-mt from-nc
+            from-nd from-ne from-nh from-nj from-nm from-nv from-oh from-ok from-or from-pa from-pr from-ri
+            from-sc from-sd from-tn from-tx from-ut from-va from-vt from-wa from-wi from-wv from-wy
+            geekgalaxy gentapps gentlentapis getmyip giize githubusercontent gleeze googleapis googlecode
+            gotdns gotpantheon gr health-carereform herokuapp herokussl hidora hk hobby-site homelinux
+            homesecuritymac homesecuritypc homeunix hostedpi hotelwithflight hu iamallama impertrix
+            impertrixcdn instance.datadetect ip.linodeusercontent is-a-anarchist is-a-blogger
+            is-a-bookkeeper is-a-bulls-fan is-a-caterer is-a-chef is-a-conservative is-a-cpa
+            is-a-cubicle-slave is-a-democrat is-a-designer is-a-doctor is-a-financialadvisor is-a-geek
+            is-a-green is-a-guru is-a-hard-worker is-a-hunter is-a-landscaper is-a-lawyer is-a-liberal
+            is-a-libertarian is-a-llama is-a-musician is-a-nascarfan is-a-nurse is-a-painter
+            is-a-personaltrainer is-a-photographer is-a-player is-a-republican is-a-rockstar is-a-socialist
+            is-a-student is-a-teacher is-a-techie is-a-therapist is-an-accountant is-an-actor is-an-actress
+            is-an-anarchist is-an-artist is-an-engineer is-an-entertainer is-certified is-gone is-into-anime
+            is-into-cars is-into-cartoons is-into-games is-leet is-not-certified is-slick is-uberleet
+            is-with-theband isa-geek isa-hockeynut issmarterthanyou it jcloud-ver-jpc.ik-server
+            jcloud.ik-server jdevcloud jed.wafaicloud jpn js.wpenginepowered kasserver kilatiron kozow kr
+            ktistory likes-pie likescandy logoip lon.wafaicloud loseyourip lpusercontent lynx.mythic-beasts
+            mazeplay members.linode messwithdns meteorapp mex miniserver myactivedirectory myasustor mydatto
+            mydobiss mydrobo myiphost myqnapcloud mysecuritycamera myshopblocks myshopify myspreadshop
+            mytabit mytuleap myvnc neat-url net-freaks nfshost no ocelot.mythic-beasts on-aptible
+            oncilla.mythic-beasts onfabrica onrender onthewifi onza.mythic-beasts ooguy operaunite orsites
+            outsystemscloud ownprovider paas.hosted-by-previder paas.massivegrid pagefrontapp pages.wiardweb
+            pagespeedmobilizer pagexl pgfog pixolino platter-app playstation-cloud pleskns point2this
+            postman-echo pro.typeform publishproxy pythonanywhere qa2 qbuser qc qualifioapp quicksytes
+            rackmaze rag-cloud-ch.hosteur rag-cloud.hosteur remotewd reservd reserve-online rhcloud ru
+            ryd.wafaicloud s3-ap-northeast-1.amazonaws s3-ap-northeast-2.amazonaws s3-ap-south-1.amazonaws
+            s3-ap-southeast-1.amazonaws s3-ap-southeast-2.amazonaws s3-ca-central-1.amazonaws
+            s3-eu-central-1.amazonaws s3-eu-west-1.amazonaws s3-eu-west-2.amazonaws s3-eu-west-3.amazonaws
+            s3-external-1.amazonaws s3-fips-us-gov-west-1.amazonaws s3-sa-east-1.amazonaws
+            s3-us-east-2.amazonaws s3-us-gov-west-1.amazonaws s3-us-west-1.amazonaws s3-us-west-2.amazonaws
+            s3-website-ap-northeast-1.amazonaws s3-website-ap-southeast-1.amazonaws
+            s3-website-ap-southeast-2.amazonaws s3-website-eu-west-1.amazonaws
+            s3-website-sa-east-1.amazonaws s3-website-us-east-1.amazonaws s3-website-us-west-1.amazonaws
+            s3-website-us-west-2.amazonaws s3-website.ap-northeast-2.amazonaws
+            s3-website.ap-south-1.amazonaws s3-website.ca-central-1.amazonaws
+            s3-website.eu-central-1.amazonaws s3-website.eu-west-2.amazonaws s3-website.eu-west-3.amazonaws
+            s3-website.us-east-2.amazonaws s3.amazonaws s3.ap-northeast-2.amazonaws s3.ap-south-1.amazonaws
+            s3.ca-central-1.amazonaws s3.dualstack.ap-northeast-1.amazonaws
+            s3.dualstack.ap-northeast-2.amazonaws s3.dualstack.ap-south-1.amazonaws
+            s3.dualstack.ap-southeast-1.amazonaws s3.dualstack.ap-southeast-2.amazonaws
+            s3.dualstack.ca-central-1.amazonaws s3.dualstack.eu-central-1.amazonaws
+            s3.dualstack.eu-west-1.amazonaws s3.dualstack.eu-west-2.amazonaws
+            s3.dualstack.eu-west-3.amazonaws s3.dualstack.sa-east-1.amazonaws
+            s3.dualstack.us-east-1.amazonaws s3.dualstack.us-east-2.amazonaws s3.eu-central-1.amazonaws
+            s3.eu-west-2.amazonaws s3.eu-west-3.amazonaws s3.us-east-2.amazonaws sa
+            sa-east-1.elasticbeanstalk saves-the-whales scrysec securitytactics selfip sells-for-less
+            sells-for-u servebbs servebeer servecounterstrike serveexchange serveftp servegame servehalflife
+            servehttp servehumour serveirc servemp3 servep2p servepics servequake servesarcasm shopitsite
+            siiites simple-url simplesite sinaapp site.tb-hosting skygearapp smushcdn space-to-rent
+            sphinx.mythic-beasts stackhero-network static.observableusercontent streamlitapp stufftoread
+            teaches-yoga temp-dns theworkpc thingdustdata townnews-staging try-snowplow trycloudflare
+            tuleap-partners u2-local.xnbay u2.xnbay uk unusualperson us us-1.evennode us-2.evennode
+            us-3.evennode us-4.evennode us-east-1.amazonaws us-east-1.elasticbeanstalk
+            us-east-2.elasticbeanstalk us-gov-west-1.elasticbeanstalk us-west-1.elasticbeanstalk
+            us-west-2.elasticbeanstalk uy vfs.cloud9.af-south-1.amazonaws vfs.cloud9.ap-east-1.amazonaws
+            vfs.cloud9.ap-northeast-1.amazonaws vfs.cloud9.ap-northeast-2.amazonaws
+            vfs.cloud9.ap-northeast-3.amazonaws vfs.cloud9.ap-south-1.amazonaws
+            vfs.cloud9.ap-southeast-1.amazonaws vfs.cloud9.ap-southeast-2.amazonaws
+            vfs.cloud9.ca-central-1.amazonaws vfs.cloud9.eu-central-1.amazonaws
+            vfs.cloud9.eu-north-1.amazonaws vfs.cloud9.eu-south-1.amazonaws vfs.cloud9.eu-west-1.amazonaws
+            vfs.cloud9.eu-west-2.amazonaws vfs.cloud9.eu-west-3.amazonaws vfs.cloud9.me-south-1.amazonaws
+            vfs.cloud9.sa-east-1.amazonaws vfs.cloud9.us-east-1.amazonaws vfs.cloud9.us-east-2.amazonaws
+            vfs.cloud9.us-west-1.amazonaws vfs.cloud9.us-west-2.amazonaws vipsinaapp vs.mythic-beasts
+            wafflecell webview-assets.cloud9.af-south-1.amazonaws webview-assets.cloud9.ap-east-1.amazonaws
+            webview-assets.cloud9.ap-northeast-1.amazonaws webview-assets.cloud9.ap-northeast-2.amazonaws
+            webview-assets.cloud9.ap-northeast-3.amazonaws webview-assets.cloud9.ap-south-1.amazonaws
+            webview-assets.cloud9.ap-southeast-1.amazonaws webview-assets.cloud9.ap-southeast-2.amazonaws
+            webview-assets.cloud9.ca-central-1.amazonaws webview-assets.cloud9.eu-central-1.amazonaws
+            webview-assets.cloud9.eu-north-1.amazonaws webview-assets.cloud9.eu-south-1.amazonaws
+            webview-assets.cloud9.eu-west-1.amazonaws webview-assets.cloud9.eu-west-2.amazonaws
+            webview-assets.cloud9.eu-west-3.amazonaws webview-assets.cloud9.me-south-1.amazonaws
+            webview-assets.cloud9.sa-east-1.amazonaws webview-assets.cloud9.us-east-1.amazonaws
+            webview-assets.cloud9.us-east-2.amazonaws webview-assets.cloud9.us-west-1.amazonaws
+            webview-assets.cloud9.us-west-2.amazonaws withgoogle withyoutube wixsite woltlab-demo
+            workisboring wpdevcloud wpenginepowered wphostedmail wpmucdn writesthisblog x.mythic-beasts
+            xen.prgmr xnbay yali.mythic-beasts yolasite za
+        comcast:
+        commbank:
+        community: myforum nog ravendb
+        company:
+        compare:
+        computer:
+        comsec:
+        condos:
+        construction:
+        consulting:
+        contact:
+        contractors:
+        cooking:
+        cookingchannel:
+        cool: de elementor
+        coop:
+        corsica:
+        country:
+        coupon:
+        coupons:
+        courses:
+        cpa:
+        cr: ac co ed fi go or sa
+        credit:
+        creditcard:
+        creditunion:
+        cricket:
+        crown:
+        crs:
+        cruise:
+        cruises:
+        cu: com edu gov inf net org
+        cuisinella:
+        cv: blogspot com edu int nome org
+        cw: com edu net org
+        cx: ath gov info
+        cy: ac biz blogspot.com com ekloges gov j.scaleforce.com ltd mil net org press pro tm
+        cymru:
+        cyou:
+        cz: *.cloud.metacentrum blogspot co custom.metacentrum e4 flt.cloud.muni realm usr.cloud.muni
+        dabur:
+        dad:
+        dance:
+        data:
+        date:
+        dating:
+        datsun:
+        day:
+        dclk:
+        dds:
+        de: *.frusky *.uberspace 123webseite 12hp 2ix 4lima barsy blogspot bplaced com community-pro
+            customer.speedpartner dd-dns ddnss diskussionsbereich dnshome dnsupdater dray-dns draydns
+            dyn-berlin dyn-ip24 dyn-vpn dyn.cosidns dyn.ddnss dyn.home-webserver dynamisches-dns
+            dyndns.ddnss dyndns1 dynvpn firewall-gateway fuettertdasnetz git-repos goip home-webserver
+            in-berlin in-brb in-butter in-dsl in-vpn internet-dns iservschule isteingeek istmein keymachine
+            l-o-g-i-n lcube-server lebtimnetz leitungsen lima-city logoip mein-iserv mein-vigor my-gateway
+            my-router my-vigor my-wan myhome-server myspreadshop pages.it.hs-heilbronn schulplattform
+            schulserver spdns square7 svn-repos syno-ds synology-diskstation synology-ds taifun-dns
+            test-iserv traeumtgerade virtual-user virtualuser xn--gnstigbestellen-zvb xn--gnstigliefern-wob
+        deal:
+        dealer:
+        deals:
+        degree:
+        delivery:
+        dell:
+        deloitte:
+        delta:
+        democrat:
+        dental:
+        dentist:
+        desi:
+        design: bss
+        dev: *.gateway *.lcl *.lclstage *.stg *.stgstage *.user.localcert *.webhare autocode curv deno
+            deno-staging deta fly githubpreview iserv loginline mediatech pages platter-app r2 shiftcrypto
+            vercel workers
+        dhl:
+        diamonds:
+        diet:
+        digital: cloudapps london.cloudapps
+        direct:
+        directory:
+        discount:
+        discover:
+        dish:
+        diy:
+        dj:
+        dk: 123hjemmeside biz blogspot co firm myspreadshop reg store
+        dm: com edu gov net org
+        dnp:
+        do: art com edu gob gov mil net org sld web
+        docs:
+        doctor:
+        dog:
+        domains:
+        dot:
+        download:
+        drive:
+        dtv:
+        dubai:
+        dunlop:
+        dupont:
+        durban:
+        dvag:
+        dvr:
+        dz: art asso com edu gov net org pol soc tm
+        earth: *.bzz.dapps *.dapps
+        eat:
+        ec: base com edu fin gob gov info k12 med mil net official org pro
+        eco:
+        edeka:
+        edu: git-pages.rit
+        education: co
+        ee: aip blogspot.com com edu fie gov lib med org pri riik
+        eg: blogspot.com com edu eun gov mil name net org sci
+        email:
+        emerck:
+        energy:
+        engineer:
+        engineering:
+        enterprises:
+        epson:
+        equipment:
+        er: *
+        ericsson:
+        erni:
+        es: 123miweb blogspot.com com edu gob myspreadshop nom org
+        esq:
+        estate: *.compute
+        et: biz com edu gov info name net org
+        etisalat:
+        eu: *.transurl airkitapps barsy cloudns diskstation jelastic.dogado mycd spdns wellbeingzone
+        eurovision:
+        eus: user.party
+        events: co koobin
+        exchange:
+        expert:
+        exposed:
+        express:
+        extraspace:
+        fage:
+        fail:
+        fairwinds:
+        faith: ybo
+        family:
+        fan:
+        fans:
+        farm: storj
+        farmers:
+        fashion:
+        fast:
+        fedex:
+        feedback:
+        ferrari:
+        ferrero:
+        fi: 123kotisivu aland blogspot demo.datacenter dy fi.cloudplatform iki kapsi myspreadshop
+            paas.datacenter xn--hkkinen-5wa
+        fiat:
+        fidelity:
+        fido:
+        film:
+        final:
+        finance:
+        financial: co
+        fire:
+        firestone:
+        firmdale:
+        fish:
+        fishing:
+        fit:
+        fitness:
+        fj: ac biz com gov info mil name net org pro
+        fk: *
+        flickr:
+        flights:
+        flir:
+        florist:
+        flowers:
+        fly:
+        fm: *.user com edu net org radio
+        fo:
+        foo:
+        food:
+        foodnetwork:
+        football:
+        ford:
+        forex:
+        forsale:
+        forum:
+        foundation:
+        fox:
+        fr: 123siteweb aeroport asso avocat avoues blogspot cci chambagri chirurgiens-dentistes
+            chirurgiens-dentistes-en-france com dedibox en-root experts-comptables fbx-os fbxos freebox-os
+            freeboxos geometre-expert goupile gouv greta huissier-justice medecin myspreadshop nom notaires
+            on-web pharmacien port prd tm veterinaire ynh
+        free:
+        fresenius:
+        frl:
+        frogans:
+        frontdoor:
+        frontier:
+        ftr:
+        fujitsu:
+        fun:
+        fund:
+        furniture:
+        futbol:
+        fyi:
+        ga:
+        gal:
+        gallery:
+        gallo:
+        gallup:
+        game:
+        games:
+        gap:
+        garden:
+        gay:
+        gb:
+        gbiz:
+        gd: edu gov
+        gdn: cnpy
+        ge: com edu gov mil net org pvt
+        gea:
+        gent:
+        genting:
+        george:
+        gf:
+        gg: co cya daemon.panel kaas net org panel
+        ggee:
+        gh: com edu gov mil org
+        gi: com edu gov ltd mod org
+        gift:
+        gifts:
+        gives:
+        giving:
+        gl: biz co com edu net org xx
+        glass:
+        gle:
+        global:
+        globo:
+        gm:
+        gmail:
+        gmbh:
+        gmo:
+        gmx:
+        gn: ac com edu gov net org
+        godaddy:
+        gold:
+        goldpoint:
+        golf:
+        goo:
+        goodyear:
+        goog: *.usercontent cloud translate
+        google:
+        gop:
+        got:
+        gov:
+        gp: app asso com edu mobi net org
+        gq:
+        gr: blogspot com edu gov net org simplesite
+        grainger:
+        graphics:
+        gratis:
+        green:
+        gripe:
+        grocery:
+        group: discourse
+        gs:
+        gt: blog com de edu gob ind mil net org to
+        gu: com edu gov guam info net org web
+        guardian:
+        gucci:
+        guge:
+        guide:
+        guitars:
+        guru:
+        gw:
+        gy: be co com edu gov net org
+        hair:
+        hamburg:
+        hangout:
+        haus:
+        hbo:
+        hdfc:
+        hdfcbank:
+        health: hra
+        healthcare:
+        help:
+        helsinki:
+        here:
+        hermes:
+        hgtv:
+        hiphop:
+        hisamitsu:
+        hitachi:
+        hiv:
+        hk: blogspot com edu gov idv inc ltd net org secaas xn--55qx5d xn--ciqpn xn--gmq050i xn--gmqw5a
+            xn--io0a7i xn--lcvr32d xn--mk0axi xn--mxtq1m xn--od0alg xn--od0aq3b xn--tn0ag xn--uc0atv
+            xn--uc0ay4a xn--wcvs22d xn--zf0avx
+        hkt:
+        hm:
+        hn: cc com edu gob mil net org
+        hockey:
+        holdings:
+        holiday:
+        homedepot:
+        homegoods:
+        homes:
+        homesense:
+        honda:
+        horse:
+        hospital:
+        host: cloudaccess easypanel fastvps freesite half jele mircloud myfast pcloud tempurl wpmudev
+        hosting: opencraft
+        hot:
+        hoteles:
+        hotels:
+        hotmail:
+        house:
+        how:
+        hr: blogspot com free from iz name
+        hsbc:
+        ht: adult art asso com coop edu firm gouv info med net org perso pol pro rel shop
+        hu: 2000 agrar blogspot bolt casino city co erotica erotika film forum games hotel info ingatlan
+            jogasz konyvelo lakas media news org priv reklam sex shop sport suli szex tm tozsde utazas video
+        hughes:
+        hyatt:
+        hyundai:
+        ibm:
+        icbc:
+        ice:
+        icu:
+        id: *.rss.my ac biz blogspot.co co desa flap forte go mil my net or ponpes sch web
+        ie: blogspot gov myspreadshop
+        ieee:
+        ifm:
+        ikano:
+        il: ac blogspot.co co gov idf k12 muni mytabit.co net org ravpage.co tabitorder.co
+        im: ac co com ltd.co net org plc.co ro tt tv
+        imamat:
+        imdb:
+        immo:
+        immobilien:
+        in: 5g 6g ac ai am barsy bihar biz blogspot business ca cloudns cn co com coop cs delhi dr edu er
+            firm gen gov gujarat ind info int internet io me mil net nic org pg post pro res supabase travel
+            tv uk up us web
+        inc:
+        industries:
+        infiniti:
+        info: barrel-of-knowledge barrell-of-knowledge barsy cloudns dnsupdate dvrcam dynamic-dns dyndns
+            for-our forumz groks-the groks-this here-for-more ilovecollege knowsitall mayfirst no-ip
+            nsupdate selfip v-info webhop
+        ing:
+        ink:
+        institute:
+        insurance:
+        insure:
+        int: eu
+        international:
+        intuit:
+        investments:
+        io: *.azurecontainer *.backyards.banzaicloud *.moonscale *.on-acorn *.on-k3s *.on-rio *.s5y *.stolos
+            *.sys.qcx 2038 apigee app.banzaicloud apps.lair b-data backplaneapp barsy basicserver
+            beagleboard bitbucket bluebite boxfuse browsersafetymark cleverapps cloud-fr1.unispace com
+            cust.dev.thingdust cust.disrec.thingdust cust.prod.thingdust cust.testing.thingdust dedyn
+            definima devices.resinstaging drud dyn53 dyndns.dappnode editorx edugit fh-muenster g.vbrplsbx
+            ghost github gitlab hasura-app hostyhosting hzc id.forgerock jele loginline lolipop mo-siemens
+            mock.pstmn musician ngrok nid paas.beebyte pantheonsite protonet pstmn qcx qoto readthedocs
+            reservd.dev.thingdust reservd.disrec.thingdust reservd.testing.thingdust resindevice sandcats
+            sekd1.beebyteapp shiftcrypto shiftedit shw spacekit stage.nodeart telebit tickets uk0.bigv upli
+            utwente vaporcloud virtualserver webthings wedeploy
+        ipiranga:
+        iq: com edu gov mil net org
+        ir: ac co gov id net org sch xn--mgba3a4f16a xn--mgba3a4fra
+        irish:
+        is: blogspot com cupcake edu gov int net org
+        ismaili:
+        ist:
+        istanbul:
+        it: 123homepage 16-b 32-b 64-b abr abruzzo ag agrigento al alessandria alto-adige altoadige an
+            ancona andria-barletta-trani andria-trani-barletta andriabarlettatrani andriatranibarletta ao
+            aosta aosta-valley aostavalley aoste ap aq aquila ar arezzo ascoli-piceno ascolipiceno asti at
+            av avellino ba balsan balsan-sudtirol balsan-suedtirol bari barletta-trani-andria
+            barlettatraniandria bas basilicata belluno benevento bergamo bg bi biella bl blogspot bn bo
+            bologna bolzano bolzano-altoadige bozen bozen-sudtirol bozen-suedtirol br brescia brindisi bs bt
+            bulsan bulsan-sudtirol bulsan-suedtirol bz ca cagliari cal calabria caltanissetta cam campania
+            campidano-medio campidanomedio campobasso carbonia-iglesias carboniaiglesias carrara-massa
+            carraramassa caserta catania catanzaro cb ce cesena-forli cesenaforli ch chieti ci cl
+            cloud.jelastic.open.tim cn co como cosenza cr cremona crotone cs ct cuneo cz dell-ogliastra
+            dellogliastra edu emilia-romagna emiliaromagna emr en enna fc fe fermo ferrara fg fi firenze
+            florence fm foggia forli-cesena forlicesena fr friuli-v-giulia friuli-ve-giulia friuli-vegiulia
+            friuli-venezia-giulia friuli-veneziagiulia friuli-vgiulia friuliv-giulia friulive-giulia
+            friulivegiulia friulivenezia-giulia friuliveneziagiulia friulivgiulia frosinone fvg ge genoa
+            genova go gorizia gov gr grosseto ibxos iglesias-carbonia iglesiascarbonia iliadboxos im imperia
+            is isernia jc.neen kr la-spezia laquila laspezia latina laz lazio lc le lecce lecco li lig
+            liguria livorno lo lodi lom lombardia lombardy lt lu lucania lucca macerata mantova mar marche
+            massa-carrara massacarrara matera mb mc me medio-campidano mediocampidano messina mi milan
+            milano mn mo modena mol molise monza monza-brianza monza-e-della-brianza monzabrianza
+            monzaebrianza monzaedellabrianza ms mt myspreadshop na naples napoli no novara nu nuoro og
+            ogliastra olbia-tempio olbiatempio or oristano ot pa padova padua palermo parma pavia pc pd pe
+            perugia pesaro-urbino pesarourbino pescara pg pi piacenza piedmont piemonte pisa pistoia pmn pn
+            po pordenone potenza pr prato pt pu pug puglia pv pz ra ragusa ravenna rc re reggio-calabria
+            reggio-emilia reggiocalabria reggioemilia rg ri rieti rimini rm rn ro roma rome rovigo sa
+            salerno sar sardegna sardinia sassari savona si sic sicilia sicily siena siracusa so sondrio sp
+            sr ss suedtirol sv syncloud ta taa taranto te tempio-olbia tempioolbia teramo terni tn to torino
+            tos toscana tp tr trani-andria-barletta trani-barletta-andria traniandriabarletta
+            tranibarlettaandria trapani trentin-sud-tirol trentin-sudtirol trentin-sued-tirol
+            trentin-suedtirol trentino trentino-a-adige trentino-aadige trentino-alto-adige
+            trentino-altoadige trentino-s-tirol trentino-stirol trentino-sud-tirol trentino-sudtirol
+            trentino-sued-tirol trentino-suedtirol trentinoa-adige trentinoaadige trentinoalto-adige
+            trentinoaltoadige trentinos-tirol trentinostirol trentinosud-tirol trentinosudtirol
+            trentinosued-tirol trentinosuedtirol trentinsud-tirol trentinsudtirol trentinsued-tirol
+            trentinsuedtirol trento treviso trieste ts turin tuscany tv ud udine umb umbria urbino-pesaro
+            urbinopesaro va val-d-aosta val-daosta vald-aosta valdaosta valle-aosta valle-d-aosta
+            valle-daosta valleaosta valled-aosta valledaosta vallee-aoste vallee-d-aoste valleeaoste
+            valleedaoste vao varese vb vc vda ve ven veneto venezia venice verbania vercelli verona vi
+            vibo-valentia vibovalentia vicenza viterbo vr vs vt vv xn--balsan-sdtirol-nsb
+            xn--bozen-sdtirol-2ob xn--bulsan-sdtirol-nsb xn--cesena-forl-mcb xn--cesenaforl-i8a
+            xn--forl-cesena-fcb xn--forlcesena-c8a xn--sdtirol-n2a xn--trentin-sd-tirol-rzb
+            xn--trentin-sdtirol-7vb xn--trentino-sd-tirol-c3b xn--trentino-sdtirol-szb
+            xn--trentinosd-tirol-rzb xn--trentinosdtirol-7vb xn--trentinsd-tirol-6vb xn--trentinsdtirol-nsb
+            xn--valle-aoste-ebb xn--valle-d-aoste-ehb xn--valleaoste-e7a xn--valledaoste-ebb
+        itau:
+        itv:
+        jaguar:
+        java:
+        jcb:
+        je: co net of org
+        jeep:
+        jetzt:
+        jewelry:
+        jio:
+        jll:
+        jm: *
+        jmp:
+        jnj:
+        jo: com edu gov mil name net org sch
+        jobs:
+        joburg:
+        jot:
+        joy:
+        jp: !city.kawasaki !city.kitakyushu !city.kobe !city.nagoya !city.sapporo !city.sendai
+            !city.yokohama *.kawasaki *.kitakyushu *.kobe *.nagoya *.sapporo *.sendai *.yokohama
+            abashiri.hokkaido abeno.osaka abiko.chiba abira.hokkaido abu.yamaguchi ac achi.nagano ad
+            adachi.tokyo aga.niigata agano.niigata agematsu.nagano aguni.okinawa aibetsu.hokkaido aichi
+            aikawa.kanagawa ainan.ehime aioi.hyogo aisai.aichi aisho.shiga aizubange.fukushima
+            aizumi.tokushima aizumisato.fukushima aizuwakamatsu.fukushima akabira.hokkaido akagi.shimane
+            akaiwa.okayama akashi.hyogo aki.kochi akiruno.tokyo akishima.tokyo akita akita.akita
+            akkeshi.hokkaido ako.hyogo akune.kagoshima ama.aichi ama.shimane amagasaki.hyogo
+            amakusa.kumamoto amami.kagoshima ami.ibaraki anamizu.ishikawa anan.nagano anan.tokushima
+            ando.nara angry anjo.aichi annaka.gunma anpachi.gifu aogaki.hyogo aogashima.tokyo aoki.nagano
+            aomori aomori.aomori arai.shizuoka arakawa.saitama arakawa.tokyo arao.kumamoto ariake.saga
+            arida.wakayama aridagawa.wakayama arita.saga asago.hyogo asahi.chiba asahi.ibaraki asahi.mie
+            asahi.nagano asahi.toyama asahi.yamagata asahikawa.hokkaido asaka.saitama asakawa.fukushima
+            asakuchi.okayama asaminami.hiroshima ashibetsu.hokkaido ashikaga.tochigi ashiya.fukuoka
+            ashiya.hyogo ashoro.hokkaido aso.kumamoto assabu.hokkaido asuke.aichi atami.shizuoka
+            atsugi.kanagawa atsuma.hokkaido awaji.hyogo aya.miyazaki ayabe.kyoto ayagawa.kagawa
+            ayase.kanagawa azumino.nagano babyblue babymilk backdrop bambina bandai.fukushima bando.ibaraki
+            bato.tochigi beppu.oita bibai.hokkaido biei.hokkaido bifuka.hokkaido bihoro.hokkaido
+            biratori.hokkaido bitter bizen.okayama blogspot blush boo boy boyfriend bungoono.oita
+            bungotakada.oita bunkyo.tokyo but buyshop buzen.fukuoka candypop capoo catfood cheap chiba
+            chicappa chichibu.saitama chigasaki.kanagawa chihayaakasaka.osaka chijiwa.nagasaki
+            chikugo.fukuoka chikuho.fukuoka chikuhoku.nagano chikujo.fukuoka chikuma.nagano chikusei.ibaraki
+            chikushino.fukuoka chikuzen.fukuoka chillout chino.nagano chippubetsu.hokkaido chips
+            chiryu.aichi chita.aichi chitose.hokkaido chiyoda.gunma chiyoda.tokyo chizu.tottori chofu.tokyo
+            chonan.chiba chosei.chiba choshi.chiba chowder choyo.kumamoto chu chuo.chiba chuo.fukuoka
+            chuo.osaka chuo.tokyo chuo.yamanashi ciao co cocotte coolblog cranky cutegirl daa daigo.ibaraki
+            daisen.akita daito.osaka daiwa.hiroshima date.fukushima date.hokkaido dazaifu.fukuoka deca deci
+            digick doshi.yamanashi ebetsu.hokkaido ebina.kanagawa ebino.miyazaki echizen.fukui ed
+            edogawa.tokyo egoism ehime eiheiji.fukui embetsu.hokkaido ena.gifu eniwa.hokkaido erimo.hokkaido
+            esan.hokkaido esashi.hokkaido etajima.hiroshima fakefur fashionstore fem flier floppy fool
+            frenchkiss fuchu.hiroshima fuchu.tokyo fuchu.toyama fudai.iwate fuefuki.yamanashi fuji.shizuoka
+            fujieda.shizuoka fujiidera.osaka fujikawa.shizuoka fujikawa.yamanashi fujikawaguchiko.yamanashi
+            fujimi.nagano fujimi.saitama fujimino.saitama fujinomiya.shizuoka fujioka.gunma fujisato.akita
+            fujisawa.iwate fujisawa.kanagawa fujishiro.ibaraki fujiyoshida.yamanashi fukagawa.hokkaido
+            fukaya.saitama fukuchi.fukuoka fukuchiyama.kyoto fukudomi.saga fukui fukui.fukui
+            fukumitsu.toyama fukuoka fukuroi.shizuoka fukusaki.hyogo fukushima fukushima.fukushima
+            fukushima.hokkaido fukuyama.hiroshima funabashi.chiba funagata.yamagata funahashi.toyama
+            furano.hokkaido furubira.hokkaido furudono.fukushima furukawa.miyagi fuso.aichi fussa.tokyo
+            futaba.fukushima futsu.nagasaki futtsu.chiba gamagori.aichi gamo.shiga gehirn.ne geisei.kochi
+            genkai.saga gifu gifu.gifu ginan.gifu ginowan.okinawa ginoza.okinawa girlfriend girly gloomy go
+            gobo.wakayama godo.gifu gojome.akita gokase.miyazaki gonna gonohe.aomori gose.nara gosen.niigata
+            goshiki.hyogo gotemba.shizuoka goto.nagasaki gotsu.shimane gr greater gujo.gifu gunma
+            gushikami.okinawa gyokuto.kumamoto habikino.osaka haboro.hokkaido hacca hachijo.tokyo
+            hachinohe.aomori hachioji.tokyo hachirogata.akita hadano.kanagawa haebaru.okinawa haga.tochigi
+            hagi.yamaguchi haibara.shizuoka hakata.fukuoka hakodate.hokkaido hakone.kanagawa hakuba.nagano
+            hakui.ishikawa hakusan.ishikawa hamada.shimane hamamatsu.shizuoka hamatama.saga
+            hamatonbetsu.hokkaido hamura.tokyo hanamaki.iwate hanamigawa.chiba hanawa.fukushima handa.aichi
+            handcrafted hannan.osaka hanno.saitama hanyu.saitama happou.akita hara.nagano harima.hyogo
+            hasama.oita hasami.nagasaki hashikami.aomori hashima.gifu hashimoto.wakayama hasuda.saitama
+            hatogaya.saitama hatoyama.saitama hatsukaichi.hiroshima hayakawa.yamanashi hayashima.okayama
+            hazu.aichi heavy heguri.nara hekinan.aichi her hichiso.gifu hida.gifu hidaka.hokkaido
+            hidaka.kochi hidaka.saitama hidaka.wakayama higashi.fukuoka higashi.fukushima higashi.okinawa
+            higashiagatsuma.gunma higashichichibu.saitama higashihiroshima.hiroshima higashiizu.shizuoka
+            higashiizumo.shimane higashikagawa.kagawa higashikagura.hokkaido higashikawa.hokkaido
+            higashikurume.tokyo higashimatsushima.miyagi higashimatsuyama.saitama higashimurayama.tokyo
+            higashinaruse.akita higashine.yamagata higashiomi.shiga higashiosaka.osaka higashishirakawa.gifu
+            higashisumiyoshi.osaka higashitsuno.kochi higashiura.aichi higashiyama.kyoto higashiyamato.tokyo
+            higashiyodogawa.osaka higashiyoshino.nara hiho hiji.oita hikari.yamaguchi hikawa.shimane
+            hikimi.shimane hikone.shiga himeji.hyogo himeshima.oita himi.toyama hino.tokyo hino.tottori
+            hinode.tokyo hinohara.tokyo hioki.kagoshima hippy hirado.nagasaki hiraizumi.iwate hirakata.osaka
+            hiranai.aomori hirara.okinawa hirata.fukushima hiratsuka.kanagawa hiraya.nagano
+            hirogawa.wakayama hirokawa.fukuoka hirono.fukushima hirono.iwate hiroo.hokkaido hirosaki.aomori
+            hiroshima hisayama.fukuoka hita.oita hitachi.ibaraki hitachinaka.ibaraki hitachiomiya.ibaraki
+            hitachiota.ibaraki hizen.saga hofu.yamaguchi hokkaido hokuryu.hokkaido hokuto.hokkaido
+            hokuto.yamanashi holy honai.ehime honbetsu.hokkaido hongo.hiroshima honjo.akita honjo.saitama
+            honjyo.akita horokanai.hokkaido horonobe.hokkaido hungry hyogo hyuga.miyazaki ibara.okayama
+            ibaraki ibaraki.ibaraki ibaraki.osaka ibigawa.gifu ichiba.tokushima ichihara.chiba
+            ichikai.tochigi ichikawa.chiba ichikawa.hyogo ichikawamisato.yamanashi ichinohe.iwate
+            ichinomiya.aichi ichinomiya.chiba ichinoseki.iwate icurus ide.kyoto iheya.okinawa iida.nagano
+            iide.yamagata iijima.nagano iitate.fukushima iiyama.nagano iizuka.fukuoka iizuna.nagano
+            ikaruga.nara ikata.ehime ikawa.akita ikeda.fukui ikeda.gifu ikeda.hokkaido ikeda.nagano
+            ikeda.osaka iki.nagasaki ikoma.nara ikusaka.nagano imabari.ehime imakane.hokkaido imari.saga
+            imizu.toyama ina.ibaraki ina.nagano ina.saitama inabe.mie inagawa.hyogo inagi.tokyo inami.toyama
+            inami.wakayama inashiki.ibaraki inatsuki.fukuoka inawashiro.fukushima inazawa.aichi ine.kyoto
+            ino.kochi inuyama.aichi inzai.chiba iruma.saitama isa.kagoshima isahaya.nagasaki ise.mie
+            isehara.kanagawa isen.kagoshima isesaki.gunma ishigaki.okinawa ishikari.hokkaido ishikawa
+            ishikawa.fukushima ishikawa.okinawa ishinomaki.miyagi isshiki.aichi isumi.chiba itabashi.tokyo
+            itako.ibaraki itakura.gunma itami.hyogo itano.tokushima itayanagi.aomori itigo ito.shizuoka
+            itoigawa.niigata itoman.okinawa iwade.wakayama iwafune.tochigi iwaizumi.iwate iwaki.fukushima
+            iwakuni.yamaguchi iwakura.aichi iwama.ibaraki iwamizawa.hokkaido iwanai.hokkaido iwanuma.miyagi
+            iwata.shizuoka iwate iwate.iwate iwatsuki.saitama iyo.ehime izena.okinawa izu.shizuoka
+            izumi.kagoshima izumi.osaka izumiotsu.osaka izumisano.osaka izumizaki.fukushima izumo.shimane
+            izumozaki.niigata izunokuni.shizuoka jellybean jinsekikogen.hiroshima joboji.iwate
+            joetsu.niigata johana.toyama joso.ibaraki joyo.kyoto kadena.okinawa kadogawa.miyazaki
+            kadoma.osaka kaga.ishikawa kagami.kochi kagamiishi.fukushima kagamino.okayama kagawa kagoshima
+            kagoshima.kagoshima kaho.fukuoka kahoku.ishikawa kahoku.yamagata kai.yamanashi kainan.tokushima
+            kainan.wakayama kaisei.kanagawa kaita.hiroshima kaizuka.osaka kakamigahara.gifu
+            kakegawa.shizuoka kakinoki.shimane kakogawa.hyogo kakuda.miyagi kamagaya.chiba kamaishi.iwate
+            kamakura.kanagawa kameoka.kyoto kameyama.mie kami.kochi kami.miyagi kamiamakusa.kumamoto
+            kamifurano.hokkaido kamigori.hyogo kamiichi.toyama kamiizumi.saitama kamijima.ehime
+            kamikawa.hokkaido kamikawa.hyogo kamikawa.saitama kamikitayama.nara kamikoani.akita
+            kamimine.saga kaminokawa.tochigi kaminoyama.yamagata kamioka.akita kamisato.saitama
+            kamishihoro.hokkaido kamisu.ibaraki kamisunagawa.hokkaido kamitonda.wakayama kamitsue.oita
+            kamo.kyoto kamo.niigata kamoenai.hokkaido kamogawa.chiba kanagawa kanan.osaka kanazawa.ishikawa
+            kanegasaki.iwate kaneyama.fukushima kaneyama.yamagata kani.gifu kanie.aichi kanmaki.nara
+            kanna.gunma kannami.shizuoka kanonji.kagawa kanoya.kagoshima kanra.gunma kanuma.tochigi
+            kanzaki.saga karasuyama.tochigi karatsu.saga kariwa.niigata kariya.aichi karuizawa.nagano
+            karumai.iwate kasahara.gifu kasai.hyogo kasama.ibaraki kasamatsu.gifu kasaoka.okayama
+            kashiba.nara kashihara.nara kashima.ibaraki kashima.saga kashiwa.chiba kashiwara.osaka
+            kashiwazaki.niigata kasuga.fukuoka kasuga.hyogo kasugai.aichi kasukabe.saitama
+            kasumigaura.ibaraki kasuya.fukuoka katagami.akita katano.osaka katashina.gunma katori.chiba
+            katsuragi.nara katsuragi.wakayama katsushika.tokyo katsuura.chiba katsuyama.fukui kawaba.gunma
+            kawachinagano.osaka kawagoe.mie kawagoe.saitama kawaguchi.saitama kawahara.tottori kawai.iwate
+            kawai.nara kawaiishop kawajima.saitama kawakami.nagano kawakami.nara kawakita.ishikawa
+            kawamata.fukushima kawaminami.miyazaki kawanabe.kagoshima kawanehon.shizuoka kawanishi.hyogo
+            kawanishi.nara kawanishi.yamagata kawara.fukuoka kawasaki.miyagi kawatana.nagasaki kawaue.gifu
+            kawazu.shizuoka kayabe.hokkaido kazo.saitama kazuno.akita keisen.fukuoka kembuchi.hokkaido
+            kibichuo.okayama kiho.mie kihoku.ehime kijo.miyazaki kikirara kikonai.hokkaido kikuchi.kumamoto
+            kikugawa.shizuoka kill kilo kimino.wakayama kimitsu.chiba kimobetsu.hokkaido kin.okinawa
+            kinko.kagoshima kinokawa.wakayama kira.aichi kiryu.gunma kisarazu.chiba kishiwada.osaka
+            kiso.nagano kisofukushima.nagano kisosaki.mie kita.kyoto kita.osaka kita.tokyo kitaaiki.nagano
+            kitaakita.akita kitadaito.okinawa kitagata.gifu kitagata.saga kitagawa.kochi kitagawa.miyazaki
+            kitahata.saga kitahiroshima.hokkaido kitakami.iwate kitakata.fukushima kitakata.miyazaki
+            kitami.hokkaido kitamoto.saitama kitanakagusuku.okinawa kitashiobara.fukushima kitaura.miyazaki
+            kitayama.wakayama kiwa.mie kiyama.saga kiyokawa.kanagawa kiyosato.hokkaido kiyose.tokyo
+            kiyosu.aichi kizu.kyoto kobayashi.miyazaki kochi kochi.kochi kodaira.tokyo kofu.yamanashi
+            koga.fukuoka koga.ibaraki koganei.tokyo koge.tottori koka.shiga kokonoe.oita kokubunji.tokyo
+            komae.tokyo komagane.nagano komaki.aichi komatsu.ishikawa komatsushima.tokushima komono.mie
+            komoro.nagano konan.aichi konan.shiga koori.fukushima koriyama.fukushima koryo.nara
+            kosai.shizuoka kosaka.akita kosei.shiga koshigaya.saitama koshimizu.hokkaido koshu.yamanashi
+            kosuge.yamanashi kota.aichi koto.shiga koto.tokyo kotohira.kagawa kotoura.tottori kouhoku.saga
+            kounosu.saitama kouyama.kagoshima kouzushima.tokyo koya.wakayama koza.wakayama kozagawa.wakayama
+            kozaki.chiba kuchinotsu.nagasaki kudamatsu.yamaguchi kudoyama.wakayama kui.hiroshima kuji.iwate
+            kuju.oita kujukuri.chiba kuki.saitama kumagaya.saitama kumakogen.ehime kumamoto
+            kumamoto.kumamoto kumano.hiroshima kumano.mie kumatori.osaka kumejima.okinawa kumenan.okayama
+            kumiyama.kyoto kunigami.okinawa kunimi.fukushima kunisaki.oita kunitachi.tokyo kunitomi.miyazaki
+            kunneppu.hokkaido kunohe.iwate kurashiki.okayama kurate.fukuoka kure.hiroshima kuriyama.hokkaido
+            kurobe.toyama kurogi.fukuoka kuroishi.aomori kuroiso.tochigi kuromatsunai.hokkaido kuron
+            kurotaki.nara kurume.fukuoka kusatsu.gunma kusatsu.shiga kushima.miyazaki kushimoto.wakayama
+            kushiro.hokkaido kusu.oita kutchan.hokkaido kuwana.mie kuzumaki.iwate kyonan.chiba
+            kyotamba.kyoto kyotanabe.kyoto kyotango.kyoto kyoto kyowa.akita kyowa.hokkaido kyuragi.saga lg
+            littlestar lolipopmc lolitapunk lomo lovepop lovesick machida.tokyo maebashi.gunma maibara.shiga
+            main maizuru.kyoto makinohara.shizuoka makurazaki.kagoshima mamurogawa.yamagata maniwa.okayama
+            manno.kagawa marugame.kagawa marumori.miyagi masaki.ehime mashike.hokkaido mashiki.kumamoto
+            mashiko.tochigi masuda.shimane matsubara.osaka matsubushi.saitama matsuda.kanagawa matsudo.chiba
+            matsue.shimane matsukawa.nagano matsumae.hokkaido matsumoto.kagoshima matsumoto.nagano
+            matsuno.ehime matsusaka.mie matsushige.tokushima matsushima.miyagi matsuura.nagasaki
+            matsuyama.ehime matsuzaki.shizuoka meguro.tokyo meiwa.gunma meiwa.mie miasa.nagano mibu.tochigi
+            midori.chiba midori.gunma mie mifune.kumamoto mihama.aichi mihama.chiba mihama.fukui mihama.mie
+            mihama.wakayama mihara.hiroshima mihara.kochi miharu.fukushima miho.ibaraki mikasa.hokkaido
+            mikawa.yamagata miki.hyogo mima.tokushima mimata.miyazaki minakami.gunma minamata.kumamoto
+            minami-alps.yamanashi minami.fukuoka minami.kyoto minami.tokushima minamiaiki.nagano
+            minamiashigara.kanagawa minamiawaji.hyogo minamiboso.chiba minamidaito.okinawa
+            minamiechizen.fukui minamifurano.hokkaido minamiise.mie minamiizu.shizuoka minamimaki.nagano
+            minamiminowa.nagano minamioguni.kumamoto minamisanriku.miyagi minamitane.kagoshima
+            minamiuonuma.niigata minamiyamashiro.kyoto minano.saitama minato.osaka minato.tokyo mino.gifu
+            minobu.yamanashi minoh.osaka minokamo.gifu minowa.nagano misaki.okayama misaki.osaka
+            misasa.tottori misato.akita misato.miyagi misato.saitama misato.shimane misato.wakayama
+            misawa.aomori mishima.fukushima mishima.shizuoka misugi.mie mitaka.tokyo mitake.gifu
+            mitane.akita mito.ibaraki mitou.yamaguchi mitoyo.kagawa mitsue.nara mitsuke.niigata
+            miura.kanagawa miyada.nagano miyagi miyake.nara miyako.fukuoka miyako.iwate miyakonojo.miyazaki
+            miyama.fukuoka miyama.mie miyashiro.saitama miyawaka.fukuoka miyazaki miyazaki.miyazaki
+            miyazu.kyoto miyoshi.aichi miyoshi.hiroshima miyoshi.saitama miyoshi.tokushima miyota.nagano
+            mizuho.tokyo mizumaki.fukuoka mizunami.gifu mizusawa.iwate mobara.chiba mochizuki.nagano mods
+            moka.tochigi mombetsu.hokkaido mond mongolian moo moriguchi.osaka morimachi.shizuoka
+            morioka.iwate moriya.ibaraki moriyama.shiga moriyoshi.akita morotsuka.miyazaki moroyama.saitama
+            moseushi.hokkaido motegi.tochigi motobu.okinawa motosu.gifu motoyama.kochi mugi.tokushima
+            muika.niigata mukawa.hokkaido muko.kyoto munakata.fukuoka murakami.niigata murata.miyagi
+            murayama.yamagata muroran.hokkaido muroto.kochi musashimurayama.tokyo musashino.tokyo
+            mutsu.aomori mutsuzawa.chiba myoko.niigata nabari.mie nachikatsuura.wakayama nagahama.shiga
+            nagai.yamagata nagano nagano.nagano naganohara.gunma nagaoka.niigata nagaokakyo.kyoto
+            nagara.chiba nagareyama.chiba nagasaki nagasaki.nagasaki nagasu.kumamoto nagato.yamaguchi
+            nagatoro.saitama nagawa.nagano nagi.okayama nagiso.nagano nago.okinawa naha.okinawa nahari.kochi
+            naie.hokkaido naka.hiroshima naka.ibaraki nakadomari.aomori nakagawa.fukuoka nakagawa.hokkaido
+            nakagawa.nagano nakagawa.tokushima nakagusuku.okinawa nakagyo.kyoto nakai.kanagawa
+            nakama.fukuoka nakamichi.yamanashi nakamura.kochi nakaniikawa.toyama nakano.nagano nakano.tokyo
+            nakanojo.gunma nakanoto.ishikawa nakasatsunai.hokkaido nakatane.kagoshima nakatombetsu.hokkaido
+            nakatsugawa.gifu nakayama.yamagata nakijin.okinawa namaste namegata.ibaraki namegawa.saitama
+            namerikawa.toyama namie.fukushima namikata.ehime nanae.hokkaido nanao.ishikawa nanbu.tottori
+            nanbu.yamanashi nango.fukushima nanjo.okinawa nankoku.kochi nanmoku.gunma nanporo.hokkaido
+            nantan.kyoto nanto.toyama nanyo.yamagata naoshima.kagawa nara nara.nara narashino.chiba
+            narita.chiba narusawa.yamanashi naruto.tokushima nasu.tochigi nasushiobara.tochigi natori.miyagi
+            nayoro.hokkaido ne nemuro.hokkaido nerima.tokyo neyagawa.osaka nichinan.miyazaki
+            nichinan.tottori niigata niigata.niigata niihama.ehime niikappu.hokkaido niimi.okayama
+            niiza.saitama nikaho.akita niki.hokkaido nikita nikko.tochigi ninohe.iwate ninomiya.kanagawa
+            nirasaki.yamanashi nishi.fukuoka nishi.osaka nishiaizu.fukushima nishiarita.saga
+            nishiawakura.okayama nishiazai.shiga nishigo.fukushima nishihara.kumamoto nishihara.okinawa
+            nishiizu.shizuoka nishikata.tochigi nishikatsura.yamanashi nishikawa.yamagata nishimera.miyazaki
+            nishinomiya.hyogo nishinoomote.kagoshima nishinoshima.shimane nishio.aichi nishiokoppe.hokkaido
+            nishitosa.kochi nishiwaki.hyogo nisshin.aichi niyodogawa.kochi nobeoka.miyazaki
+            noboribetsu.hokkaido nobushi noda.chiba noda.iwate nogata.fukuoka nogi.tochigi noheji.aomori
+            nomi.ishikawa nonoichi.ishikawa noor nose.osaka nosegawa.nara noshiro.akita noto.ishikawa
+            notogawa.shiga nozawaonsen.nagano numata.gunma numata.hokkaido numazu.shizuoka nyuzen.toyama
+            oamishirasato.chiba oarai.ibaraki obama.fukui obama.nagasaki obanazawa.yamagata obihiro.hokkaido
+            obira.hokkaido obu.aichi obuse.nagano ochi.kochi odate.akita odawara.kanagawa oe.yamagata
+            ofunato.iwate oga.akita ogaki.gifu ogano.saitama ogasawara.tokyo ogata.akita ogawa.ibaraki
+            ogawa.nagano ogawa.saitama ogawara.miyagi ogi.saga ogimi.okinawa ogori.fukuoka ogose.saitama
+            oguchi.aichi oguni.kumamoto oguni.yamagata oharu.aichi ohda.shimane ohi.fukui ohira.miyagi
+            ohira.tochigi ohkura.yamagata ohtawara.tochigi oi.kanagawa oirase.aomori oishida.yamagata
+            oiso.kanagawa oita oita.oita oizumi.gunma oji.nara ojiya.niigata okagaki.fukuoka okawa.fukuoka
+            okawa.kochi okaya.nagano okayama okayama.okayama okazaki.aichi okegawa.saitama oketo.hokkaido
+            oki.fukuoka okinawa okinawa.okinawa okinoshima.shimane okoppe.hokkaido okuizumo.shimane
+            okuma.fukushima okutama.tokyo omachi.nagano omachi.saga omaezaki.shizuoka ome.tokyo omi.nagano
+            omi.niigata omigawa.chiba omihachiman.shiga omitama.ibaraki omiya.saitama omotego.fukushima
+            omura.nagasaki omuta.fukuoka onagawa.miyagi onga.fukuoka onjuku.chiba onna.okinawa ono.fukui
+            ono.fukushima ono.hyogo onojo.fukuoka onomichi.hiroshima ookuwa.nagano oops ooshika.nagano or
+            ora.gunma osaka osakasayama.osaka osaki.miyagi osakikamijima.hiroshima oseto.nagasaki
+            oshima.tokyo oshima.yamaguchi oshino.yamanashi oshu.iwate ota.gunma ota.tokyo otake.hiroshima
+            otaki.chiba otaki.nagano otaki.saitama otama.fukushima otari.nagano otaru.hokkaido oto.fukuoka
+            otobe.hokkaido otofuke.hokkaido otoineppu.hokkaido otoyo.kochi otsu.shiga otsuchi.iwate
+            otsuki.kochi otsuki.yamanashi ouchi.saga ouda.nara oumu.hokkaido owani.aomori owariasahi.aichi
+            oyabe.toyama oyama.tochigi oyamazaki.kyoto oyodo.nara ozora.hokkaido ozu.ehime ozu.kumamoto
+            parallel parasite pecori peewee penne pepper perma pigboat pinoko pippu.hokkaido punyu pupu
+            pussycat pya raindrop rankoshi.hokkaido ranzan.saitama readymade rebun.hokkaido rifu.miyagi
+            rikubetsu.hokkaido rikuzentakata.iwate rishiri.hokkaido rishirifuji.hokkaido ritto.shiga
+            rokunohe.aomori ryokami.saitama ryugasaki.ibaraki ryuoh.shiga sabae.fukui sadist sado.niigata
+            saga saga.saga sagae.yamagata sagamihara.kanagawa saigawa.fukuoka saijo.ehime saikai.nagasaki
+            saiki.oita saitama saitama.saitama saito.miyazaki saka.hiroshima sakado.saitama sakae.chiba
+            sakae.nagano sakahogi.gifu sakai.fukui sakai.ibaraki sakai.osaka sakaiminato.tottori
+            sakaki.nagano sakata.yamagata sakawa.kochi sakegawa.yamagata saku.nagano sakuho.nagano
+            sakura.chiba sakura.tochigi sakuragawa.ibaraki sakurai.nara sakyo.kyoto samegawa.fukushima
+            samukawa.kanagawa sanagochi.tokushima sanda.hyogo sango.nara sanjo.niigata sannan.hyogo
+            sannohe.aomori sano.tochigi sanuki.kagawa saroma.hokkaido sarufutsu.hokkaido sasaguri.fukuoka
+            sasayama.hyogo sasebo.nagasaki satosho.okayama satsumasendai.kagoshima satte.saitama
+            sayama.osaka sayama.saitama sayo.hyogo schoolbus secret seihi.nagasaki seika.kyoto seiro.niigata
+            seirou.niigata seiyo.ehime seki.gifu sekigahara.gifu sekikawa.niigata semboku.akita
+            semine.miyagi sennan.osaka sera.hiroshima seranishi.hiroshima setagaya.tokyo seto.aichi
+            setouchi.okayama settsu.osaka shakotan.hokkaido shari.hokkaido shibata.miyagi shibata.niigata
+            shibecha.hokkaido shibetsu.hokkaido shibukawa.gunma shibuya.tokyo shichikashuku.miyagi
+            shichinohe.aomori shiga shiiba.miyazaki shijonawate.osaka shika.ishikawa shikabe.hokkaido
+            shikama.miyagi shikaoi.hokkaido shikatsu.aichi shiki.saitama shikokuchuo.ehime shima.mie
+            shimabara.nagasaki shimada.shizuoka shimamaki.hokkaido shimamoto.osaka shimane shimane.shimane
+            shimizu.hokkaido shimizu.shizuoka shimoda.shizuoka shimodate.ibaraki shimofusa.chiba
+            shimogo.fukushima shimoichi.nara shimoji.okinawa shimokawa.hokkaido shimokitayama.nara
+            shimonita.gunma shimonoseki.yamaguchi shimosuwa.nagano shimotsuke.tochigi shimotsuma.ibaraki
+            shinagawa.tokyo shinanomachi.nagano shingo.aomori shingu.fukuoka shingu.hyogo shingu.wakayama
+            shinichi.hiroshima shinjo.nara shinjo.okayama shinjo.yamagata shinjuku.tokyo
+            shinkamigoto.nagasaki shinonsen.hyogo shinshinotsu.hokkaido shinshiro.aichi shinto.gunma
+            shintoku.hokkaido shintomi.miyazaki shinyoshitomi.fukuoka shiogama.miyagi shiojiri.nagano
+            shioya.tochigi shirahama.wakayama shirakawa.fukushima shirakawa.gifu shirako.chiba
+            shiranuka.hokkaido shiraoi.hokkaido shiraoka.saitama shirataka.yamagata shiriuchi.hokkaido
+            shiroi.chiba shiroishi.miyagi shiroishi.saga shirosato.ibaraki shishikui.tokushima shiso.hyogo
+            shisui.chiba shitara.aichi shiwa.iwate shizukuishi.iwate shizuoka shizuoka.shizuoka
+            shobara.hiroshima shonai.fukuoka shonai.yamagata shoo.okayama showa.fukushima showa.gunma
+            showa.yamanashi shunan.yamaguchi sobetsu.hokkaido sodegaura.chiba soeda.fukuoka soja.okayama
+            soka.saitama soma.fukushima soni.nara soo.kagoshima sosa.chiba sowa.ibaraki staba stripper sub
+            sue.fukuoka suginami.tokyo sugito.saitama suifu.ibaraki suita.osaka sukagawa.fukushima
+            sukumo.kochi sumida.tokyo sumita.iwate sumoto.hyogo sumoto.kumamoto sunagawa.hokkaido sunnyday
+            supersale susaki.kochi susono.shizuoka suwa.nagano suzaka.nagano suzu.ishikawa suzuka.mie
+            tabayama.yamanashi tabuse.yamaguchi tachiarai.fukuoka tachikawa.tokyo tadaoka.osaka tado.mie
+            tadotsu.kagawa tagajo.miyagi tagami.niigata tagawa.fukuoka tahara.aichi taiji.wakayama
+            taiki.hokkaido taiki.mie tainai.niigata taira.toyama taishi.hyogo taishi.osaka taishin.fukushima
+            taito.tokyo taiwa.miyagi tajimi.gifu tajiri.osaka taka.hyogo takagi.nagano takahagi.ibaraki
+            takahama.aichi takahama.fukui takaharu.miyazaki takahashi.okayama takahata.yamagata
+            takaishi.osaka takamatsu.kagawa takamori.kumamoto takamori.nagano takanabe.miyazaki
+            takanezawa.tochigi takaoka.toyama takarazuka.hyogo takasago.hyogo takasaki.gunma takashima.shiga
+            takasu.hokkaido takata.fukuoka takatori.nara takatsuki.osaka takatsuki.shiga takayama.gifu
+            takayama.gunma takayama.nagano takazaki.miyazaki takehara.hiroshima taketa.oita taketomi.okinawa
+            taki.mie takikawa.hokkaido takino.hyogo takinoue.hokkaido takko.aomori tako.chiba taku.saga
+            tama.tokyo tamakawa.fukushima tamaki.mie tamamura.gunma tamano.okayama tamatsukuri.ibaraki
+            tamayu.shimane tamba.hyogo tanabe.kyoto tanabe.wakayama tanagura.fukushima tanohata.iwate
+            tara.saga tarama.okinawa tarui.gifu tarumizu.kagoshima tatebayashi.gunma tateshina.nagano
+            tateyama.chiba tateyama.toyama tatsuno.hyogo tatsuno.nagano tawaramoto.nara tendo.yamagata
+            tenei.fukushima tenkawa.nara tenri.nara teshikaga.hokkaido theshop thick toba.mie tobe.ehime
+            tobetsu.hokkaido tobishima.aichi tochigi tochigi.tochigi tochio.niigata toda.saitama toei.aichi
+            toga.toyama togakushi.nagano togane.chiba togitsu.nagasaki togo.aichi togura.nagano
+            tohma.hokkaido tohnosho.chiba toho.fukuoka tokai.aichi tokai.ibaraki tokamachi.niigata
+            tokashiki.okinawa toki.gifu tokigawa.saitama tokoname.aichi tokorozawa.saitama tokushima
+            tokushima.tokushima tokuyama.yamaguchi tokyo tomakomai.hokkaido tomari.hokkaido tome.miyagi
+            tomi.nagano tomigusuku.okinawa tomika.gifu tomioka.gunma tomisato.chiba tomiya.miyagi
+            tomobe.ibaraki tonaki.okinawa tonami.toyama tondabayashi.osaka tone.ibaraki tonkotsu tono.iwate
+            tonosho.kagawa toon.ehime torahime.shiga toride.ibaraki tosa.kochi tosashimizu.kochi
+            toshima.tokyo tosu.saga tottori tottori.tottori towada.aomori toya.hokkaido toyako.hokkaido
+            toyama toyama.toyama toyo.kochi toyoake.aichi toyohashi.aichi toyokawa.aichi toyonaka.osaka
+            toyone.aichi toyono.osaka toyooka.hyogo toyosato.shiga toyota.aichi toyota.yamaguchi
+            toyotomi.hokkaido toyotsu.fukuoka toyoura.hokkaido tozawa.yamagata tsu.mie tsubame.niigata
+            tsubata.ishikawa tsubetsu.hokkaido tsuchiura.ibaraki tsuga.tochigi tsugaru.aomori tsuiki.fukuoka
+            tsukigata.hokkaido tsukiyono.gunma tsukuba.ibaraki tsukui.kanagawa tsukumi.oita tsumagoi.gunma
+            tsunan.niigata tsuno.kochi tsuno.miyazaki tsuru.yamanashi tsuruga.fukui tsurugashima.saitama
+            tsurugi.ishikawa tsuruoka.yamagata tsuruta.aomori tsushima.aichi tsushima.nagasaki
+            tsuwano.shimane tsuyama.okayama ube.yamaguchi uchihara.ibaraki uchiko.ehime uchinada.ishikawa
+            uchinomi.kagawa uda.nara udono.mie ueda.nagano ueno.gunma uenohara.yamanashi uji.kyoto
+            ujiie.tochigi ujitawara.kyoto uki.kumamoto ukiha.fukuoka umaji.kochi umi.fukuoka unazuki.toyama
+            under unnan.shimane unzen.nagasaki uonuma.niigata uozu.toyama upper urakawa.hokkaido
+            urasoe.okinawa urausu.hokkaido urawa.saitama urayasu.chiba ureshino.mie uruma.okinawa
+            uryu.hokkaido usa.oita user.aseinet.ne usercontent ushiku.ibaraki usui.fukuoka usuki.oita
+            utashinai.hokkaido utazu.kagawa uto.kumamoto utsunomiya.tochigi uwajima.ehime velvet verse
+            versus vivian wada.nagano wajiki.tokushima wajima.ishikawa wakasa.fukui wakasa.tottori wakayama
+            wakayama.wakayama wake.okayama wakkanai.hokkaido wakuya.miyagi wanouchi.gifu warabi.saitama
+            wassamu.hokkaido watarai.mie watari.miyagi watson wazuka.kyoto weblike whitesnow xn--0trq7p7nn
+            xn--1ctwo xn--1lqs03n xn--1lqs71d xn--2m4a15e xn--32vp30h xn--4it168d xn--4it797k xn--4pvxs
+            xn--5js045d xn--5rtp49c xn--5rtq34k xn--6btw5a xn--6orx2r xn--7t0a264c xn--8ltr62k xn--8pvr4u
+            xn--c3s14m xn--d5qv7z876c xn--djrs72d6uy xn--djty4k xn--efvn9s xn--ehqz56n xn--elqq16h
+            xn--f6qx53a xn--k7yn95e xn--kbrq7o xn--klt787d xn--kltp7d xn--kltx9a xn--klty5x xn--mkru45i
+            xn--nit225k xn--ntso0iqx3a xn--ntsq17g xn--pssu33l xn--qqqt11m xn--rht27z xn--rht3d xn--rht61e
+            xn--rny31h xn--tor131o xn--uist22h xn--uisz3g xn--uuwu58a xn--vgu402c xn--zbx025d yabu.hyogo
+            yabuki.fukushima yachimata.chiba yachiyo.chiba yachiyo.ibaraki yaese.okinawa yahaba.iwate
+            yahiko.niigata yaita.tochigi yaizu.shizuoka yakage.okayama yakumo.hokkaido yakumo.shimane
+            yamada.fukuoka yamada.iwate yamada.toyama yamaga.kumamoto yamagata yamagata.gifu
+            yamagata.ibaraki yamagata.nagano yamagata.yamagata yamaguchi yamakita.kanagawa yamamoto.miyagi
+            yamanakako.yamanashi yamanashi yamanashi.yamanashi yamanobe.yamagata yamanouchi.nagano
+            yamashina.kyoto yamato.fukushima yamato.kanagawa yamato.kumamoto yamatokoriyama.nara
+            yamatotakada.nara yamatsuri.fukushima yamazoe.nara yame.fukuoka yanagawa.fukuoka
+            yanaizu.fukushima yao.osaka yaotsu.gifu yasaka.nagano yashio.saitama yashiro.hyogo yasu.shiga
+            yasuda.kochi yasugi.shimane yasuoka.nagano yatomi.aichi yatsuka.shimane yatsushiro.kumamoto
+            yawara.ibaraki yawata.kyoto yawatahama.ehime yazu.tottori yoichi.hokkaido yoita.niigata
+            yoka.hyogo yokaichiba.chiba yokawa.hyogo yokkaichi.mie yokoshibahikari.chiba yokosuka.kanagawa
+            yokote.akita yokoze.saitama yomitan.okinawa yonabaru.okinawa yonago.tottori yonaguni.okinawa
+            yonezawa.yamagata yono.saitama yorii.saitama yoro.gifu yoshida.saitama yoshida.shizuoka
+            yoshikawa.saitama yoshimi.saitama yoshino.nara yoshinogari.saga yoshioka.gunma yotsukaido.chiba
+            yuasa.wakayama yufu.oita yugawa.fukushima yugawara.kanagawa yuki.ibaraki yukuhashi.fukuoka
+            yura.wakayama yurihonjo.akita yusuhara.kochi yusui.kagoshima yuu.yamaguchi yuza.yamagata
+            yuzawa.niigata zama.kanagawa zamami.okinawa zao.miyagi zentsuji.kagawa zombie zushi.kanagawa
+        jpmorgan:
+        jprs:
+        juegos:
+        juniper:
+        kaufen:
+        kddi:
+        ke: ac blogspot.co co go info me mobi ne or sc
+        kerryhotels:
+        kerrylogistics:
+        kerryproperties:
+        kfh:
+        kg: blog com edu gov io jp mil net org tv uk us
+        kh: *
+        ki: biz com edu gov info net org
+        kia:
+        kids:
+        kim:
+        kinder:
+        kindle:
+        kitchen:
+        kiwi:
+        km: ass asso com coop edu gouv gov medecin mil nom notaires org pharmaciens prd presse tm
+            veterinaire
+        kn: edu gov net org
+        koeln:
+        komatsu:
+        kosher:
+        kp: com edu gov org rep tra
+        kpmg:
+        kpn:
+        kr: ac blogspot busan chungbuk chungnam co daegu daejeon es gangwon go gwangju gyeongbuk gyeonggi
+            gyeongnam hs incheon jeju jeonbuk jeonnam kg mil ms ne or pe re sc seoul ulsan
+        krd: co edu
+        kred:
+        kuokgroup:
+        kw: com edu emb gov ind net org
+        ky: com edu net org
+        kyoto:
+        kz: com edu gov jcloud mil net org upaas.kazteleport
+        la: bnr c com edu gov info int net org per
+        lacaixa:
+        lamborghini:
+        lamer:
+        lancaster:
+        lancia:
+        land: dev.static sites.static static
+        landrover:
+        lanxess:
+        lasalle:
+        lat:
+        latino:
+        latrobe:
+        law:
+        lawyer:
+        lb: com edu gov net org
+        lc: co com edu gov net org oy
+        lds:
+        lease:
+        leclerc:
+        lefrak:
+        legal:
+        lego:
+        lexus:
+        lgbt:
+        li: blogspot caa
+        lidl:
+        life:
+        lifeinsurance:
+        lifestyle:
+        lighting:
+        like:
+        lilly:
+        limited:
+        limo:
+        lincoln:
+        linde:
+        link: *.dweb cyon mypep
+        lipsy:
+        live: hlx
+        living:
+        lk: ac assn com edu gov grp hotel int ltd net ngo org sch soc web
+        llc:
+        llp:
+        loan:
+        loans:
+        locker:
+        locus:
+        lol: omg
+        london:
+        lotte:
+        lotto:
+        love:
+        lpl:
+        lplfinancial:
+        lr: com edu gov net org
+        ls: ac biz co de edu gov info net org sc
+        lt: blogspot gov
+        ltd:
+        ltda:
+        lu: 123website blogspot
+        lundbeck:
+        luxe:
+        luxury:
+        lv: asn com conf edu gov id mil net org
+        ly: com edu gov id med net org plc sch
+        ma: ac co gov net org press
+        macys:
+        madrid:
+        maif:
+        maison:
+        makeup:
+        man:
+        management: router
+        mango:
+        map:
+        market:
+        marketing:
+        markets:
+        marriott:
+        marshalls:
+        maserati:
+        mattel:
+        mba:
+        mc: asso tm
+        mckinsey:
+        md: at blogspot de jp to
+        me: ac barsy brasilia c66 co daplie ddns diskstation dnsfor dscloud edgestack edu filegear
+            filegear-au filegear-de filegear-gb filegear-ie filegear-jp filegear-sg glitch gov hopto i234
+            its localhost.daplie loginto lohmus mcdir mcpe myds net nohost noip org priv ravendb
+            site.transip soundcast synology tcp4 vp4 webhop wedeploy yombo
+        med:
+        media: framer
+        meet:
+        melbourne:
+        meme:
+        memorial:
+        men:
+        menu: barsy
+        merckmsd:
+        mg: co com edu gov mil nom org prd tm
+        mh:
+        miami:
+        microsoft:
+        mil:
+        mini:
+        mint:
+        mit:
+        mitsubishi:
+        mk: blogspot com edu gov inf name net org
+        ml: com edu gouv gov net org presse
+        mlb:
+        mls:
+        mm: *
+        mma:
+        mn: edu gov nyc org
+        mo: com edu gov net org
+        mobi: barsy dscloud
+        mobile:
+        moda:
+        moe:
+        moi:
+        mom:
+        monash:
+        money:
+        monster:
+        mormon:
+        mortgage:
+        moscow:
+        moto:
+        motorcycles:
+        mov:
+        movie:
+        mp: ju
+        mq:
+        mr: blogspot gov
+        ms: com edu gov lab minisite net org
+        msd:
+        mt: blogspot.com com edu net org
+        mtn:
+        mtr:
+        mu: ac co com gov net or org
+        museum: academy agriculture air airguard alabama alaska amber ambulance american americana
+            americanantiques americanart amsterdam and annefrank anthro anthropology antiques aquarium
+            arboretum archaeological archaeology architecture art artanddesign artcenter artdeco
+            arteducation artgallery arts artsandcrafts asmatart assassination assisi association astronomy
+            atlanta austin australia automotive aviation axis badajoz baghdad bahn bale baltimore barcelona
+            baseball basel baths bauern beauxarts beeldengeluid bellevue bergbau berkeley berlin bern bible
+            bilbao bill birdart birthplace bonn boston botanical botanicalgarden botanicgarden botany
+            brandywinevalley brasil bristol british britishcolumbia broadcast brunel brussel brussels
+            bruxelles building burghof bus bushey cadaques california cambridge can canada capebreton
+            carrier cartoonart casadelamoneda castle castres celtic center chattanooga cheltenham
+            chesapeakebay chicago children childrens childrensgarden chiropractic chocolate christiansburg
+            cincinnati cinema circus civilisation civilization civilwar clinton clock coal coastaldefence
+            cody coldwar collection colonialwilliamsburg coloradoplateau columbia columbus communication
+            communications community computer computerhistory contemporary contemporaryart convent
+            copenhagen corporation corvette costume countryestate county crafts cranbrook creation cultural
+            culturalcenter culture cyber cymru dali dallas database ddr decorativearts delaware delmenhorst
+            denmark depot design detroit dinosaur discovery dolls donostia durham eastafrica eastcoast
+            education educational egyptian eisenbahn elburg elvendrell embroidery encyclopedic england
+            entomology environment environmentalconservation epilepsy essex estate ethnology exeter
+            exhibition family farm farmequipment farmers farmstead field figueres filatelia film fineart
+            finearts finland flanders florida force fortmissoula fortworth foundation francaise frankfurt
+            franziskaner freemasonry freiburg fribourg frog fundacio furniture gallery garden gateway
+            geelvinck gemological geology georgia giessen glas glass gorge grandrapids graz guernsey
+            halloffame hamburg handson harvestcelebration hawaii health heimatunduhren hellas helsinki
+            hembygdsforbund heritage histoire historical historicalsociety historichouses historisch
+            historisches history historyofscience horology house humanities illustration imageandsound
+            indian indiana indianapolis indianmarket intelligence interactive iraq iron isleofman jamison
+            jefferson jerusalem jewelry jewish jewishart jfk journalism judaica judygarland juedisches juif
+            karate karikatur kids koebenhavn koeln kunst kunstsammlung kunstunddesign labor labour lajolla
+            lancashire landes lans larsson lewismiller lincoln linz living livinghistory localhistory london
+            losangeles louvre loyalist lucerne luxembourg luzern mad madrid mallorca manchester mansion
+            mansions manx marburg maritime maritimo maryland marylhurst media medical medizinhistorisches
+            meeres memorial mesaverde michigan midatlantic military mill miners mining minnesota missile
+            missoula modern moma money monmouth monticello montreal moscow motorcycle muenchen muenster
+            mulhouse muncie museet museumcenter museumvereniging music national nationalfirearms
+            nationalheritage nativeamerican naturalhistory naturalhistorymuseum naturalsciences nature
+            naturhistorisches natuurwetenschappen naumburg naval nebraska neues newhampshire newjersey
+            newmexico newport newspaper newyork niepce norfolk north nrw nyc nyny oceanographic
+            oceanographique omaha online ontario openair oregon oregontrail otago oxford pacific paderborn
+            palace paleo palmsprings panama paris pasadena pharmacy philadelphia philadelphiaarea philately
+            phoenix photography pilots pittsburgh planetarium plantation plants plaza portal portland
+            portlligat posts-and-telecommunications preservation presidio press project public pubol quebec
+            railroad railway research resistance riodejaneiro rochester rockart roma russia saintlouis salem
+            salvadordali salzburg sandiego sanfrancisco santabarbara santacruz santafe saskatchewan satx
+            savannahga schlesisches schoenbrunn schokoladen school schweiz science science-fiction
+            scienceandhistory scienceandindustry sciencecenter sciencecenters sciencehistory sciences
+            sciencesnaturelles scotland seaport settlement settlers shell sherbrooke sibenik silk ski skole
+            society sologne soundandvision southcarolina southwest space spy square stadt stalbans starnberg
+            state stateofdelaware station steam steiermark stjohn stockholm stpetersburg stuttgart suisse
+            surgeonshall surrey svizzera sweden sydney tank tcm technology telekommunikation television
+            texas textile theater time timekeeping topology torino touch town transport tree trolley trust
+            trustee uhren ulm undersea university usa usantiques usarts uscountryestate usculture
+            usdecorativearts usgarden ushistory ushuaia uslivinghistory utah uvic valley vantaa versailles
+            viking village virginia virtual virtuel vlaanderen volkenkunde wales wallonie war washingtondc
+            watch-and-clock watchandclock western westfalen whaling wildlife williamsburg windmill workshop
+            xn--9dbhblg6di xn--comunicaes-v6a2o xn--correios-e-telecomunicaes-ghc29a xn--h1aegh xn--lns-qla
+            york yorkshire yosemite youth zoological zoology
+        music:
+        mutual:
+        mv: aero biz com coop edu gov info int mil museum name net org pro
+        mw: ac biz co com coop edu gov int museum net org
+        mx: blogspot com edu gob net org
+        my: biz blogspot com edu gov mil name net org
+        mz: ac adv co edu gov mil net org
+        na: ca cc co com dr in info mobi mx name or org pro school tv us ws
+        nab:
+        nagoya:
+        name: forgot.her forgot.his
+        natura:
+        navy:
+        nba:
+        nc: asso nom
+        ne:
+        nec:
+        net: *.cryptonomic *.hosting.ovh *.webpaas.ovh 1.azurestaticapps 2.azurestaticapps a.prod.fastly
+            a.ssl.fastly adobeaemcloud adobeio-static adobeioruntime akadns akamai akamai-staging akamaiedge
+            akamaiedge-staging akamaihd akamaihd-staging akamaiorigin akamaiorigin-staging akamaized
+            akamaized-staging alwaysdata appudo at-band-camp atl.jelastic.vps-host azure-mobile
+            azurestaticapps azurewebsites b.ssl.fastly bar0 bar1 bar2 barsy beta.tailscale bitbridge
+            blackbaudcdn blogdns boomla bounceme bplaced broke-it buyshouses casacam cdn-edges
+            cdn.prod.atlassian-dev cdn77-ssl centralus.azurestaticapps channelsdvr clickrising cloudaccess
+            cloudapp cloudfront cloudfunctions cloudjiffy cloudycluster community-pro dattolocal ddns debian
+            definima dnsalias dnsdojo dnsup does-it dontexist dsmynas dynalias dynathome dynu dynv6
+            eastasia.azurestaticapps eastus2.azurestaticapps eating-organic edgeapp edgekey edgekey-staging
+            edgesuite edgesuite-staging endofinternet familyds fastlylb faststacks feste-ip firewall-gateway
+            flynnhosting fr-1.paas.massivegrid fra1-de.cloudjiffy freetls.fastly from-az from-co from-la
+            from-ny gb gets-it global.prod.fastly global.ssl.fastly ham-radio-op heteml hicam homeftp homeip
+            homelinux homeunix hu in in-dsl in-the-band in-vpn iobb ipifony is-a-chef is-a-geek isa-geek
+            j.scaleforce jelastic.saveincloud jelastic.tsukaeru jls-sto1.elastx jls-sto2.elastx
+            jls-sto3.elastx jp kicks-ass kinghost knx-server krellian lon-1.paas.massivegrid
+            lon-2.paas.massivegrid map.fastly map.fastlylb meinforum memset moonscale myamaze mydatto
+            mydissent myeffect myfritz mymediapc mypsx mysecuritycamera myspreadshop nhlfan
+            njs.jelastic.vps-host no-ip nordeste-idc.saveincloud now-dns ny-1.paas.massivegrid
+            ny-2.paas.massivegrid office-on-the onavstack ownip pages.torproject pgafan podzone
+            privatizehealthinsurance r.cdn77 rackmaze redirectme reserve-online ric.jelastic.vps-host ru
+            schokokeks scrapper-site se seidat selfip sells-it senseering servebbs serveblog serveftp
+            serveminecraft sg-1.paas.massivegrid shopselect siteleaf soc.srcf square7 static-access
+            storage.yandexcloud supabase sytes t3l3p0rt thruhere torproject ts twmail u.channelsdvr uk uni5
+            user.srcf vpndns vps-host webhop website.yandexcloud west1-us.cloudjiffy
+            westeurope.azurestaticapps westus2.azurestaticapps yandexcloud za
+        netbank:
+        netflix:
+        network: *.alces arvo azimuth co tlon
+        neustar:
+        new:
+        news: noticeable
+        next:
+        nextdirect:
+        nexus:
+        nf: arts com firm info net other per rec store web
+        nfl:
+        ng: blogspot.com col com edu firm gen gov i ltd mil mobi name net ngo org sch
+        ngo:
+        nhk:
+        ni: ac biz co com edu gob in info int mil net nom org web
+        nico:
+        nike:
+        nikon:
+        ninja:
+        nissan:
+        nissay:
+        nl: *.transurl 123website blogspot cistron co demon gov hosting-cluster khplay myspreadshop
+        no: 123hjemmeside aa aarborte aejrie afjord agdenes ah aknoluokta akrehamn al alaheadju alesund
+            algard alstahaug alta alvdal amli amot andasuolo andebu andoy ardal aremark arendal arna aseral
+            asker askim askoy askvoll asnes audnedaln aukra aure aurland aurskog-holand austevoll austrheim
+            averoy badaddja bahcavuotna bahccavuotna baidar bajddar balat balestrand ballangen balsfjord
+            bamble bardu barum batsfjord bearalvahki beardu beiarn berg bergen berlevag bievat bindal
+            birkenes bjarkoy bjerkreim bjugn blogspot bo.nordland bo.telemark bodo bokn bomlo bremanger
+            bronnoy bronnoysund brumunddal bryne bu budejju bygland bykle cahcesuolo co davvenjarga
+            davvesiida deatnu dep dielddanuorri divtasvuodna divttasvuotna donna dovre drammen drangedal
+            drobak dyroy egersund eid eidfjord eidsberg eidskog eidsvoll eigersund elverum enebakk engerdal
+            etne etnedal evenassi evenes evje-og-hornnes farsund fauske fedje fet fetsund fhs finnoy fitjar
+            fjaler fjell fla flakstad flatanger flekkefjord flesberg flora floro fm folkebibl folldal forde
+            forsand fosnes frana fredrikstad frei frogn froland frosta froya fuoisku fuossko fusa fylkesbibl
+            fyresdal gaivuotna galsa gamvik gangaviika gaular gausdal giehtavuoatna gildeskal giske gjemnes
+            gjerdrum gjerstad gjesdal gjovik gloppen gol gran grane granvin gratangen grimstad grong grue
+            gs.aa gs.ah gs.bu gs.fm gs.hl gs.hm gs.jan-mayen gs.mr gs.nl gs.nt gs.of gs.ol gs.oslo gs.rl
+            gs.sf gs.st gs.svalbard gs.tm gs.tr gs.va gs.vf gulen guovdageaidnu ha habmer hadsel hagebostad
+            halden halsa hamar hamaroy hammarfeasta hammerfest hapmir haram hareid harstad hasvik
+            hattfjelldal haugesund hemne hemnes hemsedal herad heroy.more-og-romsdal heroy.nordland hitra
+            hjartdal hjelmeland hl hm hobol hof hokksund hol hole holmestrand holtalen honefoss hornindal
+            horten hoyanger hoylandet hurdal hurum hvaler hyllestad ibestad idrett inderoy iveland ivgu
+            jan-mayen jessheim jevnaker jolster jondal jorpeland kafjord karasjohka karasjok karlsoy karmoy
+            kautokeino kirkenes klabu klepp kommune kongsberg kongsvinger kopervik kraanghke kragero
+            kristiansand kristiansund krodsherad krokstadelva kvafjord kvalsund kvam kvanangen kvinesdal
+            kvinnherad kviteseid kvitsoy laakesvuemie lahppi langevag lardal larvik lavagis lavangen
+            leangaviika lebesby leikanger leirfjord leirvik leka leksvik lenvik lerdal lesja levanger lier
+            lierne lillehammer lillesand lindas lindesnes loabat lodingen lom loppa lorenskog loten lund
+            lunner luroy luster lyngdal lyngen malatvuopmi malselv malvik mandal marker marnardal masfjorden
+            masoy matta-varjjat meland meldal melhus meloy meraker midsund midtre-gauldal mil mjondalen
+            mo-i-rana moareke modalen modum molde mosjoen moskenes moss mosvik mr muosat museum myspreadshop
+            naamesjevuemie namdalseid namsos namsskogan nannestad naroy narviika narvik naustdal navuotna
+            nedre-eiker nes.akershus nes.buskerud nesna nesodden nesoddtangen nesseby nesset nissedal
+            nittedal nl nord-aurdal nord-fron nord-odal norddal nordkapp nordre-land nordreisa nore-og-uvdal
+            notodden notteroy nt odda of oksnes ol omasvuotna oppdal oppegard orkanger orkdal orland orskog
+            orsta os.hedmark os.hordaland osen oslo osoyro osteroy ostre-toten overhalla ovre-eiker oyer
+            oygarden oystre-slidre porsanger porsangu porsgrunn priv rade radoy rahkkeravju raholt raisa
+            rakkestad ralingen rana randaberg rauma rendalen rennebu rennesoy rindal ringebu ringerike
+            ringsaker risor rissa rl roan rodoy rollag romsa romskog roros rost royken royrvik ruovat rygge
+            salangen salat saltdal samnanger sande.more-og-romsdal sande.vestfold
+            sande.xn--mre-og-romsdal-qqb sandefjord sandnes sandnessjoen sandoy sarpsborg sauda sauherad sel
+            selbu selje seljord sf siellak sigdal siljan sirdal skanit skanland skaun skedsmo skedsmokorset
+            ski skien skierva skiptvet skjak skjervoy skodje slattum smola snaase snasa snillfjord snoasa
+            sogndal sogne sokndal sola solund somna sondre-land songdalen sor-aurdal sor-fron sor-odal
+            sor-varanger sorfold sorreisa sortland sorum spjelkavik spydeberg st stange stat stathelle
+            stavanger stavern steigen steinkjer stjordal stjordalshalsen stokke stor-elvdal stord stordal
+            storfjord strand stranda stryn sula suldal sund sunndal surnadal svalbard sveio svelvik
+            sykkylven tana tananger time tingvoll tinn tjeldsund tjome tm tokke tolga tonsberg torsken tr
+            trana tranby tranoy troandin trogstad tromsa tromso trondheim trysil tvedestrand tydal tynset
+            tysfjord tysnes tysvar ullensaker ullensvang ulvik unjarga utsira va vaapste vadso vaga vagan
+            vagsoy vaksdal valer.hedmark valer.ostfold valle vang vanylven vardo varggat varoy vefsn vega
+            vegarshei vennesla verdal verran vestby vestnes vestre-slidre vestre-toten vestvagoy vevelstad
+            vf vgs vik vikna vindafjord voagat volda voss vossevangen xn--andy-ira xn--asky-ira
+            xn--aurskog-hland-jnb xn--avery-yua xn--b-5ga.nordland xn--b-5ga.telemark xn--bdddj-mrabd
+            xn--bearalvhki-y4a xn--berlevg-jxa xn--bhcavuotna-s4a xn--bhccavuotna-k7a xn--bidr-5nac
+            xn--bievt-0qa xn--bjarky-fya xn--bjddar-pta xn--blt-elab xn--bmlo-gra xn--bod-2na xn--brnny-wuac
+            xn--brnnysund-m8ac xn--brum-voa xn--btsfjord-9za xn--davvenjrga-y4a xn--dnna-gra xn--drbak-wua
+            xn--dyry-ira xn--eveni-0qa01ga xn--finny-yua xn--fjord-lra xn--fl-zia xn--flor-jra xn--frde-gra
+            xn--frna-woa xn--frya-hra xn--ggaviika-8ya47h xn--gildeskl-g0a xn--givuotna-8ya xn--gjvik-wua
+            xn--gls-elac xn--h-2fa xn--hbmer-xqa xn--hcesuolo-7ya35b xn--hery-ira.nordland
+            xn--hery-ira.xn--mre-og-romsdal-qqb xn--hgebostad-g3a xn--hmmrfeasta-s4ac xn--hnefoss-q1a
+            xn--hobl-ira xn--holtlen-hxa xn--hpmir-xqa xn--hyanger-q1a xn--hylandet-54a xn--indery-fya
+            xn--jlster-bya xn--jrpeland-54a xn--karmy-yua xn--kfjord-iua xn--klbu-woa xn--koluokta-7ya57h
+            xn--krager-gya xn--kranghke-b0a xn--krdsherad-m8a xn--krehamn-dxa xn--krjohka-hwab49j
+            xn--ksnes-uua xn--kvfjord-nxa xn--kvitsy-fya xn--kvnangen-k0a xn--l-1fa xn--laheadju-7ya
+            xn--langevg-jxa xn--ldingen-q1a xn--leagaviika-52b xn--lesund-hua xn--lgrd-poac xn--lhppi-xqa
+            xn--linds-pra xn--loabt-0qa xn--lrdal-sra xn--lrenskog-54a xn--lt-liac xn--lten-gra xn--lury-ira
+            xn--mely-ira xn--merker-kua xn--mjndalen-64a xn--mlatvuopmi-s4a xn--mli-tla xn--mlselv-iua
+            xn--moreke-jua xn--mosjen-eya xn--mot-tla xn--msy-ula0h xn--mtta-vrjjat-k7af xn--muost-0qa
+            xn--nmesjevuemie-tcba xn--nry-yla5g xn--nttery-byae xn--nvuotna-hwa xn--oppegrd-ixa
+            xn--ostery-fya xn--osyro-wua xn--porsgu-sta26f xn--rady-ira xn--rdal-poa xn--rde-ula
+            xn--rdy-0nab xn--rennesy-v1a xn--rhkkervju-01af xn--rholt-mra xn--risa-5na xn--risr-ira
+            xn--rland-uua xn--rlingen-mxa xn--rmskog-bya xn--rros-gra xn--rskog-uua xn--rst-0na xn--rsta-fra
+            xn--ryken-vua xn--ryrvik-bya xn--s-1fa xn--sandnessjen-ogb xn--sandy-yua xn--seral-lra
+            xn--sgne-gra xn--skierv-uta xn--skjervy-v1a xn--skjk-soa xn--sknit-yqa xn--sknland-fxa
+            xn--slat-5na xn--slt-elab xn--smla-hra xn--smna-gra xn--snase-nra xn--sndre-land-0cb
+            xn--snes-poa xn--snsa-roa xn--sr-aurdal-l8a xn--sr-fron-q1a xn--sr-odal-q1a xn--sr-varanger-ggb
+            xn--srfold-bya xn--srreisa-q1a xn--srum-gra xn--stjrdal-s1a xn--stjrdalshalsen-sqb
+            xn--stre-toten-zcb xn--tjme-hra xn--tnsberg-q1a xn--trany-yua xn--trgstad-r1a xn--trna-woa
+            xn--troms-zua xn--tysvr-vra xn--unjrga-rta xn--vads-jra xn--vard-jra xn--vegrshei-c0a
+            xn--vestvgy-ixa6o xn--vg-yiab xn--vgan-qoa xn--vgsy-qoa0j xn--vler-qoa.hedmark
+            xn--vler-qoa.xn--stfold-9xa xn--vre-eiker-k8a xn--vrggt-xqad xn--vry-yla5g xn--yer-zna
+            xn--ygarden-p1a xn--ystre-slidre-ujb
+        nokia:
+        northwesternmutual:
+        norton:
+        now:
+        nowruz:
+        nowtv:
+        np: *
+        nr: biz com edu gov info net org
+        nra:
+        nrw:
+        ntt:
+        nu: enterprisecloud merseine mine shacknet
+        nyc:
+        nz: ac blogspot.co co cri geek gen govt health iwi kiwi maori mil net org parliament school
+            xn--mori-qsa
+        obi:
+        observer:
+        office:
+        okinawa:
+        olayan:
+        olayangroup:
+        oldnavy:
+        ollo:
+        om: co com edu gov med museum net org pro
+        omega:
+        one: homelink onred service staging.onred
+        ong:
+        onion:
+        onl:
+        online: barsy eero eero-stage
+        ooo:
+        open:
+        oracle:
+        orange: tech
+        org: accesscam ae al.eu altervista app.os.fedoraproject app.os.stg.fedoraproject asso.eu at.eu au.eu
+            barsy be.eu bg.eu blogdns blogsite bmoattachments boldlygoingnowhere c.cdn77 ca.eu cable-modem
+            camdvr cd.eu certmgr ch.eu cloud.fedoraproject cloudns cn.eu collegefan couchpotatofries cy.eu
+            cz.eu ddnss de.eu diskstation dk.eu dnsalias dnsdojo doesntexist dontexist doomdns dsmynas
+            duckdns dvrdns dynalias dyndns dynserv edu.eu ee.eu endofinternet endoftheinternet es.eu eu
+            familyds fedorainfracloud fedorapeople fi.eu fr.eu freeddns freedesktop from-me game-host
+            go.dyndns gotdns gr.eu hepforge hk hobby-site home.dyndns homedns homeftp homelinux homeunix
+            hopto hr.eu httpbin hu.eu ie.eu il.eu in-dsl in-vpn in.eu int.eu is-a-bruinsfan is-a-candidate
+            is-a-celticsfan is-a-chef is-a-geek is-a-knight is-a-linux-user is-a-patsfan is-a-soxfan
+            is-found is-lost is-saved is-very-bad is-very-evil is-very-good is-very-nice is-very-sweet is.eu
+            isa-geek it.eu jp.eu js kicks-ass kr.eu lt.eu lu.eu lv.eu mayfirst mc.eu me.eu misconfused mk.eu
+            mlbfan mozilla-iot mt.eu my-firewall my.eu myfirewall myftp mysecuritycamera mywire net.eu
+            nflfan ng.eu nl.eu no-ip no.eu now-dns nz.eu paris.eu pimienta pl.eu podzone poivron potager
+            pt.eu pubtls q-a.eu read-books readmyblog ro.eu rsc.cdn77 ru.eu s3.teckids se.eu selfip
+            sellsyourhome servebbs serveftp servegame si.eu sk.eu small-web spdns ssl.origin.cdn77-secure
+            stuff-4-sale sweetpepper tele.amune toolforge tr.eu tunk tuxfamily twmail ufcfan uk.eu us us.eu
+            webhop webredirect wmcloud wmflabs za zapto
+        organic:
+        origins:
+        osaka:
+        otsuka:
+        ott:
+        ovh: nerdpol
+        pa: abo ac com edu gob ing med net nom org sld
+        page: codeberg hlx hlx3 magnet pdns plesk prvcy rocky translated
+        panasonic:
+        paris:
+        pars:
+        partners:
+        parts:
+        party: ybo
+        passagens:
+        pay:
+        pccw:
+        pe: blogspot com edu gob mil net nom org
+        pet:
+        pf: com edu org
+        pfizer:
+        pg: *
+        ph: com edu gov i mil net ngo org
+        pharmacy:
+        phd:
+        philips:
+        phone:
+        photo:
+        photography:
+        photos: framer
+        physio:
+        pics:
+        pictet:
+        pictures: 1337
+        pid:
+        pin:
+        ping:
+        pink:
+        pioneer:
+        pizza:
+        pk: biz com edu fam gob gok gon gop gos gov info net org web
+        pl: agro aid ap.gov art atm augustow auto babia-gora bedzin beep beskidy bialowieza bialystok
+            bielawa bieszczady biz boleslawiec bydgoszcz bytom cieszyn co com czeladz czest dlugoleka
+            ecommerce-shop edu elblag elk gda gdansk gdynia gliwice glogow gmina gniezno gorlice gov grajewo
+            griw.gov gsm homesklep ic.gov ilawa info is.gov jaworzno jelenia-gora jgora kalisz karpacz
+            kartuzy kaszuby katowice kazimierz-dolny kepno ketrzyn klodzko kmpsp.gov kobierzyce kolobrzeg
+            konin konskowola konsulat.gov kppsp.gov krakow krasnik kutno kwp.gov kwpsp.gov lapy lebork
+            leczna legnica lezajsk limanowa lomza lowicz lubartow lubin lublin lukow mail malbork malopolska
+            mazowsze mazury med media miasta mielec mielno mil mragowo mup.gov mw.gov myspreadshop naklo net
+            nieruchomosci nom nowaruda nysa oirm.gov olawa olecko olkusz olsztyn opoczno opole org ostroda
+            ostroleka ostrowiec ostrowwlkp oum.gov pa.gov pc pila pinb.gov pisz piw.gov po.gov podhale
+            podlasie polkowice pomorskie pomorze poniatowa powiat poznan priv prochowice pruszkow przeworsk
+            psp.gov psse.gov pulawy pup.gov radom rawa-maz realestate rel rybnik rzeszow rzgw.gov sa.gov
+            sanok sdn.gov sdscloud sejny sex shop shoparena simplesite sklep sko.gov skoczow slask slupsk
+            so.gov sopot sos sosnowiec sr.gov stalowa-wola starachowice stargard starostwo.gov suwalki
+            swidnica swidnik swiebodzin swinoujscie szczecin szczytno szkola targi tarnobrzeg tgory tm
+            tourism travel turek turystyka tychy ug.gov ugim.gov um.gov umig.gov unicloud upow.gov uppo.gov
+            us.gov ustka uw.gov uzs.gov walbrzych warmia warszawa waw wegrow wielun wif.gov wiih.gov
+            winb.gov wios.gov witd.gov wiw.gov wlocl wloclawek wodzislaw wolomin wroc wroclaw wsa.gov
+            wskr.gov wuoz.gov wzmiuw.gov zachpomor zagan zakopane zarow zgora zgorzelec zp.gov
+        place: co
+        play:
+        playstation:
+        plumbing:
+        plus:
+        pm: name own
+        pn: co edu gov net org
+        pnc:
+        pohl:
+        poker:
+        politie:
+        porn: indie
+        post:
+        pr: ac biz com edu est gov info isla name net org pro prof
+        pramerica:
+        praxi:
+        press:
+        prime:
+        pro: aaa aca acct avocat bar barsy bci.dnstrace cloudns cpa eng jur law med recht
+        prod:
+        productions:
+        prof:
+        progressive:
+        promo:
+        properties:
+        property:
+        protection:
+        pru:
+        prudential:
+        ps: com edu gov net org plo sec
+        pt: 123paginaweb blogspot com edu gov int net nome org publ
+        pub: barsy
+        pw: belau cloudns co ed go ne or x443
+        pwc:
+        py: com coop edu gov mil net org
+        qa: blogspot com edu gov mil name net org sch
+        qpon:
+        quebec:
+        quest:
+        racing:
+        radio:
+        re: asso blogspot com nom
+        read:
+        realestate:
+        realtor:
+        realty:
+        recipes:
+        red:
+        redstone:
+        redumbrella:
+        rehab:
+        reise:
+        reisen:
+        reit:
+        reliance:
+        ren:
+        rent:
+        rentals:
+        repair:
+        report:
+        republican:
+        rest:
+        restaurant:
+        review: ybo
+        reviews:
+        rexroth:
+        rich:
+        richardli:
+        ricoh:
+        ril:
+        rio:
+        rip: clan
+        ro: arts barsy blogspot co com firm info nom nt org rec shop store tm www
+        rocher:
+        rocks: lima-city myddns webspace
+        rodeo:
+        rogers:
+        room:
+        rs: ac blogspot co edu gov in org ox shop.brendly ua
+        rsvp:
+        ru: *.hosting.myjino *.landing.myjino *.spectrum.myjino *.vps.myjino 123sait ac adygeya bashkiria
+            bir blogspot cbg com dagestan edu eurodir gov grozny hb.cldmail int jelastic.regruhosting
+            kalmykia kustanai lk3 marine mcdir mcpre mil mircloud mordovia msk myjino mytis na4u nalchik net
+            nov org pp pyatigorsk ras spb test vladikavkaz vladimir vps.mcdir
+        rugby:
+        ruhr:
+        run: *.build *.code *.database *.migration development hs onporter ravendb repl servers
+        rw: ac co coop gov mil net org
+        rwe:
+        ryukyu:
+        sa: com edu gov med net org pub sch
+        saarland:
+        safe:
+        safety:
+        sakura:
+        sale:
+        salon:
+        samsclub:
+        samsung:
+        sandvik:
+        sandvikcoromant:
+        sanofi:
+        sap:
+        sarl:
+        sas:
+        save:
+        saxo:
+        sb: com edu gov net org
+        sbi:
+        sbs:
+        sc: com edu gov net org
+        sca:
+        scb:
+        schaeffler:
+        schmidt:
+        scholarships:
+        school:
+        schule:
+        schwarz:
+        science: ybo
+        scot: edu gov service.gov
+        sd: com edu gov info med net org tv
+        se: 123minsida a ac b bd blogspot brand c com conf d e f fh fhsk fhv g h i iopsys itcouldbewor k
+            komforb kommunalforbund komvux l lanbib m myspreadshop n naturbruksgymn o org p parti pp press r
+            s su.paba t tm u w x y z
+        search:
+        seat:
+        secure:
+        security:
+        seek:
+        select:
+        sener:
+        services: loginline
+        seven:
+        sew:
+        sex:
+        sexy:
+        sfr:
+        sg: blogspot com edu enscaled gov net org per
+        sh: bc.platform bip com ent.platform eu.platform gov hashbang mil net now org us.platform vxl
+            wedeploy
+        shangrila:
+        sharp:
+        shaw:
+        shell:
+        shia:
+        shiksha:
+        shoes:
+        shop: barsy base hoplix
+        shopping:
+        shouji:
+        show:
+        showtime:
+        si: blogspot gitapp gitpage
+        silk:
+        sina:
+        singles:
+        site: *.cloudera *.platformsh *.tst barsy byen cyon fastvps fnwk folionetwork jele lelux loginline
+            mintere novecore omniwe opensocial srht
+        sj:
+        sk: blogspot
+        ski:
+        skin:
+        sky:
+        skype:
+        sl: com edu gov net org
+        sling:
+        sm:
+        smart:
+        smile:
+        sn: art blogspot com edu gouv org perso univ
+        sncf:
+        so: com edu gov me net org sch
+        soccer:
+        social:
+        softbank:
+        software:
+        sohu:
+        solar:
+        solutions: *.diher
+        song:
+        sony:
+        soy:
+        spa:
+        space: myfast uber xs4all
+        sport:
+        spot:
+        sr:
+        srl:
+        ss: biz com edu gov me net org sch
+        st: co com consulado edu embaixada mil net noho org principe saotome store
+        stada:
+        staples:
+        star:
+        statebank:
+        statefarm:
+        stc:
+        stcgroup:
+        stockholm:
+        storage:
+        store: sellfy shopware storebase
+        stream:
+        studio:
+        study:
+        style:
+        su: abkhazia adygeya aktyubinsk arkhangelsk armenia ashgabad azerbaijan balashov bashkiria bryansk
+            bukhara chimkent dagestan east-kazakhstan exnet georgia grozny ivanovo jambyl kalmykia kaluga
+            karacol karaganda karelia khakassia krasnodar kurgan kustanai lenug mangyshlak mordovia msk
+            murmansk nalchik navoi north-kazakhstan nov obninsk penza pokrovsk sochi spb tashkent termez
+            togliatti troitsk tselinograd tula tuva vladikavkaz vladimir vologda
+        sucks:
+        supplies:
+        supply:
+        support: barsy
+        surf:
+        surgery:
+        suzuki:
+        sv: com edu gob org red
+        swatch:
+        swiss:
+        sx: gov
+        sy: com edu gov mil net org
+        sydney:
+        systems: knightpoint
+        sz: ac co org
+        tab:
+        taipei:
+        talk:
+        taobao:
+        target:
+        tatamotors:
+        tatar:
+        tattoo:
+        tax:
+        taxi:
+        tc: ch me we
+        tci:
+        td: blogspot
+        tdk:
+        team: discourse jelastic
+        tech:
+        technology: co
+        tel:
+        temasek:
+        tennis:
+        teva:
+        tf: sch
+        tg:
+        th: ac co go in mi net online or shop
+        thd:
+        theater:
+        theatre:
+        tiaa:
+        tickets:
+        tienda:
+        tiffany:
+        tips:
+        tires:
+        tirol:
+        tj: ac biz co com edu go gov int mil name net nic org test web
+        tjmaxx:
+        tjx:
+        tk:
+        tkmaxx:
+        tl: gov
+        tm: co com edu gov mil net nom org
+        tmall:
+        tn: com ens fin gov ind info intl mincom nat net orangecloud org perso tourism
+        to: 611 com direct.quickconnect edu gov mil net nyan org oya rdv vpnplus
+        today: prequalifyme
+        tokyo:
+        tools:
+        top: now-dns ntdll
+        toray:
+        toshiba:
+        total:
+        tours:
+        town:
+        toyota:
+        toys:
+        tr: av bbs bel biz blogspot.com com dr edu gen gov gov.nc info k12 kep mil name nc net org pol tel
+            tsk tv web
+        trade: ybo
+        trading:
+        training:
+        travel:
+        travelchannel:
+        travelers:
+        travelersinsurance:
+        trust:
+        trv:
+        tt: aero biz co com coop edu gov info int jobs mobi museum name net org pro travel
+        tube:
+        tui:
+        tunes:
+        tushu:
+        tv: better-than dyndns on-the-web worse-than
+        tvs:
+        tw: blogspot club com ebiz edu game gov idv mil mymailer.com net org url xn--czrw28b xn--uc0atv
+            xn--zf0ao64a
+        tz: ac co go hotel info me mil mobi ne or sc tv
+        ua: biz cc cherkassy cherkasy chernigov chernihiv chernivtsi chernovtsy ck cn co com cr crimea cv cx
+            dn dnepropetrovsk dnipropetrovsk donetsk dp edu gov if in inf ivano-frankivsk kh kharkiv kharkov
+            kherson khmelnitskiy khmelnytskyi kiev kirovograd km kr krym ks kv kyiv lg lt ltd lugansk lutsk
+            lv lviv mk mykolaiv net nikolaev od odesa odessa org pl poltava pp rivne rovno rv sb sebastopol
+            sevastopol sm sumy te ternopil uz uzhgorod v vinnica vinnytsia vn volyn yalta zaporizhzhe
+            zaporizhzhia zhitomir zhytomyr zp zt
+        ubank:
+        ubs:
+        ug: ac blogspot co com go ne or org sc
+        uk: *.sch ac adimo.co affinitylottery.org api.gov barsy barsy.co barsyonline.co blogspot.co
+            campaign.gov co conn copro cust.retrosnub.co dh.bytemark.co glug.org gov homeoffice.gov hosp
+            independent-commission independent-inquest independent-inquiry independent-panel
+            independent-review j.layershift.co ltd lug.org lugs.org me myspreadshop.co net nh-serv.co nhs
+            no-ip.co org plc police public-inquiry pymnt raffleentry.org royal-commission service.gov
+            vm.bytemark.co weeklylottery.org wellbeingzone.co
+        unicom:
+        university:
+        uno:
+        uol:
+        ups:
+        us: ak al ann-arbor.mi ar as az ca cc.ak cc.al cc.ar cc.as cc.az cc.ca cc.co cc.ct cc.dc cc.de cc.fl
+            cc.ga cc.gu cc.hi cc.ia cc.id cc.il cc.in cc.ks cc.ky cc.la cc.ma cc.md cc.me cc.mi cc.mn cc.mo
+            cc.ms cc.mt cc.nc cc.nd cc.ne cc.nh cc.nj cc.nm cc.nv cc.ny cc.oh cc.ok cc.or cc.pa cc.pr cc.ri
+            cc.sc cc.sd cc.tn cc.tx cc.ut cc.va cc.vi cc.vt cc.wa cc.wi cc.wv cc.wy chtr.k12.ma cloudns co
+            cog.mi ct dc de dni drud dst.mi eaton.mi fed fl freeddns ga gen.mi golffan graphox gu hi ia id
+            il in is-by isa k12.ak k12.al k12.ar k12.as k12.az k12.ca k12.co k12.ct k12.dc k12.de k12.fl
+            k12.ga k12.gu k12.ia k12.id k12.il k12.in k12.ks k12.ky k12.la k12.ma k12.md k12.me k12.mi
+            k12.mn k12.mo k12.ms k12.mt k12.nc k12.ne k12.nh k12.nj k12.nm k12.nv k12.ny k12.oh k12.ok
+            k12.or k12.pa k12.pr k12.sc k12.tn k12.tx k12.ut k12.va k12.vi k12.vt k12.wa k12.wi k12.wy kids
+            ks ky la land-4-sale lib.ak lib.al lib.ar lib.as lib.az lib.ca lib.co lib.ct lib.dc lib.de
+            lib.fl lib.ga lib.gu lib.hi lib.ia lib.id lib.il lib.in lib.ks lib.ky lib.la lib.ma lib.md
+            lib.me lib.mi lib.mn lib.mo lib.ms lib.mt lib.nc lib.nd lib.ne lib.nh lib.nj lib.nm lib.nv
+            lib.ny lib.oh lib.ok lib.or lib.pa lib.pr lib.ri lib.sc lib.sd lib.tn lib.tx lib.ut lib.va
+            lib.vi lib.vt lib.wa lib.wi lib.wy ma md me mi mircloud mn mo ms mt mus.mi nc nd ne nh nj nm
+            noip nsn nv ny oh ok or pa paroch.k12.ma phx.enscaled platterp pointto pr pvt.k12.ma ri sc sd
+            stuff-4-sale tec.mi tn tx ut va vi vt wa washtenaw.mi wi wv wy
+        uy: blogspot.com com edu gub mil net org
+        uz: co com net org
+        va:
+        vacations:
+        vana:
+        vanguard:
+        vc: 0e com d.gv edu gov gv mil net org
+        ve: arts bib co com e12 edu firm gob gov info int mil net nom org rar rec store tec web
+        vegas:
+        ventures:
+        verisign:
+        versicherung:
+        vet:
+        vg: at
+        vi: co com k12 net org
+        viajes:
+        video:
+        vig:
+        viking:
+        villas:
+        vin:
+        vip:
+        virgin:
+        visa:
+        vision:
+        viva:
+        vivo:
+        vlaanderen:
+        vn: ac biz blogspot com edu gov health info int name net org pro
+        vodka:
+        volkswagen:
+        volvo:
+        vote:
+        voting:
+        voto:
+        voyage:
+        vu: blog cn com dev edu me net org
+        vuelos:
+        wales:
+        walmart:
+        walter:
+        wang:
+        wanggou:
+        watch:
+        watches:
+        weather:
+        weatherchannel:
+        webcam:
+        weber:
+        website: framer
+        wedding:
+        weibo:
+        weir:
+        wf: biz sch
+        whoswho:
+        wien:
+        wiki: framer
+        williamhill:
+        win:
+        windows:
+        wine:
+        winners:
+        wme:
+        wolterskluwer:
+        woodside:
+        work:
+        works:
+        world:
+        wow:
+        ws: *.advisor cloud66 com dyndns edu gov mypets net org
+        wtc:
+        wtf:
+        xbox:
+        xerox:
+        xfinity:
+        xihuan:
+        xin:
+        xn--11b4c3d:
+        xn--1ck2e1b:
+        xn--1qqw23a:
+        xn--2scrj9c:
+        xn--30rr7y:
+        xn--3bst00m:
+        xn--3ds443g:
+        xn--3e0b707e:
+        xn--3hcrj9c:
+        xn--3pxu8k:
+        xn--42c2d9a:
+        xn--45br5cyl:
+        xn--45brj9c:
+        xn--45q11c:
+        xn--4dbrk0ce: xn--4dbgdty6c xn--5dbhl8d xn--8dbq2a xn--hebda8b
+        xn--4gbrim:
+        xn--54b7fta0cc:
+        xn--55qw42g:
+        xn--55qx5d:
+        xn--5su34j936bgsg:
+        xn--5tzm5g:
+        xn--6frz82g:
+        xn--6qq986b3xl:
+        xn--80adxhks:
+        xn--80ao21a:
+        xn--80aqecdr1a:
+        xn--80asehdb:
+        xn--80aswg:
+        xn--8y0a063a:
+        xn--90a3ac: xn--80au xn--90azh xn--c1avg xn--d1at xn--o1ac xn--o1ach
+        xn--90ae:
+        xn--90ais:
+        xn--9dbq2a:
+        xn--9et52u:
+        xn--9krt00a:
+        xn--b4w605ferd:
+        xn--bck1b9a5dre4c:
+        xn--c1avg:
+        xn--c2br7g:
+        xn--cck2b3b:
+        xn--cckwcxetd:
+        xn--cg4bki:
+        xn--clchc0ea0b2g2a9gcd:
+        xn--czr694b:
+        xn--czrs0t:
+        xn--czru2d:
+        xn--d1acj3b:
+        xn--d1alf:
+        xn--e1a4c:
+        xn--eckvdtc9d:
+        xn--efvy88h:
+        xn--fct429k:
+        xn--fhbei:
+        xn--fiq228c5hs:
+        xn--fiq64b:
+        xn--fiqs8s:
+        xn--fiqz9s:
+        xn--fjq720a:
+        xn--flw351e:
+        xn--fpcrj9c3d:
+        xn--fzc2c9e2c:
+        xn--fzys8d69uvgm:
+        xn--g2xx48c:
+        xn--gckr3f0f:
+        xn--gecrj9c:
+        xn--gk3at1e:
+        xn--h2breg3eve:
+        xn--h2brj9c:
+        xn--h2brj9c8c:
+        xn--hxt814e:
+        xn--i1b6b1a6a2e:
+        xn--imr513n:
+        xn--io0a7i:
+        xn--j1aef:
+        xn--j1amh:
+        xn--j6w193g: xn--55qx5d xn--gmqw5a xn--mxtq1m xn--od0alg xn--uc0atv xn--wcvs22d
+        xn--jlq480n2rg:
+        xn--jvr189m:
+        xn--kcrx77d1x4a:
+        xn--kprw13d:
+        xn--kpry57d:
+        xn--kput3i:
+        xn--l1acc:
+        xn--lgbbat1ad8j:
+        xn--mgb2ddes:
+        xn--mgb9awbf:
+        xn--mgba3a3ejt:
+        xn--mgba3a4f16a:
+        xn--mgba3a4fra:
+        xn--mgba7c0bbn0a:
+        xn--mgbaakc7dvf:
+        xn--mgbaam7a8h:
+        xn--mgbab2bd:
+        xn--mgbah1a3hjkrd:
+        xn--mgbai9a5eva00b:
+        xn--mgbai9azgqp6j:
+        xn--mgbayh7gpa:
+        xn--mgbbh1a:
+        xn--mgbbh1a71e:
+        xn--mgbc0a9azcg:
+        xn--mgbca7dzdo:
+        xn--mgbcpq6gpa1a:
+        xn--mgberp4a5d4a87g:
+        xn--mgberp4a5d4ar:
+        xn--mgbgu82a:
+        xn--mgbi4ecexp:
+        xn--mgbpl2fh:
+        xn--mgbqly7c0a67fbc:
+        xn--mgbqly7cvafr:
+        xn--mgbt3dhd:
+        xn--mgbtf8fl:
+        xn--mgbtx2b:
+        xn--mgbx4cd0ab:
+        xn--mix082f:
+        xn--mix891f:
+        xn--mk1bu44c:
+        xn--mxtq1m:
+        xn--ngbc5azd:
+        xn--ngbe9e0a:
+        xn--ngbrx:
+        xn--nnx388a:
+        xn--node:
+        xn--nqv7f:
+        xn--nqv7fs00ema:
+        xn--nyqy26a:
+        xn--o3cw4h: xn--12c1fe0br xn--12cfi8ixb8l xn--12co0c3b4eva xn--h3cuzk1di xn--m3ch0j3a xn--o3cyx2a
+        xn--ogbpf8fl:
+        xn--otu796d:
+        xn--p1acf: xn--41a xn--80aaa0cvac xn--90a1af xn--90amc xn--c1avg xn--h1ahn xn--h1aliz xn--j1adp
+            xn--j1aef xn--j1ael8b
+        xn--p1ai:
+        xn--pgbs0dh:
+        xn--pssy2u:
+        xn--q7ce6a:
+        xn--q9jyb4c:
+        xn--qcka1pmc:
+        xn--qxa6a:
+        xn--qxam:
+        xn--rhqv96g:
+        xn--rovu88b:
+        xn--rvc1e0am3e:
+        xn--s9brj9c:
+        xn--ses554g:
+        xn--t60b56a:
+        xn--tckwe:
+        xn--tiq49xqyj:
+        xn--unup4y:
+        xn--vermgensberater-ctb:
+        xn--vermgensberatung-pwb:
+        xn--vhquv:
+        xn--vuq861b:
+        xn--w4r85el8fhu5dnra:
+        xn--w4rs40l:
+        xn--wgbh1c:
+        xn--wgbl6a:
+        xn--xhq521b:
+        xn--xkc2al3hye2a:
+        xn--xkc2dl3a5ee0h:
+        xn--y9a3aq:
+        xn--yfro4i67o:
+        xn--ygbi2ammx:
+        xn--zfr164b:
+        xxx:
+        xyz: *.telebit blogsite crafting localzone zapto
+        yachts:
+        yahoo:
+        yamaxun:
+        yandex:
+        ye: com edu gov mil net org
+        yodobashi:
+        yoga:
+        yokohama:
+        you:
+        youtube:
+        yt: org
+        yun:
+        za: ac agric alt blogspot.co co edu gov grondar law mil net ngo nic nis nom org school tm web
+        zappos:
+        zara:
+        zero:
+        zip:
+        zm: ac biz co com edu gov info mil net org sch
+        zone: *.triton cloud66 hs lima
+        zuerich:
+        zw: ac co gov mil org
+        `;
+
+        return Object.freeze({
+            PUBLIC_SUFFIX_DATE,
+            PUBLIC_SUFFIX_RULES
+        });
+    })();
+
+    // ---- core/punycode.mjs ----
+    const __core_punycode = (function () {
+        /**
+         * Password Mint Core - Punycode (RFC 3492)
+         *
+         * Converts internationalized domain names between Unicode and their ASCII
+         * "xn--" form, so "bücher.de" and "xn--bcher-kva.de" normalize to the same
+         * site. Labels are lowercased and NFC-normalized first; no other IDNA
+         * mapping is applied, since browsers disagree on some of it and site
+         * normalization must give the same result everywhere.
+         */
+
+        const BASE = 36;
+        const T_MIN = 1;
+        const T_MAX = 26;
+        const SKEW = 38;
+        const DAMP = 700;
+        const INITIAL_BIAS = 72;
+        const INITIAL_N = 128;
+        const PREFIX = 'xn--';
+
+        // Full stops some keyboards type instead of "."
+        const DOTS_RE = /[。．｡]/g;
+
+        function adaptBias(delta, numPoints, firstTime) {
+            let k = 0;
+            delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+            delta += Math.floor(delta / numPoints);
+            while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+                delta = Math.floor(delta / (BASE - T_MIN));
+                k += BASE;
+            }
+            return k + Math.floor((BASE - T_MIN + 1) * delta / (delta + SKEW));
+        }
+
+        function digitToChar(digit) {
+            return String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+        }
+
+        function charToDigit(code) {
+            if (code >= 48 && code <= 57) return code - 22;
+            if (code >= 97 && code <= 122) return code - 97;
+            if (code >= 65 && code <= 90) return code - 65;
+            return BASE;
+        }
+
+        /**
+         * Encode one label's code points as Punycode (without the "xn--" prefix).
+         *
+         * @param {string} label - Unicode label
+         * @returns {string} - Punycode
+         */
+        function encodeLabel(label) {
+            const codePoints = Array.from(label, char => char.codePointAt(0));
+            let output = codePoints.filter(code => code < 0x80).map(code => String.fromCharCode(code)).join('');
+            const basicLength = output.length;
+            let handled = basicLength;
+            if (basicLength) output += '-';
+
+            let n = INITIAL_N;
+            let delta = 0;
+            let bias = INITIAL_BIAS;
+
+            while (handled < codePoints.length) {
+                const next = Math.min(...codePoints.filter(code => code >= n));
+                delta += (next - n) * (handled + 1);
+                n = next;
+
+                for (const code of codePoints) {
+                    if (code < n) delta++;
+                    if (code !== n) continue;
+
+                    let q = delta;
+                    for (let k = BASE; ; k += BASE) {
+                        const t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+                        if (q < t) break;
+                        output += digitToChar(t + (q - t) % (BASE - t));
+                        q = Math.floor((q - t) / (BASE - t));
+                    }
+                    output += digitToChar(q);
+                    bias = adaptBias(delta, handled + 1, handled === basicLength);
+                    delta = 0;
+                    handled++;
+                }
+                delta++;
+                n++;
+            }
+            return output;
+        }
+
+        /**
+         * Decode one Punycode label (without the "xn--" prefix).
+         *
+         * @param {string} input - Punycode
+         * @returns {string} - Unicode label
+         */
+        function decodeLabel(input) {
+            const separator = input.lastIndexOf('-');
+            const codePoints = [];
+            for (let j = 0; j < Math.max(separator, 0); j++) {
+                if (input.charCodeAt(j) >= 0x80) throw new Error('Invalid Punycode: ' + input);
+                codePoints.push(input.charCodeAt(j));
+            }
+
+            let n = INITIAL_N;
+            let i = 0;
+            let bias = INITIAL_BIAS;
+
+            for (let index = separator > 0 ? separator + 1 : 0; index < input.length;) {
+                const oldI = i;
+                for (let w = 1, k = BASE; ; k += BASE) {
+                    if (index >= input.length) throw new Error('Invalid Punycode: ' + input);
+                    const digit = charToDigit(input.charCodeAt(index++));
+                    if (digit >= BASE) throw new Error('Invalid Punycode: ' + input);
+                    i += digit * w;
+                    const t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+                    if (digit < t) break;
+                    w *= BASE - t;
+                }
+                bias = adaptBias(i - oldI, codePoints.length + 1, oldI === 0);
+                n += Math.floor(i / (codePoints.length + 1));
+                i %= codePoints.length + 1;
+                if (n > 0x10ffff) throw new Error('Invalid Punycode: ' + input);
+                codePoints.splice(i++, 0, n);
+            }
+            return String.fromCodePoint(...codePoints);
+        }
+
+        /**
+         * Convert a domain name to its ASCII form. ASCII labels are only lowercased.
+         *
+         * @param {string} domain - e.g. "Bücher.de"
+         * @returns {string} - e.g. "xn--bcher-kva.de"
+         */
+        function domainToASCII(domain) {
+            return domain.normalize('NFC').toLowerCase().replace(DOTS_RE, '.').split('.')
+                .map(label => /[^\x00-\x7f]/.test(label) ? PREFIX + encodeLabel(label) : label)
+                .join('.');
+        }
+
+        /**
+         * Convert a domain name to Unicode for display. Labels that are not valid
+         * Punycode are left as they are.
+         *
+         * @param {string} domain - e.g. "xn--bcher-kva.de"
+         * @returns {string} - e.g. "bücher.de"
+         */
+        function domainToUnicode(domain) {
+            return domain.split('.').map(label => {
+                if (!label.toLowerCase().startsWith(PREFIX)) return label;
+                try {
+                    return decodeLabel(label.slice(PREFIX.length).toLowerCase());
+                } catch (error) {
+                    return label;
+                }
+            }).join('.');
+        }
+
+        return Object.freeze({
+            domainToASCII,
+            domainToUnicode
+        });
+    })();
+
+    // ---- core/domain.mjs ----
+    const __core_domain = (function () {
+        /**
+         * Password Mint Core - Registrable Domains
+         *
+         * Site normalization v2: reduces a site or URL to its registrable domain
+         * (the public suffix plus one label, like "bbc.co.uk" or "foo.github.io"),
+         * using the bundled Public Suffix List snapshot in psl.mjs. IP addresses
+         * are kept in canonical form, and anything that is not a host name (a
+         * single word like "github" or "localhost", or text with spaces) is used
+         * as a plain name.
+         */
+
+        const { PUBLIC_SUFFIX_RULES } = __core_psl;
+        const { domainToASCII } = __core_punycode;
+
+        let rules = null;
+
+        /**
+         * Parse the snapshot into a set of rules ("co.uk", "*.ck", "!www.ck").
+         *
+         * @returns {Set<string>} - Rules, in ASCII
+         */
+        function getRules() {
+            if (rules) return rules;
+
+            rules = new Set();
+            let tld = '';
+            for (const entry of PUBLIC_SUFFIX_RULES.trim().split(/\s+/)) {
+                if (entry.endsWith(':')) {
+                    // "uk:" starts the rules under a TLD
+                    tld = entry.slice(0, -1);
+                    rules.add(tld);
+                } else {
+                    rules.add(entry + '.' + tld);
+                }
+            }
+            return rules;
+        }
+
+        /**
+         * Find the public suffix of a host name with the Public Suffix List
+         * algorithm: an exception rule wins, otherwise the rule with the most
+         * labels, and an unlisted TLD is a suffix on its own.
+         *
+         * @param {string} host - ASCII host name, e.g. "news.bbc.co.uk"
+         * @returns {string} - Public suffix, e.g. "co.uk"
+         */
+        function getPublicSuffix(host) {
+            const list = getRules();
+            const labels = host.split('.');
+            let suffixLabels = 1;
+
+            for (let i = labels.length - 1; i >= 0; i--) {
+                const candidate = labels.slice(i).join('.');
+                if (list.has('!' + candidate)) {
+                    suffixLabels = labels.length - i - 1;
+                    break;
+                }
+                if (list.has(candidate) || (i < labels.length - 1 && list.has('*.' + labels.slice(i + 1).join('.')))) {
+                    suffixLabels = labels.length - i;
+                }
+            }
+            return labels.slice(labels.length - suffixLabels).join('.');
+        }
+
+        /**
+         * Parse a dotted-decimal IPv4 address.
+         *
+         * @param {string} host - Candidate address
+         * @returns {string|null} - Canonical address, or null
+         */
+        function parseIPv4(host) {
+            const parts = host.split('.');
+            if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+                return null;
+            }
+            return parts.map(Number).join('.');
+        }
+
+        /**
+         * Parse an IPv6 address and write it in its canonical form (RFC 5952):
+         * lowercase, no leading zeros, the longest run of zero groups as "::".
+         *
+         * @param {string} host - Candidate address, without brackets
+         * @returns {string|null} - Canonical address, or null
+         */
+        function parseIPv6(host) {
+            const halves = host.split('::');
+            if (halves.length > 2) return null;
+
+            const toGroups = text => {
+                if (!text) return [];
+                const parts = text.split(':');
+                const last = parts[parts.length - 1];
+                // An IPv4 tail ("::ffff:192.0.2.1") is two groups
+                if (last.includes('.')) {
+                    const ipv4 = parseIPv4(last);
+                    if (!ipv4) return null;
+                    const bytes = ipv4.split('.').map(Number);
+                    parts.splice(-1, 1, ((bytes[0] << 8) | bytes[1]).toString(16), ((bytes[2] << 8) | bytes[3]).toString(16));
+                }
+                return parts.every(part => /^[0-9a-f]{1,4}$/.test(part)) ? parts.map(part => parseInt(part, 16)) : null;
+            };
+
+            const head = toGroups(halves[0]);
+            const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+            if (!head || !tail) return null;
+
+            const missing = 8 - head.length - tail.length;
+            if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+            const groups = head.concat(new Array(missing).fill(0), tail);
+
+            // Longest run of two or more zero groups (the first, on a tie)
+            let bestStart = -1;
+            let bestLength = 1;
+            for (let i = 0; i < 8; i++) {
+                let end = i;
+                while (end < 8 && groups[end] === 0) end++;
+                if (end - i > bestLength) {
+                    bestStart = i;
+                    bestLength = end - i;
+                }
+            }
+
+            const hex = groups.map(group => group.toString(16));
+            if (bestStart === -1) return hex.join(':');
+            return hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLength).join(':');
+        }
+
+        /**
+         * Work out what a site or URL refers to.
+         *
+         * @param {string} input - Raw site or URL as typed by the user
+         * @returns {{site: string, kind: string, host: string, suffix?: string}} - The
+         *   normalized site; kind "domain" (registrable domain), "suffix" (the host is
+         *   itself a public suffix, used whole), "ip" or "name"; the host it came from;
+         *   and the public suffix of domains
+         */
+        function interpretSite(input) {
+            const text = input.trim().normalize('NFC').toLowerCase();
+
+            // Scheme, then path, query and fragment, then user name
+            let host = text.replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[\/?#]/)[0];
+            host = host.slice(host.lastIndexOf('@') + 1);
+
+            // IPv6 in brackets (with an optional port) or bare; otherwise drop the port
+            const bracketed = /^\[([^\]]*)\](?::\d*)?$/.exec(host);
+            if (bracketed || (host.match(/:/g) || []).length > 1) {
+                const ipv6 = parseIPv6(bracketed ? bracketed[1] : host);
+                if (ipv6) return { site: '[' + ipv6 + ']', kind: 'ip', host: '[' + ipv6 + ']' };
+            } else {
+                host = host.replace(/:\d*$/, '');
+            }
+            host = host.replace(/[.。．｡]+$/, '');
+
+            const ipv4 = parseIPv4(host);
+            if (ipv4) return { site: ipv4, kind: 'ip', host: ipv4 };
+
+            const ascii = domainToASCII(host);
+            const labels = ascii.split('.');
+            if (labels.length < 2 || labels.some(label => !/^[a-z0-9_-]+$/.test(label))) {
+                // Not a host name: a single word keeps its spelling, other text is used as typed
+                const name = labels.length === 1 && host && /^[^\s:@\/?#\[\]]+$/.test(host) ? host : text.replace(/\s+/g, ' ');
+                return { site: name, kind: 'name', host: name };
+            }
+
+            const suffix = getPublicSuffix(ascii);
+            if (suffix === ascii) {
+                return { site: ascii, kind: 'suffix', host: ascii, suffix };
+            }
+            const suffixLabels = suffix.split('.').length;
+            return { site: labels.slice(-suffixLabels - 1).join('.'), kind: 'domain', host: ascii, suffix };
+        }
+
+        return Object.freeze({
+            getPublicSuffix,
+            interpretSite
+        });
+    })();
+
+    // ---- core/normalize.mjs ----
+    const __core_normalize = (function () {
+        /**
+         * Password Mint Core - Input Normalization
+         *
+         * Site normalization and master phrase hardening. Both are part of the
+         * deterministic pipeline: any behavior change here changes passwords.
+         *
+         * Site normalization is versioned like the algorithms. v1 strips a fixed
+         * list of subdomains and endings; v2 keeps the registrable domain from the
+         * Public Suffix List (domain.mjs). Versions after v1 add a salt tag, so the
+         * same normalized text from two versions never gives the same password.
+         * Versions with bundledAliases resolve the bundled alias groups of
+         * aliases.mjs, which are written in their terms.
+         *
+         * Accounts and identity names are normalized here too, so the salt and
+         * the profile store read them the same way.
+         */
+
+        const { interpretSite } = __core_domain;
+        const { domainToUnicode } = __core_punycode;
+        const { PUBLIC_SUFFIX_DATE } = __core_psl;
+
+        const DEFAULT_NORMALIZATION = 'v1';
+
+        const IDENTITY_NAME_MAX_LENGTH = 40;
+
+        const NORMALIZATIONS = Object.freeze({
+            v1: Object.freeze({
+                id: 'v1',
+                label: 'v1 — name only',
+                description: 'Drops common subdomains and a fixed list of endings, so bbc.com and bbc.co.uk are both "bbc".',
+                saltTag: '',
+                bundledAliases: false,
+                normalize: normalizeSiteV1
+            }),
+            v2: Object.freeze({
+                id: 'v2',
+                label: 'v2 — registrable domain',
+                description: 'Keeps the registrable domain from the Public Suffix List of ' + PUBLIC_SUFFIX_DATE +
+                    ', like bbc.co.uk or foo.github.io; IP addresses and plain names are kept whole.',
+                saltTag: 'v2',
+                bundledAliases: true,
+                normalize: input => interpretSite(input).site
+            })
+        });
+
+        /**
+         * Look up a site normalization version.
+         *
+         * @param {string} id - Normalization id, e.g. "v2"
+         * @returns {Object} - Registry entry
+         */
+        function getNormalization(id) {
+            if (!Object.prototype.hasOwnProperty.call(NORMALIZATIONS, id)) {
+                throw new Error('Unknown site normalization: ' + id);
+            }
+            return NORMALIZATIONS[id];
+        }
+
+        /**
+         * Normalize a site/URL input to a consistent format.
+         *
+         * @param {string} input - Raw site or URL as typed by the user
+         * @param {string} [normalization='v1'] - Key of NORMALIZATIONS
+         * @returns {string} - Normalized site identifier used in the salt
+         */
+        function normalizeSite(input, normalization = DEFAULT_NORMALIZATION) {
+            return getNormalization(normalization).normalize(input);
+        }
+
+        /**
+         * Explain in one sentence how a site will be read, for a preview while typing.
+         *
+         * @param {string} input - Raw site or URL as typed by the user
+         * @param {string} [normalization='v1'] - Key of NORMALIZATIONS
+         * @returns {string} - e.g. "Uses the domain bbc.co.uk (news.bbc.co.uk is part of it)."
+         */
+        function describeSite(input, normalization = DEFAULT_NORMALIZATION) {
+            const site = normalizeSite(input, normalization);
+            const parsed = interpretSite(input);
+
+            if (normalization === 'v1') {
+                // v1 drops the ending v2 would keep, so other sites may share the name
+                return parsed.kind === 'domain' && parsed.site !== site
+                    ? 'Uses "' + site + '": the ending of ' + parsed.site + ' is dropped, so sites with other endings share it.'
+                    : 'Uses "' + site + '".';
+            }
+
+            const unicode = domainToUnicode(site);
+            const shown = unicode === site ? site : site + ' (' + unicode + ')';
+            if (parsed.kind === 'ip') {
+                return 'Uses the IP address ' + site + '.';
+            }
+            if (parsed.kind === 'name') {
+                return 'Uses "' + site + '" as a name, not a web address' +
+                    (/^[a-z0-9-]+$/.test(site) && site !== 'localhost' ? ': ' + site + '.com would give a different password.' : '.');
+            }
+            if (parsed.kind === 'suffix') {
+                return shown + ' is shared by many sites, so it is used whole. Include the site\'s own part, like name.' + site + '.';
+            }
+            return 'Uses the domain ' + shown + (parsed.host !== site ? ' (' + domainToUnicode(parsed.host) + ' is part of it).' : '.');
+        }
+
+        /**
+         * Site normalization v1.
+         * - Trims whitespace
+         * - Converts to lowercase
+         * - Removes protocol (http/https)
+         * - Removes common subdomains (www, mail, m, app, etc.)
+         * - Removes path, query, fragment, port
+         * - Extracts base domain name (strips common TLDs)
+         *
+         * Examples:
+         *   "Yahoo" → "yahoo"
+         *   "yahoo.com" → "yahoo"
+         *   "YAHOO.COM" → "yahoo"
+         *   "https://www.yahoo.com/mail" → "yahoo"
+         *   "mail.yahoo.com" → "yahoo" (common subdomain stripped)
+         *   "GitHub.com" → "github"
+         *   "github" → "github"
+         *   "m.facebook.com" → "facebook"
+         *
+         * @param {string} input - Raw site or URL as typed by the user
+         * @returns {string} - Normalized site identifier used in the salt
+         */
+        function normalizeSiteV1(input) {
+            let site = input.trim().toLowerCase();
+
+            // Remove protocol
+            site = site.replace(/^https?:\/\//, '');
+
+            // Remove common subdomains (www, mail, m, app, etc.)
+            site = site.replace(/^(www|mail|m|app|mobile|login|signin|auth|account|accounts|my|portal|secure|api|cdn|static|assets|media|images|img|files|docs|help|support)\./, '');
+
+            // If it looks like a URL (has path, query, fragment, or port)
+            if (site.includes('/') || site.includes('?') || site.includes('#') || site.includes(':')) {
+                // Remove path, query, fragment
+                site = site.split('/')[0];
+                site = site.split('?')[0];
+                site = site.split('#')[0];
+                // Remove port if present
+                site = site.split(':')[0];
+            }
+
+            // Common TLDs to strip (single-level TLDs)
+            const commonTLDs = [
+                '.com', '.org', '.net', '.edu', '.gov', '.io', '.co', '.app',
+                '.dev', '.ai', '.me', '.tv', '.info', '.biz', '.xyz', '.online',
+                '.site', '.tech', '.store', '.shop', '.blog', '.cloud', '.pro',
+                '.to', '.ly', '.gg', '.fm', '.cc', '.ws', '.vc', '.la', '.link',
+                '.live', '.world', '.space', '.fun', '.one', '.network', '.social'
+            ];
+
+            // Common country-code TLDs
+            const countryTLDs = [
+                '.uk', '.us', '.ca', '.au', '.de', '.fr', '.jp', '.cn', '.in',
+                '.br', '.ru', '.it', '.es', '.nl', '.se', '.no', '.dk', '.fi',
+                '.pl', '.be', '.at', '.ch', '.nz', '.ie', '.sg', '.hk', '.kr',
+                '.za', '.mx', '.ar', '.cl', '.pe', '.co', '.ve', '.my', '.ph',
+                '.id', '.th', '.vn', '.tw', '.tr', '.ae', '.sa', '.eg', '.il'
+            ];
+
+            // Common compound TLDs (country + type)
+            const compoundTLDs = [
+                '.co.uk', '.co.in', '.co.jp', '.co.nz', '.co.za', '.co.kr',
+                '.com.au', '.com.br', '.com.mx', '.com.sg', '.com.hk',
+                '.org.uk', '.net.au', '.ac.uk', '.gov.uk', '.edu.au'
+            ];
+
+            // First check compound TLDs (longer matches first)
+            for (const tld of compoundTLDs) {
+                if (site.endsWith(tld)) {
+                    site = site.slice(0, -tld.length);
+                    break;
+                }
+            }
+
+            // Then check single TLDs if no compound was found
+            if (site.includes('.')) {
+                for (const tld of [...commonTLDs, ...countryTLDs]) {
+                    if (site.endsWith(tld)) {
+                        site = site.slice(0, -tld.length);
+                        break;
+                    }
+                }
+            }
+
+            // Safety: if normalization resulted in empty string, return original (trimmed, lowercased)
+            if (!site) {
+                site = input.trim().toLowerCase();
+            }
+
+            return site;
+        }
+
+        /**
+         * Normalize an account (username or email) for the salt: trimmed, Unicode
+         * NFC and lowercase, so "Me@Work.com " and "me@work.com" are one account.
+         *
+         * @param {string} [account] - Account as typed, or empty for none
+         * @returns {string} - Normalized account ('' for none)
+         */
+        function normalizeAccount(account) {
+            if (account === undefined || account === null) return '';
+            if (typeof account !== 'string') {
+                throw new Error('Account must be text.');
+            }
+            return account.trim().normalize('NFC').toLowerCase();
+        }
+
+        /**
+         * Normalize an identity name for the salt: trimmed, Unicode NFC, lowercase,
+         * with runs of spaces collapsed, so "Work " and "work" are one identity.
+         *
+         * @param {string} [name] - Identity name as typed, or empty for the default identity
+         * @returns {string} - Normalized name ('' for the default identity)
+         */
+        function normalizeIdentity(name) {
+            if (name === undefined || name === null) return '';
+            if (typeof name !== 'string') {
+                throw new Error('Identity must be text.');
+            }
+
+            const normalized = name.trim().normalize('NFC').toLowerCase().replace(/\s+/g, ' ');
+            if (normalized.length > IDENTITY_NAME_MAX_LENGTH) {
+                throw new Error('Identity names can be at most ' + IDENTITY_NAME_MAX_LENGTH + ' characters.');
+            }
+            if (normalized === 'default') {
+                throw new Error('"Default" is the identity without a name; choose another name.');
+            }
+            return normalized;
+        }
+
+        /**
+         * Convert a string to a Uint8Array (UTF-8 encoding).
+         *
+         * @param {string} str - Text to encode
+         * @returns {Uint8Array} - UTF-8 bytes
+         */
+        function stringToBytes(str) {
+            return new TextEncoder().encode(str);
+        }
+
+        /**
+         * Normalize a master phrase the way hardenPhrase() does first: trimmed,
+         * lowercase, with runs of whitespace collapsed to one space. A normalized
+         * phrase hardens to the same value as the phrase it came from.
+         *
+         * @param {string} phrase - The user's raw master phrase
+         * @returns {string} - The normalized phrase
+         */
+        function normalizePhrase(phrase) {
+            return phrase
+                .trim()
+                .toLowerCase()
+                .replace(/\s+/g, ' ');
+        }
+
+        /**
+         * Harden a master phrase for enhanced security.
+         *
+         * This function normalizes user input and adds deterministic complexity,
+         * making the phrase more resistant to attacks while remaining user-friendly.
+         *
+         * Transformations:
+         * 1. Trim leading/trailing whitespace
+         * 2. Convert to lowercase (normalization)
+         * 3. Collapse multiple spaces to single space
+         * 4. Deterministically capitalize 1-2 words based on phrase content
+         * 5. Add deterministic suffix (symbol + digit + symbol)
+         *
+         * Example:
+         *   Input:  "  My iPhone  purchase in INDIA  "
+         *   Output: "my IPHONE purchase in india ELEC!7@" (example transformation)
+         *
+         * The same input ALWAYS produces the same output (deterministic).
+         *
+         * @param {string} phrase - The user's raw master phrase
+         * @returns {string} - The hardened phrase ready for PBKDF2
+         */
+        function hardenPhrase(phrase) {
+            // Step 1: Normalize - trim, lowercase, collapse spaces
+            let normalized = normalizePhrase(phrase);
+
+            // If empty after normalization, return as-is (validation will catch it)
+            if (!normalized) {
+                return normalized;
+            }
+
+            // Step 2: Generate a deterministic seed from the normalized phrase
+            // Using a simple but effective hash (djb2 variant)
+            let seed = 5381;
+            for (let i = 0; i < normalized.length; i++) {
+                seed = ((seed << 5) + seed) ^ normalized.charCodeAt(i);
+                seed = seed >>> 0; // Convert to unsigned 32-bit
+            }
+
+            // Step 3: Deterministically capitalize words
+            const words = normalized.split(' ');
+
+            if (words.length >= 2) {
+                // Capitalize 2 words at deterministic positions
+                const pos1 = seed % words.length;
+                const pos2 = Math.floor(seed / words.length) % words.length;
+
+                words[pos1] = words[pos1].toUpperCase();
+                if (pos2 !== pos1 && words.length > 2) {
+                    words[pos2] = words[pos2].toUpperCase();
+                }
+            } else if (words.length === 1 && words[0].length > 0) {
+                // Single word: capitalize first letter
+                words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+            }
+
+            // Step 4: Generate deterministic suffix
+            // Using carefully chosen symbols that work across most password policies
+            const symbols = '!@#$%^&*';
+            const digits = '23456789'; // Excluding 0 and 1 (ambiguous)
+
+            const sym1 = symbols[seed % symbols.length];
+            const dig1 = digits[(seed >> 4) % digits.length];
+            const sym2 = symbols[(seed >> 8) % symbols.length];
+
+            // Step 5: Combine: words + suffix
+            const hardened = words.join(' ') + sym1 + dig1 + sym2;
+
+            return hardened;
+        }
+
+        return Object.freeze({
+            DEFAULT_NORMALIZATION,
+            IDENTITY_NAME_MAX_LENGTH,
+            NORMALIZATIONS,
+            getNormalization,
+            normalizeSite,
+            describeSite,
+            normalizeAccount,
+            normalizeIdentity,
+            stringToBytes,
+            normalizePhrase,
+            hardenPhrase
+        });
+    })();
+
+    // ---- core/aliases.mjs ----
+    const __core_aliases = (function () {
+        /**
+         * Password Mint Core - Site Aliases
+         *
+         * Some services sign in on several domains with one account (outlook.com
+         * and live.com, amazon.de and amazon.com). An alias maps a normalized site
+         * to the canonical site whose password it shares; the canonical site is what
+         * goes into the salt, and what profiles and policies are keyed by.
+         *
+         * The bundled groups are written as registrable domains, so they apply with
+         * site normalization v2 only, and v1 passwords never change unless the user
+         * adds an alias. Like the Public Suffix List snapshot, the groups are part
+         * of v2 and frozen. User aliases apply with either version and take
+         * precedence; a user alias of null keeps a site out of its bundled group.
+         */
+
+        const { DEFAULT_NORMALIZATION, getNormalization } = __core_normalize;
+
+        // Bundled groups: canonical site → the sites that share its password
+        const SITE_ALIASES = Object.freeze({
+            'amazon.com': Object.freeze([
+                'amazon.ca', 'amazon.co.uk', 'amazon.com.au', 'amazon.com.mx', 'amazon.de',
+                'amazon.es', 'amazon.fr', 'amazon.ie', 'amazon.in', 'amazon.it', 'amazon.nl'
+            ]),
+            'apple.com': Object.freeze(['icloud.com']),
+            'google.com': Object.freeze(['gmail.com', 'google.co.uk', 'google.de', 'youtube.com']),
+            'microsoft.com': Object.freeze(['hotmail.com', 'live.com', 'msn.com', 'outlook.com', 'xbox.com'])
+        });
+
+        let bundledLookup = null;
+
+        /**
+         * Map each bundled alias to its canonical site.
+         *
+         * @returns {Object<string, string>} - Alias → canonical site
+         */
+        function getBundledLookup() {
+            if (!bundledLookup) {
+                bundledLookup = Object.create(null);
+                for (const canonical of Object.keys(SITE_ALIASES)) {
+                    for (const alias of SITE_ALIASES[canonical]) bundledLookup[alias] = canonical;
+                }
+            }
+            return bundledLookup;
+        }
+
+        /**
+         * Validate user aliases.
+         *
+         * @param {Object<string, string|null>} [aliases] - Normalized site → canonical site, or null to turn off its bundled alias
+         * @returns {Object<string, string|null>} - Validated copy (no prototype, sorted by site)
+         */
+        function normalizeAliases(aliases) {
+            const result = Object.create(null);
+            if (aliases === undefined || aliases === null) return result;
+            if (typeof aliases !== 'object' || Array.isArray(aliases)) {
+                throw new Error('Aliases must map sites to the site whose password they share.');
+            }
+
+            for (const site of Object.keys(aliases).sort()) {
+                const canonical = aliases[site];
+                if (!site.trim() || site !== site.trim()) {
+                    throw new Error('Alias sites must be normalized site names.');
+                }
+                if (canonical !== null && (typeof canonical !== 'string' || !canonical.trim() || canonical === site)) {
+                    throw new Error('The alias for ' + site + ' must be another site, or null.');
+                }
+                result[site] = canonical;
+            }
+
+            // One step only, so a site never depends on a chain of aliases
+            for (const site of Object.keys(result)) {
+                const canonical = result[site];
+                if (canonical !== null && typeof result[canonical] === 'string') {
+                    throw new Error(canonical + ' is itself an alias of ' + result[canonical] + '; alias ' + site + ' to ' + result[canonical] + ' instead.');
+                }
+            }
+            return result;
+        }
+
+        /**
+         * Resolve a normalized site to the canonical site whose password it shares.
+         * A user alias is applied first, then (for normalization versions with
+         * bundled aliases) the bundled group of the result.
+         *
+         * @param {string} normalizedSite - Output of normalizeSite()
+         * @param {string} [normalization='v1'] - Normalization version it came from
+         * @param {Object<string, string|null>} [aliases] - User aliases (see normalizeAliases())
+         * @returns {{site: string, aliasOf: string|null}} - Canonical site, and the site it was reached from (null when no alias applied)
+         */
+        function resolveSiteAlias(normalizedSite, normalization = DEFAULT_NORMALIZATION, aliases) {
+            const user = aliases || {};
+            const hasUserAlias = Object.prototype.hasOwnProperty.call(user, normalizedSite);
+
+            let site = normalizedSite;
+            if (hasUserAlias && user[normalizedSite] === null) {
+                return { site, aliasOf: null };
+            }
+            if (hasUserAlias) {
+                site = user[normalizedSite];
+            }
+
+            const bundled = getBundledLookup();
+            if (getNormalization(normalization).bundledAliases && bundled[site]) {
+                site = bundled[site];
+            }
+            return { site, aliasOf: site === normalizedSite ? null : normalizedSite };
+        }
+
+        /**
+         * Add imported aliases for sites that have none on this device. Entries
+         * that would form a chain with the current ones are left out.
+         *
+         * @param {Object<string, string|null>} current - Aliases on this device
+         * @param {Object<string, string|null>} incoming - Aliases being imported
+         * @returns {{aliases: Object<string, string|null>, added: string[]}} - Merged aliases and the sites added
+         */
+        function mergeAliases(current, incoming) {
+            let aliases = normalizeAliases(current);
+            const added = [];
+
+            for (const site of Object.keys(incoming).sort()) {
+                if (Object.prototype.hasOwnProperty.call(aliases, site)) continue;
+                try {
+                    aliases = normalizeAliases(Object.assign({}, aliases, { [site]: incoming[site] }));
+                    added.push(site);
+                } catch (error) {
+                    // Would chain through an alias on this device
+                }
+            }
+            return { aliases, added };
+        }
+
+        return Object.freeze({
+            SITE_ALIASES,
+            normalizeAliases,
+            resolveSiteAlias,
+            mergeAliases
+        });
+    })();
+
+    // ---- core/kdf.mjs ----
+    const __core_kdf = (function () {
+        /**
+         * Password Mint Core - Key Derivation (WebCrypto PBKDF2)
+         *
+         * Uses `globalThis.crypto.subtle`, which is available in browsers, Web
+         * Workers and Node.js 19+ (Node 16-18 can assign `require('crypto').webcrypto`).
+         */
+
+        const { CONFIG } = __core_config;
+        const { hardenPhrase, stringToBytes } = __core_normalize;
+
+        /**
+         * Get the SubtleCrypto implementation of the current environment.
+         *
+         * @returns {SubtleCrypto} - The WebCrypto subtle interface
+         */
+        function getSubtle() {
+            const cryptoImpl = globalThis.crypto;
+            if (!cryptoImpl || !cryptoImpl.subtle) {
+                throw new Error('Web Crypto API (crypto.subtle) is not available');
+            }
+            return cryptoImpl.subtle;
+        }
+
+        /**
+         * Import a (hardened) master phrase as a non-extractable PBKDF2 key.
+         *
+         * @param {string} masterPhrase - The user's master phrase
+         * @returns {Promise<CryptoKey>} - Key usable with pbkdf2Bits()
+         */
+        async function importPhraseKey(masterPhrase) {
+            return getSubtle().importKey(
+                'raw',
+                stringToBytes(masterPhrase),
+                'PBKDF2',
+                false,
+                ['deriveBits']
+            );
+        }
+
+        /**
+         * Import a raw master phrase, hardened, as a key to keep instead of the text.
+         *
+         * Every derivation accepts this key in place of the phrase, so a page that
+         * remembers the phrase can hold this handle, whose bytes script can never
+         * read back, and drop the text.
+         *
+         * @param {string} phrase - Raw master phrase
+         * @returns {Promise<CryptoKey>} - Non-extractable PBKDF2 key of the hardened phrase
+         */
+        async function importMasterPhrase(phrase) {
+            if (typeof phrase !== 'string' || !phrase) {
+                throw new Error('Please enter your master phrase.');
+            }
+            return importPhraseKey(hardenPhrase(phrase));
+        }
+
+        /**
+         * Check whether a value is a key from importMasterPhrase().
+         *
+         * @param {*} value - Value to check
+         * @returns {boolean} - True for a PBKDF2 key that can derive bits
+         */
+        function isPhraseKey(value) {
+            return Boolean(value) && typeof value === 'object' && Boolean(value.algorithm) &&
+                value.algorithm.name === 'PBKDF2' && Array.isArray(value.usages) && value.usages.includes('deriveBits');
+        }
+
+        /**
+         * Get the key for a master phrase given as text or as a key.
+         *
+         * @param {string|CryptoKey} phrase - Raw master phrase, or a key from importMasterPhrase()
+         * @returns {Promise<CryptoKey>} - Key usable with pbkdf2Bits() and the memory-hard KDFs
+         */
+        async function resolvePhraseKey(phrase) {
+            return isPhraseKey(phrase) ? phrase : importMasterPhrase(phrase);
+        }
+
+        /**
+         * Run PBKDF2-HMAC-SHA256 on an imported key.
+         *
+         * @param {CryptoKey} key - From importPhraseKey()
+         * @param {Uint8Array} salt - Salt bytes
+         * @param {number} iterations - Number of PBKDF2 iterations
+         * @param {number} byteLength - Output length in bytes
+         * @returns {Promise<Uint8Array>} - Derived bytes
+         */
+        async function pbkdf2Bits(key, salt, iterations, byteLength) {
+            const derivedBits = await getSubtle().deriveBits(
+                {
+                    name: 'PBKDF2',
+                    salt: salt,
+                    iterations: iterations,
+                    hash: CONFIG.HASH_ALGORITHM
+                },
+                key,
+                byteLength * 8 // bits
+            );
+
+            return new Uint8Array(derivedBits);
+        }
+
+        /**
+         * Derive bytes using PBKDF2 with WebCrypto API.
+         *
+         * @param {string} masterPhrase - The user's master phrase
+         * @param {string} salt - The salt string
+         * @param {number} iterations - Number of PBKDF2 iterations
+         * @returns {Promise<Uint8Array>} - Derived bytes
+         */
+        async function deriveBytes(masterPhrase, salt, iterations) {
+            // Import the master phrase as a key
+            const keyMaterial = await importPhraseKey(masterPhrase);
+
+            // Derive bits using PBKDF2
+            return pbkdf2Bits(keyMaterial, stringToBytes(salt), iterations, CONFIG.DERIVED_BYTES);
+        }
+
+        return Object.freeze({
+            getSubtle,
+            importPhraseKey,
+            importMasterPhrase,
+            isPhraseKey,
+            resolvePhraseKey,
+            pbkdf2Bits,
+            deriveBytes
+        });
+    })();
+
+    // ---- core/base32.mjs ----
+    const __core_base32 = (function () {
+        /**
+         * Password Mint Core - Base32
+         *
+         * RFC 4648 base32 without padding, shared by the recovery code and the
+         * recovery kit shares. Callers check the alphabet before decoding.
+         */
+
+        const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+        /**
+         * @param {Uint8Array} bytes - Bytes to encode
+         * @returns {string} - Base32 text; the last character is padded with zero bits
+         */
+        function toBase32(bytes) {
+            let text = '';
+            let buffer = 0;
+            let bits = 0;
+            for (const byte of bytes) {
+                buffer = (buffer << 8) | byte;
+                bits += 8;
+                while (bits >= 5) {
+                    bits -= 5;
+                    text += BASE32_ALPHABET[(buffer >> bits) & 31];
+                }
+                buffer &= (1 << bits) - 1;
+            }
+            if (bits) {
+                text += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+            }
+            return text;
+        }
+
+        /**
+         * @param {string} text - Base32 text (uppercase, no padding)
+         * @returns {Uint8Array} - Decoded bytes; leftover padding bits are dropped
+         */
+        function fromBase32(text) {
+            const bytes = [];
+            let buffer = 0;
+            let bits = 0;
+            for (const char of text) {
+                buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+                bits += 5;
+                if (bits >= 8) {
+                    bits -= 8;
+                    bytes.push((buffer >> bits) & 255);
+                }
+                buffer &= (1 << bits) - 1;
+            }
+            return Uint8Array.from(bytes);
+        }
+
+        return Object.freeze({
+            BASE32_ALPHABET,
+            toBase32,
+            fromBase32
+        });
+    })();
+
+    // ---- core/second-secret.mjs ----
+    const __core_second_secret = (function () {
+        /**
+         * Password Mint Core - Second Secret (Keyfile or Recovery Code)
+         *
+         * Anyone who learns the master phrase can regenerate every password. An
+         * optional second secret closes that gap: the bytes of a local keyfile, or
+         * a random secret shown once as a recovery code. With one set, the phrase
+         * alone no longer gives any password.
+         *
+         * It is mixed into the phrase key before any KDF runs:
+         *   digest = SHA-256("password-mint::second-secret" || 0x00 || secret)
+         *   key    = PBKDF2-HMAC-SHA256(phraseKey, "password-mint::second-secret" || 0x00 || digest, 1 iteration, 32 bytes)
+         * imported as a new non-extractable PBKDF2 key, which every security level
+         * then uses in place of the phrase key. With no second secret the phrase
+         * key is used unchanged, so existing passwords keep their values.
+         *
+         * The fingerprint shown for a secret comes from its own label, so it says
+         * which keyfile is active without revealing anything about the mixed key.
+         *
+         * Recovery code: 20 random bytes (160 bits) in RFC 4648 base32, then four
+         * check characters (the first 20 bits of SHA-256 over the label and the
+         * bytes), in groups of four: XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-CCCC.
+         */
+
+        const { stringToBytes } = __core_normalize;
+        const { getSubtle, pbkdf2Bits } = __core_kdf;
+        const { toBase32, fromBase32 } = __core_base32;
+
+        const SECOND_SECRET_LABEL = 'password-mint::second-secret';
+        const FINGERPRINT_LABEL = 'password-mint::second-secret-fingerprint';
+        const RECOVERY_CODE_LABEL = 'password-mint::recovery-code';
+
+        // Digits that base32 leaves out read as the letters they resemble
+        const BASE32_LOOKALIKES = { 0: 'O', 1: 'I', 8: 'B' };
+
+        const RECOVERY_CODE_BYTES = 20;
+
+        // Largest keyfile the page reads; the whole file is hashed in memory
+        const KEYFILE_MAX_BYTES = 16 * 1024 * 1024;
+
+        function concatBytes(...parts) {
+            const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+            let offset = 0;
+            for (const part of parts) {
+                out.set(part, offset);
+                offset += part.length;
+            }
+            return out;
+        }
+
+        async function labelledDigest(label, bytes) {
+            const digest = await getSubtle().digest('SHA-256', concatBytes(stringToBytes(label), new Uint8Array([0]), bytes));
+            return new Uint8Array(digest);
+        }
+
+        /**
+         * Check that a value can be a second secret.
+         *
+         * @param {*} secret - Value to check
+         * @returns {Uint8Array|null} - The secret, or null when none is set
+         */
+        function normalizeSecondSecret(secret) {
+            if (secret === undefined || secret === null) return null;
+            if (!(secret instanceof Uint8Array)) {
+                throw new Error('The second secret must be bytes (a keyfile or a recovery code).');
+            }
+            if (!secret.length) {
+                throw new Error('The keyfile is empty.');
+            }
+            return secret;
+        }
+
+        /**
+         * Mix a second secret into a phrase key.
+         *
+         * @param {CryptoKey} phraseKey - From importMasterPhrase() or resolvePhraseKey()
+         * @param {Uint8Array} [secret] - Keyfile bytes or a decoded recovery code
+         * @returns {Promise<CryptoKey>} - The phrase key itself without a secret, else a new non-extractable PBKDF2 key
+         */
+        async function mixSecondSecret(phraseKey, secret) {
+            const bytes = normalizeSecondSecret(secret);
+            if (!bytes) return phraseKey;
+
+            const digest = await labelledDigest(SECOND_SECRET_LABEL, bytes);
+            const salt = concatBytes(stringToBytes(SECOND_SECRET_LABEL), new Uint8Array([0]), digest);
+            const mixed = await pbkdf2Bits(phraseKey, salt, 1, 32);
+
+            return getSubtle().importKey('raw', mixed, 'PBKDF2', false, ['deriveBits']);
+        }
+
+        /**
+         * Short fingerprint of a second secret, to show which one is active.
+         *
+         * @param {Uint8Array} secret - Keyfile bytes or a decoded recovery code
+         * @returns {Promise<string>} - Eight hex digits in two groups, e.g. "3fa2-91c0"
+         */
+        async function secondSecretFingerprint(secret) {
+            const bytes = normalizeSecondSecret(secret);
+            if (!bytes) {
+                throw new Error('No second secret is set.');
+            }
+
+            const digest = await labelledDigest(FINGERPRINT_LABEL, bytes);
+            const hex = Array.from(digest.subarray(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+            return hex.slice(0, 4) + '-' + hex.slice(4);
+        }
+
+        async function recoveryCheck(bytes) {
+            return toBase32(await labelledDigest(RECOVERY_CODE_LABEL, bytes)).slice(0, 4);
+        }
+
+        /**
+         * Write a recovery code for secret bytes.
+         *
+         * @param {Uint8Array} bytes - RECOVERY_CODE_BYTES bytes
+         * @returns {Promise<string>} - Grouped code with its check characters
+         */
+        async function formatRecoveryCode(bytes) {
+            if (!(bytes instanceof Uint8Array) || bytes.length !== RECOVERY_CODE_BYTES) {
+                throw new Error('A recovery code holds ' + RECOVERY_CODE_BYTES + ' bytes.');
+            }
+            const text = toBase32(bytes) + await recoveryCheck(bytes);
+            return text.match(/.{4}/g).join('-');
+        }
+
+        /**
+         * Generate a new random recovery code.
+         *
+         * @returns {Promise<{code: string, secret: Uint8Array}>} - The code to write down and the secret it stands for
+         */
+        async function generateRecoveryCode() {
+            const secret = globalThis.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_BYTES));
+            return { code: await formatRecoveryCode(secret), secret };
+        }
+
+        /**
+         * Read a recovery code back into its secret.
+         *
+         * Case, spaces and dashes are ignored, and 0, 1 and 8 read as O, I and B.
+         *
+         * @param {string} code - Code as typed
+         * @returns {Promise<Uint8Array>} - The secret bytes
+         */
+        async function parseRecoveryCode(code) {
+            const text = String(code || '')
+                .toUpperCase()
+                .replace(/[\s-]+/g, '')
+                .replace(/[018]/g, char => BASE32_LOOKALIKES[char]);
+
+            const length = RECOVERY_CODE_BYTES * 8 / 5 + 4;
+            if (text.length !== length || /[^A-Z2-7]/.test(text)) {
+                throw new Error('A recovery code has ' + length + ' letters and digits, in groups of four.');
+            }
+
+            const secret = fromBase32(text.slice(0, -4));
+            if (await recoveryCheck(secret) !== text.slice(-4)) {
+                throw new Error('This recovery code has a typo: its check characters do not match.');
+            }
+            return secret;
+        }
+
+        return Object.freeze({
+            RECOVERY_CODE_BYTES,
+            KEYFILE_MAX_BYTES,
+            normalizeSecondSecret,
+            mixSecondSecret,
+            secondSecretFingerprint,
+            formatRecoveryCode,
+            generateRecoveryCode,
+            parseRecoveryCode
+        });
+    })();
+
+    // ---- core/scrypt.mjs ----
+    const __core_scrypt = (function () {
+        /**
+         * Password Mint Core - scrypt (RFC 7914)
+         *
+         * ROMix and Salsa20/8 in pure JavaScript. The two single-iteration
+         * PBKDF2-HMAC-SHA256 steps run through WebCrypto on an imported key, so the
+         * password never has to exist as raw bytes here.
+         */
+
+        const { pbkdf2Bits } = __core_kdf;
+
+        // Salsa20/8 working state
+        const state = new Uint32Array(16);
+
+        function rotl(value, bits) {
+            return (value << bits) | (value >>> (32 - bits));
+        }
+
+        /**
+         * Salsa20/8 core applied in place to 16 words of b starting at offset.
+         */
+        function salsa208(b, offset) {
+            const x = state;
+            for (let i = 0; i < 16; i++) x[i] = b[offset + i];
+
+            for (let i = 0; i < 8; i += 2) {
+                // Column round
+                x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+                x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+                x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+                x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+                x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+                x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+                x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+                x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+                // Row round
+                x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+                x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+                x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+                x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+                x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+                x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+                x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+                x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+            }
+
+            for (let i = 0; i < 16; i++) b[offset + i] += x[i];
+        }
+
+        /**
+         * scryptBlockMix: reads the 2r blocks in b, writes the result to y.
+         */
+        function blockMix(b, y, r) {
+            const x = new Uint32Array(16);
+            x.set(b.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+            for (let i = 0; i < 2 * r; i++) {
+                for (let k = 0; k < 16; k++) x[k] ^= b[i * 16 + k];
+                salsa208(x, 0);
+                // Even blocks go to the first half, odd blocks to the second
+                y.set(x, ((i & 1) * r + (i >> 1)) * 16);
+            }
+        }
+
+        /**
+         * scryptROMix applied in place to one 128 * r byte block.
+         * onStep, if given, is called with the fraction done (0-1) every n/16 steps.
+         */
+        function roMix(b, n, r, onStep) {
+            const words = 32 * r;
+            const v = new Uint32Array(words * n);
+            const reportEvery = Math.max(1, n >> 4);
+            let x = b.slice();
+            let y = new Uint32Array(words);
+
+            for (let i = 0; i < n; i++) {
+                v.set(x, i * words);
+                blockMix(x, y, r);
+                [x, y] = [y, x];
+                if (onStep && (i + 1) % reportEvery === 0) onStep((i + 1) / (2 * n));
+            }
+
+            for (let i = 0; i < n; i++) {
+                // Integerify: first word of the last 64-byte block, mod n
+                const j = x[(2 * r - 1) * 16] & (n - 1);
+                for (let k = 0; k < words; k++) x[k] ^= v[j * words + k];
+                blockMix(x, y, r);
+                [x, y] = [y, x];
+                if (onStep && (i + 1) % reportEvery === 0) onStep((n + i + 1) / (2 * n));
+            }
+
+            b.set(x);
+            v.fill(0);
+        }
+
+        /**
+         * Derive bytes with scrypt.
+         *
+         * @param {CryptoKey} key - Password as a PBKDF2 key (see importPhraseKey)
+         * @param {Uint8Array} salt - Salt bytes
+         * @param {number} n - CPU/memory cost, a power of two greater than 1
+         * @param {number} r - Block size
+         * @param {number} p - Parallelization (blocks are mixed one after another)
+         * @param {number} byteLength - Output length in bytes
+         * @param {function(number)} [onProgress] - Called with the fraction done (0-1) while mixing
+         * @returns {Promise<Uint8Array>} - Derived bytes
+         */
+        async function scrypt(key, salt, n, r, p, byteLength, onProgress) {
+            if (!Number.isInteger(n) || n < 2 || (n & (n - 1)) !== 0) {
+                throw new Error('scrypt N must be a power of two greater than 1');
+            }
+            if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+                throw new Error('scrypt r and p must be 1 or greater');
+            }
+
+            const blockBytes = 128 * r;
+            const bytes = await pbkdf2Bits(key, salt, 1, p * blockBytes);
+
+            const words = new Uint32Array(bytes.length / 4);
+            for (let i = 0; i < words.length; i++) {
+                const o = i * 4;
+                words[i] = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+            }
+
+            for (let i = 0; i < p; i++) {
+                const onStep = onProgress ? (fraction) => onProgress((i + fraction) / p) : null;
+                roMix(words.subarray(i * 32 * r, (i + 1) * 32 * r), n, r, onStep);
+            }
+
+            for (let i = 0; i < words.length; i++) {
+                const w = words[i];
+                bytes[i * 4] = w;
+                bytes[i * 4 + 1] = w >>> 8;
+                bytes[i * 4 + 2] = w >>> 16;
+                bytes[i * 4 + 3] = w >>> 24;
+            }
+            words.fill(0);
+
+            const derived = await pbkdf2Bits(key, bytes, 1, byteLength);
+            bytes.fill(0);
+            return derived;
+        }
+
+        return Object.freeze({
+            scrypt
+        });
+    })();
+
+    // ---- core/bytestream.mjs ----
+    const __core_bytestream = (function () {
+        /**
+         * Password Mint Core - Deterministic Byte Stream
+         *
+         * Serves derived bytes in order and, once they run out, extends them with
+         * HKDF-SHA256 (WebCrypto) instead of wrapping around. Used by algorithms
+         * from v2 on; v1 keeps its original wrap-around reader.
+         */
+
+        const { getSubtle } = __core_kdf;
+        const { stringToBytes } = __core_normalize;
+
+        const HKDF_BLOCK_BYTES = 64;
+
+        /**
+         * Create a byte stream over derived bytes.
+         *
+         * Block 0 is the derived bytes themselves. Block n (n >= 1) is
+         * HKDF-SHA256(ikm = derived bytes, salt = empty, info = label + '::expand::' + n).
+         *
+         * @param {Uint8Array} derivedBytes - Bytes from the KDF
+         * @param {string} label - Domain-separation label for the expansion
+         * @returns {{nextByte: function(): Promise<number>, nextWord: function(): Promise<number>, uniform: function(number): Promise<number>}} - Stream reader
+         */
+        function createByteStream(derivedBytes, label) {
+            let buffer = derivedBytes;
+            let index = 0;
+            let block = 0;
+            let hkdfKey = null;
+
+            async function refill() {
+                const subtle = getSubtle();
+                if (!hkdfKey) {
+                    hkdfKey = await subtle.importKey('raw', derivedBytes, 'HKDF', false, ['deriveBits']);
+                }
+                block++;
+                const bits = await subtle.deriveBits(
+                    {
+                        name: 'HKDF',
+                        hash: 'SHA-256',
+                        salt: new Uint8Array(0),
+                        info: stringToBytes(label + '::expand::' + block)
+                    },
+                    hkdfKey,
+                    HKDF_BLOCK_BYTES * 8
+                );
+                buffer = new Uint8Array(bits);
+                index = 0;
+            }
+
+            /**
+             * Get the next byte, extending the stream when the buffer is used up.
+             */
+            async function nextByte() {
+                if (index >= buffer.length) {
+                    await refill();
+                }
+                return buffer[index++];
+            }
+
+            /**
+             * Get a 16-bit value from the next two bytes.
+             */
+            async function nextWord() {
+                const high = await nextByte();
+                const low = await nextByte();
+                return (high << 8) | low;
+            }
+
+            /**
+             * Get an unbiased integer in [0, n) by rejection sampling 16-bit words.
+             *
+             * @param {number} n - Exclusive upper bound (1 to 65536)
+             */
+            async function uniform(n) {
+                if (!Number.isInteger(n) || n < 1 || n > 65536) {
+                    throw new Error('Range out of bounds: ' + n);
+                }
+                const limit = 65536 - (65536 % n);
+                let word;
+                do {
+                    word = await nextWord();
+                } while (word >= limit);
+                return word % n;
+            }
+
+            return { nextByte, nextWord, uniform };
+        }
+
+        return Object.freeze({
+            createByteStream
+        });
+    })();
+
+    // ---- core/wordlist.mjs ----
+    const __core_wordlist = (function () {
+        /**
+         * Password Mint Core - Passphrase Word List
+         *
+         * The EFF large word list (7,776 words, one per roll of five dice), by the
+         * Electronic Frontier Foundation, licensed under CC BY 3.0 US:
+         * https://www.eff.org/dice
+         *
+         * Each line holds the six words sharing their first four dice. The order is
+         * part of every passphrase, so the list must never be edited; the self-test
+         * checks its length and a sample of words.
+         */
+
+        const EFF_LARGE_WORDLIST = Object.freeze(`
+        abacus abdomen abdominal abide abiding ability
+        ablaze able abnormal abrasion abrasive abreast
+        abridge abroad abruptly absence absentee absently
+        absinthe absolute absolve abstain abstract absurd
+        accent acclaim acclimate accompany account accuracy
+        accurate accustom acetone achiness aching acid
+        acorn acquaint acquire acre acrobat acronym
+        acting action activate activator active activism
+        activist activity actress acts acutely acuteness
+        aeration aerobics aerosol aerospace afar affair
+        affected affecting affection affidavit affiliate affirm
+        affix afflicted affluent afford affront aflame
+        afloat aflutter afoot afraid afterglow afterlife
+        aftermath aftermost afternoon aged ageless agency
+        agenda agent aggregate aghast agile agility
+        aging agnostic agonize agonizing agony agreeable
+        agreeably agreed agreeing agreement aground ahead
+        ahoy aide aids aim ajar alabaster
+        alarm albatross album alfalfa algebra algorithm
+        alias alibi alienable alienate aliens alike
+        alive alkaline alkalize almanac almighty almost
+        aloe aloft aloha alone alongside aloof
+        alphabet alright although altitude alto aluminum
+        alumni always amaretto amaze amazingly amber
+        ambiance ambiguity ambiguous ambition ambitious ambulance
+        ambush amendable amendment amends amenity amiable
+        amicably amid amigo amino amiss ammonia
+        ammonium amnesty amniotic among amount amperage
+        ample amplifier amplify amply amuck amulet
+        amusable amused amusement amuser amusing anaconda
+        anaerobic anagram anatomist anatomy anchor anchovy
+        ancient android anemia anemic aneurism anew
+        angelfish angelic anger angled angler angles
+        angling angrily angriness anguished angular animal
+        animate animating animation animator anime animosity
+        ankle annex annotate announcer annoying annually
+        annuity anointer another answering antacid antarctic
+        anteater antelope antennae anthem anthill anthology
+        antibody antics antidote antihero antiquely antiques
+        antiquity antirust antitoxic antitrust antiviral antivirus
+        antler antonym antsy anvil anybody anyhow
+        anymore anyone anyplace anything anytime anyway
+        anywhere aorta apache apostle appealing appear
+        appease appeasing appendage appendix appetite appetizer
+        applaud applause apple appliance applicant applied
+        apply appointee appraisal appraiser apprehend approach
+        approval approve apricot april apron aptitude
+        aptly aqua aqueduct arbitrary arbitrate ardently
+        area arena arguable arguably argue arise
+        armadillo armband armchair armed armful armhole
+        arming armless armoire armored armory armrest
+        army aroma arose around arousal arrange
+        array arrest arrival arrive arrogance arrogant
+        arson art ascend ascension ascent ascertain
+        ashamed ashen ashes ashy aside askew
+        asleep asparagus aspect aspirate aspire aspirin
+        astonish astound astride astrology astronaut astronomy
+        astute atlantic atlas atom atonable atop
+        atrium atrocious atrophy attach attain attempt
+        attendant attendee attention attentive attest attic
+        attire attitude attractor attribute atypical auction
+        audacious audacity audible audibly audience audio
+        audition augmented august authentic author autism
+        autistic autograph automaker automated automatic autopilot
+        available avalanche avatar avenge avenging avenue
+        average aversion avert aviation aviator avid
+        avoid await awaken award aware awhile
+        awkward awning awoke awry axis babble
+        babbling babied baboon backache backboard backboned
+        backdrop backed backer backfield backfire backhand
+        backing backlands backlash backless backlight backlit
+        backlog backpack backpedal backrest backroom backshift
+        backside backslid backspace backspin backstab backstage
+        backtalk backtrack backup backward backwash backwater
+        backyard bacon bacteria bacterium badass badge
+        badland badly badness baffle baffling bagel
+        bagful baggage bagged baggie bagginess bagging
+        baggy bagpipe baguette baked bakery bakeshop
+        baking balance balancing balcony balmy balsamic
+        bamboo banana banish banister banjo bankable
+        bankbook banked banker banking banknote bankroll
+        banner bannister banshee banter barbecue barbed
+        barbell barber barcode barge bargraph barista
+        baritone barley barmaid barman barn barometer
+        barrack barracuda barrel barrette barricade barrier
+        barstool bartender barterer bash basically basics
+        basil basin basis basket batboy batch
+        bath baton bats battalion battered battering
+        battery batting battle bauble bazooka blabber
+        bladder blade blah blame blaming blanching
+        blandness blank blaspheme blasphemy blast blatancy
+        blatantly blazer blazing bleach bleak bleep
+        blemish blend bless blighted blimp bling
+        blinked blinker blinking blinks blip blissful
+        blitz blizzard bloated bloating blob blog
+        bloomers blooming blooper blot blouse blubber
+        bluff bluish blunderer blunt blurb blurred
+        blurry blurt blush blustery boaster boastful
+        boasting boat bobbed bobbing bobble bobcat
+        bobsled bobtail bodacious body bogged boggle
+        bogus boil bok bolster bolt bonanza
+        bonded bonding bondless boned bonehead boneless
+        bonelike boney bonfire bonnet bonsai bonus
+        bony boogeyman boogieman book boondocks booted
+        booth bootie booting bootlace bootleg boots
+        boozy borax boring borough borrower borrowing
+        boss botanical botanist botany botch both
+        bottle bottling bottom bounce bouncing bouncy
+        bounding boundless bountiful bovine boxcar boxer
+        boxing boxlike boxy breach breath breeches
+        breeching breeder breeding breeze breezy brethren
+        brewery brewing briar bribe brick bride
+        bridged brigade bright brilliant brim bring
+        brink brisket briskly briskness bristle brittle
+        broadband broadcast broaden broadly broadness broadside
+        broadways broiler broiling broken broker bronchial
+        bronco bronze bronzing brook broom brought
+        browbeat brownnose browse browsing bruising brunch
+        brunette brunt brush brussels brute brutishly
+        bubble bubbling bubbly buccaneer bucked bucket
+        buckle buckshot buckskin bucktooth buckwheat buddhism
+        buddhist budding buddy budget buffalo buffed
+        buffer buffing buffoon buggy bulb bulge
+        bulginess bulgur bulk bulldog bulldozer bullfight
+        bullfrog bullhorn bullion bullish bullpen bullring
+        bullseye bullwhip bully bunch bundle bungee
+        bunion bunkbed bunkhouse bunkmate bunny bunt
+        busboy bush busily busload bust busybody
+        buzz cabana cabbage cabbie cabdriver cable
+        caboose cache cackle cacti cactus caddie
+        caddy cadet cadillac cadmium cage cahoots
+        cake calamari calamity calcium calculate calculus
+        caliber calibrate calm caloric calorie calzone
+        camcorder cameo camera camisole camper campfire
+        camping campsite campus canal canary cancel
+        candied candle candy cane canine canister
+        cannabis canned canning cannon cannot canola
+        canon canopener canopy canteen canyon capable
+        capably capacity cape capillary capital capitol
+        capped capricorn capsize capsule caption captivate
+        captive captivity capture caramel carat caravan
+        carbon cardboard carded cardiac cardigan cardinal
+        cardstock carefully caregiver careless caress caretaker
+        cargo caring carless carload carmaker carnage
+        carnation carnival carnivore carol carpenter carpentry
+        carpool carport carried carrot carrousel carry
+        cartel cartload carton cartoon cartridge cartwheel
+        carve carving carwash cascade case cash
+        casing casino casket cassette casually casualty
+        catacomb catalog catalyst catalyze catapult cataract
+        catatonic catcall catchable catcher catching catchy
+        caterer catering catfight catfish cathedral cathouse
+        catlike catnap catnip catsup cattail cattishly
+        cattle catty catwalk caucasian caucus causal
+        causation cause causing cauterize caution cautious
+        cavalier cavalry caviar cavity cedar celery
+        celestial celibacy celibate celtic cement census
+        ceramics ceremony certainly certainty certified certify
+        cesarean cesspool chafe chaffing chain chair
+        chalice challenge chamber chamomile champion chance
+        change channel chant chaos chaperone chaplain
+        chapped chaps chapter character charbroil charcoal
+        charger charging chariot charity charm charred
+        charter charting chase chasing chaste chastise
+        chastity chatroom chatter chatting chatty cheating
+        cheddar cheek cheer cheese cheesy chef
+        chemicals chemist chemo cherisher cherub chess
+        chest chevron chevy chewable chewer chewing
+        chewy chief chihuahua childcare childhood childish
+        childless childlike chili chill chimp chip
+        chirping chirpy chitchat chivalry chive chloride
+        chlorine choice chokehold choking chomp chooser
+        choosing choosy chop chosen chowder chowtime
+        chrome chubby chuck chug chummy chump
+        chunk churn chute cider cilantro cinch
+        cinema cinnamon circle circling circular circulate
+        circus citable citadel citation citizen citric
+        citrus city civic civil clad claim
+        clambake clammy clamor clamp clamshell clang
+        clanking clapped clapper clapping clarify clarinet
+        clarity clash clasp class clatter clause
+        clavicle claw clay clean clear cleat
+        cleaver cleft clench clergyman clerical clerk
+        clever clicker client climate climatic cling
+        clinic clinking clip clique cloak clobber
+        clock clone cloning closable closure clothes
+        clothing cloud clover clubbed clubbing clubhouse
+        clump clumsily clumsy clunky clustered clutch
+        clutter coach coagulant coastal coaster coasting
+        coastland coastline coat coauthor cobalt cobbler
+        cobweb cocoa coconut cod coeditor coerce
+        coexist coffee cofounder cognition cognitive cogwheel
+        coherence coherent cohesive coil coke cola
+        cold coleslaw coliseum collage collapse collar
+        collected collector collide collie collision colonial
+        colonist colonize colony colossal colt coma
+        come comfort comfy comic coming comma
+        commence commend comment commerce commode commodity
+        commodore common commotion commute commuting compacted
+        compacter compactly compactor companion company compare
+        compel compile comply component composed composer
+        composite compost composure compound compress comprised
+        computer computing comrade concave conceal conceded
+        concept concerned concert conch concierge concise
+        conclude concrete concur condense condiment condition
+        condone conducive conductor conduit cone confess
+        confetti confidant confident confider confiding configure
+        confined confining confirm conflict conform confound
+        confront confused confusing confusion congenial congested
+        congrats congress conical conjoined conjure conjuror
+        connected connector consensus consent console consoling
+        consonant constable constant constrain constrict construct
+        consult consumer consuming contact container contempt
+        contend contented contently contents contest context
+        contort contour contrite control contusion convene
+        convent copartner cope copied copier copilot
+        coping copious copper copy coral cork
+        cornball cornbread corncob cornea corned corner
+        cornfield cornflake cornhusk cornmeal cornstalk corny
+        coronary coroner corporal corporate corral correct
+        corridor corrode corroding corrosive corsage corset
+        cortex cosigner cosmetics cosmic cosmos cosponsor
+        cost cottage cotton couch cough could
+        countable countdown counting countless country county
+        courier covenant cover coveted coveting coyness
+        cozily coziness cozy crabbing crabgrass crablike
+        crabmeat cradle cradling crafter craftily craftsman
+        craftwork crafty cramp cranberry crane cranial
+        cranium crank crate crave craving crawfish
+        crawlers crawling crayfish crayon crazed crazily
+        craziness crazy creamed creamer creamlike crease
+        creasing creatable create creation creative creature
+        credible credibly credit creed creme creole
+        crepe crept crescent crested cresting crestless
+        crevice crewless crewman crewmate crib cricket
+        cried crier crimp crimson cringe cringing
+        crinkle crinkly crisped crisping crisply crispness
+        crispy criteria critter croak crock crook
+        croon crop cross crouch crouton crowbar
+        crowd crown crucial crudely crudeness cruelly
+        cruelness cruelty crumb crummiest crummy crumpet
+        crumpled cruncher crunching crunchy crusader crushable
+        crushed crusher crushing crust crux crying
+        cryptic crystal cubbyhole cube cubical cubicle
+        cucumber cuddle cuddly cufflink culinary culminate
+        culpable culprit cultivate cultural culture cupbearer
+        cupcake cupid cupped cupping curable curator
+        curdle cure curfew curing curled curler
+        curliness curling curly curry curse cursive
+        cursor curtain curtly curtsy curvature curve
+        curvy cushy cusp cussed custard custodian
+        custody customary customer customize customs cut
+        cycle cyclic cycling cyclist cylinder cymbal
+        cytoplasm cytoplast dab dad daffodil dagger
+        daily daintily dainty dairy daisy dallying
+        dance dancing dandelion dander dandruff dandy
+        danger dangle dangling daredevil dares daringly
+        darkened darkening darkish darkness darkroom darling
+        darn dart darwinism dash dastardly data
+        datebook dating daughter daunting dawdler dawn
+        daybed daybreak daycare daydream daylight daylong
+        dayroom daytime dazzler dazzling deacon deafening
+        deafness dealer dealing dealmaker dealt dean
+        debatable debate debating debit debrief debtless
+        debtor debug debunk decade decaf decal
+        decathlon decay deceased deceit deceiver deceiving
+        december decency decent deception deceptive decibel
+        decidable decimal decimeter decipher deck declared
+        decline decode decompose decorated decorator decoy
+        decrease decree dedicate dedicator deduce deduct
+        deed deem deepen deeply deepness deface
+        defacing defame default defeat defection defective
+        defendant defender defense defensive deferral deferred
+        defiance defiant defile defiling define definite
+        deflate deflation deflator deflected deflector defog
+        deforest defraud defrost deftly defuse defy
+        degraded degrading degrease degree dehydrate deity
+        dejected delay delegate delegator delete deletion
+        delicacy delicate delicious delighted delirious delirium
+        deliverer delivery delouse delta deluge delusion
+        deluxe demanding demeaning demeanor demise democracy
+        democrat demote demotion demystify denatured deniable
+        denial denim denote dense density dental
+        dentist denture deny deodorant deodorize departed
+        departure depict deplete depletion deplored deploy
+        deport depose depraved depravity deprecate depress
+        deprive depth deputize deputy derail deranged
+        derby derived desecrate deserve deserving designate
+        designed designer designing deskbound desktop deskwork
+        desolate despair despise despite destiny destitute
+        destruct detached detail detection detective detector
+        detention detergent detest detonate detonator detoxify
+        detract deuce devalue deviancy deviant deviate
+        deviation deviator device devious devotedly devotee
+        devotion devourer devouring devoutly dexterity dexterous
+        diabetes diabetic diabolic diagnoses diagnosis diagram
+        dial diameter diaper diaphragm diary dice
+        dicing dictate dictation dictator difficult diffused
+        diffuser diffusion diffusive dig dilation diligence
+        diligent dill dilute dime diminish dimly
+        dimmed dimmer dimness dimple diner dingbat
+        dinghy dinginess dingo dingy dining dinner
+        diocese dioxide diploma dipped dipper dipping
+        directed direction directive directly directory direness
+        dirtiness disabled disagree disallow disarm disarray
+        disaster disband disbelief disburse discard discern
+        discharge disclose discolor discount discourse discover
+        discuss disdain disengage disfigure disgrace dish
+        disinfect disjoin disk dislike disliking dislocate
+        dislodge disloyal dismantle dismay dismiss dismount
+        disobey disorder disown disparate disparity dispatch
+        dispense dispersal dispersed disperser displace display
+        displease disposal dispose disprove dispute disregard
+        disrupt dissuade distance distant distaste distill
+        distinct distort distract distress district distrust
+        ditch ditto ditzy dividable divided dividend
+        dividers dividing divinely diving divinity divisible
+        divisibly division divisive divorcee dizziness dizzy
+        doable docile dock doctrine document dodge
+        dodgy doily doing dole dollar dollhouse
+        dollop dolly dolphin domain domelike domestic
+        dominion dominoes donated donation donator donor
+        donut doodle doorbell doorframe doorknob doorman
+        doormat doornail doorpost doorstep doorstop doorway
+        doozy dork dormitory dorsal dosage dose
+        dotted doubling douche dove down dowry
+        doze drab dragging dragonfly dragonish dragster
+        drainable drainage drained drainer drainpipe dramatic
+        dramatize drank drapery drastic draw dreaded
+        dreadful dreadlock dreamboat dreamily dreamland dreamless
+        dreamlike dreamt dreamy drearily dreary drench
+        dress drew dribble dried drier drift
+        driller drilling drinkable drinking dripping drippy
+        drivable driven driver driveway driving drizzle
+        drizzly drone drool droop drop-down dropbox
+        dropkick droplet dropout dropper drove drown
+        drowsily drudge drum dry dubbed dubiously
+        duchess duckbill ducking duckling ducktail ducky
+        duct dude duffel dugout duh duke
+        duller dullness duly dumping dumpling dumpster
+        duo dupe duplex duplicate duplicity durable
+        durably duration duress during dusk dust
+        dutiful duty duvet dwarf dweeb dwelled
+        dweller dwelling dwindle dwindling dynamic dynamite
+        dynasty dyslexia dyslexic each eagle earache
+        eardrum earflap earful earlobe early earmark
+        earmuff earphone earpiece earplugs earring earshot
+        earthen earthlike earthling earthly earthworm earthy
+        earwig easeful easel easiest easily easiness
+        easing eastbound eastcoast easter eastward eatable
+        eaten eatery eating eats ebay ebony
+        ebook ecard eccentric echo eclair eclipse
+        ecologist ecology economic economist economy ecosphere
+        ecosystem edge edginess edging edgy edition
+        editor educated education educator eel effective
+        effects efficient effort eggbeater egging eggnog
+        eggplant eggshell egomaniac egotism egotistic either
+        eject elaborate elastic elated elbow eldercare
+        elderly eldest electable election elective elephant
+        elevate elevating elevation elevator eleven elf
+        eligible eligibly eliminate elite elitism elixir
+        elk ellipse elliptic elm elongated elope
+        eloquence eloquent elsewhere elude elusive elves
+        email embargo embark embassy embattled embellish
+        ember embezzle emblaze emblem embody embolism
+        emboss embroider emcee emerald emergency emission
+        emit emote emoticon emotion empathic empathy
+        emperor emphases emphasis emphasize emphatic empirical
+        employed employee employer emporium empower emptier
+        emptiness empty emu enable enactment enamel
+        enchanted enchilada encircle enclose enclosure encode
+        encore encounter encourage encroach encrust encrypt
+        endanger endeared endearing ended ending endless
+        endnote endocrine endorphin endorse endowment endpoint
+        endurable endurance enduring energetic energize energy
+        enforced enforcer engaged engaging engine engorge
+        engraved engraver engraving engross engulf enhance
+        enigmatic enjoyable enjoyably enjoyer enjoying enjoyment
+        enlarged enlarging enlighten enlisted enquirer enrage
+        enrich enroll enslave ensnare ensure entail
+        entangled entering entertain enticing entire entitle
+        entity entomb entourage entrap entree entrench
+        entrust entryway entwine enunciate envelope enviable
+        enviably envious envision envoy envy enzyme
+        epic epidemic epidermal epidermis epidural epilepsy
+        epileptic epilogue epiphany episode equal equate
+        equation equator equinox equipment equity equivocal
+        eradicate erasable erased eraser erasure ergonomic
+        errand errant erratic error erupt escalate
+        escalator escapable escapade escapist escargot eskimo
+        esophagus espionage espresso esquire essay essence
+        essential establish estate esteemed estimate estimator
+        estranged estrogen etching eternal eternity ethanol
+        ether ethically ethics euphemism evacuate evacuee
+        evade evaluate evaluator evaporate evasion evasive
+        even everglade evergreen everybody everyday everyone
+        evict evidence evident evil evoke evolution
+        evolve exact exalted example excavate excavator
+        exceeding exception excess exchange excitable exciting
+        exclaim exclude excluding exclusion exclusive excretion
+        excretory excursion excusable excusably excuse exemplary
+        exemplify exemption exerciser exert exes exfoliate
+        exhale exhaust exhume exile existing exit
+        exodus exonerate exorcism exorcist expand expanse
+        expansion expansive expectant expedited expediter expel
+        expend expenses expensive expert expire expiring
+        explain expletive explicit explode exploit explore
+        exploring exponent exporter exposable expose exposure
+        express expulsion exquisite extended extending extent
+        extenuate exterior external extinct extortion extradite
+        extras extrovert extrude extruding exuberant fable
+        fabric fabulous facebook facecloth facedown faceless
+        facelift faceplate faceted facial facility facing
+        facsimile faction factoid factor factsheet factual
+        faculty fade fading failing falcon fall
+        false falsify fame familiar family famine
+        famished fanatic fancied fanciness fancy fanfare
+        fang fanning fantasize fantastic fantasy fascism
+        fastball faster fasting fastness faucet favorable
+        favorably favored favoring favorite fax feast
+        federal fedora feeble feed feel feisty
+        feline felt-tip feminine feminism feminist feminize
+        femur fence fencing fender ferment fernlike
+        ferocious ferocity ferret ferris ferry fervor
+        fester festival festive festivity fetal fetch
+        fever fiber fiction fiddle fiddling fidelity
+        fidgeting fidgety fifteen fifth fiftieth fifty
+        figment figure figurine filing filled filler
+        filling film filter filth filtrate finale
+        finalist finalize finally finance financial finch
+        fineness finer finicky finished finisher finishing
+        finite finless finlike fiscally fit five
+        flaccid flagman flagpole flagship flagstick flagstone
+        flail flakily flaky flame flammable flanked
+        flanking flannels flap flaring flashback flashbulb
+        flashcard flashily flashing flashy flask flatbed
+        flatfoot flatly flatness flatten flattered flatterer
+        flattery flattop flatware flatworm flavored flavorful
+        flavoring flaxseed fled fleshed fleshy flick
+        flier flight flinch fling flint flip
+        flirt float flock flogging flop floral
+        florist floss flounder flyable flyaway flyer
+        flying flyover flypaper foam foe fog
+        foil folic folk follicle follow fondling
+        fondly fondness fondue font food fool
+        footage football footbath footboard footer footgear
+        foothill foothold footing footless footman footnote
+        footpad footpath footprint footrest footsie footsore
+        footwear footwork fossil foster founder founding
+        fountain fox foyer fraction fracture fragile
+        fragility fragment fragrance fragrant frail frame
+        framing frantic fraternal frayed fraying frays
+        freckled freckles freebase freebee freebie freedom
+        freefall freehand freeing freeload freely freemason
+        freeness freestyle freeware freeway freewill freezable
+        freezing freight french frenzied frenzy frequency
+        frequent fresh fretful fretted friction friday
+        fridge fried friend frighten frightful frigidity
+        frigidly frill fringe frisbee frisk fritter
+        frivolous frolic from front frostbite frosted
+        frostily frosting frostlike frosty froth frown
+        frozen fructose frugality frugally fruit frustrate
+        frying gab gaffe gag gainfully gaining
+        gains gala gallantly galleria gallery galley
+        gallon gallows gallstone galore galvanize gambling
+        game gaming gamma gander gangly gangrene
+        gangway gap garage garbage garden gargle
+        garland garlic garment garnet garnish garter
+        gas gatherer gathering gating gauging gauntlet
+        gauze gave gawk gazing gear gecko
+        geek geiger gem gender generic generous
+        genetics genre gentile gentleman gently gents
+        geography geologic geologist geology geometric geometry
+        geranium gerbil geriatric germicide germinate germless
+        germproof gestate gestation gesture getaway getting
+        getup giant gibberish giblet giddily giddiness
+        giddy gift gigabyte gigahertz gigantic giggle
+        giggling giggly gigolo gilled gills gimmick
+        girdle giveaway given giver giving gizmo
+        gizzard glacial glacier glade gladiator gladly
+        glamorous glamour glance glancing glandular glare
+        glaring glass glaucoma glazing gleaming gleeful
+        glider gliding glimmer glimpse glisten glitch
+        glitter glitzy gloater gloating gloomily gloomy
+        glorified glorifier glorify glorious glory gloss
+        glove glowing glowworm glucose glue gluten
+        glutinous glutton gnarly gnat goal goatskin
+        goes goggles going goldfish goldmine goldsmith
+        golf goliath gonad gondola gone gong
+        good gooey goofball goofiness goofy google
+        goon gopher gore gorged gorgeous gory
+        gosling gossip gothic gotten gout gown
+        grab graceful graceless gracious gradation graded
+        grader gradient grading gradually graduate graffiti
+        grafted grafting grain granddad grandkid grandly
+        grandma grandpa grandson granite granny granola
+        grant granular grape graph grapple grappling
+        grasp grass gratified gratify grating gratitude
+        gratuity gravel graveness graves graveyard gravitate
+        gravity gravy gray grazing greasily greedily
+        greedless greedy green greeter greeting grew
+        greyhound grid grief grievance grieving grievous
+        grill grimace grimacing grime griminess grimy
+        grinch grinning grip gristle grit groggily
+        groggy groin groom groove grooving groovy
+        grope ground grouped grout grove grower
+        growing growl grub grudge grudging grueling
+        gruffly grumble grumbling grumbly grumpily grunge
+        grunt guacamole guidable guidance guide guiding
+        guileless guise gulf gullible gully gulp
+        gumball gumdrop gumminess gumming gummy gurgle
+        gurgling guru gush gusto gusty gutless
+        guts gutter guy guzzler gyration habitable
+        habitant habitat habitual hacked hacker hacking
+        hacksaw had haggler haiku half halogen
+        halt halved halves hamburger hamlet hammock
+        hamper hamster hamstring handbag handball handbook
+        handbrake handcart handclap handclasp handcraft handcuff
+        handed handful handgrip handgun handheld handiness
+        handiwork handlebar handled handler handling handmade
+        handoff handpick handprint handrail handsaw handset
+        handsfree handshake handstand handwash handwork handwoven
+        handwrite handyman hangnail hangout hangover hangup
+        hankering hankie hanky haphazard happening happier
+        happiest happily happiness happy harbor hardcopy
+        hardcore hardcover harddisk hardened hardener hardening
+        hardhat hardhead hardiness hardly hardness hardship
+        hardware hardwired hardwood hardy harmful harmless
+        harmonica harmonics harmonize harmony harness harpist
+        harsh harvest hash hassle haste hastily
+        hastiness hasty hatbox hatchback hatchery hatchet
+        hatching hatchling hate hatless hatred haunt
+        haven hazard hazelnut hazily haziness hazing
+        hazy headache headband headboard headcount headdress
+        headed header headfirst headgear heading headlamp
+        headless headlock headphone headpiece headrest headroom
+        headscarf headset headsman headstand headstone headway
+        headwear heap heat heave heavily heaviness
+        heaving hedge hedging heftiness hefty helium
+        helmet helper helpful helping helpless helpline
+        hemlock hemstitch hence henchman henna herald
+        herbal herbicide herbs heritage hermit heroics
+        heroism herring herself hertz hesitancy hesitant
+        hesitate hexagon hexagram hubcap huddle huddling
+        huff hug hula hulk hull human
+        humble humbling humbly humid humiliate humility
+        humming hummus humongous humorist humorless humorous
+        humpback humped humvee hunchback hundredth hunger
+        hungrily hungry hunk hunter hunting huntress
+        huntsman hurdle hurled hurler hurling hurray
+        hurricane hurried hurry hurt husband hush
+        husked huskiness hut hybrid hydrant hydrated
+        hydration hydrogen hydroxide hyperlink hypertext hyphen
+        hypnoses hypnosis hypnotic hypnotism hypnotist hypnotize
+        hypocrisy hypocrite ibuprofen ice iciness icing
+        icky icon icy idealism idealist idealize
+        ideally idealness identical identify identity ideology
+        idiocy idiom idly igloo ignition ignore
+        iguana illicitly illusion illusive image imaginary
+        imagines imaging imbecile imitate imitation immature
+        immerse immersion imminent immobile immodest immorally
+        immortal immovable immovably immunity immunize impaired
+        impale impart impatient impeach impeding impending
+        imperfect imperial impish implant implement implicate
+        implicit implode implosion implosive imply impolite
+        important importer impose imposing impotence impotency
+        impotent impound imprecise imprint imprison impromptu
+        improper improve improving improvise imprudent impulse
+        impulsive impure impurity iodine iodize ion
+        ipad iphone ipod irate irk iron
+        irregular irrigate irritable irritably irritant irritate
+        islamic islamist isolated isolating isolation isotope
+        issue issuing italicize italics item itinerary
+        itunes ivory ivy jab jackal jacket
+        jackknife jackpot jailbird jailbreak jailer jailhouse
+        jalapeno jam janitor january jargon jarring
+        jasmine jaundice jaunt java jawed jawless
+        jawline jaws jaybird jaywalker jazz jeep
+        jeeringly jellied jelly jersey jester jet
+        jiffy jigsaw jimmy jingle jingling jinx
+        jitters jittery job jockey jockstrap jogger
+        jogging john joining jokester jokingly jolliness
+        jolly jolt jot jovial joyfully joylessly
+        joyous joyride joystick jubilance jubilant judge
+        judgingly judicial judiciary judo juggle juggling
+        jugular juice juiciness juicy jujitsu jukebox
+        july jumble jumbo jump junction juncture
+        june junior juniper junkie junkman junkyard
+        jurist juror jury justice justifier justify
+        justly justness juvenile kabob kangaroo karaoke
+        karate karma kebab keenly keenness keep
+        keg kelp kennel kept kerchief kerosene
+        kettle kick kiln kilobyte kilogram kilometer
+        kilowatt kilt kimono kindle kindling kindly
+        kindness kindred kinetic kinfolk king kinship
+        kinsman kinswoman kissable kisser kissing kitchen
+        kite kitten kitty kiwi kleenex knapsack
+        knee knelt knickers knoll koala kooky
+        kosher krypton kudos kung labored laborer
+        laboring laborious labrador ladder ladies ladle
+        ladybug ladylike lagged lagging lagoon lair
+        lake lance landed landfall landfill landing
+        landlady landless landline landlord landmark landmass
+        landmine landowner landscape landside landslide language
+        lankiness lanky lantern lapdog lapel lapped
+        lapping laptop lard large lark lash
+        lasso last latch late lather latitude
+        latrine latter latticed launch launder laundry
+        laurel lavender lavish laxative lazily laziness
+        lazy lecturer left legacy legal legend
+        legged leggings legible legibly legislate lego
+        legroom legume legwarmer legwork lemon lend
+        length lens lent leotard lesser letdown
+        lethargic lethargy letter lettuce level leverage
+        levers levitate levitator liability liable liberty
+        librarian library licking licorice lid life
+        lifter lifting liftoff ligament likely likeness
+        likewise liking lilac lilly lily limb
+        limeade limelight limes limit limping limpness
+        line lingo linguini linguist lining linked
+        linoleum linseed lint lion lip liquefy
+        liqueur liquid lisp list litigate litigator
+        litmus litter little livable lived lively
+        liver livestock lividly living lizard lubricant
+        lubricate lucid luckily luckiness luckless lucrative
+        ludicrous lugged lukewarm lullaby lumber luminance
+        luminous lumpiness lumping lumpish lunacy lunar
+        lunchbox luncheon lunchroom lunchtime lung lurch
+        lure luridness lurk lushly lushness luster
+        lustfully lustily lustiness lustrous lusty luxurious
+        luxury lying lyrically lyricism lyricist lyrics
+        macarena macaroni macaw mace machine machinist
+        magazine magenta maggot magical magician magma
+        magnesium magnetic magnetism magnetize magnifier magnify
+        magnitude magnolia mahogany maimed majestic majesty
+        majorette majority makeover maker makeshift making
+        malformed malt mama mammal mammary mammogram
+        manager managing manatee mandarin mandate mandatory
+        mandolin manger mangle mango mangy manhandle
+        manhole manhood manhunt manicotti manicure manifesto
+        manila mankind manlike manliness manly manmade
+        manned mannish manor manpower mantis mantra
+        manual many map marathon marauding marbled
+        marbles marbling march mardi margarine margarita
+        margin marigold marina marine marital maritime
+        marlin marmalade maroon married marrow marry
+        marshland marshy marsupial marvelous marxism mascot
+        masculine mashed mashing massager masses massive
+        mastiff matador matchbook matchbox matcher matching
+        matchless material maternal maternity math mating
+        matriarch matrimony matrix matron matted matter
+        maturely maturing maturity mauve maverick maximize
+        maximum maybe mayday mayflower moaner moaning
+        mobile mobility mobilize mobster mocha mocker
+        mockup modified modify modular modulator module
+        moisten moistness moisture molar molasses mold
+        molecular molecule molehill mollusk mom monastery
+        monday monetary monetize moneybags moneyless moneywise
+        mongoose mongrel monitor monkhood monogamy monogram
+        monologue monopoly monorail monotone monotype monoxide
+        monsieur monsoon monstrous monthly monument moocher
+        moodiness moody mooing moonbeam mooned moonlight
+        moonlike moonlit moonrise moonscape moonshine moonstone
+        moonwalk mop morale morality morally morbidity
+        morbidly morphine morphing morse mortality mortally
+        mortician mortified mortify mortuary mosaic mossy
+        most mothball mothproof motion motivate motivator
+        motive motocross motor motto mountable mountain
+        mounted mounting mourner mournful mouse mousiness
+        moustache mousy mouth movable move movie
+        moving mower mowing much muck mud
+        mug mulberry mulch mule mulled mullets
+        multiple multiply multitask multitude mumble mumbling
+        mumbo mummified mummify mummy mumps munchkin
+        mundane municipal muppet mural murkiness murky
+        murmuring muscular museum mushily mushiness mushroom
+        mushy music musket muskiness musky mustang
+        mustard muster mustiness musty mutable mutate
+        mutation mute mutilated mutilator mutiny mutt
+        mutual muzzle myself myspace mystified mystify
+        myth nacho nag nail name naming
+        nanny nanometer nape napkin napped napping
+        nappy narrow nastily nastiness national native
+        nativity natural nature naturist nautical navigate
+        navigator navy nearby nearest nearly nearness
+        neatly neatness nebula nebulizer nectar negate
+        negation negative neglector negligee negligent negotiate
+        nemeses nemesis neon nephew nerd nervous
+        nervy nest net neurology neuron neurosis
+        neurotic neuter neutron never next nibble
+        nickname nicotine niece nifty nimble nimbly
+        nineteen ninetieth ninja nintendo ninth nuclear
+        nuclei nucleus nugget nullify number numbing
+        numbly numbness numeral numerate numerator numeric
+        numerous nuptials nursery nursing nurture nutcase
+        nutlike nutmeg nutrient nutshell nuttiness nutty
+        nuzzle nylon oaf oak oasis oat
+        obedience obedient obituary object obligate obliged
+        oblivion oblivious oblong obnoxious oboe obscure
+        obscurity observant observer observing obsessed obsession
+        obsessive obsolete obstacle obstinate obstruct obtain
+        obtrusive obtuse obvious occultist occupancy occupant
+        occupier occupy ocean ocelot octagon octane
+        october octopus ogle oil oink ointment
+        okay old olive olympics omega omen
+        ominous omission omit omnivore onboard oncoming
+        ongoing onion online onlooker only onscreen
+        onset onshore onslaught onstage onto onward
+        onyx oops ooze oozy opacity opal
+        open operable operate operating operation operative
+        operator opium opossum opponent oppose opposing
+        opposite oppressed oppressor opt opulently osmosis
+        other otter ouch ought ounce outage
+        outback outbid outboard outbound outbreak outburst
+        outcast outclass outcome outdated outdoors outer
+        outfield outfit outflank outgoing outgrow outhouse
+        outing outlast outlet outline outlook outlying
+        outmatch outmost outnumber outplayed outpost outpour
+        output outrage outrank outreach outright outscore
+        outsell outshine outshoot outsider outskirts outsmart
+        outsource outspoken outtakes outthink outward outweigh
+        outwit oval ovary oven overact overall
+        overarch overbid overbill overbite overblown overboard
+        overbook overbuilt overcast overcoat overcome overcook
+        overcrowd overdraft overdrawn overdress overdrive overdue
+        overeager overeater overexert overfed overfeed overfill
+        overflow overfull overgrown overhand overhang overhaul
+        overhead overhear overheat overhung overjoyed overkill
+        overlabor overlaid overlap overlay overload overlook
+        overlord overlying overnight overpass overpay overplant
+        overplay overpower overprice overrate overreach overreact
+        override overripe overrule overrun overshoot overshot
+        oversight oversized oversleep oversold overspend overstate
+        overstay overstep overstock overstuff oversweet overtake
+        overthrow overtime overtly overtone overture overturn
+        overuse overvalue overview overwrite owl oxford
+        oxidant oxidation oxidize oxidizing oxygen oxymoron
+        oyster ozone paced pacemaker pacific pacifier
+        pacifism pacifist pacify padded padding paddle
+        paddling padlock pagan pager paging pajamas
+        palace palatable palm palpable palpitate paltry
+        pampered pamperer pampers pamphlet panama pancake
+        pancreas panda pandemic pang panhandle panic
+        panning panorama panoramic panther pantomime pantry
+        pants pantyhose paparazzi papaya paper paprika
+        papyrus parabola parachute parade paradox paragraph
+        parakeet paralegal paralyses paralysis paralyze paramedic
+        parameter paramount parasail parasite parasitic parcel
+        parched parchment pardon parish parka parking
+        parkway parlor parmesan parole parrot parsley
+        parsnip partake parted parting partition partly
+        partner partridge party passable passably passage
+        passcode passenger passerby passing passion passive
+        passivism passover passport password pasta pasted
+        pastel pastime pastor pastrami pasture pasty
+        patchwork patchy paternal paternity path patience
+        patient patio patriarch patriot patrol patronage
+        patronize pauper pavement paver pavestone pavilion
+        paving pawing payable payback paycheck payday
+        payee payer paying payment payphone payroll
+        pebble pebbly pecan pectin peculiar peddling
+        pediatric pedicure pedigree pedometer pegboard pelican
+        pellet pelt pelvis penalize penalty pencil
+        pendant pending penholder penknife pennant penniless
+        penny penpal pension pentagon pentagram pep
+        perceive percent perch percolate perennial perfected
+        perfectly perfume periscope perish perjurer perjury
+        perkiness perky perm peroxide perpetual perplexed
+        persecute persevere persuaded persuader pesky peso
+        pessimism pessimist pester pesticide petal petite
+        petition petri petroleum petted petticoat pettiness
+        petty petunia phantom phobia phoenix phonebook
+        phoney phonics phoniness phony phosphate photo
+        phrase phrasing placard placate placidly plank
+        planner plant plasma plaster plastic plated
+        platform plating platinum platonic platter platypus
+        plausible plausibly playable playback player playful
+        playgroup playhouse playing playlist playmaker playmate
+        playoff playpen playroom playset plaything playtime
+        plaza pleading pleat pledge plentiful plenty
+        plethora plexiglas pliable plod plop plot
+        plow ploy pluck plug plunder plunging
+        plural plus plutonium plywood poach pod
+        poem poet pogo pointed pointer pointing
+        pointless pointy poise poison poker poking
+        polar police policy polio polish politely
+        polka polo polyester polygon polygraph polymer
+        poncho pond pony popcorn pope poplar
+        popper poppy popsicle populace popular populate
+        porcupine pork porous porridge portable portal
+        portfolio porthole portion portly portside poser
+        posh posing possible possibly possum postage
+        postal postbox postcard posted poster posting
+        postnasal posture postwar pouch pounce pouncing
+        pound pouring pout powdered powdering powdery
+        power powwow pox praising prance prancing
+        pranker prankish prankster prayer praying preacher
+        preaching preachy preamble precinct precise precision
+        precook precut predator predefine predict preface
+        prefix preflight preformed pregame pregnancy pregnant
+        preheated prelaunch prelaw prelude premiere premises
+        premium prenatal preoccupy preorder prepaid prepay
+        preplan preppy preschool prescribe preseason preset
+        preshow president presoak press presume presuming
+        preteen pretended pretender pretense pretext pretty
+        pretzel prevail prevalent prevent preview previous
+        prewar prewashed prideful pried primal primarily
+        primary primate primer primp princess print
+        prior prism prison prissy pristine privacy
+        private privatize prize proactive probable probably
+        probation probe probing probiotic problem procedure
+        process proclaim procreate procurer prodigal prodigy
+        produce product profane profanity professed professor
+        profile profound profusely progeny prognosis program
+        progress projector prologue prolonged promenade prominent
+        promoter promotion prompter promptly prone prong
+        pronounce pronto proofing proofread proofs propeller
+        properly property proponent proposal propose props
+        prorate protector protegee proton prototype protozoan
+        protract protrude proud provable proved proven
+        provided provider providing province proving provoke
+        provoking provolone prowess prowler prowling proximity
+        proxy prozac prude prudishly prune pruning
+        pry psychic public publisher pucker pueblo
+        pug pull pulmonary pulp pulsate pulse
+        pulverize puma pumice pummel punch punctual
+        punctuate punctured pungent punisher punk pupil
+        puppet puppy purchase pureblood purebred purely
+        pureness purgatory purge purging purifier purify
+        purist puritan purity purple purplish purposely
+        purr purse pursuable pursuant pursuit purveyor
+        pushcart pushchair pusher pushiness pushing pushover
+        pushpin pushup pushy putdown putt puzzle
+        puzzling pyramid pyromania python quack quadrant
+        quail quaintly quake quaking qualified qualifier
+        qualify quality qualm quantum quarrel quarry
+        quartered quarterly quarters quartet quench query
+        quicken quickly quickness quicksand quickstep quiet
+        quill quilt quintet quintuple quirk quit
+        quiver quizzical quotable quotation quote rabid
+        race racing racism rack racoon radar
+        radial radiance radiantly radiated radiation radiator
+        radio radish raffle raft rage ragged
+        raging ragweed raider railcar railing railroad
+        railway raisin rake raking rally ramble
+        rambling ramp ramrod ranch rancidity random
+        ranged ranger ranging ranked ranking ransack
+        ranting rants rare rarity rascal rash
+        rasping ravage raven ravine raving ravioli
+        ravishing reabsorb reach reacquire reaction reactive
+        reactor reaffirm ream reanalyze reappear reapply
+        reappoint reapprove rearrange rearview reason reassign
+        reassure reattach reawake rebalance rebate rebel
+        rebirth reboot reborn rebound rebuff rebuild
+        rebuilt reburial rebuttal recall recant recapture
+        recast recede recent recess recharger recipient
+        recital recite reckless reclaim recliner reclining
+        recluse reclusive recognize recoil recollect recolor
+        reconcile reconfirm reconvene recopy record recount
+        recoup recovery recreate rectal rectangle rectified
+        rectify recycled recycler recycling reemerge reenact
+        reenter reentry reexamine referable referee reference
+        refill refinance refined refinery refining refinish
+        reflected reflector reflex reflux refocus refold
+        reforest reformat reformed reformer reformist refract
+        refrain refreeze refresh refried refueling refund
+        refurbish refurnish refusal refuse refusing refutable
+        refute regain regalia regally reggae regime
+        region register registrar registry regress regretful
+        regroup regular regulate regulator rehab reheat
+        rehire rehydrate reimburse reissue reiterate rejoice
+        rejoicing rejoin rekindle relapse relapsing relatable
+        related relation relative relax relay relearn
+        release relenting reliable reliably reliance reliant
+        relic relieve relieving relight relish relive
+        reload relocate relock reluctant rely remake
+        remark remarry rematch remedial remedy remember
+        reminder remindful remission remix remnant remodeler
+        remold remorse remote removable removal removed
+        remover removing rename renderer rendering rendition
+        renegade renewable renewably renewal renewed renounce
+        renovate renovator rentable rental rented renter
+        reoccupy reoccur reopen reorder repackage repacking
+        repaint repair repave repaying repayment repeal
+        repeated repeater repent rephrase replace replay
+        replica reply reporter repose repossess repost
+        repressed reprimand reprint reprise reproach reprocess
+        reproduce reprogram reps reptile reptilian repugnant
+        repulsion repulsive repurpose reputable reputably request
+        require requisite reroute rerun resale resample
+        rescuer reseal research reselect reseller resemble
+        resend resent reset reshape reshoot reshuffle
+        residence residency resident residual residue resigned
+        resilient resistant resisting resize resolute resolved
+        resonant resonate resort resource respect resubmit
+        result resume resupply resurface resurrect retail
+        retainer retaining retake retaliate retention rethink
+        retinal retired retiree retiring retold retool
+        retorted retouch retrace retract retrain retread
+        retreat retrial retrieval retriever retry return
+        retying retype reunion reunite reusable reuse
+        reveal reveler revenge revenue reverb revered
+        reverence reverend reversal reverse reversing reversion
+        revert revisable revise revision revisit revivable
+        revival reviver reviving revocable revoke revolt
+        revolver revolving reward rewash rewind rewire
+        reword rework rewrap rewrite rhyme ribbon
+        ribcage rice riches richly richness rickety
+        ricotta riddance ridden ride riding rifling
+        rift rigging rigid rigor rimless rimmed
+        rind rink rinse rinsing riot ripcord
+        ripeness ripening ripping ripple rippling riptide
+        rise rising risk risotto ritalin ritzy
+        rival riverbank riverbed riverboat riverside riveter
+        riveting roamer roaming roast robbing robe
+        robin robotics robust rockband rocker rocket
+        rockfish rockiness rocking rocklike rockslide rockstar
+        rocky rogue roman romp rope roping
+        roster rosy rotten rotting rotunda roulette
+        rounding roundish roundness roundup roundworm routine
+        routing rover roving royal rubbed rubber
+        rubbing rubble rubdown ruby ruckus rudder
+        rug ruined rule rumble rumbling rummage
+        rumor runaround rundown runner running runny
+        runt runway rupture rural ruse rush
+        rust rut sabbath sabotage sacrament sacred
+        sacrifice sadden saddlebag saddled saddling sadly
+        sadness safari safeguard safehouse safely safeness
+        saffron saga sage sagging saggy said
+        saint sake salad salami salaried salary
+        saline salon saloon salsa salt salutary
+        salute salvage salvaging salvation same sample
+        sampling sanction sanctity sanctuary sandal sandbag
+        sandbank sandbar sandblast sandbox sanded sandfish
+        sanding sandlot sandpaper sandpit sandstone sandstorm
+        sandworm sandy sanitary sanitizer sank santa
+        sapling sappiness sappy sarcasm sarcastic sardine
+        sash sasquatch sassy satchel satiable satin
+        satirical satisfied satisfy saturate saturday sauciness
+        saucy sauna savage savanna saved savings
+        savior savor saxophone say scabbed scabby
+        scalded scalding scale scaling scallion scallop
+        scalping scam scandal scanner scanning scant
+        scapegoat scarce scarcity scarecrow scared scarf
+        scarily scariness scarring scary scavenger scenic
+        schedule schematic scheme scheming schilling schnapps
+        scholar science scientist scion scoff scolding
+        scone scoop scooter scope scorch scorebook
+        scorecard scored scoreless scorer scoring scorn
+        scorpion scotch scoundrel scoured scouring scouting
+        scouts scowling scrabble scraggly scrambled scrambler
+        scrap scratch scrawny screen scribble scribe
+        scribing scrimmage script scroll scrooge scrounger
+        scrubbed scrubber scruffy scrunch scrutiny scuba
+        scuff sculptor sculpture scurvy scuttle secluded
+        secluding seclusion second secrecy secret sectional
+        sector secular securely security sedan sedate
+        sedation sedative sediment seduce seducing segment
+        seismic seizing seldom selected selection selective
+        selector self seltzer semantic semester semicolon
+        semifinal seminar semisoft semisweet senate senator
+        send senior senorita sensation sensitive sensitize
+        sensually sensuous sepia september septic septum
+        sequel sequence sequester series sermon serotonin
+        serpent serrated serve service serving sesame
+        sessions setback setting settle settling setup
+        sevenfold seventeen seventh seventy severity shabby
+        shack shaded shadily shadiness shading shadow
+        shady shaft shakable shakily shakiness shaking
+        shaky shale shallot shallow shame shampoo
+        shamrock shank shanty shape shaping share
+        sharpener sharper sharpie sharply sharpness shawl
+        sheath shed sheep sheet shelf shell
+        shelter shelve shelving sherry shield shifter
+        shifting shiftless shifty shimmer shimmy shindig
+        shine shingle shininess shining shiny ship
+        shirt shivering shock shone shoplift shopper
+        shopping shoptalk shore shortage shortcake shortcut
+        shorten shorter shorthand shortlist shortly shortness
+        shorts shortwave shorty shout shove showbiz
+        showcase showdown shower showgirl showing showman
+        shown showoff showpiece showplace showroom showy
+        shrank shrapnel shredder shredding shrewdly shriek
+        shrill shrimp shrine shrink shrivel shrouded
+        shrubbery shrubs shrug shrunk shucking shudder
+        shuffle shuffling shun shush shut shy
+        siamese siberian sibling siding sierra siesta
+        sift sighing silenced silencer silent silica
+        silicon silk silliness silly silo silt
+        silver similarly simile simmering simple simplify
+        simply sincere sincerity singer singing single
+        singular sinister sinless sinner sinuous sip
+        siren sister sitcom sitter sitting situated
+        situation sixfold sixteen sixth sixties sixtieth
+        sixtyfold sizable sizably size sizing sizzle
+        sizzling skater skating skedaddle skeletal skeleton
+        skeptic sketch skewed skewer skid skied
+        skier skies skiing skilled skillet skillful
+        skimmed skimmer skimming skimpily skincare skinhead
+        skinless skinning skinny skintight skipper skipping
+        skirmish skirt skittle skydiver skylight skyline
+        skype skyrocket skyward slab slacked slacker
+        slacking slackness slacks slain slam slander
+        slang slapping slapstick slashed slashing slate
+        slather slaw sled sleek sleep sleet
+        sleeve slept sliceable sliced slicer slicing
+        slick slider slideshow sliding slighted slighting
+        slightly slimness slimy slinging slingshot slinky
+        slip slit sliver slobbery slogan sloped
+        sloping sloppily sloppy slot slouching slouchy
+        sludge slug slum slurp slush sly
+        small smartly smartness smasher smashing smashup
+        smell smelting smile smilingly smirk smite
+        smith smitten smock smog smoked smokeless
+        smokiness smoking smoky smolder smooth smother
+        smudge smudgy smuggler smuggling smugly smugness
+        snack snagged snaking snap snare snarl
+        snazzy sneak sneer sneeze sneezing snide
+        sniff snippet snipping snitch snooper snooze
+        snore snoring snorkel snort snout snowbird
+        snowboard snowbound snowcap snowdrift snowdrop snowfall
+        snowfield snowflake snowiness snowless snowman snowplow
+        snowshoe snowstorm snowsuit snowy snub snuff
+        snuggle snugly snugness speak spearfish spearhead
+        spearman spearmint species specimen specked speckled
+        specks spectacle spectator spectrum speculate speech
+        speed spellbind speller spelling spendable spender
+        spending spent spew sphere spherical sphinx
+        spider spied spiffy spill spilt spinach
+        spinal spindle spinner spinning spinout spinster
+        spiny spiral spirited spiritism spirits spiritual
+        splashed splashing splashy splatter spleen splendid
+        splendor splice splicing splinter splotchy splurge
+        spoilage spoiled spoiler spoiling spoils spoken
+        spokesman sponge spongy sponsor spoof spookily
+        spooky spool spoon spore sporting sports
+        sporty spotless spotlight spotted spotter spotting
+        spotty spousal spouse spout sprain sprang
+        sprawl spray spree sprig spring sprinkled
+        sprinkler sprint sprite sprout spruce sprung
+        spry spud spur sputter spyglass squabble
+        squad squall squander squash squatted squatter
+        squatting squeak squealer squealing squeamish squeegee
+        squeeze squeezing squid squiggle squiggly squint
+        squire squirt squishier squishy stability stabilize
+        stable stack stadium staff stage staging
+        stagnant stagnate stainable stained staining stainless
+        stalemate staleness stalling stallion stamina stammer
+        stamp stand stank staple stapling starboard
+        starch stardom stardust starfish stargazer staring
+        stark starless starlet starlight starlit starring
+        starry starship starter starting startle startling
+        startup starved starving stash state static
+        statistic statue stature status statute statutory
+        staunch stays steadfast steadier steadily steadying
+        steam steed steep steerable steering steersman
+        stegosaur stellar stem stench stencil step
+        stereo sterile sterility sterilize sterling sternness
+        sternum stew stick stiffen stiffly stiffness
+        stifle stifling stillness stilt stimulant stimulate
+        stimuli stimulus stinger stingily stinging stingray
+        stingy stinking stinky stipend stipulate stir
+        stitch stock stoic stoke stole stomp
+        stonewall stoneware stonework stoning stony stood
+        stooge stool stoop stoplight stoppable stoppage
+        stopped stopper stopping stopwatch storable storage
+        storeroom storewide storm stout stove stowaway
+        stowing straddle straggler strained strainer straining
+        strangely stranger strangle strategic strategy stratus
+        straw stray streak stream street strength
+        strenuous strep stress stretch strewn stricken
+        strict stride strife strike striking strive
+        striving strobe strode stroller strongbox strongly
+        strongman struck structure strudel struggle strum
+        strung strut stubbed stubble stubbly stubborn
+        stucco stuck student studied studio study
+        stuffed stuffing stuffy stumble stumbling stump
+        stung stunned stunner stunning stunt stupor
+        sturdily sturdy styling stylishly stylist stylized
+        stylus suave subarctic subatomic subdivide subdued
+        subduing subfloor subgroup subheader subject sublease
+        sublet sublevel sublime submarine submerge submersed
+        submitter subpanel subpar subplot subprime subscribe
+        subscript subsector subside subsiding subsidize subsidy
+        subsoil subsonic substance subsystem subtext subtitle
+        subtly subtotal subtract subtype suburb subway
+        subwoofer subzero succulent such suction sudden
+        sudoku suds sufferer suffering suffice suffix
+        suffocate suffrage sugar suggest suing suitable
+        suitably suitcase suitor sulfate sulfide sulfite
+        sulfur sulk sullen sulphate sulphuric sultry
+        superbowl superglue superhero superior superjet superman
+        supermom supernova supervise supper supplier supply
+        support supremacy supreme surcharge surely sureness
+        surface surfacing surfboard surfer surgery surgical
+        surging surname surpass surplus surprise surreal
+        surrender surrogate surround survey survival survive
+        surviving survivor sushi suspect suspend suspense
+        sustained sustainer swab swaddling swagger swampland
+        swan swapping swarm sway swear sweat
+        sweep swell swept swerve swifter swiftly
+        swiftness swimmable swimmer swimming swimsuit swimwear
+        swinger swinging swipe swirl switch swivel
+        swizzle swooned swoop swoosh swore sworn
+        swung sycamore sympathy symphonic symphony symptom
+        synapse syndrome synergy synopses synopsis synthesis
+        synthetic syrup system t-shirt tabasco tabby
+        tableful tables tablet tableware tabloid tackiness
+        tacking tackle tackling tacky taco tactful
+        tactical tactics tactile tactless tadpole taekwondo
+        tag tainted take taking talcum talisman
+        tall talon tamale tameness tamer tamper
+        tank tanned tannery tanning tantrum tapeless
+        tapered tapering tapestry tapioca tapping taps
+        tarantula target tarmac tarnish tarot tartar
+        tartly tartness task tassel taste tastiness
+        tasting tasty tattered tattle tattling tattoo
+        taunt tavern thank that thaw theater
+        theatrics thee theft theme theology theorize
+        thermal thermos thesaurus these thesis thespian
+        thicken thicket thickness thieving thievish thigh
+        thimble thing think thinly thinner thinness
+        thinning thirstily thirsting thirsty thirteen thirty
+        thong thorn those thousand thrash thread
+        threaten threefold thrift thrill thrive thriving
+        throat throbbing throng throttle throwaway throwback
+        thrower throwing thud thumb thumping thursday
+        thus thwarting thyself tiara tibia tidal
+        tidbit tidiness tidings tidy tiger tighten
+        tightly tightness tightrope tightwad tigress tile
+        tiling till tilt timid timing timothy
+        tinderbox tinfoil tingle tingling tingly tinker
+        tinkling tinsel tinsmith tint tinwork tiny
+        tipoff tipped tipper tipping tiptoeing tiptop
+        tiring tissue trace tracing track traction
+        tractor trade trading tradition traffic tragedy
+        trailing trailside train traitor trance tranquil
+        transfer transform translate transpire transport transpose
+        trapdoor trapeze trapezoid trapped trapper trapping
+        traps trash travel traverse travesty tray
+        treachery treading treadmill treason treat treble
+        tree trekker tremble trembling tremor trench
+        trend trespass triage trial triangle tribesman
+        tribunal tribune tributary tribute triceps trickery
+        trickily tricking trickle trickster tricky tricolor
+        tricycle trident tried trifle trifocals trillion
+        trilogy trimester trimmer trimming trimness trinity
+        trio tripod tripping triumph trivial trodden
+        trolling trombone trophy tropical tropics trouble
+        troubling trough trousers trout trowel truce
+        truck truffle trump trunks trustable trustee
+        trustful trusting trustless truth try tubby
+        tubeless tubular tucking tuesday tug tuition
+        tulip tumble tumbling tummy turban turbine
+        turbofan turbojet turbulent turf turkey turmoil
+        turret turtle tusk tutor tutu tux
+        tweak tweed tweet tweezers twelve twentieth
+        twenty twerp twice twiddle twiddling twig
+        twilight twine twins twirl twistable twisted
+        twister twisting twisty twitch twitter tycoon
+        tying tyke udder ultimate ultimatum ultra
+        umbilical umbrella umpire unabashed unable unadorned
+        unadvised unafraid unaired unaligned unaltered unarmored
+        unashamed unaudited unawake unaware unbaked unbalance
+        unbeaten unbend unbent unbiased unbitten unblended
+        unblessed unblock unbolted unbounded unboxed unbraided
+        unbridle unbroken unbuckled unbundle unburned unbutton
+        uncanny uncapped uncaring uncertain unchain unchanged
+        uncharted uncheck uncivil unclad unclaimed unclamped
+        unclasp uncle unclip uncloak unclog unclothed
+        uncoated uncoiled uncolored uncombed uncommon uncooked
+        uncork uncorrupt uncounted uncouple uncouth uncover
+        uncross uncrown uncrushed uncured uncurious uncurled
+        uncut undamaged undated undaunted undead undecided
+        undefined underage underarm undercoat undercook undercut
+        underdog underdone underfed underfeed underfoot undergo
+        undergrad underhand underline underling undermine undermost
+        underpaid underpass underpay underrate undertake undertone
+        undertook undertow underuse underwear underwent underwire
+        undesired undiluted undivided undocked undoing undone
+        undrafted undress undrilled undusted undying unearned
+        unearth unease uneasily uneasy uneatable uneaten
+        unedited unelected unending unengaged unenvied unequal
+        unethical uneven unexpired unexposed unfailing unfair
+        unfasten unfazed unfeeling unfiled unfilled unfitted
+        unfitting unfixable unfixed unflawed unfocused unfold
+        unfounded unframed unfreeze unfrosted unfrozen unfunded
+        unglazed ungloved unglue ungodly ungraded ungreased
+        unguarded unguided unhappily unhappy unharmed unhealthy
+        unheard unhearing unheated unhelpful unhidden unhinge
+        unhitched unholy unhook unicorn unicycle unified
+        unifier uniformed uniformly unify unimpeded uninjured
+        uninstall uninsured uninvited union uniquely unisexual
+        unison unissued unit universal universe unjustly
+        unkempt unkind unknotted unknowing unknown unlaced
+        unlatch unlawful unleaded unlearned unleash unless
+        unleveled unlighted unlikable unlimited unlined unlinked
+        unlisted unlit unlivable unloaded unloader unlocked
+        unlocking unlovable unloved unlovely unloving unluckily
+        unlucky unmade unmanaged unmanned unmapped unmarked
+        unmasked unmasking unmatched unmindful unmixable unmixed
+        unmolded unmoral unmovable unmoved unmoving unnamable
+        unnamed unnatural unneeded unnerve unnerving unnoticed
+        unopened unopposed unpack unpadded unpaid unpainted
+        unpaired unpaved unpeeled unpicked unpiloted unpinned
+        unplanned unplanted unpleased unpledged unplowed unplug
+        unpopular unproven unquote unranked unrated unraveled
+        unreached unread unreal unreeling unrefined unrelated
+        unrented unrest unretired unrevised unrigged unripe
+        unrivaled unroasted unrobed unroll unruffled unruly
+        unrushed unsaddle unsafe unsaid unsalted unsaved
+        unsavory unscathed unscented unscrew unsealed unseated
+        unsecured unseeing unseemly unseen unselect unselfish
+        unsent unsettled unshackle unshaken unshaved unshaven
+        unsheathe unshipped unsightly unsigned unskilled unsliced
+        unsmooth unsnap unsocial unsoiled unsold unsolved
+        unsorted unspoiled unspoken unstable unstaffed unstamped
+        unsteady unsterile unstirred unstitch unstopped unstuck
+        unstuffed unstylish unsubtle unsubtly unsuited unsure
+        unsworn untagged untainted untaken untamed untangled
+        untapped untaxed unthawed unthread untidy untie
+        until untimed untimely untitled untoasted untold
+        untouched untracked untrained untreated untried untrimmed
+        untrue untruth unturned untwist untying unusable
+        unused unusual unvalued unvaried unvarying unveiled
+        unveiling unvented unviable unvisited unvocal unwanted
+        unwarlike unwary unwashed unwatched unweave unwed
+        unwelcome unwell unwieldy unwilling unwind unwired
+        unwitting unwomanly unworldly unworn unworried unworthy
+        unwound unwoven unwrapped unwritten unzip upbeat
+        upchuck upcoming upcountry update upfront upgrade
+        upheaval upheld uphill uphold uplifted uplifting
+        upload upon upper upright uprising upriver
+        uproar uproot upscale upside upstage upstairs
+        upstart upstate upstream upstroke upswing uptake
+        uptight uptown upturned upward upwind uranium
+        urban urchin urethane urgency urgent urging
+        urologist urology usable usage useable used
+        uselessly user usher usual utensil utility
+        utilize utmost utopia utter vacancy vacant
+        vacate vacation vagabond vagrancy vagrantly vaguely
+        vagueness valiant valid valium valley valuables
+        value vanilla vanish vanity vanquish vantage
+        vaporizer variable variably varied variety various
+        varmint varnish varsity varying vascular vaseline
+        vastly vastness veal vegan veggie vehicular
+        velcro velocity velvet vendetta vending vendor
+        veneering vengeful venomous ventricle venture venue
+        venus verbalize verbally verbose verdict verify
+        verse version versus vertebrae vertical vertigo
+        very vessel vest veteran veto vexingly
+        viability viable vibes vice vicinity victory
+        video viewable viewer viewing viewless viewpoint
+        vigorous village villain vindicate vineyard vintage
+        violate violation violator violet violin viper
+        viral virtual virtuous virus visa viscosity
+        viscous viselike visible visibly vision visiting
+        visitor visor vista vitality vitalize vitally
+        vitamins vivacious vividly vividness vixen vocalist
+        vocalize vocally vocation voice voicing void
+        volatile volley voltage volumes voter voting
+        voucher vowed vowel voyage wackiness wad
+        wafer waffle waged wager wages waggle
+        wagon wake waking walk walmart walnut
+        walrus waltz wand wannabe wanted wanting
+        wasabi washable washbasin washboard washbowl washcloth
+        washday washed washer washhouse washing washout
+        washroom washstand washtub wasp wasting watch
+        water waviness waving wavy whacking whacky
+        wham wharf wheat whenever whiff whimsical
+        whinny whiny whisking whoever whole whomever
+        whoopee whooping whoops why wick widely
+        widen widget widow width wieldable wielder
+        wife wifi wikipedia wildcard wildcat wilder
+        wildfire wildfowl wildland wildlife wildly wildness
+        willed willfully willing willow willpower wilt
+        wimp wince wincing wind wing winking
+        winner winnings winter wipe wired wireless
+        wiring wiry wisdom wise wish wisplike
+        wispy wistful wizard wobble wobbling wobbly
+        wok wolf wolverine womanhood womankind womanless
+        womanlike womanly womb woof wooing wool
+        woozy word work worried worrier worrisome
+        worry worsening worshiper worst wound woven
+        wow wrangle wrath wreath wreckage wrecker
+        wrecking wrench wriggle wriggly wrinkle wrinkly
+        wrist writing written wrongdoer wronged wrongful
+        wrongly wrongness wrought xbox xerox yahoo
+        yam yanking yapping yard yarn yeah
+        yearbook yearling yearly yearning yeast yelling
+        yelp yen yesterday yiddish yield yin
+        yippee yo-yo yodel yoga yogurt yonder
+        yoyo yummy zap zealous zebra zen
+        zeppelin zero zestfully zesty zigzagged zipfile
+        zipping zippy zips zit zodiac zombie
+        zone zoning zookeeper zoologist zoology zoom
+        `.trim().split(/\s+/));
+
+        return Object.freeze({
+            EFF_LARGE_WORDLIST
+        });
+    })();
+
+    // ---- core/fingerprint.mjs ----
+    const __core_fingerprint = (function () {
+        /**
+         * Password Mint Core - Phrase Fingerprint
+         *
+         * A typo in the master phrase silently gives wrong passwords. The
+         * fingerprint lets the user recognize their phrase while typing: two check
+         * words and a small symmetric identicon, both from the hardened phrase, so
+         * capitals and spacing never change it.
+         *
+         * It comes from its own scrypt run (32 MiB) with a salt no site uses, so it
+         * shares nothing with any password, and testing a guess against a seen or
+         * pinned fingerprint costs as much as that scrypt run. It holds about 49
+         * bits: enough to catch a typo, far too few to identify a phrase.
+         * The mapping is frozen: a change would make every pinned fingerprint fail.
+         */
+
+        const { stringToBytes } = __core_normalize;
+        const { isPhraseKey, resolvePhraseKey } = __core_kdf;
+        const { scrypt } = __core_scrypt;
+        const { createByteStream } = __core_bytestream;
+        const { EFF_LARGE_WORDLIST } = __core_wordlist;
+
+        const FINGERPRINT_SALT = 'password-mint::fingerprint';
+
+        const FINGERPRINT_KDF = Object.freeze({ n: 32768, r: 8, p: 1, bytes: 32 });
+
+        // Identicon: GRID_SIZE × GRID_SIZE cells, mirrored left to right
+        const FINGERPRINT_GRID_SIZE = 5;
+
+        /**
+         * Map fingerprint bytes to check words and an identicon.
+         *
+         * Drawn in this fixed order from a labelled byte stream: the two words,
+         * the hue, then a 16-bit word whose low bits fill the left half and middle
+         * column, row by row.
+         *
+         * @param {Uint8Array} bytes - Output of the fingerprint KDF
+         * @returns {Promise<{words: string[], hue: number, cells: boolean[]}>} - Check words, hue (0-359), and the cells row by row (true = filled)
+         */
+        async function fingerprintFromBytes(bytes) {
+            const stream = createByteStream(bytes, FINGERPRINT_SALT);
+
+            const words = [];
+            for (let i = 0; i < 2; i++) {
+                words.push(EFF_LARGE_WORDLIST[await stream.uniform(EFF_LARGE_WORDLIST.length)]);
+            }
+            const hue = await stream.uniform(360);
+
+            const half = Math.ceil(FINGERPRINT_GRID_SIZE / 2);
+            const bits = await stream.nextWord();
+            const cells = new Array(FINGERPRINT_GRID_SIZE * FINGERPRINT_GRID_SIZE).fill(false);
+            for (let row = 0; row < FINGERPRINT_GRID_SIZE; row++) {
+                for (let column = 0; column < half; column++) {
+                    const filled = ((bits >> (row * half + column)) & 1) === 1;
+                    cells[row * FINGERPRINT_GRID_SIZE + column] = filled;
+                    cells[row * FINGERPRINT_GRID_SIZE + FINGERPRINT_GRID_SIZE - 1 - column] = filled;
+                }
+            }
+
+            return { words, hue, cells };
+        }
+
+        /**
+         * Derive the fingerprint of a master phrase.
+         *
+         * @param {string|CryptoKey} phrase - Raw master phrase (hardened internally), or a key from importMasterPhrase()
+         * @param {function(number)} [onProgress] - Progress (0-1) of the scrypt run
+         * @returns {Promise<{words: string[], hue: number, cells: boolean[]}>} - See fingerprintFromBytes()
+         */
+        async function derivePhraseFingerprint(phrase, onProgress) {
+            if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase.trim())) {
+                throw new Error('Please enter your master phrase.');
+            }
+
+            const key = await resolvePhraseKey(phrase);
+            const bytes = await scrypt(
+                key,
+                stringToBytes(FINGERPRINT_SALT),
+                FINGERPRINT_KDF.n,
+                FINGERPRINT_KDF.r,
+                FINGERPRINT_KDF.p,
+                FINGERPRINT_KDF.bytes,
+                onProgress
+            );
+            return fingerprintFromBytes(bytes);
+        }
+
+        /**
+         * Normalize check words for comparison and pinning.
+         *
+         * @param {string|string[]} words - Check words, as a list or separated by spaces
+         * @returns {string} - e.g. "abacus zoom"
+         */
+        function normalizeCheckWords(words) {
+            const text = Array.isArray(words) ? words.join(' ') : String(words);
+            return text.trim().toLowerCase().split(/\s+/).filter(Boolean).join(' ');
+        }
+
+        return Object.freeze({
+            FINGERPRINT_KDF,
+            FINGERPRINT_GRID_SIZE,
+            fingerprintFromBytes,
+            derivePhraseFingerprint,
+            normalizeCheckWords
+        });
+    })();
+
+    // ---- core/shamir.mjs ----
+    const __core_shamir = (function () {
+        /**
+         * Password Mint Core - Shamir Secret Sharing
+         *
+         * Splits bytes into N shares so that any M of them rebuild the bytes and
+         * fewer than M reveal nothing about them. Each byte is shared on its own:
+         * it is the constant term of a random polynomial of degree M - 1 over
+         * GF(2^8) (the AES field, x^8 + x^4 + x^3 + x + 1), and share x holds the
+         * polynomial's value at x for every byte. Rebuilding evaluates the
+         * Lagrange interpolation of M shares at zero.
+         *
+         * The field arithmetic is the one every Shamir implementation over bytes
+         * uses, so recovery kits depend on it never changing (see recovery-kit.mjs).
+         */
+
+        const SHAMIR_MAX_SHARES = 255;
+
+        // Log and antilog tables for GF(2^8), generator 3
+        const EXP = new Uint8Array(510);
+        const LOG = new Uint8Array(256);
+        (function buildTables() {
+            let value = 1;
+            for (let i = 0; i < 255; i++) {
+                EXP[i] = value;
+                EXP[i + 255] = value;
+                LOG[value] = i;
+                // Multiply by 3 (x + 1), reducing by the field polynomial
+                value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+            }
+        })();
+
+        function multiply(a, b) {
+            if (a === 0 || b === 0) return 0;
+            return EXP[LOG[a] + LOG[b]];
+        }
+
+        function divide(a, b) {
+            if (b === 0) throw new Error('Division by zero in GF(256).');
+            if (a === 0) return 0;
+            return EXP[LOG[a] + 255 - LOG[b]];
+        }
+
+        /**
+         * Split a secret into shares.
+         *
+         * @param {Uint8Array} secret - Bytes to share
+         * @param {number} threshold - Shares needed to rebuild the secret (M, at least 2)
+         * @param {number} count - Shares to make (N, from M to 255)
+         * @param {function(number): Uint8Array} [random] - Returns that many random bytes; defaults to crypto.getRandomValues()
+         * @returns {{x: number, y: Uint8Array}[]} - Shares 1 to N, each as long as the secret
+         */
+        function splitSecret(secret, threshold, count, random) {
+            if (!Number.isInteger(threshold) || threshold < 2) {
+                throw new Error('At least 2 shares must be needed to rebuild the secret.');
+            }
+            if (!Number.isInteger(count) || count < threshold || count > SHAMIR_MAX_SHARES) {
+                throw new Error('Make between ' + threshold + ' and ' + SHAMIR_MAX_SHARES + ' shares.');
+            }
+            const randomBytes = random || (length => globalThis.crypto.getRandomValues(new Uint8Array(length)));
+
+            const shares = [];
+            for (let x = 1; x <= count; x++) {
+                shares.push({ x, y: new Uint8Array(secret.length) });
+            }
+
+            // Coefficients 1 to M - 1 for every byte, drawn in one go
+            const coefficients = randomBytes(secret.length * (threshold - 1));
+            if (!(coefficients instanceof Uint8Array) || coefficients.length !== secret.length * (threshold - 1)) {
+                throw new Error('The random source returned the wrong number of bytes.');
+            }
+
+            for (let i = 0; i < secret.length; i++) {
+                const row = coefficients.subarray(i * (threshold - 1), (i + 1) * (threshold - 1));
+                for (const share of shares) {
+                    // Horner's rule, highest coefficient first
+                    let value = 0;
+                    for (let j = row.length - 1; j >= 0; j--) {
+                        value = multiply(value, share.x) ^ row[j];
+                    }
+                    share.y[i] = multiply(value, share.x) ^ secret[i];
+                }
+            }
+            return shares;
+        }
+
+        /**
+         * Rebuild a secret from shares. Given fewer shares than were needed, this
+         * returns unrelated bytes rather than failing, so callers check the result.
+         *
+         * @param {{x: number, y: Uint8Array}[]} shares - Distinct shares of one secret
+         * @returns {Uint8Array} - The secret
+         */
+        function combineShares(shares) {
+            if (!shares.length) {
+                throw new Error('No shares to combine.');
+            }
+            const length = shares[0].y.length;
+            const xs = shares.map(share => share.x);
+            if (new Set(xs).size !== xs.length || xs.some(x => !Number.isInteger(x) || x < 1 || x > SHAMIR_MAX_SHARES)) {
+                throw new Error('Shares must have distinct numbers from 1 to ' + SHAMIR_MAX_SHARES + '.');
+            }
+            if (shares.some(share => share.y.length !== length)) {
+                throw new Error('Shares of one secret all have the same length.');
+            }
+
+            // Lagrange basis at zero: prod x_j / (x_j - x_i), where minus is xor
+            const weights = xs.map((xi, i) => {
+                let weight = 1;
+                xs.forEach((xj, j) => {
+                    if (j !== i) weight = multiply(weight, divide(xj, xj ^ xi));
+                });
+                return weight;
+            });
+
+            const secret = new Uint8Array(length);
+            for (let i = 0; i < length; i++) {
+                let value = 0;
+                shares.forEach((share, j) => {
+                    value ^= multiply(share.y[i], weights[j]);
+                });
+                secret[i] = value;
+            }
+            return secret;
+        }
+
+        return Object.freeze({
+            SHAMIR_MAX_SHARES,
+            splitSecret,
+            combineShares
+        });
+    })();
+
+    // ---- core/recovery-kit.mjs ----
+    const __core_recovery_kit = (function () {
+        /**
+         * Password Mint Core - Recovery Kit
+         *
+         * A forgotten master phrase loses every password. A recovery kit splits the
+         * phrase into N shares, any M of which rebuild it (Shamir's scheme, see
+         * shamir.mjs), to hand to people or places that should not hold it alone.
+         * Fewer than M shares reveal nothing about the phrase beyond its rough length.
+         *
+         * What is shared is the normalized phrase (normalizePhrase(): the first step
+         * of hardenPhrase()), so the rebuilt phrase can be typed in as it is and
+         * gives the same passwords. It is stored as a 2-byte length, the UTF-8 text,
+         * and zero bytes up to a multiple of 12.
+         *
+         * Share layout (version 1), before the checksum:
+         *   version (1) | threshold M (1) | share number (1) | kit id (3) |
+         *   check words (4: two 13-bit word-list indices, then 6 zero bits) | share of the phrase
+         * then the first 2 bytes of SHA-256("password-mint::recovery-kit" || 0x00 || those bytes).
+         *
+         * The check words are the phrase fingerprint (fingerprint.mjs): a rebuilt
+         * phrase is only accepted once its own fingerprint matches them. The kit id
+         * is random and keeps shares of two kits from being mixed.
+         *
+         * A share is written as words, 12 bits each from the first 4096 words of the
+         * EFF list, or as "PM-SHARE:" and base32 (RFC 4648), which fits a QR code's
+         * alphanumeric mode. The layout is frozen: kits on paper must always combine.
+         */
+
+        const { stringToBytes, normalizePhrase } = __core_normalize;
+        const { getSubtle } = __core_kdf;
+        const { derivePhraseFingerprint, normalizeCheckWords } = __core_fingerprint;
+        const { EFF_LARGE_WORDLIST } = __core_wordlist;
+        const { splitSecret, combineShares } = __core_shamir;
+        const { toBase32, fromBase32 } = __core_base32;
+
+        const KIT_LABEL = 'password-mint::recovery-kit';
+        const KIT_VERSION = 1;
+        const HEADER_BYTES = 10;
+        const CHECKSUM_BYTES = 2;
+        const SECRET_BLOCK = 12;
+        const SHARE_WORDS = EFF_LARGE_WORDLIST.slice(0, 4096);
+        const SHARE_WORD_INDEX = new Map(SHARE_WORDS.map((word, index) => [word, index]));
+
+        const RECOVERY_SHARE_PREFIX = 'PM-SHARE:';
+
+        const RECOVERY_KIT_LIMITS = Object.freeze({ minThreshold: 2, maxShares: 16 });
+
+        function concatBytes(...parts) {
+            const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+            let offset = 0;
+            for (const part of parts) {
+                out.set(part, offset);
+                offset += part.length;
+            }
+            return out;
+        }
+
+        async function shareChecksum(bytes) {
+            const digest = await getSubtle().digest('SHA-256', concatBytes(stringToBytes(KIT_LABEL), new Uint8Array([0]), bytes));
+            return new Uint8Array(digest, 0, CHECKSUM_BYTES);
+        }
+
+        function toHex(bytes) {
+            return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        function packCheckWords(checkWords) {
+            const words = normalizeCheckWords(checkWords).split(' ');
+            const indexes = words.map(word => EFF_LARGE_WORDLIST.indexOf(word));
+            if (words.length !== 2 || indexes.includes(-1)) {
+                throw new Error('Check words must be the two words of the phrase fingerprint.');
+            }
+            const packed = new Uint8Array(4);
+            new DataView(packed.buffer).setUint32(0, ((indexes[0] << 19) | (indexes[1] << 6)) >>> 0);
+            return packed;
+        }
+
+        function unpackCheckWords(packed) {
+            const value = new DataView(packed.buffer, packed.byteOffset, 4).getUint32(0);
+            const indexes = [value >>> 19, (value >>> 6) & 0x1fff];
+            if ((value & 0x3f) || indexes.some(index => index >= EFF_LARGE_WORDLIST.length)) {
+                return null;
+            }
+            return indexes.map(index => EFF_LARGE_WORDLIST[index]).join(' ');
+        }
+
+        function toShareWords(bytes) {
+            const words = [];
+            for (let i = 0; i < bytes.length; i += 3) {
+                const value = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+                words.push(SHARE_WORDS[value >> 12], SHARE_WORDS[value & 0xfff]);
+            }
+            return words.join(' ');
+        }
+
+        function fromShareWords(words) {
+            if (words.length % 2) {
+                throw new Error('The share has ' + words.length + ' words, but shares always have an even number: a word is missing or extra.');
+            }
+            const bytes = new Uint8Array(words.length / 2 * 3);
+            for (let i = 0; i < words.length; i += 2) {
+                const pair = [words[i], words[i + 1]].map(word => {
+                    const index = SHARE_WORD_INDEX.get(word);
+                    if (index === undefined) {
+                        throw new Error('"' + word + '" is not a recovery kit word; check its spelling.');
+                    }
+                    return index;
+                });
+                const value = (pair[0] << 12) | pair[1];
+                bytes.set([value >> 16, (value >> 8) & 255, value & 255], i / 2 * 3);
+            }
+            return bytes;
+        }
+
+        function encodeSecret(phrase) {
+            const text = stringToBytes(phrase);
+            if (text.length > 0xffff) {
+                throw new Error('This phrase is too long for a recovery kit.');
+            }
+            const secret = new Uint8Array(Math.ceil((text.length + 2) / SECRET_BLOCK) * SECRET_BLOCK);
+            secret[0] = text.length >> 8;
+            secret[1] = text.length & 255;
+            secret.set(text, 2);
+            return secret;
+        }
+
+        function decodeSecret(secret) {
+            const length = (secret[0] << 8) | secret[1];
+            if (length === 0 || length > secret.length - 2 || secret.subarray(length + 2).some(byte => byte !== 0)) {
+                return null;
+            }
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(secret.subarray(2, length + 2));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Make a recovery kit for a master phrase.
+         *
+         * @param {string} phrase - Raw master phrase (normalized before it is split)
+         * @param {Object} options - Kit settings
+         * @param {number} options.threshold - Shares needed to rebuild the phrase (M)
+         * @param {number} options.shares - Shares to make (N, up to RECOVERY_KIT_LIMITS.maxShares)
+         * @param {string|string[]} [options.checkWords] - The phrase fingerprint's check words, if already known; derived otherwise
+         * @param {function(number)} [options.onProgress] - Progress (0-1) while the check words are derived
+         * @param {function(number): Uint8Array} [options.random] - Random byte source (for tests); defaults to crypto.getRandomValues()
+         * @returns {Promise<{id: string, threshold: number, checkWords: string, shares: {number: number, words: string, code: string}[]}>} -
+         *   Kit id (6 hex digits), M, check words, and each share as words and as a code for a QR code
+         */
+        async function createRecoveryKit(phrase, options) {
+            const { threshold, shares: count, onProgress } = options || {};
+            if (typeof phrase !== 'string' || !phrase.trim()) {
+                throw new Error('Please enter your master phrase.');
+            }
+            if (!Number.isInteger(count) || count < RECOVERY_KIT_LIMITS.minThreshold || count > RECOVERY_KIT_LIMITS.maxShares) {
+                throw new Error('A recovery kit has ' + RECOVERY_KIT_LIMITS.minThreshold + ' to ' + RECOVERY_KIT_LIMITS.maxShares + ' shares.');
+            }
+            if (!Number.isInteger(threshold) || threshold < RECOVERY_KIT_LIMITS.minThreshold || threshold > count) {
+                throw new Error('The shares needed must be between ' + RECOVERY_KIT_LIMITS.minThreshold + ' and the number of shares (' + count + ').');
+            }
+
+            const normalized = normalizePhrase(phrase);
+            const checkWords = normalizeCheckWords(options.checkWords || (await derivePhraseFingerprint(normalized, onProgress)).words);
+            const random = options.random || (length => globalThis.crypto.getRandomValues(new Uint8Array(length)));
+
+            const id = random(3);
+            const header = concatBytes(new Uint8Array([KIT_VERSION, threshold, 0]), id, packCheckWords(checkWords));
+            const kit = { id: toHex(id), threshold, checkWords, shares: [] };
+
+            for (const share of splitSecret(encodeSecret(normalized), threshold, count, random)) {
+                header[2] = share.x;
+                const body = concatBytes(header, share.y);
+                const bytes = concatBytes(body, await shareChecksum(body));
+                kit.shares.push({ number: share.x, words: toShareWords(bytes), code: RECOVERY_SHARE_PREFIX + toBase32(bytes) });
+            }
+            return kit;
+        }
+
+        /**
+         * Read one share, written as words or as a code.
+         *
+         * Case and extra spaces are ignored, and so are numbers between words (as
+         * when words were copied from numbered lines).
+         *
+         * @param {string} text - The share as typed or scanned
+         * @returns {Promise<{id: string, threshold: number, number: number, checkWords: string, y: Uint8Array}>} - What the share says
+         */
+        async function parseRecoveryShare(text) {
+            const compact = String(text || '').replace(/\s+/g, '').toUpperCase();
+            let bytes;
+            if (compact.startsWith(RECOVERY_SHARE_PREFIX)) {
+                const code = compact.slice(RECOVERY_SHARE_PREFIX.length);
+                if (/[^A-Z2-7]/.test(code)) {
+                    throw new Error('The share code has a character base32 does not use; check it was copied whole.');
+                }
+                bytes = fromBase32(code);
+            } else {
+                const words = String(text || '').toLowerCase().split(/\s+/).filter(word => word && !/^\d+[.):]?$/.test(word));
+                if (!words.length) {
+                    throw new Error('The share is empty.');
+                }
+                bytes = fromShareWords(words);
+            }
+
+            const size = bytes.length - HEADER_BYTES - CHECKSUM_BYTES;
+            if (size < SECRET_BLOCK || size % SECRET_BLOCK) {
+                throw new Error('The share is too short or too long; check that no words are missing.');
+            }
+            const body = bytes.subarray(0, bytes.length - CHECKSUM_BYTES);
+            const checksum = await shareChecksum(body);
+            if (checksum.some((byte, i) => byte !== bytes[body.length + i])) {
+                throw new Error('The share has a typo: its checksum does not match.');
+            }
+            if (bytes[0] !== KIT_VERSION) {
+                throw new Error('The share was made by a newer version of Password Mint.');
+            }
+
+            const threshold = bytes[1];
+            const number = bytes[2];
+            const checkWords = unpackCheckWords(bytes.subarray(6, 10));
+            if (threshold < RECOVERY_KIT_LIMITS.minThreshold || threshold > RECOVERY_KIT_LIMITS.maxShares ||
+                number < 1 || number > RECOVERY_KIT_LIMITS.maxShares || !checkWords) {
+                throw new Error('This is not a valid share.');
+            }
+
+            return { id: toHex(bytes.subarray(3, 6)), threshold, number, checkWords, y: bytes.slice(HEADER_BYTES, body.length) };
+        }
+
+        /**
+         * Split pasted text into shares: blank lines separate shares written as
+         * words, every share code is a share of its own, and lines starting with
+         * "#" are notes (like the headings the CLI prints).
+         *
+         * @param {string} text - One or more shares
+         * @returns {string[]} - The text of each share
+         */
+        function splitRecoveryShares(text) {
+            const shares = [];
+            for (const block of String(text || '').split(/\n\s*\n/)) {
+                const words = [];
+                for (const line of block.split('\n')) {
+                    if (line.trim().startsWith('#')) continue;
+                    if (line.trim().toUpperCase().startsWith(RECOVERY_SHARE_PREFIX)) {
+                        shares.push(line.trim());
+                    } else if (line.trim()) {
+                        words.push(line.trim());
+                    }
+                }
+                if (words.length) shares.push(words.join(' '));
+            }
+            return shares;
+        }
+
+        /**
+         * Rebuild the phrase from shares of one kit. The result is not yet checked
+         * against the check words: see recoverPhrase().
+         *
+         * @param {string[]} texts - Shares as typed or scanned (see splitRecoveryShares())
+         * @returns {Promise<{phrase: string, id: string, threshold: number, checkWords: string}>} - The normalized phrase and the kit it came from
+         */
+        async function combineRecoveryShares(texts) {
+            const shares = [];
+            for (let i = 0; i < texts.length; i++) {
+                let share;
+                try {
+                    share = await parseRecoveryShare(texts[i]);
+                } catch (error) {
+                    throw new Error('Share ' + (i + 1) + ': ' + error.message);
+                }
+
+                const first = shares[0];
+                if (first && (share.id !== first.id || share.threshold !== first.threshold || share.checkWords !== first.checkWords)) {
+                    throw new Error('Share ' + (i + 1) + ' is from another recovery kit (kit ' + share.id + ', not ' + first.id + ').');
+                }
+                const same = shares.find(other => other.number === share.number);
+                if (same) {
+                    if (same.y.length !== share.y.length || same.y.some((byte, j) => byte !== share.y[j])) {
+                        throw new Error('Share ' + (i + 1) + ' has the same number (' + share.number + ') as an earlier share but different words.');
+                    }
+                    continue; // The same share twice
+                }
+                shares.push(share);
+            }
+
+            if (!shares.length) {
+                throw new Error('Enter the shares to combine.');
+            }
+            const { id, threshold, checkWords } = shares[0];
+            if (shares.length < threshold) {
+                throw new Error('This kit needs ' + threshold + ' different shares to rebuild the phrase; ' + shares.length + ' given.');
+            }
+
+            const phrase = decodeSecret(combineShares(shares.slice(0, threshold).map(share => ({ x: share.number, y: share.y }))));
+            if (phrase === null) {
+                throw new Error('These shares do not rebuild a phrase; one of them may have been changed.');
+            }
+            return { phrase, id, threshold, checkWords };
+        }
+
+        /**
+         * Rebuild the phrase from shares and check it against the kit's check
+         * words, by deriving its fingerprint.
+         *
+         * @param {string[]} texts - Shares as typed or scanned (see splitRecoveryShares())
+         * @param {function(number)} [onProgress] - Progress (0-1) of the fingerprint
+         * @returns {Promise<{phrase: string, id: string, threshold: number, checkWords: string}>} - See combineRecoveryShares()
+         */
+        async function recoverPhrase(texts, onProgress) {
+            const recovered = await combineRecoveryShares(texts);
+            const fingerprint = await derivePhraseFingerprint(recovered.phrase, onProgress);
+            if (normalizeCheckWords(fingerprint.words) !== recovered.checkWords) {
+                throw new Error('The rebuilt phrase does not match the kit\'s check words (' + recovered.checkWords + '); do not use it.');
+            }
+            return recovered;
+        }
+
+        return Object.freeze({
+            RECOVERY_SHARE_PREFIX,
+            RECOVERY_KIT_LIMITS,
+            createRecoveryKit,
+            parseRecoveryShare,
+            splitRecoveryShares,
+            combineRecoveryShares,
+            recoverPhrase
+        });
+    })();
+
+    // ---- core/qrcode.mjs ----
+    const __core_qrcode = (function () {
+        /**
+         * Password Mint Core - QR Code Encoder
+         *
+         * A small QR code encoder (ISO/IEC 18004) for recovery kit shares, so a
+         * share can be printed and scanned without any network service or library.
+         * It covers what shares need: versions 1 to 10, error correction level M
+         * (about 15% of the symbol can be damaged), and alphanumeric or byte mode.
+         *
+         * Steps: encode the text as bits, split into blocks and add Reed-Solomon
+         * error correction, interleave, place in the zigzag around the function
+         * patterns, then keep the mask with the lowest penalty score.
+         */
+
+        const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+        const QR_MAX_VERSION = 10;
+
+        // Level M, by version: error correction codewords per block and the block sizes (data codewords)
+        const BLOCKS = [
+            null,
+            { ec: 10, blocks: [16] },
+            { ec: 16, blocks: [28] },
+            { ec: 26, blocks: [44] },
+            { ec: 18, blocks: [32, 32] },
+            { ec: 24, blocks: [43, 43] },
+            { ec: 16, blocks: [27, 27, 27, 27] },
+            { ec: 18, blocks: [31, 31, 31, 31] },
+            { ec: 22, blocks: [38, 38, 39, 39] },
+            { ec: 22, blocks: [36, 36, 36, 37, 37] },
+            { ec: 26, blocks: [43, 43, 43, 43, 44] }
+        ];
+
+        // Alignment pattern centers, by version
+        const ALIGNMENT = [
+            null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+            [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+        ];
+
+        // Format bits for level M are 00; both copies are xored with this mask
+        const FORMAT_MASK = 0x5412;
+
+        const MASKS = [
+            (row, column) => (row + column) % 2 === 0,
+            row => row % 2 === 0,
+            (row, column) => column % 3 === 0,
+            (row, column) => (row + column) % 3 === 0,
+            (row, column) => (Math.floor(row / 2) + Math.floor(column / 3)) % 2 === 0,
+            (row, column) => (row * column) % 2 + (row * column) % 3 === 0,
+            (row, column) => ((row * column) % 2 + (row * column) % 3) % 2 === 0,
+            (row, column) => ((row + column) % 2 + (row * column) % 3) % 2 === 0
+        ];
+
+        // GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+        function gfMultiply(a, b) {
+            let product = 0;
+            for (let i = 7; i >= 0; i--) {
+                product = (product << 1) ^ ((product >>> 7) * 0x11d);
+                product ^= ((b >>> i) & 1) * a;
+            }
+            return product;
+        }
+
+        function reedSolomonRemainder(data, degree) {
+            // Generator polynomial (x - 2^0)(x - 2^1)...(x - 2^(degree-1)), leading 1 dropped
+            const divisor = new Array(degree).fill(0);
+            divisor[degree - 1] = 1;
+            let root = 1;
+            for (let i = 0; i < degree; i++) {
+                for (let j = 0; j < degree; j++) {
+                    divisor[j] = gfMultiply(divisor[j], root);
+                    if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+                }
+                root = gfMultiply(root, 2);
+            }
+
+            const remainder = new Array(degree).fill(0);
+            for (const byte of data) {
+                const factor = byte ^ remainder.shift();
+                remainder.push(0);
+                for (let i = 0; i < degree; i++) {
+                    remainder[i] ^= gfMultiply(divisor[i], factor);
+                }
+            }
+            return remainder;
+        }
+
+        function encodeSegment(text) {
+            const bits = [];
+            const push = (value, length) => {
+                for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+            };
+
+            if (Array.from(text).every(char => ALPHANUMERIC.includes(char))) {
+                for (let i = 0; i + 1 < text.length; i += 2) {
+                    push(ALPHANUMERIC.indexOf(text[i]) * 45 + ALPHANUMERIC.indexOf(text[i + 1]), 11);
+                }
+                if (text.length % 2) push(ALPHANUMERIC.indexOf(text[text.length - 1]), 6);
+                return { mode: 0x2, count: text.length, countBits: version => (version < 10 ? 9 : 11), bits };
+            }
+
+            const bytes = new TextEncoder().encode(text);
+            for (const byte of bytes) push(byte, 8);
+            return { mode: 0x4, count: bytes.length, countBits: version => (version < 10 ? 8 : 16), bits };
+        }
+
+        function buildCodewords(segment, version) {
+            const layout = BLOCKS[version];
+            const capacity = layout.blocks.reduce((sum, size) => sum + size, 0) * 8;
+
+            const bits = [];
+            const push = (value, length) => {
+                for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+            };
+            push(segment.mode, 4);
+            push(segment.count, segment.countBits(version));
+            bits.push(...segment.bits);
+            push(0, Math.min(4, capacity - bits.length));
+            push(0, (8 - bits.length % 8) % 8);
+            for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+                push(pad, 8);
+            }
+
+            const data = [];
+            for (let i = 0; i < bits.length; i += 8) {
+                data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+            }
+
+            // Split into blocks, add error correction, then interleave column by column
+            const blocks = [];
+            let offset = 0;
+            for (const size of layout.blocks) {
+                const block = data.slice(offset, offset + size);
+                blocks.push({ data: block, ec: reedSolomonRemainder(block, layout.ec) });
+                offset += size;
+            }
+
+            const codewords = [];
+            const longest = Math.max(...layout.blocks);
+            for (let i = 0; i < longest; i++) {
+                for (const block of blocks) {
+                    if (i < block.data.length) codewords.push(block.data[i]);
+                }
+            }
+            for (let i = 0; i < layout.ec; i++) {
+                for (const block of blocks) codewords.push(block.ec[i]);
+            }
+            return codewords;
+        }
+
+        function createMatrix(version) {
+            const size = version * 4 + 17;
+            const modules = new Array(size * size).fill(false);
+            const reserved = new Array(size * size).fill(false);
+            const set = (row, column, dark) => {
+                modules[row * size + column] = dark;
+                reserved[row * size + column] = true;
+            };
+
+            // Finder patterns with their separators
+            for (const [top, left] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+                for (let row = -1; row <= 7; row++) {
+                    for (let column = -1; column <= 7; column++) {
+                        const y = top + row;
+                        const x = left + column;
+                        if (y < 0 || y >= size || x < 0 || x >= size) continue;
+                        const ring = Math.max(Math.abs(row - 3), Math.abs(column - 3));
+                        set(y, x, ring !== 2 && ring !== 4);
+                    }
+                }
+            }
+
+            // Timing patterns
+            for (let i = 8; i < size - 8; i++) {
+                set(6, i, i % 2 === 0);
+                set(i, 6, i % 2 === 0);
+            }
+
+            // Alignment patterns, except where they would cover a finder
+            const centers = ALIGNMENT[version];
+            for (const row of centers) {
+                for (const column of centers) {
+                    if ((row === 6 && column === 6) || (row === 6 && column === centers[centers.length - 1]) ||
+                        (row === centers[centers.length - 1] && column === 6)) {
+                        continue;
+                    }
+                    for (let dy = -2; dy <= 2; dy++) {
+                        for (let dx = -2; dx <= 2; dx++) {
+                            set(row + dy, column + dx, Math.max(Math.abs(dy), Math.abs(dx)) !== 1);
+                        }
+                    }
+                }
+            }
+
+            // Format information areas (filled in per mask) and the dark module
+            for (let i = 0; i < 9; i++) {
+                if (i === 6) continue; // Timing pattern
+                set(8, i, false);
+                set(i, 8, false);
+            }
+            for (let i = 0; i < 8; i++) {
+                set(8, size - 1 - i, false);
+                set(size - 1 - i, 8, false);
+            }
+            set(size - 8, 8, true);
+
+            // Version information, from version 7
+            if (version >= 7) {
+                let remainder = version;
+                for (let i = 0; i < 12; i++) {
+                    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+                }
+                const bits = (version << 12) | remainder;
+                for (let i = 0; i < 18; i++) {
+                    const dark = ((bits >>> i) & 1) === 1;
+                    const a = size - 11 + i % 3;
+                    const b = Math.floor(i / 3);
+                    set(b, a, dark);
+                    set(a, b, dark);
+                }
+            }
+
+            return { size, modules, reserved };
+        }
+
+        function placeCodewords(matrix, codewords) {
+            const { size, modules, reserved } = matrix;
+            let index = 0;
+            for (let right = size - 1; right >= 1; right -= 2) {
+                if (right === 6) right = 5;
+                const upward = ((right + 1) & 2) === 0;
+                for (let step = 0; step < size; step++) {
+                    const row = upward ? size - 1 - step : step;
+                    for (let column = right; column >= right - 1; column--) {
+                        if (reserved[row * size + column]) continue;
+                        // Modules past the last codeword are the remainder bits (zero)
+                        if (index < codewords.length * 8) {
+                            modules[row * size + column] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                            index++;
+                        }
+                    }
+                }
+            }
+        }
+
+        function applyMask(matrix, mask) {
+            const { size, reserved } = matrix;
+            const modules = matrix.modules.slice();
+            for (let row = 0; row < size; row++) {
+                for (let column = 0; column < size; column++) {
+                    if (!reserved[row * size + column] && MASKS[mask](row, column)) {
+                        modules[row * size + column] = !modules[row * size + column];
+                    }
+                }
+            }
+
+            let remainder = mask;
+            for (let i = 0; i < 10; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            }
+            const bits = ((mask << 10) | remainder) ^ FORMAT_MASK;
+            const bit = i => ((bits >>> i) & 1) === 1;
+
+            // First copy around the top-left finder, second split between the others
+            for (let i = 0; i <= 5; i++) modules[i * size + 8] = bit(i);
+            modules[7 * size + 8] = bit(6);
+            modules[8 * size + 8] = bit(7);
+            modules[8 * size + 7] = bit(8);
+            for (let i = 9; i < 15; i++) modules[8 * size + 14 - i] = bit(i);
+            for (let i = 0; i < 8; i++) modules[8 * size + size - 1 - i] = bit(i);
+            for (let i = 8; i < 15; i++) modules[(size - 15 + i) * size + 8] = bit(i);
+
+            return modules;
+        }
+
+        function penalty(modules, size) {
+            let score = 0;
+            const at = (row, column) => modules[row * size + column];
+
+            for (let pass = 0; pass < 2; pass++) {
+                const get = pass === 0 ? at : (row, column) => at(column, row);
+                for (let row = 0; row < size; row++) {
+                    // Runs of five or more in a line
+                    let run = 1;
+                    for (let column = 1; column <= size; column++) {
+                        if (column < size && get(row, column) === get(row, column - 1)) {
+                            run++;
+                        } else {
+                            if (run >= 5) score += run - 2;
+                            run = 1;
+                        }
+                    }
+                    // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+                    let line = '';
+                    for (let column = 0; column < size; column++) line += get(row, column) ? '1' : '0';
+                    for (const pattern of ['10111010000', '00001011101']) {
+                        for (let from = line.indexOf(pattern); from !== -1; from = line.indexOf(pattern, from + 1)) {
+                            score += 40;
+                        }
+                    }
+                }
+            }
+
+            // 2×2 blocks of one color
+            let dark = 0;
+            for (let row = 0; row < size; row++) {
+                for (let column = 0; column < size; column++) {
+                    if (at(row, column)) dark++;
+                    if (row + 1 < size && column + 1 < size) {
+                        const color = at(row, column);
+                        if (at(row, column + 1) === color && at(row + 1, column) === color && at(row + 1, column + 1) === color) {
+                            score += 3;
+                        }
+                    }
+                }
+            }
+
+            // Balance of dark and light
+            score += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+            return score;
+        }
+
+        /**
+         * Encode text as a QR code, at error correction level M.
+         *
+         * Text of digits, uppercase letters and " $%*+-./:" uses alphanumeric mode
+         * (about 60% of byte mode's size); anything else is encoded as UTF-8 bytes.
+         *
+         * @param {string} text - Text to encode
+         * @returns {{version: number, size: number, modules: boolean[]}} - Symbol version, width in modules, and the modules row by row (true = dark), without the quiet zone
+         */
+        function encodeQrCode(text) {
+            const segment = encodeSegment(String(text));
+
+            let version = 1;
+            for (; version <= QR_MAX_VERSION; version++) {
+                const capacity = BLOCKS[version].blocks.reduce((sum, size) => sum + size, 0) * 8;
+                const needed = 4 + segment.countBits(version) + segment.bits.length;
+                if (needed <= capacity && segment.count < 2 ** segment.countBits(version)) break;
+            }
+            if (version > QR_MAX_VERSION) {
+                throw new Error('This text is too long for a QR code.');
+            }
+
+            const matrix = createMatrix(version);
+            placeCodewords(matrix, buildCodewords(segment, version));
+
+            let best = null;
+            for (let mask = 0; mask < MASKS.length; mask++) {
+                const modules = applyMask(matrix, mask);
+                const score = penalty(modules, matrix.size);
+                if (!best || score < best.score) best = { modules, score };
+            }
+            return { version, size: matrix.size, modules: best.modules };
+        }
+
+        return Object.freeze({
+            QR_MAX_VERSION,
+            encodeQrCode
+        });
+    })();
+
+    // ---- core/blake2b.mjs ----
+    const __core_blake2b = (function () {
+        /**
+         * Password Mint Core - BLAKE2b (RFC 7693)
+         *
+         * Unkeyed BLAKE2b with 1-64 byte output, needed by Argon2. 64-bit words are
+         * held as (low, high) pairs of 32-bit integers in a Uint32Array.
+         */
+
+        const IV = new Uint32Array([
+            0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+            0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+            0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+            0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+        ]);
+
+        // Message schedule; rounds 10 and 11 repeat rounds 0 and 1
+        const SIGMA = [
+            [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+            [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+            [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+            [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+            [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+            [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+            [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+            [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+            [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+            [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+            [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+            [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3]
+        ];
+
+        const BLOCK_BYTES = 128;
+
+        /**
+         * v[a] += v[b] (64-bit, word indices are pair offsets).
+         */
+        function add64(v, a, b) {
+            const lo = v[a] + v[b];
+            v[a] = lo;
+            v[a + 1] = v[a + 1] + v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+        }
+
+        /**
+         * v[a] += (hi:lo) (64-bit).
+         */
+        function add64Word(v, a, lo, hi) {
+            const sum = v[a] + lo;
+            v[a] = sum;
+            v[a + 1] = v[a + 1] + hi + (sum >= 0x100000000 ? 1 : 0);
+        }
+
+        /**
+         * v[d] = rotr64(v[d] ^ v[a], bits) for bits in {32, 24, 16, 63}.
+         */
+        function xorRotate(v, d, a, bits) {
+            const lo = v[d] ^ v[a];
+            const hi = v[d + 1] ^ v[a + 1];
+            if (bits === 32) {
+                v[d] = hi;
+                v[d + 1] = lo;
+            } else if (bits === 63) {
+                v[d] = (hi >>> 31) | (lo << 1);
+                v[d + 1] = (lo >>> 31) | (hi << 1);
+            } else {
+                v[d] = (lo >>> bits) | (hi << (32 - bits));
+                v[d + 1] = (hi >>> bits) | (lo << (32 - bits));
+            }
+        }
+
+        function mix(v, m, a, b, c, d, x, y) {
+            add64(v, a, b);
+            add64Word(v, a, m[x], m[x + 1]);
+            xorRotate(v, d, a, 32);
+            add64(v, c, d);
+            xorRotate(v, b, c, 24);
+            add64(v, a, b);
+            add64Word(v, a, m[y], m[y + 1]);
+            xorRotate(v, d, a, 16);
+            add64(v, c, d);
+            xorRotate(v, b, c, 63);
+        }
+
+        function compress(h, block, counter, isLast) {
+            const v = new Uint32Array(32);
+            const m = new Uint32Array(32);
+
+            for (let i = 0; i < 16; i++) {
+                v[i] = h[i];
+                v[i + 16] = IV[i];
+            }
+
+            // Byte counter (fits in 53 bits) into v[12]
+            v[24] ^= counter >>> 0;
+            v[25] ^= Math.floor(counter / 0x100000000);
+
+            if (isLast) {
+                v[28] = ~v[28];
+                v[29] = ~v[29];
+            }
+
+            for (let i = 0; i < 32; i++) {
+                const o = i * 4;
+                m[i] = block[o] | (block[o + 1] << 8) | (block[o + 2] << 16) | (block[o + 3] << 24);
+            }
+
+            for (let round = 0; round < 12; round++) {
+                const s = SIGMA[round];
+                mix(v, m, 0, 8, 16, 24, s[0] * 2, s[1] * 2);
+                mix(v, m, 2, 10, 18, 26, s[2] * 2, s[3] * 2);
+                mix(v, m, 4, 12, 20, 28, s[4] * 2, s[5] * 2);
+                mix(v, m, 6, 14, 22, 30, s[6] * 2, s[7] * 2);
+                mix(v, m, 0, 10, 20, 30, s[8] * 2, s[9] * 2);
+                mix(v, m, 2, 12, 22, 24, s[10] * 2, s[11] * 2);
+                mix(v, m, 4, 14, 16, 26, s[12] * 2, s[13] * 2);
+                mix(v, m, 6, 8, 18, 28, s[14] * 2, s[15] * 2);
+            }
+
+            for (let i = 0; i < 16; i++) {
+                h[i] ^= v[i] ^ v[i + 16];
+            }
+        }
+
+        /**
+         * Hash bytes with BLAKE2b.
+         *
+         * @param {Uint8Array} input - Message
+         * @param {number} [outputLength=64] - Digest length in bytes (1-64)
+         * @returns {Uint8Array} - Digest
+         */
+        function blake2b(input, outputLength = 64) {
+            if (!Number.isInteger(outputLength) || outputLength < 1 || outputLength > 64) {
+                throw new Error('BLAKE2b output length must be 1-64 bytes');
+            }
+
+            const h = new Uint32Array(IV);
+            // Parameter block: digest length, no key, fanout 1, depth 1
+            h[0] ^= 0x01010000 ^ outputLength;
+
+            const block = new Uint8Array(BLOCK_BYTES);
+            let offset = 0;
+
+            // All full blocks except the last one
+            while (input.length - offset > BLOCK_BYTES) {
+                block.set(input.subarray(offset, offset + BLOCK_BYTES));
+                offset += BLOCK_BYTES;
+                compress(h, block, offset, false);
+            }
+
+            block.fill(0);
+            block.set(input.subarray(offset));
+            compress(h, block, input.length, true);
+
+            const out = new Uint8Array(outputLength);
+            for (let i = 0; i < outputLength; i++) {
+                out[i] = h[i >> 2] >>> (8 * (i & 3));
+            }
+            return out;
+        }
+
+        return Object.freeze({
+            blake2b
+        });
+    })();
+
+    // ---- core/argon2.mjs ----
+    const __core_argon2 = (function () {
+        /**
+         * Password Mint Core - Argon2id (RFC 9106)
+         *
+         * Argon2 version 1.3, type id, in pure JavaScript. Lanes are filled one
+         * after another (there are no threads here), so parallelism changes the
+         * output but not the running time. 64-bit words are (low, high) pairs in
+         * a Uint32Array, as in blake2b.mjs.
+         */
+
+        const { blake2b } = __core_blake2b;
+
+        const ARGON2_VERSION = 0x13;
+        const ARGON2_TYPE_ID = 2;
+        const SYNC_POINTS = 4;
+        const BLOCK_WORDS = 256; // 1024-byte block as 32-bit words
+        const ADDRESSES_PER_BLOCK = 128;
+
+        // Word offsets for the 16 64-bit registers of each row and column round
+        const ROUND_OFFSETS = (() => {
+            const offsets = new Uint16Array(16 * 16);
+            for (let i = 0; i < 8; i++) {
+                for (let k = 0; k < 16; k++) {
+                    // Rows: registers 16i .. 16i+15
+                    offsets[i * 16 + k] = (16 * i + k) * 2;
+                    // Columns: registers 2i, 2i+1, 2i+16, 2i+17, ... 2i+112, 2i+113
+                    offsets[(8 + i) * 16 + k] = (2 * i + (k >> 1) * 16 + (k & 1)) * 2;
+                }
+            }
+            return offsets;
+        })();
+
+        // Scratch blocks for compress()
+        const blockR = new Uint32Array(BLOCK_WORDS);
+        const blockZ = new Uint32Array(BLOCK_WORDS);
+
+        /**
+         * High 32 bits of a * b for unsigned 32-bit a and b.
+         */
+        function mulHigh32(a, b) {
+            const aLow = a & 0xffff;
+            const aHigh = a >>> 16;
+            const bLow = b & 0xffff;
+            const bHigh = b >>> 16;
+            const t = aHigh * bLow + ((aLow * bLow) >>> 16);
+            const u = aLow * bHigh + (t & 0xffff);
+            return aHigh * bHigh + (t >>> 16) + (u >>> 16);
+        }
+
+        /**
+         * v[a] = v[a] + v[b] + 2 * low32(v[a]) * low32(v[b]) (mod 2^64).
+         */
+        function blamka(v, a, b) {
+            const aLow = v[a];
+            const bLow = v[b];
+            const productLow = Math.imul(aLow, bLow) >>> 0;
+            const productHigh = mulHigh32(aLow, bLow);
+            const doubledLow = (productLow << 1) >>> 0;
+            const doubledHigh = ((productHigh << 1) | (productLow >>> 31)) >>> 0;
+            const low = aLow + bLow + doubledLow;
+            v[a] = low;
+            v[a + 1] = v[a + 1] + v[b + 1] + doubledHigh + Math.floor(low / 0x100000000);
+        }
+
+        /**
+         * v[d] = rotr64(v[d] ^ v[a], bits) for bits in {32, 24, 16, 63}.
+         */
+        function xorRotate(v, d, a, bits) {
+            const lo = v[d] ^ v[a];
+            const hi = v[d + 1] ^ v[a + 1];
+            if (bits === 32) {
+                v[d] = hi;
+                v[d + 1] = lo;
+            } else if (bits === 63) {
+                v[d] = (hi >>> 31) | (lo << 1);
+                v[d + 1] = (lo >>> 31) | (hi << 1);
+            } else {
+                v[d] = (lo >>> bits) | (hi << (32 - bits));
+                v[d + 1] = (hi >>> bits) | (lo << (32 - bits));
+            }
+        }
+
+        function mix(v, a, b, c, d) {
+            blamka(v, a, b);
+            xorRotate(v, d, a, 32);
+            blamka(v, c, d);
+            xorRotate(v, b, c, 24);
+            blamka(v, a, b);
+            xorRotate(v, d, a, 16);
+            blamka(v, c, d);
+            xorRotate(v, b, c, 63);
+        }
+
+        /**
+         * Compression function G: out = P(x ^ y) ^ (x ^ y), optionally XORed into
+         * the previous contents of out (passes after the first, version 1.3).
+         */
+        function compress(out, outOffset, x, xOffset, y, yOffset, xorWithOut) {
+            for (let i = 0; i < BLOCK_WORDS; i++) {
+                blockR[i] = x[xOffset + i] ^ y[yOffset + i];
+            }
+            blockZ.set(blockR);
+
+            for (let round = 0; round < 16; round++) {
+                const o = round * 16;
+                const r = ROUND_OFFSETS;
+                mix(blockZ, r[o], r[o + 4], r[o + 8], r[o + 12]);
+                mix(blockZ, r[o + 1], r[o + 5], r[o + 9], r[o + 13]);
+                mix(blockZ, r[o + 2], r[o + 6], r[o + 10], r[o + 14]);
+                mix(blockZ, r[o + 3], r[o + 7], r[o + 11], r[o + 15]);
+                mix(blockZ, r[o], r[o + 5], r[o + 10], r[o + 15]);
+                mix(blockZ, r[o + 1], r[o + 6], r[o + 11], r[o + 12]);
+                mix(blockZ, r[o + 2], r[o + 7], r[o + 8], r[o + 13]);
+                mix(blockZ, r[o + 3], r[o + 4], r[o + 9], r[o + 14]);
+            }
+
+            if (xorWithOut) {
+                for (let i = 0; i < BLOCK_WORDS; i++) {
+                    out[outOffset + i] ^= blockZ[i] ^ blockR[i];
+                }
+            } else {
+                for (let i = 0; i < BLOCK_WORDS; i++) {
+                    out[outOffset + i] = blockZ[i] ^ blockR[i];
+                }
+            }
+        }
+
+        function le32(n) {
+            return new Uint8Array([n & 255, (n >>> 8) & 255, (n >>> 16) & 255, (n >>> 24) & 255]);
+        }
+
+        function concatBytes(parts) {
+            const total = parts.reduce((sum, part) => sum + part.length, 0);
+            const out = new Uint8Array(total);
+            let offset = 0;
+            for (const part of parts) {
+                out.set(part, offset);
+                offset += part.length;
+            }
+            return out;
+        }
+
+        /**
+         * Variable-length hash H' (RFC 9106 section 3.3).
+         */
+        function hashLong(input, outputLength) {
+            const prefixed = concatBytes([le32(outputLength), input]);
+            if (outputLength <= 64) {
+                return blake2b(prefixed, outputLength);
+            }
+
+            const out = new Uint8Array(outputLength);
+            const rounds = Math.ceil(outputLength / 32) - 2;
+            let v = blake2b(prefixed, 64);
+            out.set(v.subarray(0, 32), 0);
+            for (let i = 1; i < rounds; i++) {
+                v = blake2b(v, 64);
+                out.set(v.subarray(0, 32), i * 32);
+            }
+            out.set(blake2b(v, outputLength - 32 * rounds), rounds * 32);
+            return out;
+        }
+
+        /**
+         * Compute an Argon2id tag.
+         *
+         * @param {Object} params - Argon2 inputs
+         * @param {Uint8Array} params.password - Password bytes (P)
+         * @param {Uint8Array} params.salt - Salt bytes (S), at least 8
+         * @param {number} params.memoryKiB - Memory size m in KiB, at least 8 * parallelism
+         * @param {number} params.passes - Number of passes t, at least 1
+         * @param {number} [params.parallelism=1] - Number of lanes p
+         * @param {number} [params.tagLength=32] - Tag length T in bytes, at least 4
+         * @param {Uint8Array} [params.secret] - Optional secret K
+         * @param {Uint8Array} [params.associatedData] - Optional associated data X
+         * @param {function(number)} [params.onProgress] - Called with the fraction done (0-1) after each segment
+         * @returns {Uint8Array} - Tag
+         */
+        function argon2id(params) {
+            const {
+                password,
+                salt,
+                memoryKiB,
+                passes,
+                parallelism = 1,
+                tagLength = 32,
+                secret = new Uint8Array(0),
+                associatedData = new Uint8Array(0),
+                onProgress
+            } = params;
+
+            if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > 0xffffff) {
+                throw new Error('Argon2 parallelism must be 1 or greater');
+            }
+            if (!Number.isInteger(memoryKiB) || memoryKiB < 8 * parallelism) {
+                throw new Error('Argon2 memory must be at least 8 KiB per lane');
+            }
+            if (!Number.isInteger(passes) || passes < 1) {
+                throw new Error('Argon2 passes must be 1 or greater');
+            }
+            if (!Number.isInteger(tagLength) || tagLength < 4) {
+                throw new Error('Argon2 tag length must be at least 4 bytes');
+            }
+            if (salt.length < 8) {
+                throw new Error('Argon2 salt must be at least 8 bytes');
+            }
+
+            const lanes = parallelism;
+            const blockCount = 4 * lanes * Math.floor(memoryKiB / (4 * lanes));
+            const laneLength = blockCount / lanes;
+            const segmentLength = laneLength / SYNC_POINTS;
+            const memory = new Uint32Array(blockCount * BLOCK_WORDS);
+
+            const h0 = blake2b(concatBytes([
+                le32(lanes), le32(tagLength), le32(memoryKiB), le32(passes),
+                le32(ARGON2_VERSION), le32(ARGON2_TYPE_ID),
+                le32(password.length), password,
+                le32(salt.length), salt,
+                le32(secret.length), secret,
+                le32(associatedData.length), associatedData
+            ]), 64);
+
+            // First two blocks of every lane
+            for (let lane = 0; lane < lanes; lane++) {
+                for (let column = 0; column < 2; column++) {
+                    const bytes = hashLong(concatBytes([h0, le32(column), le32(lane)]), 1024);
+                    const offset = (lane * laneLength + column) * BLOCK_WORDS;
+                    for (let i = 0; i < BLOCK_WORDS; i++) {
+                        const o = i * 4;
+                        memory[offset + i] = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+                    }
+                }
+            }
+
+            const zeroBlock = new Uint32Array(BLOCK_WORDS);
+            const inputBlock = new Uint32Array(BLOCK_WORDS);
+            const addressBlock = new Uint32Array(BLOCK_WORDS);
+
+            function nextAddresses() {
+                inputBlock[12]++;
+                compress(addressBlock, 0, zeroBlock, 0, inputBlock, 0, false);
+                compress(addressBlock, 0, zeroBlock, 0, addressBlock, 0, false);
+            }
+
+            function fillSegment(pass, lane, slice) {
+                // Argon2id: data-independent addressing for the first half of the first pass
+                const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+
+                if (dataIndependent) {
+                    inputBlock.fill(0);
+                    inputBlock[0] = pass;
+                    inputBlock[2] = lane;
+                    inputBlock[4] = slice;
+                    inputBlock[6] = blockCount;
+                    inputBlock[8] = passes;
+                    inputBlock[10] = ARGON2_TYPE_ID;
+                }
+
+                let startIndex = 0;
+                if (pass === 0 && slice === 0) {
+                    startIndex = 2;
+                    if (dataIndependent) nextAddresses();
+                }
+
+                let current = lane * laneLength + slice * segmentLength + startIndex;
+                let previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+
+                for (let index = startIndex; index < segmentLength; index++, current++, previous++) {
+                    if (current % laneLength === 1) {
+                        previous = current - 1;
+                    }
+
+                    let j1;
+                    let j2;
+                    if (dataIndependent) {
+                        if (index % ADDRESSES_PER_BLOCK === 0) nextAddresses();
+                        const k = (index % ADDRESSES_PER_BLOCK) * 2;
+                        j1 = addressBlock[k];
+                        j2 = addressBlock[k + 1];
+                    } else {
+                        j1 = memory[previous * BLOCK_WORDS];
+                        j2 = memory[previous * BLOCK_WORDS + 1];
+                    }
+
+                    const refLane = pass === 0 && slice === 0 ? lane : j2 % lanes;
+                    const sameLane = refLane === lane;
+
+                    // Size of the reference set (RFC 9106 section 3.4.1.2)
+                    let areaSize;
+                    if (pass === 0) {
+                        if (slice === 0) {
+                            areaSize = index - 1;
+                        } else if (sameLane) {
+                            areaSize = slice * segmentLength + index - 1;
+                        } else {
+                            areaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+                        }
+                    } else if (sameLane) {
+                        areaSize = laneLength - segmentLength + index - 1;
+                    } else {
+                        areaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+                    }
+
+                    const x = mulHigh32(j1, j1);
+                    const relative = areaSize - 1 - mulHigh32(areaSize, x);
+                    const start = pass !== 0 && slice !== SYNC_POINTS - 1 ? (slice + 1) * segmentLength : 0;
+                    const refIndex = (start + relative) % laneLength;
+
+                    compress(
+                        memory, current * BLOCK_WORDS,
+                        memory, previous * BLOCK_WORDS,
+                        memory, (refLane * laneLength + refIndex) * BLOCK_WORDS,
+                        pass !== 0
+                    );
+                }
+            }
+
+            const segmentCount = passes * SYNC_POINTS * lanes;
+            let segmentsDone = 0;
+
+            for (let pass = 0; pass < passes; pass++) {
+                for (let slice = 0; slice < SYNC_POINTS; slice++) {
+                    for (let lane = 0; lane < lanes; lane++) {
+                        fillSegment(pass, lane, slice);
+                        segmentsDone++;
+                        if (onProgress) onProgress(segmentsDone / segmentCount);
+                    }
+                }
+            }
+
+            // XOR the last block of every lane
+            const finalBlock = memory.slice((laneLength - 1) * BLOCK_WORDS, laneLength * BLOCK_WORDS);
+            for (let lane = 1; lane < lanes; lane++) {
+                const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+                for (let i = 0; i < BLOCK_WORDS; i++) {
+                    finalBlock[i] ^= memory[offset + i];
+                }
+            }
+            memory.fill(0);
+
+            const finalBytes = new Uint8Array(1024);
+            for (let i = 0; i < BLOCK_WORDS; i++) {
+                const w = finalBlock[i];
+                finalBytes[i * 4] = w;
+                finalBytes[i * 4 + 1] = w >>> 8;
+                finalBytes[i * 4 + 2] = w >>> 16;
+                finalBytes[i * 4 + 3] = w >>> 24;
+            }
+            return hashLong(finalBytes, tagLength);
+        }
+
+        return Object.freeze({
+            argon2id
+        });
+    })();
+
+    // ---- core/levels.mjs ----
+    const __core_levels = (function () {
+        /**
+         * Password Mint Core - Security Levels
+         *
+         * A security level names a KDF and its costs. "standard" and "high" are the
+         * original PBKDF2 levels and keep their original salts. The memory-hard
+         * levels add a `kdf` salt tag naming the KDF and its costs (see kdfSaltTag),
+         * so different KDFs or cost settings never share a salt.
+         *
+         * The phrase is imported into WebCrypto once and every KDF starts from that
+         * key: PBKDF2 and scrypt's PBKDF2 steps use it directly, and Argon2id gets
+         * PBKDF2-HMAC-SHA256(key, ARGON2_PASSWORD_LABEL, 1 iteration) as its password.
+         */
+
+        const { CONFIG } = __core_config;
+        const { pbkdf2Bits } = __core_kdf;
+        const { scrypt } = __core_scrypt;
+        const { argon2id } = __core_argon2;
+        const { stringToBytes } = __core_normalize;
+
+        const SCRYPT_BLOCK_SIZE = 8;
+        const ARGON2_PASSWORD_LABEL = 'password-mint::argon2id::password';
+
+        const KDF_COST_LIMITS = Object.freeze({
+            memoryMiB: Object.freeze({ min: 8, max: 1024 }),
+            timeCost: Object.freeze({ min: 1, max: 10 })
+        });
+
+        const SECURITY_LEVELS = Object.freeze({
+            standard: Object.freeze({
+                id: 'standard',
+                label: 'Standard (210k iterations)',
+                kdf: 'pbkdf2',
+                iterations: CONFIG.ITERATIONS.standard
+            }),
+            high: Object.freeze({
+                id: 'high',
+                label: 'High (400k iterations)',
+                kdf: 'pbkdf2',
+                iterations: CONFIG.ITERATIONS.high
+            }),
+            scrypt: Object.freeze({
+                id: 'scrypt',
+                label: 'scrypt (memory-hard)',
+                kdf: 'scrypt',
+                memoryMiB: 64,
+                timeCost: 1
+            }),
+            argon2id: Object.freeze({
+                id: 'argon2id',
+                label: 'Argon2id (memory-hard)',
+                kdf: 'argon2id',
+                memoryMiB: 64,
+                timeCost: 2
+            })
+        });
+
+        /**
+         * Check whether a security level uses a memory-hard KDF (and so takes costs).
+         *
+         * @param {string} securityLevel - Key of SECURITY_LEVELS
+         * @returns {boolean} - True for scrypt and Argon2id levels
+         */
+        function isMemoryHard(securityLevel) {
+            return Object.prototype.hasOwnProperty.call(SECURITY_LEVELS, securityLevel) &&
+                SECURITY_LEVELS[securityLevel].kdf !== 'pbkdf2';
+        }
+
+        /**
+         * Resolve a security level and optional cost overrides into KDF settings.
+         *
+         * For scrypt, memoryMiB sets N (N = memoryMiB * 1024 with r = 8) and
+         * timeCost sets p. For Argon2id, memoryMiB sets m and timeCost sets t (one lane).
+         *
+         * @param {string} securityLevel - Key of SECURITY_LEVELS
+         * @param {{memoryMiB: number, timeCost: number}} [kdfCosts] - Overrides for memory-hard levels
+         * @returns {Object} - { id, kdf, iterations } or { id, kdf, memoryMiB, timeCost }
+         */
+        function resolveSecurityLevel(securityLevel, kdfCosts) {
+            if (!Object.prototype.hasOwnProperty.call(SECURITY_LEVELS, securityLevel)) {
+                throw new Error('Unknown security level: ' + securityLevel);
+            }
+            const level = SECURITY_LEVELS[securityLevel];
+
+            if (level.kdf === 'pbkdf2') {
+                return { id: level.id, kdf: level.kdf, iterations: level.iterations };
+            }
+
+            const costs = Object.assign({ memoryMiB: level.memoryMiB, timeCost: level.timeCost }, kdfCosts || {});
+            const memoryMiB = Number(costs.memoryMiB);
+            const timeCost = Number(costs.timeCost);
+            const memoryLimits = KDF_COST_LIMITS.memoryMiB;
+            const timeLimits = KDF_COST_LIMITS.timeCost;
+
+            if (!Number.isInteger(memoryMiB) || memoryMiB < memoryLimits.min || memoryMiB > memoryLimits.max ||
+                (memoryMiB & (memoryMiB - 1)) !== 0) {
+                throw new Error('Memory cost must be a power of two between ' + memoryLimits.min + ' and ' + memoryLimits.max + ' MiB.');
+            }
+
+            if (!Number.isInteger(timeCost) || timeCost < timeLimits.min || timeCost > timeLimits.max) {
+                throw new Error('Time cost must be a whole number between ' + timeLimits.min + ' and ' + timeLimits.max + '.');
+            }
+
+            return { id: level.id, kdf: level.kdf, memoryMiB, timeCost };
+        }
+
+        /**
+         * Salt tag identifying the KDF and its costs, or '' for PBKDF2 levels.
+         *
+         * @param {Object} resolvedLevel - From resolveSecurityLevel()
+         * @returns {string} - e.g. "scrypt-n65536-r8-p1" or "argon2id-m65536-t2-p1"
+         */
+        function kdfSaltTag(resolvedLevel) {
+            switch (resolvedLevel.kdf) {
+                case 'pbkdf2':
+                    return '';
+                case 'scrypt':
+                    return 'scrypt-n' + (resolvedLevel.memoryMiB * 1024) + '-r' + SCRYPT_BLOCK_SIZE + '-p' + resolvedLevel.timeCost;
+                case 'argon2id':
+                    return 'argon2id-m' + (resolvedLevel.memoryMiB * 1024) + '-t' + resolvedLevel.timeCost + '-p1';
+                default:
+                    throw new Error('Unknown KDF: ' + resolvedLevel.kdf);
+            }
+        }
+
+        /**
+         * Derive CONFIG.DERIVED_BYTES bytes with the KDF of a resolved security level.
+         *
+         * @param {CryptoKey} phraseKey - Hardened phrase from importPhraseKey()
+         * @param {string} salt - The salt string
+         * @param {Object} resolvedLevel - From resolveSecurityLevel()
+         * @param {function(number)} [onProgress] - Progress (0-1) for scrypt and Argon2id; PBKDF2 runs in one WebCrypto call and reports none
+         * @returns {Promise<Uint8Array>} - Derived bytes
+         */
+        async function deriveLevelBytes(phraseKey, salt, resolvedLevel, onProgress) {
+            const saltBytes = stringToBytes(salt);
+
+            switch (resolvedLevel.kdf) {
+                case 'pbkdf2':
+                    return pbkdf2Bits(phraseKey, saltBytes, resolvedLevel.iterations, CONFIG.DERIVED_BYTES);
+                case 'scrypt':
+                    return scrypt(
+                        phraseKey,
+                        saltBytes,
+                        resolvedLevel.memoryMiB * 1024,
+                        SCRYPT_BLOCK_SIZE,
+                        resolvedLevel.timeCost,
+                        CONFIG.DERIVED_BYTES,
+                        onProgress
+                    );
+                case 'argon2id': {
+                    const password = await pbkdf2Bits(phraseKey, stringToBytes(ARGON2_PASSWORD_LABEL), 1, 32);
+                    const tag = argon2id({
+                        password,
+                        salt: saltBytes,
+                        memoryKiB: resolvedLevel.memoryMiB * 1024,
+                        passes: resolvedLevel.timeCost,
+                        parallelism: 1,
+                        tagLength: CONFIG.DERIVED_BYTES,
+                        onProgress
+                    });
+                    password.fill(0);
+                    return tag;
+                }
+                default:
+                    throw new Error('Unknown KDF: ' + resolvedLevel.kdf);
+            }
+        }
+
+        return Object.freeze({
+            KDF_COST_LIMITS,
+            SECURITY_LEVELS,
+            isMemoryHard,
+            resolveSecurityLevel,
+            kdfSaltTag,
+            deriveLevelBytes
+        });
+    })();
+
+    // ---- core/benchmark.mjs ----
+    const __core_benchmark = (function () {
+        /**
+         * Password Mint Core - Device Calibration
+         *
+         * Times each KDF once on a small input and extrapolates to full security
+         * levels. Cost grows linearly with PBKDF2 iterations, and with memory × time
+         * cost for scrypt and Argon2id, so one sample per KDF gives a usable estimate.
+         */
+
+        const { importPhraseKey, pbkdf2Bits } = __core_kdf;
+        const { scrypt } = __core_scrypt;
+        const { argon2id } = __core_argon2;
+        const { stringToBytes } = __core_normalize;
+        const { resolveSecurityLevel } = __core_levels;
+
+        const SAMPLE_ITERATIONS = 50000;
+        const SAMPLE_MEMORY_MIB = 2;
+
+        function now() {
+            return globalThis.performance ? globalThis.performance.now() : Date.now();
+        }
+
+        async function timeMs(task) {
+            const start = now();
+            await task();
+            return now() - start;
+        }
+
+        /**
+         * Measure KDF speed on the current device (roughly 200 ms of work on a laptop).
+         *
+         * @returns {Promise<{pbkdf2MsPerIteration: number, scryptMsPerMiB: number, argon2idMsPerMiB: number}>} - Speeds for estimateDerivationMs()
+         */
+        async function measureKdfSpeed() {
+            const key = await importPhraseKey('password-mint::benchmark');
+            const salt = stringToBytes('password-mint::benchmark::salt');
+            const sampleKiB = SAMPLE_MEMORY_MIB * 1024;
+
+            // Warm up, so the samples don't include compiling the KDF code
+            await pbkdf2Bits(key, salt, 1000, 64);
+            await scrypt(key, salt, 1024, 8, 1, 64);
+            argon2id({ password: salt, salt, memoryKiB: 1024, passes: 1 });
+
+            const pbkdf2Ms = await timeMs(() => pbkdf2Bits(key, salt, SAMPLE_ITERATIONS, 64));
+            const scryptMs = await timeMs(() => scrypt(key, salt, sampleKiB, 8, 1, 64));
+            const argon2Ms = await timeMs(async () => argon2id({ password: salt, salt, memoryKiB: sampleKiB, passes: 1 }));
+
+            return {
+                pbkdf2MsPerIteration: pbkdf2Ms / SAMPLE_ITERATIONS,
+                scryptMsPerMiB: scryptMs / SAMPLE_MEMORY_MIB,
+                argon2idMsPerMiB: argon2Ms / SAMPLE_MEMORY_MIB
+            };
+        }
+
+        /**
+         * Estimate how long a security level takes on the measured device.
+         *
+         * @param {Object} speed - From measureKdfSpeed()
+         * @param {string} securityLevel - Key of SECURITY_LEVELS
+         * @param {{memoryMiB: number, timeCost: number}} [kdfCosts] - Overrides for memory-hard levels
+         * @returns {number} - Estimated milliseconds
+         */
+        function estimateDerivationMs(speed, securityLevel, kdfCosts) {
+            const level = resolveSecurityLevel(securityLevel, kdfCosts);
+
+            switch (level.kdf) {
+                case 'pbkdf2':
+                    return level.iterations * speed.pbkdf2MsPerIteration;
+                case 'scrypt':
+                    return level.memoryMiB * level.timeCost * speed.scryptMsPerMiB;
+                case 'argon2id':
+                    return level.memoryMiB * level.timeCost * speed.argon2idMsPerMiB;
+                default:
+                    throw new Error('Unknown KDF: ' + level.kdf);
+            }
+        }
+
+        return Object.freeze({
+            measureKdfSpeed,
+            estimateDerivationMs
+        });
+    })();
+
+    // ---- core/generate.mjs ----
+    const __core_generate = (function () {
+        /**
+         * Password Mint Core - Password Generation
+         *
+         * Maps derived bytes onto the selected character pools.
+         *
+         * Security Note: generatePasswordFromBytes (algorithm v1) uses modulo mapping for
+         * character selection. While this introduces minimal bias for typical character pool
+         * sizes (< 100 chars), it's acceptable for password generation where the derived
+         * bytes have high entropy. It is frozen because existing passwords depend on it;
+         * generatePasswordFromStream (algorithm v2) uses rejection sampling instead.
+         *
+         * Optional charset fields customize the pools: `symbolChars` replaces
+         * CHAR_SETS.symbols, `excludeChars` removes characters from every pool,
+         * `minCounts` raises the one mandatory character per class to a minimum, and
+         * `maxCounts` (from site policies, policies.mjs) caps how often a class may
+         * appear, and `positionRules` (also from site policies) limit which
+         * characters may start or end the password. Without them both generators
+         * behave exactly as originally released.
+         */
+
+        const { CHAR_SETS, AMBIGUOUS_CHARS, DEFAULT_CHARSETS, LENGTH_RANGE } = __core_config;
+
+        const POOL_NAMES = Object.freeze({
+            upper: 'uppercase letters',
+            lower: 'lowercase letters',
+            digits: 'digits',
+            symbols: 'symbols'
+        });
+
+        /**
+         * Fill in missing character set toggles with the defaults, and check the
+         * optional custom fields.
+         *
+         * @param {Object} [charsets] - Partial toggles: upper, lower, digits, symbols, excludeAmbiguous
+         * @param {string} [charsets.symbolChars] - Symbols to use instead of CHAR_SETS.symbols
+         * @param {string} [charsets.excludeChars] - Characters to remove from every pool
+         * @param {Object<string, number>} [charsets.minCounts] - Fewest characters per class (default 1)
+         * @returns {Object} - Complete set of boolean toggles, plus the custom fields given
+         */
+        function resolveCharsets(charsets) {
+            const resolved = Object.assign({}, DEFAULT_CHARSETS, charsets || {});
+            for (const key of Object.keys(DEFAULT_CHARSETS)) {
+                resolved[key] = Boolean(resolved[key]);
+            }
+
+            const { symbolChars, excludeChars, minCounts } = resolved;
+            if (symbolChars !== undefined && (typeof symbolChars !== 'string' ||
+                !/^[!-\/:-@[-`{-~]*$/.test(symbolChars) || new Set(symbolChars).size !== symbolChars.length)) {
+                throw new Error('Symbols must be distinct printable ASCII symbols (no letters, digits or spaces).');
+            }
+            if (excludeChars !== undefined && (typeof excludeChars !== 'string' || !/^[!-~]*$/.test(excludeChars))) {
+                throw new Error('Excluded characters must be printable ASCII (no spaces).');
+            }
+            if (minCounts !== undefined) {
+                for (const type of Object.keys(minCounts || {})) {
+                    const value = minCounts[type];
+                    if (!Object.prototype.hasOwnProperty.call(POOL_NAMES, type) || !Number.isInteger(value) ||
+                        value < 1 || value > LENGTH_RANGE.max) {
+                        throw new Error('Minimum counts must be whole numbers from 1 to ' + LENGTH_RANGE.max + '.');
+                    }
+                }
+            }
+
+            return resolved;
+        }
+
+        /**
+         * Get the symbols to use: a policy's allowed subset, or CHAR_SETS.symbols.
+         *
+         * @param {Object} options - Resolved character set toggles
+         * @returns {string} - Symbol characters
+         */
+        function getSymbolChars(options) {
+            return typeof options.symbolChars === 'string' ? options.symbolChars : CHAR_SETS.symbols;
+        }
+
+        /**
+         * Remove characters from a pool.
+         *
+         * @param {string} pool - Pool characters
+         * @param {string} [chars] - Characters to remove
+         * @returns {string} - Remaining characters, in order
+         */
+        function removeChars(pool, chars) {
+            return chars ? pool.split('').filter(char => !chars.includes(char)).join('') : pool;
+        }
+
+        /**
+         * Build the combined character pool for the given toggles.
+         *
+         * @param {Object} [charsets] - Character set toggles
+         * @returns {string} - All allowed characters
+         */
+        function buildCharacterPool(charsets) {
+            const options = resolveCharsets(charsets);
+            let pool = '';
+
+            if (options.upper) pool += CHAR_SETS.upper;
+            if (options.lower) pool += CHAR_SETS.lower;
+            if (options.digits) pool += CHAR_SETS.digits;
+            if (options.symbols) pool += getSymbolChars(options);
+
+            // Remove ambiguous characters if selected
+            if (options.excludeAmbiguous) {
+                for (const char of AMBIGUOUS_CHARS) {
+                    pool = pool.replace(new RegExp(char, 'g'), '');
+                }
+            }
+
+            return removeChars(pool, options.excludeChars);
+        }
+
+        /**
+         * Get individual character pools for each enabled type.
+         *
+         * @param {Object} [charsets] - Character set toggles
+         * @returns {Array<{type: string, chars: string, min?: number, max?: number}>} - Pools in fixed order; `min` and `max` from charsets.minCounts and charsets.maxCounts
+         */
+        function getCharacterPools(charsets) {
+            const options = resolveCharsets(charsets);
+            const pools = [];
+
+            if (options.upper) {
+                let pool = CHAR_SETS.upper;
+                if (options.excludeAmbiguous) {
+                    pool = pool.replace(/[OI]/g, '');
+                }
+                pool = removeChars(pool, options.excludeChars);
+                if (pool.length > 0) pools.push({ type: 'upper', chars: pool });
+            }
+
+            if (options.lower) {
+                let pool = CHAR_SETS.lower;
+                if (options.excludeAmbiguous) {
+                    pool = pool.replace(/[l]/g, '');
+                }
+                pool = removeChars(pool, options.excludeChars);
+                if (pool.length > 0) pools.push({ type: 'lower', chars: pool });
+            }
+
+            if (options.digits) {
+                let pool = CHAR_SETS.digits;
+                if (options.excludeAmbiguous) {
+                    pool = pool.replace(/[01]/g, '');
+                }
+                pool = removeChars(pool, options.excludeChars);
+                if (pool.length > 0) pools.push({ type: 'digits', chars: pool });
+            }
+
+            if (options.symbols) {
+                const pool = removeChars(getSymbolChars(options), options.excludeChars);
+                if (pool.length > 0) pools.push({ type: 'symbols', chars: pool });
+            }
+
+            if (options.maxCounts) {
+                for (const pool of pools) {
+                    if (options.maxCounts[pool.type] !== undefined) {
+                        pool.max = options.maxCounts[pool.type];
+                    }
+                }
+            }
+
+            if (options.minCounts) {
+                for (const type of Object.keys(options.minCounts)) {
+                    const pool = pools.find(candidate => candidate.type === type);
+                    if (!pool) {
+                        throw new Error('A minimum is set for ' + POOL_NAMES[type] + ', but they are turned off or all excluded');
+                    }
+                    pool.min = options.minCounts[type];
+                    if (pool.max !== undefined && pool.min > pool.max) {
+                        throw new Error('At least ' + pool.min + ' ' + POOL_NAMES[type] + ' are required, but the site allows at most ' + pool.max);
+                    }
+                }
+            }
+
+            return pools;
+        }
+
+        /**
+         * List the pool of each mandatory character: one per pool, or the pool's
+         * minimum count. Without minimum counts this is one entry per pool, in
+         * pool order, exactly as originally released.
+         *
+         * @param {Array<{type: string, chars: string, min?: number}>} pools - From getCharacterPools()
+         * @param {number} length - Desired password length
+         * @returns {string[]} - Pool characters for each mandatory position
+         */
+        function getMandatoryPools(pools, length) {
+            if (pools.length > length) {
+                throw new Error('Password length too short for selected character types');
+            }
+
+            const mandatory = [];
+            for (const pool of pools) {
+                for (let n = 0; n < (pool.min || 1); n++) {
+                    mandatory.push(pool.chars);
+                }
+            }
+
+            if (mandatory.length > length) {
+                throw new Error('Password length too short for the minimum counts');
+            }
+            return mandatory;
+        }
+
+        /**
+         * Track how many characters each capped pool has used, and build the pool
+         * for the next fill position from the classes still under their cap.
+         * Only used when a pool has a `max`, so uncapped passwords never touch it.
+         *
+         * @param {Array<{type: string, chars: string, max?: number}>} pools - From getCharacterPools()
+         * @returns {{add: function(string), pool: function(): string}} - Counter
+         */
+        function createCappedPool(pools) {
+            const counts = pools.map(() => 0);
+
+            return {
+                add(char) {
+                    counts[pools.findIndex(pool => pool.chars.includes(char))]++;
+                },
+                pool() {
+                    const open = pools
+                        .filter((pool, i) => pool.max === undefined || counts[i] < pool.max)
+                        .map(pool => pool.chars)
+                        .join('');
+                    if (!open) {
+                        throw new Error('Password length too long for the character limits');
+                    }
+                    return open;
+                }
+            };
+        }
+
+        /**
+         * List the positions that positional rules constrain, with their rules.
+         *
+         * @param {Array<{position: string}>} [rules] - From charsets.positionRules
+         * @param {number} length - Password length
+         * @returns {Array<{index: number, rules: Object[]}>} - The first position, then the last
+         */
+        function getPositionChecks(rules, length) {
+            const indexes = length > 1 ? [0, length - 1] : [0];
+            return indexes
+                .map(index => ({
+                    index,
+                    rules: (rules || []).filter(rule => (rule.position === 'first' ? 0 : length - 1) === index)
+                }))
+                .filter(check => check.rules.length > 0);
+        }
+
+        /**
+         * Find the characters that could replace one breaking positional rules.
+         * Swapping keeps every class count, so the pools and caps still hold, and
+         * a password that already complies draws nothing and stays as it was.
+         *
+         * @param {string[]} passwordChars - Shuffled password characters
+         * @param {{index: number, rules: Object[]}} check - From getPositionChecks()
+         * @param {Array<{index: number}>} checks - Every check, whose positions are never swapped
+         * @returns {number[]|null} - Positions to draw from, or null if the character fits
+         */
+        function getSwapCandidates(passwordChars, check, checks) {
+            const fits = char => check.rules.every(rule => rule.allows(char));
+            if (fits(passwordChars[check.index])) return null;
+
+            const fixed = checks.map(other => other.index);
+            const candidates = [];
+            passwordChars.forEach((char, i) => {
+                if (fixed.indexOf(i) === -1 && fits(char)) candidates.push(i);
+            });
+            if (!candidates.length) {
+                throw new Error('Password ' + check.rules.map(rule => rule.description).join(' and ') +
+                    ', but no other character in it can go there');
+            }
+            return candidates;
+        }
+
+        /**
+         * Generate a password from derived bytes.
+         *
+         * Algorithm:
+         * 1. Determine which character pools are active
+         * 2. Ensure at least one character (or the minimum count) from each active pool
+         * 3. Fill remaining positions from combined pool
+         * 4. Shuffle positions deterministically based on derived bytes
+         * 5. With positional rules only: swap a character that breaks one with one
+         *    drawn from the characters that fit
+         *
+         * @param {Uint8Array} derivedBytes - Bytes from PBKDF2
+         * @param {number} length - Desired password length
+         * @param {Object} [charsets] - Character set toggles (defaults to all enabled)
+         * @returns {string} - Generated password
+         */
+        function generatePasswordFromBytes(derivedBytes, length, charsets) {
+            const pools = getCharacterPools(charsets);
+            const combinedPool = buildCharacterPool(charsets);
+
+            if (combinedPool.length === 0) {
+                throw new Error('No character types selected');
+            }
+
+            const mandatory = getMandatoryPools(pools, length);
+
+            // Track byte index for deterministic consumption
+            let byteIndex = 0;
+
+            /**
+             * Get next byte value, wrapping around if needed.
+             */
+            function nextByte() {
+                const byte = derivedBytes[byteIndex % derivedBytes.length];
+                byteIndex++;
+                return byte;
+            }
+
+            /**
+             * Get a 16-bit value from two bytes for better distribution.
+             */
+            function nextWord() {
+                const high = nextByte();
+                const low = nextByte();
+                return (high << 8) | low;
+            }
+
+            // Array to hold the password characters
+            const passwordChars = new Array(length);
+
+            // Step 1: Determine positions for mandatory characters (one per pool,
+            // or its minimum count). We'll use the first N positions, then shuffle
+            const mandatoryCount = mandatory.length;
+
+            // Pick the mandatory characters from their pools
+            for (let i = 0; i < mandatoryCount; i++) {
+                const pool = mandatory[i];
+                const charIndex = nextWord() % pool.length;
+                passwordChars[i] = pool[charIndex];
+            }
+
+            // Step 2: Fill remaining positions from combined pool
+            const capped = pools.some(pool => pool.max !== undefined) ? createCappedPool(pools) : null;
+            if (capped) passwordChars.slice(0, mandatoryCount).forEach(capped.add);
+
+            for (let i = mandatoryCount; i < length; i++) {
+                const pool = capped ? capped.pool() : combinedPool;
+                const charIndex = nextWord() % pool.length;
+                passwordChars[i] = pool[charIndex];
+                if (capped) capped.add(passwordChars[i]);
+            }
+
+            // Step 3: Shuffle array deterministically using Fisher-Yates
+            // This ensures mandatory characters aren't always at the start
+            for (let i = length - 1; i > 0; i--) {
+                const j = nextWord() % (i + 1);
+                [passwordChars[i], passwordChars[j]] = [passwordChars[j], passwordChars[i]];
+            }
+
+            // Step 4: Positional rules, drawing from the bytes that follow the shuffle
+            const checks = getPositionChecks(charsets && charsets.positionRules, length);
+            for (const check of checks) {
+                const candidates = getSwapCandidates(passwordChars, check, checks);
+                if (candidates) {
+                    const j = candidates[nextWord() % candidates.length];
+                    [passwordChars[check.index], passwordChars[j]] = [passwordChars[j], passwordChars[check.index]];
+                }
+            }
+
+            return passwordChars.join('');
+        }
+
+        /**
+         * Generate a password from a byte stream without modulo bias (algorithm v2).
+         *
+         * Same steps as generatePasswordFromBytes, but every index is drawn with
+         * stream.uniform(), which rejects out-of-range words, and the stream is
+         * extended with HKDF instead of wrapping around the derived bytes.
+         *
+         * @param {{uniform: function(number): Promise<number>}} stream - From createByteStream()
+         * @param {number} length - Desired password length
+         * @param {Object} [charsets] - Character set toggles (defaults to all enabled)
+         * @returns {Promise<string>} - Generated password
+         */
+        async function generatePasswordFromStream(stream, length, charsets) {
+            const pools = getCharacterPools(charsets);
+            const combinedPool = buildCharacterPool(charsets);
+
+            if (combinedPool.length === 0) {
+                throw new Error('No character types selected');
+            }
+
+            const mandatory = getMandatoryPools(pools, length);
+            const passwordChars = new Array(length);
+
+            // Step 1: Mandatory characters (one per pool, or its minimum count)
+            for (let i = 0; i < mandatory.length; i++) {
+                const pool = mandatory[i];
+                passwordChars[i] = pool[await stream.uniform(pool.length)];
+            }
+
+            // Step 2: Fill remaining positions from combined pool
+            const capped = pools.some(pool => pool.max !== undefined) ? createCappedPool(pools) : null;
+            if (capped) passwordChars.slice(0, mandatory.length).forEach(capped.add);
+
+            for (let i = mandatory.length; i < length; i++) {
+                const pool = capped ? capped.pool() : combinedPool;
+                passwordChars[i] = pool[await stream.uniform(pool.length)];
+                if (capped) capped.add(passwordChars[i]);
+            }
+
+            // Step 3: Unbiased Fisher-Yates shuffle
+            for (let i = length - 1; i > 0; i--) {
+                const j = await stream.uniform(i + 1);
+                [passwordChars[i], passwordChars[j]] = [passwordChars[j], passwordChars[i]];
+            }
+
+            // Step 4: Positional rules
+            const checks = getPositionChecks(charsets && charsets.positionRules, length);
+            for (const check of checks) {
+                const candidates = getSwapCandidates(passwordChars, check, checks);
+                if (candidates) {
+                    const j = candidates[await stream.uniform(candidates.length)];
+                    [passwordChars[check.index], passwordChars[j]] = [passwordChars[j], passwordChars[check.index]];
+                }
+            }
+
+            return passwordChars.join('');
+        }
+
+        return Object.freeze({
+            resolveCharsets,
+            buildCharacterPool,
+            getCharacterPools,
+            generatePasswordFromBytes,
+            generatePasswordFromStream
+        });
+    })();
+
+    // ---- core/formats.mjs ----
+    const __core_formats = (function () {
+        /**
+         * Password Mint Core - Output Formats
+         *
+         * A format decides what derived bytes become: a password (the algorithm
+         * versions in algorithms.mjs), a passphrase (passphrase.mjs), or one of the
+         * character formats below. Every format except "password" adds a `format`
+         * salt tag, so a site's PIN, passphrase and password come from independent
+         * bytes, and the original passwords keep their original salt.
+         *
+         * Character formats draw each character with rejection sampling from a byte
+         * stream labelled with the format, cycling through the format's alphabets
+         * (one alphabet for PIN, hex and base32; consonant, vowel for pronounceable).
+         * Like algorithm versions, a format is frozen once released.
+         */
+
+        const { LENGTH_RANGE } = __core_config;
+        const { createByteStream } = __core_bytestream;
+
+        // Letters that are hard to mishear or misread are left out: c (k/s), l, q, w, x, y
+        const CONSONANTS = 'bdfghjkmnprstvz';
+        const VOWELS = 'aeiou';
+
+        const DEFAULT_FORMAT = 'password';
+
+        const OUTPUT_FORMATS = Object.freeze({
+            password: Object.freeze({
+                id: 'password',
+                label: 'Password',
+                saltTag: '',
+                length: Object.freeze({ min: LENGTH_RANGE.min, max: LENGTH_RANGE.max, default: LENGTH_RANGE.default })
+            }),
+            passphrase: Object.freeze({
+                id: 'passphrase',
+                label: 'Passphrase (words)',
+                saltTag: 'passphrase'
+            }),
+            pin: Object.freeze({
+                id: 'pin',
+                label: 'PIN',
+                saltTag: 'pin',
+                length: Object.freeze({ min: 4, max: 8, default: 6 }),
+                alphabets: Object.freeze(['0123456789'])
+            }),
+            hex: Object.freeze({
+                id: 'hex',
+                label: 'Hex key',
+                saltTag: 'hex',
+                length: Object.freeze({ min: 16, max: 128, default: 64 }),
+                alphabets: Object.freeze(['0123456789abcdef'])
+            }),
+            base32: Object.freeze({
+                id: 'base32',
+                label: 'Base32 secret',
+                saltTag: 'base32',
+                length: Object.freeze({ min: 16, max: 128, default: 32 }),
+                alphabets: Object.freeze(['ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'])
+            }),
+            pronounceable: Object.freeze({
+                id: 'pronounceable',
+                label: 'Pronounceable',
+                saltTag: 'pronounceable',
+                length: Object.freeze({ min: 12, max: 40, default: 16 }),
+                alphabets: Object.freeze([CONSONANTS, VOWELS])
+            })
+        });
+
+        /**
+         * Look up an output format.
+         *
+         * @param {string} id - Format id, e.g. "pin"
+         * @returns {Object} - Registry entry
+         */
+        function getOutputFormat(id) {
+            if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, id)) {
+                throw new Error('Unknown output format: ' + id);
+            }
+            return OUTPUT_FORMATS[id];
+        }
+
+        /**
+         * Check whether a format maps bytes onto its own alphabets.
+         *
+         * @param {string} id - Format id
+         * @returns {boolean} - True for PIN, hex, base32 and pronounceable
+         */
+        function isCharacterFormat(id) {
+            return Boolean(getOutputFormat(id).alphabets);
+        }
+
+        /**
+         * Generate a character format from derived bytes, without modulo bias.
+         *
+         * @param {Uint8Array} derivedBytes - Bytes from the KDF
+         * @param {string} id - A character format (see isCharacterFormat())
+         * @param {number} length - Number of characters, within the format's range
+         * @returns {Promise<string>} - The output
+         */
+        async function generateFormatFromBytes(derivedBytes, id, length) {
+            const format = getOutputFormat(id);
+            if (!format.alphabets) {
+                throw new Error('Not a character format: ' + id);
+            }
+            if (!Number.isInteger(length) || length < format.length.min || length > format.length.max) {
+                throw new Error(format.label + ' length must be between ' + format.length.min + ' and ' + format.length.max + '.');
+            }
+
+            const stream = createByteStream(derivedBytes, 'password-mint::' + format.id);
+            let output = '';
+            for (let i = 0; i < length; i++) {
+                const alphabet = format.alphabets[i % format.alphabets.length];
+                output += alphabet[await stream.uniform(alphabet.length)];
+            }
+            return output;
+        }
+
+        /**
+         * Entropy of a character format output, in bits.
+         *
+         * @param {string} id - A character format
+         * @param {number} length - Number of characters
+         * @returns {number} - Bits of entropy
+         */
+        function formatEntropy(id, length) {
+            const alphabets = getOutputFormat(id).alphabets;
+            let bits = 0;
+            for (let i = 0; i < length; i++) {
+                bits += Math.log2(alphabets[i % alphabets.length].length);
+            }
+            return bits;
+        }
+
+        return Object.freeze({
+            DEFAULT_FORMAT,
+            OUTPUT_FORMATS,
+            getOutputFormat,
+            isCharacterFormat,
+            generateFormatFromBytes,
+            formatEntropy
+        });
+    })();
+
+    // ---- core/fields.mjs ----
+    const __core_fields = (function () {
+        /**
+         * Password Mint Core - Extra Fields
+         *
+         * Values a site asks for besides the password: a username that does not
+         * link accounts across sites, and answers to security questions that
+         * cannot be looked up the way true answers can. Each field is derived on
+         * its own, with a `purpose` salt tag naming it ("username", or "answer:"
+         * and the normalized question), so no field shares bytes with the password
+         * or with another field. Fields have their own version, so rotating the
+         * password never changes an answer the site has on file.
+         *
+         * Values are made of EFF words, drawn with rejection sampling from a byte
+         * stream labelled with the kind. Like output formats, a kind is frozen once
+         * released.
+         */
+
+        const { createByteStream } = __core_bytestream;
+        const { EFF_LARGE_WORDLIST } = __core_wordlist;
+
+        // Letters only, so values need no separators a site might reject
+        const LETTER_WORDS = Object.freeze(EFF_LARGE_WORDLIST.filter(word => /^[a-z]+$/.test(word)));
+        const SHORT_WORDS = Object.freeze(LETTER_WORDS.filter(word => word.length <= 6));
+
+        const FIELD_KINDS = Object.freeze({
+            username: Object.freeze({
+                id: 'username',
+                label: 'Username',
+                words: SHORT_WORDS,
+                wordCount: 2,
+                digits: 2,
+                separator: ''
+            }),
+            answer: Object.freeze({
+                id: 'answer',
+                label: 'Answer',
+                words: LETTER_WORDS,
+                wordCount: 4,
+                digits: 0,
+                separator: ' '
+            })
+        });
+
+        const QUESTION_MAX_LENGTH = 200;
+
+        /**
+         * Normalize a security question, so capitals, spacing and a trailing
+         * question mark never change its answer.
+         *
+         * @param {string} question - Question as typed
+         * @returns {string} - e.g. "mother's maiden name"
+         */
+        function normalizeQuestion(question) {
+            if (typeof question !== 'string') {
+                throw new Error('Question must be text.');
+            }
+            return question
+                .normalize('NFC')
+                .toLowerCase()
+                .replace(/[‘’]/g, '\'')
+                .replace(/\s+/g, ' ')
+                .replace(/[\s?]+$/, '')
+                .trim();
+        }
+
+        /**
+         * Validate an extra field.
+         *
+         * @param {Object} field - Field to derive
+         * @param {string} field.kind - Key of FIELD_KINDS
+         * @param {string} [field.question] - The security question (answers only)
+         * @param {string|number} [field.version=1] - Rotation counter of this field alone
+         * @returns {{kind: string, question?: string, version: string, purpose: string}} - Field with its question normalized and its purpose salt tag
+         */
+        function normalizeField(field) {
+            const { kind, question, version = 1 } = field || {};
+            if (!Object.prototype.hasOwnProperty.call(FIELD_KINDS, kind)) {
+                throw new Error('Field must be one of: ' + Object.keys(FIELD_KINDS).join(', '));
+            }
+
+            const versionNum = parseInt(version, 10);
+            if (!/^\d+$/.test(String(version)) || versionNum < 1) {
+                throw new Error('Field version must be 1 or greater.');
+            }
+
+            if (kind !== 'answer') {
+                if (question !== undefined) {
+                    throw new Error('Only answers have a question.');
+                }
+                return { kind, version: String(version), purpose: kind };
+            }
+
+            const normalized = normalizeQuestion(question || '');
+            if (!normalized) {
+                throw new Error('Enter the security question to answer.');
+            }
+            if (normalized.length > QUESTION_MAX_LENGTH) {
+                throw new Error('Questions can be at most ' + QUESTION_MAX_LENGTH + ' characters.');
+            }
+            return { kind, question: normalized, version: String(version), purpose: 'answer:' + normalized };
+        }
+
+        /**
+         * Generate a field's value from derived bytes.
+         *
+         * @param {Uint8Array} derivedBytes - Bytes from the KDF (salted with the field's purpose)
+         * @param {string} kind - Key of FIELD_KINDS
+         * @returns {Promise<string>} - e.g. "briskotter42" or "ample cactus ruby sparkle"
+         */
+        async function generateFieldFromBytes(derivedBytes, kind) {
+            if (!Object.prototype.hasOwnProperty.call(FIELD_KINDS, kind)) {
+                throw new Error('Field must be one of: ' + Object.keys(FIELD_KINDS).join(', '));
+            }
+            const entry = FIELD_KINDS[kind];
+            const stream = createByteStream(derivedBytes, 'password-mint::field::' + entry.id);
+
+            const words = [];
+            for (let i = 0; i < entry.wordCount; i++) {
+                words.push(entry.words[await stream.uniform(entry.words.length)]);
+            }
+
+            let digits = '';
+            for (let i = 0; i < entry.digits; i++) {
+                digits += await stream.uniform(10);
+            }
+            return words.join(entry.separator) + digits;
+        }
+
+        /**
+         * Entropy of a field's value, in bits.
+         *
+         * @param {string} kind - Key of FIELD_KINDS
+         * @returns {number} - Bits of entropy
+         */
+        function fieldEntropy(kind) {
+            const entry = FIELD_KINDS[kind];
+            return entry.wordCount * Math.log2(entry.words.length) + entry.digits * Math.log2(10);
+        }
+
+        return Object.freeze({
+            FIELD_KINDS,
+            QUESTION_MAX_LENGTH,
+            normalizeQuestion,
+            normalizeField,
+            generateFieldFromBytes,
+            fieldEntropy
+        });
+    })();
+
+    // ---- core/strength-lists.mjs ----
+    const __core_strength_lists = (function () {
+        /**
+         * Password Mint Core - Strength Estimator Lists
+         *
+         * What an attacker tries first, most likely first: common passwords, common
+         * English words, first names, and well-known phrases, quotes and lyrics.
+         * All lowercase, as hardenPhrase() makes every phrase; phrases are written
+         * without punctuation, words separated by single spaces.
+         *
+         * These only feed the strength estimate (strength.mjs) and never a
+         * password, so unlike the word list they can be extended freely.
+         */
+
+        const list = text => Object.freeze(text.trim().split(/\s+/));
+
+        const COMMON_PASSWORDS = list(`
+        123456 password 123456789 12345678 12345 qwerty 1234567 111111 1234567890 123123
+        abc123 1234 password1 iloveyou 1q2w3e4r 000000 qwerty123 zaq12wsx dragon sunshine
+        princess letmein 654321 monkey 27653 1qaz2wsx 123321 qwertyuiop superman asdfghjkl
+        trustno1 football baseball welcome shadow master michael jordan 666666 121212
+        passw0rd 1q2w3e 7777777 123qwe 1234qwer qazwsx hello charlie donald mustang
+        access batman ninja starwars freedom whatever qwerty1 solo flower loveme
+        hottie lovely 555555 admin 888888 987654321 1qazxsw2 password123 welcome1 login
+        abc1234 aa123456 google 123abc 159753 killer pokemon ashley bailey passport
+        michelle daniel jessica pepper thomas hunter buster soccer harley hockey
+        ranger andrew tigger joshua robert matthew jennifer maggie cheese 112233
+        computer corvette amanda summer secret love 11111111 asdfgh zxcvbnm biteme
+        banana chocolate orange internet cookie yankees dallas austin thunder taylor
+        matrix william chelsea purple diamond nicole 123654 samsung 1111 liverpool
+        arsenal blink182 anthony 696969 money 131313 iloveu
+        angel angels qwe123 q1w2e3r4 q1w2e3r4t5 asdf1234 zxcvbn 0987654321 99999999
+        00000000 12341234 147258369 147258 789456 789456123 741852963 5201314
+        princess1 sunshine1 football1 monkey1 charlie1 shadow1 dragon1 baseball1
+        superman1 iloveyou1 letmein1 master1 abcdef abcd1234 test test123 testing
+        guest root toor administrator changeme default pass pass123 secret123 admin123
+        demo user user123 temp temp123 mypassword mypass letmein123 hello123 love123
+        jesus christ blessed heaven lucky rockyou babygirl butterfly friends family
+        forever soccer1 jordan23 michael1 ginger snoopy buddy tiger dolphin
+        `);
+
+        const COMMON_WORDS = list(`
+        the of and to a in is you that it he was for on are as with his they i
+        at be this have from or one had by word but not what all were we when your can
+        said there use an each which she do how their if will up other about out many
+        then them these so some her would make like him into time has look two more
+        write go see number no way could people my than first water been call who oil
+        its now find long down day did get come made may part over new sound take only
+        little work know place year live me back give most very after thing our just
+        name good sentence man think say great where help through much before line
+        right too mean old any same tell boy follow came want show also around form
+        three small set put end does another well large must big even such because
+        turn here why ask went men read need land different home us move try kind hand
+        picture again change off play spell air away animal house point page letter
+        mother answer found study still learn should america world high every near add
+        food between own below country plant last school father keep tree never start
+        city earth eye light thought head under story saw left few while along might
+        close something seem next hard open example begin life always those both paper
+        together got group often run important until children side feet car mile night
+        walk white sea began grow took river four carry state once book hear stop
+        without second later miss idea enough eat face watch far indian really almost
+        let above girl sometimes mountain cut young talk soon list song being leave
+        family body music color stand sun question fish area mark dog horse birds
+        problem complete room knew since ever piece told usually friends easy heard
+        order red door sure become top ship across today during short better best
+        however low hours black products happened whole measure remember early waves
+        reached listen wind rock space covered fast several hold himself toward five
+        step morning passed vowel true hundred against pattern numeral table north slowly
+        money map farm pulled draw voice seen cold cried plan notice south sing war
+        ground fall king town unit figure certain field travel wood fire upon love
+        happy sweet dream heart baby star moon blue green yellow pink summer winter
+        spring autumn rain snow cat bird flower garden beach ocean sky cloud coffee
+        tea pizza chocolate cake apple banana orange cherry lemon secret magic power
+        dragon angel devil god jesus lord hope faith peace freedom forever always
+        never nothing everything someone nobody password master admin login welcome
+        hello goodbye yes okay please thank thanks sorry friend lover kiss
+        `);
+
+        const COMMON_NAMES = list(`
+        james mary john patricia robert jennifer michael linda william elizabeth david
+        barbara richard susan joseph jessica thomas sarah charles karen christopher
+        nancy daniel lisa matthew betty anthony margaret mark sandra donald ashley
+        steven kimberly paul emily andrew donna joshua michelle kenneth dorothy kevin
+        carol brian amanda george melissa edward deborah ronald stephanie timothy
+        rebecca jason sharon jeffrey laura ryan cynthia jacob kathleen gary amy nicholas
+        shirley eric angela jonathan helen stephen anna larry brenda justin pamela scott
+        nicole brandon emma benjamin samantha samuel katherine gregory christine frank
+        debra alexander rachel raymond catherine patrick carolyn jack janet dennis ruth
+        jerry maria tyler heather aaron diane jose virginia adam julie henry joyce
+        nathan victoria douglas olivia zachary kelly peter christina kyle lauren walter
+        joan ethan evelyn jeremy judith harold megan keith cheryl christian andrea
+        roger hannah noah martha gerald jacqueline carl frances terry gloria sean ann
+        austin teresa arthur kathryn lawrence sara jesse janice dylan jean bryan alice
+        joe madison jordan doris billy abigail bruce julia albert judy willie grace
+        gabriel denise logan amber alan marilyn juan beverly wayne danielle roy theresa
+        ralph sophia randy marie eugene diana vincent brittany russell natalie elijah
+        isabella louis charlotte bobby rose philip alexis johnny kayla max charlie
+        bella lucy molly daisy buddy rocky bailey luna oliver leo milo sam ben tom
+        `);
+
+        const COMMON_PHRASES = Object.freeze(`
+        correct horse battery staple
+        to be or not to be
+        the quick brown fox jumps over the lazy dog
+        may the force be with you
+        i love you
+        hello world
+        let it be
+        all you need is love
+        never gonna give you up
+        never gonna let you down
+        we will rock you
+        we are the champions
+        open sesame
+        in god we trust
+        live laugh love
+        carpe diem
+        just do it
+        the cake is a lie
+        winter is coming
+        valar morghulis
+        i am the walrus
+        hey jude
+        yellow submarine
+        twinkle twinkle little star
+        mary had a little lamb
+        happy birthday to you
+        once upon a time
+        somewhere over the rainbow
+        is this the real life is this just fantasy
+        hakuna matata
+        what is love baby dont hurt me
+        dont stop believing
+        dont stop believin
+        stairway to heaven
+        imagine all the people
+        my heart will go on
+        another brick in the wall
+        smells like teen spirit
+        sweet child o mine
+        livin on a prayer
+        eye of the tiger
+        under pressure
+        highway to hell
+        hotel california
+        purple rain
+        i will always love you
+        let it go
+        shake it off
+        baby shark doo doo doo
+        the answer is 42
+        life the universe and everything
+        i think therefore i am
+        knowledge is power
+        veni vidi vici
+        e pluribus unum
+        god save the queen
+        keep calm and carry on
+        trust no one
+        the truth is out there
+        elementary my dear watson
+        houston we have a problem
+        one small step for man
+        four score and seven years ago
+        i have a dream
+        luke i am your father
+        no i am your father
+        ill be back
+        heres johnny
+        theres no place like home
+        you shall not pass
+        my precious
+        one ring to rule them all
+        expecto patronum
+        wingardium leviosa
+        beam me up scotty
+        live long and prosper
+        to infinity and beyond
+        hasta la vista baby
+        show me the money
+        you cant handle the truth
+        why so serious
+        i see dead people
+        may the odds be ever in your favor
+        all work and no play makes jack a dull boy
+        the early bird catches the worm
+        an apple a day keeps the doctor away
+        better late than never
+        actions speak louder than words
+        practice makes perfect
+        time is money
+        love is love
+        love conquers all
+        all is well
+        hakuna matata it means no worries
+        god is good
+        jesus loves me
+        the lord is my shepherd
+        for god so loved the world
+        let there be light
+        seize the day
+        you only live once
+        no pain no gain
+        what doesnt kill you makes you stronger
+        the sky is the limit
+        follow your dreams
+        dream big
+        nothing else matters
+        enter sandman
+        here comes the sun
+        good vibes only
+        i want to break free
+        the show must go on
+        another one bites the dust
+        we will we will rock you
+        take on me
+        wake me up before you go go
+        sweet caroline
+        country roads take me home
+        born to be wild
+        rolling in the deep
+        hello from the other side
+        call me maybe
+        gangnam style
+        all star
+        somebody once told me
+        i like big butts
+        never gonna say goodbye
+        `.trim().split('\n'));
+
+        return Object.freeze({
+            COMMON_PASSWORDS,
+            COMMON_WORDS,
+            COMMON_NAMES,
+            COMMON_PHRASES
+        });
+    })();
+
+    // ---- core/strength.mjs ----
+    const __core_strength = (function () {
+        /**
+         * Password Mint Core - Master Phrase Strength
+         *
+         * hardenPhrase() makes typing forgiving but adds nothing an attacker has to
+         * guess, so a weak phrase stays weak. This estimates, fully offline, how
+         * many guesses a phrase would take, in the manner of zxcvbn: the phrase is
+         * covered by the cheapest sequence of patterns (words from the bundled
+         * lists, plain or l33t or reversed; keyboard walks; sequences; repeats,
+         * including words used more than once; years and dates; anything else
+         * guessed character by character), and the guesses of the patterns multiply.
+         *
+         * The estimate runs on the phrase as hardenPhrase() normalizes it, since
+         * capitals and extra spaces never change a password. It is deliberately
+         * pessimistic where it has to choose: the bundled lists are short, so any
+         * run of letters shaped like a word counts as one of an attacker's
+         * hundred thousand dictionary words, listed or not. Only the first
+         * MAX_ESTIMATE_LENGTH characters are estimated, so the cost stays flat
+         * however much is typed; the rest counts for nothing.
+         *
+         * Crack time is guesses divided by the rate of a well-funded offline
+         * attacker (about a hundred current GPUs) against one leaked password
+         * derived at the selected security level.
+         */
+
+        const { EFF_LARGE_WORDLIST } = __core_wordlist;
+        const { COMMON_PASSWORDS, COMMON_WORDS, COMMON_NAMES, COMMON_PHRASES } = __core_strength_lists;
+
+        // Offline attacker: PBKDF2-HMAC-SHA256 iterations, and memory-hard
+        // MiB × passes, per second
+        const ATTACKER_RATES = Object.freeze({
+            pbkdf2IterationsPerSecond: 1e12,
+            memoryHardMiBPerSecond: 4e6
+        });
+
+        // Crack times a phrase may fall under before it counts as weak
+        const STRENGTH_THRESHOLDS = Object.freeze({
+            day: Object.freeze({ id: 'day', label: '1 day', seconds: 86400 }),
+            year: Object.freeze({ id: 'year', label: '1 year', seconds: 31557600 }),
+            century: Object.freeze({ id: 'century', label: '100 years', seconds: 3155760000 })
+        });
+
+        const DEFAULT_STRENGTH_THRESHOLD = 'year';
+
+        // Years are guessed outward from here; fixed so estimates never drift
+        const REFERENCE_YEAR = 2025;
+        const MIN_YEAR_SPACE = 20;
+
+        // Characters estimated; far beyond any threshold, and the search grows
+        // quadratically with length
+        const MAX_ESTIMATE_LENGTH = 128;
+
+        // Past this many guesses, the patterns found are not worth a warning
+        const WARN_BELOW_GUESSES = 1e12;
+
+        // An attacker's full dictionary, for word-shaped letters missing from the lists
+        const UNKNOWN_WORD_GUESSES = 100000;
+
+        // Floors from zxcvbn: a single-character match is never cheaper than 10
+        // guesses, a longer one never cheaper than 50
+        const MIN_SINGLE_CHAR_GUESSES = 10;
+        const MIN_MULTI_CHAR_GUESSES = 50;
+
+        const WARNINGS = Object.freeze({
+            password: 'This is a common password.',
+            phrase: 'This is a well-known phrase, quote or lyric.',
+            keyboard: 'Keyboard patterns like qwerty or 1qaz are easy to guess.',
+            sequence: 'Sequences like abc or 6543 are easy to guess.',
+            repeat: 'Repeats like aaa, abcabc or a word used twice are easy to guess.',
+            date: 'Dates and years are easy to guess.',
+            word: 'A few common words are easy to guess.',
+            name: 'Names are easy to guess.'
+        });
+
+        const L33T_TABLE = Object.freeze({
+            '4': ['a'], '@': ['a'], '8': ['b'], '3': ['e'], '6': ['g'], '9': ['g'],
+            '1': ['i', 'l'], '!': ['i'], '0': ['o'], '5': ['s'], '$': ['s'], '7': ['t'], '+': ['t']
+        });
+
+        // Unshifted US QWERTY rows and their horizontal offsets (keys are staggered)
+        const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./'];
+        const KEYBOARD_OFFSETS = [0, 0.5, 0.75, 1.25];
+
+        /**
+         * Build a ranked dictionary: each entry maps to the guesses to reach it
+         * and the list it came from. An entry keeps its best rank.
+         */
+        function buildDictionary() {
+            const dictionary = new Map();
+            const add = (word, guesses, kind) => {
+                const existing = dictionary.get(word);
+                if (!existing || existing.guesses > guesses) {
+                    dictionary.set(word, { guesses, kind });
+                }
+            };
+
+            COMMON_PASSWORDS.forEach((word, index) => add(word, index + 1, 'password'));
+            COMMON_WORDS.forEach((word, index) => add(word, index + 1, 'word'));
+            COMMON_NAMES.forEach((word, index) => add(word, index + 1, 'name'));
+            // A diceware attacker tries every word of the list alike
+            EFF_LARGE_WORDLIST.forEach(word => add(word, EFF_LARGE_WORDLIST.length, 'word'));
+            COMMON_PHRASES.forEach((phrase, index) => {
+                add(phrase, index + 1, 'phrase');
+                add(phrase.replace(/ /g, ''), index + 1, 'phrase');
+            });
+
+            return dictionary;
+        }
+
+        let dictionaryCache = null;
+        let longestEntry = 0;
+
+        function getDictionary() {
+            if (!dictionaryCache) {
+                dictionaryCache = buildDictionary();
+                for (const word of dictionaryCache.keys()) {
+                    longestEntry = Math.max(longestEntry, word.length);
+                }
+            }
+            return dictionaryCache;
+        }
+
+        /**
+         * Build the keyboard adjacency map: two keys are neighbours on the same row
+         * one apart, or on adjacent rows less than one key width apart.
+         */
+        function buildKeyboardGraph() {
+            const positions = new Map();
+            KEYBOARD_ROWS.forEach((row, rowIndex) => {
+                Array.from(row).forEach((key, column) => {
+                    positions.set(key, { row: rowIndex, x: column + KEYBOARD_OFFSETS[rowIndex] });
+                });
+            });
+
+            const graph = new Map();
+            for (const [key, a] of positions) {
+                const neighbours = new Map();
+                for (const [other, b] of positions) {
+                    if (other === key) continue;
+                    const dx = b.x - a.x;
+                    if ((b.row === a.row && Math.abs(dx) === 1) || (Math.abs(b.row - a.row) === 1 && Math.abs(dx) < 1)) {
+                        // The direction of the step, for counting turns
+                        neighbours.set(other, (b.row - a.row) + ':' + Math.sign(dx));
+                    }
+                }
+                graph.set(key, neighbours);
+            }
+            return graph;
+        }
+
+        const KEYBOARD_GRAPH = buildKeyboardGraph();
+        const KEYBOARD_STARTS = KEYBOARD_GRAPH.size;
+        const KEYBOARD_DEGREE = Array.from(KEYBOARD_GRAPH.values())
+            .reduce((sum, neighbours) => sum + neighbours.size, 0) / KEYBOARD_GRAPH.size;
+
+        function binomial(n, k) {
+            let result = 1;
+            for (let i = 1; i <= k; i++) {
+                result = result * (n - k + i) / i;
+            }
+            return result;
+        }
+
+        /**
+         * Guesses to try one character by brute force.
+         */
+        function charGuesses(char) {
+            if (char === ' ') return 1; // hardenPhrase() leaves single spaces only
+            if (/[a-z]/.test(char)) return 26;
+            if (/[0-9]/.test(char)) return 10;
+            if (/[\x21-\x7e]/.test(char)) return 33;
+            return 100;
+        }
+
+        function floorGuesses(guesses, token) {
+            return Math.max(guesses, token.length === 1 ? MIN_SINGLE_CHAR_GUESSES : MIN_MULTI_CHAR_GUESSES);
+        }
+
+        /**
+         * Undo l33t substitutions in every combination (1 may be i or l).
+         *
+         * @returns {{word: string, substitutions: number}[]} - Variants with at least one substitution
+         */
+        function unl33t(token) {
+            let variants = [{ word: '', substitutions: 0 }];
+            for (const char of token) {
+                const replacements = L33T_TABLE[char];
+                const next = [];
+                for (const variant of variants) {
+                    next.push({ word: variant.word + char, substitutions: variant.substitutions });
+                    for (const replacement of replacements || []) {
+                        next.push({ word: variant.word + replacement, substitutions: variant.substitutions + 1 });
+                    }
+                }
+                // Long tokens full of digits would explode; the plain spelling always stays first
+                variants = next.slice(0, 16);
+            }
+            return variants.filter(variant => variant.substitutions > 0);
+        }
+
+        /**
+         * Find dictionary matches: plain, l33t and reversed.
+         */
+        function dictionaryMatches(text) {
+            const dictionary = getDictionary();
+            const matches = [];
+
+            for (let i = 0; i < text.length; i++) {
+                for (let j = i + 1; j <= Math.min(text.length, i + longestEntry); j++) {
+                    const token = text.slice(i, j);
+                    if (token.trim() !== token) continue;
+
+                    const entry = dictionary.get(token);
+                    if (entry) {
+                        matches.push({ pattern: entry.kind, i, j, guesses: entry.guesses });
+                    }
+
+                    const reversed = Array.from(token).reverse().join('');
+                    const reversedEntry = reversed !== token && dictionary.get(reversed);
+                    if (reversedEntry) {
+                        matches.push({ pattern: reversedEntry.kind, i, j, guesses: reversedEntry.guesses * 2 });
+                    }
+
+                    if (/[^a-z ]/.test(token)) {
+                        for (const variant of unl33t(token)) {
+                            const l33tEntry = dictionary.get(variant.word);
+                            if (l33tEntry) {
+                                matches.push({ pattern: l33tEntry.kind, i, j, guesses: l33tEntry.guesses * Math.pow(2, variant.substitutions) });
+                            }
+                        }
+                    }
+                }
+            }
+            return matches;
+        }
+
+        /**
+         * Find runs of letters shaped like a word (a vowel, no more than three
+         * consonants in a row), which a large dictionary would likely hold.
+         */
+        function wordShapeMatches(text) {
+            const matches = [];
+            const runs = /[a-z]{3,}/g;
+            let run;
+            while ((run = runs.exec(text)) !== null) {
+                const token = run[0];
+                if (/[aeiouy]/.test(token) && !/[^aeiouy]{4}/.test(token)) {
+                    matches.push({
+                        pattern: 'word',
+                        i: run.index,
+                        j: run.index + token.length,
+                        guesses: Math.min(Math.pow(26, token.length), UNKNOWN_WORD_GUESSES)
+                    });
+                }
+            }
+            return matches;
+        }
+
+        /**
+         * Find keyboard walks of three or more keys.
+         */
+        function keyboardMatches(text) {
+            const matches = [];
+            for (let i = 0; i < text.length; i++) {
+                let turns = 0;
+                let direction = null;
+                let j = i + 1;
+                while (j < text.length) {
+                    const neighbours = KEYBOARD_GRAPH.get(text[j - 1]);
+                    const step = neighbours && neighbours.get(text[j]);
+                    if (!step) break;
+                    if (step !== direction) turns++;
+                    direction = step;
+                    j++;
+
+                    const length = j - i;
+                    if (length >= 3) {
+                        // zxcvbn: every walk of up to this length and number of turns
+                        let guesses = 0;
+                        for (let l = 2; l <= length; l++) {
+                            for (let t = 1; t <= Math.min(turns, l - 1); t++) {
+                                guesses += binomial(l - 1, t - 1) * KEYBOARD_STARTS * Math.pow(KEYBOARD_DEGREE, t);
+                            }
+                        }
+                        matches.push({ pattern: 'keyboard', i, j, guesses });
+                    }
+                }
+            }
+            return matches;
+        }
+
+        /**
+         * Find runs like abc, 9876 or aceg (constant step of 1 or 2).
+         */
+        function sequenceMatches(text) {
+            const matches = [];
+            for (let i = 0; i + 2 < text.length; i++) {
+                const delta = text.charCodeAt(i + 1) - text.charCodeAt(i);
+                if (delta === 0 || Math.abs(delta) > 2) continue;
+
+                const letters = /[a-z]/.test(text[i]);
+                const alphabet = letters ? /[a-z]/ : /[0-9]/.test(text[i]) ? /[0-9]/ : null;
+                if (!alphabet) continue;
+                // Obvious starting points are tried first
+                const base = 'az019'.includes(text[i]) ? 4 : letters ? 26 : 10;
+
+                let j = i + 1;
+                while (j < text.length && alphabet.test(text[j]) && text.charCodeAt(j) - text.charCodeAt(j - 1) === delta) {
+                    j++;
+                    if (j - i >= 3) {
+                        matches.push({ pattern: 'sequence', i, j, guesses: base * (j - i) * (delta < 0 ? 2 : 1) * Math.abs(delta) });
+                    }
+                }
+            }
+            return matches;
+        }
+
+        /**
+         * Find a unit repeated two or more times (aaa, abcabc).
+         */
+        function repeatMatches(text) {
+            const matches = [];
+            for (let i = 0; i < text.length; i++) {
+                for (let unit = 1; unit <= 8 && i + unit * 2 <= text.length; unit++) {
+                    const base = text.slice(i, i + unit);
+                    let count = 1;
+                    while (text.slice(i + unit * count, i + unit * (count + 1)) === base) {
+                        count++;
+                    }
+                    if (count < 2 || (unit === 1 && count < 3)) continue;
+                    matches.push({ pattern: 'repeat', i, j: i + unit * count, guesses: estimateGuesses(base).guesses * count });
+                }
+            }
+            return matches;
+        }
+
+        /**
+         * Find repeated words: a run of one or more words repeated back to back
+         * (correct correct correct, or correct horse correct horse), which costs
+         * the run once times the count, and any word used earlier in the phrase,
+         * which costs only the choice of which earlier word.
+         */
+        function wordRepeatMatches(text) {
+            const words = [];
+            const wordPattern = /[^ ]+/g;
+            let word;
+            while ((word = wordPattern.exec(text)) !== null) {
+                words.push({ token: word[0], i: word.index, j: word.index + word[0].length });
+            }
+            const sameRun = (a, b, unit) => {
+                for (let k = 0; k < unit; k++) {
+                    if (words[a + k].token !== words[b + k].token) return false;
+                }
+                return true;
+            };
+
+            const matches = [];
+            const seen = new Set();
+            for (let start = 0; start < words.length; start++) {
+                if (seen.has(words[start].token)) {
+                    matches.push({ pattern: 'repeat', i: words[start].i, j: words[start].j, guesses: seen.size });
+                }
+                seen.add(words[start].token);
+
+                for (let unit = 1; start + unit * 2 <= words.length; unit++) {
+                    // A unit that is itself a repeat is covered by its smaller unit
+                    let periodic = false;
+                    for (let part = 1; part < unit && !periodic; part++) {
+                        periodic = unit % part === 0 && sameRun(start, start + part, unit - part);
+                    }
+                    if (periodic) continue;
+
+                    let count = 1;
+                    while (start + unit * (count + 1) <= words.length && sameRun(start, start + unit * count, unit)) {
+                        count++;
+                    }
+                    if (count < 2) continue;
+                    const first = text.slice(words[start].i, words[start + unit - 1].j);
+                    matches.push({
+                        pattern: 'repeat',
+                        i: words[start].i,
+                        j: words[start + unit * count - 1].j,
+                        guesses: estimateGuesses(first).guesses * count
+                    });
+                }
+            }
+            return matches;
+        }
+
+        function yearGuesses(year) {
+            return Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+        }
+
+        /**
+         * Find years (1900-2099) and all-digit dates (ddmmyy, ddmmyyyy, yyyymmdd...).
+         */
+        function dateMatches(text) {
+            const matches = [];
+            const digitRuns = /\d+/g;
+            let run;
+            while ((run = digitRuns.exec(text)) !== null) {
+                const digits = run[0];
+                for (let i = 0; i < digits.length; i++) {
+                    for (const length of [4, 6, 8]) {
+                        const token = digits.slice(i, i + length);
+                        if (token.length !== length) continue;
+                        const start = run.index + i;
+
+                        if (length === 4 && /^(19|20)\d\d$/.test(token)) {
+                            matches.push({ pattern: 'date', i: start, j: start + 4, guesses: yearGuesses(Number(token)) });
+                        } else if (length > 4 && looksLikeDate(token)) {
+                            const year = length === 8 ? Number(/^(19|20)/.test(token) ? token.slice(0, 4) : token.slice(4)) : null;
+                            const years = year ? yearGuesses(year) : 100;
+                            matches.push({ pattern: 'date', i: start, j: start + length, guesses: 365 * years * 3 });
+                        }
+                    }
+                }
+            }
+            return matches;
+        }
+
+        function looksLikeDate(token) {
+            const pairs = token.length === 8 && /^(19|20)/.test(token)
+                ? [token.slice(4, 6), token.slice(6, 8)]
+                : [token.slice(0, 2), token.slice(2, 4)];
+            const [a, b] = pairs.map(Number);
+            return a >= 1 && b >= 1 && ((a <= 12 && b <= 31) || (a <= 31 && b <= 12));
+        }
+
+        /**
+         * Cover text with the cheapest sequence of matches; characters no match
+         * covers are guessed one by one.
+         *
+         * @returns {{guesses: number, matches: Object[]}}
+         */
+        function minimumGuesses(text, matches) {
+            const n = text.length;
+            const best = new Array(n + 1).fill(null);
+            best[0] = { guesses: 1, previous: null, match: null };
+
+            const byEnd = new Map();
+            for (const match of matches) {
+                if (!byEnd.has(match.j)) byEnd.set(match.j, []);
+                byEnd.get(match.j).push(match);
+            }
+
+            for (let j = 1; j <= n; j++) {
+                const char = text[j - 1];
+                let choice = {
+                    guesses: best[j - 1].guesses * charGuesses(char),
+                    previous: j - 1,
+                    match: { pattern: char === ' ' ? 'separator' : 'bruteforce', i: j - 1, j, guesses: charGuesses(char) }
+                };
+                for (const match of byEnd.get(j) || []) {
+                    const guesses = best[match.i].guesses * floorGuesses(match.guesses, text.slice(match.i, match.j));
+                    if (guesses < choice.guesses) {
+                        choice = { guesses, previous: match.i, match };
+                    }
+                }
+                best[j] = choice;
+            }
+
+            const sequence = [];
+            for (let j = n; j > 0; j = best[j].previous) {
+                sequence.unshift(best[j].match);
+            }
+            return { guesses: best[n].guesses, matches: sequence };
+        }
+
+        /**
+         * Find every pattern in text and cover it with the cheapest of them.
+         */
+        function estimateGuesses(text) {
+            const found = [].concat(
+                dictionaryMatches(text),
+                wordShapeMatches(text),
+                keyboardMatches(text),
+                sequenceMatches(text),
+                repeatMatches(text),
+                wordRepeatMatches(text),
+                dateMatches(text)
+            );
+            return minimumGuesses(text, found);
+        }
+
+        /**
+         * Merge neighbouring single-character guesses into runs, for display.
+         */
+        function mergeMatches(text, matches) {
+            const merged = [];
+            for (const match of matches) {
+                const last = merged[merged.length - 1];
+                if (match.pattern === 'bruteforce' && last && last.pattern === 'bruteforce' && last.j === match.i) {
+                    last.j = match.j;
+                    last.guesses *= match.guesses;
+                } else if (match.pattern !== 'separator') {
+                    merged.push(Object.assign({}, match));
+                }
+            }
+            return merged.map(match => ({ pattern: match.pattern, token: text.slice(match.i, match.j), guesses: match.guesses }));
+        }
+
+        /**
+         * Normalize a phrase the way hardenPhrase() does before hardening it.
+         * Apostrophes are dropped too, so "I'll be back" meets its listed phrase.
+         */
+        function normalizeForEstimate(phrase) {
+            return phrase.trim().toLowerCase().replace(/\s+/g, ' ').replace(/['’]/g, '');
+        }
+
+        /**
+         * Estimate how many guesses a master phrase would take.
+         *
+         * @param {string} phrase - Raw master phrase
+         * @returns {{guesses: number, guessesLog10: number, matches: Object[], warning: string, suggestions: string[]}} -
+         *   Estimated guesses, the patterns found ({ pattern, token, guesses }), and feedback to show
+         */
+        function estimatePhraseStrength(phrase) {
+            const text = normalizeForEstimate(typeof phrase === 'string' ? phrase : '').slice(0, MAX_ESTIMATE_LENGTH);
+            if (!text) {
+                return { guesses: 1, guessesLog10: 0, matches: [], warning: '', suggestions: ['Use 4 or more random words.'] };
+            }
+
+            const result = estimateGuesses(text);
+            const matches = mergeMatches(text, result.matches);
+
+            // Feedback: the pattern that gives away the most
+            let warning = '';
+            const weakest = result.guesses >= WARN_BELOW_GUESSES ? null : matches
+                .filter(match => match.pattern !== 'bruteforce')
+                .sort((a, b) => b.token.length - a.token.length)[0];
+            if (weakest) {
+                warning = WARNINGS[weakest.pattern] || '';
+            }
+
+            const suggestions = [];
+            // Distinct words: a repeated word adds next to nothing
+            const words = new Set(text.split(' ')).size;
+            if (words < 4) {
+                suggestions.push('Use 4 or more random words.');
+            } else {
+                suggestions.push('Add another word. Uncommon words are better.');
+            }
+            if (warning && matches.length === 1) {
+                suggestions.push('Avoid anything that can be found in a list: common passwords, quotes, lyrics, names.');
+            }
+
+            return {
+                guesses: result.guesses,
+                guessesLog10: Math.log10(result.guesses),
+                matches,
+                warning,
+                suggestions
+            };
+        }
+
+        /**
+         * Guesses per second of the offline attacker against a security level.
+         *
+         * @param {Object} resolvedLevel - From resolveSecurityLevel()
+         * @returns {number} - Phrase guesses per second
+         */
+        function attackerGuessesPerSecond(resolvedLevel) {
+            if (resolvedLevel.kdf === 'pbkdf2') {
+                return ATTACKER_RATES.pbkdf2IterationsPerSecond / resolvedLevel.iterations;
+            }
+            return ATTACKER_RATES.memoryHardMiBPerSecond / (resolvedLevel.memoryMiB * resolvedLevel.timeCost);
+        }
+
+        /**
+         * Describe a crack time in words.
+         *
+         * @param {number} seconds - Crack time
+         * @returns {string} - e.g. "less than a second", "3 hours", "centuries"
+         */
+        function formatCrackTime(seconds) {
+            const units = [
+                ['year', 31557600],
+                ['month', 2629800],
+                ['day', 86400],
+                ['hour', 3600],
+                ['minute', 60],
+                ['second', 1]
+            ];
+            if (seconds < 1) return 'less than a second';
+            if (seconds >= 100 * 31557600) return 'centuries';
+
+            for (const [name, size] of units) {
+                if (seconds >= size) {
+                    const count = Math.round(seconds / size);
+                    return count + ' ' + name + (count === 1 ? '' : 's');
+                }
+            }
+            return 'less than a second';
+        }
+
+        /**
+         * Assess a master phrase against a security level and a threshold.
+         *
+         * @param {string} phrase - Raw master phrase
+         * @param {Object} resolvedLevel - From resolveSecurityLevel()
+         * @param {string} [threshold='year'] - Key of STRENGTH_THRESHOLDS
+         * @returns {Object} - estimatePhraseStrength() plus crackSeconds, crackTime (in words) and weak
+         */
+        function assessPhrase(phrase, resolvedLevel, threshold = DEFAULT_STRENGTH_THRESHOLD) {
+            if (!Object.prototype.hasOwnProperty.call(STRENGTH_THRESHOLDS, threshold)) {
+                throw new Error('Strength threshold must be one of: ' + Object.keys(STRENGTH_THRESHOLDS).join(', '));
+            }
+
+            const estimate = estimatePhraseStrength(phrase);
+            const crackSeconds = estimate.guesses / attackerGuessesPerSecond(resolvedLevel);
+
+            return Object.assign(estimate, {
+                crackSeconds,
+                crackTime: formatCrackTime(crackSeconds),
+                weak: crackSeconds < STRENGTH_THRESHOLDS[threshold].seconds
+            });
+        }
+
+        return Object.freeze({
+            ATTACKER_RATES,
+            STRENGTH_THRESHOLDS,
+            DEFAULT_STRENGTH_THRESHOLD,
+            estimatePhraseStrength,
+            attackerGuessesPerSecond,
+            formatCrackTime,
+            assessPhrase
+        });
+    })();
+
+    // ---- core/passphrase.mjs ----
+    const __core_passphrase = (function () {
+        /**
+         * Password Mint Core - Passphrase Generation
+         *
+         * Maps derived bytes onto words from the EFF large word list. Every choice
+         * (each word, where a digit or symbol goes, and which one) is drawn with
+         * rejection sampling from a byte stream, in this fixed order:
+         *
+         * 1. Words, one at a time, until the word count (or character length) is met
+         * 2. Digit: the word it follows, then the digit
+         * 3. Symbol: the word it follows, then the symbol
+         *
+         * Capitalization and the separator only change how the words are written.
+         * The order above is part of every passphrase, so it is frozen.
+         */
+
+        const { CHAR_SETS } = __core_config;
+        const { createByteStream } = __core_bytestream;
+        const { EFF_LARGE_WORDLIST } = __core_wordlist;
+
+        const STREAM_LABEL = 'password-mint::passphrase';
+
+        const PASSPHRASE_CAPITALIZATION = Object.freeze({
+            lower: 'lowercase',
+            title: 'Title Case',
+            upper: 'UPPERCASE'
+        });
+
+        const PASSPHRASE_LIMITS = Object.freeze({
+            words: Object.freeze({ min: 3, max: 20, default: 6 }),
+            length: Object.freeze({ min: 16, max: 128 }),
+            separatorMax: 3
+        });
+
+        /**
+         * Validate passphrase options and fill in defaults.
+         *
+         * @param {Object} [options] - Partial options
+         * @param {number} [options.words=6] - Number of words
+         * @param {number} [options.length] - Minimum characters instead of a word count
+         * @param {string} [options.separator='-'] - Text between words (up to 3 symbols or spaces)
+         * @param {string} [options.capitalize='lower'] - Key of PASSPHRASE_CAPITALIZATION
+         * @param {boolean} [options.digit=false] - Add one digit after a word
+         * @param {boolean} [options.symbol=false] - Add one symbol after a word
+         * @returns {Object} - Complete options; `words` is omitted when `length` is set
+         */
+        function normalizePassphraseOptions(options) {
+            const {
+                words = PASSPHRASE_LIMITS.words.default,
+                length,
+                separator = '-',
+                capitalize = 'lower',
+                digit = false,
+                symbol = false
+            } = options || {};
+
+            const result = {};
+            if (length !== undefined) {
+                const limits = PASSPHRASE_LIMITS.length;
+                if (!Number.isInteger(length) || length < limits.min || length > limits.max) {
+                    throw new Error('Passphrase length must be between ' + limits.min + ' and ' + limits.max + ' characters.');
+                }
+                result.length = length;
+            } else {
+                const limits = PASSPHRASE_LIMITS.words;
+                if (!Number.isInteger(words) || words < limits.min || words > limits.max) {
+                    throw new Error('Passphrases need between ' + limits.min + ' and ' + limits.max + ' words.');
+                }
+                result.words = words;
+            }
+
+            if (typeof separator !== 'string' || separator.length > PASSPHRASE_LIMITS.separatorMax ||
+                !/^[ !-\/:-@[-`{-~]*$/.test(separator)) {
+                throw new Error('Separator must be up to ' + PASSPHRASE_LIMITS.separatorMax + ' spaces or symbols.');
+            }
+            if (!Object.prototype.hasOwnProperty.call(PASSPHRASE_CAPITALIZATION, capitalize)) {
+                throw new Error('Capitalization must be one of: ' + Object.keys(PASSPHRASE_CAPITALIZATION).join(', '));
+            }
+
+            result.separator = separator;
+            result.capitalize = capitalize;
+            result.digit = Boolean(digit);
+            result.symbol = Boolean(symbol);
+            return result;
+        }
+
+        /**
+         * Count the characters of a passphrase before it is written out.
+         *
+         * @param {string[]} words - Chosen words
+         * @param {Object} options - From normalizePassphraseOptions()
+         * @returns {number} - Length including separators and added characters
+         */
+        function passphraseLength(words, options) {
+            const letters = words.reduce((total, word) => total + word.length, 0);
+            return letters + options.separator.length * (words.length - 1) +
+                (options.digit ? 1 : 0) + (options.symbol ? 1 : 0);
+        }
+
+        /**
+         * Write a word in the chosen capitalization.
+         *
+         * @param {string} word - Word from the list (lowercase)
+         * @param {string} capitalize - Key of PASSPHRASE_CAPITALIZATION
+         * @returns {string} - Capitalized word
+         */
+        function capitalizeWord(word, capitalize) {
+            if (capitalize === 'upper') return word.toUpperCase();
+            if (capitalize === 'title') return word.charAt(0).toUpperCase() + word.slice(1);
+            return word;
+        }
+
+        /**
+         * Generate a passphrase from derived bytes.
+         *
+         * @param {Uint8Array} derivedBytes - Bytes from the KDF
+         * @param {Object} [options] - As for normalizePassphraseOptions()
+         * @returns {Promise<{passphrase: string, words: number}>} - Passphrase and its word count
+         */
+        async function generatePassphraseFromBytes(derivedBytes, options) {
+            const settings = normalizePassphraseOptions(options);
+            const stream = createByteStream(derivedBytes, STREAM_LABEL);
+            const words = [];
+
+            // Step 1: Words, by count or until the passphrase is long enough
+            while (settings.length !== undefined
+                ? words.length < PASSPHRASE_LIMITS.words.min || passphraseLength(words, settings) < settings.length
+                : words.length < settings.words) {
+                words.push(EFF_LARGE_WORDLIST[await stream.uniform(EFF_LARGE_WORDLIST.length)]);
+            }
+
+            const written = words.map(word => capitalizeWord(word, settings.capitalize));
+
+            // Steps 2-3: A digit and a symbol, each after a chosen word
+            if (settings.digit) {
+                const index = await stream.uniform(written.length);
+                written[index] += CHAR_SETS.digits[await stream.uniform(CHAR_SETS.digits.length)];
+            }
+            if (settings.symbol) {
+                const index = await stream.uniform(written.length);
+                written[index] += CHAR_SETS.symbols[await stream.uniform(CHAR_SETS.symbols.length)];
+            }
+
+            return { passphrase: written.join(settings.separator), words: words.length };
+        }
+
+        /**
+         * Estimate the entropy of a passphrase, in bits. Capitalization and the
+         * separator add none, since they are fixed settings rather than chosen.
+         *
+         * @param {Object} [options] - As for normalizePassphraseOptions()
+         * @param {number} [wordCount] - Words actually chosen; by default the word
+         *   count, or for a length the words an average passphrase needs
+         * @returns {number} - Estimated bits of entropy
+         */
+        function estimatePassphraseEntropy(options, wordCount) {
+            const settings = normalizePassphraseOptions(options);
+            let words = wordCount;
+
+            if (words === undefined && settings.length !== undefined) {
+                const averageWord = EFF_LARGE_WORDLIST.reduce((total, word) => total + word.length, 0) / EFF_LARGE_WORDLIST.length;
+                const extra = (settings.digit ? 1 : 0) + (settings.symbol ? 1 : 0);
+                words = Math.max(PASSPHRASE_LIMITS.words.min,
+                    Math.ceil((settings.length - extra + settings.separator.length) / (averageWord + settings.separator.length)));
+            } else if (words === undefined) {
+                words = settings.words;
+            }
+
+            let bits = words * Math.log2(EFF_LARGE_WORDLIST.length);
+            if (settings.digit) bits += Math.log2(words * CHAR_SETS.digits.length);
+            if (settings.symbol) bits += Math.log2(words * CHAR_SETS.symbols.length);
+            return bits;
+        }
+
+        return Object.freeze({
+            PASSPHRASE_CAPITALIZATION,
+            PASSPHRASE_LIMITS,
+            normalizePassphraseOptions,
+            generatePassphraseFromBytes,
+            estimatePassphraseEntropy
+        });
+    })();
+
+    // ---- core/algorithms.mjs ----
+    const __core_algorithms = (function () {
+        /**
+         * Password Mint Core - Algorithm Registry
+         *
+         * Each algorithm version fixes how derived bytes become a password, and has
+         * its own salt prefix so versions never share output. A version is frozen
+         * once released: fixes ship as a new version, never as a change to an old
+         * one, so existing passwords keep working. Every version needs known-answer
+         * vectors in selftest.mjs.
+         */
+
+        const { CONFIG } = __core_config;
+        const { createByteStream } = __core_bytestream;
+        const { generatePasswordFromBytes, generatePasswordFromStream } = __core_generate;
+
+        const DEFAULT_ALGORITHM = 'v1';
+
+        const ALGORITHMS = Object.freeze({
+            v1: Object.freeze({
+                id: 'v1',
+                label: 'v1 — original',
+                description: 'Modulo character selection; wraps around the 64 derived bytes.',
+                saltPrefix: CONFIG.SALT_PREFIX,
+                async generate(derivedBytes, length, charsets) {
+                    return generatePasswordFromBytes(derivedBytes, length, charsets);
+                }
+            }),
+            v2: Object.freeze({
+                id: 'v2',
+                label: 'v2 — unbiased',
+                description: 'Rejection sampling for every choice; extends the derived bytes with HKDF-SHA256.',
+                saltPrefix: 'password-mint::v2::',
+                async generate(derivedBytes, length, charsets) {
+                    const stream = createByteStream(derivedBytes, 'password-mint::v2');
+                    return generatePasswordFromStream(stream, length, charsets);
+                }
+            })
+        });
+
+        /**
+         * Look up an algorithm version.
+         *
+         * @param {string} id - Algorithm id, e.g. "v1"
+         * @returns {Object} - Registry entry
+         */
+        function getAlgorithm(id) {
+            if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, id)) {
+                throw new Error('Unknown algorithm version: ' + id);
+            }
+            return ALGORITHMS[id];
+        }
+
+        return Object.freeze({
+            DEFAULT_ALGORITHM,
+            ALGORITHMS,
+            getAlgorithm
+        });
+    })();
+
+    // ---- core/policies.mjs ----
+    const __core_policies = (function () {
+        /**
+         * Password Mint Core - Site Password Policies
+         *
+         * A policy describes what a site accepts: length bounds, which symbols it
+         * allows, which character classes it requires or forbids, per-class caps
+         * and positional rules. Applying a policy reshapes the character pools
+         * (see applyPolicyToCharsets), so it changes the password; it is therefore
+         * opt-in per derivation: a bundled entry applies only when the user turns
+         * it on for the site (or asks for it on the CLI), never by default. Bundled
+         * entries are frozen once released like algorithm versions, and users
+         * override or disable them by site.
+         */
+
+        const { CHAR_SETS, LENGTH_RANGE } = __core_config;
+        const { resolveCharsets } = __core_generate;
+
+        const POLICY_CLASSES = Object.freeze(['upper', 'lower', 'digits', 'symbols']);
+
+        const CLASS_NAMES = Object.freeze({
+            upper: 'uppercase letter',
+            lower: 'lowercase letter',
+            digits: 'digit',
+            symbols: 'symbol'
+        });
+
+        /**
+         * Build a positional rule: which characters may stand at the first or the
+         * last position. Generation enforces it (see generate.mjs), and test()
+         * checks a finished password.
+         *
+         * @param {string} label - Short name for summaries
+         * @param {string} description - Violation message, e.g. "must not start with a digit"
+         * @param {string} position - 'first' or 'last'
+         * @param {function(string): boolean} allows - Whether a character may stand there
+         * @returns {Object} - Frozen rule
+         */
+        function positionRule(label, description, position, allows) {
+            return Object.freeze({
+                label,
+                description,
+                position,
+                allows,
+                test: password => password.length === 0 || allows(password[position === 'first' ? 0 : password.length - 1])
+            });
+        }
+
+        const POLICY_RULES = Object.freeze({
+            'no-leading-digit': positionRule('no leading digit', 'must not start with a digit', 'first', char => !/[0-9]/.test(char)),
+            'no-leading-symbol': positionRule('no leading symbol', 'must not start with a symbol', 'first', char => /[A-Za-z0-9]/.test(char)),
+            'no-trailing-symbol': positionRule('no trailing symbol', 'must not end with a symbol', 'last', char => /[A-Za-z0-9]/.test(char))
+        });
+
+        // Bundled policies, keyed by normalizeSite() output: the v1 name and the v2
+        // registrable domain. Sites change their rules; when a generated password
+        // is rejected, override the entry.
+        const AMEX_POLICY = Object.freeze({ minLength: 8, maxLength: 20 });
+        const BANK_OF_AMERICA_POLICY = Object.freeze({ minLength: 8, maxLength: 20, symbols: '@#*+=?.-_', required: ['digits'] });
+        const CHASE_POLICY = Object.freeze({ minLength: 8, maxLength: 32, symbols: '!#$%+=@', required: ['digits'] });
+        const PAYPAL_POLICY = Object.freeze({ minLength: 8, maxLength: 20 });
+
+        const SITE_POLICIES = Object.freeze({
+            americanexpress: AMEX_POLICY,
+            'americanexpress.com': AMEX_POLICY,
+            bankofamerica: BANK_OF_AMERICA_POLICY,
+            'bankofamerica.com': BANK_OF_AMERICA_POLICY,
+            chase: CHASE_POLICY,
+            'chase.com': CHASE_POLICY,
+            paypal: PAYPAL_POLICY,
+            'paypal.com': PAYPAL_POLICY
+        });
+
+        /**
+         * Get the character class of one password character.
+         *
+         * @param {string} char - A single character
+         * @returns {string} - One of POLICY_CLASSES
+         */
+        function classOf(char) {
+            if (/[A-Z]/.test(char)) return 'upper';
+            if (/[a-z]/.test(char)) return 'lower';
+            if (/[0-9]/.test(char)) return 'digits';
+            return 'symbols';
+        }
+
+        function checkClassList(list, field) {
+            if (!Array.isArray(list) || list.some(type => POLICY_CLASSES.indexOf(type) === -1)) {
+                throw new Error('Policy ' + field + ' must list classes from: ' + POLICY_CLASSES.join(', '));
+            }
+            return POLICY_CLASSES.filter(type => list.indexOf(type) !== -1);
+        }
+
+        /**
+         * Validate a policy and fill in defaults.
+         *
+         * @param {Object} policy - Partial policy
+         * @param {number} [policy.minLength] - Shortest accepted password (default LENGTH_RANGE.policyMin)
+         * @param {number} [policy.maxLength] - Longest accepted password (default LENGTH_RANGE.max)
+         * @param {string} [policy.symbols] - Allowed symbols (default CHAR_SETS.symbols; '' allows none)
+         * @param {string[]} [policy.required] - Classes that must appear
+         * @param {string[]} [policy.forbidden] - Classes that must not appear
+         * @param {Object<string, number>} [policy.maxCounts] - Most characters allowed per class
+         * @param {string[]} [policy.rules] - Keys of POLICY_RULES
+         * @returns {Object} - Complete policy
+         */
+        function normalizePolicy(policy) {
+            const {
+                minLength = LENGTH_RANGE.policyMin,
+                maxLength = LENGTH_RANGE.max,
+                symbols = CHAR_SETS.symbols,
+                required = [],
+                forbidden = [],
+                maxCounts = {},
+                rules = []
+            } = policy || {};
+
+            for (const [name, value] of [['minLength', minLength], ['maxLength', maxLength]]) {
+                if (!Number.isInteger(value) || value < LENGTH_RANGE.policyMin || value > LENGTH_RANGE.max) {
+                    throw new Error('Policy ' + name + ' must be between ' + LENGTH_RANGE.policyMin + ' and ' + LENGTH_RANGE.max + '.');
+                }
+            }
+            if (minLength > maxLength) {
+                throw new Error('Policy minLength is greater than maxLength.');
+            }
+
+            if (typeof symbols !== 'string' || !/^[!-\/:-@[-`{-~]*$/.test(symbols) ||
+                new Set(symbols).size !== symbols.length) {
+                throw new Error('Policy symbols must be distinct printable ASCII symbols.');
+            }
+
+            const requiredClasses = checkClassList(required, 'required');
+            const forbiddenClasses = checkClassList(forbidden, 'forbidden');
+            if (requiredClasses.some(type => forbiddenClasses.indexOf(type) !== -1)) {
+                throw new Error('Policy requires and forbids the same class.');
+            }
+            if (!symbols && requiredClasses.indexOf('symbols') !== -1) {
+                throw new Error('Policy requires symbols but allows none.');
+            }
+
+            const caps = {};
+            for (const type of Object.keys(maxCounts || {})) {
+                const value = maxCounts[type];
+                if (POLICY_CLASSES.indexOf(type) === -1 || !Number.isInteger(value) || value < 1 ||
+                    forbiddenClasses.indexOf(type) !== -1) {
+                    throw new Error('Policy maxCounts must map allowed classes to whole numbers of at least 1.');
+                }
+                caps[type] = value;
+            }
+
+            if (!Array.isArray(rules) || rules.some(rule => !Object.prototype.hasOwnProperty.call(POLICY_RULES, rule))) {
+                throw new Error('Policy rules must be from: ' + Object.keys(POLICY_RULES).join(', '));
+            }
+
+            return {
+                minLength,
+                maxLength,
+                symbols,
+                required: requiredClasses,
+                forbidden: forbiddenClasses,
+                maxCounts: caps,
+                rules: Object.keys(POLICY_RULES).filter(rule => rules.indexOf(rule) !== -1)
+            };
+        }
+
+        /**
+         * Look up the policy for a site. An override replaces the bundled entry;
+         * an override of null means "no policy" even where one is bundled. The
+         * bundled entry is only used when asked for, so a site's password never
+         * changes just because it gained one.
+         *
+         * @param {string} normalizedSite - Output of normalizeSite()
+         * @param {Object<string, Object|null>} [overrides] - User policies keyed by normalized site
+         * @param {boolean} [useKnown=false] - Fall back to the bundled entry
+         * @returns {Object|null} - Complete policy, or null
+         */
+        function getSitePolicy(normalizedSite, overrides, useKnown = false) {
+            if (overrides && Object.prototype.hasOwnProperty.call(overrides, normalizedSite)) {
+                const override = overrides[normalizedSite];
+                return override === null ? null : normalizePolicy(override);
+            }
+            if (useKnown && Object.prototype.hasOwnProperty.call(SITE_POLICIES, normalizedSite)) {
+                return normalizePolicy(SITE_POLICIES[normalizedSite]);
+            }
+            return null;
+        }
+
+        /**
+         * Turn a policy into the character set toggles getCharacterPools() uses:
+         * required classes on, forbidden classes off, symbols limited to the
+         * allowed ones (of the user's custom symbols, if any), per-class caps and
+         * the positional rules the generators enforce.
+         *
+         * @param {Object} [charsets] - Toggles chosen by the user
+         * @param {Object} policy - From normalizePolicy() or getSitePolicy()
+         * @returns {Object} - Toggles plus symbolChars and (if set) maxCounts and positionRules
+         */
+        function applyPolicyToCharsets(charsets, policy) {
+            const options = resolveCharsets(charsets);
+            const symbols = typeof options.symbolChars === 'string'
+                ? options.symbolChars.split('').filter(char => policy.symbols.includes(char)).join('')
+                : policy.symbols;
+
+            for (const type of policy.required) options[type] = true;
+            for (const type of policy.forbidden) options[type] = false;
+            if (!symbols) options.symbols = false;
+
+            options.symbolChars = symbols;
+            if (Object.keys(policy.maxCounts).length) {
+                options.maxCounts = Object.assign({}, policy.maxCounts);
+            }
+            if (policy.rules.length) {
+                options.positionRules = policy.rules.map(rule => POLICY_RULES[rule]);
+            }
+            return options;
+        }
+
+        /**
+         * List the ways a password breaks a policy.
+         *
+         * @param {string} password - Generated password
+         * @param {Object} policy - From normalizePolicy() or getSitePolicy()
+         * @returns {string[]} - Violations; empty if the password complies
+         */
+        function checkPolicy(password, policy) {
+            const violations = [];
+            const counts = { upper: 0, lower: 0, digits: 0, symbols: 0 };
+            let badSymbols = false;
+
+            for (const char of password) {
+                const type = classOf(char);
+                counts[type]++;
+                if (type === 'symbols' && policy.symbols.indexOf(char) === -1) badSymbols = true;
+            }
+
+            if (password.length < policy.minLength) {
+                violations.push('must be at least ' + policy.minLength + ' characters');
+            }
+            if (password.length > policy.maxLength) {
+                violations.push('must be at most ' + policy.maxLength + ' characters');
+            }
+            if (badSymbols) {
+                violations.push(policy.symbols ? 'may only use the symbols ' + policy.symbols : 'must not contain symbols');
+            }
+            for (const type of policy.required) {
+                if (!counts[type]) violations.push('needs at least one ' + CLASS_NAMES[type]);
+            }
+            for (const type of policy.forbidden) {
+                if (counts[type]) violations.push('must not contain any ' + CLASS_NAMES[type] + 's');
+            }
+            for (const type of Object.keys(policy.maxCounts)) {
+                const max = policy.maxCounts[type];
+                if (counts[type] > max) {
+                    violations.push('allows at most ' + max + ' ' + CLASS_NAMES[type] + (max === 1 ? '' : 's'));
+                }
+            }
+            for (const rule of policy.rules) {
+                if (!POLICY_RULES[rule].test(password)) violations.push(POLICY_RULES[rule].description);
+            }
+
+            return violations;
+        }
+
+        /**
+         * Summarize a policy in one line.
+         *
+         * @param {Object} policy - From normalizePolicy() or getSitePolicy()
+         * @returns {string} - e.g. "8–12 characters · symbols !@# · at most 1 digit · no leading digit"
+         */
+        function describePolicy(policy) {
+            const parts = [policy.minLength + '–' + policy.maxLength + ' characters'];
+
+            if (policy.forbidden.indexOf('symbols') !== -1 || !policy.symbols) {
+                parts.push('no symbols');
+            } else if (policy.symbols !== CHAR_SETS.symbols) {
+                parts.push('symbols ' + policy.symbols);
+            }
+            for (const type of policy.required) parts.push('needs a ' + CLASS_NAMES[type]);
+            for (const type of policy.forbidden) {
+                if (type !== 'symbols') parts.push('no ' + CLASS_NAMES[type] + 's');
+            }
+            for (const type of Object.keys(policy.maxCounts)) {
+                const max = policy.maxCounts[type];
+                parts.push('at most ' + max + ' ' + CLASS_NAMES[type] + (max === 1 ? '' : 's'));
+            }
+            for (const rule of policy.rules) parts.push(POLICY_RULES[rule].label);
+
+            return parts.join(' · ');
+        }
+
+        return Object.freeze({
+            POLICY_CLASSES,
+            POLICY_RULES,
+            SITE_POLICIES,
+            normalizePolicy,
+            getSitePolicy,
+            applyPolicyToCharsets,
+            checkPolicy,
+            describePolicy
+        });
+    })();
+
+    // ---- core/derive.mjs ----
+    const __core_derive = (function () {
+        /**
+         * Password Mint Core - Derivation
+         *
+         * The full pipeline, exactly as the web page runs it:
+         * normalizeSite → site alias → hardenPhrase (+ second secret) → salt → KDF → algorithm mapping
+         *
+         * An account (username or email) is an optional salt tag, so several
+         * accounts on one site get unrelated passwords and no account keeps the
+         * original salt. An identity (identities.mjs) is a salt tag too, so work
+         * and personal passwords never meet even with the same phrase. Extra
+         * fields (fields.mjs) each run the KDF again, with their own purpose tag
+         * and version.
+         *
+         * Other output formats (formats.mjs) take the same path up to the KDF, with
+         * a "format" salt tag so a site's passphrase, PIN and password never share
+         * bytes, then map the bytes onto words (passphrase.mjs) or their own
+         * alphabets instead of the character pools.
+         */
+
+        const { DEFAULT_NORMALIZATION, getNormalization, normalizeAccount, normalizeIdentity } = __core_normalize;
+        const { isPhraseKey, resolvePhraseKey } = __core_kdf;
+        const { normalizeSecondSecret, mixSecondSecret } = __core_second_secret;
+        const { SECURITY_LEVELS, resolveSecurityLevel, kdfSaltTag, deriveLevelBytes } = __core_levels;
+        const { resolveCharsets } = __core_generate;
+        const { applyPolicyToCharsets, checkPolicy } = __core_policies;
+        const { normalizePassphraseOptions, generatePassphraseFromBytes, estimatePassphraseEntropy } = __core_passphrase;
+        const { DEFAULT_FORMAT, getOutputFormat, generateFormatFromBytes, formatEntropy } = __core_formats;
+        const { DEFAULT_ALGORITHM, getAlgorithm } = __core_algorithms;
+        const { normalizeAliases, resolveSiteAlias } = __core_aliases;
+        const { normalizeField, generateFieldFromBytes, fieldEntropy } = __core_fields;
+
+        /**
+         * Construct the salt for a site/version pair (domain separation).
+         *
+         * Tags add "::name=value" components in name order; with no tags the salt
+         * is exactly the original one. Values are URI-encoded so they cannot
+         * introduce separators of their own.
+         *
+         * @param {string} normalizedSite - Output of normalizeSite()
+         * @param {string|number} version - Rotation counter, used exactly as given
+         * @param {string} [algorithm='v1'] - Algorithm version (selects the salt prefix)
+         * @param {Object<string, string>} [tags] - Extra components; empty values are skipped
+         * @returns {string} - Salt string
+         */
+        function buildSalt(normalizedSite, version, algorithm = DEFAULT_ALGORITHM, tags) {
+            let salt = getAlgorithm(algorithm).saltPrefix + normalizedSite + '::' + version;
+
+            for (const name of Object.keys(tags || {}).sort()) {
+                if (tags[name]) {
+                    salt += '::' + name + '=' + encodeURIComponent(tags[name]);
+                }
+            }
+
+            return salt;
+        }
+
+        /**
+         * Get the PBKDF2 iteration count for a security level.
+         *
+         * @param {string} securityLevel - A PBKDF2 level: "standard" or "high"
+         * @returns {number} - Iteration count
+         */
+        function getIterations(securityLevel) {
+            const level = resolveSecurityLevel(securityLevel);
+            if (level.kdf !== 'pbkdf2') {
+                throw new Error('Security level does not use PBKDF2: ' + securityLevel);
+            }
+            return SECURITY_LEVELS[securityLevel].iterations;
+        }
+
+        /**
+         * Derive the password for a site, exactly as the web page does.
+         *
+         * @param {Object} options - Derivation inputs
+         * @param {string|CryptoKey} options.phrase - Raw master phrase (hardened internally), or a key from importMasterPhrase()
+         * @param {Uint8Array} [options.secondSecret] - Keyfile bytes or a decoded recovery code, mixed into the phrase key (see mixSecondSecret())
+         * @param {string} options.site - Raw site or URL (normalized internally)
+         * @param {string} [options.normalization='v1'] - Site normalization version from NORMALIZATIONS
+         * @param {Object<string, string|null>} [options.aliases] - User site aliases (see normalizeAliases()); bundled aliases apply with normalization v2
+         * @param {string} [options.account] - Username or email, for several accounts on one site (normalized with normalizeAccount())
+         * @param {string} [options.identity] - Identity name, e.g. "work" (normalized with normalizeIdentity()); none for the default identity
+         * @param {string|number} [options.version=1] - Rotation counter
+         * @param {number} [options.length] - Password length (default 16), or the length of a PIN, hex, base32 or pronounceable output (default per format)
+         * @param {Object} [options.charsets] - Toggles: upper, lower, digits, symbols, excludeAmbiguous; optional symbolChars, excludeChars, minCounts (see resolveCharsets())
+         * @param {string} [options.securityLevel='standard'] - Key of SECURITY_LEVELS
+         * @param {{memoryMiB: number, timeCost: number}} [options.kdfCosts] - Costs for scrypt/Argon2id levels
+         * @param {string} [options.algorithm='v1'] - Algorithm version from ALGORITHMS
+         * @param {Object} [options.policy] - Site policy from getSitePolicy(); reshapes the pools, and a password breaking it is an error
+         * @param {string} [options.format='password'] - Key of OUTPUT_FORMATS; charsets and policy apply to passwords only
+         * @param {Object} [options.passphrase] - Passphrase options (see normalizePassphraseOptions())
+         * @param {Object[]} [options.fields] - Extra fields to derive too, e.g. [{ kind: 'username' }, { kind: 'answer', question: 'First pet?' }] (see normalizeField())
+         * @param {function(number)} [options.onProgress] - Progress (0-1) of scrypt/Argon2id key derivation, over the password and every field
+         * @returns {Promise<{password: string, normalizedSite: string, aliasOf?: string, account?: string, identity?: string, algorithm: string, entropyBits?: number, fields?: Object[]}>} -
+         *   Password and what produced it; aliasOf is the site as normalized when an alias replaced it, account the normalized account if one was given, and other
+         *   formats include their (estimated) entropy; identity is the normalized identity, if one was given. fields lists { kind, question?, version, value, entropyBits } in the order requested
+         */
+        async function derivePassword(options) {
+            const {
+                phrase,
+                secondSecret,
+                site,
+                normalization = DEFAULT_NORMALIZATION,
+                aliases,
+                account,
+                identity,
+                version = 1,
+                length,
+                charsets,
+                securityLevel = 'standard',
+                kdfCosts,
+                algorithm = DEFAULT_ALGORITHM,
+                policy,
+                format = DEFAULT_FORMAT,
+                passphrase,
+                fields,
+                onProgress
+            } = options || {};
+
+            if (typeof site !== 'string' || !site.trim()) {
+                throw new Error('Please enter a site or app name.');
+            }
+
+            if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+                throw new Error('Please enter your master phrase.');
+            }
+
+            const secret = normalizeSecondSecret(secondSecret);
+
+            const versionNum = parseInt(version, 10);
+            if (isNaN(versionNum) || versionNum < 1) {
+                throw new Error('Version must be 1 or greater.');
+            }
+
+            const formatEntry = getOutputFormat(format);
+            if (format !== 'password' && policy) {
+                throw new Error('Site rules apply to passwords only.');
+            }
+
+            // Checked before the slow KDF runs
+            const passphraseOptions = format === 'passphrase' ? normalizePassphraseOptions(passphrase) : null;
+            const outputLength = length === undefined && formatEntry.length ? formatEntry.length.default : length;
+
+            if (format === 'password' && (!Number.isInteger(outputLength) || outputLength < 1)) {
+                throw new Error('Length must be a positive integer.');
+            }
+
+            if (formatEntry.alphabets && (!Number.isInteger(outputLength) ||
+                outputLength < formatEntry.length.min || outputLength > formatEntry.length.max)) {
+                throw new Error(formatEntry.label + ' length must be between ' + formatEntry.length.min + ' and ' + formatEntry.length.max + '.');
+            }
+
+            if (policy && (outputLength < policy.minLength || outputLength > policy.maxLength)) {
+                throw new Error('This site needs a length between ' + policy.minLength + ' and ' + policy.maxLength + '.');
+            }
+
+            const level = resolveSecurityLevel(securityLevel, kdfCosts);
+            const algorithmEntry = getAlgorithm(algorithm);
+            const normalizationEntry = getNormalization(normalization);
+            const siteAliases = normalizeAliases(aliases);
+            const normalizedAccount = normalizeAccount(account);
+            const normalizedIdentity = normalizeIdentity(identity);
+            const fieldList = (fields || []).map(normalizeField);
+
+            // Progress runs once over the password and its fields
+            const runs = 1 + fieldList.length;
+            const progressOf = run => onProgress ? fraction => onProgress((run + fraction) / runs) : undefined;
+
+            // Normalize site, then resolve its alias
+            const alias = resolveSiteAlias(normalizationEntry.normalize(site), normalizationEntry.id, siteAliases);
+            const normalizedSite = alias.site;
+
+            // Construct salt with domain separation
+            const salt = buildSalt(normalizedSite, version, algorithm, {
+                account: normalizedAccount,
+                identity: normalizedIdentity,
+                kdf: kdfSaltTag(level),
+                format: formatEntry.saltTag,
+                normalize: normalizationEntry.saltTag
+            });
+
+            // Derive bytes with the level's KDF from the hardened phrase (hardened on import)
+            const phraseKey = await mixSecondSecret(await resolvePhraseKey(phrase), secret);
+            const derivedBytes = await deriveLevelBytes(phraseKey, salt, level, progressOf(0));
+
+            let result;
+            if (passphraseOptions) {
+                const generated = await generatePassphraseFromBytes(derivedBytes, passphraseOptions);
+                result = {
+                    password: generated.passphrase,
+                    normalizedSite,
+                    algorithm: algorithmEntry.id,
+                    entropyBits: estimatePassphraseEntropy(passphraseOptions, generated.words)
+                };
+            } else if (formatEntry.alphabets) {
+                result = {
+                    password: await generateFormatFromBytes(derivedBytes, format, outputLength),
+                    normalizedSite,
+                    algorithm: algorithmEntry.id,
+                    entropyBits: formatEntropy(format, outputLength)
+                };
+            } else {
+                // Generate password from derived bytes
+                const poolOptions = policy ? applyPolicyToCharsets(charsets, policy) : resolveCharsets(charsets);
+                const password = await algorithmEntry.generate(derivedBytes, outputLength, poolOptions);
+
+                // Generation follows every rule; this catches character settings that
+                // leave a rule nothing to work with. Never hand out a password the site would reject
+                const violations = policy ? checkPolicy(password, policy) : [];
+                if (violations.length) {
+                    throw new Error('Password breaks the site policy (' + violations.join('; ') +
+                        '). Change the character options or the site rules.');
+                }
+
+                result = { password, normalizedSite, algorithm: algorithmEntry.id };
+            }
+
+            if (alias.aliasOf) result.aliasOf = alias.aliasOf;
+            if (normalizedAccount) result.account = normalizedAccount;
+            if (normalizedIdentity) result.identity = normalizedIdentity;
+
+            // Extra fields: the password's salt without its version, format and algorithm
+            if (fieldList.length) {
+                result.fields = [];
+                for (const [index, field] of fieldList.entries()) {
+                    const fieldSalt = buildSalt(normalizedSite, field.version, DEFAULT_ALGORITHM, {
+                        account: normalizedAccount,
+                        identity: normalizedIdentity,
+                        kdf: kdfSaltTag(level),
+                        normalize: normalizationEntry.saltTag,
+                        purpose: field.purpose
+                    });
+                    const fieldBytes = await deriveLevelBytes(phraseKey, fieldSalt, level, progressOf(index + 1));
+
+                    const entry = { kind: field.kind };
+                    if (field.question !== undefined) entry.question = field.question;
+                    entry.version = field.version;
+                    entry.value = await generateFieldFromBytes(fieldBytes, field.kind);
+                    entry.entropyBits = fieldEntropy(field.kind);
+                    result.fields.push(entry);
+                }
+            }
+
+            return result;
+        }
+
+        return Object.freeze({
+            buildSalt,
+            getIterations,
+            derivePassword
+        });
+    })();
+
+    // ---- core/profiles.mjs ----
+    const __core_profiles = (function () {
+        /**
+         * Password Mint Core - Site Profiles
+         *
+         * A profile remembers the non-secret settings of one site (version, length,
+         * character sets, security level, algorithm, policy override, output format,
+         * passphrase options, site normalization and the extra fields it uses, with
+         * their security questions), keyed by its normalized name
+         * under that normalization, after site aliases (aliases.mjs) are resolved.
+         * A profile for one account or identity (identities.mjs) adds them to the
+         * key, so each keeps its own version and settings on a shared site.
+         * The store also holds the user's own aliases, so they travel with the
+         * profiles in an export.
+         * Profiles are built from an explicit list of fields, so a master phrase or
+         * password passed in by mistake is never copied into one.
+         */
+
+        const { LENGTH_RANGE, DEFAULT_CHARSETS } = __core_config;
+        const { NORMALIZATIONS, DEFAULT_NORMALIZATION, getNormalization, normalizeSite, normalizeAccount, normalizeIdentity } = __core_normalize;
+        const { resolveSecurityLevel } = __core_levels;
+        const { DEFAULT_ALGORITHM, getAlgorithm } = __core_algorithms;
+        const { resolveCharsets } = __core_generate;
+        const { POLICY_CLASSES, normalizePolicy } = __core_policies;
+        const { normalizePassphraseOptions } = __core_passphrase;
+        const { DEFAULT_FORMAT, getOutputFormat } = __core_formats;
+        const { normalizeAliases, resolveSiteAlias } = __core_aliases;
+        const { normalizeField } = __core_fields;
+
+        const STORE_FORMAT = 'password-mint-profiles';
+        const STORE_VERSION = 1;
+
+        /**
+         * Get the key a profile is stored under. A site without an account or
+         * identity keeps the plain site as its key, as profiles had before them;
+         * otherwise they are added like salt tags ("::name=value", URI-encoded).
+         *
+         * @param {Object} profile - Profile, or { site, account?, identity? } already normalized
+         * @returns {string} - Profile key
+         */
+        function profileKey(profile) {
+            let key = profile.site;
+            if (profile.account) key += '::account=' + encodeURIComponent(profile.account);
+            if (profile.identity) key += '::identity=' + encodeURIComponent(profile.identity);
+            return key;
+        }
+
+        /**
+         * Validate settings for an already-normalized site.
+         *
+         * @param {string} normalizedSite - Site the profile is for
+         * @param {Object} settings - As for createProfile()
+         * @param {Date|string|number} [rotatedAt] - When this version was first used (defaults to now)
+         * @returns {Object} - The profile
+         */
+        function buildProfile(normalizedSite, settings, rotatedAt) {
+            const {
+                version = 1,
+                length,
+                charsets,
+                securityLevel = 'standard',
+                kdfCosts,
+                algorithm = DEFAULT_ALGORITHM,
+                policy,
+                format = DEFAULT_FORMAT,
+                passphrase,
+                normalization = DEFAULT_NORMALIZATION,
+                fields,
+                account,
+                identity
+            } = settings || {};
+            const formatEntry = getOutputFormat(format);
+            const normalizationEntry = getNormalization(normalization);
+
+            if (typeof normalizedSite !== 'string' || !normalizedSite) {
+                throw new Error('Profile needs a site name.');
+            }
+
+            const versionNum = parseInt(version, 10);
+            if (isNaN(versionNum) || versionNum < 1) {
+                throw new Error('Version must be 1 or greater.');
+            }
+
+            // Sites with a policy may need passwords shorter than the form's usual minimum;
+            // PINs, keys and pronounceable passwords have their own ranges
+            const range = formatEntry.alphabets ? formatEntry.length : { min: LENGTH_RANGE.policyMin, max: LENGTH_RANGE.max };
+            const profileLength = length === undefined ? (formatEntry.alphabets ? range.default : LENGTH_RANGE.default) : length;
+            if (!Number.isInteger(profileLength) || profileLength < range.min || profileLength > range.max) {
+                throw new Error('Length must be between ' + range.min + ' and ' + range.max + '.');
+            }
+
+            const profileCharsets = {};
+            for (const name of Object.keys(DEFAULT_CHARSETS)) {
+                profileCharsets[name] = charsets && typeof charsets[name] === 'boolean' ? charsets[name] : DEFAULT_CHARSETS[name];
+            }
+
+            // Custom symbols, exclusions and minimum counts only when set
+            const custom = resolveCharsets(charsets);
+            if (custom.symbolChars) profileCharsets.symbolChars = custom.symbolChars;
+            if (custom.excludeChars) profileCharsets.excludeChars = custom.excludeChars;
+            const minTypes = POLICY_CLASSES.filter(type => custom.minCounts && custom.minCounts[type] !== undefined);
+            if (minTypes.length) {
+                profileCharsets.minCounts = {};
+                minTypes.forEach(type => { profileCharsets.minCounts[type] = custom.minCounts[type]; });
+            }
+
+            const level = resolveSecurityLevel(securityLevel, kdfCosts);
+            const date = new Date(rotatedAt === undefined ? Date.now() : rotatedAt);
+            if (isNaN(date.getTime())) {
+                throw new Error('Invalid rotation date: ' + rotatedAt);
+            }
+
+            const profile = { site: normalizedSite };
+            const normalizedAccount = normalizeAccount(account);
+            const normalizedIdentity = normalizeIdentity(identity);
+            if (normalizedAccount) profile.account = normalizedAccount;
+            if (normalizedIdentity) profile.identity = normalizedIdentity;
+            Object.assign(profile, {
+                version: String(version),
+                length: profileLength,
+                charsets: profileCharsets,
+                securityLevel: level.id,
+                algorithm: getAlgorithm(algorithm).id,
+                rotatedAt: date.toISOString()
+            });
+            if (level.kdf !== 'pbkdf2') {
+                profile.kdfCosts = { memoryMiB: level.memoryMiB, timeCost: level.timeCost };
+            }
+            // Rules turned on for the site; null turns off any others (bundled rules never apply unasked)
+            if (policy !== undefined) {
+                profile.policy = policy === null ? null : normalizePolicy(policy);
+            }
+            // Passwords keep the original profile shape
+            if (formatEntry.id !== DEFAULT_FORMAT) {
+                profile.format = formatEntry.id;
+            }
+            if (formatEntry.id === 'passphrase') {
+                profile.passphrase = normalizePassphraseOptions(passphrase);
+            }
+            if (normalizationEntry.id !== DEFAULT_NORMALIZATION) {
+                profile.normalization = normalizationEntry.id;
+            }
+            if (fields !== undefined && !Array.isArray(fields)) {
+                throw new Error('Extra fields must be a list.');
+            }
+            if (fields && fields.length) {
+                profile.fields = fields.map(field => {
+                    const normalized = normalizeField(field);
+                    const stored = { kind: normalized.kind };
+                    if (normalized.question !== undefined) stored.question = normalized.question;
+                    if (normalized.version !== '1') stored.version = normalized.version;
+                    return stored;
+                });
+            }
+            return profile;
+        }
+
+        /**
+         * Build a validated profile from derivation settings.
+         *
+         * @param {Object} settings - Same shape as the derivePassword() options; phrase is ignored
+         * @param {string} settings.site - Raw site or URL (normalized and alias-resolved here)
+         * @param {Object<string, string|null>} [settings.aliases] - User site aliases (see normalizeAliases())
+         * @param {string} [settings.account] - Username or email the profile is for; none for the whole site
+         * @param {string} [settings.identity] - Identity name the profile is for; none for the default identity
+         * @param {string|number} [settings.version=1] - Rotation counter, kept exactly as given
+         * @param {Date|string|number} [rotatedAt] - When this version was first used (defaults to now)
+         * @returns {Object} - { site, account?, identity?, version, length, charsets, securityLevel, kdfCosts?, algorithm, policy?, format?, passphrase?, normalization?, fields?, rotatedAt }
+         */
+        function createProfile(settings, rotatedAt) {
+            const site = settings && settings.site;
+            const normalization = (settings && settings.normalization) || DEFAULT_NORMALIZATION;
+            const normalizedSite = typeof site === 'string'
+                ? resolveSiteAlias(normalizeSite(site, normalization), normalization, settings.aliases).site
+                : '';
+            return buildProfile(normalizedSite, settings, rotatedAt);
+        }
+
+        /**
+         * Find the profile for a site as typed, under one account and identity.
+         * Each profile is keyed by the site under its own normalization, so every
+         * version is tried; the newest version that matches a profile wins.
+         *
+         * @param {Object<string, Object>} profiles - Profiles keyed by profileKey()
+         * @param {string} site - Raw site or URL
+         * @param {Object<string, string|null>} [aliases] - User site aliases
+         * @param {string} [account] - Username or email as typed; none for the whole site
+         * @param {string} [identity] - Identity name; none for the default identity
+         * @returns {Object|undefined} - The profile, if one matches
+         */
+        function findProfile(profiles, site, aliases, account, identity) {
+            if (!site.trim()) return undefined;
+
+            const owner = { account: normalizeAccount(account), identity: normalizeIdentity(identity) };
+            for (const id of Object.keys(NORMALIZATIONS).reverse()) {
+                const normalizedSite = resolveSiteAlias(normalizeSite(site, id), id, aliases).site;
+                const profile = profiles[profileKey(Object.assign({ site: normalizedSite }, owner))];
+                if (profile && (profile.normalization || DEFAULT_NORMALIZATION) === id) {
+                    return profile;
+                }
+            }
+            return undefined;
+        }
+
+        /**
+         * Add or update the profile for a site (and account and identity). The
+         * rotation date moves only when the profile is new or its version changed.
+         *
+         * @param {Object<string, Object>} profiles - Profiles keyed by profileKey()
+         * @param {Object} settings - As for createProfile()
+         * @param {Date} [now] - Current time
+         * @returns {Object<string, Object>} - A new profiles object
+         */
+        function saveProfile(profiles, settings, now = new Date()) {
+            const profile = createProfile(settings, now);
+            const key = profileKey(profile);
+            const previous = profiles[key];
+
+            if (previous && previous.version === profile.version) {
+                profile.rotatedAt = previous.rotatedAt;
+            }
+
+            const updated = Object.assign(Object.create(null), profiles);
+            updated[key] = profile;
+            return updated;
+        }
+
+        /**
+         * Parse stored profiles. Entries that fail validation are dropped rather
+         * than breaking the page.
+         *
+         * @param {string|null} text - Output of serializeProfiles(), or null when nothing is stored
+         * @returns {Object<string, Object>} - Profiles keyed by profileKey()
+         */
+        function parseProfiles(text) {
+            // No prototype, so a site named "__proto__" is an ordinary key
+            const profiles = Object.create(null);
+            if (!text) return profiles;
+
+            let store;
+            try {
+                store = JSON.parse(text);
+            } catch (error) {
+                return profiles;
+            }
+            if (!store || store.format !== STORE_FORMAT || !Array.isArray(store.profiles)) {
+                return profiles;
+            }
+
+            for (const entry of store.profiles) {
+                try {
+                    // Stored sites are already normalized; normalizing twice could change them
+                    const profile = buildProfile(entry.site, entry, entry.rotatedAt);
+                    profiles[profileKey(profile)] = profile;
+                } catch (error) {
+                    // Skip entries a future or damaged store wrote
+                }
+            }
+            return profiles;
+        }
+
+        /**
+         * Parse the user's site aliases from stored profiles. Aliases that fail
+         * validation are dropped as a whole, since they only make sense together.
+         *
+         * @param {string|null} text - Output of serializeProfiles(), or null when nothing is stored
+         * @returns {Object<string, string|null>} - Site aliases (see normalizeAliases())
+         */
+        function parseAliases(text) {
+            try {
+                const store = JSON.parse(text);
+                if (store && store.format === STORE_FORMAT) {
+                    return normalizeAliases(store.aliases);
+                }
+            } catch (error) {
+                // Nothing usable stored
+            }
+            return normalizeAliases();
+        }
+
+        /**
+         * Serialize profiles for storage, sorted by key.
+         *
+         * @param {Object<string, Object>} profiles - Profiles keyed by profileKey()
+         * @param {Object<string, string|null>} [aliases] - User site aliases, stored only when there are any
+         * @returns {string} - JSON text
+         */
+        function serializeProfiles(profiles, aliases) {
+            const keys = Object.keys(profiles).sort();
+            const store = {
+                format: STORE_FORMAT,
+                version: STORE_VERSION,
+                profiles: keys.map(key => profiles[key])
+            };
+            const validAliases = normalizeAliases(aliases);
+            if (Object.keys(validAliases).length) {
+                store.aliases = Object.assign({}, validAliases);
+            }
+            return JSON.stringify(store);
+        }
+
+        /**
+         * Check whether two profiles hold the same settings (ignoring rotation date).
+         *
+         * @param {Object} a - Site profile
+         * @param {Object} b - Site profile
+         * @returns {boolean} - True if generating with either gives the same password
+         */
+        function sameSettings(a, b) {
+            return serializeProfiles({ x: Object.assign({}, a, { rotatedAt: '' }) }) ===
+                serializeProfiles({ x: Object.assign({}, b, { rotatedAt: '' }) });
+        }
+
+        /**
+         * Keep whichever profile has the higher version; on a tie, keep this device's.
+         *
+         * @param {Object} current - Profile on this device
+         * @param {Object} incoming - Profile being imported
+         * @returns {boolean} - True to take the incoming profile
+         */
+        function preferHigherVersion(current, incoming) {
+            return parseInt(incoming.version, 10) > parseInt(current.version, 10);
+        }
+
+        /**
+         * Merge imported profiles into the current ones. New profiles are added;
+         * for a key on both sides with different settings, `chooseIncoming`
+         * decides which profile is kept.
+         *
+         * @param {Object<string, Object>} current - Profiles on this device
+         * @param {Object<string, Object>} incoming - Profiles being imported
+         * @param {function(Object, Object): (boolean|Promise<boolean>)} [chooseIncoming=preferHigherVersion] - Conflict rule
+         * @returns {Promise<{profiles: Object<string, Object>, added: string[], replaced: string[], kept: string[]}>} - Merged profiles and what happened to each imported key
+         */
+        async function mergeProfiles(current, incoming, chooseIncoming = preferHigherVersion) {
+            const profiles = Object.assign(Object.create(null), current);
+            const summary = { profiles, added: [], replaced: [], kept: [] };
+
+            for (const site of Object.keys(incoming).sort()) {
+                const existing = profiles[site];
+
+                if (!existing) {
+                    profiles[site] = incoming[site];
+                    summary.added.push(site);
+                } else if (sameSettings(existing, incoming[site])) {
+                    summary.kept.push(site);
+                } else if (await chooseIncoming(existing, incoming[site])) {
+                    profiles[site] = incoming[site];
+                    summary.replaced.push(site);
+                } else {
+                    summary.kept.push(site);
+                }
+            }
+
+            return summary;
+        }
+
+        return Object.freeze({
+            profileKey,
+            createProfile,
+            findProfile,
+            saveProfile,
+            parseProfiles,
+            parseAliases,
+            serializeProfiles,
+            preferHigherVersion,
+            mergeProfiles
+        });
+    })();
+
+    // ---- core/batch.mjs ----
+    const __core_batch = (function () {
+        /**
+         * Password Mint Core - Batch Derivation
+         *
+         * Derives the passwords of many sites from one master phrase, for moving
+         * them into a password manager in one go (see vault-export.mjs). The list
+         * is CSV: one site per line, optionally followed by its version and
+         * account, or a header row naming any of BATCH_COLUMNS. Cells left empty
+         * take the site's saved profile, if there is one, else the batch defaults
+         * (the page's form or the CLI's options). Password entries follow the
+         * rules turned on for their site, as on the page; bundled rules apply only
+         * when asked for.
+         *
+         * The phrase is hardened, and the second secret mixed in, once for the
+         * whole list. A site that fails (a bad value, a password breaking its
+         * policy) is reported with its line and does not stop the others.
+         * Extra fields (usernames, security answers) are not derived.
+         */
+
+        const { LENGTH_RANGE } = __core_config;
+        const { DEFAULT_NORMALIZATION, normalizeSite } = __core_normalize;
+        const { isPhraseKey, resolvePhraseKey } = __core_kdf;
+        const { normalizeSecondSecret, mixSecondSecret } = __core_second_secret;
+        const { resolveSecurityLevel } = __core_levels;
+        const { DEFAULT_FORMAT, getOutputFormat } = __core_formats;
+        const { getSitePolicy } = __core_policies;
+        const { normalizeAliases, resolveSiteAlias } = __core_aliases;
+        const { findProfile } = __core_profiles;
+        const { derivePassword } = __core_derive;
+
+        const BATCH_COLUMNS = Object.freeze({
+            site: 'Site or URL (required)',
+            account: 'Username or email',
+            version: 'Rotation version',
+            length: 'Length',
+            format: 'Output format',
+            level: 'Security level',
+            memory: 'Memory cost in MiB (scrypt, argon2id)',
+            'time-cost': 'Time cost (scrypt, argon2id)',
+            algorithm: 'Algorithm version',
+            identity: 'Identity',
+            'site-names': 'Site normalization',
+            name: 'Title in the password manager (default: the site as written)',
+            url: 'Address in the password manager (default: the site, if it is a domain or URL)'
+        });
+
+        // Columns of a list without a header row
+        const PLAIN_COLUMNS = ['site', 'version', 'account'];
+
+        const BATCH_MAX_ENTRIES = 1000;
+
+        /**
+         * Split CSV text (RFC 4180: quoted values may hold commas, quotes as "" and
+         * line breaks) into records.
+         *
+         * @param {string} text - CSV text
+         * @returns {{line: number, cells: string[]}[]} - Records with the line each starts on
+         */
+        function parseCsv(text) {
+            const records = [];
+            let cells = [];
+            let cell = '';
+            let quoted = false;
+            let afterQuote = false;
+            let line = 1;
+            let start = 1;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                        afterQuote = true;
+                    } else {
+                        if (char === '\n') line++;
+                        cell += char;
+                    }
+                } else if (char === ',') {
+                    cells.push(cell);
+                    cell = '';
+                    afterQuote = false;
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    cells.push(cell);
+                    records.push({ line: start, cells });
+                    cells = [];
+                    cell = '';
+                    afterQuote = false;
+                    start = ++line;
+                } else if (afterQuote) {
+                    if (!/\s/.test(char)) {
+                        throw new Error('Line ' + line + ': only a comma can follow a closing quote.');
+                    }
+                } else if (char === '"' && !cell.trim()) {
+                    quoted = true;
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+
+            if (quoted) {
+                throw new Error('Line ' + start + ': a quoted value is never closed.');
+            }
+            if (cell || cells.length || afterQuote) {
+                cells.push(cell);
+                records.push({ line: start, cells });
+            }
+            return records;
+        }
+
+        function columnName(cell) {
+            return cell.trim().toLowerCase().replace(/[\s_]+/g, '-');
+        }
+
+        /**
+         * Read a list of sites. Blank lines and lines starting with # are skipped.
+         *
+         * @param {string} text - One site per line ("site[,version[,account]]"), or CSV with a header row naming a "site" column
+         * @returns {Object[]} - Entries: { line, site } plus the other non-empty cells, keyed by column name (see BATCH_COLUMNS)
+         */
+        function parseBatch(text) {
+            const records = parseCsv(String(text || ''))
+                .filter(record => record.cells.some(cell => cell.trim()) && !record.cells[0].trim().startsWith('#'));
+
+            let columns = PLAIN_COLUMNS;
+            let rows = records;
+            if (records.length && records[0].cells.some(cell => columnName(cell) === 'site')) {
+                columns = records[0].cells.map(columnName);
+                columns.forEach((column, index) => {
+                    if (!Object.prototype.hasOwnProperty.call(BATCH_COLUMNS, column)) {
+                        throw new Error('Line ' + records[0].line + ': unknown column "' + records[0].cells[index].trim() +
+                            '". Columns can be: ' + Object.keys(BATCH_COLUMNS).join(', ') + '.');
+                    }
+                    if (columns.indexOf(column) !== index) {
+                        throw new Error('Line ' + records[0].line + ': the column "' + column + '" appears twice.');
+                    }
+                });
+                rows = records.slice(1);
+            }
+
+            if (!rows.length) {
+                throw new Error('The list has no sites.');
+            }
+            if (rows.length > BATCH_MAX_ENTRIES) {
+                throw new Error('A list can have at most ' + BATCH_MAX_ENTRIES + ' sites.');
+            }
+
+            return rows.map(record => {
+                if (record.cells.length > columns.length) {
+                    throw new Error('Line ' + record.line + ' has ' + record.cells.length + ' values, but there are only ' +
+                        columns.length + ' columns (' + columns.join(', ') + ').');
+                }
+                const entry = { line: record.line };
+                columns.forEach((column, index) => {
+                    const value = (record.cells[index] || '').trim();
+                    if (value) entry[column] = value;
+                });
+                if (!entry.site) {
+                    throw new Error('Line ' + record.line + ' has no site.');
+                }
+                return entry;
+            });
+        }
+
+        function parseWholeNumber(value, name) {
+            if (!/^\d+$/.test(value)) {
+                throw new Error(name + ' must be a whole number, not "' + value + '".');
+            }
+            return Number(value);
+        }
+
+        /**
+         * Address to store with an entry: a URL as written, or a domain with https://.
+         *
+         * @param {string} site - Site as written in the list
+         * @returns {string} - URL, or '' for plain names like "github"
+         */
+        function siteUrl(site) {
+            if (/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(site)) return site;
+            if (/^[^\s/:@]+\.[^\s/:@]+(:\d+)?(\/\S*)?$/.test(site)) return 'https://' + site;
+            return '';
+        }
+
+        /**
+         * Settings a saved profile gives its site, in the shape of the batch defaults.
+         *
+         * @param {Object} profile - From findProfile()
+         * @returns {Object} - Settings
+         */
+        function profileSettings(profile) {
+            return {
+                normalization: profile.normalization || DEFAULT_NORMALIZATION,
+                version: profile.version,
+                length: profile.length,
+                charsets: profile.charsets,
+                securityLevel: profile.securityLevel,
+                kdfCosts: profile.kdfCosts,
+                algorithm: profile.algorithm,
+                format: profile.format || DEFAULT_FORMAT,
+                passphrase: profile.passphrase
+            };
+        }
+
+        /**
+         * Turn one entry into derivePassword() options.
+         *
+         * @param {Object} entry - From parseBatch()
+         * @param {Object} defaults - Batch defaults
+         * @param {Object<string, string|null>} aliases - Normalized site aliases
+         * @param {Object<string, Object>} [profiles] - Saved site profiles
+         * @param {Object<string, Object|null>|false} [policies] - Policy overrides, or false to ignore policies
+         * @param {boolean} [knownPolicies] - Fall back to the bundled policies
+         * @returns {Object} - Options, without the phrase
+         */
+        function resolveEntry(entry, defaults, aliases, profiles, policies, knownPolicies) {
+            const account = entry.account !== undefined ? entry.account : defaults.account;
+            const identity = entry.identity !== undefined ? entry.identity : defaults.identity;
+            const profile = profiles ? findProfile(profiles, entry.site, aliases, account, identity) : undefined;
+            const base = profile ? Object.assign({}, defaults, profileSettings(profile)) : defaults;
+            const baseFormat = base.format || DEFAULT_FORMAT;
+            const baseLevel = base.securityLevel || 'standard';
+
+            const format = getOutputFormat(entry.format || baseFormat).id;
+            const securityLevel = entry.level || baseLevel;
+            const normalization = entry['site-names'] || base.normalization || DEFAULT_NORMALIZATION;
+            const site = resolveSiteAlias(normalizeSite(entry.site, normalization), normalization, aliases).site;
+
+            const version = entry.version || String(base.version || 1);
+            if (parseWholeNumber(version, 'Version') < 1) {
+                throw new Error('Version must be 1 or greater.');
+            }
+
+            // Costs belong to the level they were chosen for
+            let kdfCosts = securityLevel === baseLevel ? base.kdfCosts : undefined;
+            if (entry.memory || entry['time-cost']) {
+                kdfCosts = Object.assign({}, kdfCosts);
+                if (entry.memory) kdfCosts.memoryMiB = parseWholeNumber(entry.memory, 'Memory cost');
+                if (entry['time-cost']) kdfCosts.timeCost = parseWholeNumber(entry['time-cost'], 'Time cost');
+            }
+
+            // A profile's own rules (or none) win over the others
+            let policy = null;
+            if (format === DEFAULT_FORMAT) {
+                if (profile && profile.policy !== undefined) {
+                    policy = profile.policy;
+                } else if (policies !== false) {
+                    policy = getSitePolicy(site, policies || undefined, knownPolicies);
+                }
+            }
+
+            // Like the page's slider, a length not written in the list fits the site's rules
+            let length = entry.length ? parseWholeNumber(entry.length, 'Length') : format === baseFormat ? base.length : undefined;
+            if (format === DEFAULT_FORMAT && !entry.length) {
+                const min = policy ? policy.minLength : LENGTH_RANGE.min;
+                const max = policy ? policy.maxLength : LENGTH_RANGE.max;
+                length = Math.min(Math.max(length === undefined ? LENGTH_RANGE.default : length, min), max);
+            }
+
+            return {
+                site: entry.site,
+                normalization,
+                account,
+                identity,
+                version,
+                length,
+                charsets: base.charsets,
+                securityLevel,
+                kdfCosts,
+                algorithm: entry.algorithm || base.algorithm,
+                policy: policy || undefined,
+                format,
+                passphrase: format === 'passphrase' && baseFormat === 'passphrase' ? base.passphrase : undefined
+            };
+        }
+
+        /**
+         * Derive the password of every entry in a list.
+         *
+         * @param {Object} options - Batch inputs
+         * @param {string|CryptoKey} options.phrase - Raw master phrase, or a key from importMasterPhrase()
+         * @param {Uint8Array} [options.secondSecret] - Keyfile bytes or a decoded recovery code (see mixSecondSecret())
+         * @param {Object[]} options.entries - From parseBatch()
+         * @param {Object} [options.defaults] - Settings for cells left empty, in the shape of the derivePassword() options (normalization, aliases, account, identity, version, length, charsets, securityLevel, kdfCosts, algorithm, format, passphrase)
+         * @param {Object<string, Object>} [options.profiles] - Saved site profiles; a listed site with one for its account and identity uses its settings instead of the defaults
+         * @param {Object<string, Object|null>|false} [options.policies] - Policy overrides keyed by normalized site (see getSitePolicy()), or false to ignore site policies
+         * @param {boolean} [options.knownPolicies=false] - Use the bundled policy of sites without an override or profile rules
+         * @param {function(number)} [options.onProgress] - Progress (0-1) over the whole list
+         * @returns {Promise<{entries: Object[], errors: {line: number, site: string, message: string}[]}>} - For each site derived, in list order:
+         *   { line, title, url, site, aliasOf?, account, identity?, version, format, securityLevel, kdfCosts?, algorithm, normalization, password }
+         */
+        async function deriveBatch(options) {
+            const {
+                phrase,
+                secondSecret,
+                entries,
+                defaults = {},
+                profiles,
+                policies,
+                knownPolicies = false,
+                onProgress
+            } = options || {};
+
+            if (!Array.isArray(entries) || !entries.length) {
+                throw new Error('The list has no sites.');
+            }
+            if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+                throw new Error('Please enter your master phrase.');
+            }
+
+            const aliases = normalizeAliases(defaults.aliases);
+            const phraseKey = await mixSecondSecret(await resolvePhraseKey(phrase), normalizeSecondSecret(secondSecret));
+
+            const results = [];
+            const errors = [];
+            for (const [index, entry] of entries.entries()) {
+                try {
+                    const settings = resolveEntry(entry, defaults, aliases, profiles, policies, knownPolicies);
+                    const derived = await derivePassword(Object.assign({}, settings, {
+                        phrase: phraseKey,
+                        aliases,
+                        onProgress: onProgress ? fraction => onProgress((index + fraction) / entries.length) : undefined
+                    }));
+
+                    const result = {
+                        line: entry.line,
+                        title: entry.name || entry.site,
+                        url: entry.url || siteUrl(entry.site),
+                        site: derived.normalizedSite
+                    };
+                    if (derived.aliasOf) result.aliasOf = derived.aliasOf;
+                    result.account = derived.account || '';
+                    if (derived.identity) result.identity = derived.identity;
+                    result.version = settings.version;
+                    result.format = settings.format;
+                    result.securityLevel = settings.securityLevel;
+                    const level = resolveSecurityLevel(settings.securityLevel, settings.kdfCosts);
+                    if (level.kdf !== 'pbkdf2') result.kdfCosts = { memoryMiB: level.memoryMiB, timeCost: level.timeCost };
+                    result.algorithm = derived.algorithm;
+                    result.normalization = settings.normalization;
+                    result.password = derived.password;
+                    results.push(result);
+                } catch (error) {
+                    errors.push({ line: entry.line, site: entry.site, message: error.message });
+                }
+                if (onProgress) onProgress((index + 1) / entries.length);
+            }
+
+            return { entries: results, errors };
+        }
+
+        return Object.freeze({
+            BATCH_COLUMNS,
+            BATCH_MAX_ENTRIES,
+            parseBatch,
+            deriveBatch
+        });
+    })();
+
+    // ---- core/vault-export.mjs ----
+    const __core_vault_export = (function () {
+        /**
+         * Password Mint Core - Password Manager Export
+         *
+         * Writes the results of deriveBatch() in the import formats of password
+         * managers, so a vault can be seeded from Password Mint:
+         *   bitwarden-csv   Bitwarden CSV (login items)
+         *   bitwarden-json  Bitwarden unencrypted JSON export
+         *   keepass-xml     KeePass 2 XML, one group of entries
+         *   1password-csv   CSV with Title, Website, Username, Password and Notes
+         *
+         * Every file holds the passwords in plain text. Each entry's notes record
+         * what derived it (site, version, level and so on), so the password can be
+         * derived again after a rotation. CSV values are always quoted; the notes
+         * also get a quote mark if a spreadsheet would read them as a formula (see
+         * csvValue()).
+         */
+
+        const { DEFAULT_FORMAT } = __core_formats;
+        const { DEFAULT_NORMALIZATION } = __core_normalize;
+        const { DEFAULT_ALGORITHM } = __core_algorithms;
+
+        const EXPORT_FORMATS = Object.freeze({
+            'bitwarden-csv': Object.freeze({
+                id: 'bitwarden-csv',
+                label: 'Bitwarden (CSV)',
+                extension: 'csv',
+                mimeType: 'text/csv'
+            }),
+            'bitwarden-json': Object.freeze({
+                id: 'bitwarden-json',
+                label: 'Bitwarden (JSON)',
+                extension: 'json',
+                mimeType: 'application/json'
+            }),
+            'keepass-xml': Object.freeze({
+                id: 'keepass-xml',
+                label: 'KeePass 2 (XML)',
+                extension: 'xml',
+                mimeType: 'application/xml'
+            }),
+            '1password-csv': Object.freeze({
+                id: '1password-csv',
+                label: '1Password (CSV)',
+                extension: 'csv',
+                mimeType: 'text/csv'
+            })
+        });
+
+        const GROUP_NAME = 'Password Mint';
+
+        /**
+         * Look up an export format.
+         *
+         * @param {string} id - Format id, e.g. "keepass-xml"
+         * @returns {Object} - Registry entry
+         */
+        function getExportFormat(id) {
+            if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, id)) {
+                throw new Error('Export format must be one of: ' + Object.keys(EXPORT_FORMATS).join(', '));
+            }
+            return EXPORT_FORMATS[id];
+        }
+
+        /**
+         * Describe how an entry was derived, for its notes.
+         *
+         * @param {Object} entry - From deriveBatch()
+         * @returns {string} - e.g. "Password Mint: github, version 2, security level standard"
+         */
+        function describeBatchEntry(entry) {
+            const parts = [entry.site + (entry.aliasOf ? ' (alias of ' + entry.aliasOf + ')' : ''), 'version ' + entry.version];
+            if (entry.account) parts.push('account ' + entry.account);
+            if (entry.identity) parts.push('identity ' + entry.identity);
+            if (entry.format !== DEFAULT_FORMAT) parts.push('format ' + entry.format);
+            parts.push('security level ' + entry.securityLevel +
+                (entry.kdfCosts ? ' (' + entry.kdfCosts.memoryMiB + ' MiB, time cost ' + entry.kdfCosts.timeCost + ')' : ''));
+            if (entry.algorithm !== DEFAULT_ALGORITHM) parts.push('algorithm ' + entry.algorithm);
+            if (entry.normalization !== DEFAULT_NORMALIZATION) parts.push('site names ' + entry.normalization);
+            return 'Password Mint: ' + parts.join(', ');
+        }
+
+        // Cells starting like this run as formulas when the file is opened in a spreadsheet
+        const FORMULA_START = /^[=+\-@\t\r]/;
+
+        // A leading ' keeps such a cell text. Only the notes are guarded: the
+        // password manager imports the title, address, username and password as
+        // they are, so the quote would end up in the vault entry.
+        function csvValue(value, guard) {
+            let text = String(value);
+            if (guard && FORMULA_START.test(text)) {
+                text = "'" + text;
+            }
+            return '"' + text.replace(/"/g, '""') + '"';
+        }
+
+        function csv(rows, notesColumn) {
+            return rows.map(row => row.map((value, column) => csvValue(value, column === notesColumn)).join(',')).join('\r\n') + '\r\n';
+        }
+
+        // XML 1.0 cannot hold most control characters, even escaped
+        function xmlText(value) {
+            return String(value)
+                .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        function bytesToBase64(bytes) {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+            return btoa(binary);
+        }
+
+        function bitwardenCsv(entries) {
+            const header = ['folder', 'favorite', 'type', 'name', 'notes', 'fields', 'reprompt', 'login_uri', 'login_username', 'login_password', 'login_totp'];
+            return csv([header].concat(entries.map(entry =>
+                ['', '', 'login', entry.title, describeBatchEntry(entry), '', '0', entry.url, entry.account, entry.password, ''])),
+            header.indexOf('notes'));
+        }
+
+        function bitwardenJson(entries) {
+            return JSON.stringify({
+                encrypted: false,
+                folders: [],
+                items: entries.map(entry => ({
+                    type: 1,
+                    name: entry.title,
+                    notes: describeBatchEntry(entry),
+                    favorite: false,
+                    reprompt: 0,
+                    login: {
+                        uris: entry.url ? [{ match: null, uri: entry.url }] : [],
+                        username: entry.account || null,
+                        password: entry.password,
+                        totp: null
+                    }
+                }))
+            }, null, 2) + '\n';
+        }
+
+        function keepassXml(entries, random) {
+            const uuid = () => bytesToBase64(random(16));
+            const string = (key, value, protect) => '\t\t\t\t<String><Key>' + key + '</Key><Value' +
+                (protect ? ' ProtectInMemory="True"' : '') + '>' + xmlText(value) + '</Value></String>';
+
+            const lines = [
+                '<?xml version="1.0" encoding="utf-8" standalone="yes"?>',
+                '<KeePassFile>',
+                '\t<Meta>',
+                '\t\t<Generator>' + GROUP_NAME + '</Generator>',
+                '\t</Meta>',
+                '\t<Root>',
+                '\t\t<Group>',
+                '\t\t\t<UUID>' + uuid() + '</UUID>',
+                '\t\t\t<Name>' + GROUP_NAME + '</Name>'
+            ];
+            for (const entry of entries) {
+                lines.push(
+                    '\t\t\t<Entry>',
+                    '\t\t\t\t<UUID>' + uuid() + '</UUID>',
+                    string('Title', entry.title),
+                    string('UserName', entry.account),
+                    string('Password', entry.password, true),
+                    string('URL', entry.url),
+                    string('Notes', describeBatchEntry(entry)),
+                    '\t\t\t</Entry>'
+                );
+            }
+            lines.push('\t\t</Group>', '\t</Root>', '</KeePassFile>');
+            return lines.join('\n') + '\n';
+        }
+
+        function onePasswordCsv(entries) {
+            const header = ['Title', 'Website', 'Username', 'Password', 'Notes'];
+            return csv([header].concat(entries.map(entry =>
+                [entry.title, entry.url, entry.account, entry.password, describeBatchEntry(entry)])),
+            header.indexOf('Notes'));
+        }
+
+        /**
+         * Write derived entries in a password manager's import format.
+         *
+         * @param {Object[]} entries - The entries of deriveBatch()
+         * @param {string} format - Key of EXPORT_FORMATS
+         * @param {function(number): Uint8Array} [random] - Returns that many random bytes, for KeePass UUIDs; defaults to crypto.getRandomValues()
+         * @returns {string} - File contents
+         */
+        function exportBatch(entries, format, random) {
+            const id = getExportFormat(format).id;
+            if (!Array.isArray(entries) || !entries.length) {
+                throw new Error('There are no passwords to export.');
+            }
+
+            if (id === 'bitwarden-csv') return bitwardenCsv(entries);
+            if (id === 'bitwarden-json') return bitwardenJson(entries);
+            if (id === 'keepass-xml') {
+                return keepassXml(entries, random || (length => globalThis.crypto.getRandomValues(new Uint8Array(length))));
+            }
+            return onePasswordCsv(entries);
+        }
+
+        return Object.freeze({
+            EXPORT_FORMATS,
+            getExportFormat,
+            describeBatchEntry,
+            exportBatch
+        });
+    })();
+
+    // ---- core/selftest.mjs ----
+    const __core_selftest = (function () {
+        /**
+         * Password Mint Core - Known-Answer Self-Test
+         *
+         * Every password a user owns depends on normalizeSite, hardenPhrase and
+         * generatePasswordFromBytes never changing behavior. These vectors were
+         * recorded from the original web page and must never be edited to make a
+         * failing run pass: a failure means derivation drifted (a code change or a
+         * WebCrypto quirk), and generating in that state would hand out wrong passwords.
+         *
+         * Vectors without an `algorithm` exercise the default (v1). Each newer
+         * algorithm version has its own vectors, frozen when it was released, and
+         * so does each output format (and the passphrase word list), each extra
+         * field kind, the phrase fingerprint, the keyfile mixing and recovery code
+         * format, the recovery kit share format, and each site normalization version
+         * (and the Public Suffix List snapshot and bundled site aliases v2 uses).
+         * The full suite also checks that a batch export derives the same password.
+         * The memory-hard KDFs are checked against their RFC test vectors and, in
+         * the full suite, through derivePassword with small costs.
+         *
+         * Note: several hardened phrases below contain the text "undefined". That
+         * comes from a signed right shift in hardenPhrase's suffix step. It is part
+         * of the v1 behavior that existing passwords depend on, so it is frozen here.
+         */
+
+        const { normalizeSite, hardenPhrase, stringToBytes } = __core_normalize;
+        const { generatePasswordFromBytes } = __core_generate;
+        const { ALGORITHMS } = __core_algorithms;
+        const { EFF_LARGE_WORDLIST } = __core_wordlist;
+        const { generatePassphraseFromBytes } = __core_passphrase;
+        const { generateFormatFromBytes } = __core_formats;
+        const { generateFieldFromBytes, normalizeQuestion } = __core_fields;
+        const { fingerprintFromBytes, derivePhraseFingerprint } = __core_fingerprint;
+        const { derivePassword } = __core_derive;
+        const { resolveSiteAlias } = __core_aliases;
+        const { normalizePolicy, getSitePolicy } = __core_policies;
+        const { importPhraseKey, importMasterPhrase } = __core_kdf;
+        const { secondSecretFingerprint, formatRecoveryCode, parseRecoveryCode } = __core_second_secret;
+        const { createRecoveryKit, combineRecoveryShares } = __core_recovery_kit;
+        const { parseBatch, deriveBatch } = __core_batch;
+        const { blake2b } = __core_blake2b;
+        const { argon2id } = __core_argon2;
+        const { scrypt } = __core_scrypt;
+
+        const ALL_SETS = { upper: true, lower: true, digits: true, symbols: true, excludeAmbiguous: true };
+
+        // Custom symbols, exclusions and minimum counts, so every custom charset field is covered
+        const CUSTOM_SETS = { upper: true, lower: true, digits: true, symbols: true, excludeAmbiguous: true, symbolChars: '!@#%^~', excludeChars: 'xyz', minCounts: { digits: 2, symbols: 3 } };
+
+        // Policy with custom symbols and a per-class cap, so the capped pool path is covered
+        const BANK_POLICY = normalizePolicy({ minLength: 8, maxLength: 12, symbols: '!@#', required: ['digits', 'symbols'], maxCounts: { digits: 1 }, rules: ['no-leading-digit'] });
+
+        // Every positional rule, so the swap that enforces them is covered
+        const POSITION_POLICY = normalizePolicy({ rules: ['no-leading-digit', 'no-leading-symbol', 'no-trailing-symbol'] });
+
+        /**
+         * Full derivation vectors: derivePassword() inputs → expected output.
+         * Vectors marked `quick` run on every page load; the rest only in the full suite.
+         */
+        const SELF_TEST_VECTORS = Object.freeze([
+            {
+                name: 'default options',
+                quick: true,
+                input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'github', password: 'KXTMH6T=25Qw.t*y' }
+            },
+            {
+                name: 'URL input normalizes to the same site',
+                input: { phrase: 'purple elephant dances tuesday', site: 'https://www.GitHub.com/login', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'github', password: 'KXTMH6T=25Qw.t*y' }
+            },
+            {
+                name: 'phrase case/spacing and version 2',
+                input: { phrase: 'Purple  Elephant dances TUESDAY ', site: 'github.com', version: '2', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'github', password: '6G5zm6_2sUnF_%=q' }
+            },
+            {
+                name: 'compound TLD, length 20',
+                input: { phrase: 'correct horse battery staple', site: 'amazon.co.uk', version: '1', length: 20, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'amazon', password: 'pjGNVPF3CroKSen*bxG*' }
+            },
+            {
+                name: 'no symbols, length 12',
+                quick: true,
+                input: { phrase: 'correct horse battery staple', site: 'mail.yahoo.com', version: '1', length: 12, charsets: { upper: true, lower: true, digits: true, symbols: false, excludeAmbiguous: true }, securityLevel: 'standard' },
+                expected: { normalizedSite: 'yahoo', password: 'oR34q3H3tq5a' }
+            },
+            {
+                name: 'high level, length 64 (byte wrap-around)',
+                input: { phrase: 'single', site: 'bank', version: '1', length: 64, charsets: ALL_SETS, securityLevel: 'high' },
+                expected: { normalizedSite: 'bank', password: '7M*!o8e7!*xP=rr@pX@T!hzZ*PxUYz*TU!ceE#78HTEeX*pXP*fxMvhc#Xx.Z=PT' }
+            },
+            {
+                name: 'ambiguous characters allowed',
+                input: { phrase: 'my iphone purchase in india', site: 'netflix', version: '1', length: 32, charsets: { upper: true, lower: true, digits: true, symbols: true, excludeAmbiguous: false }, securityLevel: 'standard' },
+                expected: { normalizedSite: 'netflix', password: 'jAb2f#V=eHy7xoX6@ig@y%XUyWTqp0P#' }
+            },
+            {
+                name: 'digits only',
+                input: { phrase: 'coffee sunset mountain bicycle', site: 'example.com.tr', version: '1', length: 12, charsets: { upper: false, lower: false, digits: true, symbols: false, excludeAmbiguous: true }, securityLevel: 'standard' },
+                expected: { normalizedSite: 'example.com', password: '678432944636' }
+            },
+            {
+                name: 'no digits, version 9999',
+                input: { phrase: 'keyboard river thirteen clouds', site: 'foo.github.io', version: '9999', length: 16, charsets: { upper: true, lower: true, digits: false, symbols: true, excludeAmbiguous: true }, securityLevel: 'standard' },
+                expected: { normalizedSite: 'foo.github', password: '?Ce%AsX#XbxBsW#j' }
+            },
+            {
+                name: 'URL with port/query/fragment, no lowercase, high level',
+                input: { phrase: 'happy penguin eats tacos', site: 'm.facebook.com:8080/path?x#y', version: '1', length: 24, charsets: { upper: true, lower: false, digits: true, symbols: true, excludeAmbiguous: true }, securityLevel: 'high' },
+                expected: { normalizedSite: 'facebook', password: 'PXAZ6M3XQQV@82DYRDU6-GXX' }
+            },
+            {
+                name: 'non-ASCII phrase, length 40',
+                input: { phrase: 'ünïcödé phrase ✓ works', site: 'bbc.co.uk', version: '1', length: 40, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'bbc', password: 'cQXttL=b-.7W?qPMPqe_e6N5xddMc7qc#4YaP.5b' }
+            },
+            {
+                name: 'no uppercase, ambiguous allowed',
+                input: { phrase: 'two words', site: 'localhost', version: '1', length: 16, charsets: { upper: false, lower: true, digits: true, symbols: true, excludeAmbiguous: false }, securityLevel: 'standard' },
+                expected: { normalizedSite: 'localhost', password: 'e2-j__m#_hv3o_=8' }
+            },
+            {
+                name: 'algorithm v2, default options',
+                quick: true,
+                input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard', algorithm: 'v2' },
+                expected: { normalizedSite: 'github', password: '*KRAdcDz@SF2Ymyo' }
+            },
+            {
+                name: 'algorithm v2, no symbols, length 12',
+                input: { phrase: 'correct horse battery staple', site: 'mail.yahoo.com', version: '1', length: 12, charsets: { upper: true, lower: true, digits: true, symbols: false, excludeAmbiguous: true }, securityLevel: 'standard', algorithm: 'v2' },
+                expected: { normalizedSite: 'yahoo', password: 'B33KVmqSZmUZ' }
+            },
+            {
+                name: 'algorithm v2, high level, length 64 (HKDF extension)',
+                input: { phrase: 'single', site: 'bank', version: '1', length: 64, charsets: ALL_SETS, securityLevel: 'high', algorithm: 'v2' },
+                expected: { normalizedSite: 'bank', password: '8o$owK4egGjjcD37q@.CC6QEN=R8NfMJ9jy=-z5a8S#y7kVwUeMNmx%4np+-u!ai' }
+            },
+            {
+                name: 'scrypt level, 8 MiB',
+                input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'scrypt', kdfCosts: { memoryMiB: 8, timeCost: 1 } },
+                expected: { normalizedSite: 'github', password: '_HYGF3xegc6QY7th' }
+            },
+            {
+                name: 'argon2id level, 8 MiB',
+                input: { phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'argon2id', kdfCosts: { memoryMiB: 8, timeCost: 1 } },
+                expected: { normalizedSite: 'github', password: 'wQaV?8.u!jdrp4hj' }
+            },
+            {
+                name: 'scrypt level, p = 2, algorithm v2',
+                input: { phrase: 'correct horse battery staple', site: 'amazon.co.uk', version: '3', length: 20, charsets: ALL_SETS, securityLevel: 'scrypt', kdfCosts: { memoryMiB: 8, timeCost: 2 }, algorithm: 'v2' },
+                expected: { normalizedSite: 'amazon', password: 'c5Z*X8MsA.b@@pFH6zM3' }
+            },
+            {
+                name: 'argon2id level, t = 2, algorithm v2',
+                input: { phrase: 'correct horse battery staple', site: 'amazon.co.uk', version: '3', length: 20, charsets: ALL_SETS, securityLevel: 'argon2id', kdfCosts: { memoryMiB: 8, timeCost: 2 }, algorithm: 'v2' },
+                expected: { normalizedSite: 'amazon', password: 'y6QMhp!G6ZQEs9.#CgLS' }
+            },
+            {
+                name: 'site policy: symbols !@#, at most 1 digit',
+                input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '1', length: 12, charsets: ALL_SETS, securityLevel: 'standard', policy: BANK_POLICY },
+                expected: { normalizedSite: 'mybank', password: '#tXHN7UHXezq' }
+            },
+            {
+                name: 'site policy: symbols !@#, at most 1 digit, algorithm v2',
+                input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '1', length: 12, charsets: ALL_SETS, securityLevel: 'standard', algorithm: 'v2', policy: BANK_POLICY },
+                expected: { normalizedSite: 'mybank', password: 'dAsbse#NLgP4' }
+            },
+            {
+                name: 'site policy: positional rules enforced by a swap',
+                input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '1', length: 12, charsets: ALL_SETS, securityLevel: 'standard', policy: POSITION_POLICY },
+                expected: { normalizedSite: 'mybank', password: 'TtXCX7o+=-#j' }
+            },
+            {
+                name: 'site policy: positional rules enforced by a swap, algorithm v2',
+                input: { phrase: 'correct horse battery staple', site: 'mybank.com', version: '2', length: 12, charsets: ALL_SETS, securityLevel: 'standard', algorithm: 'v2', policy: POSITION_POLICY },
+                expected: { normalizedSite: 'mybank', password: 'pM%VXU4o+#i4' }
+            },
+            {
+                // Bundled rules are opt-in: without them a site keeps its original password
+                name: 'site with bundled rules, not turned on',
+                input: { phrase: 'correct horse battery staple', site: 'chase.com', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard', policy: getSitePolicy('chase') || undefined },
+                expected: { normalizedSite: 'chase', password: '8yF3Ghk9G9uYRKA_' }
+            },
+            {
+                name: 'custom symbols, exclusions and minimum counts',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', length: 14, charsets: CUSTOM_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'example', password: 'WA98^crN@Z~8@q' }
+            },
+            {
+                name: 'custom symbols, exclusions and minimum counts, algorithm v2',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', length: 14, charsets: CUSTOM_SETS, securityLevel: 'standard', algorithm: 'v2' },
+                expected: { normalizedSite: 'example', password: 'j#F8PT~7^9D#b^' }
+            },
+            {
+                name: 'passphrase, default options',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', format: 'passphrase' },
+                expected: { normalizedSite: 'example', password: 'aloft-unbraided-dingy-snowman-regally-egomaniac' }
+            },
+            {
+                name: 'passphrase, 5 words, title case, digit and symbol, algorithm v2',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', algorithm: 'v2', format: 'passphrase', passphrase: { words: 5, separator: '.', capitalize: 'title', digit: true, symbol: true } },
+                expected: { normalizedSite: 'example', password: 'Tumble.Retold8.Overstep.Matador+.Twenty' }
+            },
+            {
+                name: 'passphrase, at least 24 characters, high level',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'high', format: 'passphrase', passphrase: { length: 24 } },
+                expected: { normalizedSite: 'example', password: 'borrowing-sincerity-twilight' }
+            },
+            {
+                name: 'PIN, 6 digits',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', format: 'pin' },
+                expected: { normalizedSite: 'example', password: '074624' }
+            },
+            {
+                name: 'hex key, 64 characters',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', securityLevel: 'standard', format: 'hex' },
+                expected: { normalizedSite: 'example', password: 'c6838675ceed69be4563eea202f118dbf41ea5347ce6d5b979448946f3822a63' }
+            },
+            {
+                name: 'pronounceable, length 12',
+                input: { phrase: 'correct horse battery staple', site: 'example.org', version: '1', length: 12, securityLevel: 'standard', format: 'pronounceable' },
+                expected: { normalizedSite: 'example', password: 'goderoharadi' }
+            },
+            {
+                name: 'site normalization v2, length 40',
+                input: { phrase: 'ünïcödé phrase ✓ works', site: 'https://news.bbc.co.uk/sport', normalization: 'v2', version: '1', length: 40, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'bbc.co.uk', password: 'f5#*GG!.=5Da-Fg%fNHLaXDg@*yi=TTKRN?x%4%-' }
+            },
+            {
+                name: 'site normalization v2, same site text as v1',
+                input: { phrase: 'two words', site: 'localhost', normalization: 'v2', version: '1', length: 16, charsets: { upper: false, lower: true, digits: true, symbols: true, excludeAmbiguous: false }, securityLevel: 'standard' },
+                expected: { normalizedSite: 'localhost', password: 'y2t+8eik2edm*ps.' }
+            },
+            {
+                name: 'site normalization v2, bundled alias',
+                input: { phrase: 'correct horse battery staple', site: 'https://outlook.live.com/mail/', normalization: 'v2', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'microsoft.com', password: '9z2%SMTQsrEES-nK' }
+            },
+            {
+                name: 'empty account keeps the original salt',
+                input: { phrase: 'purple elephant dances tuesday', site: 'github', account: '  ', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'github', password: 'KXTMH6T=25Qw.t*y' }
+            },
+            {
+                name: 'account',
+                input: { phrase: 'purple elephant dances tuesday', site: 'github', account: ' Me@Work.example ', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'github', password: '-n_s-irDN9%Suj#%' }
+            },
+            {
+                name: 'identity',
+                input: { phrase: 'purple elephant dances tuesday', site: 'github', identity: ' Work ', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'github', password: 'bC-?7N%5@eD+YzCQ' }
+            },
+            {
+                name: 'extra fields',
+                input: {
+                    phrase: 'purple elephant dances tuesday', site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard',
+                    fields: [{ kind: 'username' }, { kind: 'answer', question: 'Mother\u2019s  maiden name?' }, { kind: 'answer', question: 'first pet', version: '2' }]
+                },
+                expected: {
+                    normalizedSite: 'github',
+                    password: 'KXTMH6T=25Qw.t*y',
+                    fields: ['hulkrecord54', 'unlocking jailbird enquirer savanna', 'rural crispy ceramics gurgling']
+                }
+            },
+            {
+                name: 'keyfile',
+                quick: true,
+                input: { phrase: 'purple elephant dances tuesday', secondSecret: stringToBytes('keyfile contents'), site: 'github', version: '1', length: 16, charsets: ALL_SETS, securityLevel: 'standard' },
+                expected: { normalizedSite: 'github', password: '@3qUQX5D++DUm*%N' }
+            }
+        ]);
+
+        // Component vectors: cheap, so they always run (no key derivation involved)
+        const HARDEN_PHRASE_VECTORS = [
+            ['purple elephant dances tuesday', 'PURPLE ELEPHANT dances tuesday@undefinedundefined'],
+            ['  My iPhone  purchase in INDIA  ', 'my iphone PURCHASE in INDIA$2undefined'],
+            ['single', 'Single*undefined!'],
+            ['correct horse battery staple', 'correct horse BATTERY staple#8&'],
+            ['ünïcödé phrase ✓ works', 'ÜNÏCÖDÉ phrase ✓ WORKS%undefinedundefined'],
+            ['a b c d e f g h', 'a B c d e F g h^2$']
+        ];
+
+        const NORMALIZE_SITE_VECTORS = [
+            ['Yahoo', 'yahoo'],
+            ['https://www.yahoo.com/mail', 'yahoo'],
+            ['mail.yahoo.com', 'yahoo'],
+            ['m.facebook.com:8080/path?x#y', 'facebook'],
+            ['amazon.co.uk', 'amazon'],
+            ['foo.github.io', 'foo.github'],
+            ['example.com.tr', 'example.com'],
+            ['192.168.1.1', '192.168.1.1'],
+            ['.com', '.com'],
+            ['http://LOGIN.Example.ORG/', 'example']
+        ];
+
+        // Normalization v2: registrable domains, Public Suffix List wildcards and
+        // exceptions, private suffixes, IDN, IP addresses and plain names
+        const NORMALIZE_SITE_V2_VECTORS = [
+            ['https://www.yahoo.com/mail', 'yahoo.com'],
+            ['news.bbc.co.uk', 'bbc.co.uk'],
+            ['foo.github.io', 'foo.github.io'],
+            ['github.io', 'github.io'],
+            ['example.com.tr', 'example.com.tr'],
+            ['a.b.ck', 'a.b.ck'],
+            ['www.ck', 'www.ck'],
+            ['x.city.kobe.jp', 'city.kobe.jp'],
+            ['user@mail.Bücher.de:8080', 'xn--bcher-kva.de'],
+            ['日本語。jp', 'xn--wgv71a119e.jp'],
+            ['http://192.168.001.1:8080/', '192.168.1.1'],
+            ['http://[2001:DB8:0:0:1:0:0:1]/', '[2001:db8::1:0:0:1]'],
+            ['localhost:3000', 'localhost'],
+            ['GitHub', 'github'],
+            ['My  Bank', 'my bank']
+        ];
+
+        // Site aliases: bundled groups (v2 only), user aliases and overrides
+        const SITE_ALIAS_VECTORS = [
+            ['https://outlook.live.com/mail/', 'v2', null, 'microsoft.com'],
+            ['amazon.co.uk', 'v2', null, 'amazon.com'],
+            ['mail.google.com', 'v2', null, 'google.com'],
+            ['icloud.com', 'v1', null, 'icloud'],
+            ['amazon.co.uk', 'v2', { 'amazon.co.uk': null }, 'amazon.co.uk'],
+            ['Gmail.com', 'v1', { gmail: 'google' }, 'google'],
+            ['my.work.example', 'v2', { 'work.example': 'hotmail.com' }, 'microsoft.com']
+        ];
+
+        // Fixed input bytes: byte i = (i * 37 + 11) mod 256
+        const PATTERN_BYTES = Uint8Array.from({ length: 64 }, (_, i) => (i * 37 + 11) & 255);
+
+        const BYTE_MAPPING_VECTORS = [
+            [16, ALL_SETS, '4Ji#QGH@kjB!.6hJ'],
+            [64, { upper: true, lower: true, digits: true, symbols: false, excludeAmbiguous: false }, 'mWeO6Wqme4uqS06KauuiySWEiSO6iWGyK2qMKGCaqeem2AqSmuEyuiuaC4EqAKya'],
+            [12, { upper: false, lower: false, digits: true, symbols: false, excludeAmbiguous: true }, '686842442862'],
+            [16, CUSTOM_SETS, '!#vcJtY2^aEG86pJ']
+        ];
+
+        // Algorithm v2 over the same bytes; length 64 needs the HKDF extension
+        const V2_BYTE_MAPPING_VECTORS = [
+            [64, ALL_SETS, 'b#_7#9d#!hkj-L-Jg2oQ%p%HZh8zGogY#M-UU@%A=iv.f6JBNDP@9YNhLn*i!!4Q']
+        ];
+
+        // Passphrases over the same bytes; 20 words needs the HKDF extension
+        const PASSPHRASE_MAPPING_VECTORS = [
+            [{}, 'gigolo-steam-dubbed-relapsing-respect-citadel'],
+            [{ words: 20, separator: ' ', capitalize: 'title', digit: true, symbol: true }, 'Gigolo Steam Dubbed Relapsing Respect Citadel Pastel% Overtly Agreeably Kindling Tiger8 Try Flaky Small Sinless Defiance Reappear Brim Niece Water'],
+            [{ length: 40, separator: '', capitalize: 'upper', digit: true }, 'GIGOLO6STEAMDUBBEDRELAPSINGRESPECTCITADEL']
+        ];
+
+        // Character formats over the same bytes; hex 128 needs the HKDF extension
+        const FORMAT_MAPPING_VECTORS = [
+            ['pin', 6, '420242'],
+            ['hex', 128, '0a4e82c60a4e82c60a4e82c60a4e82c617521e53f8a828e80b4bd8922d5338fa96cd391ffaa44dba3c90fc75b2788e1b72969653353de2ab17392d9721236491'],
+            ['base32', 32, 'Q2EOYCMWAKU6IS4GQ2EOYCMWAKU6IS4G'],
+            ['pronounceable', 16, 'zirihibepihezine']
+        ];
+
+        // Extra fields over the same bytes, and how questions are normalized
+        const FIELD_MAPPING_VECTORS = [
+            ['username', 'affairrerun02'],
+            ['answer', 'gills stencil dupe remedy']
+        ];
+
+        const NORMALIZE_QUESTION_VECTORS = [
+            [' Mother\u2019s  Maiden NAME ? ', 'mother\'s maiden name'],
+            ['City of birth', 'city of birth']
+        ];
+
+        // Phrase fingerprints as "words hue cells": over the same bytes (always), and
+        // from phrases through scrypt (full suite only), where spacing and case don't matter
+        const FINGERPRINT_MAPPING = 'gigolo steam 220 0111010001001000010001110';
+        const FINGERPRINT_VECTORS = [
+            [' Purple elephant DANCES tuesday', 'cubicle lecturer 53 0111001110011101101111011']
+        ];
+
+        // Second secrets: the recovery code for the first 20 pattern bytes and the
+        // fingerprints shown for a keyfile and that code
+        const RECOVERY_CODE_MAPPING = 'BMYF-K6U7-YTUQ-4M2Y-PWRM-P3AR-GZNY-BJOK-BMPT';
+        const SECOND_SECRET_FINGERPRINTS = [
+            ['keyfile contents', 'd321-2e48'],
+            [RECOVERY_CODE_MAPPING, 'cfc3-251f']
+        ];
+
+        // Recovery kit: a 2-of-3 kit split with the pattern bytes as its "random"
+        // bytes (share 1 as words, share 3 as a code), and the phrase those rebuild
+        const RECOVERY_KIT_INPUT = { phrase: ' Purple elephant DANCES tuesday', threshold: 2, shares: 3, checkWords: 'cubicle lecturer' };
+        const RECOVERY_KIT_SHARES = [
+            'absentee bash anaconda agent buffed gradually habitat footwork glazing haziness clapped cilantro easel botch disobey decade ' +
+                'landlady greyhound hypnosis agile cadillac animating guiding boneless collision constrain hypnotize avoid backhand mom emote absinthe',
+            'PM-SHARE:AEBAGCZQKUW3XEOAR2SCOVLAEWCOFXJXINLCVBP2TIYQUWBKRT6YMPZNJUY4NYUCBJ6S4QNMQBCEE'
+        ];
+        const RECOVERY_KIT_PHRASE = 'purple elephant dances tuesday';
+
+        function describeFingerprint(fingerprint) {
+            return fingerprint.words.join(' ') + ' ' + fingerprint.hue + ' ' + fingerprint.cells.map(cell => cell ? 1 : 0).join('');
+        }
+
+        // Dice rolls → EFF word; a changed list would change every passphrase
+        const WORDLIST_VECTORS = [
+            ['11111', 'abacus'],
+            ['21111', 'coping'],
+            ['31111', 'flaccid'],
+            ['41111', 'mastiff'],
+            ['51111', 'reforest'],
+            ['61111', 'subduing'],
+            ['66666', 'zoom']
+        ];
+
+        function diceIndex(rolls) {
+            return rolls.split('').reduce((index, roll) => index * 6 + Number(roll) - 1, 0);
+        }
+
+        function fill(length, value) {
+            return new Uint8Array(length).fill(value);
+        }
+
+        function toHex(bytes) {
+            return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        // KDF primitives against their published vectors; `quick` ones run on every page load
+        const KDF_VECTORS = [
+            {
+                name: 'BLAKE2b-512 "abc" (RFC 7693)',
+                quick: true,
+                compute: async () => blake2b(new Uint8Array([0x61, 0x62, 0x63])),
+                expected: 'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+            },
+            {
+                name: 'Argon2id (RFC 9106 section 5.3)',
+                quick: true,
+                compute: async () => argon2id({
+                    password: fill(32, 1),
+                    salt: fill(16, 2),
+                    secret: fill(8, 3),
+                    associatedData: fill(12, 4),
+                    memoryKiB: 32,
+                    passes: 3,
+                    parallelism: 4,
+                    tagLength: 32
+                }),
+                expected: '0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659'
+            },
+            {
+                name: 'scrypt "password"/"NaCl" (RFC 7914 section 12)',
+                compute: async () => scrypt(await importPhraseKey('password'), new Uint8Array([0x4e, 0x61, 0x43, 0x6c]), 1024, 8, 16, 64),
+                expected: 'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+            }
+        ];
+
+        /**
+         * Run the known-answer self-test.
+         *
+         * @param {Object} [options] - Test options
+         * @param {boolean} [options.quick=false] - Only run the derivation and KDF vectors marked `quick`
+         * @returns {Promise<{passed: boolean, total: number, failures: Array<{name: string, expected: string, actual: string}>}>} - Summary
+         */
+        async function runSelfTest(options) {
+            const quick = Boolean(options && options.quick);
+            const failures = [];
+            let total = 0;
+
+            function check(name, expected, compute) {
+                let actual;
+                try {
+                    actual = compute();
+                } catch (error) {
+                    actual = 'Error: ' + error.message;
+                }
+                total++;
+                if (expected !== actual) {
+                    failures.push({ name, expected, actual });
+                }
+            }
+
+            for (const [input, expected] of HARDEN_PHRASE_VECTORS) {
+                check('hardenPhrase ' + JSON.stringify(input), expected, () => hardenPhrase(input));
+            }
+
+            for (const [input, expected] of NORMALIZE_SITE_VECTORS) {
+                check('normalizeSite ' + JSON.stringify(input), expected, () => normalizeSite(input));
+            }
+            for (const [input, expected] of NORMALIZE_SITE_V2_VECTORS) {
+                check('normalizeSite v2 ' + JSON.stringify(input), expected, () => normalizeSite(input, 'v2'));
+            }
+            for (const [input, normalization, aliases, expected] of SITE_ALIAS_VECTORS) {
+                check('resolveSiteAlias ' + normalization + ' ' + JSON.stringify(input) + (aliases ? ' ' + JSON.stringify(aliases) : ''), expected,
+                    () => resolveSiteAlias(normalizeSite(input, normalization), normalization, aliases || undefined).site);
+            }
+
+            for (const [length, charsets, expected] of BYTE_MAPPING_VECTORS) {
+                check('generatePasswordFromBytes length ' + length, expected, () => generatePasswordFromBytes(PATTERN_BYTES, length, charsets));
+            }
+
+            for (const [length, charsets, expected] of V2_BYTE_MAPPING_VECTORS) {
+                let actual;
+                try {
+                    actual = await ALGORITHMS.v2.generate(PATTERN_BYTES, length, charsets);
+                } catch (error) {
+                    actual = 'Error: ' + error.message;
+                }
+                check('algorithm v2 byte mapping length ' + length, expected, () => actual);
+            }
+
+            check('EFF word list size', 7776, () => EFF_LARGE_WORDLIST.length);
+            for (const [rolls, expected] of WORDLIST_VECTORS) {
+                check('EFF word list ' + rolls, expected, () => EFF_LARGE_WORDLIST[diceIndex(rolls)]);
+            }
+
+            for (const [passphraseOptions, expected] of PASSPHRASE_MAPPING_VECTORS) {
+                let actual;
+                try {
+                    actual = (await generatePassphraseFromBytes(PATTERN_BYTES, passphraseOptions)).passphrase;
+                } catch (error) {
+                    actual = 'Error: ' + error.message;
+                }
+                check('passphrase byte mapping ' + JSON.stringify(passphraseOptions), expected, () => actual);
+            }
+
+            for (const [format, length, expected] of FORMAT_MAPPING_VECTORS) {
+                let actual;
+                try {
+                    actual = await generateFormatFromBytes(PATTERN_BYTES, format, length);
+                } catch (error) {
+                    actual = 'Error: ' + error.message;
+                }
+                check(format + ' byte mapping length ' + length, expected, () => actual);
+            }
+
+            for (const [kind, expected] of FIELD_MAPPING_VECTORS) {
+                let actual;
+                try {
+                    actual = await generateFieldFromBytes(PATTERN_BYTES, kind);
+                } catch (error) {
+                    actual = 'Error: ' + error.message;
+                }
+                check(kind + ' field byte mapping', expected, () => actual);
+            }
+            for (const [input, expected] of NORMALIZE_QUESTION_VECTORS) {
+                check('normalizeQuestion ' + JSON.stringify(input), expected, () => normalizeQuestion(input));
+            }
+
+            let fingerprint;
+            try {
+                fingerprint = describeFingerprint(await fingerprintFromBytes(PATTERN_BYTES));
+            } catch (error) {
+                fingerprint = 'Error: ' + error.message;
+            }
+            check('fingerprint byte mapping', FINGERPRINT_MAPPING, () => fingerprint);
+            for (const [phrase, expected] of quick ? [] : FINGERPRINT_VECTORS) {
+                try {
+                    fingerprint = describeFingerprint(await derivePhraseFingerprint(phrase));
+                } catch (error) {
+                    fingerprint = 'Error: ' + error.message;
+                }
+                check('derivePhraseFingerprint ' + JSON.stringify(phrase), expected, () => fingerprint);
+            }
+
+            let recoveryCode;
+            try {
+                recoveryCode = await formatRecoveryCode(PATTERN_BYTES.subarray(0, 20));
+            } catch (error) {
+                recoveryCode = 'Error: ' + error.message;
+            }
+            check('recovery code byte mapping', RECOVERY_CODE_MAPPING, () => recoveryCode);
+            for (const [input, expected] of SECOND_SECRET_FINGERPRINTS) {
+                let actual;
+                try {
+                    const secret = input === RECOVERY_CODE_MAPPING ? await parseRecoveryCode(input) : stringToBytes(input);
+                    actual = await secondSecretFingerprint(secret);
+                } catch (error) {
+                    actual = 'Error: ' + error.message;
+                }
+                check('secondSecretFingerprint ' + JSON.stringify(input), expected, () => actual);
+            }
+
+            let kitShares;
+            try {
+                let offset = 0;
+                const random = length => PATTERN_BYTES.slice(offset, offset += length);
+                const kit = await createRecoveryKit(RECOVERY_KIT_INPUT.phrase, Object.assign({ random }, RECOVERY_KIT_INPUT));
+                kitShares = [kit.shares[0].words, kit.shares[2].code];
+            } catch (error) {
+                kitShares = ['Error: ' + error.message, 'Error: ' + error.message];
+            }
+            check('recovery kit share 1 words', RECOVERY_KIT_SHARES[0], () => kitShares[0]);
+            check('recovery kit share 3 code', RECOVERY_KIT_SHARES[1], () => kitShares[1]);
+            let rebuilt;
+            try {
+                rebuilt = (await combineRecoveryShares(RECOVERY_KIT_SHARES.slice().reverse())).phrase;
+            } catch (error) {
+                rebuilt = 'Error: ' + error.message;
+            }
+            check('combineRecoveryShares', RECOVERY_KIT_PHRASE, () => rebuilt);
+
+            for (const vector of KDF_VECTORS) {
+                if (quick && !vector.quick) continue;
+
+                let actual;
+                try {
+                    actual = toHex(await vector.compute());
+                } catch (error) {
+                    actual = 'Error: ' + error.message;
+                }
+                check(vector.name, vector.expected, () => actual);
+            }
+
+            for (const vector of SELF_TEST_VECTORS) {
+                if (quick && !vector.quick) continue;
+
+                let actual;
+                try {
+                    actual = await derivePassword(vector.input);
+                } catch (error) {
+                    actual = { normalizedSite: '', password: 'Error: ' + error.message };
+                }
+                check('derivePassword "' + vector.name + '" (site)', vector.expected.normalizedSite, () => actual.normalizedSite);
+                check('derivePassword "' + vector.name + '"', vector.expected.password, () => actual.password);
+                (vector.expected.fields || []).forEach((expected, index) => {
+                    check('derivePassword "' + vector.name + '" (field ' + (index + 1) + ')', expected, () => actual.fields[index].value);
+                });
+            }
+
+            // A remembered phrase is kept as a key; it must derive the same password
+            const keyVector = SELF_TEST_VECTORS[0];
+            let fromKey;
+            try {
+                const phraseKey = await importMasterPhrase(keyVector.input.phrase);
+                fromKey = (await derivePassword(Object.assign({}, keyVector.input, { phrase: phraseKey }))).password;
+            } catch (error) {
+                fromKey = 'Error: ' + error.message;
+            }
+            check('derivePassword "' + keyVector.name + '" (from importMasterPhrase key)', keyVector.expected.password, () => fromKey);
+
+            // A batch export must hold the passwords the page gives one site at a time
+            if (!quick) {
+                let fromBatch;
+                try {
+                    const batch = await deriveBatch({
+                        phrase: keyVector.input.phrase,
+                        entries: parseBatch('site,version\n' + keyVector.input.site + ',' + keyVector.input.version),
+                        defaults: keyVector.input
+                    });
+                    fromBatch = batch.entries.length ? batch.entries[0].password : 'Error: ' + batch.errors[0].message;
+                } catch (error) {
+                    fromBatch = 'Error: ' + error.message;
+                }
+                check('deriveBatch "' + keyVector.name + '"', keyVector.expected.password, () => fromBatch);
+            }
+
+            return { passed: failures.length === 0, total, failures };
+        }
+
+        return Object.freeze({
+            SELF_TEST_VECTORS,
+            runSelfTest
+        });
+    })();
+
+    // ---- core/profile-export.mjs ----
+    const __core_profile_export = (function () {
+        /**
+         * Password Mint Core - Encrypted Profile Export
+         *
+         * Profiles are exported as one JSON file, encrypted with AES-256-GCM. The
+         * key comes from the hardened master phrase: PBKDF2-HMAC-SHA256 over a
+         * random salt gives 64 bytes, the first 32 are the AES key and the last 32
+         * are stored in the file as a verification tag. Import checks the tag
+         * first, so a wrong phrase is reported as such and a damaged file (which
+         * fails GCM authentication) is reported separately.
+         *
+         * {
+         *   "format": "password-mint-profiles-export",
+         *   "version": 1,
+         *   "kdf": { "name": "PBKDF2-SHA256", "iterations": 210000, "salt": "<base64>" },
+         *   "iv": "<base64>",
+         *   "verifier": "<base64>",
+         *   "ciphertext": "<base64>"
+         * }
+         */
+
+        const { CONFIG } = __core_config;
+        const { stringToBytes } = __core_normalize;
+        const { getSubtle, isPhraseKey, resolvePhraseKey, pbkdf2Bits } = __core_kdf;
+        const { parseProfiles, parseAliases, serializeProfiles } = __core_profiles;
+
+        const EXPORT_FORMAT = 'password-mint-profiles-export';
+        const EXPORT_VERSION = 1;
+        const SALT_LABEL = 'password-mint::profiles-export::';
+        const SALT_BYTES = 16;
+        const IV_BYTES = 12;
+        const KEY_BYTES = 32;
+        const MAX_ITERATIONS = 10000000;
+
+        function bytesToBase64(bytes) {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+            return btoa(binary);
+        }
+
+        function base64ToBytes(text) {
+            const binary = atob(text);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        }
+
+        function randomBytes(length) {
+            return globalThis.crypto.getRandomValues(new Uint8Array(length));
+        }
+
+        /**
+         * Derive the AES key and verification tag for an export.
+         *
+         * @param {string|CryptoKey} phrase - Raw master phrase (hardened here), or a key from importMasterPhrase()
+         * @param {Uint8Array} salt - Random salt stored in the file
+         * @param {number} iterations - PBKDF2 iterations stored in the file
+         * @returns {Promise<{key: CryptoKey, verifier: Uint8Array}>} - AES-GCM key and tag
+         */
+        async function deriveExportKey(phrase, salt, iterations) {
+            const phraseKey = await resolvePhraseKey(phrase);
+            const label = stringToBytes(SALT_LABEL);
+            const fullSalt = new Uint8Array(label.length + salt.length);
+            fullSalt.set(label);
+            fullSalt.set(salt, label.length);
+
+            const bits = await pbkdf2Bits(phraseKey, fullSalt, iterations, KEY_BYTES * 2);
+            const key = await getSubtle().importKey('raw', bits.subarray(0, KEY_BYTES), 'AES-GCM', false, ['encrypt', 'decrypt']);
+            const verifier = bits.slice(KEY_BYTES);
+            bits.fill(0);
+
+            return { key, verifier };
+        }
+
+        /**
+         * Encrypt profiles (and the user's site aliases) into an export file.
+         *
+         * @param {Object<string, Object>} profiles - Profiles keyed by normalized site
+         * @param {string|CryptoKey} phrase - Master phrase, or a key from importMasterPhrase()
+         * @param {Object<string, string|null>} [aliases] - User site aliases
+         * @returns {Promise<string>} - JSON text of the export file
+         */
+        async function encryptProfiles(profiles, phrase, aliases) {
+            if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+                throw new Error('Please enter your master phrase.');
+            }
+
+            const salt = randomBytes(SALT_BYTES);
+            const iv = randomBytes(IV_BYTES);
+            const iterations = CONFIG.ITERATIONS.standard;
+            const { key, verifier } = await deriveExportKey(phrase, salt, iterations);
+
+            const ciphertext = await getSubtle().encrypt(
+                { name: 'AES-GCM', iv: iv, additionalData: stringToBytes(EXPORT_FORMAT + '::' + EXPORT_VERSION) },
+                key,
+                stringToBytes(serializeProfiles(profiles, aliases))
+            );
+
+            return JSON.stringify({
+                format: EXPORT_FORMAT,
+                version: EXPORT_VERSION,
+                kdf: { name: 'PBKDF2-SHA256', iterations: iterations, salt: bytesToBase64(salt) },
+                iv: bytesToBase64(iv),
+                verifier: bytesToBase64(verifier),
+                ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+            }, null, 2);
+        }
+
+        /**
+         * Decrypt an export file.
+         *
+         * @param {string} text - Contents of the export file
+         * @param {string|CryptoKey} phrase - Master phrase it was exported with, or a key from importMasterPhrase()
+         * @returns {Promise<{profiles: Object<string, Object>, aliases: Object<string, string|null>}>} - Profiles keyed by normalized site, and site aliases
+         */
+        async function decryptProfileStore(text, phrase) {
+            if (!isPhraseKey(phrase) && (typeof phrase !== 'string' || !phrase)) {
+                throw new Error('Please enter your master phrase.');
+            }
+
+            let file;
+            let salt;
+            let iv;
+            let verifier;
+            let ciphertext;
+            try {
+                file = JSON.parse(text);
+            } catch (error) {
+                file = null;
+            }
+            if (!file || file.format !== EXPORT_FORMAT) {
+                throw new Error('This is not a Password Mint profile export.');
+            }
+            if (file.version !== EXPORT_VERSION) {
+                throw new Error('Unsupported export version: ' + file.version + '. Update Password Mint to import it.');
+            }
+
+            const kdf = file.kdf || {};
+            try {
+                salt = base64ToBytes(kdf.salt);
+                iv = base64ToBytes(file.iv);
+                verifier = base64ToBytes(file.verifier);
+                ciphertext = base64ToBytes(file.ciphertext);
+            } catch (error) {
+                throw new Error('The file is damaged and could not be decrypted.');
+            }
+            if (kdf.name !== 'PBKDF2-SHA256' || !Number.isInteger(kdf.iterations) ||
+                kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS) {
+                throw new Error('The file is damaged and could not be decrypted.');
+            }
+
+            const derived = await deriveExportKey(phrase, salt, kdf.iterations);
+
+            let difference = derived.verifier.length ^ verifier.length;
+            for (let i = 0; i < derived.verifier.length; i++) {
+                difference |= derived.verifier[i] ^ (verifier[i] || 0);
+            }
+            if (difference !== 0) {
+                throw new Error('Wrong master phrase for this file.');
+            }
+
+            let plaintext;
+            try {
+                plaintext = await getSubtle().decrypt(
+                    { name: 'AES-GCM', iv: iv, additionalData: stringToBytes(EXPORT_FORMAT + '::' + EXPORT_VERSION) },
+                    derived.key,
+                    ciphertext
+                );
+            } catch (error) {
+                throw new Error('The file is damaged and could not be decrypted.');
+            }
+
+            const store = new TextDecoder().decode(plaintext);
+            return { profiles: parseProfiles(store), aliases: parseAliases(store) };
+        }
+
+        /**
+         * Decrypt the profiles of an export file.
+         *
+         * @param {string} text - Contents of the export file
+         * @param {string|CryptoKey} phrase - Master phrase it was exported with, or a key from importMasterPhrase()
+         * @returns {Promise<Object<string, Object>>} - Profiles keyed by normalized site
+         */
+        async function decryptProfiles(text, phrase) {
+            return (await decryptProfileStore(text, phrase)).profiles;
+        }
+
+        return Object.freeze({
+            encryptProfiles,
+            decryptProfileStore,
+            decryptProfiles
+        });
+    })();
+
+    // ---- core/identities.mjs ----
+    const __core_identities = (function () {
+        /**
+         * Password Mint Core - Identities
+         *
+         * An identity (e.g. "work", "personal") is a namespace for derivation: its
+         * normalized name is added to the salt as an `identity` tag, so the same
+         * phrase, site and settings give unrelated passwords under two identities.
+         * The default identity has no name and adds no tag, so the passwords made
+         * before identities existed stay the same.
+         *
+         * Each identity also has a badge color and default settings that the page
+         * applies when it is selected (site profiles still win for their sites).
+         * Identities hold no secrets; the store keeps them in the order created.
+         */
+
+        const { DEFAULT_NORMALIZATION, normalizeIdentity } = __core_normalize;
+        const { createProfile } = __core_profiles;
+
+        const STORE_FORMAT = 'password-mint-identities';
+        const STORE_VERSION = 1;
+
+        // Badge colors, chosen to stay readable with white text
+        const IDENTITY_COLORS = Object.freeze({
+            blue: '#2563eb',
+            green: '#15803d',
+            purple: '#7e22ce',
+            orange: '#c2410c',
+            red: '#b91c1c',
+            teal: '#0f766e',
+            pink: '#be185d',
+            gray: '#4b5563'
+        });
+
+        const DEFAULT_IDENTITY_COLOR = 'blue';
+
+        /**
+         * Check default settings for an identity. They are validated like a site
+         * profile's settings, without the parts that belong to one site (version,
+         * site rules, extra fields and account).
+         *
+         * @param {Object} [defaults] - Same shape as the derivePassword() options
+         * @returns {{normalization: string, length: number, charsets: Object, securityLevel: string, kdfCosts?: Object, algorithm: string, format?: string, passphrase?: Object}} - Defaults to store
+         */
+        function normalizeIdentityDefaults(defaults) {
+            const profile = createProfile(Object.assign({}, defaults, {
+                site: 'identity',
+                version: 1,
+                policy: undefined,
+                fields: undefined,
+                account: undefined,
+                identity: undefined
+            }));
+
+            const normalized = {
+                normalization: profile.normalization || DEFAULT_NORMALIZATION,
+                length: profile.length,
+                charsets: profile.charsets,
+                securityLevel: profile.securityLevel,
+                algorithm: profile.algorithm
+            };
+            if (profile.kdfCosts) normalized.kdfCosts = profile.kdfCosts;
+            if (profile.format) normalized.format = profile.format;
+            if (profile.passphrase) normalized.passphrase = profile.passphrase;
+            return normalized;
+        }
+
+        /**
+         * Build a validated identity.
+         *
+         * @param {Object} options - Identity fields
+         * @param {string} options.name - Name as shown; its normalized form is the salt tag
+         * @param {string} [options.color='blue'] - Key of IDENTITY_COLORS
+         * @param {Object} [options.defaults] - Settings to apply when it is selected (see normalizeIdentityDefaults()); none keeps the form as it is
+         * @returns {{name: string, id: string, color: string, defaults?: Object}} - The identity; id is the normalized name
+         */
+        function createIdentity(options) {
+            const { name, color = DEFAULT_IDENTITY_COLOR, defaults } = options || {};
+            const id = normalizeIdentity(name);
+            if (!id) {
+                throw new Error('Enter a name for the identity.');
+            }
+            if (!Object.prototype.hasOwnProperty.call(IDENTITY_COLORS, color)) {
+                throw new Error('Identity color must be one of: ' + Object.keys(IDENTITY_COLORS).join(', '));
+            }
+
+            const identity = { name: name.trim().replace(/\s+/g, ' '), id, color };
+            if (defaults) {
+                identity.defaults = normalizeIdentityDefaults(defaults);
+            }
+            return identity;
+        }
+
+        /**
+         * Parse stored identities. Entries that fail validation, or repeat an
+         * earlier identity, are dropped rather than breaking the page.
+         *
+         * @param {string|null} text - Output of serializeIdentities(), or null when nothing is stored
+         * @returns {Object[]} - Identities (see createIdentity()), in stored order
+         */
+        function parseIdentities(text) {
+            const identities = [];
+            if (!text) return identities;
+
+            let store;
+            try {
+                store = JSON.parse(text);
+            } catch (error) {
+                return identities;
+            }
+            if (!store || store.format !== STORE_FORMAT || !Array.isArray(store.identities)) {
+                return identities;
+            }
+
+            for (const entry of store.identities) {
+                try {
+                    const identity = createIdentity(entry);
+                    if (!findIdentity(identities, identity.id)) {
+                        identities.push(identity);
+                    }
+                } catch (error) {
+                    // Skip entries a future or damaged store wrote
+                }
+            }
+            return identities;
+        }
+
+        /**
+         * Serialize identities for storage.
+         *
+         * @param {Object[]} identities - From createIdentity()
+         * @returns {string} - JSON text
+         */
+        function serializeIdentities(identities) {
+            return JSON.stringify({
+                format: STORE_FORMAT,
+                version: STORE_VERSION,
+                identities: identities.map(identity => {
+                    const stored = { name: identity.name, color: identity.color };
+                    if (identity.defaults) stored.defaults = identity.defaults;
+                    return stored;
+                })
+            });
+        }
+
+        /**
+         * Find an identity by name.
+         *
+         * @param {Object[]} identities - From createIdentity()
+         * @param {string} name - Name as typed or normalized
+         * @returns {Object|undefined} - The identity, if there is one
+         */
+        function findIdentity(identities, name) {
+            let id;
+            try {
+                id = normalizeIdentity(name);
+            } catch (error) {
+                return undefined;
+            }
+            return identities.find(identity => identity.id === id);
+        }
+
+        return Object.freeze({
+            IDENTITY_COLORS,
+            DEFAULT_IDENTITY_COLOR,
+            normalizeIdentityDefaults,
+            createIdentity,
+            parseIdentities,
+            serializeIdentities,
+            findIdentity
+        });
+    })();
+
+    // ---- core/index.mjs ----
+    /**
+     * Password Mint Core
+     *
+     * DOM-free derivation pipeline shared by the web page, the CLI and workers.
+     * Import this module directly (ES modules) or load the UMD build
+     * `password-mint-core.js`, which exposes the same API as `PasswordMintCore`.
+     *
+     * Pipeline: normalizeSite → hardenPhrase (+ second secret) → salt → KDF → algorithm mapping
+     * This file only defines the public surface; see the modules it re-exports.
+     */
+
+    return Object.freeze({
+        CONFIG: __core_config.CONFIG,
+        LENGTH_RANGE: __core_config.LENGTH_RANGE,
+        CHAR_SETS: __core_config.CHAR_SETS,
+        AMBIGUOUS_CHARS: __core_config.AMBIGUOUS_CHARS,
+        PROBLEMATIC_CHARS: __core_config.PROBLEMATIC_CHARS,
+        DEFAULT_CHARSETS: __core_config.DEFAULT_CHARSETS,
+        NORMALIZATIONS: __core_normalize.NORMALIZATIONS,
+        DEFAULT_NORMALIZATION: __core_normalize.DEFAULT_NORMALIZATION,
+        getNormalization: __core_normalize.getNormalization,
+        normalizeSite: __core_normalize.normalizeSite,
+        describeSite: __core_normalize.describeSite,
+        normalizePhrase: __core_normalize.normalizePhrase,
+        hardenPhrase: __core_normalize.hardenPhrase,
+        normalizeAccount: __core_normalize.normalizeAccount,
+        IDENTITY_NAME_MAX_LENGTH: __core_normalize.IDENTITY_NAME_MAX_LENGTH,
+        normalizeIdentity: __core_normalize.normalizeIdentity,
+        stringToBytes: __core_normalize.stringToBytes,
+        interpretSite: __core_domain.interpretSite,
+        getPublicSuffix: __core_domain.getPublicSuffix,
+        PUBLIC_SUFFIX_DATE: __core_psl.PUBLIC_SUFFIX_DATE,
+        domainToASCII: __core_punycode.domainToASCII,
+        domainToUnicode: __core_punycode.domainToUnicode,
+        SITE_ALIASES: __core_aliases.SITE_ALIASES,
+        normalizeAliases: __core_aliases.normalizeAliases,
+        resolveSiteAlias: __core_aliases.resolveSiteAlias,
+        mergeAliases: __core_aliases.mergeAliases,
+        deriveBytes: __core_kdf.deriveBytes,
+        importPhraseKey: __core_kdf.importPhraseKey,
+        importMasterPhrase: __core_kdf.importMasterPhrase,
+        isPhraseKey: __core_kdf.isPhraseKey,
+        resolvePhraseKey: __core_kdf.resolvePhraseKey,
+        pbkdf2Bits: __core_kdf.pbkdf2Bits,
+        RECOVERY_CODE_BYTES: __core_second_secret.RECOVERY_CODE_BYTES,
+        KEYFILE_MAX_BYTES: __core_second_secret.KEYFILE_MAX_BYTES,
+        normalizeSecondSecret: __core_second_secret.normalizeSecondSecret,
+        mixSecondSecret: __core_second_secret.mixSecondSecret,
+        secondSecretFingerprint: __core_second_secret.secondSecretFingerprint,
+        formatRecoveryCode: __core_second_secret.formatRecoveryCode,
+        generateRecoveryCode: __core_second_secret.generateRecoveryCode,
+        parseRecoveryCode: __core_second_secret.parseRecoveryCode,
+        RECOVERY_SHARE_PREFIX: __core_recovery_kit.RECOVERY_SHARE_PREFIX,
+        RECOVERY_KIT_LIMITS: __core_recovery_kit.RECOVERY_KIT_LIMITS,
+        createRecoveryKit: __core_recovery_kit.createRecoveryKit,
+        parseRecoveryShare: __core_recovery_kit.parseRecoveryShare,
+        splitRecoveryShares: __core_recovery_kit.splitRecoveryShares,
+        combineRecoveryShares: __core_recovery_kit.combineRecoveryShares,
+        recoverPhrase: __core_recovery_kit.recoverPhrase,
+        SHAMIR_MAX_SHARES: __core_shamir.SHAMIR_MAX_SHARES,
+        splitSecret: __core_shamir.splitSecret,
+        combineShares: __core_shamir.combineShares,
+        QR_MAX_VERSION: __core_qrcode.QR_MAX_VERSION,
+        encodeQrCode: __core_qrcode.encodeQrCode,
+        blake2b: __core_blake2b.blake2b,
+        argon2id: __core_argon2.argon2id,
+        scrypt: __core_scrypt.scrypt,
+        SECURITY_LEVELS: __core_levels.SECURITY_LEVELS,
+        KDF_COST_LIMITS: __core_levels.KDF_COST_LIMITS,
+        isMemoryHard: __core_levels.isMemoryHard,
+        resolveSecurityLevel: __core_levels.resolveSecurityLevel,
+        kdfSaltTag: __core_levels.kdfSaltTag,
+        deriveLevelBytes: __core_levels.deriveLevelBytes,
+        measureKdfSpeed: __core_benchmark.measureKdfSpeed,
+        estimateDerivationMs: __core_benchmark.estimateDerivationMs,
+        resolveCharsets: __core_generate.resolveCharsets,
+        buildCharacterPool: __core_generate.buildCharacterPool,
+        getCharacterPools: __core_generate.getCharacterPools,
+        generatePasswordFromBytes: __core_generate.generatePasswordFromBytes,
+        generatePasswordFromStream: __core_generate.generatePasswordFromStream,
+        createByteStream: __core_bytestream.createByteStream,
+        EFF_LARGE_WORDLIST: __core_wordlist.EFF_LARGE_WORDLIST,
+        OUTPUT_FORMATS: __core_formats.OUTPUT_FORMATS,
+        DEFAULT_FORMAT: __core_formats.DEFAULT_FORMAT,
+        getOutputFormat: __core_formats.getOutputFormat,
+        isCharacterFormat: __core_formats.isCharacterFormat,
+        generateFormatFromBytes: __core_formats.generateFormatFromBytes,
+        formatEntropy: __core_formats.formatEntropy,
+        FIELD_KINDS: __core_fields.FIELD_KINDS,
+        QUESTION_MAX_LENGTH: __core_fields.QUESTION_MAX_LENGTH,
+        normalizeQuestion: __core_fields.normalizeQuestion,
+        normalizeField: __core_fields.normalizeField,
+        generateFieldFromBytes: __core_fields.generateFieldFromBytes,
+        fieldEntropy: __core_fields.fieldEntropy,
+        FINGERPRINT_KDF: __core_fingerprint.FINGERPRINT_KDF,
+        FINGERPRINT_GRID_SIZE: __core_fingerprint.FINGERPRINT_GRID_SIZE,
+        fingerprintFromBytes: __core_fingerprint.fingerprintFromBytes,
+        derivePhraseFingerprint: __core_fingerprint.derivePhraseFingerprint,
+        normalizeCheckWords: __core_fingerprint.normalizeCheckWords,
+        ATTACKER_RATES: __core_strength.ATTACKER_RATES,
+        STRENGTH_THRESHOLDS: __core_strength.STRENGTH_THRESHOLDS,
+        DEFAULT_STRENGTH_THRESHOLD: __core_strength.DEFAULT_STRENGTH_THRESHOLD,
+        estimatePhraseStrength: __core_strength.estimatePhraseStrength,
+        attackerGuessesPerSecond: __core_strength.attackerGuessesPerSecond,
+        formatCrackTime: __core_strength.formatCrackTime,
+        assessPhrase: __core_strength.assessPhrase,
+        PASSPHRASE_CAPITALIZATION: __core_passphrase.PASSPHRASE_CAPITALIZATION,
+        PASSPHRASE_LIMITS: __core_passphrase.PASSPHRASE_LIMITS,
+        normalizePassphraseOptions: __core_passphrase.normalizePassphraseOptions,
+        generatePassphraseFromBytes: __core_passphrase.generatePassphraseFromBytes,
+        estimatePassphraseEntropy: __core_passphrase.estimatePassphraseEntropy,
+        ALGORITHMS: __core_algorithms.ALGORITHMS,
+        DEFAULT_ALGORITHM: __core_algorithms.DEFAULT_ALGORITHM,
+        getAlgorithm: __core_algorithms.getAlgorithm,
+        POLICY_CLASSES: __core_policies.POLICY_CLASSES,
+        POLICY_RULES: __core_policies.POLICY_RULES,
+        SITE_POLICIES: __core_policies.SITE_POLICIES,
+        normalizePolicy: __core_policies.normalizePolicy,
+        getSitePolicy: __core_policies.getSitePolicy,
+        applyPolicyToCharsets: __core_policies.applyPolicyToCharsets,
+        checkPolicy: __core_policies.checkPolicy,
+        describePolicy: __core_policies.describePolicy,
+        buildSalt: __core_derive.buildSalt,
+        getIterations: __core_derive.getIterations,
+        derivePassword: __core_derive.derivePassword,
+        BATCH_COLUMNS: __core_batch.BATCH_COLUMNS,
+        BATCH_MAX_ENTRIES: __core_batch.BATCH_MAX_ENTRIES,
+        parseBatch: __core_batch.parseBatch,
+        deriveBatch: __core_batch.deriveBatch,
+        EXPORT_FORMATS: __core_vault_export.EXPORT_FORMATS,
+        getExportFormat: __core_vault_export.getExportFormat,
+        describeBatchEntry: __core_vault_export.describeBatchEntry,
+        exportBatch: __core_vault_export.exportBatch,
+        SELF_TEST_VECTORS: __core_selftest.SELF_TEST_VECTORS,
+        runSelfTest: __core_selftest.runSelfTest,
+        profileKey: __core_profiles.profileKey,
+        createProfile: __core_profiles.createProfile,
+        findProfile: __core_profiles.findProfile,
+        saveProfile: __core_profiles.saveProfile,
+        parseProfiles: __core_profiles.parseProfiles,
+        parseAliases: __core_profiles.parseAliases,
+        serializeProfiles: __core_profiles.serializeProfiles,
+        preferHigherVersion: __core_profiles.preferHigherVersion,
+        mergeProfiles: __core_profiles.mergeProfiles,
+        encryptProfiles: __core_profile_export.encryptProfiles,
+        decryptProfiles: __core_profile_export.decryptProfiles,
+        decryptProfileStore: __core_profile_export.decryptProfileStore,
+        IDENTITY_COLORS: __core_identities.IDENTITY_COLORS,
+        DEFAULT_IDENTITY_COLOR: __core_identities.DEFAULT_IDENTITY_COLOR,
+        normalizeIdentityDefaults: __core_identities.normalizeIdentityDefaults,
+        createIdentity: __core_identities.createIdentity,
+        parseIdentities: __core_identities.parseIdentities,
+        serializeIdentities: __core_identities.serializeIdentities,
+        findIdentity: __core_identities.findIdentity
+    });
+}));
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Build core/psl.mjs from a Public Suffix List file.
+ *
+ * The snapshot is part of every password that uses site normalization v2,
+ * so it is frozen: this script documents how it was made, and a newer list
+ * ships as a new normalization version, never as an update to core/psl.mjs.
+ * Rules are converted to ASCII (Punycode) and grouped by top-level domain.
+ *
+ * Usage:
+ *   node scripts/build-psl.mjs <public_suffix_list.dat> <YYYY-MM-DD> [output]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { domainToASCII } from '../core/punycode.mjs';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const [input, date, output = resolve(ROOT, 'core/psl.mjs')] = process.argv.slice(2);
+
+if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error('Usage: node scripts/build-psl.mjs <public_suffix_list.dat> <YYYY-MM-DD> [output]');
+    process.exit(2);
+}
+
+// One line per TLD: the TLD, then each longer rule without its ".tld" ending
+const groups = new Map();
+for (const line of readFileSync(input, 'utf8').split('\n')) {
+    const rule = line.trim().split(/\s/)[0];
+    if (!rule || rule.startsWith('//')) continue;
+
+    const exception = rule.startsWith('!');
+    const ascii = (exception ? '!' : '') + domainToASCII(exception ? rule.slice(1) : rule);
+    const labels = ascii.replace(/^!/, '').split('.');
+    const tld = labels.pop();
+
+    if (!groups.has(tld)) groups.set(tld, new Set());
+    if (labels.length) groups.get(tld).add((exception ? '!' : '') + labels.join('.'));
+}
+
+// Long groups wrap onto continuation lines (indented only for reading)
+const lines = [];
+for (const tld of Array.from(groups.keys()).sort()) {
+    let line = tld + ':';
+    for (const rule of Array.from(groups.get(tld)).sort()) {
+        if (line.length + rule.length + 1 > 100) {
+            lines.push(line);
+            line = '   ';
+        }
+        line += ' ' + rule;
+    }
+    lines.push(line);
+}
+
+writeFileSync(output, `/**
+ * Password Mint Core - Public Suffix List Snapshot
+ *
+ * The Public Suffix List (https://publicsuffix.org/) as of ${date}, ICANN and
+ * private sections, in ASCII. Each group is a top-level domain and a colon,
+ * followed by the longer rules under it without the TLD ("co" after "uk:" is
+ * co.uk; "*" and "!" mark wildcard and exception rules). Generated by
+ * scripts/build-psl.mjs.
+ *
+ * Site normalization v2 depends on every rule here, so this file must never
+ * be edited or refreshed; a newer list would be a new normalization version.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+export const PUBLIC_SUFFIX_DATE = '${date}';
+
+export const PUBLIC_SUFFIX_RULES = \`
+${lines.join('\n')}
+\`;
+`);
+console.log('Wrote ' + output + ' (' + groups.size + ' top-level domains)');
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Build the UMD bundle of the core module.
+ *
+ * The web page is a static file that must keep working from file://, where
+ * browsers refuse to load ES modules, so core/*.mjs is also shipped as a
+ * classic script. This script inlines the relative imports of each entry
+ * point into one UMD file (global, CommonJS and AMD). No dependencies.
+ *
+ * Supported module syntax (keep core/*.mjs within it):
+ *   import { a, b as c } from './x.mjs';
+ *   export { a, b as c } from './x.mjs';
+ *   export { a, b };
+ *   export function / async function / const / let / class NAME
+ *
+ * Usage:
+ *   node scripts/build-umd.mjs          Write the bundles
+ *   node scripts/build-umd.mjs --check  Exit 1 if a committed bundle is stale
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const BUNDLES = [
+    { entry: 'core/index.mjs', output: 'password-mint-core.js', globalName: 'PasswordMintCore' }
+];
+
+const IMPORT_RE = /^import\s*\{([^}]*)\}\s*from\s*'(\.[^']+)';\s*$/;
+const REEXPORT_RE = /^export\s*\{([^}]*)\}\s*from\s*'(\.[^']+)';\s*$/;
+const EXPORT_LIST_RE = /^export\s*\{([^}]*)\};\s*$/;
+const EXPORT_DECL_RE = /^export\s+(?:async\s+)?(?:function\*?|const|let|class)\s+([A-Za-z_$][\w$]*)/;
+
+/**
+ * Parse "a, b as c" into [{ local: 'a', exported: 'a' }, { local: 'b', exported: 'c' }].
+ */
+function parseSpecifiers(list) {
+    return list.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [local, exported] = part.split(/\s+as\s+/);
+            return { local: local.trim(), exported: (exported || local).trim() };
+        });
+}
+
+function moduleVariable(file) {
+    return '__' + relative(ROOT, file).replace(/\.mjs$/, '').replace(/[^A-Za-z0-9]/g, '_');
+}
+
+/**
+ * Load a module and its relative dependencies, dependencies first.
+ */
+function collectModules(file, modules, visiting = new Set()) {
+    if (modules.has(file)) return;
+    if (visiting.has(file)) {
+        throw new Error('Circular import: ' + relative(ROOT, file));
+    }
+    visiting.add(file);
+
+    const lines = readFileSync(file, 'utf8').split('\n');
+    const body = [];
+    const exported = [];
+
+    for (const line of lines) {
+        let match;
+        if ((match = line.match(IMPORT_RE))) {
+            const dependency = resolve(dirname(file), match[2]);
+            collectModules(dependency, modules, visiting);
+            const bindings = parseSpecifiers(match[1])
+                .map(s => s.local === s.exported ? s.local : s.local + ': ' + s.exported);
+            body.push('const { ' + bindings.join(', ') + ' } = ' + moduleVariable(dependency) + ';');
+        } else if ((match = line.match(REEXPORT_RE))) {
+            const dependency = resolve(dirname(file), match[2]);
+            collectModules(dependency, modules, visiting);
+            for (const s of parseSpecifiers(match[1])) {
+                exported.push({ exported: s.exported, expression: moduleVariable(dependency) + '.' + s.local });
+            }
+        } else if ((match = line.match(EXPORT_LIST_RE))) {
+            for (const s of parseSpecifiers(match[1])) {
+                exported.push({ exported: s.exported, expression: s.local });
+            }
+        } else if ((match = line.match(EXPORT_DECL_RE))) {
+            exported.push({ exported: match[1], expression: match[1] });
+            body.push(line.replace(/^export\s+/, ''));
+        } else if (/^\s*(import|export)\b/.test(line)) {
+            throw new Error('Unsupported module syntax in ' + relative(ROOT, file) + ': ' + line);
+        } else {
+            body.push(line);
+        }
+    }
+
+    visiting.delete(file);
+    modules.set(file, { body, exported });
+}
+
+function exportObject(exported, indent) {
+    return '{\n' + exported
+        .map(e => indent + '    ' + (e.exported === e.expression ? e.exported : e.exported + ': ' + e.expression))
+        .join(',\n') + '\n' + indent + '}';
+}
+
+function indentBlock(lines, indent) {
+    return lines.map(line => (line.trim() ? indent + line : '')).join('\n').replace(/\n+$/, '');
+}
+
+function buildBundle({ entry, output, globalName }) {
+    const entryFile = join(ROOT, entry);
+    const modules = new Map();
+    collectModules(entryFile, modules);
+
+    const parts = [];
+    for (const [file, { body, exported }] of modules) {
+        if (file === entryFile) continue;
+        parts.push(
+            '    // ---- ' + relative(ROOT, file) + ' ----\n' +
+            '    const ' + moduleVariable(file) + ' = (function () {\n' +
+            indentBlock(body, '        ') + '\n\n' +
+            '        return Object.freeze(' + exportObject(exported, '        ') + ');\n' +
+            '    })();\n'
+        );
+    }
+
+    const main = modules.get(entryFile);
+    parts.push(
+        '    // ---- ' + entry + ' ----\n' +
+        indentBlock(main.body, '    ') + '\n\n' +
+        '    return Object.freeze(' + exportObject(main.exported, '    ') + ');\n'
+    );
+
+    return '/**\n' +
+        ' * ' + output + ' - UMD build of ' + entry + '\n' +
+        ' *\n' +
+        ' * GENERATED by scripts/build-umd.mjs. Do not edit by hand: change\n' +
+        ' * the sources in core/ and run `node scripts/build-umd.mjs`.\n' +
+        ' */\n' +
+        '(function (root, factory) {\n' +
+        "    if (typeof define === 'function' && define.amd) {\n" +
+        '        define([], factory);\n' +
+        "    } else if (typeof module === 'object' && module.exports) {\n" +
+        '        module.exports = factory();\n' +
+        '    } else {\n' +
+        '        root.' + globalName + ' = factory();\n' +
+        '    }\n' +
+        "}(typeof self !== 'undefined' ? self : this, function () {\n" +
+        "    'use strict';\n\n" +
+        parts.join('\n') +
+        '}));\n';
+}
+
+const checkOnly = process.argv.includes('--check');
+let stale = false;
+
+for (const bundle of BUNDLES) {
+    const code = buildBundle(bundle);
+    const target = join(ROOT, bundle.output);
+
+    if (checkOnly) {
+        if (!existsSync(target) || readFileSync(target, 'utf8') !== code) {
+            console.error(bundle.output + ' is out of date. Run: node scripts/build-umd.mjs');
+            stale = true;
+        }
+    } else {
+        writeFileSync(target, code);
+        console.log('Wrote ' + bundle.output);
+    }
+}
+
+if (stale) {
+    process.exit(1);
+}